@@ -1,3 +1,14 @@
+// import.meta does not exist once Jest has compiled the ES modules to CommonJS
+const importMetaToCommonJS = () => ({
+  visitor: {
+    MetaProperty(path) {
+      if (path.node.meta.name === 'import' && path.node.property.name === 'meta') {
+        path.replaceWithSourceString("({ url: require('url').pathToFileURL(module.filename).href })");
+      }
+    }
+  }
+});
+
 export default {
   presets: [
     ['@babel/preset-env', {
@@ -9,10 +20,11 @@ export default {
   env: {
     test: {
       plugins: [
+        importMetaToCommonJS,
         ['@babel/plugin-transform-modules-commonjs', { 
           allowTopLevelThis: true 
         }]
       ]
     }
   }
-};
\ No newline at end of file
+};
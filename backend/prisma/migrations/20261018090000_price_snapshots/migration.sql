@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "price_snapshots" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "productKey" TEXT NOT NULL,
+    "price" REAL,
+    "currency" TEXT,
+    "availability" TEXT NOT NULL DEFAULT 'unknown',
+    "success" BOOLEAN NOT NULL DEFAULT true,
+    "source" TEXT,
+    "error" TEXT,
+    "scrapedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "price_snapshots_productKey_scrapedAt_idx" ON "price_snapshots"("productKey", "scrapedAt");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "price_scrape_runs" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "total" INTEGER NOT NULL DEFAULT 0,
+    "successful" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "failures" JSONB,
+    "alerts" JSONB,
+    "error" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "price_scrape_runs_startedAt_idx" ON "price_scrape_runs"("startedAt");
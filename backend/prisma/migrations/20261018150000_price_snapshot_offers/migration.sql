@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "price_snapshots" ADD COLUMN "offerId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "price_snapshots_productKey_offerId_scrapedAt_idx" ON "price_snapshots"("productKey", "offerId", "scrapedAt");
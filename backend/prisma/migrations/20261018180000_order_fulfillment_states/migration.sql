@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "label" TEXT;
+ALTER TABLE "orders" ADD COLUMN "costTotal" REAL;
+ALTER TABLE "orders" ADD COLUMN "shippingTotal" REAL NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "audit_logs_entity_entityId_createdAt_idx" ON "audit_logs"("entity", "entityId", "createdAt");
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "purchase_orders" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "poNumber" TEXT NOT NULL,
+    "supplier" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'DRAFT',
+    "lines" JSONB NOT NULL,
+    "subtotal" REAL NOT NULL,
+    "shipping" REAL NOT NULL DEFAULT 0,
+    "total" REAL NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "trackingNumber" TEXT,
+    "carrier" TEXT,
+    "sentVia" TEXT,
+    "sentAt" DATETIME,
+    "shippedAt" DATETIME,
+    "deliveredAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "orderId" TEXT NOT NULL,
+    CONSTRAINT "purchase_orders_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_orders_poNumber_key" ON "purchase_orders"("poNumber");
+
+-- CreateIndex
+CREATE INDEX "purchase_orders_orderId_idx" ON "purchase_orders"("orderId");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "twoFactorEnabledAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "twoFactorRecoveryCodes" JSONB;
+ALTER TABLE "users" ADD COLUMN "twoFactorLastStep" INTEGER;
+
+-- AlterTable
+ALTER TABLE "trusted_devices" ADD COLUMN "expiresAt" DATETIME;
+ALTER TABLE "trusted_devices" ADD COLUMN "lastUsedAt" DATETIME;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "netTotal" REAL;
+ALTER TABLE "orders" ADD COLUMN "taxTotal" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "orders" ADD COLUMN "taxCountry" TEXT;
+ALTER TABLE "orders" ADD COLUMN "taxTreatment" TEXT;
+ALTER TABLE "orders" ADD COLUMN "vatId" TEXT;
+ALTER TABLE "orders" ADD COLUMN "taxBreakdown" JSONB;
+
+-- CreateIndex
+CREATE INDEX "orders_taxTreatment_createdAt_idx" ON "orders"("taxTreatment", "createdAt");
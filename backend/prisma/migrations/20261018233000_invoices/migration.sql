@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "invoices" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "number" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'INVOICE',
+    "issuedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "seller" JSONB NOT NULL,
+    "buyer" JSONB NOT NULL,
+    "lines" JSONB NOT NULL,
+    "netTotal" REAL NOT NULL,
+    "taxTotal" REAL NOT NULL,
+    "total" REAL NOT NULL,
+    "taxTreatment" TEXT,
+    "taxCountry" TEXT,
+    "taxBreakdown" JSONB NOT NULL,
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "orderId" TEXT NOT NULL,
+    "correctsId" TEXT,
+    CONSTRAINT "invoices_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "invoices_correctsId_fkey" FOREIGN KEY ("correctsId") REFERENCES "invoices" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "document_sequences" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "value" INTEGER NOT NULL DEFAULT 0
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_number_key" ON "invoices"("number");
+
+-- CreateIndex
+CREATE INDEX "invoices_orderId_idx" ON "invoices"("orderId");
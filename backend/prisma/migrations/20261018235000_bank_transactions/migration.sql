@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "bank_transactions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "transactionId" TEXT NOT NULL,
+    "bookingDate" DATETIME,
+    "amount" REAL NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "debtorName" TEXT,
+    "debtorIban" TEXT,
+    "remittanceInfo" TEXT,
+    "status" TEXT NOT NULL,
+    "difference" REAL,
+    "statementFile" TEXT,
+    "reviewedAt" DATETIME,
+    "reviewedBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "orderId" TEXT,
+    CONSTRAINT "bank_transactions_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_transactions_transactionId_key" ON "bank_transactions"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "bank_transactions_status_reviewedAt_idx" ON "bank_transactions"("status", "reviewedAt");
+
+-- CreateIndex
+CREATE INDEX "bank_transactions_orderId_idx" ON "bank_transactions"("orderId");
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "return_requests" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "rmaNumber" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'REQUESTED',
+    "reason" TEXT NOT NULL,
+    "customerNote" TEXT,
+    "adminNote" TEXT,
+    "requestedBy" TEXT,
+    "refundNet" REAL,
+    "refundTax" REAL,
+    "refundAmount" REAL,
+    "refundId" TEXT,
+    "approvedAt" DATETIME,
+    "receivedAt" DATETIME,
+    "inspectedAt" DATETIME,
+    "refundedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "creditNoteId" TEXT,
+    CONSTRAINT "return_requests_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "return_requests_creditNoteId_fkey" FOREIGN KEY ("creditNoteId") REFERENCES "invoices" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "return_items" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "quantity" INTEGER NOT NULL,
+    "acceptedQuantity" INTEGER,
+    "condition" TEXT,
+    "note" TEXT,
+    "returnId" TEXT NOT NULL,
+    "orderItemId" TEXT NOT NULL,
+    CONSTRAINT "return_items_returnId_fkey" FOREIGN KEY ("returnId") REFERENCES "return_requests" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "return_items_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "order_items" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "return_requests_rmaNumber_key" ON "return_requests"("rmaNumber");
+
+-- CreateIndex
+CREATE INDEX "return_requests_orderId_idx" ON "return_requests"("orderId");
+
+-- CreateIndex
+CREATE INDEX "return_requests_status_createdAt_idx" ON "return_requests"("status", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "return_items_returnId_orderItemId_key" ON "return_items"("returnId", "orderItemId");
@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "webhook_subscriptions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "url" TEXT NOT NULL,
+    "description" TEXT,
+    "secret" TEXT NOT NULL,
+    "events" JSONB NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "webhook_deliveries" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "event" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" DATETIME,
+    "lastAttemptAt" DATETIME,
+    "deliveredAt" DATETIME,
+    "responseStatus" INTEGER,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "subscriptionId" TEXT NOT NULL,
+    CONSTRAINT "webhook_deliveries_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "webhook_subscriptions" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "webhook_delivery_attempts" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "attempt" INTEGER NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "success" BOOLEAN NOT NULL,
+    "responseStatus" INTEGER,
+    "responseBody" TEXT,
+    "error" TEXT,
+    "durationMs" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "deliveryId" TEXT NOT NULL,
+    CONSTRAINT "webhook_delivery_attempts_deliveryId_fkey" FOREIGN KEY ("deliveryId") REFERENCES "webhook_deliveries" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_deliveries_status_nextAttemptAt_idx" ON "webhook_deliveries"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "webhook_deliveries_subscriptionId_createdAt_idx" ON "webhook_deliveries"("subscriptionId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "webhook_delivery_attempts_deliveryId_createdAt_idx" ON "webhook_delivery_attempts"("deliveryId", "createdAt");
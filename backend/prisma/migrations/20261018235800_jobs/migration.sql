@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "jobs" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'QUEUED',
+    "uniqueKey" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "runAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedBy" TEXT,
+    "lockedUntil" DATETIME,
+    "lastError" TEXT,
+    "result" JSONB,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "jobs_status_type_runAt_idx" ON "jobs"("status", "type", "runAt");
+
+-- CreateIndex
+CREATE INDEX "jobs_status_lockedUntil_idx" ON "jobs"("status", "lockedUntil");
+
+-- CreateIndex
+CREATE INDEX "jobs_uniqueKey_status_idx" ON "jobs"("uniqueKey", "status");
+
+-- CreateIndex
+CREATE INDEX "jobs_createdAt_idx" ON "jobs"("createdAt");
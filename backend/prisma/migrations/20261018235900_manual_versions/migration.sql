@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "manuals_configurationId_language_createdAt_idx" ON "manuals"("configurationId", "language", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "manuals_orderId_language_createdAt_idx" ON "manuals"("orderId", "language", "createdAt");
@@ -0,0 +1,68 @@
+-- AlterTable
+ALTER TABLE "components" ADD COLUMN "sku" TEXT;
+ALTER TABLE "components" ADD COLUMN "unit" TEXT;
+ALTER TABLE "components" ADD COLUMN "link" TEXT;
+ALTER TABLE "components" ADD COLUMN "supplier" TEXT;
+ALTER TABLE "components" ADD COLUMN "offers" JSONB;
+ALTER TABLE "components" ADD COLUMN "tech" TEXT;
+ALTER TABLE "components" ADD COLUMN "power" JSONB;
+ALTER TABLE "components" ADD COLUMN "interfaces" JSONB;
+ALTER TABLE "components" ADD COLUMN "i18nKey" TEXT;
+ALTER TABLE "components" ADD COLUMN "genericName" TEXT;
+ALTER TABLE "components" ADD COLUMN "productModel" TEXT;
+ALTER TABLE "components" ADD COLUMN "sortOrder" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "components" ADD COLUMN "active" BOOLEAN NOT NULL DEFAULT true;
+
+-- Fold the legacy products into components (same ids, so references stay valid)
+INSERT INTO "components" ("id", "name", "description", "category", "price", "availability", "imageUrl", "specifications", "createdAt", "updatedAt")
+SELECT "id", "name", "description",
+       CASE WHEN UPPER("category") IN ('HEAD', 'TORSO', 'ARMS', 'LEGS', 'SENSORS', 'ACTUATORS', 'ELECTRONICS', 'ACCESSORIES', 'SERVO', 'CONTROLLER', 'SENSOR', 'POWER', 'MISC')
+            THEN UPPER("category") ELSE 'MISC' END,
+       "price", "availability", "imageUrl", "specifications", "createdAt", "updatedAt"
+FROM "products"
+WHERE "id" NOT IN (SELECT "id" FROM "components");
+
+UPDATE "config_components" SET "componentId" = "productId" WHERE "componentId" IS NULL AND "productId" IS NOT NULL;
+UPDATE "order_items" SET "componentId" = "productId" WHERE "componentId" IS NULL AND "productId" IS NOT NULL;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_config_components" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "componentType" TEXT NOT NULL,
+    "options" JSONB,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "configurationId" TEXT NOT NULL,
+    "componentId" TEXT,
+    CONSTRAINT "config_components_configurationId_fkey" FOREIGN KEY ("configurationId") REFERENCES "configurations" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "config_components_componentId_fkey" FOREIGN KEY ("componentId") REFERENCES "components" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_config_components" ("id", "componentType", "options", "quantity", "configurationId", "componentId")
+SELECT "id", "componentType", "options", "quantity", "configurationId", "componentId" FROM "config_components";
+DROP TABLE "config_components";
+ALTER TABLE "new_config_components" RENAME TO "config_components";
+CREATE TABLE "new_order_items" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "price" REAL NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "options" JSONB,
+    "orderId" TEXT NOT NULL,
+    "componentId" TEXT,
+    CONSTRAINT "order_items_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "order_items_componentId_fkey" FOREIGN KEY ("componentId") REFERENCES "components" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_order_items" ("id", "name", "price", "quantity", "options", "orderId", "componentId")
+SELECT "id", "name", "price", "quantity", "options", "orderId", "componentId" FROM "order_items";
+DROP TABLE "order_items";
+ALTER TABLE "new_order_items" RENAME TO "order_items";
+DROP TABLE "products";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "components_sku_key" ON "components"("sku");
+
+-- CreateIndex
+CREATE INDEX "components_active_category_sortOrder_idx" ON "components"("active", "category", "sortOrder");
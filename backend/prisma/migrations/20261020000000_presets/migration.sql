@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "presets" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "scope" TEXT NOT NULL DEFAULT 'PERSONAL',
+    "label" TEXT NOT NULL,
+    "notes" TEXT,
+    "translations" JSONB,
+    "items" JSONB NOT NULL,
+    "tags" JSONB,
+    "isPublic" BOOLEAN NOT NULL DEFAULT false,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "userId" TEXT,
+    CONSTRAINT "presets_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "presets_scope_sortOrder_idx" ON "presets"("scope", "sortOrder");
+
+-- CreateIndex
+CREATE INDEX "presets_userId_idx" ON "presets"("userId");
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "configuration_revisions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "revision" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "totalPrice" REAL NOT NULL,
+    "items" JSONB NOT NULL,
+    "userId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "configurationId" TEXT NOT NULL,
+    CONSTRAINT "configuration_revisions_configurationId_fkey" FOREIGN KEY ("configurationId") REFERENCES "configurations" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "configuration_revisions_configurationId_revision_key" ON "configuration_revisions"("configurationId", "revision");
+
+-- Existing configurations start their history with their current state (unit prices from the catalog)
+INSERT INTO "configuration_revisions" ("id", "revision", "name", "description", "totalPrice", "items", "userId", "createdAt", "configurationId")
+SELECT 'rev1_' || c."id", 1, c."name", c."description", c."totalPrice",
+       COALESCE((
+         SELECT json_group_array(json_object(
+           'componentType', cc."componentType",
+           'componentId', cc."componentId",
+           'name', COALESCE(comp."name", cc."componentType"),
+           'quantity', cc."quantity",
+           'price', COALESCE(comp."price", 0)
+         ))
+         FROM "config_components" cc
+         LEFT JOIN "components" comp ON comp."id" = cc."componentId"
+         WHERE cc."configurationId" = c."id"
+       ), '[]'),
+       c."userId", c."updatedAt", c."id"
+FROM "configurations" c;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "configurations" ADD COLUMN "viewCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "configuration_shares" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "slug" TEXT NOT NULL,
+    "expiresAt" DATETIME,
+    "revokedAt" DATETIME,
+    "viewCount" INTEGER NOT NULL DEFAULT 0,
+    "lastViewedAt" DATETIME,
+    "createdById" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "configurationId" TEXT NOT NULL,
+    CONSTRAINT "configuration_shares_configurationId_fkey" FOREIGN KEY ("configurationId") REFERENCES "configurations" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "configuration_shares_slug_key" ON "configuration_shares"("slug");
+
+-- CreateIndex
+CREATE INDEX "configuration_shares_configurationId_idx" ON "configuration_shares"("configurationId");
@@ -0,0 +1,4 @@
+-- One regular invoice per order; credit notes (CREDIT_NOTE) may be issued repeatedly.
+-- Partial index, not expressible in schema.prisma: keep it when a later migration tries to drop it
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_orderId_invoice_key" ON "invoices"("orderId") WHERE "type" = 'INVOICE';
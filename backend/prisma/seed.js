@@ -1,4 +1,6 @@
 import { PrismaClient } from '@prisma/client';
+import { SEED_PARTS } from '../src/data/products.js';
+import { componentFromPart } from '../src/utils/catalog.js';
 
 const prisma = new PrismaClient();
 
@@ -14,6 +16,7 @@ async function main() {
     const components = await seedComponents();
     const configurations = await seedConfigurations(users, components);
     const orders = await seedOrders(users, configurations, components);
+    await seedPresets(users);
     await seedSystemConfig();
 
     console.log('✅ Database seeded successfully!');
@@ -33,9 +36,11 @@ async function cleanDatabase() {
   await prisma.orderItem.deleteMany();
   await prisma.order.deleteMany();
   await prisma.configComponent.deleteMany();
+  await prisma.configurationRevision.deleteMany();
+  await prisma.configurationShare.deleteMany();
   await prisma.configuration.deleteMany();
+  await prisma.preset.deleteMany();
   await prisma.component.deleteMany();
-  await prisma.product.deleteMany(); // Legacy
   await prisma.user.deleteMany();
   await prisma.systemConfig.deleteMany();
 }
@@ -91,256 +96,13 @@ async function seedUsers() {
 }
 
 async function seedComponents() {
-  console.log('🔧 Seeding components...');
-
-  const components = [
-    // HEAD Components
-    {
-      name: 'Basic Vision Head',
-      description: 'Entry-level humanoid head with basic camera and LCD display',
-      category: 'HEAD',
-      price: 299.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/head-basic.jpg',
-      specifications: {
-        camera: '720p HD Camera',
-        display: '5-inch LCD',
-        weight: '1.2kg',
-        materials: ['ABS Plastic', 'Aluminum'],
-      },
-      instructions: 'Mount the head assembly to the neck joint. Connect power and data cables carefully.',
-      toolsRequired: ['Phillips screwdriver', 'Wire strippers', 'Multimeter'],
-      timeEstimate: 45,
-      difficultyLevel: 'BEGINNER',
-    },
-    {
-      name: 'Advanced AI Head',
-      description: 'Professional-grade head with AI processing and advanced sensors',
-      category: 'HEAD',
-      price: 899.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/head-advanced.jpg',
-      specifications: {
-        camera: '4K Ultra HD Camera',
-        display: '7-inch OLED Touch',
-        processor: 'Jetson Nano',
-        sensors: ['Microphone Array', 'IMU', 'Temperature'],
-        weight: '2.1kg',
-        materials: ['Carbon Fiber', 'Titanium'],
-      },
-      instructions: 'Complex assembly requiring careful sensor calibration and software setup.',
-      toolsRequired: ['Torx screwdrivers', 'ESD mat', 'Calibration tools'],
-      timeEstimate: 120,
-      difficultyLevel: 'EXPERT',
-    },
-
-    // TORSO Components
-    {
-      name: 'Standard Torso Frame',
-      description: 'Durable aluminum torso frame with servo mounting points',
-      category: 'TORSO',
-      price: 599.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/torso-standard.jpg',
-      specifications: {
-        material: 'Aluminum 6061',
-        weight: '3.5kg',
-        servos: '6x mounting points',
-        power: '12V/24V compatible',
-      },
-      instructions: 'Assemble the main torso frame and install servo motors at designated mounting points.',
-      toolsRequired: ['Hex keys', 'Torque wrench', 'Loctite'],
-      timeEstimate: 90,
-      difficultyLevel: 'INTERMEDIATE',
-    },
-    {
-      name: 'Premium Carbon Torso',
-      description: 'Lightweight carbon fiber torso with integrated electronics bay',
-      category: 'TORSO',
-      price: 1299.99,
-      availability: 'low-stock',
-      imageUrl: '/images/components/torso-premium.jpg',
-      specifications: {
-        material: 'Carbon Fiber',
-        weight: '2.1kg',
-        servos: '8x high-precision mounts',
-        electronics: 'Integrated bay with cooling',
-        power: '24V/48V compatible',
-      },
-      instructions: 'Precision assembly required. Handle carbon fiber components with care to avoid damage.',
-      toolsRequired: ['Carbon fiber tools', 'Precision hex keys', 'Anti-static equipment'],
-      timeEstimate: 150,
-      difficultyLevel: 'EXPERT',
-    },
-
-    // ARMS Components
-    {
-      name: 'Basic Arm Set',
-      description: 'Simple 3-DOF arms suitable for basic tasks',
-      category: 'ARMS',
-      price: 349.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/arms-basic.jpg',
-      specifications: {
-        dof: '3 per arm',
-        reach: '60cm',
-        payload: '1kg per arm',
-        weight: '1.8kg per arm',
-        servos: 'Standard digital servos',
-      },
-      instructions: 'Install servos in arm segments and connect control cables through cable management system.',
-      toolsRequired: ['Screwdriver set', 'Cable ties', 'Grease'],
-      timeEstimate: 75,
-      difficultyLevel: 'BEGINNER',
-    },
-    {
-      name: 'Articulated Arm System',
-      description: '7-DOF articulated arms with precise control',
-      category: 'ARMS',
-      price: 799.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/arms-articulated.jpg',
-      specifications: {
-        dof: '7 per arm',
-        reach: '80cm',
-        payload: '3kg per arm',
-        weight: '2.8kg per arm',
-        servos: 'High-torque brushless',
-        precision: '0.1 degree accuracy',
-      },
-      instructions: 'Complex multi-segment assembly requiring precise servo alignment and calibration.',
-      toolsRequired: ['Precision tools', 'Servo tester', 'Alignment jigs'],
-      timeEstimate: 180,
-      difficultyLevel: 'ADVANCED',
-      prerequisites: ['torso-standard', 'torso-premium'],
-    },
-
-    // LEGS Components
-    {
-      name: 'Walking Legs Basic',
-      description: 'Basic bipedal legs for stable walking',
-      category: 'LEGS',
-      price: 699.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/legs-basic.jpg',
-      specifications: {
-        dof: '6 per leg',
-        height: '90cm',
-        weight: '4.2kg per leg',
-        gait: 'Basic walking patterns',
-        stability: 'Gyro stabilization',
-      },
-      instructions: 'Assemble leg segments and install balance control system. Calibration required.',
-      toolsRequired: ['Large hex keys', 'Balance board', 'Calibration software'],
-      timeEstimate: 150,
-      difficultyLevel: 'INTERMEDIATE',
-    },
-    {
-      name: 'Advanced Bipedal System',
-      description: 'High-performance legs with dynamic balancing',
-      category: 'LEGS',
-      price: 1599.99,
-      availability: 'pre-order',
-      imageUrl: '/images/components/legs-advanced.jpg',
-      specifications: {
-        dof: '12 per leg',
-        height: '100cm',
-        weight: '5.8kg per leg',
-        gait: 'Dynamic running capability',
-        stability: 'Advanced IMU + AI balance',
-        sensors: 'Force feedback in feet',
-      },
-      instructions: 'Professional assembly required. Complex sensor integration and AI calibration.',
-      toolsRequired: ['Professional toolkit', 'Force sensors', 'AI calibration rig'],
-      timeEstimate: 300,
-      difficultyLevel: 'EXPERT',
-      prerequisites: ['torso-premium'],
-    },
-
-    // SENSORS
-    {
-      name: 'Sensor Pack Basic',
-      description: 'Essential sensors for humanoid awareness',
-      category: 'SENSORS',
-      price: 149.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/sensors-basic.jpg',
-      specifications: {
-        sensors: ['Ultrasonic', 'IMU', 'Temperature'],
-        range: 'Up to 4m ultrasonic',
-        accuracy: 'Standard grade',
-      },
-      instructions: 'Install sensors according to mounting diagram and connect to main controller.',
-      toolsRequired: ['Small screwdrivers', 'Wire connectors'],
-      timeEstimate: 30,
-      difficultyLevel: 'BEGINNER',
-    },
-
-    // ACTUATORS
-    {
-      name: 'Servo Motor Kit',
-      description: 'High-quality servo motors for humanoid joints',
-      category: 'ACTUATORS',
-      price: 249.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/servos-kit.jpg',
-      specifications: {
-        quantity: '12x servos',
-        torque: '20kg-cm each',
-        type: 'Digital high-speed',
-        voltage: '6-8.4V',
-      },
-      instructions: 'Install servos in joint locations according to assembly manual.',
-      toolsRequired: ['Servo horns', 'Mounting screws'],
-      timeEstimate: 60,
-      difficultyLevel: 'BEGINNER',
-    },
-
-    // ELECTRONICS
-    {
-      name: 'Main Control Board',
-      description: 'Central processing unit for humanoid control',
-      category: 'ELECTRONICS',
-      price: 399.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/controller-main.jpg',
-      specifications: {
-        processor: 'ARM Cortex-A72',
-        ram: '8GB',
-        storage: '64GB eMMC',
-        gpio: '40-pin header',
-        connectivity: ['WiFi', 'Bluetooth', 'Ethernet'],
-      },
-      instructions: 'Mount controller board in electronics bay and connect all system cables.',
-      toolsRequired: ['Anti-static wrist strap', 'Small screwdrivers'],
-      timeEstimate: 45,
-      difficultyLevel: 'INTERMEDIATE',
-    },
-
-    // ACCESSORIES
-    {
-      name: 'Tool Kit Professional',
-      description: 'Complete tool set for humanoid assembly',
-      category: 'ACCESSORIES',
-      price: 89.99,
-      availability: 'in-stock',
-      imageUrl: '/images/components/toolkit.jpg',
-      specifications: {
-        tools: ['Hex keys', 'Screwdrivers', 'Pliers', 'Wire strippers'],
-        case: 'Organized carrying case',
-        quality: 'Professional grade',
-      },
-      instructions: 'No assembly required. Use appropriate tools for each component.',
-      toolsRequired: [],
-      timeEstimate: 0,
-      difficultyLevel: 'BEGINNER',
-    },
-  ];
+  console.log('🔧 Seeding parts catalog...');
 
+  // The configurator parts catalog; after seeding the database is its source (see services/catalogService.js)
   const createdComponents = [];
-  for (const componentData of components) {
+  for (const [index, [partKey, part]] of Object.entries(SEED_PARTS).entries()) {
     const component = await prisma.component.create({
-      data: componentData,
+      data: componentFromPart(partKey, part, (index + 1) * 10),
     });
     createdComponents.push(component);
   }
@@ -349,6 +111,26 @@ async function seedComponents() {
   return createdComponents;
 }
 
+// Configuration components for a bill of materials { PART_KEY: quantity }
+function partComponents(components, items) {
+  return Object.entries(items).map(([partKey, quantity]) => ({
+    componentType: partKey,
+    componentId: components.find(c => c.sku === partKey).id,
+    quantity,
+    options: {},
+  }));
+}
+
+// Order items for a bill of materials at catalog prices
+function partItems(components, items) {
+  return Object.entries(items).map(([partKey, quantity]) => {
+    const component = components.find(c => c.sku === partKey);
+    return { name: component.name, price: component.price, quantity, componentId: component.id, options: { partKey } };
+  });
+}
+
+const itemsTotal = (items) => Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+
 async function seedConfigurations(users, components) {
   console.log('⚙️ Seeding configurations...');
 
@@ -357,61 +139,42 @@ async function seedConfigurations(users, components) {
 
   const configurations = [
     {
-      name: 'Beginner Humanoid',
-      description: 'Perfect starter configuration for robotics beginners',
-      totalPrice: 1399.96,
+      name: 'Starter Upper Body',
+      description: 'Arms, hands and head with about 12 DOF, no walking',
       isPublic: true,
       tags: ['beginner', 'starter', 'educational'],
       userId: customer1.id,
-      components: [
-        { componentType: 'head', productId: components.find(c => c.name === 'Basic Vision Head').id, quantity: 1, options: {} },
-        { componentType: 'torso', productId: components.find(c => c.name === 'Standard Torso Frame').id, quantity: 1, options: {} },
-        { componentType: 'arms', productId: components.find(c => c.name === 'Basic Arm Set').id, quantity: 1, options: {} },
-        { componentType: 'legs', productId: components.find(c => c.name === 'Walking Legs Basic').id, quantity: 1, options: {} },
-        { componentType: 'sensors', productId: components.find(c => c.name === 'Sensor Pack Basic').id, quantity: 1, options: {} },
-      ],
+      items: { MG996R: 12, ARD_MEGA: 1, PCA9685: 1, RPI5: 1, MPU6050: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 3, FASTENERS: 1 },
     },
     {
-      name: 'Advanced Research Platform',
-      description: 'High-end configuration for research and development',
-      totalPrice: 4549.95,
+      name: 'Walker Light',
+      description: 'Small biped with about 18 DOF and depth camera',
       isPublic: true,
-      tags: ['advanced', 'research', 'professional', 'ai'],
+      tags: ['advanced', 'walking', 'vision'],
       userId: customer2.id,
-      components: [
-        { componentType: 'head', productId: components.find(c => c.name === 'Advanced AI Head').id, quantity: 1, options: {} },
-        { componentType: 'torso', productId: components.find(c => c.name === 'Premium Carbon Torso').id, quantity: 1, options: {} },
-        { componentType: 'arms', productId: components.find(c => c.name === 'Articulated Arm System').id, quantity: 1, options: {} },
-        { componentType: 'legs', productId: components.find(c => c.name === 'Advanced Bipedal System').id, quantity: 1, options: {} },
-        { componentType: 'electronics', productId: components.find(c => c.name === 'Main Control Board').id, quantity: 1, options: {} },
-      ],
+      items: { DS3218: 18, ARD_MEGA: 1, PCA9685: 2, RPI5: 1, BNO055: 1, OAKDLITE: 1, UBEC6A: 1, LIPO4S5000: 1, FILAMENT: 5, FASTENERS: 1 },
     },
     {
       name: 'Custom Build V1',
       description: 'Personal custom configuration',
-      totalPrice: 1899.96,
       isPublic: false,
       tags: ['custom', 'personal'],
       userId: customer1.id,
-      components: [
-        { componentType: 'head', productId: components.find(c => c.name === 'Basic Vision Head').id, quantity: 1, options: {} },
-        { componentType: 'torso', productId: components.find(c => c.name === 'Premium Carbon Torso').id, quantity: 1, options: {} },
-        { componentType: 'arms', productId: components.find(c => c.name === 'Basic Arm Set').id, quantity: 1, options: {} },
-        { componentType: 'actuators', productId: components.find(c => c.name === 'Servo Motor Kit').id, quantity: 1, options: {} },
-      ],
+      items: { MG996R: 6, PCA9685: 1, RPI5: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 2 },
     },
   ];
 
   const createdConfigurations = [];
-  for (const configData of configurations) {
-    const { components: configComponents, ...configInfo } = configData;
-    
+  for (const { items, ...configInfo } of configurations) {
     const configuration = await prisma.configuration.create({
-      data: configInfo,
+      data: {
+        ...configInfo,
+        totalPrice: itemsTotal(partItems(components, items)),
+      },
     });
 
     // Add components to configuration
-    for (const component of configComponents) {
+    for (const component of partComponents(components, items)) {
       await prisma.configComponent.create({
         data: {
           ...component,
@@ -420,9 +183,37 @@ async function seedConfigurations(users, components) {
       });
     }
 
+    // First revision of the version history
+    await prisma.configurationRevision.create({
+      data: {
+        revision: 1,
+        name: configuration.name,
+        description: configuration.description,
+        totalPrice: configuration.totalPrice,
+        items: partItems(components, items).map(({ name, price, quantity, componentId, options }) => ({
+          componentType: options.partKey,
+          componentId,
+          name,
+          quantity,
+          price,
+        })),
+        userId: configuration.userId,
+        configurationId: configuration.id,
+      },
+    });
+
     createdConfigurations.push(configuration);
   }
 
+  // Share link for the private build: /share/demo-custom-v1
+  await prisma.configurationShare.create({
+    data: {
+      slug: 'demo-custom-v1',
+      createdById: customer1.id,
+      configurationId: createdConfigurations[2].id,
+    },
+  });
+
   console.log(`✅ Created ${createdConfigurations.length} configurations`);
   return createdConfigurations;
 }
@@ -432,14 +223,13 @@ async function seedOrders(users, configurations, components) {
 
   const customer1 = users.find(u => u.email === 'john.doe@example.com');
   const customer2 = users.find(u => u.email === 'jane.smith@example.com');
-  const beginnerConfig = configurations.find(c => c.name === 'Beginner Humanoid');
+  const starterConfig = configurations.find(c => c.name === 'Starter Upper Body');
 
   const orders = [
     {
       orderNumber: 'ORD-2024-001',
       status: 'DELIVERED',
       paymentStatus: 'COMPLETED',
-      total: 1399.96,
       paymentMethod: 'stripe',
       paymentId: 'pi_test_123456',
       trackingNumber: 'TRK001234567',
@@ -456,19 +246,13 @@ async function seedOrders(users, configurations, components) {
         },
       },
       userId: customer1.id,
-      configurationId: beginnerConfig.id,
-      items: [
-        { name: 'Basic Vision Head', price: 299.99, quantity: 1, productId: components.find(c => c.name === 'Basic Vision Head').id },
-        { name: 'Standard Torso Frame', price: 599.99, quantity: 1, productId: components.find(c => c.name === 'Standard Torso Frame').id },
-        { name: 'Basic Arm Set', price: 349.99, quantity: 1, productId: components.find(c => c.name === 'Basic Arm Set').id },
-        { name: 'Sensor Pack Basic', price: 149.99, quantity: 1, productId: components.find(c => c.name === 'Sensor Pack Basic').id },
-      ],
+      configurationId: starterConfig.id,
+      items: partItems(components, { MG996R: 12, ARD_MEGA: 1, PCA9685: 1, RPI5: 1, MPU6050: 1 }),
     },
     {
       orderNumber: 'ORD-2024-002',
       status: 'PROCESSING',
       paymentStatus: 'COMPLETED',
-      total: 899.99,
       paymentMethod: 'paypal',
       paymentId: 'PAYID-TEST-789',
       customerInfo: {
@@ -483,15 +267,12 @@ async function seedOrders(users, configurations, components) {
         },
       },
       userId: customer2.id,
-      items: [
-        { name: 'Advanced AI Head', price: 899.99, quantity: 1, productId: components.find(c => c.name === 'Advanced AI Head').id },
-      ],
+      items: partItems(components, { OAKDLITE: 1 }),
     },
     {
       orderNumber: 'ORD-2024-003',
       status: 'PENDING',
       paymentStatus: 'PENDING',
-      total: 249.99,
       paymentMethod: 'stripe',
       customerInfo: {
         name: 'Test User',
@@ -504,18 +285,17 @@ async function seedOrders(users, configurations, components) {
           country: 'USA',
         },
       },
-      items: [
-        { name: 'Servo Motor Kit', price: 249.99, quantity: 1, productId: components.find(c => c.name === 'Servo Motor Kit').id },
-      ],
+      items: partItems(components, { DS3218: 4, UBEC6A: 1 }),
     },
   ];
 
   const createdOrders = [];
   for (const orderData of orders) {
     const { items, ...orderInfo } = orderData;
+    const total = itemsTotal(items);
     
     const order = await prisma.order.create({
-      data: orderInfo,
+      data: { ...orderInfo, total },
     });
 
     // Add items to order
@@ -534,7 +314,7 @@ async function seedOrders(users, configurations, components) {
         data: {
           paymentId: orderData.paymentId,
           provider: orderData.paymentMethod,
-          amount: orderData.total,
+          amount: total,
           currency: 'USD',
           status: 'COMPLETED',
           paymentData: { test: true },
@@ -550,6 +330,42 @@ async function seedOrders(users, configurations, components) {
   return createdOrders;
 }
 
+async function seedPresets(users) {
+  console.log('🧩 Seeding presets...');
+
+  const admin = users.find(u => u.email === 'admin@diyhumanoid.com');
+  const customer1 = users.find(u => u.email === 'john.doe@example.com');
+
+  const presets = [
+    {
+      scope: 'TEAM',
+      label: 'Hand & Vision Demo (ca. 6 DOF)',
+      notes: 'Eine Hand mit Kamera für Greif-Demos auf dem Tisch.',
+      translations: {
+        en: { label: 'Hand & Vision Demo (approx. 6 DOF)', notes: 'One hand with a camera for tabletop grasping demos.' },
+        nl: { label: 'Hand & Vision Demo (ca. 6 DOF)', notes: 'Eén hand met camera voor grijpdemo\'s op tafel.' },
+      },
+      tags: ['hand', 'vision', 'demo'],
+      items: { MG996R: 6, PCA9685: 1, RPI5: 1, OAKDLITE: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 2, FASTENERS: 1 },
+      sortOrder: 10,
+      userId: admin.id,
+    },
+    {
+      scope: 'PERSONAL',
+      label: 'Mein Testaufbau',
+      tags: ['test'],
+      items: { MG996R: 2, PCA9685: 1, ARD_MEGA: 1, UBEC6A: 1 },
+      userId: customer1.id,
+    },
+  ];
+
+  for (const preset of presets) {
+    await prisma.preset.create({ data: preset });
+  }
+
+  console.log(`✅ Created ${presets.length} presets`);
+}
+
 async function seedSystemConfig() {
   console.log('⚙️ Seeding system configuration...');
 
@@ -571,6 +387,10 @@ async function seedSystemConfig() {
         tax_rate: 0.08,
       },
     },
+    {
+      key: 'pricing_settings',
+      value: { marginPct: 12, partMargins: {} },
+    },
     {
       key: 'shipping_settings',
       value: {
@@ -13,12 +13,17 @@ import { errorHandler, notFound, asyncHandler } from './middleware/error.js';
 // Route imports
 import authRouter from './routes/auth.js';
 import ordersRouter from './routes/orders.js';
+import purchaseOrdersRouter from './routes/purchaseOrders.js';
+import invoicesRouter from './routes/invoices.js';
 import paymentsRouter from './routes/payments.js';
 import llmRouter from './routes/llm.js';
 import aiRouter from './routes/ai.js';
 import pricesRouter from './routes/prices.js';
 import productsRouter from './routes/products.js';
+import componentsRouter from './routes/components.js';
 import configRouter from './routes/config.js';
+import configurationsRouter from './routes/configurations.js';
+import presetsRouter from './routes/presets.js';
 import adminRouter from './routes/admin.js';
 import manualRouter from './routes/manual.js';
 
@@ -41,7 +46,13 @@ export function createServer() {
   }));
   
   // Body parsing middleware
-  app.use(express.json({ limit: '1mb' }));
+  // Keep the raw body for webhook signature verification (HMAC over the exact bytes received)
+  app.use(express.json({
+    limit: '1mb',
+    verify: (req, res, buf) => {
+      if (req.originalUrl.includes('/webhook')) req.rawBody = buf;
+    },
+  }));
   app.use(express.urlencoded({ extended: true }));
   app.use(cookieParser());
   
@@ -69,15 +80,21 @@ export function createServer() {
   // API routes
   app.use('/api/auth', authRouter);
   app.use('/api/products', productsRouter);
+  app.use('/api/components', componentsRouter);
   app.use('/api/orders', ordersRouter);
+  app.use('/api/purchase-orders', purchaseOrdersRouter);
+  app.use('/api/invoices', invoicesRouter);
   app.use('/api/config', configRouter);
+  app.use('/api/configurations', configurationsRouter);
+  app.use('/api/presets', presetsRouter);
   app.use('/api/llm', llmRouter);
   app.use('/api/ai', aiRouter); // NEW: AI/LLM Features
   app.use('/api/prices', pricesRouter);
   app.use('/api/manual', manualRouter);
+  app.use('/api/payment', paymentsRouter);
   
   // Admin routes (protected)
-  app.use('/admin', adminRouter);
+  app.use('/api/admin', adminRouter);
   
   // Webhook routes (no auth required)
   app.use('/webhooks', paymentsRouter);
@@ -18,6 +18,23 @@ export function getEnv() {
     PAYPAL_CLIENT_ID: process.env.PAYPAL_CLIENT_ID,
     PAYPAL_CLIENT_SECRET: process.env.PAYPAL_CLIENT_SECRET,
     PAYPAL_WEBHOOK_ID: process.env.PAYPAL_WEBHOOK_ID,
+    // HMAC secret of the generic payment webhook (POST /webhooks/webhook)
+    PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET,
+    // SEPA bank transfer: receiving account shown at checkout and in the EPC QR code
+    SEPA_IBAN: process.env.SEPA_IBAN,
+    SEPA_BIC: process.env.SEPA_BIC,
+    SEPA_ACCOUNT_HOLDER: process.env.SEPA_ACCOUNT_HOLDER,
+
+    // Outgoing webhooks to subscribed endpoints (see /api/admin/webhook-subscriptions)
+    WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    WEBHOOK_RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+
+    // Background job queue: auto (Redis if cacheService is connected, else database), database or redis
+    JOB_QUEUE_BACKEND: process.env.JOB_QUEUE_BACKEND || 'auto',
+    JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY) || 4,
+    JOB_POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+    JOB_RETENTION_DAYS: parseInt(process.env.JOB_RETENTION_DAYS) || 7,
     
     // AI services
     OPENAI_API_KEY: process.env.OPENAI_API_KEY,
@@ -26,6 +43,10 @@ export function getEnv() {
     // Security
     JWT_SECRET: process.env.JWT_SECRET,
     JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
+
+    // Two-factor authentication (TOTP)
+    TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'DIY Humanoid Configurator',
+    TWO_FACTOR_TRUSTED_DEVICE_DAYS: parseInt(process.env.TWO_FACTOR_TRUSTED_DEVICE_DAYS) || 30,
     
     // CORS
     CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -33,6 +54,25 @@ export function getEnv() {
     // Rate limiting
     RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 15,
     RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+
+    // Price scraping scheduler
+    PRICE_SCRAPE_ENABLED: process.env.PRICE_SCRAPE_ENABLED === 'true',
+    PRICE_SCRAPE_INTERVAL_MINUTES: parseInt(process.env.PRICE_SCRAPE_INTERVAL_MINUTES) || 360,
+    PRICE_SCRAPE_CONCURRENCY: parseInt(process.env.PRICE_SCRAPE_CONCURRENCY) || 3,
+    PRICE_SCRAPE_DOMAIN_CONCURRENCY: parseInt(process.env.PRICE_SCRAPE_DOMAIN_CONCURRENCY) || 1,
+    PRICE_ALERT_THRESHOLD_PERCENT: parseFloat(process.env.PRICE_ALERT_THRESHOLD_PERCENT) || 10,
+
+    // Drop-ship purchase orders: mock (local outbox) or email
+    SUPPLIER_GATEWAY: process.env.SUPPLIER_GATEWAY || 'mock',
+    SUPPLIER_ORDER_EMAILS: process.env.SUPPLIER_ORDER_EMAILS, // JSON: { "RobotShop": "orders@..." }
+
+    // VAT: seller country (ISO code) and EU One-Stop-Shop for B2C deliveries to other member states
+    SELLER_COUNTRY: (process.env.SELLER_COUNTRY || 'DE').toUpperCase(),
+    // Seller data printed on invoices; address lines separated by "|"
+    SELLER_NAME: process.env.SELLER_NAME || 'DIY Humanoid Configurator',
+    SELLER_ADDRESS: process.env.SELLER_ADDRESS || '',
+    SELLER_VAT_ID: process.env.SELLER_VAT_ID || '',
+    VAT_OSS_ENABLED: process.env.VAT_OSS_ENABLED !== 'false',
   };
 }
 
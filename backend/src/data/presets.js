@@ -0,0 +1,30 @@
+// Mitgelieferte Presets des Konfigurators (Scope BUILT_IN)
+// Team-Presets (von Admins veröffentlicht) und persönliche Presets liegen in der Tabelle presets;
+// services/presetService.js führt alle drei Gruppen für GET /api/presets zusammen.
+// label/notes sind deutsche Fallbacks, übersetzt wird im Frontend über i18nKey
+// (locales/<lng>/products.json, presets.<i18nKey>.label/description).
+// DOF (Freiheitsgrade) = Anzahl der Servos laut Teilekatalog, berechnet von utils/presets.js
+
+export const BUILT_IN_PRESETS = {
+  starter: {
+    i18nKey: "starter",
+    label: "Starter – Oberkörper (ca. 12 DOF)",
+    notes: "Arme/Hand/Kopf (kein Gehen). Optional: OAK‑D Lite für Vision.",
+    tags: ["oberkörper", "einsteiger"],
+    items: { MG996R: 12, ARD_MEGA: 1, PCA9685: 1, RPI5: 1, MPU6050: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 3, FASTENERS: 1 }
+  },
+  walker: {
+    i18nKey: "walker",
+    label: "Walker‑Light – kleiner Biped (ca. 18 DOF)",
+    notes: "Einfaches Gehen möglich, langsame Gaits; Standzeit & Drehmoment begrenzt.",
+    tags: ["biped", "gehen", "akku"],
+    items: { DS3218: 18, ARD_MEGA: 1, PCA9685: 2, RPI5: 1, BNO055: 1, OAKDLITE: 1, UBEC6A: 1, LIPO4S5000: 1, FILAMENT: 5, FASTENERS: 1 }
+  },
+  inmoov: {
+    i18nKey: "inmoov",
+    label: "InMoov‑Scale – großer Oberkörper (30+ DOF)",
+    notes: "Lebensgroßer Oberkörper; Beine sind gesondertes (schwieriges) Projekt.",
+    tags: ["oberkörper", "lebensgroß", "vision"],
+    items: { MG996R: 30, DS3218: 2, ARD_MEGA: 1, PCA9685: 2, RPI5: 1, MPU6050: 1, OAKDLITE: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 12, FASTENERS: 1 }
+  }
+};
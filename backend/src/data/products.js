@@ -1,144 +1,262 @@
-// Produktdaten synchron mit dem Frontend
-// Diese Datei stellt sicher, dass Backend und Frontend dieselben Produktdaten verwenden
+// Teilekatalog
+// Maßgeblich ist die Tabelle components (Prisma Component, Feld sku = Teileschlüssel). SEED_PARTS sind nur die
+// Ausgangsdaten für prisma/seed.js; services/catalogService.js lädt beim Start den Katalog aus der Datenbank
+// in PARTS. Das Frontend holt den Katalog über GET /api/components.
+// Abbildung Component <-> Teil: utils/catalog.js
+//
+// Elektrische Daten (power), ausgewertet von utils/powerBudget.js:
+// - Verbraucher:  rail, idleCurrent, typicalCurrent und peakCurrent bzw. stallCurrent (Servos) in A
+// - Versorgungen: supplies (gespeiste Schiene), outputVoltage (V), maxCurrent (A),
+//                 optional capacityAh (Akkus) sowie inputRail, inputVoltage und efficiency (Regler)
+//
+// Schnittstellen (interfaces), ausgewertet von utils/compatibilityRules.js:
+// - i2c: { defaultAddress, addressCount } bzw. i2cHost für I²C-Master
+// - pwmOutputs (Servo-Treiber) / pwmChannels (belegte Kanäle je Servo)
+// - usb, usb3Ports, requiresUsb3 sowie supplyVoltage { min, max } in V
+//
+// Montage (assembly), ausgewertet von utils/configurationOptimizer.js:
+// - minutes: Montagezeit je Stück, difficulty: DifficultyLevel (BEGINNER … EXPERT)
+//
+// Lieferanten-Angebote (offers), ausgewertet von utils/supplierOffers.js:
+// - id, supplier, link, price, currency, shipping (je Bestellung beim Lieferanten), leadTimeDays
+// - offers[0] ist das Hauptangebot und entspricht price/link/supplier des Teils
+//
+// Übersetzung (Frontend, locales/<lng>/products.json): i18nKey, genericName (generischer Name) und
+// productModel (Modellbezeichnung, bleibt unübersetzt)
 
-export const PARTS = {
+export const SEED_PARTS = {
   // Aktuatoren
   MG996R: {
     i18nKey: "MG996R",
     category: "SERVO",
+    genericName: "lightweight_metal_servo",
+    productModel: "MG996R",
     name: "Leichtes Metall‑Servo MG996R",
     unit: "Stk.",
     price: 6.2,
     link: "https://electropeak.com/mg996r-high-torque-digital-servo",
+    offers: [
+      { id: "electropeak", supplier: "ElectroPeak", link: "https://electropeak.com/mg996r-high-torque-digital-servo", price: 6.2, currency: "EUR", shipping: 12.0, leadTimeDays: 12 },
+      { id: "az-delivery", supplier: "AZ-Delivery", link: "https://www.az-delivery.de/products/mg996r-servo-motor", price: 7.49, currency: "EUR", shipping: 4.99, leadTimeDays: 2 }
+    ],
     tech: "MG996R (Metallgetriebe), ca. 9–11 kg·cm @ 6V",
     availability: "in-stock",
-    supplier: "ElectroPeak"
+    supplier: "ElectroPeak",
+    power: { rail: "V5", idleCurrent: 0.01, typicalCurrent: 0.25, stallCurrent: 2.5 },
+    interfaces: { pwmChannels: 1, supplyVoltage: { min: 4.8, max: 7.2 } },
+    assembly: { minutes: 20, difficulty: "BEGINNER" }
   },
   DS3218: {
     i18nKey: "DS3218",
     category: "SERVO",
+    genericName: "high_torque_servo",
+    productModel: "DS3218 (20kg)",
     name: "Starkes Servo DS3218 (20 kg)",
     unit: "Stk.",
     price: 12.9,
     link: "https://srituhobby.com/product/ds3218-20kg-metal-gear-servo-motor-waterproof-servo/",
+    offers: [
+      { id: "srituhobby", supplier: "Sritu Hobby", link: "https://srituhobby.com/product/ds3218-20kg-metal-gear-servo-motor-waterproof-servo/", price: 12.9, currency: "EUR", shipping: 15.0, leadTimeDays: 14 }
+    ],
     tech: "DS3218, wasserdicht, bis ~20 kg·cm",
     availability: "in-stock",
-    supplier: "Sritu Hobby"
+    supplier: "Sritu Hobby",
+    power: { rail: "V5", idleCurrent: 0.01, typicalCurrent: 0.35, stallCurrent: 2.9 },
+    interfaces: { pwmChannels: 1, supplyVoltage: { min: 4.8, max: 6.8 } },
+    assembly: { minutes: 25, difficulty: "BEGINNER" }
   },
 
   // Steuerung
   ARD_MEGA: {
     i18nKey: "ARD_MEGA",
     category: "CONTROLLER",
+    genericName: "main_controller_board",
+    productModel: "Arduino Mega 2560",
     name: "Arduino Mega 2560",
     unit: "Stk.",
     price: 38.0,
     link: "https://www.kubii.com/en/micro-controllers/2075-arduino-mega-2560-rev3-7630049200067.html",
+    offers: [
+      { id: "kubii", supplier: "Kubii", link: "https://www.kubii.com/en/micro-controllers/2075-arduino-mega-2560-rev3-7630049200067.html", price: 38.0, currency: "EUR", shipping: 6.9, leadTimeDays: 3 },
+      { id: "arduino-store", supplier: "Arduino Store", link: "https://store.arduino.cc/products/arduino-mega-2560-rev3", price: 44.9, currency: "EUR", shipping: 9.0, leadTimeDays: 4 }
+    ],
     tech: "ATmega2560, 54 Digital‑I/O, 16 Analogeingänge",
     availability: "in-stock",
-    supplier: "Kubii"
+    supplier: "Kubii",
+    power: { rail: "V5", idleCurrent: 0.05, typicalCurrent: 0.08, peakCurrent: 0.2 },
+    interfaces: { i2cHost: true, usb: "2.0", supplyVoltage: { min: 4.75, max: 5.25 } },
+    assembly: { minutes: 30, difficulty: "INTERMEDIATE" }
   },
   PCA9685: {
     i18nKey: "PCA9685",
     category: "CONTROLLER",
+    genericName: "servo_driver_16ch",
+    productModel: "PCA9685",
     name: "16‑Kanal Servo‑Treiber (PCA9685)",
     unit: "Stk.",
     price: 13.2,
     link: "https://eu.robotshop.com/products/pca9685-16-channel-12-bit-pwm-servo-driver",
+    offers: [
+      { id: "robotshop", supplier: "RobotShop", link: "https://eu.robotshop.com/products/pca9685-16-channel-12-bit-pwm-servo-driver", price: 13.2, currency: "EUR", shipping: 9.95, leadTimeDays: 5 },
+      { id: "adafruit", supplier: "Adafruit", link: "https://www.adafruit.com/product/815", price: 14.95, currency: "USD", shipping: 15.0, leadTimeDays: 10 }
+    ],
     tech: "PCA9685, 12‑Bit PWM, I²C",
     availability: "in-stock",
-    supplier: "RobotShop"
+    supplier: "RobotShop",
+    power: { rail: "V5", idleCurrent: 0.006, typicalCurrent: 0.01, peakCurrent: 0.025 },
+    interfaces: { i2c: { defaultAddress: 0x40, addressCount: 62 }, pwmOutputs: 16, supplyVoltage: { min: 2.3, max: 5.5 } },
+    assembly: { minutes: 20, difficulty: "INTERMEDIATE" }
   },
   RPI5: {
     i18nKey: "RPI5",
     category: "CONTROLLER",
+    genericName: "single_board_computer",
+    productModel: "Raspberry Pi 5 (8GB)",
     name: "Raspberry Pi 5 (8 GB)",
     unit: "Stk.",
     price: 81.9,
     link: "https://www.welectron.com/Raspberry-Pi-5-8-GB-RAM_1",
+    offers: [
+      { id: "welectron", supplier: "WElectron", link: "https://www.welectron.com/Raspberry-Pi-5-8-GB-RAM_1", price: 81.9, currency: "EUR", shipping: 4.9, leadTimeDays: 2 }
+    ],
     tech: "Broadcom SoC, 8 GB RAM",
     availability: "low-stock",
-    supplier: "WElectron"
+    supplier: "WElectron",
+    power: { rail: "V5", idleCurrent: 0.6, typicalCurrent: 1.5, peakCurrent: 2.5 },
+    interfaces: { i2cHost: true, usb: "3.0", usb3Ports: 2, supplyVoltage: { min: 4.75, max: 5.25 } },
+    assembly: { minutes: 60, difficulty: "INTERMEDIATE" }
   },
 
   // Sensorik
   MPU6050: {
     i18nKey: "MPU6050",
     category: "SENSOR",
+    genericName: "motion_sensor_6dof",
+    productModel: "IMU MPU-6050",
     name: "IMU MPU‑6050 (Gyro+Accel)",
     unit: "Stk.",
     price: 14.2,
     link: "https://eu.robotshop.com/products/6-dof-gyro-accelerometer-imu-mpu6050",
+    offers: [
+      { id: "robotshop", supplier: "RobotShop", link: "https://eu.robotshop.com/products/6-dof-gyro-accelerometer-imu-mpu6050", price: 14.2, currency: "EUR", shipping: 9.95, leadTimeDays: 5 }
+    ],
     tech: "6 DOF, I²C",
     availability: "in-stock",
-    supplier: "RobotShop"
+    supplier: "RobotShop",
+    power: { rail: "V5", idleCurrent: 0.004, typicalCurrent: 0.004, peakCurrent: 0.01 },
+    interfaces: { i2c: { defaultAddress: 0x68, addressCount: 2 }, supplyVoltage: { min: 3.0, max: 5.5 } },
+    assembly: { minutes: 45, difficulty: "INTERMEDIATE" }
   },
   BNO055: {
     i18nKey: "BNO055",
     category: "SENSOR",
+    genericName: "orientation_sensor_9dof",
+    productModel: "IMU BNO055",
     name: "IMU BNO055 (9 DOF Fusion)",
     unit: "Stk.",
     price: 36.6,
     link: "https://eu.robotshop.com/products/bno055-9-dof-absolute-orientation-imu-fusion-breakout-board",
+    offers: [
+      { id: "robotshop", supplier: "RobotShop", link: "https://eu.robotshop.com/products/bno055-9-dof-absolute-orientation-imu-fusion-breakout-board", price: 36.6, currency: "EUR", shipping: 9.95, leadTimeDays: 5 },
+      { id: "adafruit", supplier: "Adafruit", link: "https://www.adafruit.com/product/2472", price: 34.95, currency: "USD", shipping: 15.0, leadTimeDays: 10 }
+    ],
     tech: "Sensor‑Fusion, absolute Orientierung",
     availability: "in-stock",
-    supplier: "RobotShop"
+    supplier: "RobotShop",
+    power: { rail: "V5", idleCurrent: 0.012, typicalCurrent: 0.012, peakCurrent: 0.02 },
+    interfaces: { i2c: { defaultAddress: 0x28, addressCount: 2 }, supplyVoltage: { min: 3.0, max: 5.5 } },
+    assembly: { minutes: 25, difficulty: "BEGINNER" }
   },
   OAKDLITE: {
     i18nKey: "OAKDLITE",
     category: "SENSOR",
+    genericName: "depth_camera_ai",
+    productModel: "Luxonis OAK-D Lite",
     name: "Luxonis OAK‑D Lite (DepthAI)",
     unit: "Stk.",
     price: 128.1,
     link: "https://eu.mouser.com/ProductDetail/Luxonis/OAK-D-Lite-FF",
+    offers: [
+      { id: "mouser", supplier: "Mouser", link: "https://eu.mouser.com/ProductDetail/Luxonis/OAK-D-Lite-FF", price: 128.1, currency: "EUR", shipping: 0, leadTimeDays: 3 },
+      { id: "luxonis", supplier: "Luxonis", link: "https://shop.luxonis.com/products/oak-d-lite-1", price: 149.0, currency: "USD", shipping: 25.0, leadTimeDays: 12 }
+    ],
     tech: "Stereo‑Depth + AI‑Beschleuniger",
     availability: "in-stock",
-    supplier: "Mouser"
+    supplier: "Mouser",
+    power: { rail: "V5", idleCurrent: 0.4, typicalCurrent: 0.5, peakCurrent: 1.0 },
+    interfaces: { requiresUsb3: true, supplyVoltage: { min: 4.75, max: 5.25 } },
+    assembly: { minutes: 90, difficulty: "ADVANCED" }
   },
 
   // Strom / Leistung
   UBEC6A: {
     i18nKey: "UBEC6A",
     category: "POWER",
+    genericName: "voltage_regulator",
+    productModel: "UBEC 5V/6A",
     name: "Leichtgewichtiger Schaltregler (UBEC 5V/6A)",
     unit: "Stk.",
     price: 19.9,
     link: "https://mg-modellbau.de/Akkuweichen-usw/D-Power/D-Power-Antares-6A-UBEC-Regler.html",
+    offers: [
+      { id: "mg-modellbau", supplier: "MG Modellbau", link: "https://mg-modellbau.de/Akkuweichen-usw/D-Power/D-Power-Antares-6A-UBEC-Regler.html", price: 19.9, currency: "EUR", shipping: 5.9, leadTimeDays: 3 }
+    ],
     tech: "UBEC 5V/6A, Eingang 2–6S LiPo",
     availability: "in-stock",
-    supplier: "MG Modellbau"
+    supplier: "MG Modellbau",
+    power: { supplies: "V5", outputVoltage: 5, maxCurrent: 6, inputRail: "VIN", inputVoltage: { min: 7.4, max: 25.2 }, efficiency: 0.9 },
+    assembly: { minutes: 15, difficulty: "BEGINNER" }
   },
   PSU12V10A: {
     i18nKey: "PSU12V10A",
     category: "POWER",
+    genericName: "bench_power_supply",
+    productModel: "12V / 10A (Bench)",
     name: "Netzteil 12 V / 10 A (Bench)",
     unit: "Stk.",
     price: 79.0,
     link: "https://www.optics-pro.com/power-supplies/pegasusastro-power-supply-12v-10a-europe-2-1mm/p,60252",
+    offers: [
+      { id: "optics-pro", supplier: "Optics Pro", link: "https://www.optics-pro.com/power-supplies/pegasusastro-power-supply-12v-10a-europe-2-1mm/p,60252", price: 79.0, currency: "EUR", shipping: 8.9, leadTimeDays: 4 }
+    ],
     tech: "~120 W, 2.1 mm Hohlstecker",
     availability: "in-stock",
-    supplier: "Optics Pro"
+    supplier: "Optics Pro",
+    power: { supplies: "VIN", outputVoltage: 12, maxCurrent: 10 },
+    assembly: { minutes: 10, difficulty: "BEGINNER" }
   },
   LIPO4S5000: {
     i18nKey: "LIPO4S5000",
     category: "POWER",
+    genericName: "lithium_battery",
+    productModel: "LiPo 4S 5000mAh",
     name: "LiPo‑Akku 4S 5000 mAh",
     unit: "Stk.",
     price: 70.0,
     link: "https://gensace.de/collections/4s-lipo-battery",
+    offers: [
+      { id: "gensace", supplier: "Gens Ace", link: "https://gensace.de/collections/4s-lipo-battery", price: 70.0, currency: "EUR", shipping: 6.9, leadTimeDays: 4 }
+    ],
     tech: "14.8 V nominal, 5 Ah",
     availability: "in-stock",
-    supplier: "Gens Ace"
+    supplier: "Gens Ace",
+    power: { supplies: "VIN", outputVoltage: 14.8, maxCurrent: 125, capacityAh: 5 },
+    assembly: { minutes: 40, difficulty: "ADVANCED" }
   },
 
   // Sonstiges
   FILAMENT: {
     i18nKey: "FILAMENT",
     category: "MISC",
+    genericName: "3d_printing_material",
+    productModel: "Filament 1kg",
     name: "3D‑Druck‑Filament (1 kg Spule)",
     unit: "Spule",
     price: 20.0,
     link: "https://prusa3d.com/",
+    offers: [
+      { id: "prusa", supplier: "Prusa Research", link: "https://prusa3d.com/", price: 20.0, currency: "EUR", shipping: 7.5, leadTimeDays: 3 }
+    ],
     tech: "PLA/PETG je nach Anwendung",
     availability: "in-stock",
     supplier: "Prusa Research"
@@ -146,16 +264,36 @@ export const PARTS = {
   FASTENERS: {
     i18nKey: "FASTENERS",
     category: "MISC",
+    genericName: "fastener_set",
+    productModel: "Schrauben & Kleinteile",
     name: "Schrauben, Lager & Kleinteile (Set)",
     unit: "Set",
     price: 60.0,
     link: "#",
+    offers: [
+      { id: "various", supplier: "Various", link: "#", price: 60.0, currency: "EUR", shipping: 0, leadTimeDays: 5 }
+    ],
     tech: "M3/M4, Muttern, Lager, Kleinteile",
     availability: "in-stock",
     supplier: "Various"
   }
 };
 
+// Aktueller Katalog; bis zum ersten Laden aus der Datenbank (und in Tests) die Ausgangsdaten.
+// Das Objekt bleibt dasselbe, damit Module mit `import { PARTS }` den neuen Stand sehen
+export const PARTS = { ...SEED_PARTS };
+
+/**
+ * Ersetzt den Inhalt von PARTS durch einen neuen Katalog
+ * @param {Object} parts - { PART_KEY: Teil }
+ */
+export function replaceParts(parts) {
+  for (const key of Object.keys(PARTS)) {
+    delete PARTS[key];
+  }
+  Object.assign(PARTS, parts);
+}
+
 export const CATEGORIES = {
   SERVO: {
     key: "SERVO",
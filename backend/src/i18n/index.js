@@ -6,22 +6,25 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const SUPPORTED_LANGUAGES = ['de', 'en', 'nl', 'th'];
-const DEFAULT_LANGUAGE = 'de';
+export const SUPPORTED_LANGUAGES = ['de', 'en', 'nl', 'th'];
+export const DEFAULT_LANGUAGE = 'de';
 
-// Initialize i18next for backend
+// Initialize i18next for backend. Locale files are read synchronously at import,
+// so translations are available to services and background jobs right away
 i18next
   .use(Backend)
   .init({
     lng: DEFAULT_LANGUAGE,
     fallbackLng: DEFAULT_LANGUAGE,
     supportedLngs: SUPPORTED_LANGUAGES,
+    preload: SUPPORTED_LANGUAGES,
+    initAsync: false,
     
     backend: {
       loadPath: path.join(__dirname, 'locales', '{{lng}}', '{{ns}}.json'),
     },
     
-    ns: ['common', 'errors', 'emails', 'products'],
+    ns: ['common', 'errors', 'emails', 'products', 'manuals'],
     defaultNS: 'common',
     
     interpolation: {
@@ -54,6 +57,21 @@ export function getLanguageFromHeader(acceptLanguageHeader) {
   return DEFAULT_LANGUAGE;
 }
 
+// Normalizes a language code (e.g. en-US); null if it is not supported
+export function resolveLanguage(language) {
+  if (!language) {
+    return null;
+  }
+
+  const code = String(language).split('-')[0].toLowerCase();
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+// Translation function bound to one language and namespace; missing keys fall back to German
+export function getTranslator(language, namespace = 'common') {
+  return i18next.getFixedT(resolveLanguage(language) || DEFAULT_LANGUAGE, namespace);
+}
+
 // Middleware to set language from request
 export function languageMiddleware(req, res, next) {
   const lang = getLanguageFromHeader(req.headers['accept-language']);
@@ -2,6 +2,11 @@ import { createServer } from './app.js';
 import { getEnv } from './config/env.js';
 import { logger } from './lib/logger.js';
 import { testConnection, disconnectDb } from './db/client.js';
+import { priceScheduler } from './scraper/price-scheduler.js';
+import webhookDeliveryService from './services/webhookDeliveryService.js';
+import jobQueue from './services/jobQueue.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import catalogService from './services/catalogService.js';
 
 const { PORT } = getEnv();
 
@@ -23,9 +28,26 @@ async function startServer() {
       logger.info(`Database: ${dbConnected ? '✅ Connected' : '❌ Disconnected'}`);
     });
 
+    if (dbConnected) {
+      // Parts catalog from the components table; on failure the seed catalog stays in use
+      await catalogService.refresh().catch(error => {
+        logger.error('Failed to load parts catalog', { error: error.message });
+      });
+      // Background jobs: emails, manual generation, price scraping
+      registerJobHandlers(jobQueue);
+      jobQueue.start();
+      // Scheduled price scraping (PRICE_SCRAPE_ENABLED), queued as price.scrape jobs
+      priceScheduler.start();
+      // Retries of outgoing webhook deliveries
+      webhookDeliveryService.start();
+    }
+
     // Graceful shutdown handling
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}, shutting down gracefully...`);
+      priceScheduler.stop();
+      webhookDeliveryService.stop();
+      jobQueue.stop();
       
       server.close(async () => {
         logger.info('HTTP server closed');
@@ -1,10 +1,14 @@
 import jwt from 'jsonwebtoken';
 import { getEnv } from '../config/env.js';
-import { UnauthorizedError, BadRequestError, asyncHandler } from './error.js';
+import { AppError, UnauthorizedError, BadRequestError, asyncHandler } from './error.js';
 import { logger } from '../lib/logger.js';
 
 const env = getEnv();
 
+// Claims every access token carries (see authService.generateAccessToken); 2FA challenges use another audience
+export const ACCESS_TOKEN_ISSUER = 'diy-humanoid-configurator';
+export const ACCESS_TOKEN_AUDIENCE = 'diy-humanoid-app';
+
 // Generate JWT token
 export const generateToken = (payload) => {
   if (!env.JWT_SECRET) {
@@ -13,16 +17,27 @@ export const generateToken = (payload) => {
   
   return jwt.sign(payload, env.JWT_SECRET, {
     expiresIn: env.JWT_EXPIRES_IN,
+    issuer: ACCESS_TOKEN_ISSUER,
+    audience: ACCESS_TOKEN_AUDIENCE,
   });
 };
 
-// Verify JWT token
+// Verify JWT token: only access tokens pass, never a two-factor challenge or other purpose-bound token
 export const verifyToken = (token) => {
   if (!env.JWT_SECRET) {
     throw new Error('JWT_SECRET not configured');
   }
   
-  return jwt.verify(token, env.JWT_SECRET);
+  const decoded = jwt.verify(token, env.JWT_SECRET, {
+    issuer: ACCESS_TOKEN_ISSUER,
+    audience: ACCESS_TOKEN_AUDIENCE,
+  });
+
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError(`Token with purpose ${decoded.purpose} is not an access token`);
+  }
+
+  return decoded;
 };
 
 // Auth middleware
@@ -60,6 +75,33 @@ export const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Optional auth: sets req.user for a valid token, anonymous requests and invalid tokens pass without a user
+export const optionalAuth = (req, res, next) => {
+  let token;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies?.token) {
+    token = req.cookies.token;
+  }
+
+  if (token) {
+    try {
+      const decoded = verifyToken(token);
+      req.user = {
+        id: decoded.id,
+        email: decoded.email,
+        role: decoded.role || 'user',
+        ...decoded
+      };
+    } catch (error) {
+      logger.debug('Ignoring invalid token on optional auth route');
+    }
+  }
+
+  next();
+};
+
 // Role-based access control
 export const requireRole = (roles) => {
   return (req, res, next) => {
@@ -78,8 +120,24 @@ export const requireRole = (roles) => {
   };
 };
 
-// Specific role checks
-export const requireAdmin = requireRole(['admin']);
+// Two-factor check for roles where 2FA is mandatory (tokens carry the twoFactorEnabled claim)
+export const requireTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    throw new UnauthorizedError('Authentication required');
+  }
+
+  if (req.user.role?.toUpperCase() === 'ADMIN' && !req.user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is required for administrators', 403, 'TWO_FACTOR_REQUIRED');
+  }
+
+  next();
+};
+
+// Specific role checks; admin routes also require 2FA wherever they are mounted
+const requireAdminRole = requireRole(['admin']);
+export const requireAdmin = (req, res, next) => {
+  requireAdminRole(req, res, () => requireTwoFactor(req, res, next));
+};
 export const requireSupport = requireRole(['admin', 'support']);
 export const requireCustomer = requireRole(['admin', 'support', 'customer']);
 
@@ -53,6 +53,13 @@ export class ConflictError extends AppError {
   }
 }
 
+export class InvalidTransitionError extends AppError {
+  constructor(message, details = null) {
+    super(message, 409, 'INVALID_TRANSITION');
+    this.details = details;
+  }
+}
+
 // Error handler middleware
 export const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -85,6 +92,11 @@ export const errorHandler = (err, req, res, next) => {
     error = new ValidationError('Validation Error', message);
   }
 
+  // Prisma record to update or delete not found
+  if (err.code === 'P2025') {
+    error = new NotFoundError(err.meta?.cause || 'Resource not found');
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -1,5 +1,71 @@
 import { z } from 'zod';
 import { ValidationError, asyncHandler } from './error.js';
+import { ITEM_CONDITIONS, RETURN_REASONS } from '../utils/returns.js';
+import { WEBHOOK_EVENTS } from '../utils/outgoingWebhooks.js';
+
+const COMPONENT_CATEGORIES = [
+  'HEAD', 'TORSO', 'ARMS', 'LEGS', 'SENSORS', 'ACTUATORS', 'ELECTRONICS', 'ACCESSORIES',
+  'SERVO', 'CONTROLLER', 'SENSOR', 'POWER', 'MISC',
+];
+const DIFFICULTY_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+
+// Component catalog entry; sku is the configurator part key (e.g. MG996R)
+const componentFields = {
+  sku: z.string().regex(/^[A-Z0-9_]+$/, 'Part key may only contain A-Z, 0-9 and _').max(40).nullable().optional(),
+  name: z.string().min(1, 'Component name is required').max(200),
+  description: z.string().nullable().optional(),
+  category: z.enum(COMPONENT_CATEGORIES),
+  price: z.number().nonnegative('Price must not be negative'),
+  availability: z.string().optional(),
+  imageUrl: z.string().nullable().optional(),
+  specifications: z.record(z.any()).nullable().optional(),
+  unit: z.string().nullable().optional(),
+  link: z.string().url().nullable().optional(),
+  supplier: z.string().nullable().optional(),
+  offers: z.array(z.object({
+    id: z.string().min(1),
+    supplier: z.string().min(1),
+    link: z.string().url().optional(),
+    price: z.number().nonnegative(),
+    currency: z.string().length(3).optional(),
+    shipping: z.number().nonnegative().optional(),
+    leadTimeDays: z.number().int().nonnegative().optional(),
+  }).passthrough()).nullable().optional(),
+  tech: z.string().nullable().optional(),
+  power: z.record(z.any()).nullable().optional(),
+  interfaces: z.record(z.any()).nullable().optional(),
+  i18nKey: z.string().nullable().optional(),
+  genericName: z.string().nullable().optional(),
+  productModel: z.string().nullable().optional(),
+  sortOrder: z.number().int().optional(),
+  active: z.boolean().optional(),
+  instructions: z.string().nullable().optional(),
+  toolsRequired: z.array(z.string()).nullable().optional(),
+  timeEstimate: z.number().int().nonnegative().nullable().optional(),
+  difficultyLevel: z.enum(DIFFICULTY_LEVELS).optional(),
+  prerequisites: z.array(z.string()).nullable().optional(),
+};
+
+// Configurator preset: bill of materials { PART_KEY: quantity } with search tags
+const presetFields = {
+  label: z.string().trim().min(1, 'Preset label is required').max(200),
+  notes: z.string().max(2000).nullable().optional(),
+  items: z.record(z.number().int().nonnegative('Quantity must not be negative'))
+    .refine(items => Object.values(items).some(quantity => quantity > 0), 'At least one item is required'),
+  tags: z.array(z.string().trim().min(1).max(40)).max(20).optional(),
+};
+
+// Curated team presets carry labels and notes per language
+const teamPresetFields = {
+  ...presetFields,
+  translations: z.record(
+    z.string().regex(/^[a-z]{2}$/, 'Language must be a two-letter code'),
+    z.object({ label: z.string().max(200).optional(), notes: z.string().max(2000).optional() })
+  ).nullable().optional(),
+  sortOrder: z.number().int().optional(),
+};
+
+const optionalInt = z.string().optional().transform(val => (val ? parseInt(val) : undefined));
 
 // Generic validation middleware
 export const validate = (schema, source = 'body') => {
@@ -28,7 +94,7 @@ export const schemas = {
   // Order validation
   createOrder: z.object({
     items: z.array(z.object({
-      productId: z.string().min(1, 'Product ID is required'),
+      componentId: z.string().min(1, 'Component ID is required'),
       name: z.string().min(1, 'Product name is required'),
       price: z.number().positive('Price must be positive'),
       quantity: z.number().int().positive('Quantity must be a positive integer'),
@@ -49,9 +115,102 @@ export const schemas = {
     paymentMethod: z.enum(['stripe', 'paypal'], {
       errorMap: () => ({ message: 'Payment method must be stripe or paypal' })
     }),
+    vatId: z.string().max(20).optional(),
     notes: z.string().optional(),
   }),
 
+  createConfiguratorOrder: z.object({
+    label: z.string().max(200).optional(),
+    items: z.record(z.number().int().nonnegative('Quantity must not be negative'))
+      .refine(items => Object.values(items).some(quantity => quantity > 0), 'At least one item is required'),
+    offerPreference: z.enum(['cheapest', 'fastest']).default('cheapest'),
+    paymentMethod: z.string().max(50).optional(),
+    configurationId: z.string().optional(),
+    country: z.string().length(2, 'Country must be an ISO 3166 alpha-2 code').optional(),
+    vatId: z.string().max(20).optional(),
+  }),
+
+  // Configurator margins in percent (PUT /api/admin/pricing)
+  updatePricing: z.object({
+    marginPct: z.number().min(0).max(95).optional(),
+    partMargins: z.record(z.number().min(0).max(95)).optional(),
+  }),
+
+  updateOrderTax: z.object({
+    country: z.string().length(2, 'Country must be an ISO 3166 alpha-2 code').optional(),
+    vatId: z.string().max(20).nullable().optional(),
+  }),
+
+  updateOrderStatus: z.object({
+    status: z.enum(['PENDING', 'PROCESSING', 'PO_CREATED', 'ORDERED', 'SHIPPED', 'DELIVERED', 'PARTIALLY_REFUNDED', 'CANCELLED', 'REFUNDED']),
+    note: z.string().max(500).optional(),
+  }),
+
+  updatePaymentStatus: z.object({
+    paymentStatus: z.enum(['PENDING', 'COMPLETED', 'FAILED', 'REFUNDED']),
+    note: z.string().max(500).optional(),
+  }),
+
+  requestReturn: z.object({
+    items: z.array(z.object({
+      orderItemId: z.string().min(1),
+      quantity: z.number().int().positive(),
+    })).min(1, 'At least one item must be returned'),
+    reason: z.enum(RETURN_REASONS),
+    note: z.string().max(1000).optional(),
+  }),
+
+  inspectReturn: z.object({
+    items: z.array(z.object({
+      orderItemId: z.string().min(1),
+      acceptedQuantity: z.number().int().nonnegative(),
+      condition: z.enum(ITEM_CONDITIONS),
+      note: z.string().max(500).optional(),
+    })).min(1),
+    note: z.string().max(500).optional(),
+  }),
+
+  returnNote: z.object({
+    note: z.string().max(500).optional(),
+  }),
+
+  importBankStatement: z.object({
+    filename: z.string().max(255).optional(),
+    content: z.string().min(1, 'Statement is empty'),
+  }),
+
+  assignBankTransaction: z.object({
+    orderNumber: z.string().min(1, 'Order number is required').max(50),
+  }),
+
+  createWebhookSubscription: z.object({
+    url: z.string().url('Invalid URL').refine(url => /^https?:\/\//.test(url), 'Only http(s) URLs are supported'),
+    description: z.string().max(200).optional(),
+    events: z.array(z.enum([...WEBHOOK_EVENTS, '*'])).min(1, 'Subscribe to at least one event'),
+    active: z.boolean().optional(),
+  }),
+
+  updateWebhookSubscription: z.object({
+    url: z.string().url('Invalid URL').refine(url => /^https?:\/\//.test(url), 'Only http(s) URLs are supported').optional(),
+    description: z.string().max(200).nullable().optional(),
+    events: z.array(z.enum([...WEBHOOK_EVENTS, '*'])).min(1, 'Subscribe to at least one event').optional(),
+    active: z.boolean().optional(),
+    rotateSecret: z.boolean().optional(),
+  }).refine(data => Object.keys(data).length > 0, 'Nothing to update'),
+
+  updatePurchaseOrder: z.object({
+    status: z.enum(['DRAFT', 'SENT', 'CONFIRMED', 'SHIPPED', 'DELIVERED', 'CANCELLED']).optional(),
+    trackingNumber: z.string().max(100).optional(),
+    carrier: z.string().max(100).optional(),
+    note: z.string().max(500).optional(),
+  }).refine(data => data.status || data.trackingNumber !== undefined || data.carrier !== undefined, 'Nothing to update'),
+
+  updateTracking: z.object({
+    trackingNumber: z.string().min(1, 'Tracking number is required'),
+    shippingMethod: z.string().optional(),
+    estimatedDelivery: z.string().datetime().optional(),
+  }),
+
   // Configuration validation
   saveConfiguration: z.object({
     name: z.string().min(1, 'Configuration name is required').max(100),
@@ -67,6 +226,116 @@ export const schemas = {
     metadata: z.record(z.any()).optional(),
   }),
 
+  createConfiguration: z.object({
+    name: z.string().min(1, 'Configuration name is required').max(100),
+    description: z.string().optional(),
+    components: z.array(z.object({
+      componentType: z.string().min(1, 'Component type is required'),
+      options: z.record(z.any()).optional(),
+      quantity: z.number().int().positive('Quantity must be a positive integer').default(1),
+      price: z.number().nonnegative().default(0),
+      componentId: z.string().optional(),
+    })).min(1, 'At least one component is required'),
+    isPublic: z.boolean().optional(),
+    tags: z.array(z.string()).optional(),
+  }),
+
+  updateConfiguration: z.object({
+    name: z.string().min(1).max(100).optional(),
+    description: z.string().optional(),
+    components: z.array(z.object({
+      componentType: z.string().min(1, 'Component type is required'),
+      options: z.record(z.any()).optional(),
+      quantity: z.number().int().positive('Quantity must be a positive integer').default(1),
+      price: z.number().nonnegative().default(0),
+      componentId: z.string().optional(),
+    })).optional(),
+    isPublic: z.boolean().optional(),
+    tags: z.array(z.string()).optional(),
+  }),
+
+  cloneConfiguration: z.object({
+    name: z.string().min(1).max(100).optional(),
+  }),
+
+  compareRevisions: z.object({
+    from: optionalInt,
+    to: optionalInt,
+  }),
+
+  createShareLink: z.object({
+    expiresInDays: z.number().int().min(1).max(365).optional(),
+    expiresAt: z.string().datetime().optional(),
+  }).refine(data => !(data.expiresInDays && data.expiresAt), 'Use either expiresInDays or expiresAt'),
+
+  updateVisibility: z.object({
+    isPublic: z.boolean(),
+  }),
+
+  optimizeConfiguration: z.object({
+    budget: z.number().positive('Budget must be positive').optional(),
+    timeLimit: z.number().int().positive('Time limit must be a positive number of minutes').optional(),
+    difficultyLevel: z.enum(['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT']).optional(),
+    limit: z.number().int().min(1).max(20).optional(),
+  }),
+
+  // Unsaved bill of materials { PART_KEY: quantity } from the configurator
+  calculatePower: z.object({
+    items: z.record(z.number().int().nonnegative('Quantity must not be negative')),
+  }),
+
+  updatePrice: z.object({
+    totalPrice: z.number().nonnegative('Total price must not be negative'),
+  }),
+
+  // Component catalog validation
+  // Supplier selection for a bill of materials; live prices come from the server's price snapshots
+  supplierBreakdown: z.object({
+    items: z.record(z.number().int().nonnegative('Quantity must not be negative')),
+    offerPreference: z.enum(['cheapest', 'fastest']).default('cheapest'),
+  }),
+
+  createComponent: z.object(componentFields),
+
+  updateComponent: z.object(componentFields).partial(),
+
+  updateAvailability: z.object({
+    availability: z.string().min(1, 'Availability is required'),
+  }),
+
+  importCatalog: z.object({
+    format: z.enum(['csv', 'json']).optional(),
+    content: z.string().min(1, 'Catalog file is empty'),
+    dryRun: z.boolean().default(true),
+  }),
+
+  presetQuery: z.object({
+    tag: z.union([z.string(), z.array(z.string())]).optional(),
+    minDof: optionalInt,
+    maxDof: optionalInt,
+    search: z.string().optional(),
+  }),
+
+  savePreset: z.object({
+    ...presetFields,
+    isPublic: z.boolean().default(false),
+  }),
+
+  updatePreset: z.object({
+    ...presetFields,
+    isPublic: z.boolean(),
+  }).partial(),
+
+  publishPreset: z.object(teamPresetFields),
+
+  updateTeamPreset: z.object(teamPresetFields).partial(),
+
+  updateInstructions: z.object({
+    instructions: z.string().min(1, 'Instructions are required'),
+    toolsRequired: z.array(z.string()).optional(),
+    timeEstimate: z.number().int().nonnegative().optional(),
+  }),
+
   // AI prompt validation
   aiPrompt: z.object({
     prompt: z.string().min(10, 'Prompt must be at least 10 characters').max(2000, 'Prompt too long'),
@@ -0,0 +1,56 @@
+import BaseRepository from './baseRepository.js';
+
+const ORDER_SELECT = { select: { id: true, orderNumber: true, total: true, paymentStatus: true } };
+
+class BankTransactionRepository extends BaseRepository {
+  constructor() {
+    super('bankTransaction');
+  }
+
+  async findByTransactionId(transactionId) {
+    return this.findOne({ transactionId });
+  }
+
+  // Stores a statement line once; null if the bank reference was imported before
+  async record(data) {
+    try {
+      return await this.create(data);
+    } catch (error) {
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  // Sum of transfers already booked against an order
+  async sumForOrder(orderId) {
+    const { _sum } = await this.prisma.bankTransaction.aggregate({
+      where: { orderId },
+      _sum: { amount: true },
+    });
+    return _sum.amount || 0;
+  }
+
+  // Unmatched, partial and overpaid transfers not yet reviewed by an admin
+  async findFlagged(limit = 100) {
+    return this.findAll({
+      where: { status: { not: 'MATCHED' }, reviewedAt: null },
+      include: { order: ORDER_SELECT },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+  }
+
+  async findRecent(limit = 50) {
+    return this.findAll({
+      include: { order: ORDER_SELECT },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+  }
+
+  async markReviewed(id, userId) {
+    return this.update(id, { reviewedAt: new Date(), reviewedBy: userId || null });
+  }
+}
+
+export default BankTransactionRepository;
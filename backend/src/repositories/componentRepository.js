@@ -1,10 +1,26 @@
+import { Prisma } from '@prisma/client';
 import BaseRepository from './baseRepository.js';
 
+const JSON_FIELDS = ['specifications', 'offers', 'power', 'interfaces', 'toolsRequired', 'prerequisites'];
+
+// Json columns do not accept a plain null; clearing a field stores a database NULL
+const toComponentData = (data) => Object.fromEntries(
+  Object.entries(data).map(([field, value]) => [field, value === null && JSON_FIELDS.includes(field) ? Prisma.DbNull : value])
+);
+
 class ComponentRepository extends BaseRepository {
   constructor() {
     super('component');
   }
 
+  async create(data) {
+    return super.create(toComponentData(data));
+  }
+
+  async update(id, data) {
+    return super.update(id, toComponentData(data));
+  }
+
   async findByCategory(category, options = {}) {
     return this.findAll({
       where: { category },
@@ -38,6 +54,62 @@ class ComponentRepository extends BaseRepository {
     });
   }
 
+  // Parts of the configurator catalog (components with a part key), in catalog order
+  async findCatalog({ includeInactive = false } = {}) {
+    return this.findAll({
+      where: {
+        sku: { not: null },
+        ...(!includeInactive && { active: true }),
+      },
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+    });
+  }
+
+  async findBySku(sku) {
+    return this.prisma.component.findUnique({ where: { sku } });
+  }
+
+  // Admin catalog: every component, parts in catalog order first
+  async findAllForAdmin() {
+    return this.findAll({
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+    });
+  }
+
+  /**
+   * Creates and updates the parts of a catalog import in one transaction.
+   * Prerequisites arrive as part keys and are stored as component IDs once every part of the import exists.
+   * @param {Array} entries - [{ id (existing component or undefined), data }]
+   */
+  async importCatalog(entries) {
+    return this.transaction(async (prisma) => {
+      const existing = await prisma.component.findMany({
+        where: { sku: { not: null } },
+        select: { id: true, sku: true },
+      });
+      const idBySku = new Map(existing.map(component => [component.sku, component.id]));
+
+      for (const { id, data } of entries) {
+        // Prerequisites referencing parts of this import are set in the second pass
+        const { prerequisites, ...rest } = data;
+        const fields = toComponentData(prerequisites === null ? data : rest);
+        const component = id
+          ? await prisma.component.update({ where: { id }, data: fields })
+          : await prisma.component.create({ data: fields });
+        idBySku.set(component.sku, component.id);
+      }
+
+      for (const { data } of entries.filter(entry => Array.isArray(entry.data.prerequisites))) {
+        await prisma.component.update({
+          where: { sku: data.sku },
+          data: { prerequisites: data.prerequisites.map(sku => idBySku.get(sku)) },
+        });
+      }
+
+      return entries.length;
+    });
+  }
+
   async findWithPrerequisites(componentId) {
     return this.findById(componentId, {
       prerequisites: true,
@@ -1,17 +1,69 @@
 import BaseRepository from './baseRepository.js';
+import { PARTS } from '../data/products.js';
+import { calculatePowerBudget, partQuantitiesFromComponents } from '../utils/powerBudget.js';
+import { revisionChanged, revisionItems, revisionSummary } from '../utils/configurationRevisions.js';
+
+// Only persist ConfigComponent columns; request payloads also carry e.g. a price.
+// Configurator parts are linked to their catalog component by part key.
+const toComponentData = ({ componentType, options, quantity, componentId }) => ({
+  componentType,
+  options,
+  quantity,
+  componentId: componentId ?? PARTS[options?.partKey || componentType]?.id,
+});
+
+/**
+ * Writes the next revision of a configuration inside the saving transaction.
+ * Without items (update of name or description only) the items of the latest revision are kept;
+ * a save that changes nothing returns the latest revision instead of adding one.
+ */
+async function recordRevision(prisma, configuration, items, userId) {
+  const latest = await prisma.configurationRevision.findFirst({
+    where: { configurationId: configuration.id },
+    orderBy: { revision: 'desc' },
+  });
+
+  const snapshot = {
+    name: configuration.name,
+    description: configuration.description,
+    totalPrice: configuration.totalPrice,
+    items: items ?? latest?.items ?? revisionItems(
+      await prisma.configComponent.findMany({
+        where: { configurationId: configuration.id },
+        include: { component: true },
+      }),
+      PARTS
+    ),
+  };
+
+  if (!revisionChanged(latest, snapshot)) {
+    return latest;
+  }
+
+  return prisma.configurationRevision.create({
+    data: {
+      ...snapshot,
+      revision: (latest?.revision ?? 0) + 1,
+      userId: userId ?? null,
+      configurationId: configuration.id,
+    },
+  });
+}
 
 class ConfigurationRepository extends BaseRepository {
   constructor() {
     super('configuration');
   }
 
-  async findByUser(userId, options = {}) {
+  // publicOnly: for callers other than the owner (or an admin)
+  async findByUser(userId, { publicOnly = false, ...options } = {}) {
     return this.findAll({
-      where: { userId },
+      where: publicOnly ? { userId, isPublic: true } : { userId },
       include: {
         components: {
-          include: { product: true }
+          include: { component: true }
         },
+        _count: { select: { revisions: true } },
       },
       orderBy: { updatedAt: 'desc' },
       ...options,
@@ -24,7 +76,7 @@ class ConfigurationRepository extends BaseRepository {
       include: {
         user: { select: { id: true, name: true } },
         components: {
-          include: { product: true }
+          include: { component: true }
         },
       },
       orderBy: { createdAt: 'desc' },
@@ -43,7 +95,7 @@ class ConfigurationRepository extends BaseRepository {
       include: {
         user: { select: { id: true, name: true } },
         components: {
-          include: { product: true }
+          include: { component: true }
         },
       },
       ...options,
@@ -66,7 +118,7 @@ class ConfigurationRepository extends BaseRepository {
       include: {
         user: { select: { id: true, name: true } },
         components: {
-          include: { product: true }
+          include: { component: true }
         },
       },
       ...options,
@@ -91,21 +143,25 @@ class ConfigurationRepository extends BaseRepository {
         components.map(component =>
           prisma.configComponent.create({
             data: {
-              ...component,
+              ...toComponentData(component),
               configurationId: configuration.id,
             },
           })
         )
       );
 
+      const revision = await recordRevision(prisma, configuration, revisionItems(components, PARTS), configData.userId);
+
       return {
         ...configuration,
         components: configComponents,
+        revision: revision.revision,
       };
     });
   }
 
-  async updateConfiguration(configId, configData, components = null) {
+  // savedBy: user recorded on the revision this save creates
+  async updateConfiguration(configId, configData, components = null, savedBy = null) {
     return this.transaction(async (prisma) => {
       const configuration = await prisma.configuration.update({
         where: { id: configId },
@@ -130,20 +186,28 @@ class ConfigurationRepository extends BaseRepository {
           components.map(component =>
             prisma.configComponent.create({
               data: {
-                ...component,
+                ...toComponentData(component),
                 configurationId: configId,
               },
             })
           )
         );
 
+        const revision = await recordRevision(prisma, configuration, revisionItems(components, PARTS), savedBy);
+
         return {
           ...configuration,
           components: configComponents,
+          revision: revision.revision,
         };
       }
 
-      return configuration;
+      const revision = await recordRevision(prisma, configuration, null, savedBy);
+
+      return {
+        ...configuration,
+        revision: revision.revision,
+      };
     });
   }
 
@@ -156,6 +220,10 @@ class ConfigurationRepository extends BaseRepository {
       throw new Error('Configuration not found');
     }
 
+    // The clone starts its history with the unit prices of the original's latest revision
+    const latest = await this.findLatestRevision(configId);
+    const prices = new Map((latest?.items || []).map(item => [item.componentId || item.componentType, item.price]));
+
     return this.createConfiguration(
       {
         name: newName || `${originalConfig.name} (Copy)`,
@@ -170,15 +238,92 @@ class ConfigurationRepository extends BaseRepository {
         componentType: component.componentType,
         options: component.options,
         quantity: component.quantity,
-        productId: component.productId,
+        componentId: component.componentId,
+        price: prices.get(component.componentId || component.componentType),
       }))
     );
   }
 
+  // Revisions newest first, without their items
+  async findRevisions(configId) {
+    const revisions = await this.prisma.configurationRevision.findMany({
+      where: { configurationId: configId },
+      orderBy: { revision: 'desc' },
+    });
+    return revisions.map(revisionSummary);
+  }
+
+  async findRevision(configId, revision) {
+    return this.prisma.configurationRevision.findUnique({
+      where: { configurationId_revision: { configurationId: configId, revision } },
+    });
+  }
+
+  async findLatestRevision(configId) {
+    return this.prisma.configurationRevision.findFirst({
+      where: { configurationId: configId },
+      orderBy: { revision: 'desc' },
+    });
+  }
+
+  async findShares(configId) {
+    return this.prisma.configurationShare.findMany({
+      where: { configurationId: configId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async findShareBySlug(slug) {
+    return this.prisma.configurationShare.findUnique({
+      where: { slug },
+      include: {
+        configuration: {
+          include: {
+            components: {
+              include: { component: true }
+            },
+          },
+        },
+      },
+    });
+  }
+
+  async createShare(configId, { slug, expiresAt, createdById }) {
+    return this.prisma.configurationShare.create({
+      data: {
+        slug,
+        expiresAt,
+        createdById,
+        configurationId: configId,
+      },
+    });
+  }
+
+  async revokeShare(shareId) {
+    return this.prisma.configurationShare.update({
+      where: { id: shareId },
+      data: { revokedAt: new Date() },
+    });
+  }
+
+  // Counts a view on the link and on the configuration (the latter ranks popular configurations)
+  async recordShareView(share) {
+    return this.transaction(async (prisma) => {
+      await prisma.configurationShare.update({
+        where: { id: share.id },
+        data: { viewCount: { increment: 1 }, lastViewedAt: new Date() },
+      });
+      await prisma.configuration.update({
+        where: { id: share.configurationId },
+        data: { viewCount: { increment: 1 } },
+      });
+    });
+  }
+
   async validateConfiguration(configId) {
     const config = await this.findById(configId, {
       components: {
-        include: { product: true }
+        include: { component: true }
       },
     });
 
@@ -206,8 +351,8 @@ class ConfigurationRepository extends BaseRepository {
 
     // Calculate total price
     for (const component of config.components) {
-      if (component.product) {
-        validationResults.totalPrice += component.product.price * component.quantity;
+      if (component.component) {
+        validationResults.totalPrice += component.component.price * component.quantity;
       }
     }
 
@@ -216,13 +361,24 @@ class ConfigurationRepository extends BaseRepository {
       validationResults.warnings.push('Configuration price may be outdated');
     }
 
+    // Check power budget; badly overloaded rails block checkout
+    validationResults.power = calculatePowerBudget(partQuantitiesFromComponents(config.components));
+    for (const issue of validationResults.power.issues) {
+      if (issue.blocking) {
+        validationResults.errors.push(issue.message);
+        validationResults.isValid = false;
+      } else {
+        validationResults.warnings.push(issue.message);
+      }
+    }
+
     return validationResults;
   }
 
+  // Ranked by views through share links, newest first on equal views
   async getPopularConfigurations(limit = 10) {
-    // In a real implementation, you'd track views or orders
     return this.findPublicConfigurations({
-      orderBy: { createdAt: 'desc' },
+      orderBy: [{ viewCount: 'desc' }, { createdAt: 'desc' }],
       take: limit,
     });
   }
@@ -4,6 +4,17 @@ import OrderRepository from './orderRepository.js';
 import ConfigurationRepository from './configurationRepository.js';
 import ManualRepository from './manualRepository.js';
 import UserRepository from './userRepository.js';
+import PriceSnapshotRepository from './priceSnapshotRepository.js';
+import PriceScrapeRunRepository from './priceScrapeRunRepository.js';
+import PurchaseOrderRepository from './purchaseOrderRepository.js';
+import InvoiceRepository from './invoiceRepository.js';
+import WebhookEventRepository from './webhookEventRepository.js';
+import BankTransactionRepository from './bankTransactionRepository.js';
+import ReturnRepository from './returnRepository.js';
+import WebhookSubscriptionRepository from './webhookSubscriptionRepository.js';
+import WebhookDeliveryRepository from './webhookDeliveryRepository.js';
+import JobRepository from './jobRepository.js';
+import PresetRepository from './presetRepository.js';
 
 export {
   BaseRepository,
@@ -12,4 +23,15 @@ export {
   ConfigurationRepository,
   ManualRepository,
   UserRepository,
+  PriceSnapshotRepository,
+  PriceScrapeRunRepository,
+  PurchaseOrderRepository,
+  InvoiceRepository,
+  WebhookEventRepository,
+  BankTransactionRepository,
+  ReturnRepository,
+  WebhookSubscriptionRepository,
+  WebhookDeliveryRepository,
+  JobRepository,
+  PresetRepository,
 };
\ No newline at end of file
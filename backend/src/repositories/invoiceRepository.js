@@ -0,0 +1,82 @@
+import BaseRepository from './baseRepository.js';
+import { ORDER_AUDIT_ACTIONS, createOrderAuditLog } from './orderRepository.js';
+import { INVOICE_TYPE, formatInvoiceNumber, sequenceKey } from '../utils/invoices.js';
+
+class InvoiceRepository extends BaseRepository {
+  constructor() {
+    super('invoice');
+  }
+
+  async findByOrder(orderId) {
+    return this.findAll({
+      where: { orderId },
+      orderBy: { issuedAt: 'asc' },
+    });
+  }
+
+  // The regular invoice of an order (at most one), null before it is issued
+  async findInvoice(orderId) {
+    return this.findOne({ orderId, type: INVOICE_TYPE.INVOICE });
+  }
+
+  async findWithOrder(id) {
+    return this.findById(id, {
+      order: { select: { id: true, orderNumber: true, userId: true } },
+    });
+  }
+
+  // Draws the next number of the type's yearly sequence and stores the document, all in one transaction,
+  // so numbers stay gapless even when concurrent payments complete
+  async createWithNumber(document, context = {}) {
+    return this.transaction((prisma) => this.insertWithNumber(prisma, document, context));
+  }
+
+  // The regular invoice of an order, issued at most once: the existence check runs in the numbering transaction,
+  // and the unique index on orderId for type INVOICE makes a concurrent second insert fail and roll back its number
+  async createInvoiceOnce(document, context = {}) {
+    try {
+      return await this.transaction(async (prisma) => {
+        const existing = await prisma.invoice.findFirst({ where: { orderId: document.orderId, type: INVOICE_TYPE.INVOICE } });
+        if (existing) {
+          return { invoice: existing, created: false };
+        }
+        return { invoice: await this.insertWithNumber(prisma, document, context), created: true };
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      return { invoice: await this.findInvoice(document.orderId), created: false };
+    }
+  }
+
+  // Inside a transaction: next number of the sequence, the document and its audit entry
+  async insertWithNumber(prisma, document, context) {
+    const issuedAt = new Date();
+    const year = issuedAt.getUTCFullYear();
+
+    const sequence = await prisma.documentSequence.upsert({
+      where: { key: sequenceKey(document.type, year) },
+      create: { key: sequenceKey(document.type, year), value: 1 },
+      update: { value: { increment: 1 } },
+    });
+
+    const invoice = await prisma.invoice.create({
+      data: {
+        ...document,
+        number: formatInvoiceNumber(document.type, year, sequence.value),
+        issuedAt,
+      },
+    });
+
+    const action = document.type === INVOICE_TYPE.CREDIT_NOTE
+      ? ORDER_AUDIT_ACTIONS.CREDIT_NOTE_ISSUED
+      : ORDER_AUDIT_ACTIONS.INVOICE_ISSUED;
+    await createOrderAuditLog(prisma, document.orderId, action, {
+      number: invoice.number,
+      total: invoice.total,
+    }, context);
+
+    return invoice;
+  }
+}
+
+export default InvoiceRepository;
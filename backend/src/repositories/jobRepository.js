@@ -0,0 +1,152 @@
+import BaseRepository from './baseRepository.js';
+
+const SUMMARY = {
+  id: true,
+  type: true,
+  status: true,
+  uniqueKey: true,
+  attempts: true,
+  maxAttempts: true,
+  runAt: true,
+  lastError: true,
+  startedAt: true,
+  finishedAt: true,
+  createdAt: true,
+};
+
+// Database backend of the JobQueue; RedisJobStore implements the same methods
+class JobRepository extends BaseRepository {
+  constructor() {
+    super('job');
+  }
+
+  async add({ type, payload, uniqueKey = null, maxAttempts, runAt = new Date() }) {
+    return this.create({ type, payload, uniqueKey, maxAttempts, runAt });
+  }
+
+  async findActiveByKey(uniqueKey) {
+    return this.findOne({ uniqueKey, status: { in: ['QUEUED', 'RUNNING'] } });
+  }
+
+  // Takes the oldest due job of a type. The conditional update makes the claim atomic,
+  // so two workers polling at the same time cannot both start it; null if nothing is due
+  async claimNext(type, { workerId, leaseMs, now = new Date() }) {
+    for (let tries = 0; tries < 3; tries++) {
+      const candidate = await this.prisma.job.findFirst({
+        where: { type, status: 'QUEUED', runAt: { lte: now } },
+        orderBy: { runAt: 'asc' },
+        select: { id: true },
+      });
+      if (!candidate) return null;
+
+      const { count } = await this.prisma.job.updateMany({
+        where: { id: candidate.id, status: 'QUEUED' },
+        data: {
+          status: 'RUNNING',
+          attempts: { increment: 1 },
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+          startedAt: now,
+        },
+      });
+      if (count === 1) {
+        return this.findById(candidate.id);
+      }
+    }
+    return null;
+  }
+
+  // Only the worker holding the job may finish it; false if the lease was taken over meanwhile
+  async complete(id, workerId, result = null) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id, status: 'RUNNING', lockedBy: workerId },
+      data: {
+        status: 'COMPLETED',
+        result,
+        lastError: null,
+        lockedBy: null,
+        lockedUntil: null,
+        finishedAt: new Date(),
+      },
+    });
+    return count === 1;
+  }
+
+  // state from nextJobState: back to QUEUED with a later runAt, or DEAD
+  async fail(id, workerId, { status, runAt, lastError }) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id, status: 'RUNNING', lockedBy: workerId },
+      data: {
+        status,
+        lastError,
+        lockedBy: null,
+        lockedUntil: null,
+        ...(runAt && { runAt }),
+        ...(status === 'DEAD' && { finishedAt: new Date() }),
+      },
+    });
+    return count === 1;
+  }
+
+  // Running jobs whose lease ran out: the worker crashed or was restarted mid-job
+  async findExpired(now = new Date()) {
+    return this.findAll({
+      where: { status: 'RUNNING', lockedUntil: { lt: now } },
+      orderBy: { lockedUntil: 'asc' },
+      take: 100,
+    });
+  }
+
+  // Admin: queue again right away with a fresh set of attempts
+  async requeue(id, statuses) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id, status: { in: statuses } },
+      data: { status: 'QUEUED', attempts: 0, runAt: new Date(), finishedAt: null },
+    });
+    return count === 1;
+  }
+
+  async cancel(id, statuses) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id, status: { in: statuses } },
+      data: { status: 'CANCELLED', finishedAt: new Date() },
+    });
+    return count === 1;
+  }
+
+  async countByStatus() {
+    const groups = await this.prisma.job.groupBy({
+      by: ['status'],
+      _count: { _all: true },
+    });
+    return Object.fromEntries(groups.map(group => [group.status, group._count._all]));
+  }
+
+  async findPaginated({ status, type, page = 1, limit = 20 } = {}) {
+    const where = {
+      ...(status && { status }),
+      ...(type && { type }),
+    };
+    const [jobs, total] = await Promise.all([
+      this.prisma.job.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        select: SUMMARY,
+      }),
+      this.count(where),
+    ]);
+    return { jobs, total };
+  }
+
+  // Retention: completed and cancelled jobs are deleted after a while, dead letters are kept
+  async purgeFinished(before) {
+    const { count } = await this.prisma.job.deleteMany({
+      where: { status: { in: ['COMPLETED', 'CANCELLED'] }, finishedAt: { lt: before } },
+    });
+    return count;
+  }
+}
+
+export default JobRepository;
@@ -1,5 +1,23 @@
 import BaseRepository from './baseRepository.js';
 
+const SUMMARY = {
+  id: true,
+  title: true,
+  format: true,
+  version: true,
+  language: true,
+  status: true,
+  orderId: true,
+  configurationId: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// A series is all versions of the manual of one order, or of one configuration outside of orders, in one language
+const seriesWhere = ({ configurationId, orderId, language }) => (
+  orderId ? { orderId, language } : { configurationId, orderId: null, language }
+);
+
 class ManualRepository extends BaseRepository {
   constructor() {
     super('manual');
@@ -113,20 +131,82 @@ class ManualRepository extends BaseRepository {
     return `${majorVersion}.${minorVersion + 1}`;
   }
 
+  // Newest manual of the order that has not been archived
   async findLatestManualForOrder(orderId) {
-    return this.findOne(
-      { orderId },
-      null,
-      { createdAt: 'desc' }
-    );
+    return this.prisma.manual.findFirst({
+      where: { orderId, status: { not: 'ARCHIVED' } },
+      orderBy: { createdAt: 'desc' },
+    });
   }
 
   async findLatestManualForConfiguration(configurationId) {
-    return this.findOne(
-      { configurationId },
-      null,
-      { createdAt: 'desc' }
-    );
+    return this.prisma.manual.findFirst({
+      where: { configurationId, status: { not: 'ARCHIVED' } },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  // Newest version of a series, archived ones included (they still count for numbering)
+  async findLatestInSeries(series, statuses = null) {
+    return this.prisma.manual.findFirst({
+      where: {
+        ...seriesWhere(series),
+        ...(statuses && { status: { in: statuses } }),
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  // Archives the other manuals of a series that are in one of the given statuses
+  async archiveSeries(series, { exceptId, statuses }) {
+    const { count } = await this.prisma.manual.updateMany({
+      where: {
+        ...seriesWhere(series),
+        id: { not: exceptId },
+        status: { in: statuses },
+      },
+      data: { status: 'ARCHIVED' },
+    });
+    return count;
+  }
+
+  // Languages in which the configuration has a draft or published manual
+  async findActiveLanguagesForConfiguration(configurationId) {
+    const manuals = await this.prisma.manual.findMany({
+      where: { configurationId, orderId: null, status: { in: ['DRAFT', 'PUBLISHED'] } },
+      select: { language: true },
+      distinct: ['language'],
+    });
+    return manuals.map(manual => manual.language);
+  }
+
+  // Compare-and-set on the status so two admins cannot publish and archive the same manual at once
+  async transitionStatus(id, fromStatuses, status) {
+    const { count } = await this.prisma.manual.updateMany({
+      where: { id, status: { in: fromStatuses } },
+      data: { status },
+    });
+    return count === 1;
+  }
+
+  async findPaginated({ configurationId, orderId, status, language, page = 1, limit = 20 } = {}) {
+    const where = {
+      ...(configurationId && { configurationId }),
+      ...(orderId && { orderId }),
+      ...(status && { status }),
+      ...(language && { language }),
+    };
+    const [manuals, total] = await Promise.all([
+      this.prisma.manual.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        select: SUMMARY,
+      }),
+      this.count(where),
+    ]);
+    return { manuals, total };
   }
 
   async searchManuals(searchTerm, options = {}) {
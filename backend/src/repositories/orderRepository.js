@@ -1,6 +1,32 @@
 import BaseRepository from './baseRepository.js';
 import { v4 as uuidv4 } from 'uuid';
 
+export const ORDER_AUDIT_ACTIONS = {
+  CREATED: 'ORDER_CREATED',
+  STATUS_CHANGED: 'ORDER_STATUS_CHANGED',
+  PAYMENT_STATUS_CHANGED: 'ORDER_PAYMENT_STATUS_CHANGED',
+  PURCHASE_ORDERS_CREATED: 'PURCHASE_ORDERS_CREATED',
+  PURCHASE_ORDER_STATUS_CHANGED: 'PURCHASE_ORDER_STATUS_CHANGED',
+  INVOICE_ISSUED: 'INVOICE_ISSUED',
+  CREDIT_NOTE_ISSUED: 'CREDIT_NOTE_ISSUED',
+  RETURN_REQUESTED: 'RETURN_REQUESTED',
+  RETURN_STATUS_CHANGED: 'RETURN_STATUS_CHANGED',
+};
+
+// Audit entry in the order's trail; prisma may be a transaction client
+export async function createOrderAuditLog(prisma, orderId, action, changes, { userId = null, note = null, source = null } = {}) {
+  return prisma.auditLog.create({
+    data: {
+      action,
+      entity: 'order',
+      entityId: orderId,
+      userId,
+      changes,
+      metadata: { note, source },
+    },
+  });
+}
+
 class OrderRepository extends BaseRepository {
   constructor() {
     super('order');
@@ -33,7 +59,7 @@ class OrderRepository extends BaseRepository {
   async findByOrderNumber(orderNumber) {
     return this.findOne({ orderNumber }, {
       items: {
-        include: { product: true }
+        include: { component: true }
       },
       payments: true,
       configuration: {
@@ -54,7 +80,7 @@ class OrderRepository extends BaseRepository {
     });
   }
 
-  async createOrderWithItems(orderData, items) {
+  async createOrderWithItems(orderData, items, context = {}) {
     return this.transaction(async (prisma) => {
       const order = await prisma.order.create({
         data: {
@@ -65,6 +91,8 @@ class OrderRepository extends BaseRepository {
         },
       });
 
+      await this.logTransition(prisma, order.id, ORDER_AUDIT_ACTIONS.CREATED, { from: null, to: order.status }, context);
+
       const orderItems = await Promise.all(
         items.map(item =>
           prisma.orderItem.create({
@@ -80,12 +108,52 @@ class OrderRepository extends BaseRepository {
     });
   }
 
-  async updateStatus(orderId, status) {
-    return this.update(orderId, { status });
+  // Status change plus audit entry in one transaction; null if the order does not exist.
+  // context: { userId, note, source } is stored with the audit entry
+  async updateStatus(orderId, status, context = {}) {
+    return this.transitionField(orderId, 'status', status, ORDER_AUDIT_ACTIONS.STATUS_CHANGED, context);
   }
 
-  async updatePaymentStatus(orderId, paymentStatus) {
-    return this.update(orderId, { paymentStatus });
+  async updatePaymentStatus(orderId, paymentStatus, context = {}) {
+    return this.transitionField(orderId, 'paymentStatus', paymentStatus, ORDER_AUDIT_ACTIONS.PAYMENT_STATUS_CHANGED, context);
+  }
+
+  // External payment ID (Stripe intent, PayPal order, SEPA reference) of the checkout in progress
+  async updatePaymentId(orderId, paymentId, paymentMethod) {
+    return this.update(orderId, {
+      paymentId,
+      ...(paymentMethod && { paymentMethod }),
+    });
+  }
+
+  async transitionField(orderId, field, value, action, context) {
+    return this.transaction(async (prisma) => {
+      const current = await prisma.order.findUnique({ where: { id: orderId } });
+      if (!current) return null;
+      // No-op transitions are not logged
+      if (current[field] === value) return current;
+
+      const order = await prisma.order.update({
+        where: { id: orderId },
+        data: { [field]: value },
+      });
+
+      await this.logTransition(prisma, orderId, action, { field, from: current[field], to: value }, context);
+      return order;
+    });
+  }
+
+  async logTransition(prisma, orderId, action, changes, context) {
+    return createOrderAuditLog(prisma, orderId, action, changes, context);
+  }
+
+  // Audit trail of an order, oldest first
+  async findStatusHistory(orderId) {
+    return this.prisma.auditLog.findMany({
+      where: { entity: 'order', entityId: orderId },
+      include: { user: { select: { id: true, name: true, email: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
   }
 
   async updateTracking(orderId, trackingNumber, shippingMethod, estimatedDelivery) {
@@ -175,8 +243,12 @@ class OrderRepository extends BaseRepository {
     return `ORD-${timestamp}-${random}`;
   }
 
+  // Idempotent per external payment ID: a redelivered or replayed webhook returns the existing record
   async addPayment(orderId, paymentData) {
     return this.transaction(async (prisma) => {
+      const existing = await prisma.payment.findUnique({ where: { paymentId: paymentData.paymentId } });
+      if (existing) return existing;
+
       const payment = await prisma.payment.create({
         data: {
           ...paymentData,
@@ -185,10 +257,20 @@ class OrderRepository extends BaseRepository {
       });
 
       if (paymentData.status === 'COMPLETED') {
-        await prisma.order.update({
-          where: { id: orderId },
-          data: { paymentStatus: 'COMPLETED' },
-        });
+        const order = await prisma.order.findUnique({ where: { id: orderId } });
+        if (order && order.paymentStatus !== 'COMPLETED') {
+          await prisma.order.update({
+            where: { id: orderId },
+            data: { paymentStatus: 'COMPLETED' },
+          });
+          await this.logTransition(
+            prisma,
+            orderId,
+            ORDER_AUDIT_ACTIONS.PAYMENT_STATUS_CHANGED,
+            { field: 'paymentStatus', from: order.paymentStatus, to: 'COMPLETED' },
+            { source: paymentData.provider || 'payment' }
+          );
+        }
       }
 
       return payment;
@@ -0,0 +1,41 @@
+import { Prisma } from '@prisma/client';
+import BaseRepository from './baseRepository.js';
+
+const JSON_FIELDS = ['translations', 'tags'];
+
+// Json columns do not accept a plain null; clearing a field stores a database NULL
+const toPresetData = (data) => Object.fromEntries(
+  Object.entries(data).map(([field, value]) => [field, value === null && JSON_FIELDS.includes(field) ? Prisma.DbNull : value])
+);
+
+class PresetRepository extends BaseRepository {
+  constructor() {
+    super('preset');
+  }
+
+  async create(data) {
+    return super.create(toPresetData(data));
+  }
+
+  async update(id, data) {
+    return super.update(id, toPresetData(data));
+  }
+
+  // Team presets in curated order
+  async findTeam() {
+    return this.findAll({
+      where: { scope: 'TEAM' },
+      orderBy: [{ sortOrder: 'asc' }, { label: 'asc' }],
+    });
+  }
+
+  // Personal presets of a user, most recently saved first
+  async findPersonal(userId) {
+    return this.findAll({
+      where: { scope: 'PERSONAL', userId },
+      orderBy: { updatedAt: 'desc' },
+    });
+  }
+}
+
+export default PresetRepository;
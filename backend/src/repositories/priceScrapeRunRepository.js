@@ -0,0 +1,41 @@
+import BaseRepository from './baseRepository.js';
+
+class PriceScrapeRunRepository extends BaseRepository {
+  constructor() {
+    super('priceScrapeRun');
+  }
+
+  async start(trigger = 'schedule') {
+    return this.create({ trigger, status: 'running' });
+  }
+
+  // Store counts, per-product failures and raised alerts of a finished run
+  async complete(id, { total, successful, failed, failures = [], alerts = [] }) {
+    return this.update(id, {
+      status: 'completed',
+      total,
+      successful,
+      failed,
+      failures,
+      alerts,
+      finishedAt: new Date(),
+    });
+  }
+
+  async fail(id, error) {
+    return this.update(id, {
+      status: 'failed',
+      error: error?.message || String(error),
+      finishedAt: new Date(),
+    });
+  }
+
+  async findRecent(limit = 20) {
+    return this.findAll({
+      orderBy: { startedAt: 'desc' },
+      take: limit,
+    });
+  }
+}
+
+export default PriceScrapeRunRepository;
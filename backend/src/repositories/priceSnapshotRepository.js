@@ -0,0 +1,77 @@
+import BaseRepository from './baseRepository.js';
+import { offerKey } from '../utils/supplierOffers.js';
+
+class PriceSnapshotRepository extends BaseRepository {
+  constructor() {
+    super('priceSnapshot');
+  }
+
+  // Persist scraper results (successful and failed) as snapshots
+  async recordResults(results) {
+    const data = results
+      .filter(result => result?.productKey)
+      .map(result => ({
+        productKey: result.productKey,
+        offerId: result.offerId || null,
+        price: result.success ? result.price : null,
+        currency: result.success ? result.currency : null,
+        availability: result.success ? (result.availability || 'unknown') : 'unknown',
+        success: Boolean(result.success),
+        source: result.url || null,
+        error: result.success ? null : (result.error?.message || String(result.error || 'Unknown error')),
+        scrapedAt: result.scrapedAt || (result.timestamp ? new Date(result.timestamp) : new Date()),
+      }));
+
+    if (data.length === 0) {
+      return { count: 0 };
+    }
+
+    return this.transaction(async (prisma) => {
+      await Promise.all(data.map(snapshot => prisma.priceSnapshot.create({ data: snapshot })));
+      return { count: data.length };
+    });
+  }
+
+  // Restrict to one supplier offer; includeLegacy also matches snapshots stored before offers existed
+  offerFilter(offerId, includeLegacy) {
+    if (!offerId) return {};
+    return includeLegacy ? { OR: [{ offerId }, { offerId: null }] } : { offerId };
+  }
+
+  async findHistory(productKey, { from, to, successfulOnly = true, offerId, includeLegacy = false } = {}) {
+    return this.findAll({
+      where: {
+        productKey,
+        ...this.offerFilter(offerId, includeLegacy),
+        ...(successfulOnly && { success: true }),
+        scrapedAt: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to }),
+        },
+      },
+      orderBy: { scrapedAt: 'asc' },
+    });
+  }
+
+  async findLatest(productKey, { offerId, includeLegacy = false } = {}) {
+    return this.prisma.priceSnapshot.findFirst({
+      where: { productKey, success: true, ...this.offerFilter(offerId, includeLegacy) },
+      orderBy: { scrapedAt: 'desc' },
+    });
+  }
+
+  // Latest successful snapshot per supplier offer, keyed by "productKey:offerId"
+  // offers: [{ productKey, offerId, primary }]; primary offers also match legacy snapshots
+  async findLatestForOffers(offers) {
+    const snapshots = await Promise.all(offers.map(({ productKey, offerId, primary }) =>
+      this.findLatest(productKey, { offerId, includeLegacy: Boolean(primary) })
+    ));
+    return Object.fromEntries(
+      offers
+        .map((offer, index) => [offerKey(offer.productKey, offer.offerId), snapshots[index]])
+        .filter(([, snapshot]) => snapshot)
+    );
+  }
+}
+
+export default PriceSnapshotRepository;
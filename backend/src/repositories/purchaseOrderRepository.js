@@ -0,0 +1,82 @@
+import BaseRepository from './baseRepository.js';
+import { ORDER_AUDIT_ACTIONS, createOrderAuditLog } from './orderRepository.js';
+
+class PurchaseOrderRepository extends BaseRepository {
+  constructor() {
+    super('purchaseOrder');
+  }
+
+  async findByOrder(orderId) {
+    return this.findAll({
+      where: { orderId },
+      orderBy: { poNumber: 'asc' },
+    });
+  }
+
+  async findByPoNumber(poNumber) {
+    return this.findOne({ poNumber }, { order: true });
+  }
+
+  // Creates one PO per supplier group and moves the order to PO_CREATED, all in one transaction.
+  // PO numbers derive from the order number: ORD-...-PO1, ORD-...-PO2, ...
+  async createForOrder(order, drafts, context = {}) {
+    return this.transaction(async (prisma) => {
+      const purchaseOrders = [];
+      for (const [index, draft] of drafts.entries()) {
+        purchaseOrders.push(await prisma.purchaseOrder.create({
+          data: {
+            poNumber: `${order.orderNumber}-PO${index + 1}`,
+            supplier: draft.supplier,
+            lines: draft.lines,
+            subtotal: draft.subtotal,
+            shipping: draft.shipping,
+            total: draft.total,
+            orderId: order.id,
+          },
+        }));
+      }
+
+      await createOrderAuditLog(prisma, order.id, ORDER_AUDIT_ACTIONS.PURCHASE_ORDERS_CREATED, {
+        purchaseOrders: purchaseOrders.map(po => ({ poNumber: po.poNumber, supplier: po.supplier, total: po.total })),
+      }, context);
+
+      if (order.status !== 'PO_CREATED') {
+        await prisma.order.update({ where: { id: order.id }, data: { status: 'PO_CREATED' } });
+        await createOrderAuditLog(prisma, order.id, ORDER_AUDIT_ACTIONS.STATUS_CHANGED, {
+          field: 'status', from: order.status, to: 'PO_CREATED',
+        }, context);
+      }
+
+      return purchaseOrders;
+    });
+  }
+
+  // Status change plus audit entry on the parent order; null if the PO does not exist.
+  // data holds additional fields such as tracking number or timestamps
+  async transitionStatus(id, status, data = {}, context = {}) {
+    return this.transaction(async (prisma) => {
+      const current = await prisma.purchaseOrder.findUnique({ where: { id } });
+      if (!current) return null;
+
+      const purchaseOrder = await prisma.purchaseOrder.update({
+        where: { id },
+        data: { ...data, status },
+      });
+
+      if (current.status !== status) {
+        await createOrderAuditLog(prisma, current.orderId, ORDER_AUDIT_ACTIONS.PURCHASE_ORDER_STATUS_CHANGED, {
+          field: 'status',
+          from: current.status,
+          to: status,
+          poNumber: current.poNumber,
+          supplier: current.supplier,
+          trackingNumber: purchaseOrder.trackingNumber,
+        }, context);
+      }
+
+      return purchaseOrder;
+    });
+  }
+}
+
+export default PurchaseOrderRepository;
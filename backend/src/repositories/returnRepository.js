@@ -0,0 +1,128 @@
+import BaseRepository from './baseRepository.js';
+import { ORDER_AUDIT_ACTIONS, createOrderAuditLog } from './orderRepository.js';
+
+const DETAILS = {
+  items: { include: { orderItem: { select: { id: true, name: true, price: true, quantity: true } } } },
+  order: {
+    select: {
+      id: true,
+      orderNumber: true,
+      userId: true,
+      status: true,
+      paymentStatus: true,
+      total: true,
+      customerInfo: true,
+    },
+  },
+  creditNote: { select: { id: true, number: true, total: true } },
+};
+
+class ReturnRepository extends BaseRepository {
+  constructor() {
+    super('returnRequest');
+  }
+
+  async findByOrder(orderId) {
+    return this.findAll({
+      where: { orderId },
+      include: { items: DETAILS.items, creditNote: DETAILS.creditNote },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  async findWithDetails(id) {
+    return this.findById(id, DETAILS);
+  }
+
+  async findPaginated({ status, page = 1, limit = 20 } = {}) {
+    const where = status ? { status } : {};
+    const [returns, total] = await Promise.all([
+      this.findAll({
+        where,
+        include: DETAILS,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      this.count(where),
+    ]);
+    return { returns, total };
+  }
+
+  // Creates the return with its items plus an audit entry on the order, in one transaction.
+  // RMA numbers derive from the order number: ORD-...-R1, ORD-...-R2, ...
+  async createForOrder(order, data, items, context = {}) {
+    return this.transaction(async (prisma) => {
+      const count = await prisma.returnRequest.count({ where: { orderId: order.id } });
+      const returnRequest = await prisma.returnRequest.create({
+        data: {
+          ...data,
+          rmaNumber: `${order.orderNumber}-R${count + 1}`,
+          orderId: order.id,
+          items: { create: items.map(({ orderItemId, quantity }) => ({ orderItemId, quantity })) },
+        },
+        include: { items: true },
+      });
+
+      await createOrderAuditLog(prisma, order.id, ORDER_AUDIT_ACTIONS.RETURN_REQUESTED, {
+        rmaNumber: returnRequest.rmaNumber,
+        reason: returnRequest.reason,
+        items: items.map(({ orderItemId, quantity }) => ({ orderItemId, quantity })),
+      }, context);
+
+      return returnRequest;
+    });
+  }
+
+  // Atomic status change from an expected status, e.g. to claim a refund exactly once.
+  // null if the return is no longer in status from (another request got there first)
+  async claimStatus(id, from, to, data = {}, context = {}) {
+    return this.transaction(async (prisma) => {
+      const { count } = await prisma.returnRequest.updateMany({
+        where: { id, status: from },
+        data: { ...data, status: to },
+      });
+      if (count === 0) return null;
+
+      const returnRequest = await prisma.returnRequest.findUnique({ where: { id }, include: DETAILS });
+      await createOrderAuditLog(prisma, returnRequest.orderId, ORDER_AUDIT_ACTIONS.RETURN_STATUS_CHANGED, {
+        field: 'status',
+        from,
+        to,
+        rmaNumber: returnRequest.rmaNumber,
+        refundAmount: returnRequest.refundAmount,
+      }, context);
+
+      return returnRequest;
+    });
+  }
+
+  // Status change plus audit entry on the order; null if the return does not exist.
+  // data holds additional fields such as timestamps, refund amounts or item updates
+  async transitionStatus(id, status, data = {}, context = {}) {
+    return this.transaction(async (prisma) => {
+      const current = await prisma.returnRequest.findUnique({ where: { id } });
+      if (!current) return null;
+
+      const returnRequest = await prisma.returnRequest.update({
+        where: { id },
+        data: { ...data, status },
+        include: DETAILS,
+      });
+
+      if (current.status !== status) {
+        await createOrderAuditLog(prisma, current.orderId, ORDER_AUDIT_ACTIONS.RETURN_STATUS_CHANGED, {
+          field: 'status',
+          from: current.status,
+          to: status,
+          rmaNumber: current.rmaNumber,
+          refundAmount: returnRequest.refundAmount,
+        }, context);
+      }
+
+      return returnRequest;
+    });
+  }
+}
+
+export default ReturnRepository;
@@ -101,7 +101,7 @@ class UserRepository extends BaseRepository {
       configurations: {
         include: {
           components: {
-            include: { product: true }
+            include: { component: true }
           },
         },
         orderBy: { updatedAt: 'desc' },
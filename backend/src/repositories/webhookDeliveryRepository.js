@@ -0,0 +1,104 @@
+import BaseRepository from './baseRepository.js';
+
+const SUMMARY = {
+  id: true,
+  event: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  lastAttemptAt: true,
+  deliveredAt: true,
+  responseStatus: true,
+  error: true,
+  createdAt: true,
+  subscriptionId: true,
+};
+
+class WebhookDeliveryRepository extends BaseRepository {
+  constructor() {
+    super('webhookDelivery');
+  }
+
+  async createForSubscriptions(subscriptions, event, payload) {
+    return this.transaction(prisma => Promise.all(subscriptions.map(subscription =>
+      prisma.webhookDelivery.create({
+        data: { subscriptionId: subscription.id, event, payload, nextAttemptAt: new Date() },
+      })
+    )));
+  }
+
+  async findWithAttempts(id) {
+    return this.findById(id, {
+      subscription: { select: { id: true, url: true, description: true } },
+      attemptLog: { orderBy: { createdAt: 'desc' } },
+    });
+  }
+
+  // IDs of pending and retrying deliveries whose next attempt is due, oldest first
+  async findDue(now = new Date(), limit = 50) {
+    const deliveries = await this.prisma.webhookDelivery.findMany({
+      where: { status: { in: ['PENDING', 'RETRYING'] }, nextAttemptAt: { lte: now } },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: limit,
+      select: { id: true },
+    });
+    return deliveries.map(delivery => delivery.id);
+  }
+
+  // Atomically leases a delivery for one attempt by moving nextAttemptAt past the request timeout,
+  // so the retry sweep and an immediate dispatch cannot send it twice; false if not due or already taken
+  async claim(id, leaseUntil, { statuses = ['PENDING', 'RETRYING'], now = new Date(), dueOnly = true } = {}) {
+    const { count } = await this.prisma.webhookDelivery.updateMany({
+      where: {
+        id,
+        status: { in: statuses },
+        ...(dueOnly && { nextAttemptAt: { lte: now } }),
+      },
+      data: { nextAttemptAt: leaseUntil },
+    });
+    return count === 1;
+  }
+
+  // Stores the attempt in the delivery log and the resulting state on the delivery, in one transaction
+  async recordAttempt(id, attempt, state) {
+    return this.transaction(async (prisma) => {
+      await prisma.webhookDeliveryAttempt.create({
+        data: { ...attempt, deliveryId: id },
+      });
+
+      return prisma.webhookDelivery.update({
+        where: { id },
+        data: {
+          status: state.status,
+          attempts: attempt.attempt,
+          nextAttemptAt: state.nextAttemptAt,
+          lastAttemptAt: new Date(),
+          responseStatus: attempt.responseStatus ?? null,
+          error: attempt.error ?? null,
+          ...(attempt.success && { deliveredAt: new Date() }),
+        },
+      });
+    });
+  }
+
+  async findPaginated({ subscriptionId, status, event, page = 1, limit = 20 } = {}) {
+    const where = {
+      ...(subscriptionId && { subscriptionId }),
+      ...(status && { status }),
+      ...(event && { event }),
+    };
+    const [deliveries, total] = await Promise.all([
+      this.prisma.webhookDelivery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        select: SUMMARY,
+      }),
+      this.count(where),
+    ]);
+    return { deliveries, total };
+  }
+}
+
+export default WebhookDeliveryRepository;
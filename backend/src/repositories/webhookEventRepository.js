@@ -0,0 +1,90 @@
+import BaseRepository from './baseRepository.js';
+
+class WebhookEventRepository extends BaseRepository {
+  constructor() {
+    super('webhookEvent');
+  }
+
+  async findByProviderEvent(provider, eventId) {
+    return this.prisma.webhookEvent.findUnique({
+      where: { provider_eventId: { provider, eventId } },
+    });
+  }
+
+  // Stores a new event; null if the provider event ID is already known (concurrent redelivery)
+  async record({ provider, eventId, type, payload }) {
+    try {
+      return await this.create({ provider, eventId, type, payload });
+    } catch (error) {
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  // Atomically takes a failed or ignored event back into processing, so a redelivery and
+  // an admin replay running at the same time cannot both process it; false if not claimable
+  async claim(id, statuses = ['FAILED']) {
+    const { count } = await this.prisma.webhookEvent.updateMany({
+      where: { id, status: { in: statuses } },
+      data: { status: 'RECEIVED', error: null },
+    });
+    return count === 1;
+  }
+
+  async startAttempt(id) {
+    return this.update(id, { attempts: { increment: 1 } });
+  }
+
+  async complete(id, status, orderId = null) {
+    return this.update(id, {
+      status,
+      orderId,
+      error: null,
+      processedAt: new Date(),
+    });
+  }
+
+  async fail(id, error) {
+    return this.update(id, {
+      status: 'FAILED',
+      error: error?.message || String(error),
+    });
+  }
+
+  async findPaginated({ status, provider, page = 1, limit = 20 } = {}) {
+    const where = {
+      ...(status && { status }),
+      ...(provider && { provider }),
+    };
+    const [events, total] = await Promise.all([
+      this.prisma.webhookEvent.findMany({
+        where,
+        orderBy: { receivedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        select: {
+          id: true,
+          provider: true,
+          eventId: true,
+          type: true,
+          status: true,
+          attempts: true,
+          error: true,
+          receivedAt: true,
+          processedAt: true,
+          orderId: true,
+        },
+      }),
+      this.count(where),
+    ]);
+    return { events, total };
+  }
+
+  async findWithOrder(id) {
+    return this.findById(id, {
+      order: { select: { id: true, orderNumber: true, status: true, paymentStatus: true } },
+    });
+  }
+}
+
+export default WebhookEventRepository;
@@ -0,0 +1,31 @@
+import BaseRepository from './baseRepository.js';
+
+class WebhookSubscriptionRepository extends BaseRepository {
+  constructor() {
+    super('webhookSubscription');
+  }
+
+  async findActive() {
+    return this.findAll({ where: { active: true } });
+  }
+
+  // All subscriptions with delivery counts per status for the admin overview
+  async findAllWithStats() {
+    const [subscriptions, stats] = await Promise.all([
+      this.findAll({ orderBy: { createdAt: 'desc' } }),
+      this.prisma.webhookDelivery.groupBy({
+        by: ['subscriptionId', 'status'],
+        _count: { _all: true },
+      }),
+    ]);
+
+    return subscriptions.map(subscription => ({
+      ...subscription,
+      deliveryStats: Object.fromEntries(stats
+        .filter(stat => stat.subscriptionId === subscription.id)
+        .map(stat => [stat.status, stat._count._all])),
+    }));
+  }
+}
+
+export default WebhookSubscriptionRepository;
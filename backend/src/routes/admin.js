@@ -3,16 +3,35 @@ import { asyncHandler } from '../middleware/error.js';
 import { protect, requireAdmin, requireVerifiedEmail } from '../middleware/auth.js';
 import { authRateLimiter } from '../middleware/security.js';
 import { auditAdmin, getAuditLogs } from '../middleware/audit.js';
+import { validate, schemas } from '../middleware/validation.js';
 import { authService } from '../services/authService.js';
 import { logger } from '../lib/logger.js';
+import { priceScheduler } from '../scraper/price-scheduler.js';
+import TaxService from '../services/taxService.js';
+import PaymentWebhookService from '../services/paymentWebhookService.js';
+import BankReconciliationService from '../services/bankReconciliationService.js';
+import ReturnService from '../services/returnService.js';
+import webhookDeliveryService from '../services/webhookDeliveryService.js';
+import jobQueue from '../services/jobQueue.js';
+import ManualDocumentService from '../services/manualDocumentService.js';
+import catalogService from '../services/catalogService.js';
+import pricingService from '../services/pricingService.js';
+import PresetService from '../services/presetService.js';
+import { ossReportToCsv } from '../utils/tax.js';
 
 const router = express.Router();
+const taxService = new TaxService();
+const webhookService = new PaymentWebhookService();
+const bankReconciliationService = new BankReconciliationService();
+const returnService = new ReturnService();
+const manualDocumentService = new ManualDocumentService();
+const presetService = new PresetService();
 
 // Apply admin authentication to all routes
 router.use(authRateLimiter); // Stricter rate limiting for admin
 router.use(protect); // Require authentication
 router.use(requireVerifiedEmail); // Require verified email
-router.use(requireAdmin); // Require admin role
+router.use(requireAdmin); // Require admin role and 2FA (mandatory for admins)
 router.use(auditAdmin); // Audit all admin actions
 
 // Admin dashboard stats
@@ -140,14 +159,90 @@ router.put('/config/system', asyncHandler(async (req, res) => {
   });
 }));
 
-// Product management
-router.get('/products', asyncHandler(async (req, res) => {
-  // This would typically fetch from database with admin-specific fields
+// Parts catalog: every component including inactive ones; single parts are edited via /api/components
+router.get('/catalog', asyncHandler(async (req, res) => {
+  const components = await catalogService.listComponents();
+
   res.json({
     success: true,
-    data: {
-      message: 'Product management endpoint - implement database integration'
-    }
+    data: { components }
+  });
+}));
+
+// Full catalog export (JSON or CSV), e.g. to edit supplier prices offline and import them again
+router.get('/catalog/export', asyncHandler(async (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  const catalog = await catalogService.exportCatalog(format);
+  const date = new Date().toISOString().slice(0, 10);
+
+  logger.info('Catalog exported', { adminId: req.user.id, format });
+
+  res.setHeader('Content-Disposition', `attachment; filename="catalog-${date}.${format}"`);
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    return res.send(catalog);
+  }
+
+  res.json({
+    success: true,
+    data: { components: catalog }
+  });
+}));
+
+// Configurator margins; configurator orders are priced from these on the server
+router.put('/pricing', validate(schemas.updatePricing), asyncHandler(async (req, res) => {
+  const pricing = await pricingService.updatePricing(req.body, { userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: { pricing }
+  });
+}));
+
+// Bulk import from CSV or JSON; dryRun (default) returns the diff and per-row errors without saving
+router.post('/catalog/import', validate(schemas.importCatalog), asyncHandler(async (req, res) => {
+  const result = await catalogService.importCatalog(req.body, { userId: req.user.id });
+
+  res.status(result.applied ? 201 : 200).json({
+    success: true,
+    data: result
+  });
+}));
+
+// Team presets: curated presets with translated labels and notes, listed for every user
+router.get('/presets', asyncHandler(async (req, res) => {
+  const presets = await presetService.listTeamPresets();
+
+  res.json({
+    success: true,
+    data: { presets }
+  });
+}));
+
+router.post('/presets', validate(schemas.publishPreset), asyncHandler(async (req, res) => {
+  const preset = await presetService.publishTeamPreset(req.body, { userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: { preset }
+  });
+}));
+
+router.put('/presets/:id', validate(schemas.updateTeamPreset), asyncHandler(async (req, res) => {
+  const preset = await presetService.updateTeamPreset(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: { preset }
+  });
+}));
+
+router.delete('/presets/:id', asyncHandler(async (req, res) => {
+  await presetService.deleteTeamPreset(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Preset deleted successfully'
   });
 }));
 
@@ -445,6 +540,376 @@ router.post('/users/:id/logout', asyncHandler(async (req, res) => {
   });
 }));
 
+// Price scraping: scheduler status and recent runs with failures and alerts
+router.get('/price-scraping', asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const runs = await priceScheduler.getRecentRuns(limit);
+
+  res.json({
+    success: true,
+    data: {
+      scheduler: priceScheduler.getStatus(),
+      runs
+    }
+  });
+}));
+
+// Price scraping: queue a run outside the schedule
+router.post('/price-scraping/run', asyncHandler(async (req, res) => {
+  // An already queued or running scrape is returned instead of a second one
+  const job = await priceScheduler.enqueueRun('manual');
+
+  logger.info('Price scraping triggered by admin', { adminId: req.user.id, jobId: job.id, status: job.status });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      message: job.status === 'RUNNING' ? 'Price scraping already running' : 'Price scraping queued',
+      job: { id: job.id, status: job.status }
+    }
+  });
+}));
+
+// VAT: quarterly One-Stop-Shop report (JSON or CSV for the OSS return)
+router.get('/tax/oss-report', asyncHandler(async (req, res) => {
+  const now = new Date();
+  const year = parseInt(req.query.year) || now.getUTCFullYear();
+  const quarter = parseInt(req.query.quarter) || Math.floor(now.getUTCMonth() / 3) + 1;
+
+  const report = await taxService.getOssReport({ year, quarter });
+
+  logger.info('OSS report generated', { adminId: req.user.id, year, quarter, rows: report.rows.length });
+
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="oss-${year}-Q${quarter}.csv"`);
+    return res.send(ossReportToCsv(report));
+  }
+
+  res.json({
+    success: true,
+    data: { report }
+  });
+}));
+
+// Payment webhook events, newest first; filter by status (e.g. FAILED) and provider
+router.get('/webhook-events', asyncHandler(async (req, res) => {
+  const { status, provider } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const result = await webhookService.listEvents({
+    status: status ? String(status).toUpperCase() : undefined,
+    provider,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// Single webhook event with payload for inspection
+router.get('/webhook-events/:id', asyncHandler(async (req, res) => {
+  const event = await webhookService.getEvent(req.params.id);
+
+  res.json({
+    success: true,
+    data: { event }
+  });
+}));
+
+// Process a failed or ignored webhook event again with its stored payload
+router.post('/webhook-events/:id/replay', asyncHandler(async (req, res) => {
+  const event = await webhookService.replay(req.params.id, { adminId: req.user.id });
+
+  res.json({
+    success: event.status !== 'FAILED',
+    data: { event }
+  });
+}));
+
+// Outgoing webhook endpoints with delivery counts per status; secrets are masked
+router.get('/webhook-subscriptions', asyncHandler(async (req, res) => {
+  const subscriptions = await webhookDeliveryService.listSubscriptions();
+
+  res.json({
+    success: true,
+    data: { subscriptions }
+  });
+}));
+
+// Register an endpoint; the signing secret is only returned in this response
+router.post('/webhook-subscriptions', validate(schemas.createWebhookSubscription), asyncHandler(async (req, res) => {
+  const subscription = await webhookDeliveryService.createSubscription(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: { subscription }
+  });
+}));
+
+// Change URL, events or active flag; rotateSecret=true returns the new secret once
+router.patch('/webhook-subscriptions/:id', validate(schemas.updateWebhookSubscription), asyncHandler(async (req, res) => {
+  const subscription = await webhookDeliveryService.updateSubscription(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: { subscription }
+  });
+}));
+
+router.delete('/webhook-subscriptions/:id', asyncHandler(async (req, res) => {
+  await webhookDeliveryService.deleteSubscription(req.params.id);
+
+  res.json({
+    success: true,
+    data: { message: 'Webhook subscription deleted' }
+  });
+}));
+
+// Send a signed "ping" event to test the endpoint
+router.post('/webhook-subscriptions/:id/ping', asyncHandler(async (req, res) => {
+  const delivery = await webhookDeliveryService.ping(req.params.id);
+
+  res.json({
+    success: delivery.status === 'SUCCEEDED',
+    data: { delivery }
+  });
+}));
+
+// Delivery log, newest first; filter by subscription, status or event
+router.get('/webhook-deliveries', asyncHandler(async (req, res) => {
+  const { subscriptionId, status, event } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const result = await webhookDeliveryService.listDeliveries({
+    subscriptionId,
+    status: status ? String(status).toUpperCase() : undefined,
+    event,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// Single delivery with payload and every attempt
+router.get('/webhook-deliveries/:id', asyncHandler(async (req, res) => {
+  const delivery = await webhookDeliveryService.getDelivery(req.params.id);
+
+  res.json({
+    success: true,
+    data: { delivery }
+  });
+}));
+
+// Send a delivery again with its original payload and a fresh signature
+router.post('/webhook-deliveries/:id/redeliver', asyncHandler(async (req, res) => {
+  const delivery = await webhookDeliveryService.redeliver(req.params.id);
+
+  res.json({
+    success: delivery.status === 'SUCCEEDED',
+    data: { delivery }
+  });
+}));
+
+// Background jobs, newest first, with counts per status and the worker's configuration
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const { status, type } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const result = await jobQueue.listJobs({
+    status: status ? String(status).toUpperCase() : undefined,
+    type,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: { ...result, worker: jobQueue.getStatus() }
+  });
+}));
+
+// Single job with payload, result and last error
+router.get('/jobs/:id', asyncHandler(async (req, res) => {
+  const job = await jobQueue.getJob(req.params.id);
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+}));
+
+// Run a dead-lettered, cancelled or waiting job again right away
+router.post('/jobs/:id/retry', asyncHandler(async (req, res) => {
+  const job = await jobQueue.retry(req.params.id);
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+}));
+
+// Discard a queued job
+router.post('/jobs/:id/cancel', asyncHandler(async (req, res) => {
+  const job = await jobQueue.cancel(req.params.id);
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+}));
+
+// Stored assembly manuals, newest first; filter by configurationId, orderId, status or language
+router.get('/manuals', asyncHandler(async (req, res) => {
+  const { configurationId, orderId, status, language } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const result = await manualDocumentService.listManuals({
+    configurationId,
+    orderId,
+    status: status ? String(status).toUpperCase() : undefined,
+    language,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// Publish a draft manual; the previously published version of its series is archived
+router.post('/manuals/:id/publish', asyncHandler(async (req, res) => {
+  const manual = await manualDocumentService.publish(req.params.id);
+
+  res.json({
+    success: true,
+    data: { manual: manualDocumentService.toDocument(manual) }
+  });
+}));
+
+router.post('/manuals/:id/archive', asyncHandler(async (req, res) => {
+  const manual = await manualDocumentService.archive(req.params.id);
+
+  res.json({
+    success: true,
+    data: { manual: manualDocumentService.toDocument(manual) }
+  });
+}));
+
+// Import a bank statement (CAMT.053 XML or CSV) and match incoming transfers to pending orders
+router.post('/bank-statements', validate(schemas.importBankStatement), asyncHandler(async (req, res) => {
+  const result = await bankReconciliationService.importStatement(req.body, { userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: result
+  });
+}));
+
+// Imported bank transfers, newest first; flagged=true lists unmatched, partial and overpaid ones not yet reviewed
+router.get('/bank-transactions', asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const transactions = await bankReconciliationService.listTransactions({
+    flagged: req.query.flagged === 'true',
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: { transactions }
+  });
+}));
+
+// Assign an unmatched transfer to a pending order by order number
+router.post('/bank-transactions/:id/assign', validate(schemas.assignBankTransaction), asyncHandler(async (req, res) => {
+  const transaction = await bankReconciliationService.assign(req.params.id, req.body.orderNumber, { userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: { transaction }
+  });
+}));
+
+// Mark a flagged transfer as handled (e.g. excess refunded)
+router.post('/bank-transactions/:id/review', asyncHandler(async (req, res) => {
+  const transaction = await bankReconciliationService.markReviewed(req.params.id, { userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: { transaction }
+  });
+}));
+
+// Returns (RMA), newest first
+router.get('/returns', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const result = await returnService.listReturns({
+    status: req.query.status ? String(req.query.status).toUpperCase() : undefined,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+router.get('/returns/:id', asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.getReturn(req.params.id);
+
+  res.json({
+    success: true,
+    data: { return: returnRequest }
+  });
+}));
+
+// Return workflow: approve or reject the request, confirm receipt of the parts
+router.post('/returns/:id/:action(approve|reject|receive)', validate(schemas.returnNote), asyncHandler(async (req, res) => {
+  const { id, action } = req.params;
+  const returnRequest = await returnService[action](id, req.body, { userId: req.user.id, note: req.body.note });
+
+  res.json({
+    success: true,
+    data: { return: returnRequest }
+  });
+}));
+
+// Inspection result per item; computes the refund from the accepted quantities
+router.post('/returns/:id/inspect', validate(schemas.inspectReturn), asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.inspect(req.params.id, req.body, { userId: req.user.id, note: req.body.note });
+
+  res.json({
+    success: true,
+    data: { return: returnRequest }
+  });
+}));
+
+// Refund an inspected return through the payment provider and issue the credit note
+router.post('/returns/:id/refund', asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.refund(req.params.id, { userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: { return: returnRequest }
+  });
+}));
+
 // Send admin notification
 router.post('/notifications', asyncHandler(async (req, res) => {
   const { title, message, level = 'info', recipients = 'all' } = req.body;
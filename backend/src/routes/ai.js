@@ -3,6 +3,7 @@ import express from 'express';
 import OpenAI from 'openai';
 import { protect } from '../middleware/auth.js';
 import { logger } from '../lib/logger.js';
+import { checkCompatibilityRules, mergeCompatibilityResults, normalizeComponents } from '../utils/compatibilityRules.js';
 
 const router = express.Router();
 
@@ -370,6 +371,7 @@ Bitte erstelle eine vollständige Konfiguration im JSON-Format mit passenden Kom
 /**
  * POST /api/ai/compatibility
  * Kompatibilitätsprüfung zwischen Komponenten
+ * Regelprüfung (utils/compatibilityRules.js) bestimmt das Urteil, das LLM ergänzt Hinweise
  */
 router.post('/compatibility', async (req, res) => {
   try {
@@ -385,6 +387,10 @@ router.post('/compatibility', async (req, res) => {
     const userId = req.user?.id || 'anonymous';
     checkRateLimit(userId);
 
+    // Regelbasierte Prüfung zuerst – deterministisch und offline verfügbar
+    const { items, unknown } = normalizeComponents(components);
+    const rules = checkCompatibilityRules(items);
+
     const systemMessage = {
       role: 'system',
       content: `Du bist ein Experte für Roboter-Komponenten-Kompatibilität.
@@ -395,6 +401,9 @@ Analysiere die gegebenen Komponenten auf:
 - Software-Kompatibilität
 - Mögliche Konflikte oder Probleme
 
+Bereits regelbasiert geprüft (nicht wiederholen oder widersprechen):
+${rules.issues.map(issue => `- ${issue.message}`).join('\n') || '- Keine Probleme bei I²C, USB, Servo-Kanälen und Spannungen'}
+
 Antworte im JSON-Format:
 {
   "compatible": true/false,
@@ -409,43 +418,42 @@ Antworte im JSON-Format:
       content: `Prüfe die Kompatibilität dieser Komponenten:\n\n${JSON.stringify(components, null, 2)}`
     };
 
-    const { response, provider } = await chatCompletion([systemMessage, userMessage]);
-    const responseContent = response.choices[0]?.message?.content || '';
-    
+    // LLM ergänzt die Regeln; ohne Provider oder bei ungültiger Antwort bleibt es beim Regelergebnis
+    let llmResult = null;
+    let provider = null;
     try {
+      const completion = await chatCompletion([systemMessage, userMessage]);
+      provider = completion.provider;
+      const responseContent = completion.response.choices[0]?.message?.content || '';
       const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
-        const compatibility = JSON.parse(jsonMatch[0]);
-        
-        res.json({
-          success: true,
-          compatibility,
-          components: components.length,
-          timestamp: new Date().toISOString()
-        });
-
-        logger.info('AI Compatibility Check', {
-          userId,
-          componentCount: components.length,
-          compatible: compatibility.compatible,
-          confidence: compatibility.confidence
-        });
+        llmResult = JSON.parse(jsonMatch[0]);
       } else {
-        throw new Error('Keine gültige JSON-Antwort');
+        logger.warn('AI Compatibility: Keine gültige JSON-Antwort', { provider });
       }
-    } catch (parseError) {
-      res.json({
-        success: true,
-        compatibility: {
-          compatible: null,
-          issues: ['Fehler bei der Kompatibilitätsprüfung'],
-          recommendations: [],
-          confidence: 0
-        },
-        rawResponse: responseContent
-      });
+    } catch (llmError) {
+      logger.warn('AI Compatibility: LLM nicht verfügbar, nur Regelprüfung', { error: llmError.message });
     }
 
+    const compatibility = mergeCompatibilityResults(rules, llmResult);
+
+    res.json({
+      success: true,
+      compatibility,
+      unknownComponents: unknown,
+      components: components.length,
+      provider,
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info('AI Compatibility Check', {
+      userId,
+      componentCount: components.length,
+      compatible: compatibility.compatible,
+      ruleIssues: rules.issues.length,
+      source: compatibility.source
+    });
+
   } catch (error) {
     logger.error('AI Compatibility Error', { error: error.message });
     
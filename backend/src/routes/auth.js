@@ -8,10 +8,14 @@ import { validate } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/error.js';
 import { logger } from '../lib/logger.js';
 import { sessionService } from '../services/sessionService.js';
+import { twoFactorService } from '../services/twoFactorService.js';
 import { generateCSRFToken, verifyCSRFToken } from '../middleware/csrf.js';
 
 const router = express.Router();
 
+// Cookie holding the trusted-device token that skips the 2FA challenge
+const TRUSTED_DEVICE_COOKIE = 'trustedDevice';
+
 // Rate limiters for auth endpoints
 const strictLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -45,6 +49,27 @@ const loginSchema = z.object({
   })
 });
 
+const twoFactorChallengeSchema = z.object({
+  body: z.object({
+    challengeToken: z.string().min(1, 'Challenge token is required')
+  })
+});
+
+const twoFactorLoginSchema = z.object({
+  body: z.object({
+    challengeToken: z.string().min(1, 'Challenge token is required'),
+    code: z.string().min(6, 'Code is required').max(20),
+    trustDevice: z.boolean().optional(),
+    deviceName: z.string().min(1).max(100).optional()
+  })
+});
+
+const twoFactorCodeSchema = z.object({
+  body: z.object({
+    code: z.string().min(6, 'Code is required').max(20)
+  })
+});
+
 const refreshTokenSchema = z.object({
   body: z.object({
     refreshToken: z.string().min(1, 'Refresh token is required')
@@ -108,9 +133,47 @@ router.post('/register',
   })
 );
 
+// Sets the refresh token cookie, sends the login notification and returns the tokens
+const sendLoginSuccess = async (req, res, result, extra = {}) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent') || 'Unknown';
+
+  // Set refresh token as HTTP-only cookie
+  res.cookie('refreshToken', result.refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+
+  // Send login notification email (optional, for security)
+  try {
+    await emailService.sendLoginNotificationEmail(result.user, {
+      ipAddress,
+      userAgent,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.warn('Failed to send login notification', { 
+      email: result.user.email, 
+      error: error.message 
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: result.user,
+      accessToken: result.accessToken,
+      ...extra
+    }
+  });
+};
+
 /**
  * @route   POST /api/auth/login
- * @desc    Login user
+ * @desc    Login user; returns a two-factor challenge instead of tokens when 2FA applies
  * @access  Public
  */
 router.post('/login',
@@ -123,37 +186,70 @@ router.post('/login',
 
     logger.info('Login attempt', { email, ipAddress });
 
-    const result = await authService.login(email, password, ipAddress, userAgent);
-
-    // Set refresh token as HTTP-only cookie
-    res.cookie('refreshToken', result.refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    const result = await authService.login(email, password, ipAddress, userAgent, {
+      trustedDeviceToken: req.cookies?.[TRUSTED_DEVICE_COOKIE]
     });
 
-    // Send login notification email (optional, for security)
-    try {
-      await emailService.sendLoginNotificationEmail(result.user, {
-        ipAddress,
-        userAgent,
-        timestamp: new Date()
+    if (result.twoFactorRequired) {
+      return res.json({
+        success: true,
+        message: result.setupRequired ? 'Two-factor setup required' : 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          setupRequired: result.setupRequired,
+          challengeToken: result.challengeToken
+        }
       });
-    } catch (error) {
-      logger.warn('Failed to send login notification', { 
-        email, 
-        error: error.message 
+    }
+
+    await sendLoginSuccess(req, res, result);
+  })
+);
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a TOTP or recovery code (or the first code of a required setup)
+ * @access  Public (requires challenge token)
+ */
+router.post('/login/2fa',
+  strictLimiter,
+  validate(twoFactorLoginSchema),
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code, trustDevice, deviceName } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent') || 'Unknown';
+
+    const result = await authService.verifyTwoFactorLogin(challengeToken, code, ipAddress, userAgent);
+
+    if (trustDevice) {
+      const device = await twoFactorService.trustDevice(result.user.id, deviceName || userAgent.slice(0, 100));
+      res.cookie(TRUSTED_DEVICE_COOKIE, device.token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        expires: device.expiresAt
       });
     }
 
+    await sendLoginSuccess(req, res, result, result.recoveryCodes ? { recoveryCodes: result.recoveryCodes } : {});
+  })
+);
+
+/**
+ * @route   POST /api/auth/login/2fa/setup
+ * @desc    Start the mandatory 2FA enrollment during login (QR code and secret)
+ * @access  Public (requires setup challenge token)
+ */
+router.post('/login/2fa/setup',
+  moderateLimiter,
+  validate(twoFactorChallengeSchema),
+  asyncHandler(async (req, res) => {
+    const challenge = twoFactorService.verifyChallenge(req.body.challengeToken, ['setup']);
+    const setup = await twoFactorService.beginSetup(challenge.id);
+
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: result.user,
-        accessToken: result.accessToken
-      }
+      data: setup
     });
   })
 );
@@ -500,6 +596,120 @@ router.post('/sessions/terminate-all',
   })
 );
 
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status, remaining recovery codes and trusted devices
+ * @access  Private
+ */
+router.get('/2fa',
+  protect,
+  asyncHandler(async (req, res) => {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (QR code and secret for the authenticator app)
+ * @access  Private
+ */
+router.post('/2fa/setup',
+  protect,
+  asyncHandler(async (req, res) => {
+    const setup = await twoFactorService.beginSetup(req.user.id);
+
+    res.json({
+      success: true,
+      data: setup
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code from the app; returns the recovery codes once
+ * @access  Private
+ */
+router.post('/2fa/enable',
+  protect,
+  validate(twoFactorCodeSchema),
+  asyncHandler(async (req, res) => {
+    const { recoveryCodes } = await twoFactorService.enable(req.user.id, req.body.code);
+    const user = await authService.getCurrentUser(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes,
+        // New token with the twoFactorEnabled claim
+        accessToken: authService.generateAccessToken(user)
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (not allowed for roles where it is mandatory)
+ * @access  Private
+ */
+router.post('/2fa/disable',
+  protect,
+  validate(twoFactorCodeSchema),
+  asyncHandler(async (req, res) => {
+    await twoFactorService.disable(req.user.id, req.body.code);
+    res.clearCookie(TRUSTED_DEVICE_COOKIE);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+  protect,
+  validate(twoFactorCodeSchema),
+  asyncHandler(async (req, res) => {
+    const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/auth/2fa/trusted-devices
+ * @desc    Forget all trusted devices; every device needs a code again
+ * @access  Private
+ */
+router.delete('/2fa/trusted-devices',
+  protect,
+  asyncHandler(async (req, res) => {
+    const count = await twoFactorService.forgetTrustedDevices(req.user.id);
+    res.clearCookie(TRUSTED_DEVICE_COOKIE);
+
+    res.json({
+      success: true,
+      message: `${count} trusted devices removed`,
+      data: { count }
+    });
+  })
+);
+
 /**
  * @route   POST /api/auth/trust-device
  * @desc    Trust current device
@@ -2,7 +2,11 @@ import express from 'express';
 import { ComponentRepository } from '../repositories/index.js';
 import { asyncHandler } from '../middleware/error.js';
 import { validate, schemas } from '../middleware/validation.js';
+import { protect, requireAdmin } from '../middleware/auth.js';
 import { logger } from '../lib/logger.js';
+import catalogService from '../services/catalogService.js';
+import pricingService from '../services/pricingService.js';
+import { buildSupplierBreakdown } from '../utils/supplierOffers.js';
 import { productLocalizationMiddleware } from '../utils/productTranslator.js';
 import { languageMiddleware } from '../i18n/index.js';
 
@@ -13,80 +17,61 @@ const componentRepository = new ComponentRepository();
 router.use(languageMiddleware);
 router.use(productLocalizationMiddleware);
 
-// GET /api/components - Get all components with filtering
-router.get('/', 
-  validate(schemas.pagination, 'query'),
+// GET /api/components - Parts catalog of the configurator (from the database, see CatalogService)
+router.get('/', asyncHandler(async (req, res) => {
+  const { category, search } = req.query;
+
+  const catalog = catalogService.getCatalog({ category, search });
+
+  res.json({
+    success: true,
+    data: {
+      components: catalog.parts,
+      categories: catalog.categories,
+      source: catalog.source,
+      loadedAt: catalog.loadedAt,
+    },
+  });
+}));
+
+// GET /api/components/pricing - Margins the server applies to configurator orders (edited via PUT /api/admin/pricing)
+router.get('/pricing', asyncHandler(async (req, res) => {
+  const pricing = await pricingService.getPricing();
+
+  res.json({
+    success: true,
+    data: { pricing },
+  });
+}));
+
+// POST /api/components/offers - Supplier per line and shipping per supplier for a bill of materials
+// The configurator shows this selection; configurator orders pick their suppliers the same way,
+// with live prices and availability from the stored price snapshots
+router.post('/offers',
+  validate(schemas.supplierBreakdown, 'body'),
   asyncHandler(async (req, res) => {
-    const { 
-      page = 1, 
-      limit = 20, 
-      category, 
-      availability, 
-      difficulty, 
-      search,
-      sortBy = 'name',
-      sortOrder = 'asc'
-    } = req.query;
-    
-    logger.info('Fetching components', { 
-      page, limit, category, availability, difficulty, search 
-    });
-    
-    let components;
-    const options = {
-      orderBy: { [sortBy]: sortOrder },
-      skip: (page - 1) * limit,
-      take: parseInt(limit),
-    };
+    const { items, offerPreference } = req.body;
 
-    // Apply filters based on query parameters
-    if (search) {
-      components = await componentRepository.searchComponents(search, options);
-    } else if (category) {
-      components = await componentRepository.findByCategory(category, options);
-    } else if (availability) {
-      components = await componentRepository.findAll({
-        where: { availability },
-        ...options,
-      });
-    } else if (difficulty) {
-      components = await componentRepository.findByDifficulty(difficulty, options);
-    } else {
-      components = await componentRepository.findAll(options);
-    }
+    const live = await pricingService.getLiveOffers(Object.keys(items));
+    const breakdown = buildSupplierBreakdown(items, offerPreference, live);
 
-    const total = await componentRepository.count(
-      search ? {
-        OR: [
-          { name: { contains: search, mode: 'insensitive' } },
-          { description: { contains: search, mode: 'insensitive' } },
-        ],
-      } : category ? { category } : {}
-    );
-    
     res.json({
       success: true,
-      data: {
-        components,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit),
-        },
-      },
+      data: { breakdown },
     });
   })
 );
 
 // POST /api/components - Create new component (Admin only)
 router.post('/',
-  // TODO: Add admin authentication middleware
+  protect,
+  requireAdmin,
   validate(schemas.createComponent, 'body'),
   asyncHandler(async (req, res) => {
     logger.info('Creating component', { name: req.body.name });
     
     const component = await componentRepository.createWithValidation(req.body);
+    await catalogService.refresh();
     
     res.status(201).json({
       success: true,
@@ -106,6 +91,11 @@ router.get('/categories', asyncHandler(async (req, res) => {
     { id: 'ACTUATORS', name: 'Actuators', description: 'Motors, servos, and actuators' },
     { id: 'ELECTRONICS', name: 'Electronics', description: 'Control boards, processors, and electronics' },
     { id: 'ACCESSORIES', name: 'Accessories', description: 'Additional components and tools' },
+    { id: 'SERVO', name: 'Servos', description: 'Configurator parts: servo motors' },
+    { id: 'CONTROLLER', name: 'Controllers', description: 'Configurator parts: boards, drivers and computers' },
+    { id: 'SENSOR', name: 'Sensors', description: 'Configurator parts: IMUs and cameras' },
+    { id: 'POWER', name: 'Power Supply', description: 'Configurator parts: regulators, power supplies and batteries' },
+    { id: 'MISC', name: 'Miscellaneous', description: 'Configurator parts: filament, fasteners and other material' },
   ];
   
   res.json({
@@ -149,7 +139,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
 
 // PUT /api/components/:id - Update component (Admin only)
 router.put('/:id',
-  // TODO: Add admin authentication middleware
+  protect,
+  requireAdmin,
   validate(schemas.updateComponent, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -157,6 +148,7 @@ router.put('/:id',
     logger.info('Updating component', { componentId: id });
     
     const component = await componentRepository.update(id, req.body);
+    await catalogService.refresh();
     
     res.json({
       success: true,
@@ -167,13 +159,15 @@ router.put('/:id',
 
 // DELETE /api/components/:id - Delete component (Admin only)
 router.delete('/:id',
-  // TODO: Add admin authentication middleware
+  protect,
+  requireAdmin,
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     
     logger.info('Deleting component', { componentId: id });
     
     await componentRepository.delete(id);
+    await catalogService.refresh();
     
     res.json({
       success: true,
@@ -222,7 +216,8 @@ router.get('/category/:category',
 
 // PATCH /api/components/:id/availability - Update component availability
 router.patch('/:id/availability',
-  // TODO: Add admin authentication middleware
+  protect,
+  requireAdmin,
   validate(schemas.updateAvailability, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -231,6 +226,7 @@ router.patch('/:id/availability',
     logger.info('Updating component availability', { componentId: id, availability });
     
     const component = await componentRepository.updateAvailability(id, availability);
+    await catalogService.refresh();
     
     res.json({
       success: true,
@@ -241,7 +237,8 @@ router.patch('/:id/availability',
 
 // PUT /api/components/:id/instructions - Update assembly instructions
 router.put('/:id/instructions',
-  // TODO: Add admin authentication middleware
+  protect,
+  requireAdmin,
   validate(schemas.updateInstructions, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -255,6 +252,7 @@ router.put('/:id/instructions',
       toolsRequired, 
       timeEstimate
     );
+    await catalogService.refresh();
     
     res.json({
       success: true,
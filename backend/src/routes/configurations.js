@@ -2,13 +2,22 @@ import express from 'express';
 import { ConfigurationRepository } from '../repositories/index.js';
 import { asyncHandler } from '../middleware/error.js';
 import { validate, schemas } from '../middleware/validation.js';
+import { optionalAuth, protect, requireAdmin } from '../middleware/auth.js';
+import { languageMiddleware, resolveLanguage } from '../i18n/index.js';
 import { logger } from '../lib/logger.js';
+import ConfigurationService from '../services/configurationService.js';
+import ManualDocumentService from '../services/manualDocumentService.js';
+import { calculatePowerBudget } from '../utils/powerBudget.js';
 
 const router = express.Router();
 const configurationRepository = new ConfigurationRepository();
+const configurationService = new ConfigurationService();
+const manualDocumentService = new ManualDocumentService();
 
 // GET /api/configurations - Get configurations with filtering
+// Private configurations are only listed for their owner (userId filter) and for admins
 router.get('/', 
+  optionalAuth,
   validate(schemas.pagination, 'query'),
   asyncHandler(async (req, res) => {
     const { 
@@ -26,6 +35,9 @@ router.get('/',
       page, limit, userId, isPublic, search 
     });
     
+    const isAdmin = req.user?.role === 'ADMIN';
+    const publicOnly = userId ? !configurationService.canSeePrivate(userId, req.user) : !isAdmin || isPublic === 'true';
+
     let configurations;
     const options = {
       orderBy: { [sortBy]: sortOrder },
@@ -39,15 +51,15 @@ router.get('/',
       const tagArray = Array.isArray(tags) ? tags : [tags];
       configurations = await configurationRepository.findByTags(tagArray, options);
     } else if (userId) {
-      configurations = await configurationRepository.findByUser(userId, options);
-    } else if (isPublic === 'true') {
+      configurations = await configurationRepository.findByUser(userId, { ...options, publicOnly });
+    } else if (publicOnly) {
       configurations = await configurationRepository.findPublicConfigurations(options);
     } else {
       configurations = await configurationRepository.findAll({
         include: {
           user: { select: { id: true, name: true } },
           components: {
-            include: { product: true }
+            include: { component: true }
           },
         },
         ...options,
@@ -64,7 +76,13 @@ router.get('/',
         },
         { isPublic: true },
       ],
-    } : userId ? { userId } : isPublic === 'true' ? { isPublic: true } : {};
+    } : tags ? {
+      tags: { array_contains: Array.isArray(tags) ? tags : [tags] },
+      isPublic: true,
+    } : userId ? {
+      userId,
+      ...(publicOnly && { isPublic: true }),
+    } : publicOnly ? { isPublic: true } : {};
 
     const total = await configurationRepository.count(whereClause);
     
@@ -83,12 +101,13 @@ router.get('/',
   })
 );
 
-// POST /api/configurations - Create new configuration
+// POST /api/configurations - Create new configuration, owned by the logged-in user (anonymous: no owner)
 router.post('/',
-  // TODO: Add authentication middleware
+  optionalAuth,
   validate(schemas.createConfiguration, 'body'),
   asyncHandler(async (req, res) => {
-    const { name, description, components, isPublic, tags, userId } = req.body;
+    const { name, description, components, isPublic, tags } = req.body;
+    const userId = req.user?.id ?? null;
     
     logger.info('Creating configuration', { name, userId });
     
@@ -118,6 +137,20 @@ router.post('/',
   })
 );
 
+// POST /api/configurations/power - Power budget of an unsaved bill of materials (live view of the configurator)
+// Saved configurations get it as part of POST /api/configurations/:id/validate
+router.post('/power',
+  validate(schemas.calculatePower, 'body'),
+  asyncHandler(async (req, res) => {
+    const power = calculatePowerBudget(req.body.items);
+
+    res.json({
+      success: true,
+      data: { power },
+    });
+  })
+);
+
 // GET /api/configurations/popular - Get popular configurations
 router.get('/popular', asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
@@ -130,24 +163,47 @@ router.get('/popular', asyncHandler(async (req, res) => {
   });
 }));
 
-// GET /api/configurations/:id - Get single configuration
-router.get('/:id', asyncHandler(async (req, res) => {
+// GET /api/configurations/mine - Configurations of the logged-in user with their revision count
+router.get('/mine',
+  protect,
+  asyncHandler(async (req, res) => {
+    const configurations = await configurationRepository.findByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: { configurations },
+    });
+  })
+);
+
+// GET /api/configurations/shared/:slug - Read-only view behind a share link (BOM, cost breakdown, manual)
+router.get('/shared/:slug',
+  optionalAuth,
+  languageMiddleware,
+  asyncHandler(async (req, res) => {
+    const shared = await configurationService.getSharedConfiguration(req.params.slug, {
+      viewerId: req.user?.id,
+      language: resolveLanguage(req.query.language) || req.language,
+    });
+
+    res.json({
+      success: true,
+      data: shared,
+    });
+  })
+);
+
+// GET /api/configurations/:id - Get single configuration (public ones, or own/any for admins)
+router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
   const { id } = req.params;
   
-  const configuration = await configurationRepository.findById(id, {
+  const configuration = await configurationService.getVisibleConfiguration(id, req.user, {
     user: { select: { id: true, name: true } },
     components: {
-      include: { product: true }
+      include: { component: true }
     },
   });
   
-  if (!configuration) {
-    return res.status(404).json({
-      success: false,
-      error: { message: 'Configuration not found' },
-    });
-  }
-  
   logger.info('Fetched configuration', { configurationId: id });
   
   res.json({
@@ -156,13 +212,15 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
-// PUT /api/configurations/:id - Update configuration
+// PUT /api/configurations/:id - Update own configuration (admins: any)
 router.put('/:id',
-  // TODO: Add authentication middleware and ownership check
+  protect,
   validate(schemas.updateConfiguration, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { name, description, components, isPublic, tags } = req.body;
+
+    await configurationService.getOwnedConfiguration(id, req.user);
     
     logger.info('Updating configuration', { configurationId: id });
     
@@ -182,11 +240,18 @@ router.put('/:id',
       tags,
     };
     
+    // Every save adds an immutable revision (see GET /api/configurations/:id/revisions)
     const configuration = await configurationRepository.updateConfiguration(
       id, 
       configData, 
-      components
+      components,
+      req.user.id
     );
+
+    // Stored manuals of the configuration follow its components
+    if (components) {
+      await manualDocumentService.queueRegeneration(id);
+    }
     
     res.json({
       success: true,
@@ -195,11 +260,13 @@ router.put('/:id',
   })
 );
 
-// DELETE /api/configurations/:id - Delete configuration
+// DELETE /api/configurations/:id - Delete own configuration (admins: any)
 router.delete('/:id',
-  // TODO: Add authentication middleware and ownership check
+  protect,
   asyncHandler(async (req, res) => {
     const { id } = req.params;
+
+    await configurationService.getOwnedConfiguration(id, req.user);
     
     logger.info('Deleting configuration', { configurationId: id });
     
@@ -212,13 +279,16 @@ router.delete('/:id',
   })
 );
 
-// POST /api/configurations/:id/clone - Clone configuration
+// POST /api/configurations/:id/clone - Copy a public or own configuration into the caller's configurations
 router.post('/:id/clone',
-  // TODO: Add authentication middleware
+  protect,
   validate(schemas.cloneConfiguration, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { name, userId } = req.body;
+    const { name } = req.body;
+    const userId = req.user.id;
+
+    await configurationService.getVisibleConfiguration(id, req.user);
     
     logger.info('Cloning configuration', { originalId: id, userId });
     
@@ -235,9 +305,85 @@ router.post('/:id/clone',
   })
 );
 
-// POST /api/configurations/:id/validate - Validate configuration
-router.post('/:id/validate', asyncHandler(async (req, res) => {
+// GET /api/configurations/:id/revisions - Version history, newest first (visible like the configuration itself)
+router.get('/:id/revisions', optionalAuth, asyncHandler(async (req, res) => {
+  const revisions = await configurationService.getRevisions(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { revisions },
+  });
+}));
+
+// GET /api/configurations/:id/revisions/diff?from=1&to=3 - Compare two revisions (default: latest with its predecessor)
+router.get('/:id/revisions/diff',
+  optionalAuth,
+  validate(schemas.compareRevisions, 'query'),
+  asyncHandler(async (req, res) => {
+    const diff = await configurationService.compareRevisions(req.params.id, req.query, req.user);
+
+    res.json({
+      success: true,
+      data: { diff },
+    });
+  })
+);
+
+// GET /api/configurations/:id/revisions/:revision - Single revision with its items
+router.get('/:id/revisions/:revision', optionalAuth, asyncHandler(async (req, res) => {
+  const revision = await configurationService.getRevision(req.params.id, parseInt(req.params.revision), req.user);
+
+  res.json({
+    success: true,
+    data: { revision },
+  });
+}));
+
+// GET /api/configurations/:id/shares - Share links of an own configuration
+router.get('/:id/shares',
+  protect,
+  asyncHandler(async (req, res) => {
+    const shares = await configurationService.listShareLinks(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: { shares },
+    });
+  })
+);
+
+// POST /api/configurations/:id/shares - Create a share link, optionally expiring
+router.post('/:id/shares',
+  protect,
+  validate(schemas.createShareLink, 'body'),
+  asyncHandler(async (req, res) => {
+    const share = await configurationService.createShareLink(req.params.id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: { share },
+    });
+  })
+);
+
+// DELETE /api/configurations/:id/shares/:shareId - Revoke a share link
+router.delete('/:id/shares/:shareId',
+  protect,
+  asyncHandler(async (req, res) => {
+    const share = await configurationService.revokeShareLink(req.params.id, req.params.shareId, req.user);
+
+    res.json({
+      success: true,
+      data: { share },
+    });
+  })
+);
+
+// POST /api/configurations/:id/validate - Validate a configuration the caller can see
+router.post('/:id/validate', optionalAuth, asyncHandler(async (req, res) => {
   const { id } = req.params;
+
+  await configurationService.getVisibleConfiguration(id, req.user);
   
   const validation = await configurationRepository.validateConfiguration(id);
   
@@ -247,13 +393,31 @@ router.post('/:id/validate', asyncHandler(async (req, res) => {
   });
 }));
 
-// PATCH /api/configurations/:id/visibility - Update configuration visibility
+// POST /api/configurations/:id/optimize - Suggest cheaper, faster or simpler alternatives (visible configurations)
+router.post('/:id/optimize',
+  optionalAuth,
+  validate(schemas.optimizeConfiguration, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    const optimization = await configurationService.optimizeConfiguration(id, req.body, req.user);
+    
+    res.json({
+      success: true,
+      data: { optimization },
+    });
+  })
+);
+
+// PATCH /api/configurations/:id/visibility - Make own configuration public or private (admins: any)
 router.patch('/:id/visibility',
-  // TODO: Add authentication middleware and ownership check
+  protect,
   validate(schemas.updateVisibility, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { isPublic } = req.body;
+
+    await configurationService.getOwnedConfiguration(id, req.user);
     
     logger.info('Updating configuration visibility', { 
       configurationId: id, 
@@ -271,20 +435,23 @@ router.patch('/:id/visibility',
   })
 );
 
-// GET /api/configurations/user/:userId - Get user's configurations
+// GET /api/configurations/user/:userId - Get user's configurations (others only see the public ones)
 router.get('/user/:userId',
+  optionalAuth,
   validate(schemas.pagination, 'query'),
   asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
+    const publicOnly = !configurationService.canSeePrivate(userId, req.user);
     
     const options = {
       skip: (page - 1) * limit,
       take: parseInt(limit),
+      publicOnly,
     };
     
     const configurations = await configurationRepository.findByUser(userId, options);
-    const total = await configurationRepository.count({ userId });
+    const total = await configurationRepository.count(publicOnly ? { userId, isPublic: true } : { userId });
     
     res.json({
       success: true,
@@ -330,9 +497,10 @@ router.get('/tags/:tag',
   })
 );
 
-// PUT /api/configurations/:id/price - Update configuration total price
+// PUT /api/configurations/:id/price - Update configuration total price (Admin only)
 router.put('/:id/price',
-  // TODO: Add admin authentication middleware
+  protect,
+  requireAdmin,
   validate(schemas.updatePrice, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
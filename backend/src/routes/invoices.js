@@ -0,0 +1,31 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/error.js';
+import { protect } from '../middleware/auth.js';
+import InvoiceService from '../services/invoiceService.js';
+
+const router = express.Router();
+const invoiceService = new InvoiceService();
+
+// Invoices contain buyer data: only the order's customer and admins may read them
+router.use(protect);
+
+// GET /api/invoices/:id - Get invoice or credit note
+router.get('/:id', asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { invoice },
+  });
+}));
+
+// GET /api/invoices/:id/pdf - Download invoice or credit note as PDF
+router.get('/:id/pdf', asyncHandler(async (req, res) => {
+  const { invoice, content } = await invoiceService.renderPdf(req.params.id, req.user);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+  res.send(content);
+}));
+
+export default router;
@@ -1,34 +1,79 @@
 import express from 'express';
-import { asyncHandler } from '../middleware/error.js';
+import { asyncHandler, UnauthorizedError } from '../middleware/error.js';
+import { optionalAuth } from '../middleware/auth.js';
 import { logger } from '../lib/logger.js';
 import { manualService } from '../services/manualService.js';
+import ManualDocumentService from '../services/manualDocumentService.js';
+import { SUPPORTED_LANGUAGES, languageMiddleware, resolveLanguage } from '../i18n/index.js';
 
 const router = express.Router();
+const manualDocumentService = new ManualDocumentService();
+
+router.use(languageMiddleware);
 
 /**
- * GET /api/manual/generate
- * Generiert Bauanleitung für gegebene Konfiguration
+ * Sprache der Anleitung: explizit angegeben (Body/Query) oder aus Accept-Language
+ * @private
  */
-router.post('/generate', asyncHandler(async (req, res) => {
-  const { configuration } = req.body;
+function manualLanguage(req, explicit) {
+  return explicit ? resolveLanguage(explicit) : req.language;
+}
+
+function unsupportedLanguage(res, language) {
+  return res.status(400).json({
+    success: false,
+    error: `Nicht unterstützte Sprache: ${language}. Verfügbar: ${SUPPORTED_LANGUAGES.join(', ')}`
+  });
+}
+
+/**
+ * POST /api/manual/generate
+ * Generiert Bauanleitung in der gewünschten Sprache
+ * (Body: configuration und/oder configurationId bzw. orderId, language, sonst Accept-Language;
+ * fehlende Übersetzungen auf Deutsch)
+ * Nur configuration: Vorschau ohne Speichern, ohne Anmeldung.
+ * Mit configurationId/orderId: neue Version (Status DRAFT), nur für Eigentümer oder Admins.
+ */
+router.post('/generate', optionalAuth, asyncHandler(async (req, res) => {
+  const { configuration, configurationId, orderId } = req.body;
   
-  if (!configuration) {
+  if (!configuration && !configurationId && !orderId) {
     return res.status(400).json({
       success: false,
-      error: 'Konfiguration ist erforderlich'
+      error: 'Konfiguration, configurationId oder orderId ist erforderlich'
     });
   }
 
+  const language = manualLanguage(req, req.body.language);
+  if (!language) {
+    return unsupportedLanguage(res, req.body.language);
+  }
+
   logger.info('Manual generation requested', { 
-    configurationId: configuration.id,
-    components: Object.keys(configuration.components || {}).length 
+    configurationId: configurationId || configuration?.id,
+    orderId,
+    components: Object.keys(configuration?.components || {}).length,
+    language
   });
 
-  const manual = await manualService.generateManual(configuration);
+  if (!configurationId && !orderId) {
+    const manual = await manualDocumentService.preview(configuration, language);
+    return res.json({
+      success: true,
+      data: manual
+    });
+  }
+
+  if (!req.user) {
+    throw new UnauthorizedError('Login required to store a manual');
+  }
+  await manualDocumentService.assertSourceAccess({ configurationId, orderId }, req.user);
+
+  const manual = await manualDocumentService.generate({ configuration, configurationId, orderId, language });
   
-  res.json({
+  res.status(201).json({
     success: true,
-    data: manual
+    data: manualDocumentService.toDocument(manual)
   });
 }));
 
@@ -37,7 +82,7 @@ router.post('/generate', asyncHandler(async (req, res) => {
  * Liefert verfügbare Werkzeuge und deren Details
  */
 router.get('/tools', asyncHandler(async (req, res) => {
-  const tools = Array.from(manualService.toolDatabase.values());
+  const tools = manualService.getTools(req.language);
   
   res.json({
     success: true,
@@ -53,14 +98,7 @@ router.get('/tools', asyncHandler(async (req, res) => {
  * Liefert verfügbare Komponenten-Anleitungen
  */
 router.get('/components', asyncHandler(async (req, res) => {
-  const components = Array.from(manualService.componentManuals.entries()).map(([id, manual]) => ({
-    id,
-    name: manual.name || id,
-    difficulty: manual.difficulty,
-    estimatedTime: manual.estimatedTime,
-    requiredTools: manual.requiredTools,
-    steps: manual.steps?.length || 0
-  }));
+  const components = manualService.listComponentManuals(req.language);
 
   res.json({
     success: true,
@@ -74,7 +112,7 @@ router.get('/components', asyncHandler(async (req, res) => {
  */
 router.get('/component/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const manual = manualService.componentManuals.get(id);
+  const manual = manualService.getComponentManual(id, req.language);
   
   if (!manual) {
     return res.status(404).json({
@@ -159,7 +197,7 @@ router.post('/validate', asyncHandler(async (req, res) => {
   // Schätze Zeit
   try {
     const orderedSteps = manualService.orderSteps(selectedComponents);
-    const mergedInstructions = manualService.mergeInstructions(orderedSteps);
+    const mergedInstructions = manualService.mergeInstructions(orderedSteps, req.language);
     const timeEstimate = manualService.estimateBuildTime(mergedInstructions);
     validation.estimatedTime = timeEstimate;
   } catch (error) {
@@ -179,23 +217,23 @@ router.post('/validate', asyncHandler(async (req, res) => {
 
 /**
  * GET /api/manual/export/:manualId
- * Exportiert Anleitung in verschiedenen Formaten
+ * Exportiert die gespeicherte Anleitung (jede Version, auch archivierte) in ihrer Sprache
+ * Anleitungen öffentlicher oder geteilter Konfigurationen für alle, sonst nur für Eigentümer und Admins
  */
-router.get('/export/:manualId', asyncHandler(async (req, res) => {
+router.get('/export/:manualId', optionalAuth, asyncHandler(async (req, res) => {
   const { manualId } = req.params;
   const { format = 'json' } = req.query;
 
-  // In echter Implementierung würde hier die Anleitung aus Datenbank geladen
-  // Für Demo-Zwecke generieren wir eine einfache Konfiguration
-  const demoConfig = {
-    id: manualId,
-    components: {
-      frame: { id: 'frame_aluminum', name: 'Aluminium Rahmen', selected: true },
-      motor: { id: 'servo_motor_sg90', name: 'Servo Motor SG90', selected: true }
-    }
-  };
+  // Mehrfach angegebene Parameter kommen als Array an
+  if (typeof format !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Unterstützte Formate: json, text'
+    });
+  }
 
-  const manual = await manualService.generateManual(demoConfig);
+  // NotFoundError (404), wenn die Anleitung nicht existiert; 401/403 ohne Zugriff auf die Quelle
+  const manual = await manualDocumentService.getDocument(manualId, req.user);
 
   switch (format.toLowerCase()) {
     case 'json':
@@ -206,7 +244,8 @@ router.get('/export/:manualId', asyncHandler(async (req, res) => {
       break;
       
     case 'text':
-      const textManual = formatAsText(manual);
+      // Ältere Anleitungen ohne kompilierte Fassung werden unverändert ausgegeben
+      const textManual = manual.format === 'JSON' ? manualService.formatAsText(manual) : manual.content;
       res.set({
         'Content-Type': 'text/plain',
         'Content-Disposition': `attachment; filename="anleitung_${manualId}.txt"`
@@ -222,57 +261,4 @@ router.get('/export/:manualId', asyncHandler(async (req, res) => {
   }
 }));
 
-/**
- * Formatiert Manual als Text-Dokument
- * @private
- */
-function formatAsText(manual) {
-  let text = `DIY HUMANOID BAUANLEITUNG\n`;
-  text += `${'='.repeat(50)}\n\n`;
-  
-  text += `Generiert: ${manual.metadata.generated}\n`;
-  text += `Geschätzte Zeit: ${manual.metadata.estimatedTime.formatted.display}\n`;
-  text += `Schwierigkeit: ${manual.metadata.difficulty}\n`;
-  text += `Schritte gesamt: ${manual.metadata.totalSteps}\n\n`;
-
-  text += `BENÖTIGTE WERKZEUGE:\n`;
-  text += `${'-'.repeat(20)}\n`;
-  manual.overview.requiredTools.forEach(tool => {
-    text += `• ${tool.name} (${tool.category})\n`;
-  });
-  text += '\n';
-
-  text += `SICHERHEITSHINWEISE:\n`;
-  text += `${'-'.repeat(20)}\n`;
-  manual.overview.safetyNotes.forEach(note => {
-    text += `⚠ ${note}\n`;
-  });
-  text += '\n';
-
-  text += `BAUANLEITUNG:\n`;
-  text += `${'-'.repeat(20)}\n`;
-  manual.instructions.forEach((step, index) => {
-    text += `\n${index + 1}. ${step.title.toUpperCase()}\n`;
-    text += `Zeit: ${step.estimatedTime}min | Schwierigkeit: ${step.difficulty}\n`;
-    text += `${step.description}\n`;
-    
-    if (step.steps && step.steps.length > 0) {
-      text += `Schritte:\n`;
-      step.steps.forEach(substep => {
-        text += `  • ${substep}\n`;
-      });
-    }
-    
-    if (step.warnings && step.warnings.length > 0) {
-      text += `Warnungen:\n`;
-      step.warnings.forEach(warning => {
-        text += `  ⚠ ${warning}\n`;
-      });
-    }
-    text += '\n';
-  });
-
-  return text;
-}
-
 export default router;
\ No newline at end of file
@@ -1,18 +1,35 @@
 import express from 'express';
-import { OrderRepository, ManualRepository } from '../repositories/index.js';
+import { OrderRepository } from '../repositories/index.js';
 import { asyncHandler } from '../middleware/error.js';
 import { validate, schemas } from '../middleware/validation.js';
+import { protect, requireAdmin } from '../middleware/auth.js';
 import { logger } from '../lib/logger.js';
+import { buildConfiguratorOrder, findUnknownParts } from '../utils/configuratorOrder.js';
+import OrderService from '../services/orderService.js';
+import pricingService from '../services/pricingService.js';
+import PurchaseOrderService from '../services/purchaseOrderService.js';
+import TaxService from '../services/taxService.js';
+import InvoiceService from '../services/invoiceService.js';
+import ReturnService from '../services/returnService.js';
+import ManualDocumentService from '../services/manualDocumentService.js';
 
 const router = express.Router();
 const orderRepository = new OrderRepository();
-const manualRepository = new ManualRepository();
+const orderService = new OrderService();
+const purchaseOrderService = new PurchaseOrderService();
+const taxService = new TaxService();
+const invoiceService = new InvoiceService();
+const returnService = new ReturnService();
+const manualDocumentService = new ManualDocumentService();
 
 // GET /api/orders - Get all orders (admin) or user's orders
 router.get('/', 
+  protect,
   validate(schemas.pagination, 'query'),
   asyncHandler(async (req, res) => {
-    const { page = 1, limit = 20, status, userId } = req.query;
+    const { page = 1, limit = 20, status } = req.query;
+    // Customers only ever see their own orders; admins may filter by user
+    const userId = req.user.role?.toUpperCase() === 'ADMIN' ? req.query.userId : req.user.id;
     
     logger.info('Fetching orders', { page, limit, status, userId });
     
@@ -60,15 +77,18 @@ router.get('/',
 router.post('/',
   validate(schemas.createOrder, 'body'),
   asyncHandler(async (req, res) => {
-    const { items, customerInfo, paymentMethod, configurationId, userId } = req.body;
+    const { items, customerInfo, paymentMethod, configurationId, userId, vatId } = req.body;
     
     logger.info('Creating order', { customerEmail: customerInfo?.email });
     
-    // Calculate total from items
-    const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    // Item prices are net; VAT is computed per line for the ship-to country
+    const tax = taxService.calculate(items, {
+      country: taxService.resolveCountry(null, customerInfo),
+      vatId,
+    });
     
     const orderData = {
-      total,
+      ...taxService.toOrderFields(tax),
       customerInfo,
       paymentMethod,
       userId,
@@ -92,19 +112,73 @@ router.post('/',
   })
 );
 
+// POST /api/orders/configurator - Create order from a configurator bill of materials
+// Suppliers are picked server-side from the part offers, sale prices come from the pricing settings;
+// supplier shipping is part of the total. The logged-in caller owns the order.
+router.post('/configurator',
+  protect,
+  validate(schemas.createConfiguratorOrder, 'body'),
+  asyncHandler(async (req, res) => {
+    const { label, items, offerPreference, paymentMethod, configurationId, country, vatId } = req.body;
+
+    const unknownParts = findUnknownParts(items);
+    if (unknownParts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Unknown parts', code: 'UNKNOWN_PARTS', details: { parts: unknownParts } },
+      });
+    }
+
+    const [pricing, live] = await Promise.all([
+      pricingService.getPricing(),
+      pricingService.getLiveOffers(Object.keys(items)),
+    ]);
+    const order = buildConfiguratorOrder(items, { offerPreference, pricing, live });
+    const taxCountry = taxService.resolveCountry(country);
+    const tax = taxService.calculate(order.items, { country: taxCountry, vatId, shipping: order.shippingTotal });
+
+    logger.info('Creating configurator order', { label, positions: order.items.length, offerPreference, taxTreatment: tax.treatment });
+
+    const { order: created, items: orderItems } = await orderRepository.createOrderWithItems(
+      {
+        label,
+        ...taxService.toOrderFields(tax),
+        costTotal: order.costTotal,
+        shippingTotal: order.shippingTotal,
+        customerInfo: { address: { country: taxCountry } },
+        paymentMethod,
+        configurationId,
+        userId: req.user.id,
+      },
+      order.items,
+      { userId: req.user.id, source: 'configurator' }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        order: {
+          ...created,
+          items: orderItems,
+        }
+      },
+    });
+  })
+);
+
 // GET /api/orders/:id - Get single order
 router.get('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   const order = await orderRepository.findById(id, {
     items: {
-      include: { product: true }
+      include: { component: true }
     },
     payments: true,
     configuration: {
       include: { 
         components: {
-          include: { product: true }
+          include: { component: true }
         }
       }
     },
@@ -148,15 +222,32 @@ router.get('/number/:orderNumber', asyncHandler(async (req, res) => {
   });
 }));
 
-// PATCH /api/orders/:id/status - Update order status
+// GET /api/orders/:id/transitions - Valid next states of an order (admin)
+router.get('/:id/transitions', protect, requireAdmin, asyncHandler(async (req, res) => {
+  const { status, paymentStatus, transitions } = await orderService.getOrderTransitions(req.params.id);
+
+  res.json({
+    success: true,
+    data: {
+      status,
+      paymentStatus,
+      next: transitions.filter(t => t.allowed).map(t => t.status),
+      transitions,
+    },
+  });
+}));
+
+// PATCH /api/orders/:id/status - Update order status (admin, enforced by the order state machine)
+// Transitions have side effects: refunds on CANCELLED, supplier purchase orders on PROCESSING
 router.patch('/:id/status',
-  // TODO: Add admin authentication middleware
+  protect,
+  requireAdmin,
   validate(schemas.updateOrderStatus, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
     
-    const order = await orderRepository.updateStatus(id, status);
+    const order = await orderService.updateOrderStatus(id, status, { userId: req.user.id, note });
     
     logger.info('Updated order status', { orderId: id, status });
     
@@ -169,13 +260,30 @@ router.patch('/:id/status',
 
 // PATCH /api/orders/:id/payment-status - Update payment status
 router.patch('/:id/payment-status',
-  // TODO: Add admin authentication middleware
+  protect,
+  requireAdmin,
   validate(schemas.updatePaymentStatus, 'body'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { paymentStatus } = req.body;
+    const { paymentStatus, note } = req.body;
+    const context = { userId: req.user.id, note };
     
-    const order = await orderRepository.updatePaymentStatus(id, paymentStatus);
+    let order = await orderRepository.updatePaymentStatus(id, paymentStatus, context);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Order not found' },
+      });
+    }
+
+    // A paid order moves on to processing, which creates the supplier purchase orders
+    if (paymentStatus === 'COMPLETED' && order.status === 'PENDING') {
+      order = await orderService.updateOrderStatus(id, 'PROCESSING', context);
+    }
+    if (paymentStatus === 'COMPLETED') {
+      await orderService.handlePaymentCompleted(order, { provider: order.paymentMethod }, context);
+    }
     
     logger.info('Updated payment status', { orderId: id, paymentStatus });
     
@@ -210,31 +318,155 @@ router.patch('/:id/tracking',
   })
 );
 
-// GET /api/orders/:id/manual - Get assembly manual for order
-router.get('/:id/manual', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  
-  // Check if order exists
-  const order = await orderRepository.findById(id);
-  if (!order) {
-    return res.status(404).json({
-      success: false,
-      error: { message: 'Order not found' },
+// PATCH /api/orders/:id/tax - Recalculate VAT of an unpaid order for a ship-to country and/or VAT ID (customer or admin)
+router.patch('/:id/tax',
+  protect,
+  validate(schemas.updateOrderTax, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { country, vatId } = req.body;
+
+    const { order, tax } = await taxService.recalculateOrder(id, { country, vatId }, req.user);
+
+    res.json({
+      success: true,
+      data: { order, tax },
+    });
+  })
+);
+
+// GET /api/orders/:id/purchase-orders - Supplier purchase orders of an order (admin)
+router.get('/:id/purchase-orders', protect, requireAdmin, asyncHandler(async (req, res) => {
+  const purchaseOrders = await purchaseOrderService.listForOrder(req.params.id);
+
+  res.json({
+    success: true,
+    data: { purchaseOrders },
+  });
+}));
+
+// POST /api/orders/:id/purchase-orders - Split a paid order into one purchase order per supplier
+router.post('/:id/purchase-orders',
+  protect,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { purchaseOrders, created } = await purchaseOrderService.generateForOrder(id, { userId: req.user.id });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: { purchaseOrders, created },
+    });
+  })
+);
+
+// POST /api/orders/:id/purchase-orders/send - Transmit draft purchase orders to the suppliers
+router.post('/:id/purchase-orders/send',
+  protect,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const purchaseOrders = await purchaseOrderService.sendPurchaseOrders(id, { userId: req.user.id });
+
+    logger.info('Sent purchase orders', { orderId: id, count: purchaseOrders.length });
+
+    res.json({
+      success: true,
+      data: { purchaseOrders },
+    });
+  })
+);
+
+// GET /api/orders/:id/invoices - Invoices and credit notes of an order (customer or admin)
+router.get('/:id/invoices', protect, asyncHandler(async (req, res) => {
+  const invoices = await invoiceService.listForOrder(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { invoices },
+  });
+}));
+
+// POST /api/orders/:id/invoices - Issue the invoice of a paid order, e.g. for orders paid before invoicing existed
+router.post('/:id/invoices', protect, requireAdmin, asyncHandler(async (req, res) => {
+  const { invoice, created } = await invoiceService.issueInvoice(req.params.id, { userId: req.user.id });
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    data: { invoice, created },
+  });
+}));
+
+// GET /api/orders/:id/returns - Returns of an order and the quantities still returnable (customer or admin)
+router.get('/:id/returns', protect, asyncHandler(async (req, res) => {
+  const { returns, returnable } = await returnService.listForOrder(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { returns, returnable },
+  });
+}));
+
+// POST /api/orders/:id/returns - Request the return of single order items
+router.post('/:id/returns',
+  protect,
+  validate(schemas.requestReturn, 'body'),
+  asyncHandler(async (req, res) => {
+    const returnRequest = await returnService.requestReturn(req.params.id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: { return: returnRequest },
+    });
+  })
+);
+
+// POST /api/orders/:id/returns/:returnId/cancel - Withdraw a return before the parts are sent back
+router.post('/:id/returns/:returnId/cancel', protect, asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.cancel(req.params.id, req.params.returnId, req.user);
+
+  res.json({
+    success: true,
+    data: { return: returnRequest },
+  });
+}));
+
+// GET /api/orders/:id/history - Audit trail of status and payment changes (own orders, admins: any)
+router.get('/:id/history', protect, asyncHandler(async (req, res) => {
+  const events = await orderService.getStatusHistory(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { events },
+  });
+}));
+
+// GET /api/orders/:id/manual - Assembly manual of an own order (admins: any); 404 until it is generated
+router.get('/:id/manual', protect, asyncHandler(async (req, res) => {
+  const manual = await orderService.getManual(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { manual: manualDocumentService.toDocument(manual) },
+  });
+}));
+
+// POST /api/orders/:id/manual - Queue the manual generation unless a manual exists; the client then polls GET
+router.post('/:id/manual', protect, asyncHandler(async (req, res) => {
+  const { manual, job } = await orderService.requestManual(req.params.id, req.user);
+
+  if (job) {
+    return res.status(202).json({
+      success: true,
+      data: { manual: null, job: { id: job.id, status: job.status } },
     });
   }
-  
-  // Find existing manual or generate new one
-  let manual = await manualRepository.findLatestManualForOrder(id);
-  
-  if (!manual) {
-    // Generate new manual
-    manual = await manualRepository.generateManualForOrder(id);
-    // TODO: Integrate with manual generation service
-  }
-  
+
   res.json({
     success: true,
-    data: { manual },
+    data: { manual: manualDocumentService.toDocument(manual) },
   });
 }));
 
@@ -0,0 +1,78 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/error.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { optionalAuth, protect } from '../middleware/auth.js';
+import PresetService from '../services/presetService.js';
+
+const router = express.Router();
+const presetService = new PresetService();
+
+// GET /api/presets - Built-in, team and (when logged in) personal presets, filtered by tag, DOF and search
+router.get('/',
+  optionalAuth,
+  validate(schemas.presetQuery, 'query'),
+  asyncHandler(async (req, res) => {
+    const { presets, tags } = await presetService.listPresets(req.query, req.user?.id);
+
+    res.json({
+      success: true,
+      data: { presets, tags },
+    });
+  })
+);
+
+// GET /api/presets/:id - Single preset; personal presets for their owner or when shared via link
+router.get('/:id',
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    const preset = await presetService.getPreset(req.params.id, req.user?.id);
+
+    res.json({
+      success: true,
+      data: { preset },
+    });
+  })
+);
+
+// POST /api/presets - Save the current bill of materials as a personal preset
+router.post('/',
+  protect,
+  validate(schemas.savePreset, 'body'),
+  asyncHandler(async (req, res) => {
+    const preset = await presetService.savePersonalPreset(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: { preset },
+    });
+  })
+);
+
+// PUT /api/presets/:id - Rename, update or share an own preset
+router.put('/:id',
+  protect,
+  validate(schemas.updatePreset, 'body'),
+  asyncHandler(async (req, res) => {
+    const preset = await presetService.updatePersonalPreset(req.params.id, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: { preset },
+    });
+  })
+);
+
+// DELETE /api/presets/:id - Delete an own preset
+router.delete('/:id',
+  protect,
+  asyncHandler(async (req, res) => {
+    await presetService.deletePersonalPreset(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Preset deleted successfully',
+    });
+  })
+);
+
+export default router;
@@ -1,98 +1,167 @@
 import { Router } from 'express';
-import { PriceScraper, scrapePriceForProduct, scrapeAllPrices } from '../scraper/price-scraper.js';
+import { priceScheduler } from '../scraper/price-scheduler.js';
+import { asyncHandler } from '../middleware/error.js';
+import { protect, requireAdmin } from '../middleware/auth.js';
+import { logger } from '../lib/logger.js';
 import { PARTS } from '../data/products.js';
+import { PriceSnapshotRepository } from '../repositories/index.js';
+import {
+  PRICE_HISTORY_RANGES,
+  PRICE_HISTORY_AGGREGATIONS,
+  resolveRange,
+  aggregateSnapshots,
+  summarizeSnapshots
+} from '../utils/priceHistory.js';
+import { getOffers, listOffers, offerKey } from '../utils/supplierOffers.js';
 
 const router = Router();
 
-// Cache für Preise (einfacher In-Memory-Cache)
+// Cache für die aus Snapshots gelesenen Preise (einfacher In-Memory-Cache)
 const priceCache = new Map();
-const CACHE_TTL = 30 * 60 * 1000; // 30 Minuten
+const CACHE_TTL = 5 * 60 * 1000; // 5 Minuten
+
+// Persistente Preis-Historie
+const priceSnapshotRepository = new PriceSnapshotRepository();
+
+/**
+ * Antwortdaten eines Produkts: Felder des Hauptangebots plus alle Angebote in offers
+ * @param {Object} result - Ergebnis von scrapePriceForProduct (mit offers) oder ein einzelnes Angebots-Ergebnis
+ */
+function buildPriceData(productKey, result) {
+  const product = PARTS[productKey];
+  const offerResults = result.offers || [result];
+
+  const offers = getOffers(productKey).map(offer => {
+    const scraped = offerResults.find(entry => entry.offerId === offer.id);
+    return {
+      offerId: offer.id,
+      key: offerKey(productKey, offer.id),
+      supplier: offer.supplier,
+      url: offer.link,
+      listPrice: offer.price,
+      listCurrency: offer.currency,
+      shipping: offer.shipping,
+      leadTimeDays: offer.leadTimeDays,
+      success: Boolean(scraped?.success),
+      scrapedPrice: scraped?.success ? scraped.price : null,
+      currency: scraped?.success ? scraped.currency : null,
+      availability: scraped?.success ? scraped.availability : 'unknown',
+      error: scraped && !scraped.success ? (scraped.error || null) : null
+    };
+  });
+
+  return {
+    productKey,
+    product: product ? {
+      name: product.name,
+      supplier: product.supplier,
+      category: product.category,
+      originalPrice: product.price,
+      url: product.link
+    } : null,
+    success: result.success,
+    scrapedPrice: result.success ? result.price : null,
+    currency: result.success ? result.currency : null,
+    availability: result.success ? result.availability : 'unknown',
+    timestamp: result.timestamp,
+    error: result.error || null,
+    priceDifference: result.success && product ?
+      (result.price - product.price).toFixed(2) : null,
+    priceChangePercent: result.success && product ?
+      (((result.price - product.price) / product.price) * 100).toFixed(1) : null,
+    offers
+  };
+}
+
+/**
+ * Antwortdaten eines Produkts aus einem gespeicherten Snapshot (ohne Snapshot: noch nicht gescrapt)
+ */
+function snapshotResult(productKey, offerId, snapshot) {
+  if (!snapshot) {
+    return {
+      success: false,
+      productKey,
+      offerId,
+      timestamp: null,
+      error: { message: 'No price scraped yet', code: 'NO_PRICE_SNAPSHOT' }
+    };
+  }
+
+  return {
+    success: true,
+    productKey,
+    offerId,
+    price: snapshot.price,
+    currency: snapshot.currency,
+    availability: snapshot.availability,
+    timestamp: snapshot.scrapedAt.toISOString()
+  };
+}
+
+/**
+ * Preise der Produkte aus den zuletzt gespeicherten Snapshots (geschrieben vom Job price.scrape)
+ * @returns {Promise<{ results: Array, cached: number }>}
+ */
+async function getStoredPrices(productKeys) {
+  const isFresh = (entry) => entry && Date.now() - entry.timestamp < CACHE_TTL;
+  const missing = productKeys.filter(key => !isFresh(priceCache.get(key)));
+
+  if (missing.length > 0) {
+    const latest = await priceSnapshotRepository.findLatestForOffers(listOffers(missing));
+    for (const productKey of missing) {
+      const offerResults = getOffers(productKey).map(offer =>
+        snapshotResult(productKey, offer.id, latest[offerKey(productKey, offer.id)])
+      );
+      const primary = offerResults[0] || snapshotResult(productKey, null, null);
+      priceCache.set(productKey, {
+        data: buildPriceData(productKey, { ...primary, offers: offerResults }),
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  return {
+    results: productKeys.map(key => priceCache.get(key).data),
+    cached: productKeys.length - missing.length
+  };
+}
 
 /**
- * GET /prices - Alle aktuellen Preise abrufen
+ * Scraping läuft nie im Request, sondern als Job price.scrape (wie POST /api/admin/price-scraping/run);
+ * ein bereits eingereihter oder laufender Lauf wird zurückgegeben. Nur für Admins.
  */
+const queueRefresh = asyncHandler(async (req, res) => {
+  const job = await priceScheduler.enqueueRun('manual');
+  // Nach dem Lauf sollen die neuen Snapshots gelesen werden
+  priceCache.clear();
+
+  logger.info('Price scraping triggered via prices API', { adminId: req.user.id, jobId: job.id, status: job.status });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      message: job.status === 'RUNNING' ? 'Price scraping already running' : 'Price scraping queued',
+      job: { id: job.id, status: job.status }
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ?refresh=true reiht einen Scrape-Lauf ein (Admins), alle anderen Anfragen lesen gespeicherte Preise
+const onRefresh = (req, res, next) => next(req.query.refresh === 'true' ? undefined : 'route');
+
+/**
+ * GET /prices - Alle aktuellen Preise abrufen (zuletzt gespeicherte Snapshots je Angebot)
+ */
+router.get('/', onRefresh, protect, requireAdmin, queueRefresh);
+
 router.get('/', async (req, res) => {
   try {
-    const { refresh = 'false', products } = req.query;
-    const forceRefresh = refresh === 'true';
+    const { products } = req.query;
     
     // Spezifische Produkte oder alle
     const productKeys = products ? products.split(',') : Object.keys(PARTS);
-    
-    const results = [];
-    const toScrape = [];
-    
-    // Cache-Check
-    for (const key of productKeys) {
-      const cached = priceCache.get(key);
-      
-      if (!forceRefresh && cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
-        results.push(cached.data);
-      } else {
-        toScrape.push(key);
-      }
-    }
-    
-    // Neue Preise scrapen falls nötig
-    if (toScrape.length > 0) {
-      console.log(`[PricesAPI] Scraping ${toScrape.length} products...`);
-      
-      const scraper = new PriceScraper({ 
-        headless: true, 
-        timeout: 10000,
-        maxRetries: 2
-      });
-      
-      try {
-        // Parallel scraping mit Begrenzung
-        const scrapingPromises = toScrape.map(key => 
-          scraper.scrapePriceForProduct(key).catch(error => ({
-            success: false,
-            productKey: key,
-            error: { message: error.message, code: 'SCRAPING_ERROR' },
-            timestamp: new Date().toISOString()
-          }))
-        );
-        
-        const scrapedResults = await Promise.all(scrapingPromises);
-        
-        // Ergebnisse verarbeiten und cachen
-        for (const result of scrapedResults) {
-          const product = PARTS[result.productKey];
-          
-          const priceData = {
-            productKey: result.productKey,
-            product: product ? {
-              name: product.name,
-              supplier: product.supplier,
-              category: product.category,
-              originalPrice: product.price,
-              url: product.link
-            } : null,
-            success: result.success,
-            scrapedPrice: result.success ? result.price : null,
-            currency: result.success ? result.currency : null,
-            availability: result.success ? result.availability : 'unknown',
-            timestamp: result.timestamp,
-            error: result.error || null,
-            priceDifference: result.success && product ? 
-              (result.price - product.price).toFixed(2) : null,
-            priceChangePercent: result.success && product ? 
-              (((result.price - product.price) / product.price) * 100).toFixed(1) : null
-          };
-          
-          // Cache aktualisieren
-          priceCache.set(result.productKey, {
-            data: priceData,
-            timestamp: Date.now()
-          });
-          
-          results.push(priceData);
-        }
-      } finally {
-        await scraper.close();
-      }
-    }
+    const { results, cached } = await getStoredPrices(productKeys);
     
     // Response aufbauen
     const successful = results.filter(r => r.success).length;
@@ -104,8 +173,7 @@ router.get('/', async (req, res) => {
         total: results.length,
         successful,
         failed,
-        cached: results.length - toScrape.length,
-        scraped: toScrape.length,
+        cached,
         successRate: results.length > 0 ? (successful / results.length * 100).toFixed(1) + '%' : '0%'
       },
       timestamp: new Date().toISOString(),
@@ -126,13 +194,13 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /prices/:productKey - Einzelnen Produktpreis abrufen
+ * GET /prices/:productKey - Einzelnen Produktpreis abrufen (zuletzt gespeicherte Snapshots)
  */
+router.get('/:productKey', onRefresh, protect, requireAdmin, queueRefresh);
+
 router.get('/:productKey', async (req, res) => {
   try {
     const { productKey } = req.params;
-    const { refresh = 'false' } = req.query;
-    const forceRefresh = refresh === 'true';
     
     const product = PARTS[productKey];
     if (!product) {
@@ -146,56 +214,11 @@ router.get('/:productKey', async (req, res) => {
       });
     }
     
-    // Cache-Check
-    const cached = priceCache.get(productKey);
-    if (!forceRefresh && cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
-      return res.json({
-        success: true,
-        cached: true,
-        data: cached.data,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Fresh scraping
-    console.log(`[PricesAPI] Scraping single product: ${productKey}`);
-    
-    const result = await scrapePriceForProduct(productKey, {
-      headless: true,
-      timeout: 10000,
-      maxRetries: 2
-    });
-    
-    const priceData = {
-      productKey,
-      product: {
-        name: product.name,
-        supplier: product.supplier,
-        category: product.category,
-        originalPrice: product.price,
-        url: product.link
-      },
-      success: result.success,
-      scrapedPrice: result.success ? result.price : null,
-      currency: result.success ? result.currency : null,
-      availability: result.success ? result.availability : 'unknown',
-      timestamp: result.timestamp,
-      error: result.error || null,
-      priceDifference: result.success ? 
-        (result.price - product.price).toFixed(2) : null,
-      priceChangePercent: result.success ? 
-        (((result.price - product.price) / product.price) * 100).toFixed(1) : null
-    };
-    
-    // Cache aktualisieren
-    priceCache.set(productKey, {
-      data: priceData,
-      timestamp: Date.now()
-    });
+    const { results: [priceData], cached } = await getStoredPrices([productKey]);
     
     res.json({
       success: true,
-      cached: false,
+      cached: cached > 0,
       data: priceData,
       timestamp: new Date().toISOString()
     });
@@ -214,81 +237,84 @@ router.get('/:productKey', async (req, res) => {
 });
 
 /**
- * POST /prices/refresh - Cache löschen und alle Preise neu scrapen
+ * GET /prices/:productKey/history - Preis-Historie eines Produkts
+ * Query: range (24h, 7d, 30d, 90d, 1y, all; Standard 30d), aggregate (none, hour, day, week; Standard day),
+ *        offer (Angebots-ID; Standard: Hauptangebot inkl. Snapshots aus der Zeit vor den Angeboten)
  */
-router.post('/refresh', async (req, res) => {
+router.get('/:productKey/history', async (req, res) => {
   try {
-    console.log('[PricesAPI] Cache refresh requested');
-    
-    // Cache leeren
-    priceCache.clear();
-    
-    // Alle Preise neu scrapen
-    const results = await scrapeAllPrices({
-      headless: true,
-      concurrentLimit: 2,
-      timeout: 10000,
-      maxRetries: 2
-    });
-    
-    // Ergebnisse verarbeiten und cachen
-    const processedResults = results.map(result => {
-      const product = PARTS[result.productKey];
-      
-      const priceData = {
-        productKey: result.productKey,
-        product: product ? {
-          name: product.name,
-          supplier: product.supplier,
-          category: product.category,
-          originalPrice: product.price,
-          url: product.link
-        } : null,
-        success: result.success,
-        scrapedPrice: result.success ? result.price : null,
-        currency: result.success ? result.currency : null,
-        availability: result.success ? result.availability : 'unknown',
-        timestamp: result.timestamp,
-        error: result.error || null,
-        priceDifference: result.success && product ? 
-          (result.price - product.price).toFixed(2) : null,
-        priceChangePercent: result.success && product ? 
-          (((result.price - product.price) / product.price) * 100).toFixed(1) : null
-      };
-      
-      // Cache aktualisieren
-      if (result.success) {
-        priceCache.set(result.productKey, {
-          data: priceData,
-          timestamp: Date.now()
-        });
-      }
-      
-      return priceData;
+    const { productKey } = req.params;
+    const { range = '30d', aggregate = 'day', offer } = req.query;
+
+    if (!PARTS[productKey]) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found',
+          code: 'PRODUCT_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!(range in PRICE_HISTORY_RANGES) || !PRICE_HISTORY_AGGREGATIONS.includes(aggregate)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid range or aggregate',
+          code: 'INVALID_HISTORY_QUERY',
+          details: {
+            ranges: Object.keys(PRICE_HISTORY_RANGES),
+            aggregations: PRICE_HISTORY_AGGREGATIONS
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const offers = getOffers(productKey);
+    const offerId = offer || offers[0].id;
+    if (!offers.some(entry => entry.id === offerId)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Offer not found',
+          code: 'OFFER_NOT_FOUND',
+          details: { offers: offers.map(entry => entry.id) }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { from, to } = resolveRange(range);
+    const snapshots = await priceSnapshotRepository.findHistory(productKey, {
+      from,
+      to,
+      offerId,
+      includeLegacy: offerId === offers[0].id
     });
-    
-    const successful = processedResults.filter(r => r.success).length;
-    const failed = processedResults.length - successful;
-    
+
     res.json({
       success: true,
-      message: 'Price refresh completed',
-      summary: {
-        total: processedResults.length,
-        successful,
-        failed,
-        successRate: processedResults.length > 0 ? (successful / processedResults.length * 100).toFixed(1) + '%' : '0%'
+      data: {
+        productKey,
+        offerId,
+        range,
+        aggregate,
+        from: from ? from.toISOString() : null,
+        to: to.toISOString(),
+        summary: summarizeSnapshots(snapshots),
+        points: aggregateSnapshots(snapshots, aggregate)
       },
-      timestamp: new Date().toISOString(),
-      data: processedResults.sort((a, b) => a.productKey.localeCompare(b.productKey))
+      timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
-    console.error('[PricesAPI] Refresh error:', error);
+    console.error(`[PricesAPI] History error for product ${req.params.productKey}:`, error);
     res.status(500).json({
       success: false,
       error: {
-        message: 'Failed to refresh prices',
+        message: 'Failed to fetch price history',
         details: error.message
       },
       timestamp: new Date().toISOString()
@@ -296,6 +322,11 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+/**
+ * POST /prices/refresh - Cache löschen und einen Scrape-Lauf aller Preise einreihen (Admin)
+ */
+router.post('/refresh', protect, requireAdmin, queueRefresh);
+
 /**
  * GET /prices/cache/status - Cache-Status abrufen
  */
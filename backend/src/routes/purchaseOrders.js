@@ -0,0 +1,71 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/error.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { protect, requireAdmin } from '../middleware/auth.js';
+import { logger } from '../lib/logger.js';
+import PurchaseOrderService from '../services/purchaseOrderService.js';
+
+const router = express.Router();
+const purchaseOrderService = new PurchaseOrderService();
+
+// Purchase orders carry supplier prices and the customer's shipping address: admins only
+router.use(protect, requireAdmin);
+
+const DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8',
+};
+
+// GET /api/purchase-orders/:id - Get single purchase order
+router.get('/:id', asyncHandler(async (req, res) => {
+  const purchaseOrder = await purchaseOrderService.getPurchaseOrder(req.params.id);
+
+  res.json({
+    success: true,
+    data: { purchaseOrder },
+  });
+}));
+
+// GET /api/purchase-orders/:id/pdf|csv - Download purchase order document
+router.get('/:id/:format(pdf|csv)', asyncHandler(async (req, res) => {
+  const { id, format } = req.params;
+  const { purchaseOrder, content } = await purchaseOrderService.renderDocument(id, format);
+
+  res.setHeader('Content-Type', DOCUMENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${purchaseOrder.poNumber}.${format}"`);
+  res.send(content);
+}));
+
+// GET /api/purchase-orders/:id/email - Preview of the supplier email
+router.get('/:id/email', asyncHandler(async (req, res) => {
+  const { content } = await purchaseOrderService.renderDocument(req.params.id, 'email');
+
+  res.json({
+    success: true,
+    data: { email: content },
+  });
+}));
+
+// PATCH /api/purchase-orders/:id - Update status and tracking reported by the supplier
+router.patch('/:id',
+  validate(schemas.updatePurchaseOrder, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status, trackingNumber, carrier, note } = req.body;
+
+    const { purchaseOrder, order } = await purchaseOrderService.updatePurchaseOrder(
+      id,
+      { status, trackingNumber, carrier },
+      { userId: req.user.id, note }
+    );
+
+    logger.info('Updated purchase order', { purchaseOrderId: id, status: purchaseOrder.status, orderStatus: order.status });
+
+    res.json({
+      success: true,
+      data: { purchaseOrder, order },
+    });
+  })
+);
+
+export default router;
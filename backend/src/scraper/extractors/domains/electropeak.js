@@ -0,0 +1,10 @@
+/**
+ * ElectroPeak
+ */
+export default {
+  domain: 'electropeak.com',
+  currency: '€',
+  price: ['.price', '.product-price', '[data-price]', '.current-price', '.amount'],
+  availability: ['.availability', '.stock-status', '[data-availability]', '.in-stock', '.out-of-stock'],
+  fallbackPrice: /[\d,\.]+/
+};
@@ -0,0 +1,10 @@
+/**
+ * Gens Ace
+ */
+export default {
+  domain: 'gensace.de',
+  currency: '€',
+  price: ['.price', '.product-price', '.current-price', '.amount'],
+  availability: ['.availability', '.stock', '.lagerbestand'],
+  fallbackPrice: /[\d,\.]+/
+};
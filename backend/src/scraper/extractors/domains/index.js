@@ -0,0 +1,30 @@
+/**
+ * Domain-spezifische Extractor-Konfigurationen
+ * Neue Händler: Modul anlegen, hier eintragen und Fixture unter tests/fixtures/suppliers/<domain>/ ablegen
+ */
+
+import electropeak from './electropeak.js';
+import srituhobby from './srituhobby.js';
+import kubii from './kubii.js';
+import robotshop from './robotshop.js';
+import welectron from './welectron.js';
+import mgModellbau from './mg-modellbau.js';
+import opticsPro from './optics-pro.js';
+import gensace from './gensace.js';
+import prusa3d from './prusa3d.js';
+import mouser from './mouser.js';
+
+export const DOMAIN_EXTRACTORS = [
+  electropeak,
+  srituhobby,
+  kubii,
+  robotshop,
+  welectron,
+  mgModellbau,
+  opticsPro,
+  gensace,
+  prusa3d,
+  mouser
+];
+
+export default DOMAIN_EXTRACTORS;
@@ -0,0 +1,10 @@
+/**
+ * Kubii
+ */
+export default {
+  domain: 'kubii.com',
+  currency: '€',
+  price: ['.price', '.current-price', '.product-price', '[data-price]', '.amount'],
+  availability: ['.availability', '.stock-level', '.in-stock', '[data-availability]'],
+  fallbackPrice: /[\d,\.]+/
+};
@@ -0,0 +1,10 @@
+/**
+ * MG-Modellbau
+ */
+export default {
+  domain: 'mg-modellbau.de',
+  currency: '€',
+  price: ['.price', '.product-price', '.preis', '.current-price'],
+  availability: ['.availability', '.lagerbestand', '.verfügbar', '.lieferzeit'],
+  fallbackPrice: /[\d,\.]+/
+};
@@ -0,0 +1,10 @@
+/**
+ * Mouser EU
+ */
+export default {
+  domain: 'eu.mouser.com',
+  currency: '€',
+  price: ['.price', '.product-price', '.current-price', '[data-price]'],
+  availability: ['.availability', '.stock-level', '.in-stock'],
+  fallbackPrice: /[\d,\.]+/
+};
@@ -0,0 +1,10 @@
+/**
+ * Optics Pro
+ */
+export default {
+  domain: 'optics-pro.com',
+  currency: '€',
+  price: ['.price', '.product-price', '.current-price', '[data-price]'],
+  availability: ['.availability', '.stock-status', '.in-stock'],
+  fallbackPrice: /[\d,\.]+/
+};
@@ -0,0 +1,10 @@
+/**
+ * Prusa Research
+ */
+export default {
+  domain: 'prusa3d.com',
+  currency: '€',
+  price: ['.price', '.product-price', '.current-price', '.amount'],
+  availability: ['.availability', '.stock-status', '.in-stock'],
+  fallbackPrice: /[\d,\.]+/
+};
@@ -0,0 +1,10 @@
+/**
+ * RobotShop EU
+ */
+export default {
+  domain: 'eu.robotshop.com',
+  currency: '€',
+  price: ['.price', '.product-price', '.current-price', '.amount', '[data-price]'],
+  availability: ['.availability', '.stock-status', '.in-stock', '.out-of-stock'],
+  fallbackPrice: /[\d,\.]+/
+};
@@ -0,0 +1,10 @@
+/**
+ * SriTu Hobby
+ */
+export default {
+  domain: 'srituhobby.com',
+  currency: '€',
+  price: ['.price', '.product-price', '.woocommerce-price', '.amount', '.current-price'],
+  availability: ['.availability', '.stock', '.in-stock', '.out-of-stock', '.stock-status'],
+  fallbackPrice: /[\d,\.]+/
+};
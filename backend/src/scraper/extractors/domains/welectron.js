@@ -0,0 +1,10 @@
+/**
+ * Welectron
+ */
+export default {
+  domain: 'welectron.com',
+  currency: '€',
+  price: ['.price', '.product-price', '.current-price', '.amount'],
+  availability: ['.availability', '.stock', '.lagerbestand', '.verfügbarkeit'],
+  fallbackPrice: /[\d,\.]+/
+};
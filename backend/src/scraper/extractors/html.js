@@ -0,0 +1,188 @@
+/**
+ * Minimale Hilfsfunktionen für statisches HTML (ohne Browser/DOM)
+ *
+ * Unterstützt einfache Selektoren: tag, .klasse, #id, [attr], [attr=wert]
+ * sowie Kombinationen davon (z.B. span.price[itemprop=price]).
+ * Nachfahren-Kombinatoren werden bewusst nicht unterstützt.
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  euro: '€',
+  pound: '£'
+};
+
+/**
+ * Dekodiert HTML-Entities
+ */
+export function decodeEntities(text = '') {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Entfernt Kommentare, Scripts und Styles vor der Selektor-Suche
+ */
+export function stripNonContent(html = '') {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, '');
+}
+
+/**
+ * Parst Attribute eines öffnenden Tags
+ * @returns {Object} { name: value } (Namen in Kleinbuchstaben)
+ */
+export function parseAttributes(source = '') {
+  const attributes = {};
+  const pattern = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Text ohne Tags, Entities dekodiert, Whitespace zusammengefasst
+ */
+export function textContent(html = '') {
+  return decodeEntities(stripNonContent(html).replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Zerlegt einen einfachen Selektor
+ * @returns {Object|null} { tag, id, classes, attributes } oder null bei nicht unterstützter Syntax
+ */
+export function parseSelector(selector) {
+  const trimmed = selector.trim();
+  if (!trimmed || /[\s>+~,:]/.test(trimmed.replace(/\[[^\]]*\]/g, ''))) return null;
+
+  const parsed = { tag: null, id: null, classes: [], attributes: [] };
+  const pattern = /^([a-zA-Z][\w-]*)|#([\w\u00C0-\u024F-]+)|\.([\w\u00C0-\u024F-]+)|\[\s*([\w:-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]/g;
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(trimmed))) {
+    if (match.index !== consumed) return null;
+    consumed = pattern.lastIndex;
+
+    if (match[1]) parsed.tag = match[1].toLowerCase();
+    else if (match[2]) parsed.id = match[2];
+    else if (match[3]) parsed.classes.push(match[3]);
+    else parsed.attributes.push({ name: match[4].toLowerCase(), value: match[5] ?? match[6] ?? match[7] ?? null });
+  }
+
+  return consumed === trimmed.length ? parsed : null;
+}
+
+function matches(tag, attributes, selector) {
+  if (selector.tag && selector.tag !== tag) return false;
+  if (selector.id && attributes.id !== selector.id) return false;
+
+  if (selector.classes.length) {
+    const classes = (attributes.class || '').split(/\s+/);
+    if (!selector.classes.every(name => classes.includes(name))) return false;
+  }
+
+  return selector.attributes.every(({ name, value }) =>
+    name in attributes && (value === null || attributes[name] === value)
+  );
+}
+
+/**
+ * Inneres HTML ab einer Position bis zum passenden schließenden Tag
+ */
+function innerHtmlFrom(html, tag, start) {
+  const pattern = new RegExp(`<(/?)${tag}\\b[^>]*?(/?)>`, 'gi');
+  pattern.lastIndex = start;
+  let depth = 1;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    if (match[1]) depth--;
+    else if (!match[2]) depth++;
+    if (depth === 0) return html.slice(start, match.index);
+  }
+
+  return html.slice(start);
+}
+
+/**
+ * Sucht Elemente per einfachem Selektor
+ * @returns {Array} [{ tag, attributes, innerHtml, text }] in Dokumentreihenfolge
+ */
+export function querySelectorAll(html, selector) {
+  const parsed = parseSelector(selector);
+  if (!parsed) return [];
+
+  const content = stripNonContent(html);
+  const tagPattern = /<([a-zA-Z][\w-]*)(\s[^>]*?)?(\/?)>/g;
+  const elements = [];
+  let match;
+
+  while ((match = tagPattern.exec(content))) {
+    const tag = match[1].toLowerCase();
+    const attributes = parseAttributes(match[2] || '');
+    if (!matches(tag, attributes, parsed)) continue;
+
+    const selfClosing = match[3] === '/' || VOID_ELEMENTS.has(tag);
+    const innerHtml = selfClosing ? '' : innerHtmlFrom(content, tag, tagPattern.lastIndex);
+    elements.push({ tag, attributes, innerHtml, text: textContent(innerHtml) });
+  }
+
+  return elements;
+}
+
+/**
+ * Inhalte aller JSON-LD Blöcke (ungültiges JSON wird übersprungen)
+ */
+export function extractJsonLdBlocks(html = '') {
+  const blocks = [];
+  const pattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    try {
+      blocks.push(JSON.parse(match[1].trim()));
+    } catch {
+      // Kaputte Blöcke kommen bei Shops häufiger vor, nächsten versuchen
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Inhalte von <meta property|name|itemprop="..." content="..."> als Map
+ */
+export function extractMetaTags(html = '') {
+  const meta = {};
+  const pattern = /<meta\b([^>]*)>/gi;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    const attributes = parseAttributes(match[1]);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  return meta;
+}
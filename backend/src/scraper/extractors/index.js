@@ -0,0 +1,102 @@
+/**
+ * Registry für statische HTML-Extraktion
+ *
+ * Reihenfolge: JSON-LD → OpenGraph/Meta → Domain-Selektoren (inkl. Microdata).
+ * Der erste Extractor mit Preis gewinnt; fehlt dort die Verfügbarkeit,
+ * wird sie aus den folgenden Extractors ergänzt.
+ */
+
+import jsonLdExtractor from './json-ld.js';
+import openGraphExtractor from './open-graph.js';
+import selectorExtractor from './selectors.js';
+import DOMAIN_EXTRACTORS from './domains/index.js';
+
+export const EXTRACTORS = {
+  [jsonLdExtractor.name]: jsonLdExtractor,
+  [openGraphExtractor.name]: openGraphExtractor,
+  [selectorExtractor.name]: selectorExtractor
+};
+
+const DEFAULT_ORDER = [jsonLdExtractor.name, openGraphExtractor.name, selectorExtractor.name];
+
+const DEFAULT_DOMAIN_CONFIG = {
+  currency: '€',
+  price: [],
+  availability: [],
+  fallbackPrice: /[\d,\.]+/
+};
+
+const domainConfigs = new Map();
+
+/**
+ * Hostname ohne "www." in Kleinbuchstaben, akzeptiert auch komplette URLs
+ */
+export function normalizeDomain(domainOrUrl = '') {
+  let hostname = String(domainOrUrl).trim().toLowerCase();
+  try {
+    if (hostname.includes('://')) hostname = new URL(hostname).hostname;
+  } catch {
+    return null;
+  }
+  return hostname.replace(/^www\./, '') || null;
+}
+
+/**
+ * Registriert (oder ersetzt) die Konfiguration eines Händlers
+ * @param {Object} config - { domain, currency, price[], availability[], fallbackPrice, extractors?, extract? }
+ */
+export function registerDomainExtractor(config) {
+  const domain = normalizeDomain(config?.domain);
+  if (!domain) {
+    throw new Error('Domain extractor requires a domain');
+  }
+  domainConfigs.set(domain, { ...DEFAULT_DOMAIN_CONFIG, ...config, domain });
+}
+
+DOMAIN_EXTRACTORS.forEach(registerDomainExtractor);
+
+/**
+ * Konfiguration eines Händlers oder null, wenn keine hinterlegt ist
+ */
+export function getDomainConfig(domainOrUrl) {
+  return domainConfigs.get(normalizeDomain(domainOrUrl)) || null;
+}
+
+export function getSupportedDomains() {
+  return [...domainConfigs.keys()];
+}
+
+/**
+ * Extrahiert Preis und Verfügbarkeit aus statischem HTML
+ * @param {string} html - Seiten-Markup
+ * @param {Object} options - { url } oder { domain }
+ * @returns {Object|null} { price, currency, availability, extractor } oder null ohne Preis
+ */
+export function extractFromHtml(html, { url, domain } = {}) {
+  if (!html) return null;
+
+  const config = getDomainConfig(domain || url) || DEFAULT_DOMAIN_CONFIG;
+  const extractors = [
+    // Händler mit eigener Logik (z.B. Preis in eingebettetem JS) zuerst
+    ...(config.extract ? [{ name: 'custom', extract: config.extract }] : []),
+    ...(config.extractors || DEFAULT_ORDER).map(name => EXTRACTORS[name]).filter(Boolean)
+  ];
+
+  let result = null;
+  let availability = 'unknown';
+  for (const extractor of extractors) {
+    const extracted = extractor.extract(html, config);
+    if (!extracted) continue;
+
+    if (availability === 'unknown') availability = extracted.availability || 'unknown';
+    if (!result && Number.isFinite(extracted.price)) {
+      result = { price: extracted.price, currency: extracted.currency, extractor: extractor.name };
+    }
+
+    if (result && availability !== 'unknown') break;
+  }
+
+  return result ? { ...result, availability } : null;
+}
+
+export { jsonLdExtractor, openGraphExtractor, selectorExtractor };
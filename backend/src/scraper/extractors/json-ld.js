@@ -0,0 +1,58 @@
+/**
+ * Extractor für JSON-LD (schema.org Product/Offer)
+ * Deckt Shopify, WooCommerce, Shopware und PrestaShop ab, die strukturierte Daten ausliefern
+ */
+
+import { extractJsonLdBlocks } from './html.js';
+import { normalizeCurrency, parsePrice, parseAvailability } from './parse.js';
+
+const asArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const hasType = (node, type) => asArray(node?.['@type']).some(entry => String(entry).toLowerCase() === type);
+
+/**
+ * Alle Knoten eines Blocks, inkl. @graph und verschachtelter Arrays
+ */
+function flattenNodes(block) {
+  return asArray(block).flatMap(node => [node, ...asArray(node?.['@graph']).flatMap(flattenNodes)]);
+}
+
+/**
+ * Erstes verwertbares Angebot: Offer, AggregateOffer (lowPrice) oder PriceSpecification
+ */
+function offerPrice(offer) {
+  const candidates = [offer.price, offer.lowPrice, ...asArray(offer.priceSpecification).map(spec => spec.price)];
+  for (const candidate of candidates) {
+    const parsed = typeof candidate === 'number' ? { price: candidate } : parsePrice(candidate);
+    if (parsed) return parsed.price;
+  }
+  return null;
+}
+
+export const jsonLdExtractor = {
+  name: 'json-ld',
+
+  extract(html, { currency: fallbackCurrency } = {}) {
+    const nodes = extractJsonLdBlocks(html).flatMap(flattenNodes);
+    const products = nodes.filter(node => hasType(node, 'product'));
+    const offers = [
+      ...products.flatMap(product => asArray(product.offers)),
+      ...nodes.filter(node => hasType(node, 'offer') || hasType(node, 'aggregateoffer'))
+    ].flatMap(offer => (hasType(offer, 'aggregateoffer') && offer.offers ? [offer, ...asArray(offer.offers)] : [offer]));
+
+    for (const offer of offers) {
+      const price = offerPrice(offer);
+      if (price === null) continue;
+
+      return {
+        price,
+        currency: normalizeCurrency(offer.priceCurrency, fallbackCurrency),
+        availability: parseAvailability(offer.availability)
+      };
+    }
+
+    return null;
+  }
+};
+
+export default jsonLdExtractor;
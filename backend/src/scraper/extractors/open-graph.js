@@ -0,0 +1,31 @@
+/**
+ * Extractor für OpenGraph/Facebook Produkt-Meta-Tags und Microdata in <meta>
+ * (product:price:amount, og:price:amount, itemprop="price")
+ */
+
+import { extractMetaTags } from './html.js';
+import { normalizeCurrency, parsePrice, parseAvailability } from './parse.js';
+
+const PRICE_KEYS = ['product:price:amount', 'og:price:amount', 'product:sale_price:amount', 'price'];
+const CURRENCY_KEYS = ['product:price:currency', 'og:price:currency', 'product:sale_price:currency', 'pricecurrency'];
+const AVAILABILITY_KEYS = ['product:availability', 'og:availability', 'availability'];
+
+const firstValue = (meta, keys) => keys.map(key => meta[key]).find(value => value !== undefined && value !== '');
+
+export const openGraphExtractor = {
+  name: 'open-graph',
+
+  extract(html, { currency: fallbackCurrency } = {}) {
+    const meta = extractMetaTags(html);
+    const parsed = parsePrice(firstValue(meta, PRICE_KEYS));
+    if (!parsed) return null;
+
+    return {
+      price: parsed.price,
+      currency: normalizeCurrency(firstValue(meta, CURRENCY_KEYS), fallbackCurrency),
+      availability: parseAvailability(firstValue(meta, AVAILABILITY_KEYS))
+    };
+  }
+};
+
+export default openGraphExtractor;
@@ -0,0 +1,105 @@
+/**
+ * Parser für Preis- und Verfügbarkeitstexte
+ * Gemeinsam genutzt von statischer Extraktion und Puppeteer-Fallback
+ */
+
+// ISO-Codes auf die bisher gespeicherten Währungssymbole abbilden
+const CURRENCY_SYMBOLS = {
+  EUR: '€',
+  USD: '$',
+  GBP: '£'
+};
+
+/**
+ * Normalisiert Währungsangaben (EUR → €)
+ */
+export function normalizeCurrency(currency, fallback = '€') {
+  if (!currency) return fallback;
+  const code = String(currency).trim().toUpperCase();
+  return CURRENCY_SYMBOLS[code] || String(currency).trim();
+}
+
+/**
+ * Parst Preis aus Text mit Regex
+ * @returns {{ price: number, currency: string }|null}
+ */
+export function parsePrice(text, currency = '€') {
+  if (text === null || text === undefined || text === '') return null;
+
+  // Remove alle non-numeric characters außer Punkt und Komma
+  const cleanText = String(text).replace(/[^\d,\.]/g, '');
+
+  // Verschiedene Preisformate erkennen
+  const patterns = [
+    /(\d{1,3}(?:\.\d{3})*),(\d{2})(?!\d)/, // Deutsch: 1.234,56
+    /(\d{1,3}(?:,\d{3})*\.(\d{2}))/, // English: 1,234.56
+    /(\d+[,\.]\d{1,2})/, // Einfacher Preis: 123,45 oder 123.45
+    /(\d+)/ // Nur Ganzzahlen
+  ];
+
+  for (const pattern of patterns) {
+    const match = cleanText.match(pattern);
+    if (match) {
+      let priceStr = match[0];
+      // Deutsch format zu float konvertieren
+      if (priceStr.includes(',') && priceStr.lastIndexOf(',') > priceStr.lastIndexOf('.')) {
+        priceStr = priceStr.replace(/\./g, '').replace(',', '.');
+      } else if (priceStr.includes(',') && !priceStr.includes('.')) {
+        priceStr = priceStr.replace(',', '.');
+      } else if (priceStr.includes(',')) {
+        priceStr = priceStr.replace(/,/g, '');
+      }
+
+      const price = parseFloat(priceStr);
+      return isNaN(price) ? null : { price, currency };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Bestimmt Verfügbarkeitsstatus aus Text oder schema.org-URL
+ * @returns {'in-stock'|'out-of-stock'|'low-stock'|'unknown'}
+ */
+export function parseAvailability(text) {
+  if (!text) return 'unknown';
+
+  const lowerText = String(text).toLowerCase();
+
+  // schema.org ItemAvailability (JSON-LD, Microdata, OpenGraph)
+  if (/schema\.org\/(instock|instoreonly|onlineonly)$/.test(lowerText) || lowerText === 'instock') {
+    return 'in-stock';
+  }
+  if (/schema\.org\/(outofstock|soldout|discontinued)$/.test(lowerText) || lowerText === 'outofstock' || lowerText === 'oos') {
+    return 'out-of-stock';
+  }
+  if (/schema\.org\/limitedavailability$/.test(lowerText)) {
+    return 'low-stock';
+  }
+
+  // Negative Formulierungen zuerst, "nicht verfügbar" enthält "verfügbar"
+  if (lowerText.includes('out of stock') ||
+      lowerText.includes('nicht verfügbar') ||
+      lowerText.includes('ausverkauft') ||
+      lowerText.includes('nicht lieferbar')) {
+    return 'out-of-stock';
+  }
+
+  if (lowerText.includes('low stock') ||
+      lowerText.includes('wenige') ||
+      lowerText.includes('begrenzt')) {
+    return 'low-stock';
+  }
+
+  if (lowerText.includes('in stock') ||
+      lowerText.includes('verfügbar') ||
+      lowerText.includes('lieferbar') ||
+      lowerText.includes('sofort') ||
+      lowerText.includes('green') ||
+      /\d+\s*(stk|pcs|pieces|stück)/.test(lowerText)) {
+    return 'in-stock';
+  }
+
+  return 'unknown';
+}
@@ -0,0 +1,55 @@
+/**
+ * Extractor über Selektor-Listen der Domain-Konfiguration
+ * Bevorzugt maschinenlesbare Attribute (content, data-price) vor dem sichtbaren Text
+ */
+
+import { querySelectorAll, textContent } from './html.js';
+import { parsePrice, parseAvailability } from './parse.js';
+
+// Microdata-Selektoren, die bei jeder Domain als letzte probiert werden
+const DEFAULT_PRICE_SELECTORS = ['[itemprop=price]'];
+const DEFAULT_AVAILABILITY_SELECTORS = ['[itemprop=availability]'];
+
+// Durchgestrichene Streichpreise (<del>, <s>) gehören nicht zum aktuellen Preis
+const STRUCK_THROUGH = /<(del|s|strike)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+const elementValues = (element) => [
+  element.attributes.content,
+  element.attributes['data-price'],
+  element.attributes['data-price-amount'],
+  element.attributes.href,
+  textContent(element.innerHtml.replace(STRUCK_THROUGH, ''))
+].filter(value => value !== undefined && value !== '');
+
+export const selectorExtractor = {
+  name: 'selectors',
+
+  extract(html, { price: priceSelectors = [], availability: availabilitySelectors = [], currency = '€' } = {}) {
+    let priceInfo = null;
+    for (const selector of [...priceSelectors, ...DEFAULT_PRICE_SELECTORS]) {
+      for (const element of querySelectorAll(html, selector)) {
+        priceInfo = elementValues(element).map(value => parsePrice(value, currency)).find(Boolean) || null;
+        if (priceInfo) break;
+      }
+      if (priceInfo) break;
+    }
+
+    let availability = 'unknown';
+    for (const selector of [...availabilitySelectors, ...DEFAULT_AVAILABILITY_SELECTORS]) {
+      const status = querySelectorAll(html, selector)
+        .flatMap(elementValues)
+        .map(parseAvailability)
+        .find(value => value !== 'unknown');
+      if (status) {
+        availability = status;
+        break;
+      }
+    }
+
+    // Auch ohne Preis verwertbar, um die Verfügbarkeit anderer Extractors zu ergänzen
+    if (!priceInfo && availability === 'unknown') return null;
+    return { price: priceInfo?.price ?? null, currency: priceInfo?.currency ?? currency, availability };
+  }
+};
+
+export default selectorExtractor;
@@ -0,0 +1,212 @@
+/**
+ * Zeitgesteuertes Price Scraping für DIY Humanoid Configurator
+ *
+ * - Führt scrapeAllPrices im konfigurierten Intervall aus (PRICE_SCRAPE_*), als Job price.scrape der JobQueue
+ * - Parallelitätslimit pro Händler-Domain
+ * - Admin-Alerts bei Preissprüngen und Ausverkauf (notificationService.sendAdminAlert)
+ * - Webhook-Event price.changed mit allen geänderten Preisen des Laufs
+ * - Lauf-Historie inkl. Fehlern pro Lieferanten-Angebot (PriceScrapeRun)
+ */
+
+import { getEnv } from '../config/env.js';
+import { logger } from '../lib/logger.js';
+import { PriceScrapeRunRepository, PriceSnapshotRepository } from '../repositories/index.js';
+import notificationService from '../services/notificationService.js';
+import jobQueue from '../services/jobQueue.js';
+import { detectPriceAlerts, detectPriceChanges } from '../utils/priceAlerts.js';
+import { listOffers } from '../utils/supplierOffers.js';
+import { scrapeAllPrices } from './price-scraper.js';
+
+const MINUTE = 60 * 1000;
+
+class PriceScheduler {
+  constructor(options = {}) {
+    this.options = {
+      enabled: false,
+      intervalMinutes: 360,
+      concurrency: 3,
+      perDomainConcurrency: 1,
+      alertThresholdPercent: 10,
+      ...options
+    };
+
+    // Injizierbar für Tests
+    this.runRepository = options.runRepository || new PriceScrapeRunRepository();
+    this.snapshotRepository = options.snapshotRepository || new PriceSnapshotRepository();
+    this.notifier = options.notifier || notificationService;
+    this.scrape = options.scrape || scrapeAllPrices;
+    this.queue = options.queue || jobQueue;
+
+    this.timer = null;
+    this.currentRun = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Startet den Intervall-Timer (ohne sofortigen Lauf)
+   */
+  start() {
+    if (!this.options.enabled || this.timer) return;
+
+    const interval = this.options.intervalMinutes * MINUTE;
+    this.timer = setInterval(() => {
+      this.nextRunAt = new Date(Date.now() + interval);
+      this.enqueueRun('schedule').catch(error => {
+        logger.error('Failed to queue scheduled price scraping', { error: error.message });
+      });
+    }, interval);
+    // Timer soll den Prozess nicht am Beenden hindern
+    this.timer.unref?.();
+    this.nextRunAt = new Date(Date.now() + interval);
+
+    logger.info('Price scraping scheduler started', {
+      intervalMinutes: this.options.intervalMinutes,
+      perDomainConcurrency: this.options.perDomainConcurrency
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.nextRunAt = null;
+    }
+  }
+
+  /**
+   * Reiht einen Lauf als Job ein; ist bereits einer eingereiht oder aktiv, wird dieser zurückgegeben
+   * @param {string} trigger - 'schedule' | 'manual'
+   * @returns {Promise<Object>} Job
+   */
+  enqueueRun(trigger = 'manual') {
+    return this.queue.enqueue('price.scrape', { trigger }, { uniqueKey: 'price.scrape' });
+  }
+
+  /**
+   * Startet einen Lauf (Handler des Jobs price.scrape); läuft bereits einer, wird dieser zurückgegeben
+   * @param {string} trigger - 'schedule' | 'manual'
+   * @returns {Promise<Object>} Abgeschlossener PriceScrapeRun
+   */
+  runNow(trigger = 'manual') {
+    if (!this.currentRun) {
+      this.currentRun = this.execute(trigger).finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  async execute(trigger) {
+    const run = await this.runRepository.start(trigger);
+
+    try {
+      // Vergleichsbasis vor dem Lauf laden, danach enthält die Historie schon die neuen Preise
+      const previous = await this.snapshotRepository.findLatestForOffers(listOffers());
+
+      const results = await this.scrape({
+        headless: true,
+        concurrentLimit: this.options.concurrency,
+        perDomainConcurrency: this.options.perDomainConcurrency,
+        snapshotRepository: this.snapshotRepository
+      });
+
+      const failures = results
+        .filter(result => !result.success)
+        .map(result => ({
+          productKey: result.productKey,
+          offerId: result.offerId || null,
+          supplier: result.supplier || null,
+          code: result.error?.code || 'SCRAPING_FAILED',
+          message: result.error?.message || String(result.error || 'Unknown error')
+        }));
+
+      const alerts = detectPriceAlerts(results, previous, {
+        thresholdPercent: this.options.alertThresholdPercent
+      });
+      await this.sendAlerts(run.id, alerts);
+
+      const changes = detectPriceChanges(results, previous);
+      if (changes.length > 0) {
+        await this.notifier.sendPriceChangeNotification(run.id, changes);
+      }
+
+      const completed = await this.runRepository.complete(run.id, {
+        total: results.length,
+        successful: results.length - failures.length,
+        failed: failures.length,
+        failures,
+        alerts
+      });
+
+      logger.info('Price scraping run completed', {
+        runId: run.id,
+        trigger,
+        successful: completed.successful,
+        failed: completed.failed,
+        alerts: alerts.length
+      });
+
+      return completed;
+    } catch (error) {
+      await this.runRepository.fail(run.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ein Admin-Alert pro Alert-Typ mit allen betroffenen Produkten
+   */
+  async sendAlerts(runId, alerts) {
+    const byType = new Map();
+    for (const alert of alerts) {
+      byType.set(alert.type, [...(byType.get(alert.type) || []), alert]);
+    }
+
+    await Promise.all([...byType.entries()].map(([type, products]) =>
+      this.notifier.sendAdminAlert(type, {
+        runId,
+        thresholdPercent: this.options.alertThresholdPercent,
+        products
+      })
+    ));
+  }
+
+  async getRecentRuns(limit = 20) {
+    return this.runRepository.findRecent(limit);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.options.enabled,
+      scheduled: Boolean(this.timer),
+      running: Boolean(this.currentRun),
+      intervalMinutes: this.options.intervalMinutes,
+      concurrency: this.options.concurrency,
+      perDomainConcurrency: this.options.perDomainConcurrency,
+      alertThresholdPercent: this.options.alertThresholdPercent,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null
+    };
+  }
+}
+
+/**
+ * Scheduler mit Konfiguration aus der Umgebung
+ */
+export function createPriceScheduler(overrides = {}) {
+  const env = getEnv();
+  return new PriceScheduler({
+    enabled: env.PRICE_SCRAPE_ENABLED,
+    intervalMinutes: env.PRICE_SCRAPE_INTERVAL_MINUTES,
+    concurrency: env.PRICE_SCRAPE_CONCURRENCY,
+    perDomainConcurrency: env.PRICE_SCRAPE_DOMAIN_CONCURRENCY,
+    alertThresholdPercent: env.PRICE_ALERT_THRESHOLD_PERCENT,
+    ...overrides
+  });
+}
+
+// Gemeinsame Instanz für Server-Start und Admin-Routen
+export const priceScheduler = createPriceScheduler();
+
+export { PriceScheduler };
+
+export default priceScheduler;
@@ -3,15 +3,24 @@
  * 
  * Features:
  * - Anti-Bot Protection (User-Agent Rotation, Random Delays)
- * - Site-spezifische Scraper mit Selector Maps
+ * - Statische HTML-Extraktion (JSON-LD, OpenGraph, Selektoren) pro Händler-Domain
+ * - Puppeteer nur als Fallback für JS-gerenderte oder geblockte Seiten
  * - Robustes Error Handling mit Retry Logic
  * - Graceful Failures mit Fallback
  * - Structured Error Messages
  * - Production-ready Implementation
+ * - Persistente Preis-Historie (PriceSnapshot) nach jedem Bulk-Scraping
+ * - Parallelitätslimit pro Händler-Domain
+ * - Alle Lieferanten-Angebote (offers) eines Teils werden gescrapt
  */
 
 import puppeteer from 'puppeteer';
 import { PARTS } from '../data/products.js';
+import { PriceSnapshotRepository } from '../repositories/index.js';
+import { runWithDomainLimits } from '../utils/domainConcurrency.js';
+import { getOffers } from '../utils/supplierOffers.js';
+import { extractFromHtml, getDomainConfig } from './extractors/index.js';
+import { parsePrice, parseAvailability } from './extractors/parse.js';
 
 /**
  * User-Agent Pool für Rotation (aktuelle Browser)
@@ -24,72 +33,6 @@ const USER_AGENTS = [
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36'
 ];
 
-/**
- * Site-spezifische Selector Maps für Preise und Verfügbarkeit
- */
-const SITE_SELECTORS = {
-  'electropeak.com': {
-    price: ['.price', '.product-price', '[data-price]', '.current-price', '.amount'],
-    availability: ['.availability', '.stock-status', '[data-availability]', '.in-stock', '.out-of-stock'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'srituhobby.com': {
-    price: ['.price', '.product-price', '.woocommerce-price', '.amount', '.current-price'],
-    availability: ['.availability', '.stock', '.in-stock', '.out-of-stock', '.stock-status'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'kubii.com': {
-    price: ['.price', '.current-price', '.product-price', '[data-price]', '.amount'],
-    availability: ['.availability', '.stock-level', '.in-stock', '[data-availability]'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'eu.robotshop.com': {
-    price: ['.price', '.product-price', '.current-price', '.amount', '[data-price]'],
-    availability: ['.availability', '.stock-status', '.in-stock', '.out-of-stock'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'welectron.com': {
-    price: ['.price', '.product-price', '.current-price', '.amount'],
-    availability: ['.availability', '.stock', '.lagerbestand', '.verfügbarkeit'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'mg-modellbau.de': {
-    price: ['.price', '.product-price', '.preis', '.current-price'],
-    availability: ['.availability', '.lagerbestand', '.verfügbar', '.lieferzeit'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'optics-pro.com': {
-    price: ['.price', '.product-price', '.current-price', '[data-price]'],
-    availability: ['.availability', '.stock-status', '.in-stock'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'gensace.de': {
-    price: ['.price', '.product-price', '.current-price', '.amount'],
-    availability: ['.availability', '.stock', '.lagerbestand'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'prusa3d.com': {
-    price: ['.price', '.product-price', '.current-price', '.amount'],
-    availability: ['.availability', '.stock-status', '.in-stock'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  },
-  'eu.mouser.com': {
-    price: ['.price', '.product-price', '.current-price', '[data-price]'],
-    availability: ['.availability', '.stock-level', '.in-stock'],
-    fallbackPrice: /[\d,\.]+/,
-    currency: '€'
-  }
-};
-
 /**
  * Scraping Errors für strukturierte Fehlerbehandlung
  */
@@ -115,8 +58,15 @@ class PriceScraper {
       minDelay: options.minDelay || 2000, // 2s minimum delay
       maxDelay: options.maxDelay || 5000, // 5s maximum delay
       headless: options.headless !== false, // Default headless
+      persistSnapshots: options.persistSnapshots !== false, // Ergebnisse als PriceSnapshot speichern
+      perDomainConcurrency: options.perDomainConcurrency || null, // Max. parallele Requests pro Händler
+      staticExtraction: options.staticExtraction !== false, // Erst statisches HTML auswerten
+      browserFallback: options.browserFallback !== false, // Puppeteer, wenn statisch kein Preis gefunden wird
       ...options
     };
+
+    // Repository für die Preis-Historie (lazy, injizierbar für Tests)
+    this.snapshotRepository = options.snapshotRepository || null;
     
     // Cache für Browser-Instanz
     this.browserPromise = null;
@@ -191,75 +141,86 @@ class PriceScraper {
    * Parst Preis aus Text mit Regex
    */
   parsePrice(text, currency = '€') {
-    if (!text) return null;
-    
-    // Remove alle non-numeric characters außer Punkt und Komma
-    const cleanText = text.replace(/[^\d,\.]/g, '');
-    
-    // Verschiedene Preisformate erkennen
-    const patterns = [
-      /(\d{1,3}(?:\.\d{3})*),(\d{2})/, // Deutsch: 1.234,56
-      /(\d{1,3}(?:,\d{3})*\.(\d{2}))/, // English: 1,234.56
-      /(\d+[,\.]\d{1,2})/, // Einfacher Preis: 123,45 oder 123.45
-      /(\d+)/ // Nur Ganzzahlen
-    ];
-
-    for (const pattern of patterns) {
-      const match = cleanText.match(pattern);
-      if (match) {
-        let priceStr = match[0];
-        // Deutsch format zu float konvertieren
-        if (priceStr.includes(',') && priceStr.lastIndexOf(',') > priceStr.lastIndexOf('.')) {
-          priceStr = priceStr.replace(/\./g, '').replace(',', '.');
-        } else if (priceStr.includes(',') && !priceStr.includes('.')) {
-          priceStr = priceStr.replace(',', '.');
-        }
-        
-        const price = parseFloat(priceStr);
-        return isNaN(price) ? null : { price, currency };
-      }
-    }
-    
-    return null;
+    return parsePrice(text, currency);
   }
 
   /**
    * Bestimmt Verfügbarkeitsstatus aus Text
    */
   parseAvailability(text) {
-    if (!text) return 'unknown';
-    
-    const lowerText = text.toLowerCase();
-    
-    if (lowerText.includes('in stock') || 
-        lowerText.includes('verfügbar') || 
-        lowerText.includes('lieferbar') ||
-        lowerText.includes('sofort') ||
-        lowerText.includes('green') ||
-        /\d+\s*(stk|pcs|pieces|stück)/.test(lowerText)) {
-      return 'in-stock';
-    }
-    
-    if (lowerText.includes('out of stock') || 
-        lowerText.includes('nicht verfügbar') ||
-        lowerText.includes('ausverkauft') ||
-        lowerText.includes('nicht lieferbar')) {
-      return 'out-of-stock';
+    return parseAvailability(text);
+  }
+
+  /**
+   * Scrapt Preis von einer URL: erst statisches HTML, dann Puppeteer als Fallback
+   */
+  async scrapePrice(url, productKey) {
+    if (this.options.staticExtraction) {
+      const staticResult = await this.scrapePriceStatic(url, productKey);
+      if (staticResult) return staticResult;
+
+      if (!this.options.browserFallback) {
+        return {
+          success: false,
+          error: new ScrapingError('No price found in static HTML', 'PRICE_NOT_FOUND', { url }),
+          url,
+          productKey,
+          timestamp: new Date().toISOString(),
+          attempts: 1
+        };
+      }
     }
-    
-    if (lowerText.includes('low stock') ||
-        lowerText.includes('wenige') ||
-        lowerText.includes('begrenzt')) {
-      return 'low-stock';
+
+    return this.scrapePriceWithBrowser(url, productKey);
+  }
+
+  /**
+   * Lädt das HTML per fetch und wertet es mit den Extractors aus
+   * @returns {Object|null} Ergebnis oder null, wenn kein Preis gefunden wurde
+   */
+  async scrapePriceStatic(url, productKey) {
+    try {
+      console.log(`[PriceScraper] Fetching ${url} (static)`);
+
+      const response = await fetch(url, {
+        headers: {
+          'User-Agent': this.getRandomUserAgent(),
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'de-DE,de;q=0.9,en;q=0.8'
+        },
+        signal: AbortSignal.timeout(this.options.timeout)
+      });
+
+      if (!response.ok) {
+        console.warn(`[PriceScraper] Static fetch of ${url} failed: HTTP ${response.status}`);
+        return null;
+      }
+
+      const extracted = extractFromHtml(await response.text(), { url });
+      if (!extracted) return null;
+
+      return {
+        success: true,
+        price: extracted.price,
+        currency: extracted.currency,
+        availability: extracted.availability,
+        extractor: extracted.extractor,
+        method: 'static',
+        timestamp: new Date().toISOString(),
+        url,
+        productKey,
+        scrapedAt: new Date()
+      };
+    } catch (error) {
+      console.warn(`[PriceScraper] Static extraction for ${url} failed:`, error.message);
+      return null;
     }
-    
-    return 'unknown';
   }
 
   /**
-   * Scrapt Preis von einer spezifischen URL mit Retry-Logic
+   * Scrapt Preis mit Puppeteer (Fallback) inkl. Retry-Logic
    */
-  async scrapePrice(url, productKey, attempt = 1) {
+  async scrapePriceWithBrowser(url, productKey, attempt = 1) {
     try {
       console.log(`[PriceScraper] Scraping ${url} (attempt ${attempt})`);
       
@@ -287,17 +248,19 @@ class PriceScraper {
 
       // Domain-spezifische Selektoren abrufen
       const domain = this.extractDomain(url);
-      const selectors = SITE_SELECTORS[domain];
+      const selectors = getDomainConfig(domain);
 
       if (!selectors) {
         throw new ScrapingError('No selectors configured for domain', 'UNSUPPORTED_DOMAIN', { domain });
       }
 
-      let priceInfo = null;
-      let availabilityStatus = 'unknown';
+      // Gerendertes HTML zuerst mit denselben Extractors wie der statische Pfad auswerten
+      const extracted = extractFromHtml(await page.content(), { domain });
+      let priceInfo = extracted ? { price: extracted.price, currency: extracted.currency } : null;
+      let availabilityStatus = extracted?.availability || 'unknown';
 
-      // Preis scrapen
-      for (const selector of selectors.price) {
+      // Preis scrapen (Selektoren, die erst nach JS-Rendering erscheinen)
+      for (const selector of priceInfo ? [] : selectors.price) {
         try {
           await page.waitForSelector(selector, { timeout: 3000 });
           const element = await page.$(selector);
@@ -313,7 +276,7 @@ class PriceScraper {
       }
 
       // Verfügbarkeit scrapen
-      for (const selector of selectors.availability) {
+      for (const selector of availabilityStatus !== 'unknown' ? [] : selectors.availability) {
         try {
           const element = await page.$(selector);
           if (element) {
@@ -348,6 +311,8 @@ class PriceScraper {
           price: priceInfo.price,
           currency: priceInfo.currency,
           availability: availabilityStatus,
+          extractor: extracted ? extracted.extractor : 'browser',
+          method: 'browser',
           timestamp: new Date().toISOString(),
           url,
           productKey,
@@ -365,7 +330,7 @@ class PriceScraper {
         const backoffDelay = Math.pow(2, attempt) * 1000; // Exponential backoff
         console.log(`[PriceScraper] Retrying in ${backoffDelay}ms...`);
         await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        return this.scrapePrice(url, productKey, attempt + 1);
+        return this.scrapePriceWithBrowser(url, productKey, attempt + 1);
       }
       
       // Structured error nach max retries
@@ -381,71 +346,111 @@ class PriceScraper {
   }
 
   /**
-   * Scrapt Preise für ein spezifisches Produkt
+   * Scrapt ein Lieferanten-Angebot eines Produkts
+   * Ergebnisse tragen offerId und supplier des Angebots
    */
-  async scrapePriceForProduct(productKey) {
-    const product = PARTS[productKey];
-    if (!product) {
-      throw new ScrapingError('Product not found', 'PRODUCT_NOT_FOUND', { productKey });
+  async scrapeOffer(productKey, offer) {
+    const offerInfo = { offerId: offer.id, supplier: offer.supplier };
+
+    if (!offer.link || offer.link === '#') {
+      return {
+        success: false,
+        error: new ScrapingError('No valid URL for offer', 'NO_URL', { productKey, offerId: offer.id }),
+        productKey,
+        ...offerInfo,
+        timestamp: new Date().toISOString()
+      };
     }
 
-    if (!product.link || product.link === '#') {
+    try {
+      const result = await this.scrapePrice(offer.link, productKey);
+      return { ...result, ...offerInfo };
+    } catch (error) {
       return {
         success: false,
-        error: new ScrapingError('No valid URL for product', 'NO_URL', { productKey }),
+        error,
+        url: offer.link,
         productKey,
+        ...offerInfo,
         timestamp: new Date().toISOString()
       };
     }
+  }
+
+  /**
+   * Scrapt Preise für ein spezifisches Produkt (alle Angebote)
+   * Rückgabe: Ergebnis des Hauptangebots (offers[0]) mit allen Angebots-Ergebnissen in offers
+   */
+  async scrapePriceForProduct(productKey) {
+    const product = PARTS[productKey];
+    if (!product) {
+      throw new ScrapingError('Product not found', 'PRODUCT_NOT_FOUND', { productKey });
+    }
+
+    const offerResults = [];
+    for (const offer of getOffers(productKey)) {
+      offerResults.push(await this.scrapeOffer(productKey, offer));
+    }
 
-    return this.scrapePrice(product.link, productKey);
+    return { ...offerResults[0], offers: offerResults };
   }
 
   /**
-   * Scrapt alle Produktpreise parallel (mit Begrenzung)
+   * Domain einer URL für das Limit pro Händler (null ohne gültige URL)
+   */
+  getLinkDomain(link) {
+    if (!link || link === '#') return null;
+    try {
+      return this.extractDomain(link);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Scrapt alle Angebote aller Produkte parallel (mit Begrenzung)
+   * concurrentLimit begrenzt global, options.perDomainConcurrency pro Händler-Domain
+   * @returns {Array} Ein Ergebnis pro Angebot (mit productKey, offerId, supplier)
    */
   async scrapeAllPrices(concurrentLimit = 3) {
-    const productKeys = Object.keys(PARTS);
-    const results = [];
+    const tasks = Object.keys(PARTS).flatMap(productKey =>
+      getOffers(productKey).map(offer => ({ productKey, offer }))
+    );
     
-    console.log(`[PriceScraper] Starting bulk scraping for ${productKeys.length} products...`);
-
-    // Parallel scraping mit Begrenzung
-    for (let i = 0; i < productKeys.length; i += concurrentLimit) {
-      const batch = productKeys.slice(i, i + concurrentLimit);
-      const batchPromises = batch.map(key => this.scrapePriceForProduct(key));
-      
-      try {
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
-        
-        // Verzögerung zwischen Batches
-        if (i + concurrentLimit < productKeys.length) {
-          await this.randomDelay();
-        }
-      } catch (error) {
-        console.error('[PriceScraper] Batch error:', error);
-        // Continue with individual scraping for failed batch
-        for (const key of batch) {
-          try {
-            const result = await this.scrapePriceForProduct(key);
-            results.push(result);
-          } catch (individualError) {
-            results.push({
-              success: false,
-              error: individualError,
-              productKey: key,
-              timestamp: new Date().toISOString()
-            });
-          }
-        }
+    console.log(`[PriceScraper] Starting bulk scraping for ${tasks.length} offers...`);
+
+    const results = await runWithDomainLimits(
+      tasks,
+      ({ productKey, offer }) => this.scrapeOffer(productKey, offer),
+      {
+        concurrency: concurrentLimit,
+        perDomain: this.options.perDomainConcurrency || concurrentLimit,
+        getDomain: ({ offer }) => this.getLinkDomain(offer.link)
       }
-    }
+    );
 
     console.log(`[PriceScraper] Bulk scraping completed. Success: ${results.filter(r => r.success).length}/${results.length}`);
+
+    await this.persistSnapshots(results);
     return results;
   }
 
+  /**
+   * Speichert Ergebnisse als PriceSnapshots
+   * Fehler beim Speichern brechen das Scraping nicht ab
+   */
+  async persistSnapshots(results) {
+    if (!this.options.persistSnapshots) return;
+
+    try {
+      this.snapshotRepository ||= new PriceSnapshotRepository();
+      const { count } = await this.snapshotRepository.recordResults(results);
+      console.log(`[PriceScraper] Stored ${count} price snapshots`);
+    } catch (error) {
+      console.error('[PriceScraper] Failed to store price snapshots:', error.message);
+    }
+  }
+
   /**
    * Browser-Instanz schließen
    */
@@ -480,7 +485,7 @@ export async function scrapePriceForProduct(productKey, options = {}) {
 }
 
 /**
- * Scrapt alle Produktpreise
+ * Scrapt alle Angebotspreise
  */
 export async function scrapeAllPrices(options = {}) {
   const scraper = new PriceScraper(options);
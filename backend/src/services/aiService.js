@@ -378,53 +378,6 @@ Bitte erstelle eine vollständige Konfiguration im JSON-Format mit passenden Kom
     }
   }
 
-  /**
-   * Kompatibilitätsprüfung
-   */
-  async checkCompatibility(components) {
-    const systemMessage = {
-      role: 'system',
-      content: `Du bist ein Experte für Roboter-Komponenten-Kompatibilität.
-
-Analysiere die gegebenen Komponenten auf:
-- Technische Kompatibilität (Spannungen, Interfaces, etc.)
-- Mechanische Passung
-- Software-Kompatibilität
-- Mögliche Konflikte oder Probleme
-
-Antworte im JSON-Format:
-{
-  "compatible": true/false,
-  "issues": ["Problem 1", "Problem 2"],
-  "recommendations": ["Empfehlung 1", "Empfehlung 2"],
-  "confidence": 0.85
-}`
-    };
-
-    const userMessage = {
-      role: 'user',
-      content: `Prüfe die Kompatibilität dieser Komponenten:\n\n${JSON.stringify(components, null, 2)}`
-    };
-
-    const response = await this.chatCompletion([systemMessage, userMessage]);
-    
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (error) {
-      logger.error('Compatibility Check Parse Error', { error: error.message });
-    }
-
-    return {
-      compatible: null,
-      issues: ['Fehler bei der Kompatibilitätsprüfung'],
-      recommendations: [],
-      confidence: 0
-    };
-  }
-
   /**
    * Manual-Generierung
    */
@@ -4,7 +4,9 @@ import crypto from 'crypto';
 import { PrismaClient } from '@prisma/client';
 import { getEnv } from '../config/env.js';
 import { UnauthorizedError, BadRequestError, ConflictError } from '../middleware/error.js';
+import { ACCESS_TOKEN_AUDIENCE, ACCESS_TOKEN_ISSUER } from '../middleware/auth.js';
 import { logger } from '../lib/logger.js';
+import { twoFactorService } from './twoFactorService.js';
 
 const prisma = new PrismaClient();
 const env = getEnv();
@@ -32,13 +34,14 @@ export class AuthService {
       email: user.email,
       role: user.role,
       name: user.name,
-      emailVerified: user.emailVerified
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: !!user.isTwoFactorEnabled
     };
 
     return jwt.sign(payload, env.JWT_SECRET, {
       expiresIn: env.JWT_EXPIRES_IN || '15m',
-      issuer: 'diy-humanoid-configurator',
-      audience: 'diy-humanoid-app'
+      issuer: ACCESS_TOKEN_ISSUER,
+      audience: ACCESS_TOKEN_AUDIENCE
     });
   }
 
@@ -95,7 +98,9 @@ export class AuthService {
   }
 
   // User login
-  async login(email, password, ipAddress, userAgent) {
+  // With 2FA enabled (or required for the role) the password step returns a challenge instead of tokens,
+  // unless the request carries a valid trusted-device token
+  async login(email, password, ipAddress, userAgent, { trustedDeviceToken } = {}) {
     // Check for too many failed attempts
     await this.checkLoginAttempts(email, ipAddress);
 
@@ -128,8 +133,64 @@ export class AuthService {
       throw new UnauthorizedError('Account is deactivated');
     }
 
+    if (!user.isTwoFactorEnabled && twoFactorService.isRequired(user)) {
+      logger.info('Two-factor setup required before login', { userId: user.id });
+      return {
+        twoFactorRequired: true,
+        setupRequired: true,
+        challengeToken: twoFactorService.createChallenge(user, 'setup')
+      };
+    }
+
+    if (user.isTwoFactorEnabled && !(await twoFactorService.isTrustedDevice(user.id, trustedDeviceToken))) {
+      return {
+        twoFactorRequired: true,
+        setupRequired: false,
+        challengeToken: twoFactorService.createChallenge(user, 'verify')
+      };
+    }
+
+    return this.completeLogin(user, ipAddress, userAgent);
+  }
+
+  // Second login step: TOTP or recovery code for a 'verify' challenge,
+  // first TOTP code of the enrollment for a 'setup' challenge (returns the recovery codes once)
+  async verifyTwoFactorLogin(challengeToken, code, ipAddress, userAgent) {
+    const challenge = twoFactorService.verifyChallenge(challengeToken);
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.id }
+    });
+
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('Invalid credentials');
+    }
+
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      throw new UnauthorizedError('Account is temporarily locked. Try again later.');
+    }
+
+    let recoveryCodes;
+    try {
+      if (challenge.purpose === 'setup') {
+        ({ recoveryCodes } = await twoFactorService.enable(user.id, code));
+      } else {
+        await twoFactorService.verifyCode(user, code);
+      }
+    } catch (error) {
+      if (error instanceof UnauthorizedError) {
+        await this.recordLoginAttempt(user.email, ipAddress, userAgent, false);
+        await this.incrementLoginAttempts(user.id);
+      }
+      throw error;
+    }
+
+    const result = await this.completeLogin({ ...user, isTwoFactorEnabled: true }, ipAddress, userAgent);
+    return recoveryCodes ? { ...result, recoveryCodes } : result;
+  }
+
+  async completeLogin(user, ipAddress, userAgent) {
     // Successful login - reset login attempts and update last login
-    await this.recordLoginAttempt(email, ipAddress, userAgent, true);
+    await this.recordLoginAttempt(user.email, ipAddress, userAgent, true);
     await this.resetLoginAttempts(user.id);
 
     // Generate tokens
@@ -137,7 +198,7 @@ export class AuthService {
     const refreshToken = this.generateRefreshToken();
 
     // Store refresh token
-    const refreshTokenRecord = await prisma.refreshToken.create({
+    await prisma.refreshToken.create({
       data: {
         token: refreshToken,
         userId: user.id,
@@ -157,7 +218,8 @@ export class AuthService {
         email: user.email,
         name: user.name,
         role: user.role,
-        emailVerified: user.emailVerified
+        emailVerified: user.emailVerified,
+        isTwoFactorEnabled: user.isTwoFactorEnabled
       },
       accessToken,
       refreshToken
@@ -182,7 +244,8 @@ export class AuthService {
             name: true,
             role: true,
             emailVerified: true,
-            isActive: true
+            isActive: true,
+            isTwoFactorEnabled: true
           }
         }
       }
@@ -196,6 +259,11 @@ export class AuthService {
       throw new UnauthorizedError('Account is deactivated');
     }
 
+    // Sessions from before 2FA became mandatory must log in again
+    if (!refreshTokenRecord.user.isTwoFactorEnabled && twoFactorService.isRequired(refreshTokenRecord.user)) {
+      throw new UnauthorizedError('Two-factor authentication required');
+    }
+
     // Generate new tokens
     const newAccessToken = this.generateAccessToken(refreshTokenRecord.user);
     const newRefreshToken = this.generateRefreshToken();
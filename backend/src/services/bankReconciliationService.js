@@ -0,0 +1,163 @@
+import { BankTransactionRepository, OrderRepository } from '../repositories/index.js';
+import { logger } from '../lib/logger.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../middleware/error.js';
+import {
+  BANK_TRANSACTION_STATUS,
+  classifyPayment,
+  findOrderForTransaction,
+  parseBankStatement,
+} from '../utils/sepa.js';
+import OrderService from './orderService.js';
+
+class BankReconciliationService {
+  constructor() {
+    this.bankTransactionRepository = new BankTransactionRepository();
+    this.orderRepository = new OrderRepository();
+    this.orderService = new OrderService();
+  }
+
+  /**
+   * Imports a CAMT.053 or CSV statement and books every credit against the pending orders.
+   * Lines imported before (same bank reference) are skipped, so a statement can be uploaded twice.
+   * @returns {Promise<Object>} { file, total, duplicates, summary: { MATCHED, PARTIAL, OVERPAID, UNMATCHED }, transactions }
+   */
+  async importStatement({ filename = null, content }, context = {}) {
+    let transactions;
+    try {
+      transactions = parseBankStatement(String(content || ''));
+    } catch (error) {
+      throw new BadRequestError(`Bank statement could not be read: ${error.message}`);
+    }
+
+    const orders = await this.orderRepository.findAll({
+      where: { paymentStatus: 'PENDING', status: { not: 'CANCELLED' } },
+    });
+
+    const summary = Object.fromEntries(Object.values(BANK_TRANSACTION_STATUS).map(status => [status, 0]));
+    const booked = [];
+    for (const transaction of transactions) {
+      const record = await this.book(transaction, orders, { ...context, statementFile: filename });
+      if (record) {
+        summary[record.status]++;
+        booked.push(record);
+      }
+    }
+
+    logger.info('Bank statement imported', { filename, total: transactions.length, ...summary, ...context });
+    return {
+      file: filename,
+      total: transactions.length,
+      duplicates: transactions.length - booked.length,
+      summary,
+      transactions: booked,
+    };
+  }
+
+  // Books one statement line; null if it was imported before
+  async book(transaction, orders, context = {}) {
+    if (await this.bankTransactionRepository.findByTransactionId(transaction.transactionId)) {
+      return null;
+    }
+
+    const order = transaction.currency === 'EUR' ? findOrderForTransaction(transaction, orders) : null;
+    let match = { status: BANK_TRANSACTION_STATUS.UNMATCHED, difference: null };
+    if (order) {
+      const receivedBefore = await this.bankTransactionRepository.sumForOrder(order.id);
+      match = classifyPayment(order.total, receivedBefore, transaction.amount);
+      // The payment is booked before the statement line: on a crash the re-import books it again (idempotent)
+      await this.applyPayment(order, transaction, match, receivedBefore);
+    }
+
+    return this.bankTransactionRepository.record({
+      ...transaction,
+      bookingDate: transaction.bookingDate ? new Date(transaction.bookingDate) : null,
+      status: match.status,
+      difference: match.difference,
+      statementFile: context.statementFile || null,
+      orderId: order?.id || null,
+    });
+  }
+
+  // Adds the transfer to the order's payments; the transfer that covers the total completes the order
+  async applyPayment(order, transaction, match, receivedBefore) {
+    const paymentId = `sepa_${transaction.transactionId}`;
+    const partial = match.status === BANK_TRANSACTION_STATUS.PARTIAL;
+
+    await this.orderRepository.addPayment(order.id, {
+      paymentId,
+      provider: 'sepa',
+      amount: transaction.amount,
+      currency: transaction.currency,
+      status: partial ? 'PENDING' : 'COMPLETED',
+      paymentData: transaction,
+    });
+
+    if (!partial && receivedBefore < order.total) {
+      await this.orderService.processPaymentSuccess({
+        orderId: order.id,
+        paymentId,
+        amount: match.received,
+        provider: 'sepa',
+      });
+    }
+
+    logger.info('Bank transfer booked', {
+      orderId: order.id,
+      transactionId: transaction.transactionId,
+      amount: transaction.amount,
+      status: match.status,
+      difference: match.difference,
+    });
+  }
+
+  async listTransactions({ flagged = false, limit = 50 } = {}) {
+    return flagged
+      ? this.bankTransactionRepository.findFlagged(limit)
+      : this.bankTransactionRepository.findRecent(limit);
+  }
+
+  async getTransaction(id) {
+    const transaction = await this.bankTransactionRepository.findById(id);
+    if (!transaction) {
+      throw new NotFoundError('Bank transaction not found');
+    }
+    return transaction;
+  }
+
+  // Manual match of an unmatched transfer, e.g. when the customer mistyped the reference
+  async assign(id, orderNumber, context = {}) {
+    const transaction = await this.getTransaction(id);
+    if (transaction.status !== BANK_TRANSACTION_STATUS.UNMATCHED) {
+      throw new ConflictError('Only unmatched transfers can be assigned');
+    }
+
+    const order = await this.orderRepository.findByOrderNumber(orderNumber);
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    if (order.paymentStatus !== 'PENDING') {
+      throw new BadRequestError('Order is not awaiting payment');
+    }
+
+    const receivedBefore = await this.bankTransactionRepository.sumForOrder(order.id);
+    const match = classifyPayment(order.total, receivedBefore, transaction.amount);
+    await this.applyPayment(order, transaction, match, receivedBefore);
+
+    logger.info('Bank transfer assigned', { id, orderNumber, status: match.status, ...context });
+    return this.bankTransactionRepository.update(id, {
+      status: match.status,
+      difference: match.difference,
+      orderId: order.id,
+      reviewedAt: new Date(),
+      reviewedBy: context.userId || null,
+    });
+  }
+
+  // Flagged transfer handled outside the shop (refund of the excess, returned transfer, ...)
+  async markReviewed(id, context = {}) {
+    await this.getTransaction(id);
+    return this.bankTransactionRepository.markReviewed(id, context.userId);
+  }
+}
+
+export default BankReconciliationService;
@@ -0,0 +1,171 @@
+import { ComponentRepository } from '../repositories/index.js';
+import { PARTS, replaceParts } from '../data/products.js';
+import { logger } from '../lib/logger.js';
+import { ValidationError } from '../middleware/error.js';
+import { schemas } from '../middleware/validation.js';
+import { PART_CATEGORIES, catalogEntries, partsFromComponents } from '../utils/catalog.js';
+import {
+  catalogToCsv,
+  diffCatalogRecord,
+  parseCatalogImport,
+  toCatalogRecord,
+} from '../utils/catalogImport.js';
+
+const skuLookup = (components) => new Map(components.filter(component => component.sku).map(component => [component.id, component.sku]));
+
+/**
+ * The configurator's parts catalog. The components table is the source; this service loads it into
+ * the shared PARTS map that power budget, compatibility rules, supplier offers, orders and the price
+ * scraper read synchronously. Until the first load PARTS holds the seed data.
+ */
+class CatalogService {
+  constructor() {
+    this.componentRepository = new ComponentRepository();
+    this.loadedAt = null;
+  }
+
+  /**
+   * Reloads PARTS from the database. An empty catalog (database not seeded yet) keeps the current parts.
+   * @returns {number} number of parts in the catalog
+   */
+  async refresh() {
+    const parts = partsFromComponents(await this.componentRepository.findCatalog());
+    const count = Object.keys(parts).length;
+
+    if (count === 0) {
+      logger.warn('Parts catalog in the database is empty, keeping the seed catalog');
+      return Object.keys(PARTS).length;
+    }
+
+    replaceParts(parts);
+    this.loadedAt = new Date();
+    logger.info('Parts catalog loaded', { parts: count });
+    return count;
+  }
+
+  getParts() {
+    return PARTS;
+  }
+
+  /**
+   * Catalog for GET /api/components
+   * @param {Object} filters - category, search
+   */
+  getCatalog(filters = {}) {
+    const parts = catalogEntries(PARTS, filters);
+
+    return {
+      parts,
+      categories: PART_CATEGORIES.filter(category => Object.values(PARTS).some(part => part.category === category)),
+      source: this.loadedAt ? 'database' : 'seed',
+      loadedAt: this.loadedAt,
+    };
+  }
+
+  // Every component including inactive ones and components without a part key
+  async listComponents() {
+    return this.componentRepository.findAllForAdmin();
+  }
+
+  /**
+   * Full catalog export: all parts (also inactive ones) with prerequisites as part keys
+   * @param {string} format - 'json' (list of records) or 'csv'
+   */
+  async exportCatalog(format = 'json') {
+    const components = await this.componentRepository.findCatalog({ includeInactive: true });
+    const skuById = skuLookup(components);
+    const records = components.map(component => toCatalogRecord(component, skuById));
+
+    return format === 'csv' ? catalogToCsv(records) : records;
+  }
+
+  /**
+   * Bulk import from CSV or JSON, matched by part key (sku).
+   * A dry run only reports what would change; otherwise all rows are applied in one transaction,
+   * which requires every row to be valid.
+   * @param {Object} input - content, format ('csv' | 'json', detected when missing), dryRun
+   * @returns {Object} { dryRun, applied, summary, rows: [{ row, sku, action, changes }], errors: [{ row, sku, errors }] }
+   */
+  async importCatalog({ content, format, dryRun = true }, { userId } = {}) {
+    let records;
+    try {
+      records = parseCatalogImport(content, format);
+    } catch (error) {
+      throw new ValidationError(`Catalog file could not be read: ${error.message}`);
+    }
+
+    const components = await this.componentRepository.findAllForAdmin();
+    const skuById = skuLookup(components);
+    const bySku = new Map(components.filter(component => component.sku).map(component => [component.sku, component]));
+    const knownSkus = new Set([...bySku.keys(), ...records.map(record => record.data.sku).filter(Boolean)]);
+    const seen = new Set();
+
+    const rows = [];
+    const errors = [];
+    const entries = [];
+
+    for (const { row, data, errors: parseErrors } of records) {
+      const sku = typeof data.sku === 'string' ? data.sku : null;
+      const current = sku ? bySku.get(sku) : null;
+      const rowErrors = [...parseErrors];
+
+      if (!sku) {
+        rowErrors.push({ field: 'sku', message: 'Part key is required', code: 'required' });
+      } else if (seen.has(sku)) {
+        rowErrors.push({ field: 'sku', message: 'Part key appears more than once', code: 'duplicate' });
+      }
+      seen.add(sku);
+
+      const parsed = (current ? schemas.updateComponent : schemas.createComponent).safeParse(data);
+      if (!parsed.success) {
+        rowErrors.push(...parsed.error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message,
+          code: err.code,
+        })));
+      }
+
+      const unknown = (parsed.data?.prerequisites || []).filter(prerequisite => !knownSkus.has(prerequisite));
+      if (unknown.length > 0) {
+        rowErrors.push({ field: 'prerequisites', message: `Unknown part keys: ${unknown.join(', ')}`, code: 'unknown_part' });
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ row, sku, errors: rowErrors });
+        continue;
+      }
+
+      const changes = diffCatalogRecord(current ? toCatalogRecord(current, skuById) : {}, parsed.data);
+      const action = !current ? 'create' : Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+      rows.push({ row, sku, action, changes });
+
+      if (action !== 'unchanged') {
+        entries.push({ id: current?.id, data: parsed.data });
+      }
+    }
+
+    const summary = {
+      total: records.length,
+      create: rows.filter(row => row.action === 'create').length,
+      update: rows.filter(row => row.action === 'update').length,
+      unchanged: rows.filter(row => row.action === 'unchanged').length,
+      invalid: errors.length,
+    };
+
+    if (!dryRun && errors.length > 0) {
+      throw new ValidationError('Catalog import contains invalid rows', errors);
+    }
+
+    if (!dryRun && entries.length > 0) {
+      await this.componentRepository.importCatalog(entries);
+      await this.refresh();
+    }
+
+    logger.info('Catalog import', { userId, dryRun, ...summary });
+    return { dryRun, applied: !dryRun && entries.length > 0, summary, rows, errors };
+  }
+}
+
+export { CatalogService };
+
+export default new CatalogService();
@@ -1,10 +1,27 @@
 import { ConfigurationRepository, ComponentRepository } from '../repositories/index.js';
 import { logger } from '../lib/logger.js';
+import { AppError, NotFoundError, ValidationError } from '../middleware/error.js';
+import { optimizeItems } from '../utils/configurationOptimizer.js';
+import { partQuantitiesFromComponents } from '../utils/powerBudget.js';
+import { diffRevisions } from '../utils/configurationRevisions.js';
+import {
+  SHARE_STATUS,
+  generateShareSlug,
+  shareExpiry,
+  shareStatus,
+  shareView,
+  sharedBillOfMaterials,
+} from '../utils/configurationShares.js';
+import ManualDocumentService from './manualDocumentService.js';
+
+// Attempts to find an unused share slug; with 72 random bits a second attempt is already unlikely
+const SHARE_SLUG_ATTEMPTS = 3;
 
 class ConfigurationService {
   constructor() {
     this.configurationRepository = new ConfigurationRepository();
     this.componentRepository = new ComponentRepository();
+    this.manualDocumentService = new ManualDocumentService();
   }
 
   async createConfiguration(configurationData, userId) {
@@ -268,7 +285,7 @@ class ConfigurationService {
       // Additional order-specific validations
       const config = await this.configurationRepository.findById(configurationId, {
         components: {
-          include: { product: true }
+          include: { component: true }
         },
       });
 
@@ -279,8 +296,8 @@ class ConfigurationService {
       // Check component availability for ordering
       const unavailableComponents = [];
       for (const component of config.components) {
-        if (component.product && component.product.availability !== 'in-stock') {
-          unavailableComponents.push(component.product.name);
+        if (component.component && component.component.availability !== 'in-stock') {
+          unavailableComponents.push(component.component.name);
         }
       }
 
@@ -345,53 +362,211 @@ class ConfigurationService {
 
   async getPopularConfigurations(limit = 10, category = null) {
     try {
-      const configurations = await this.configurationRepository.findPublicConfigurations({
-        take: limit,
-        orderBy: { createdAt: 'desc' },
-      });
-
-      // TODO: Implement actual popularity metrics (views, orders, likes)
-      // For now, return recent public configurations
-
-      return configurations;
+      // Views through share links rank first, recent configurations break ties
+      return await this.configurationRepository.getPopularConfigurations(limit);
     } catch (error) {
       logger.error('Failed to get popular configurations', { error: error.message });
       throw error;
     }
   }
 
-  async optimizeConfiguration(configurationId, optimizationGoals = {}) {
+  // Version history of a configuration, newest first; visible like the configuration itself
+  async getRevisions(configurationId, user = null) {
+    await this.getVisibleConfiguration(configurationId, user);
+    return this.configurationRepository.findRevisions(configurationId);
+  }
+
+  async getRevision(configurationId, revision, user = null) {
+    await this.getVisibleConfiguration(configurationId, user);
+    return this.findRevision(configurationId, revision);
+  }
+
+  async findRevision(configurationId, revision) {
+    const found = Number.isInteger(revision)
+      ? await this.configurationRepository.findRevision(configurationId, revision)
+      : null;
+    if (!found) {
+      throw new NotFoundError(`Revision ${revision} not found`);
+    }
+    return found;
+  }
+
+  /**
+   * Compares two revisions; without "to" the latest revision, without "from" the one before "to"
+   */
+  async compareRevisions(configurationId, { from, to } = {}, user = null) {
+    await this.getVisibleConfiguration(configurationId, user);
+    const latest = await this.configurationRepository.findLatestRevision(configurationId);
+    if (!latest) {
+      throw new NotFoundError('Configuration has no revisions');
+    }
+
+    const toRevision = to ?? latest.revision;
+    const fromRevision = from ?? toRevision - 1;
+    if (fromRevision < 1) {
+      throw new ValidationError('Nothing to compare', [
+        { field: 'from', message: 'Configuration has only one revision', code: 'too_small' },
+      ]);
+    }
+
+    const [older, newer] = await Promise.all([
+      this.findRevision(configurationId, fromRevision),
+      toRevision === latest.revision ? latest : this.findRevision(configurationId, toRevision),
+    ]);
+
+    return diffRevisions(older, newer);
+  }
+
+  // Changes, deletion and share links are limited to the owner of the configuration (or an admin)
+  async getOwnedConfiguration(configurationId, user, include = null) {
+    const configuration = await this.configurationRepository.findById(configurationId, include);
+    if (!configuration || (configuration.userId !== user.id && user.role !== 'ADMIN')) {
+      throw new NotFoundError('Configuration not found');
+    }
+    return configuration;
+  }
+
+  // Private configurations of a user are visible to that user and to admins
+  canSeePrivate(ownerId, user = null) {
+    return Boolean(user && (user.id === ownerId || user.role === 'ADMIN'));
+  }
+
+  // Public configurations can be read by anyone, private ones only by the owner (or an admin)
+  async getVisibleConfiguration(configurationId, user = null, include = null) {
+    const configuration = await this.configurationRepository.findById(configurationId, include);
+    if (!configuration || !(configuration.isPublic || this.canSeePrivate(configuration.userId, user))) {
+      throw new NotFoundError('Configuration not found');
+    }
+    return configuration;
+  }
+
+  async listShareLinks(configurationId, user) {
+    await this.getOwnedConfiguration(configurationId, user);
+    const shares = await this.configurationRepository.findShares(configurationId);
+    return shares.map(share => shareView(share));
+  }
+
+  /**
+   * Creates a share link with a short unguessable slug
+   * @param {Object} options - expiresInDays or expiresAt; without both the link does not expire
+   */
+  async createShareLink(configurationId, options, user) {
+    await this.getOwnedConfiguration(configurationId, user);
+
+    const expiresAt = shareExpiry(options);
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new ValidationError('Share link would already be expired', [
+        { field: 'expiresAt', message: 'Expiry must be in the future', code: 'too_small' },
+      ]);
+    }
+
+    for (let attempt = 0; attempt < SHARE_SLUG_ATTEMPTS; attempt++) {
+      const slug = generateShareSlug();
+      if (await this.configurationRepository.findShareBySlug(slug)) continue;
+
+      const share = await this.configurationRepository.createShare(configurationId, {
+        slug,
+        expiresAt,
+        createdById: user.id,
+      });
+      logger.info('Share link created', { configurationId, shareId: share.id, expiresAt });
+      return shareView(share);
+    }
+
+    throw new AppError('Could not generate a unique share link', 500, 'SHARE_SLUG_EXHAUSTED');
+  }
+
+  // Revoking is final; a new link gets a new slug
+  async revokeShareLink(configurationId, shareId, user) {
+    await this.getOwnedConfiguration(configurationId, user);
+    const shares = await this.configurationRepository.findShares(configurationId);
+    const share = shares.find(candidate => candidate.id === shareId);
+    if (!share) {
+      throw new NotFoundError('Share link not found');
+    }
+
+    if (share.revokedAt) {
+      return shareView(share);
+    }
+
+    logger.info('Share link revoked', { configurationId, shareId });
+    return shareView(await this.configurationRepository.revokeShare(shareId));
+  }
+
+  /**
+   * Read-only view of a configuration behind a share link: bill of materials, cost breakdown and manual.
+   * Views by the owner are not counted. The configuration's id stays hidden, so revoking the link ends access.
+   */
+  async getSharedConfiguration(slug, { viewerId = null, language } = {}) {
+    const share = await this.configurationRepository.findShareBySlug(slug);
+    if (!share) {
+      throw new NotFoundError('Share link not found');
+    }
+
+    const status = shareStatus(share);
+    if (status !== SHARE_STATUS.ACTIVE) {
+      throw new AppError(`Share link is ${status}`, 410, status === SHARE_STATUS.REVOKED ? 'SHARE_REVOKED' : 'SHARE_EXPIRED');
+    }
+
+    const { configuration } = share;
+    if (!viewerId || viewerId !== configuration.userId) {
+      await this.configurationRepository.recordShareView(share);
+    }
+
+    const [latest, manual] = await Promise.all([
+      this.configurationRepository.findLatestRevision(configuration.id),
+      this.manualDocumentService.getConfigurationManual(configuration, language),
+    ]);
+    const sharedManual = { ...manual };
+    delete sharedManual.configurationId;
+    delete sharedManual.configuration;
+
+    return {
+      share: { slug: share.slug, expiresAt: share.expiresAt },
+      configuration: {
+        name: configuration.name,
+        description: configuration.description,
+        tags: configuration.tags,
+        revision: latest?.revision ?? null,
+        updatedAt: configuration.updatedAt,
+      },
+      billOfMaterials: sharedBillOfMaterials(configuration, latest),
+      manual: sharedManual,
+    };
+  }
+
+  // Alternatives are suggestions only, so anyone who can see the configuration may request them
+  async optimizeConfiguration(configurationId, optimizationGoals = {}, user = null) {
     try {
-      const { budget, timeLimit, difficultyLevel } = optimizationGoals;
+      const { budget, timeLimit, difficultyLevel, limit } = optimizationGoals;
       
       logger.info('Optimizing configuration', { 
         configurationId, 
         optimizationGoals 
       });
 
-      const config = await this.configurationRepository.findById(configurationId, {
+      const config = await this.getVisibleConfiguration(configurationId, user, {
         components: {
-          include: { product: true }
+          include: { component: true }
         },
       });
 
-      if (!config) {
-        throw new Error('Configuration not found');
-      }
-
-      const optimizations = {
-        suggestions: [],
-        potentialSavings: 0,
-        timeReductions: 0,
-        difficultyReductions: [],
+      // Search substitutions and quantity changes, ranked by constraint violations, savings and time
+      const items = partQuantitiesFromComponents(config.components);
+      const goals = { budget, timeLimit, difficultyLevel };
+      const { baseline, alternatives } = optimizeItems(items, goals, { limit });
+      const feasible = alternatives.filter(alternative => alternative.feasible);
+
+      return {
+        goals,
+        baseline,
+        suggestions: alternatives,
+        potentialSavings: Math.max(0, ...feasible.map(alternative => alternative.savings)),
+        timeReductions: Math.max(0, ...feasible.map(alternative => -alternative.timeDelta)),
+        difficultyReductions: alternatives
+          .filter(alternative => alternative.difficulty !== baseline.difficulty)
+          .map(alternative => ({ rank: alternative.rank, from: baseline.difficulty, to: alternative.difficulty })),
       };
-
-      // TODO: Implement optimization algorithms
-      // - Find alternative components with better price/performance ratio
-      // - Suggest component substitutions based on goals
-      // - Calculate potential improvements
-
-      return optimizations;
     } catch (error) {
       logger.error('Failed to optimize configuration', { 
         configurationId, 
@@ -25,14 +25,15 @@ export class EmailService {
     });
   }
 
-  async sendEmail({ to, subject, html, text }) {
+  async sendEmail({ to, subject, html, text, attachments }) {
     try {
       const mailOptions = {
         from: `"${this.appName}" <${this.fromEmail}>`,
         to,
         subject: `${this.appName} - ${subject}`,
         html,
-        text: text || this.htmlToText(html)
+        text: text || this.htmlToText(html),
+        attachments
       };
 
       const info = await this.transporter.sendMail(mailOptions);
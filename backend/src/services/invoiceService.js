@@ -0,0 +1,112 @@
+import { InvoiceRepository, OrderRepository } from '../repositories/index.js';
+import { getEnv } from '../config/env.js';
+import { logger } from '../lib/logger.js';
+import { AppError, BadRequestError, NotFoundError } from '../middleware/error.js';
+import { INVOICE_TYPE, buildCreditNote, buildInvoice, renderInvoicePdf } from '../utils/invoices.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  constructor() {
+    const env = getEnv();
+    this.invoiceRepository = new InvoiceRepository();
+    this.orderRepository = new OrderRepository();
+    this.seller = {
+      name: env.SELLER_NAME,
+      address: env.SELLER_ADDRESS.split('|').map(line => line.trim()).filter(Boolean),
+      vatId: env.SELLER_VAT_ID || null,
+      country: env.SELLER_COUNTRY,
+    };
+  }
+
+  async getOrder(orderId) {
+    const order = await this.orderRepository.findById(orderId, {
+      items: true,
+      user: { select: { id: true, name: true, email: true } },
+    });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    return order;
+  }
+
+  // Customers see the documents of their own orders, admins all
+  assertAccess(order, user) {
+    if (user?.role?.toUpperCase() !== 'ADMIN' && order.userId !== user?.id) {
+      throw new AppError('Access denied', 403, 'FORBIDDEN');
+    }
+  }
+
+  async listForOrder(orderId, user) {
+    const order = await this.getOrder(orderId);
+    this.assertAccess(order, user);
+    return this.invoiceRepository.findByOrder(orderId);
+  }
+
+  async getInvoice(id, user) {
+    const invoice = await this.invoiceRepository.findWithOrder(id);
+    if (!invoice) {
+      throw new NotFoundError('Invoice not found');
+    }
+    this.assertAccess(invoice.order, user);
+    return invoice;
+  }
+
+  async renderPdf(id, user) {
+    const invoice = await this.getInvoice(id, user);
+    return { invoice, content: renderInvoicePdf(invoice) };
+  }
+
+  // Invoice of a paid order; issued once, later and concurrent calls return the existing invoice
+  async issueInvoice(orderId, context = {}) {
+    const order = await this.getOrder(orderId);
+    if (order.paymentStatus !== 'COMPLETED') {
+      throw new BadRequestError('Invoices are issued for paid orders only');
+    }
+
+    const { invoice, created } = await this.invoiceRepository.createInvoiceOnce({
+      ...buildInvoice(order, this.seller),
+      orderId,
+    }, context);
+    if (!created) {
+      return { invoice, created };
+    }
+
+    logger.info('Invoice issued', { orderId, number: invoice.number, total: invoice.total });
+    return { invoice: { ...invoice, order: { id: order.id, orderNumber: order.orderNumber, userId: order.userId } }, created: true };
+  }
+
+  // Credit note for a refund: the returned lines, an amount (gross) or everything not yet credited
+  async issueCreditNote(orderId, { amount = null, reason = null, lines = null } = {}, context = {}) {
+    const documents = await this.invoiceRepository.findByOrder(orderId);
+    const invoice = documents.find(d => d.type === INVOICE_TYPE.INVOICE);
+    if (!invoice) {
+      throw new BadRequestError('Order has no invoice to credit');
+    }
+
+    const credited = documents
+      .filter(d => d.type === INVOICE_TYPE.CREDIT_NOTE)
+      .reduce((sum, d) => sum - d.total, 0);
+    const remaining = round(invoice.total - credited);
+    if (remaining <= 0) {
+      logger.info('Invoice already fully credited', { orderId, number: invoice.number });
+      return { invoice: documents[documents.length - 1], created: false };
+    }
+
+    const document = buildCreditNote(invoice, { amount, remaining, reason, lines });
+    if (-document.total > remaining) {
+      throw new BadRequestError(`Credit of ${-document.total} exceeds the amount not yet credited (${remaining})`);
+    }
+
+    const creditNote = await this.invoiceRepository.createWithNumber({
+      ...document,
+      orderId,
+      correctsId: invoice.id,
+    }, context);
+
+    logger.info('Credit note issued', { orderId, number: creditNote.number, total: creditNote.total });
+    return { invoice: creditNote, created: true };
+  }
+}
+
+export default InvoiceService;
@@ -0,0 +1,60 @@
+import { OrderRepository } from '../repositories/index.js';
+import { NotFoundError } from '../middleware/error.js';
+import { priceScheduler } from '../scraper/price-scheduler.js';
+import jobQueue from './jobQueue.js';
+import ManualDocumentService from './manualDocumentService.js';
+import notificationService from './notificationService.js';
+import OrderService from './orderService.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Handlers of the background job types. Registered once at server start, before jobQueue.start().
+ * A handler's return value is stored as the job result; throwing counts as a failed attempt.
+ */
+export function registerJobHandlers(queue = jobQueue) {
+  const orderRepository = new OrderRepository();
+  const orderService = new OrderService();
+  const manualDocumentService = new ManualDocumentService();
+
+  queue.register('email.send', (emailData) => notificationService.deliverEmail(emailData), {
+    concurrency: 2,
+    maxAttempts: 6,
+    timeoutMs: MINUTE,
+    baseDelayMs: 30 * 1000,
+  });
+
+  queue.register('manual.generate', async ({ orderId }) => {
+    const order = await orderRepository.findById(orderId);
+    if (!order) {
+      throw new NotFoundError(`Order ${orderId} not found`);
+    }
+
+    const manual = await orderService.ensureManual(order);
+    return { manualId: manual.id };
+  }, {
+    concurrency: 1,
+    maxAttempts: 3,
+  });
+
+  // Queued when a configuration's components change; unchanged languages are skipped
+  queue.register('manual.regenerate', async ({ configurationId }) => (
+    manualDocumentService.regenerateForConfiguration(configurationId)
+  ), {
+    concurrency: 1,
+    maxAttempts: 3,
+  });
+
+  // One Puppeteer run at a time; a failed run is repeated once, the next schedule follows anyway
+  queue.register('price.scrape', async ({ trigger = 'manual' }) => {
+    const run = await priceScheduler.runNow(trigger);
+    return { runId: run.id, successful: run.successful, failed: run.failed };
+  }, {
+    concurrency: 1,
+    maxAttempts: 2,
+    timeoutMs: 60 * MINUTE,
+    baseDelayMs: 5 * MINUTE,
+  });
+
+  return queue;
+}
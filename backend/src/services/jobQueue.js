@@ -0,0 +1,287 @@
+import os from 'os';
+import { JobRepository } from '../repositories/index.js';
+import { getEnv } from '../config/env.js';
+import { logger } from '../lib/logger.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../middleware/error.js';
+import {
+  CANCELLABLE_JOB_STATUSES,
+  DEFAULT_JOB_OPTIONS,
+  JOB_STATUS,
+  RETRYABLE_JOB_STATUSES,
+  availableJobSlots,
+  nextJobState,
+} from '../utils/jobs.js';
+import { cacheService } from './cacheService.js';
+import RedisJobStore from './redisJobStore.js';
+
+const MAINTENANCE_INTERVAL_MS = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Extra time on top of the handler timeout before another worker may take the job over
+const LEASE_GRACE_MS = 60 * 1000;
+
+/**
+ * Durable background jobs: work is stored first (database, or Redis when cacheService has a
+ * connection) and then run by an in-process worker with per-type concurrency limits, timeouts,
+ * retries with exponential backoff and dead-lettering after the last attempt.
+ */
+class JobQueue {
+  constructor(options = {}) {
+    const env = getEnv();
+    this.options = {
+      backend: env.JOB_QUEUE_BACKEND,
+      concurrency: env.JOB_CONCURRENCY,
+      pollIntervalMs: env.JOB_POLL_INTERVAL_MS,
+      retentionDays: env.JOB_RETENTION_DAYS,
+      ...options,
+    };
+
+    // Injectable for tests
+    this.store = options.store || null;
+
+    this.handlers = new Map();
+    this.running = new Map(); // type -> number of jobs this worker is running
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.maintenanceTimer = null;
+    this.polling = null;
+  }
+
+  // Chosen on first use, so cacheService has had a chance to open its Redis connection
+  getStore() {
+    if (!this.store) {
+      const { backend } = this.options;
+      const redis = cacheService.redis;
+
+      if (backend === 'redis' && !redis) {
+        logger.warn('JOB_QUEUE_BACKEND=redis but Redis is not available, using the database');
+      }
+      this.store = backend !== 'database' && redis ? new RedisJobStore(redis) : new JobRepository();
+      logger.info('Job queue backend selected', { backend: this.store instanceof RedisJobStore ? 'redis' : 'database' });
+    }
+    return this.store;
+  }
+
+  getBackend() {
+    return this.getStore() instanceof RedisJobStore ? 'redis' : 'database';
+  }
+
+  /**
+   * Registers the handler of a job type. Only registered types are picked up by the worker.
+   * @param {string} type - e.g. email.send
+   * @param {Function} handler - async (payload, job) => result; throwing counts as a failed attempt
+   * @param {Object} options - maxAttempts, concurrency, timeoutMs, baseDelayMs, maxDelayMs
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, options: { ...DEFAULT_JOB_OPTIONS, ...options } });
+  }
+
+  /**
+   * Stores a job; the worker runs it once runAt is reached.
+   * With uniqueKey an already queued or running job of that key is returned instead.
+   * @param {Object} options - runAt (Date), delayMs, uniqueKey, maxAttempts
+   */
+  async enqueue(type, payload = {}, { runAt, delayMs = 0, uniqueKey = null, maxAttempts } = {}) {
+    const store = this.getStore();
+
+    if (uniqueKey) {
+      const existing = await store.findActiveByKey(uniqueKey);
+      if (existing) {
+        logger.debug('Job already queued', { type, uniqueKey, jobId: existing.id });
+        return existing;
+      }
+    }
+
+    const job = await store.add({
+      type,
+      payload,
+      uniqueKey,
+      maxAttempts: maxAttempts || this.handlers.get(type)?.options.maxAttempts || DEFAULT_JOB_OPTIONS.maxAttempts,
+      runAt: runAt || new Date(Date.now() + delayMs),
+    });
+
+    logger.debug('Job queued', { type, jobId: job.id });
+    if (!runAt && !delayMs) this.wake();
+    return job;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+    this.maintenanceTimer = setInterval(() => {
+      this.maintain().catch(error => {
+        logger.error('Job queue maintenance failed', { error: error.message });
+      });
+    }, MAINTENANCE_INTERVAL_MS);
+    // Timers should not keep the process alive
+    this.timer.unref?.();
+    this.maintenanceTimer.unref?.();
+
+    logger.info('Job queue started', {
+      workerId: this.workerId,
+      backend: this.getBackend(),
+      types: [...this.handlers.keys()],
+      concurrency: this.options.concurrency,
+    });
+
+    this.maintain().catch(error => {
+      logger.error('Job queue maintenance failed', { error: error.message });
+    });
+  }
+
+  // Running jobs are not awaited; their lease expires and another start picks them up again
+  stop() {
+    clearInterval(this.timer);
+    clearInterval(this.maintenanceTimer);
+    this.timer = null;
+    this.maintenanceTimer = null;
+  }
+
+  wake() {
+    if (this.timer) setImmediate(() => this.poll());
+  }
+
+  poll() {
+    if (this.polling) return this.polling;
+
+    this.polling = this.claimAndRun()
+      .catch(error => {
+        logger.error('Job queue poll failed', { error: error.message });
+      })
+      .finally(() => {
+        this.polling = null;
+      });
+    return this.polling;
+  }
+
+  async claimAndRun() {
+    const concurrencyByType = Object.fromEntries(
+      [...this.handlers.entries()].map(([type, { options }]) => [type, options.concurrency])
+    );
+    const slots = availableJobSlots(concurrencyByType, Object.fromEntries(this.running), this.options.concurrency);
+
+    for (const { type, slots: free } of slots) {
+      const { options } = this.handlers.get(type);
+
+      for (let i = 0; i < free; i++) {
+        const job = await this.getStore().claimNext(type, {
+          workerId: this.workerId,
+          leaseMs: options.timeoutMs + LEASE_GRACE_MS,
+        });
+        if (!job) break;
+
+        this.running.set(type, (this.running.get(type) || 0) + 1);
+        this.run(job).finally(() => {
+          this.running.set(type, this.running.get(type) - 1);
+          this.wake();
+        });
+      }
+    }
+  }
+
+  async run(job) {
+    const { handler, options } = this.handlers.get(job.type);
+    const startedAt = Date.now();
+    let timeout;
+
+    try {
+      const result = await Promise.race([
+        handler(job.payload, job),
+        new Promise((_, reject) => {
+          timeout = setTimeout(() => reject(new Error(`Job timed out after ${options.timeoutMs} ms`)), options.timeoutMs);
+        }),
+      ]);
+
+      await this.getStore().complete(job.id, this.workerId, result ?? null);
+      logger.info('Job completed', { jobId: job.id, type: job.type, attempt: job.attempts, durationMs: Date.now() - startedAt });
+    } catch (error) {
+      const state = nextJobState(job, error, options);
+      await this.getStore().fail(job.id, this.workerId, state);
+
+      const log = { jobId: job.id, type: job.type, attempt: job.attempts, error: state.lastError };
+      if (state.status === JOB_STATUS.DEAD) {
+        logger.error('Job moved to dead letters', log);
+      } else {
+        logger.warn('Job failed, retrying', { ...log, runAt: state.runAt });
+      }
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Takes over jobs of crashed workers and deletes old finished jobs
+  async maintain(now = new Date()) {
+    const store = this.getStore();
+
+    for (const job of await store.findExpired(now)) {
+      const options = this.handlers.get(job.type)?.options || DEFAULT_JOB_OPTIONS;
+      const state = nextJobState(job, new Error(`Worker ${job.lockedBy} lost the job`), options, now);
+      if (await store.fail(job.id, job.lockedBy, state)) {
+        logger.warn('Recovered job with expired lease', { jobId: job.id, type: job.type, status: state.status });
+      }
+    }
+
+    const purged = await store.purgeFinished(new Date(now.getTime() - this.options.retentionDays * DAY));
+    if (purged > 0) {
+      logger.info('Purged finished jobs', { count: purged });
+    }
+  }
+
+  async listJobs(filters = {}) {
+    const store = this.getStore();
+    const [result, counts] = await Promise.all([store.findPaginated(filters), store.countByStatus()]);
+    return { ...result, counts, backend: this.getBackend() };
+  }
+
+  async getJob(id) {
+    const job = await this.getStore().findById(id);
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+    return job;
+  }
+
+  // Admin: run a dead, cancelled or waiting job again right away with a fresh set of attempts
+  async retry(id) {
+    const job = await this.getJob(id);
+    if (!this.handlers.has(job.type)) {
+      throw new BadRequestError(`No handler registered for job type ${job.type}`);
+    }
+    if (!(await this.getStore().requeue(id, RETRYABLE_JOB_STATUSES))) {
+      throw new ConflictError(`Job in status ${job.status} cannot be retried`);
+    }
+
+    logger.info('Job retried', { jobId: id, type: job.type });
+    this.wake();
+    return this.getJob(id);
+  }
+
+  async cancel(id) {
+    const job = await this.getJob(id);
+    if (!(await this.getStore().cancel(id, CANCELLABLE_JOB_STATUSES))) {
+      throw new ConflictError(`Job in status ${job.status} cannot be cancelled`);
+    }
+
+    logger.info('Job cancelled', { jobId: id, type: job.type });
+    return this.getJob(id);
+  }
+
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      started: Boolean(this.timer),
+      concurrency: this.options.concurrency,
+      running: Object.fromEntries(this.running),
+      types: Object.fromEntries([...this.handlers.entries()].map(([type, { options }]) => [type, {
+        concurrency: options.concurrency,
+        maxAttempts: options.maxAttempts,
+        timeoutMs: options.timeoutMs,
+      }])),
+    };
+  }
+}
+
+export { JobQueue };
+
+export default new JobQueue();
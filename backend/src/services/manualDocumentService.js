@@ -0,0 +1,285 @@
+import { ConfigurationRepository, ManualRepository, OrderRepository } from '../repositories/index.js';
+import { logger } from '../lib/logger.js';
+import { AppError, InvalidTransitionError, NotFoundError, UnauthorizedError, ValidationError } from '../middleware/error.js';
+import { DEFAULT_LANGUAGE, resolveLanguage } from '../i18n/index.js';
+import {
+  ACTIVE_MANUAL_STATUSES,
+  MANUAL_STATUS,
+  configurationToManualInput,
+  manualFingerprint,
+  nextManualVersion,
+  orderItemsToManualInput,
+  supersededStatuses,
+} from '../utils/manualVersions.js';
+import { SHARE_STATUS, shareStatus } from '../utils/configurationShares.js';
+import jobQueue from './jobQueue.js';
+import { manualService } from './manualService.js';
+
+const CONFIGURATION_INCLUDE = {
+  components: {
+    include: { component: true },
+  },
+};
+
+/**
+ * Stored assembly manuals: compiles manuals with ManualService, keeps them as numbered versions per
+ * configuration or order and language, and regenerates them when the configuration's components change.
+ */
+class ManualDocumentService {
+  constructor() {
+    this.manualRepository = new ManualRepository();
+    this.configurationRepository = new ConfigurationRepository();
+    this.orderRepository = new OrderRepository();
+  }
+
+  /**
+   * Compiles and stores a new manual version.
+   * Without an inline configuration the stored configuration or the order items are used.
+   * @param {Object} source - configuration (inline), configurationId, orderId, language
+   * @param {Object} options - status of the new version, trigger (request, order, configuration_changed)
+   */
+  async generate(source, { status = MANUAL_STATUS.DRAFT, trigger = 'request' } = {}) {
+    const language = resolveLanguage(source.language) || DEFAULT_LANGUAGE;
+    let { configurationId = null, orderId = null } = source;
+    let input = source.configuration;
+
+    if (orderId) {
+      const order = await this.loadOrder(orderId);
+      configurationId = order.configurationId;
+      input = input || (order.configuration ? configurationToManualInput(order.configuration) : orderItemsToManualInput(order));
+    } else if (configurationId) {
+      const configuration = await this.loadConfiguration(configurationId);
+      input = input || configurationToManualInput(configuration);
+    }
+
+    if (!input) {
+      throw new ValidationError('Configuration, configurationId or orderId is required');
+    }
+
+    return this.store(input, { configurationId, orderId, language }, { status, trigger });
+  }
+
+  /**
+   * Compiles a manual for an inline configuration without storing it (preview)
+   */
+  async preview(configuration, language) {
+    return manualService.generateManual(configuration, { language: resolveLanguage(language) || DEFAULT_LANGUAGE });
+  }
+
+  // Stored manuals of an order or configuration are only generated on request of its owner (or an admin)
+  async assertSourceAccess({ configurationId, orderId }, user) {
+    const source = orderId ? await this.loadOrder(orderId) : await this.loadConfiguration(configurationId);
+    if (source.userId !== user.id && user.role?.toUpperCase() !== 'ADMIN') {
+      throw new AppError('Access denied', 403, 'FORBIDDEN');
+    }
+  }
+
+  async store(input, series, { status, trigger }) {
+    const linked = Boolean(series.configurationId || series.orderId);
+    const latest = linked ? await this.manualRepository.findLatestInSeries(series) : null;
+    const version = nextManualVersion(latest?.version);
+
+    const compiled = await manualService.generateManual(input, { language: series.language });
+    compiled.metadata.version = version;
+
+    const manual = await this.manualRepository.create({
+      title: compiled.metadata.title,
+      content: JSON.stringify(compiled),
+      format: 'JSON',
+      version,
+      language: compiled.metadata.language,
+      status,
+      configurationId: series.configurationId,
+      orderId: series.orderId,
+      metadata: {
+        trigger,
+        fingerprint: manualFingerprint(input),
+        input,
+        estimatedTime: compiled.metadata.estimatedTime,
+        difficulty: compiled.metadata.difficulty,
+        totalSteps: compiled.overview.totalSteps,
+      },
+    });
+
+    // Manuals without configuration or order have no series and nothing to supersede
+    const archived = linked
+      ? await this.manualRepository.archiveSeries(series, { exceptId: manual.id, statuses: supersededStatuses(status) })
+      : 0;
+
+    logger.info('Manual stored', {
+      manualId: manual.id,
+      version,
+      status,
+      trigger,
+      language: manual.language,
+      configurationId: series.configurationId,
+      orderId: series.orderId,
+      archived,
+    });
+    return manual;
+  }
+
+  // Delivered orders get a published manual in the customer's language
+  async generateForOrder(order) {
+    return this.generate(
+      { orderId: order.id, language: order.customerInfo?.language },
+      { status: MANUAL_STATUS.PUBLISHED, trigger: 'order' }
+    );
+  }
+
+  /**
+   * New versions for every language with an active manual, unless the selected components are unchanged.
+   * The new version takes over the status of the latest active one, so a published manual stays published.
+   */
+  async regenerateForConfiguration(configurationId) {
+    const configuration = await this.loadConfiguration(configurationId);
+    const input = configurationToManualInput(configuration);
+    const fingerprint = manualFingerprint(input);
+    const regenerated = [];
+
+    for (const language of await this.manualRepository.findActiveLanguagesForConfiguration(configurationId)) {
+      const series = { configurationId, orderId: null, language };
+      const current = await this.manualRepository.findLatestInSeries(series, ACTIVE_MANUAL_STATUSES);
+      if (current?.metadata?.fingerprint === fingerprint) continue;
+
+      const manual = await this.store(input, series, {
+        status: current?.status || MANUAL_STATUS.DRAFT,
+        trigger: 'configuration_changed',
+      });
+      regenerated.push({ id: manual.id, language, version: manual.version });
+    }
+
+    return { configurationId, regenerated };
+  }
+
+  // Runs as a background job (see jobHandlers: manual.regenerate); repeated saves share one job
+  async queueRegeneration(configurationId) {
+    return jobQueue.enqueue('manual.regenerate', { configurationId }, {
+      uniqueKey: `manual-regenerate:${configurationId}`,
+    });
+  }
+
+  async getManual(id) {
+    const manual = await this.manualRepository.findById(id);
+    if (!manual) {
+      throw new NotFoundError('Manual not found');
+    }
+    return manual;
+  }
+
+  async getDocument(id, user = null) {
+    const manual = await this.getManual(id);
+    await this.assertManualAccess(manual, user);
+    return this.toDocument(manual);
+  }
+
+  /**
+   * Stored manuals are readable like their source: manuals of public or shared configurations by anyone,
+   * those of private configurations and of orders only by the owner (or an admin)
+   */
+  async assertManualAccess(manual, user = null) {
+    if (!manual.configurationId && !manual.orderId) return;
+
+    if (manual.configurationId && !manual.orderId) {
+      const configuration = await this.configurationRepository.findById(manual.configurationId);
+      if (configuration?.isPublic) return;
+      const shares = configuration ? await this.configurationRepository.findShares(configuration.id) : [];
+      if (shares.some(share => shareStatus(share) === SHARE_STATUS.ACTIVE)) return;
+    }
+
+    if (!user) {
+      throw new UnauthorizedError('Authentication required');
+    }
+    await this.assertSourceAccess({ configurationId: manual.configurationId, orderId: manual.orderId }, user);
+  }
+
+  /**
+   * Manual shown with a shared configuration: the published version in the language,
+   * otherwise compiled on the fly without storing a new version
+   */
+  async getConfigurationManual(configuration, language = DEFAULT_LANGUAGE) {
+    const lng = resolveLanguage(language) || DEFAULT_LANGUAGE;
+    const published = await this.manualRepository.findLatestInSeries(
+      { configurationId: configuration.id, orderId: null, language: lng },
+      [MANUAL_STATUS.PUBLISHED]
+    );
+    if (published) {
+      return this.toDocument(published);
+    }
+
+    return manualService.generateManual(configurationToManualInput(configuration), { language: lng });
+  }
+
+  async listManuals(filters = {}) {
+    return this.manualRepository.findPaginated(filters);
+  }
+
+  // Publishing a draft archives the previously published version of the series
+  async publish(id) {
+    const manual = await this.transition(id, [MANUAL_STATUS.DRAFT], MANUAL_STATUS.PUBLISHED);
+    if (manual.configurationId || manual.orderId) {
+      await this.manualRepository.archiveSeries(manual, {
+        exceptId: manual.id,
+        statuses: [MANUAL_STATUS.PUBLISHED],
+      });
+    }
+    return manual;
+  }
+
+  async archive(id) {
+    return this.transition(id, ACTIVE_MANUAL_STATUSES, MANUAL_STATUS.ARCHIVED);
+  }
+
+  async transition(id, fromStatuses, status) {
+    const manual = await this.getManual(id);
+    if (!(await this.manualRepository.transitionStatus(id, fromStatuses, status))) {
+      throw new InvalidTransitionError(`Manual in status ${manual.status} cannot be changed to ${status}`, {
+        from: manual.status,
+        to: status,
+      });
+    }
+
+    logger.info('Manual status changed', { manualId: id, from: manual.status, to: status });
+    return this.getManual(id);
+  }
+
+  // The stored compiled manual plus the record's identity and lifecycle fields
+  toDocument(manual) {
+    const compiled = manual.format === 'JSON' ? JSON.parse(manual.content) : { content: manual.content };
+
+    return {
+      ...compiled,
+      id: manual.id,
+      title: manual.title,
+      version: manual.version,
+      status: manual.status,
+      language: manual.language,
+      format: manual.format,
+      configurationId: manual.configurationId,
+      orderId: manual.orderId,
+      createdAt: manual.createdAt,
+      updatedAt: manual.updatedAt,
+    };
+  }
+
+  async loadConfiguration(id) {
+    const configuration = await this.configurationRepository.findById(id, CONFIGURATION_INCLUDE);
+    if (!configuration) {
+      throw new NotFoundError('Configuration not found');
+    }
+    return configuration;
+  }
+
+  async loadOrder(id) {
+    const order = await this.orderRepository.findById(id, {
+      items: true,
+      configuration: { include: CONFIGURATION_INCLUDE },
+    });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    return order;
+  }
+}
+
+export default ManualDocumentService;
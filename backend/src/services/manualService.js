@@ -1,4 +1,5 @@
 import { logger } from '../lib/logger.js';
+import { DEFAULT_LANGUAGE, getTranslator, resolveLanguage } from '../i18n/index.js';
 
 /**
  * Manual Service - Konstruktionsanleitungs-System für DIY Humanoid Configurator
@@ -19,27 +20,31 @@ export class ManualService {
   /**
    * Hauptfunktion: Generiert komplette Bauanleitung basierend auf Konfiguration
    * @param {Object} configuration - Kundenkonfiguration mit ausgewählten Komponenten
+   * @param {Object} options - language: Sprachcode (de, en, nl, th); fehlende Texte auf Deutsch
    * @returns {Object} Kompilierte Bauanleitung
    */
-  async generateManual(configuration) {
+  async generateManual(configuration, { language = DEFAULT_LANGUAGE } = {}) {
+    const lng = resolveLanguage(language) || DEFAULT_LANGUAGE;
     logger.info('Generiere Bauanleitung für Konfiguration', { 
-      components: Object.keys(configuration.components || {}).length 
+      components: Object.keys(configuration.components || {}).length,
+      language: lng
     });
 
     try {
-      const selectedComponents = this.extractSelectedComponents(configuration);
+      const selectedComponents = this.extractSelectedComponents(configuration, lng);
       const orderedSteps = this.orderSteps(selectedComponents);
-      const mergedInstructions = this.mergeInstructions(orderedSteps);
-      const toolList = this.generateToolList(selectedComponents);
+      const mergedInstructions = this.mergeInstructions(orderedSteps, lng);
+      const toolList = this.generateToolList(selectedComponents, lng);
       const totalTime = this.estimateBuildTime(mergedInstructions);
-      const safetyNotes = this.compileSafetyNotes(selectedComponents);
+      const safetyNotes = this.compileSafetyNotes(selectedComponents, lng);
 
       const manual = {
         id: `manual_${Date.now()}`,
         configuration: configuration.id || 'custom',
         metadata: {
-          title: 'DIY Humanoid Bauanleitung',
+          title: this.translator(lng).text('title'),
           version: '1.0.0',
+          language: lng,
           generated: new Date().toISOString(),
           estimatedTime: totalTime,
           difficulty: this.calculateDifficulty(selectedComponents)
@@ -52,9 +57,9 @@ export class ManualService {
         },
         instructions: mergedInstructions,
         appendix: {
-          troubleshooting: this.generateTroubleshooting(selectedComponents),
-          maintenance: this.generateMaintenance(selectedComponents),
-          upgrades: this.suggestUpgrades(selectedComponents)
+          troubleshooting: this.generateTroubleshooting(selectedComponents, lng),
+          maintenance: this.generateMaintenance(selectedComponents, lng),
+          upgrades: this.suggestUpgrades(selectedComponents, lng)
         }
       };
 
@@ -126,11 +131,13 @@ export class ManualService {
   /**
    * Führt individuelle Anleitungen zu Gesamtanleitung zusammen
    * @param {Array} orderedComponents - Komponenten in optimaler Reihenfolge
+   * @param {string} language - Sprachcode der Texte
    * @returns {Array} Zusammengeführte Anweisungen
    */
-  mergeInstructions(orderedComponents) {
+  mergeInstructions(orderedComponents, language = DEFAULT_LANGUAGE) {
     logger.debug('Führe Anleitungen zusammen', { components: orderedComponents.length });
 
+    const { text, list } = this.translator(language);
     const mergedSteps = [];
     let stepCounter = 1;
 
@@ -138,19 +145,14 @@ export class ManualService {
     mergedSteps.push({
       id: `step_${stepCounter++}`,
       phase: 'preparation',
-      title: 'Arbeitsplatz vorbereiten',
-      description: 'Richten Sie einen sauberen, gut beleuchteten Arbeitsplatz ein.',
+      title: text('phases.preparation.title'),
+      description: text('phases.preparation.description'),
       estimatedTime: 15,
       difficulty: 'easy',
-      warnings: ['Ausreichend Platz für alle Komponenten einplanen'],
-      tools: ['Arbeitsplatz', 'Gute Beleuchtung'],
+      warnings: list('phases.preparation.warnings'),
+      tools: list('phases.preparation.tools'),
       materials: [],
-      steps: [
-        'Arbeitsplatz freimachen und reinigen',
-        'Alle Komponenten auspacken und prüfen',
-        'Werkzeuge bereitlegen',
-        'Anleitung durchlesen'
-      ]
+      steps: list('phases.preparation.steps')
     });
 
     // Komponentenspezifische Schritte
@@ -158,21 +160,22 @@ export class ManualService {
       const manual = this.componentManuals.get(component.id);
       if (manual && manual.steps) {
         manual.steps.forEach(step => {
+          const key = `components.${component.id}.steps.${step.id}`;
           mergedSteps.push({
             id: `step_${stepCounter++}`,
             componentId: component.id,
             componentName: component.name,
             phase: this.getPhaseForComponent(component.type),
-            title: `${component.name}: ${step.title}`,
-            description: step.description,
+            title: `${component.name}: ${text(`${key}.title`, step.id)}`,
+            description: text(`${key}.description`),
             estimatedTime: step.estimatedTime,
             difficulty: step.difficulty,
-            warnings: step.warnings || [],
-            tools: step.tools || [],
+            warnings: list(`${key}.warnings`),
+            tools: (step.tools || []).map(toolId => this.getToolName(toolId, language)),
             materials: step.materials || [component.name],
-            steps: step.steps || [],
+            steps: list(`${key}.steps`),
             images: step.images || [],
-            tips: step.tips || []
+            tips: list(`${key}.tips`)
           });
         });
       }
@@ -182,20 +185,14 @@ export class ManualService {
     mergedSteps.push({
       id: `step_${stepCounter++}`,
       phase: 'finalization',
-      title: 'System-Tests durchführen',
-      description: 'Führen Sie umfassende Funktionstests durch.',
+      title: text('phases.finalization.title'),
+      description: text('phases.finalization.description'),
       estimatedTime: 45,
       difficulty: 'medium',
-      warnings: ['Niemals unter Strom arbeiten', 'Alle Verbindungen vor Einschalten prüfen'],
-      tools: ['Multimeter', 'Software'],
-      materials: ['Testprogramm'],
-      steps: [
-        'Alle elektrischen Verbindungen prüfen',
-        'Software hochladen und konfigurieren',
-        'Bewegungstests durchführen',
-        'Sensoren kalibrieren',
-        'Endtest aller Funktionen'
-      ]
+      warnings: list('phases.finalization.warnings'),
+      tools: list('phases.finalization.tools'),
+      materials: list('phases.finalization.materials'),
+      steps: list('phases.finalization.steps')
     });
 
     return mergedSteps;
@@ -204,9 +201,10 @@ export class ManualService {
   /**
    * Generiert komplette Werkzeugliste basierend auf Komponenten
    * @param {Array} components - Ausgewählte Komponenten
+   * @param {string} language - Sprachcode der Werkzeugnamen
    * @returns {Array} Benötigte Werkzeuge mit Details
    */
-  generateToolList(components) {
+  generateToolList(components, language = DEFAULT_LANGUAGE) {
     logger.debug('Generiere Werkzeugliste', { components: components.length });
 
     const toolsSet = new Set();
@@ -219,13 +217,7 @@ export class ManualService {
         manual.requiredTools.forEach(toolId => {
           if (!toolsSet.has(toolId)) {
             toolsSet.add(toolId);
-            const toolInfo = this.toolDatabase.get(toolId) || {
-              name: toolId,
-              category: 'general',
-              essential: true,
-              alternatives: []
-            };
-            toolDetails.push(toolInfo);
+            toolDetails.push(this.getTool(toolId, language));
           }
         });
       }
@@ -271,19 +263,24 @@ export class ManualService {
   }
 
   /**
-   * Extrahiert ausgewählte Komponenten aus Konfiguration
+   * Extrahiert ausgewählte Komponenten aus Konfiguration.
+   * Komponenten mit Anleitung erhalten deren übersetzten Namen
    * @private
    */
-  extractSelectedComponents(configuration) {
+  extractSelectedComponents(configuration, language = DEFAULT_LANGUAGE) {
+    const { text } = this.translator(language);
     const components = [];
     
     if (configuration.components) {
       Object.entries(configuration.components).forEach(([type, component]) => {
         if (component && component.selected) {
+          const id = component.id || `${type}_${Date.now()}`;
           components.push({
-            id: component.id || `${type}_${Date.now()}`,
+            id,
             type: type,
-            name: component.name || type,
+            name: this.componentManuals.has(id)
+              ? text(`components.${id}.name`, component.name || type)
+              : component.name || type,
             model: component.model,
             specifications: component.specifications || {}
           });
@@ -298,18 +295,13 @@ export class ManualService {
    * Kompiliert Sicherheitshinweise
    * @private
    */
-  compileSafetyNotes(components) {
-    const safetyNotes = [
-      'Vor Arbeitsbeginn Anleitung vollständig lesen',
-      'Arbeitsplatz sauber und aufgeräumt halten',
-      'Bei elektrischen Arbeiten Strom abschalten',
-      'Schutzbrille bei mechanischen Arbeiten tragen'
-    ];
+  compileSafetyNotes(components, language = DEFAULT_LANGUAGE) {
+    const { list } = this.translator(language);
+    const safetyNotes = list('safetyNotes');
 
     components.forEach(component => {
-      const manual = this.componentManuals.get(component.id);
-      if (manual && manual.safetyNotes) {
-        safetyNotes.push(...manual.safetyNotes);
+      if (this.componentManuals.has(component.id)) {
+        safetyNotes.push(...list(`components.${component.id}.safetyNotes`));
       }
     });
 
@@ -363,24 +355,11 @@ export class ManualService {
    * Generiert Troubleshooting-Sektion
    * @private
    */
-  generateTroubleshooting(components) {
+  generateTroubleshooting(components, language = DEFAULT_LANGUAGE) {
+    const { list } = this.translator(language);
     return {
-      common: [
-        {
-          problem: 'Komponente passt nicht',
-          solution: 'Überprüfen Sie die Ausrichtung und eventuelle Verformungen'
-        },
-        {
-          problem: 'Elektrische Verbindung funktioniert nicht',
-          solution: 'Kontakte reinigen und Verkabelung prüfen'
-        }
-      ],
-      electrical: [
-        {
-          problem: 'Motor bewegt sich nicht',
-          solution: 'Stromversorgung und Controller-Verbindung prüfen'
-        }
-      ]
+      common: list('troubleshooting.common'),
+      electrical: list('troubleshooting.electrical')
     };
   }
 
@@ -388,12 +367,13 @@ export class ManualService {
    * Generiert Wartungshinweise
    * @private
    */
-  generateMaintenance(components) {
+  generateMaintenance(components, language = DEFAULT_LANGUAGE) {
+    const { list } = this.translator(language);
     return {
-      daily: ['Sichtprüfung auf Beschädigungen'],
-      weekly: ['Gelenke auf Beweglichkeit prüfen', 'Software-Updates prüfen'],
-      monthly: ['Tiefere Inspektion aller Komponenten', 'Kalibrierung prüfen'],
-      yearly: ['Komplette Demontage und Reinigung', 'Verschleißteile ersetzen']
+      daily: list('maintenance.daily'),
+      weekly: list('maintenance.weekly'),
+      monthly: list('maintenance.monthly'),
+      yearly: list('maintenance.yearly')
     };
   }
 
@@ -401,251 +381,239 @@ export class ManualService {
    * Schlägt Upgrade-Möglichkeiten vor
    * @private
    */
-  suggestUpgrades(components) {
-    return [
-      'Erweiterte Sensoren für bessere Wahrnehmung',
-      'Leistungsfähigere Motoren für präzisere Bewegungen',
-      'Verbesserter Controller für mehr Rechenleistung'
-    ];
+  suggestUpgrades(components, language = DEFAULT_LANGUAGE) {
+    return this.translator(language).list('upgrades');
+  }
+
+  /**
+   * Werkzeug mit übersetztem Namen und Alternativen; unbekannte Werkzeuge unter ihrer ID
+   * @param {string} toolId - z.B. 'wire_strippers'
+   * @param {string} language - Sprachcode
+   * @returns {Object} Werkzeugdetails
+   */
+  getTool(toolId, language = DEFAULT_LANGUAGE) {
+    const tool = this.toolDatabase.get(toolId);
+    if (!tool) {
+      return { id: toolId, name: toolId, category: 'general', essential: true, alternatives: [] };
+    }
+
+    const { text, list } = this.translator(language);
+    return {
+      id: toolId,
+      name: text(`tools.${toolId}.name`, toolId),
+      category: tool.category,
+      essential: tool.essential,
+      alternatives: list(`tools.${toolId}.alternatives`)
+    };
+  }
+
+  getToolName(toolId, language = DEFAULT_LANGUAGE) {
+    return this.getTool(toolId, language).name;
+  }
+
+  /**
+   * Alle Werkzeuge der Werkzeugdatenbank in einer Sprache
+   * @param {string} language - Sprachcode
+   * @returns {Array} Werkzeugdetails
+   */
+  getTools(language = DEFAULT_LANGUAGE) {
+    return [...this.toolDatabase.keys()].map(toolId => this.getTool(toolId, language));
+  }
+
+  /**
+   * Anleitung einer einzelnen Komponente mit übersetzten Texten
+   * @param {string} componentId - z.B. 'servo_motor_sg90'
+   * @param {string} language - Sprachcode
+   * @returns {Object|null} Komponenten-Anleitung oder null, wenn keine existiert
+   */
+  getComponentManual(componentId, language = DEFAULT_LANGUAGE) {
+    const manual = this.componentManuals.get(componentId);
+    if (!manual) {
+      return null;
+    }
+
+    const { text, list } = this.translator(language);
+    const key = `components.${componentId}`;
+    return {
+      id: componentId,
+      name: text(`${key}.name`, componentId),
+      difficulty: manual.difficulty,
+      estimatedTime: manual.estimatedTime,
+      requiredTools: manual.requiredTools,
+      safetyNotes: list(`${key}.safetyNotes`),
+      steps: manual.steps.map(step => ({
+        id: step.id,
+        title: text(`${key}.steps.${step.id}.title`, step.id),
+        description: text(`${key}.steps.${step.id}.description`),
+        estimatedTime: step.estimatedTime,
+        difficulty: step.difficulty,
+        tools: (step.tools || []).map(toolId => this.getToolName(toolId, language)),
+        steps: list(`${key}.steps.${step.id}.steps`),
+        warnings: list(`${key}.steps.${step.id}.warnings`),
+        tips: list(`${key}.steps.${step.id}.tips`)
+      }))
+    };
+  }
+
+  /**
+   * Übersicht aller Komponenten-Anleitungen
+   * @param {string} language - Sprachcode der Namen
+   * @returns {Array} Komponenten mit Schwierigkeit, Zeit, Werkzeugen und Schrittanzahl
+   */
+  listComponentManuals(language = DEFAULT_LANGUAGE) {
+    const { text } = this.translator(language);
+    return [...this.componentManuals.entries()].map(([id, manual]) => ({
+      id,
+      name: text(`components.${id}.name`, id),
+      difficulty: manual.difficulty,
+      estimatedTime: manual.estimatedTime,
+      requiredTools: manual.requiredTools,
+      steps: manual.steps?.length || 0
+    }));
+  }
+
+  /**
+   * Formatiert eine generierte Anleitung als Text-Dokument in der Sprache der Anleitung
+   * @param {Object} manual - Ergebnis von generateManual
+   * @returns {string} Text für den Download
+   */
+  formatAsText(manual) {
+    const { text: t } = this.translator(manual.metadata.language);
+    const difficulty = (value) => t(`difficulty.${value}`, value);
+
+    let text = `${t('text.heading')}\n`;
+    text += `${'='.repeat(50)}\n\n`;
+
+    text += `${t('text.generated')}: ${manual.metadata.generated}\n`;
+    text += `${t('text.estimatedTime')}: ${manual.metadata.estimatedTime.formatted.display}\n`;
+    text += `${t('text.difficulty')}: ${difficulty(manual.metadata.difficulty)}\n`;
+    text += `${t('text.totalSteps')}: ${manual.overview.totalSteps}\n\n`;
+
+    text += `${t('text.tools')}:\n`;
+    text += `${'-'.repeat(20)}\n`;
+    manual.overview.requiredTools.forEach(tool => {
+      text += `• ${tool.name} (${tool.category})\n`;
+    });
+    text += '\n';
+
+    text += `${t('text.safetyNotes')}:\n`;
+    text += `${'-'.repeat(20)}\n`;
+    manual.overview.safetyNotes.forEach(note => {
+      text += `⚠ ${note}\n`;
+    });
+    text += '\n';
+
+    text += `${t('text.instructions')}:\n`;
+    text += `${'-'.repeat(20)}\n`;
+    manual.instructions.forEach((step, index) => {
+      text += `\n${index + 1}. ${step.title.toUpperCase()}\n`;
+      text += `${t('text.time')}: ${step.estimatedTime}min | ${t('text.difficulty')}: ${difficulty(step.difficulty)}\n`;
+      text += `${step.description}\n`;
+
+      if (step.steps && step.steps.length > 0) {
+        text += `${t('text.steps')}:\n`;
+        step.steps.forEach(substep => {
+          text += `  • ${substep}\n`;
+        });
+      }
+
+      if (step.warnings && step.warnings.length > 0) {
+        text += `${t('text.warnings')}:\n`;
+        step.warnings.forEach(warning => {
+          text += `  ⚠ ${warning}\n`;
+        });
+      }
+      text += '\n';
+    });
+
+    return text;
+  }
+
+  /**
+   * Übersetzungshelfer für i18n/locales/<lng>/manuals.json.
+   * Fehlende Schlüssel fallen auf Deutsch zurück (siehe frontend: npm run i18n:check)
+   * @private
+   */
+  translator(language) {
+    const t = getTranslator(language, 'manuals');
+    return {
+      text: (key, fallback = '') => t(key, { defaultValue: fallback }),
+      list: (key) => {
+        const value = t(key, { returnObjects: true, defaultValue: [] });
+        return Array.isArray(value) ? [...value] : [];
+      }
+    };
   }
 
   /**
-   * Initialisiert Komponentendaten und Abhängigkeiten
+   * Initialisiert Komponentendaten und Abhängigkeiten.
+   * Texte (Namen, Schritte, Warnungen, Tipps, Werkzeugnamen) liegen je Sprache in
+   * i18n/locales/<lng>/manuals.json unter components.<Komponente>.steps.<Schritt> bzw. tools.<Werkzeug>
    * @private
    */
   initializeComponentData() {
     // RAHMEN & STRUKTUR
     this.componentManuals.set('frame_aluminum', {
-      name: 'Aluminium Rahmen',
       difficulty: 'easy',
       estimatedTime: 45,
       requiredTools: ['allen_key_set', 'screwdriver_phillips', 'level'],
-      safetyNotes: ['Scharfe Kanten vermeiden', 'Schutzbrille tragen', 'Handschuhe verwenden'],
       steps: [
-        {
-          title: 'Rahmenteile vorbereiten',
-          description: 'Überprüfen und vorbereiten aller Rahmenkomponenten.',
-          estimatedTime: 15,
-          difficulty: 'easy',
-          tools: ['level'],
-          steps: [
-            'Alle Rahmenteile auspacken und auf Vollständigkeit prüfen',
-            'Profile auf Geradheit und Unbeschädigtheit überprüfen',
-            'Verbindungselemente sortieren und bereitstellen',
-            'Arbeitsplatz für Montage vorbereiten'
-          ],
-          tips: ['Profile vor Montage leicht anschleifen für bessere Verbindung']
-        },
-        {
-          title: 'Hauptrahmen montieren',
-          description: 'Montieren Sie die Aluminium-Rahmenteile zur Grundstruktur.',
-          estimatedTime: 30,
-          difficulty: 'easy',
-          tools: ['allen_key_set', 'level'],
-          steps: [
-            'Hauptrahmen gemäß Explosionszeichnung zusammensetzen',
-            'Verbindungsschrauben einsetzen aber nur handfest anziehen',
-            'Rechtwinkligkeit mit Wasserwaage prüfen',
-            'Diagonalen messen für Parallelität',
-            'Schrauben gleichmäßig und kreuzweise festziehen'
-          ],
-          warnings: ['Nicht zu fest anziehen - Aluminium kann sich verformen']
-        }
+        { id: 'prepare_parts', estimatedTime: 15, difficulty: 'easy', tools: ['level'] },
+        { id: 'assemble_frame', estimatedTime: 30, difficulty: 'easy', tools: ['allen_key_set', 'level'] }
       ]
     });
 
     // MOTOREN & ANTRIEB
     this.componentManuals.set('servo_motor_sg90', {
-      name: 'Servo Motor SG90',
       difficulty: 'medium',
       estimatedTime: 30,
       requiredTools: ['screwdriver_phillips', 'screwdriver_flathead', 'wire_strippers'],
-      safetyNotes: ['Motor nicht überlasten', 'Richtige Spannung beachten'],
       steps: [
-        {
-          title: 'Motor am Rahmen befestigen',
-          description: 'Befestigen Sie den Servo-Motor mit den mitgelieferten Schrauben am vorgesehenen Rahmenplatz.',
-          estimatedTime: 15,
-          difficulty: 'easy',
-          tools: ['screwdriver_phillips'],
-          steps: [
-            'Montagelöcher am Rahmen identifizieren',
-            'Servo-Horn abnehmen falls montiert',
-            'Motor in Position bringen und ausrichten',
-            'Schrauben einsetzen und handfest anziehen',
-            'Position nochmals prüfen und festziehen'
-          ],
-          warnings: ['Nicht zu fest anziehen - Gewinde können ausreißen'],
-          tips: ['Servo-Horn erst nach Kalibrierung montieren']
-        },
-        {
-          title: 'Verkabelung anschließen',
-          description: 'Verbinden Sie das Servokabel mit dem Controller.',
-          estimatedTime: 15,
-          difficulty: 'medium',
-          tools: ['wire_strippers'],
-          steps: [
-            'Controller-Port identifizieren (PWM-Ausgang)',
-            'Servo-Stecker ausrichten (Rot=+, Braun=-, Orange=Signal)',
-            'Vorsichtig einstecken bis Klick hörbar',
-            'Kabel ordentlich verlegen und fixieren',
-            'Verbindung testen durch leichtes Ziehen'
-          ],
-          warnings: ['Polarität beachten', 'Nie unter Strom verbinden']
-        }
+        { id: 'mount', estimatedTime: 15, difficulty: 'easy', tools: ['screwdriver_phillips'] },
+        { id: 'wiring', estimatedTime: 15, difficulty: 'medium', tools: ['wire_strippers'] }
       ]
     });
 
     this.componentManuals.set('stepper_motor_nema17', {
-      name: 'Stepper Motor NEMA17',
       difficulty: 'hard',
       estimatedTime: 60,
       requiredTools: ['allen_key_set', 'wire_strippers', 'multimeter', 'thermal_paste'],
-      safetyNotes: ['Hohe Ströme - Vorsicht beim Verkabeln', 'Motor kann heiß werden'],
       steps: [
-        {
-          title: 'Motor mechanisch montieren',
-          description: 'Befestigung des NEMA17 Motors mit Kühlkörper.',
-          estimatedTime: 25,
-          difficulty: 'medium',
-          tools: ['allen_key_set', 'thermal_paste'],
-          steps: [
-            'Kühlkörper mit Wärmeleitpaste auf Motor aufbringen',
-            'Motor an vorgesehener Position ausrichten',
-            'Mit M3 Schrauben befestigen',
-            'Motorwelle auf freie Bewegung prüfen'
-          ],
-          warnings: ['Motor wird heiß - Kühlkörper ist notwendig']
-        },
-        {
-          title: 'Treiber anschließen',
-          description: 'Verkabelung mit Stepper-Treiber.',
-          estimatedTime: 35,
-          difficulty: 'hard',
-          tools: ['wire_strippers', 'multimeter'],
-          steps: [
-            'Treiber-Einstellungen überprüfen (Strom, Mikroschritt)',
-            'Motorkabel entsprechend Farbcode anschließen',
-            'Stromversorgung für Treiber anschließen',
-            'Signalleitungen zum Controller führen',
-            'Alle Verbindungen mit Multimeter prüfen'
-          ],
-          warnings: ['Falsche Verkabelung kann Motor oder Treiber zerstören']
-        }
+        { id: 'mount', estimatedTime: 25, difficulty: 'medium', tools: ['allen_key_set', 'thermal_paste'] },
+        { id: 'driver', estimatedTime: 35, difficulty: 'hard', tools: ['wire_strippers', 'multimeter'] }
       ]
     });
 
     // ELEKTRONIK & STEUERUNG
     this.componentManuals.set('controller_arduino', {
-      name: 'Arduino Uno Controller',
       difficulty: 'medium',
       estimatedTime: 40,
       requiredTools: ['screwdriver_phillips', 'wire_strippers', 'computer'],
-      safetyNotes: ['ESD-Schutz beachten', 'Korrekte Spannung verwenden'],
       steps: [
-        {
-          title: 'Arduino am Rahmen befestigen',
-          description: 'Sichere Montage des Controllers.',
-          estimatedTime: 15,
-          difficulty: 'easy',
-          tools: ['screwdriver_phillips'],
-          steps: [
-            'Montageplatz am Rahmen vorbereiten',
-            'Arduino mit Abstandshaltern montieren',
-            'Schrauben festziehen',
-            'Zugänglichkeit aller Anschlüsse prüfen'
-          ],
-          tips: ['Abstandshalter verwenden um Kurzschlüsse zu vermeiden']
-        },
-        {
-          title: 'Grundverkabelung',
-          description: 'Stromversorgung und grundlegende Verkabelung.',
-          estimatedTime: 25,
-          difficulty: 'medium',
-          tools: ['wire_strippers'],
-          steps: [
-            'Stromversorgung anschließen (5V/12V je nach Bedarf)',
-            'Masse-Verbindungen herstellen',
-            'Signal-Leitungen für Sensoren/Aktuatoren vorbereiten',
-            'Kabelmanagement einrichten'
-          ],
-          warnings: ['Polarität der Stromversorgung beachten']
-        }
+        { id: 'mount', estimatedTime: 15, difficulty: 'easy', tools: ['screwdriver_phillips'] },
+        { id: 'wiring', estimatedTime: 25, difficulty: 'medium', tools: ['wire_strippers'] }
       ]
     });
 
     // SENSOREN
     this.componentManuals.set('sensor_ultrasonic', {
-      name: 'Ultraschall Sensor HC-SR04',
       difficulty: 'easy',
       estimatedTime: 20,
       requiredTools: ['screwdriver_phillips', 'wire_strippers'],
-      safetyNotes: ['Sensor nicht fallen lassen - empfindlich'],
       steps: [
-        {
-          title: 'Sensor montieren',
-          description: 'Befestigung des Ultraschall-Sensors.',
-          estimatedTime: 10,
-          difficulty: 'easy',
-          tools: ['screwdriver_phillips'],
-          steps: [
-            'Halterung am gewünschten Ort befestigen',
-            'Sensor in Halterung einsetzen',
-            'Ausrichtung für optimale Messung einstellen'
-          ],
-          tips: ['Sensor sollte freie Sicht haben, keine Hindernisse']
-        },
-        {
-          title: 'Verkabelung',
-          description: 'Anschluss an den Controller.',
-          estimatedTime: 10,
-          difficulty: 'easy',
-          tools: ['wire_strippers'],
-          steps: [
-            'VCC an 5V anschließen',
-            'GND an Masse anschließen',
-            'Trig an digitalen Pin anschließen',
-            'Echo an digitalen Pin anschließen'
-          ]
-        }
+        { id: 'mount', estimatedTime: 10, difficulty: 'easy', tools: ['screwdriver_phillips'] },
+        { id: 'wiring', estimatedTime: 10, difficulty: 'easy', tools: ['wire_strippers'] }
       ]
     });
 
     // STROMVERSORGUNG
     this.componentManuals.set('power_supply_12v', {
-      name: '12V Netzteil',
       difficulty: 'medium',
       estimatedTime: 35,
       requiredTools: ['screwdriver_phillips', 'wire_strippers', 'multimeter'],
-      safetyNotes: ['Niemals unter Spannung arbeiten', 'Erdung beachten'],
       steps: [
-        {
-          title: 'Netzteil montieren',
-          description: 'Sichere Installation des Netzteils.',
-          estimatedTime: 15,
-          difficulty: 'easy',
-          tools: ['screwdriver_phillips'],
-          steps: [
-            'Geeigneten Platz mit Belüftung wählen',
-            'Netzteil mit Schrauben befestigen',
-            'Kabelzugang prüfen'
-          ],
-          warnings: ['Ausreichend Belüftung sicherstellen - Überhitzungsgefahr']
-        },
-        {
-          title: 'Verkabelung und Test',
-          description: 'Anschluss und Funktionstest.',
-          estimatedTime: 20,
-          difficulty: 'medium',
-          tools: ['wire_strippers', 'multimeter'],
-          steps: [
-            'Ausgangsspannung mit Multimeter messen',
-            'Kabel zu den Verbrauchern verlegen',
-            'Sicherungen einbauen',
-            'Funktion aller Anschlüsse testen'
-          ],
-          warnings: ['Vor Einschalten alle Verbindungen prüfen']
-        }
+        { id: 'mount', estimatedTime: 15, difficulty: 'easy', tools: ['screwdriver_phillips'] },
+        { id: 'wiring_test', estimatedTime: 20, difficulty: 'medium', tools: ['wire_strippers', 'multimeter'] }
       ]
     });
 
@@ -657,62 +625,15 @@ export class ManualService {
     this.dependencies.set('power_supply_12v', ['frame_aluminum']);
 
     // ERWEITERTE WERKZEUGDATENBANK
-    this.toolDatabase.set('screwdriver_phillips', {
-      name: 'Kreuzschlitzschraubendreher',
-      category: 'basic',
-      essential: true,
-      alternatives: ['Akkuschrauber mit Kreuzschlitz-Bit']
-    });
-
-    this.toolDatabase.set('screwdriver_flathead', {
-      name: 'Schlitzschraubendreher',
-      category: 'basic', 
-      essential: true,
-      alternatives: ['Universalschraubendreher']
-    });
-
-    this.toolDatabase.set('allen_key_set', {
-      name: 'Inbusschlüssel-Set',
-      category: 'basic',
-      essential: true,
-      alternatives: ['Akkuschrauber mit Inbus-Bits']
-    });
-
-    this.toolDatabase.set('wire_strippers', {
-      name: 'Abisolierzange',
-      category: 'electrical',
-      essential: true,
-      alternatives: ['Universalmesser (mit Vorsicht)']
-    });
-
-    this.toolDatabase.set('multimeter', {
-      name: 'Multimeter',
-      category: 'electrical',
-      essential: true,
-      alternatives: ['Spannungsprüfer (eingeschränkt)']
-    });
-
-    this.toolDatabase.set('level', {
-      name: 'Wasserwaage',
-      category: 'measurement',
-      essential: false,
-      alternatives: ['Smartphone-App mit Wasserwaage']
-    });
-
-    this.toolDatabase.set('thermal_paste', {
-      name: 'Wärmeleitpaste',
-      category: 'materials',
-      essential: false,
-      alternatives: ['Wärmeleitpad']
-    });
-
-    this.toolDatabase.set('computer', {
-      name: 'Computer mit USB',
-      category: 'software',
-      essential: true,
-      alternatives: ['Laptop', 'Raspberry Pi']
-    });
+    this.toolDatabase.set('screwdriver_phillips', { category: 'basic', essential: true });
+    this.toolDatabase.set('screwdriver_flathead', { category: 'basic', essential: true });
+    this.toolDatabase.set('allen_key_set', { category: 'basic', essential: true });
+    this.toolDatabase.set('wire_strippers', { category: 'electrical', essential: true });
+    this.toolDatabase.set('multimeter', { category: 'electrical', essential: true });
+    this.toolDatabase.set('level', { category: 'measurement', essential: false });
+    this.toolDatabase.set('thermal_paste', { category: 'materials', essential: false });
+    this.toolDatabase.set('computer', { category: 'software', essential: true });
   }
 }
 
-export const manualService = new ManualService();
\ No newline at end of file
+export const manualService = new ManualService();
@@ -1,4 +1,6 @@
 import { logger } from '../lib/logger.js';
+import jobQueue from './jobQueue.js';
+import webhookDeliveryService from './webhookDeliveryService.js';
 
 class NotificationService {
   constructor() {
@@ -61,7 +63,7 @@ class NotificationService {
       };
 
       const webhookData = {
-        event: 'order.confirmed',
+        event: 'order.created',
         orderId: order.id,
         orderNumber: order.orderNumber,
         total: order.total,
@@ -226,7 +228,8 @@ class NotificationService {
     }
   }
 
-  async sendPaymentConfirmation(order, paymentData) {
+  // attachments: e.g. the invoice PDF, see OrderService.handlePaymentCompleted
+  async sendPaymentConfirmation(order, paymentData, attachments = []) {
     try {
       logger.info('Sending payment confirmation', { orderId: order.id });
 
@@ -240,7 +243,9 @@ class NotificationService {
           amount: paymentData.amount,
           paymentMethod: paymentData.provider,
           paymentId: paymentData.paymentId,
+          invoiceNumber: paymentData.invoiceNumber,
         },
+        attachments,
       };
 
       const webhookData = {
@@ -262,7 +267,8 @@ class NotificationService {
     }
   }
 
-  async sendRefundNotification(order) {
+  // refund: { amount, rmaNumber } of a partial refund; without it the order total was refunded
+  async sendRefundNotification(order, refund = {}) {
     try {
       logger.info('Sending refund notification', { orderId: order.id });
 
@@ -273,7 +279,8 @@ class NotificationService {
         data: {
           orderNumber: order.orderNumber,
           customerName: order.customerInfo?.name || order.user?.name,
-          amount: order.total,
+          amount: refund.amount ?? order.total,
+          rmaNumber: refund.rmaNumber,
           processingMessage: 'Your refund has been processed and should appear in your account within 3-5 business days.',
         },
       };
@@ -282,7 +289,8 @@ class NotificationService {
         event: 'order.refunded',
         orderId: order.id,
         orderNumber: order.orderNumber,
-        amount: order.total,
+        amount: refund.amount ?? order.total,
+        rmaNumber: refund.rmaNumber,
       };
 
       await Promise.all([
@@ -310,7 +318,7 @@ class NotificationService {
           customerName: order.customerInfo?.name || order.user?.name,
           manualTitle: manual.title,
           manualUrl: `${process.env.APP_URL}/orders/${order.id}/manual`,
-          downloadUrl: `${process.env.APP_URL}/api/manuals/${manual.id}/download`,
+          downloadUrl: `${process.env.APP_URL}/api/manual/export/${manual.id}?format=text`,
         },
       };
 
@@ -332,6 +340,24 @@ class NotificationService {
     }
   }
 
+  // changes: every supplier offer whose price differs from the previous scraping run
+  async sendPriceChangeNotification(runId, changes = []) {
+    try {
+      logger.info('Sending price change notification', { runId, changes: changes.length });
+
+      await this.sendWebhook({
+        event: 'price.changed',
+        runId,
+        changes,
+      });
+    } catch (error) {
+      logger.error('Failed to send price change notification', { 
+        runId, 
+        error: error.message 
+      });
+    }
+  }
+
   async sendAdminAlert(alertType, data) {
     try {
       logger.info('Sending admin alert', { alertType });
@@ -371,6 +397,8 @@ class NotificationService {
     }
   }
 
+  // Queued as a background job, so a slow or unreachable SMTP server neither blocks
+  // the request nor loses the email; failed sends are retried by the job queue
   async sendEmail(emailData) {
     if (!this.emailEnabled) {
       logger.debug('Email not enabled, skipping email send');
@@ -378,33 +406,61 @@ class NotificationService {
     }
 
     try {
-      const { to, subject, template, data } = emailData;
-
-      // For now, send plain text emails
-      // TODO: Implement HTML templates
-      const textContent = this.generateEmailText(template, data);
-
-      const mailOptions = {
-        from: process.env.EMAIL_FROM || 'noreply@diyhumanoid.com',
-        to,
-        subject,
-        text: textContent,
-        // html: await this.renderTemplate(template, data), // TODO: Add HTML templates
-      };
-
-      const result = await this.emailTransporter.sendMail(mailOptions);
-      logger.info('Email sent successfully', { to, subject, messageId: result.messageId });
+      await jobQueue.enqueue('email.send', {
+        ...emailData,
+        // Job payloads are JSON: binary attachments (invoice PDFs) travel as base64
+        attachments: emailData.attachments?.map(attachment => Buffer.isBuffer(attachment.content)
+          ? { ...attachment, content: attachment.content.toString('base64'), encoding: 'base64' }
+          : attachment),
+      });
     } catch (error) {
-      logger.error('Failed to send email', { 
+      logger.error('Failed to queue email', { 
         to: emailData.to, 
         error: error.message 
       });
     }
   }
 
+  // Handler of the email.send job; throws so the queue retries
+  async deliverEmail(emailData) {
+    if (!this.emailTransporter) {
+      throw new Error('Email transport not initialized');
+    }
+
+    const { to, subject, template, data, attachments } = emailData;
+
+    // For now, send plain text emails
+    // TODO: Implement HTML templates
+    const textContent = this.generateEmailText(template, data);
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@diyhumanoid.com',
+      to,
+      subject,
+      text: textContent,
+      // html: await this.renderTemplate(template, data), // TODO: Add HTML templates
+      attachments,
+    };
+
+    const result = await this.emailTransporter.sendMail(mailOptions);
+    logger.info('Email sent successfully', { to, subject, messageId: result.messageId });
+    return { messageId: result.messageId };
+  }
+
+  // Delivered to every subscribed endpoint (signed, with retries) and, if configured,
+  // to the legacy WEBHOOK_URL without signature
   async sendWebhook(webhookData) {
+    const { event, ...data } = webhookData;
+
+    await Promise.all([
+      webhookDeliveryService.dispatch(event, data),
+      this.sendLegacyWebhook(webhookData),
+    ]);
+  }
+
+  async sendLegacyWebhook(webhookData) {
     if (!this.webhookEnabled) {
-      logger.debug('Webhooks not enabled, skipping webhook send');
+      logger.debug('Legacy webhook URL not configured, skipping');
       return;
     }
 
@@ -479,6 +535,19 @@ ${data.trackingNumber ? `Tracking Number: ${data.trackingNumber}` : ''}
 ${data.shippingMethod ? `Shipping Method: ${data.shippingMethod}` : ''}
 ${data.trackingUrl ? `Track your package: ${data.trackingUrl}` : ''}
 
+Best regards,
+DIY Humanoid Team
+        `.trim();
+
+      case 'paymentConfirmed':
+        return `
+Dear ${data.customerName},
+
+We have received your payment for order ${data.orderNumber}.
+
+${data.amount != null ? `Amount: ${Number(data.amount).toFixed(2)} EUR` : ''}
+${data.invoiceNumber ? `Your invoice ${data.invoiceNumber} is attached to this email.` : ''}
+
 Best regards,
 DIY Humanoid Team
         `.trim();
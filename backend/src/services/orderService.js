@@ -1,17 +1,42 @@
-import { OrderRepository, ConfigurationRepository, ComponentRepository } from '../repositories/index.js';
+import {
+  OrderRepository,
+  ConfigurationRepository,
+  ComponentRepository,
+  ManualRepository,
+  PurchaseOrderRepository,
+} from '../repositories/index.js';
 import { logger } from '../lib/logger.js';
+import { AppError, InvalidTransitionError, NotFoundError } from '../middleware/error.js';
+import { checkTransition, getTransitions } from '../utils/orderStateMachine.js';
+import { PURCHASE_ORDER_TRANSITIONS } from '../utils/purchaseOrders.js';
 import notificationService from './notificationService.js';
+import jobQueue from './jobQueue.js';
+import ManualDocumentService from './manualDocumentService.js';
+import PaymentService from './paymentService.js';
+import PurchaseOrderService from './purchaseOrderService.js';
+import TaxService from './taxService.js';
+import InvoiceService from './invoiceService.js';
+import { renderInvoicePdf } from '../utils/invoices.js';
+
+const isAdmin = (user) => user?.role?.toUpperCase() === 'ADMIN';
 
 class OrderService {
   constructor() {
     this.orderRepository = new OrderRepository();
     this.configurationRepository = new ConfigurationRepository();
     this.componentRepository = new ComponentRepository();
+    this.manualRepository = new ManualRepository();
+    this.manualDocumentService = new ManualDocumentService();
+    this.purchaseOrderRepository = new PurchaseOrderRepository();
+    this.paymentService = new PaymentService();
+    this.purchaseOrderService = new PurchaseOrderService();
+    this.taxService = new TaxService();
+    this.invoiceService = new InvoiceService();
   }
 
   async createOrder(orderData) {
     try {
-      const { items, customerInfo, paymentMethod, configurationId, userId } = orderData;
+      const { items, customerInfo, paymentMethod, configurationId, userId, vatId } = orderData;
       
       logger.info('Creating new order', { 
         customerEmail: customerInfo?.email,
@@ -19,9 +44,12 @@ class OrderService {
         itemCount: items?.length 
       });
 
-      // Validate items and calculate total
+      // Validate items and calculate net prices plus VAT for the ship-to country
       const validatedItems = await this.validateOrderItems(items);
-      const total = validatedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+      const tax = this.taxService.calculate(validatedItems, {
+        country: this.taxService.resolveCountry(null, customerInfo),
+        vatId,
+      });
 
       // If order is based on a configuration, validate it
       if (configurationId) {
@@ -29,7 +57,7 @@ class OrderService {
       }
 
       const finalOrderData = {
-        total,
+        ...this.taxService.toOrderFields(tax),
         customerInfo,
         paymentMethod,
         userId,
@@ -61,32 +89,32 @@ class OrderService {
     const validatedItems = [];
 
     for (const item of items) {
-      // Check if product exists and is available
-      const product = await this.componentRepository.findById(item.productId);
+      // Check if component exists and is available
+      const component = await this.componentRepository.findById(item.componentId);
       
-      if (!product) {
-        throw new Error(`Product with ID ${item.productId} not found`);
+      if (!component) {
+        throw new Error(`Component with ID ${item.componentId} not found`);
       }
 
-      if (product.availability !== 'in-stock') {
-        throw new Error(`Product ${product.name} is not available`);
+      if (component.availability !== 'in-stock') {
+        throw new Error(`Component ${component.name} is not available`);
       }
 
       // Validate price (prevent price manipulation)
-      if (Math.abs(item.price - product.price) > 0.01) {
+      if (Math.abs(item.price - component.price) > 0.01) {
         logger.warn('Price mismatch detected', {
-          productId: item.productId,
+          componentId: item.componentId,
           submittedPrice: item.price,
-          actualPrice: product.price
+          actualPrice: component.price
         });
-        item.price = product.price; // Use actual price
+        item.price = component.price; // Use actual price
       }
 
       validatedItems.push({
-        name: product.name,
-        price: product.price,
+        name: component.name,
+        price: component.price,
         quantity: item.quantity,
-        productId: item.productId,
+        componentId: item.componentId,
         options: item.options,
       });
     }
@@ -104,16 +132,69 @@ class OrderService {
     return validation;
   }
 
+  // Customers see their own orders, admins all
+  async getAccessibleOrder(orderId, user) {
+    const order = await this.orderRepository.findById(orderId);
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    if (!isAdmin(user) && order.userId !== user?.id) {
+      throw new AppError('Access denied', 403, 'FORBIDDEN');
+    }
+    return order;
+  }
+
+  // Audit trail of status and payment changes, including the acting user
+  async getStatusHistory(orderId, user) {
+    await this.getAccessibleOrder(orderId, user);
+    return this.orderRepository.findStatusHistory(orderId);
+  }
+
+  // Next states of an order with the guard result, see utils/orderStateMachine.js
+  async getOrderTransitions(orderId) {
+    const order = await this.orderRepository.findById(orderId);
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    const purchaseOrders = await this.purchaseOrderRepository.findByOrder(orderId);
+    return {
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      transitions: getTransitions(order, { purchaseOrders }),
+    };
+  }
+
   async updateOrderStatus(orderId, newStatus, metadata = {}) {
     try {
       logger.info('Updating order status', { orderId, newStatus });
 
-      const order = await this.orderRepository.updateStatus(orderId, newStatus);
+      const current = await this.orderRepository.findById(orderId);
+      if (!current) {
+        throw new NotFoundError('Order not found');
+      }
+
+      const purchaseOrders = await this.purchaseOrderRepository.findByOrder(orderId);
+      const { allowed, reason } = checkTransition(current, newStatus, { purchaseOrders });
+      if (!allowed) {
+        throw new InvalidTransitionError(reason, {
+          from: current.status,
+          to: newStatus,
+          allowed: getTransitions(current, { purchaseOrders }).filter(t => t.allowed).map(t => t.status),
+        });
+      }
 
-      // Trigger status-specific actions
-      await this.handleStatusChange(order, newStatus, metadata);
+      const context = {
+        userId: metadata.userId,
+        note: metadata.note ?? metadata.reason,
+        source: metadata.source,
+      };
+      const order = await this.orderRepository.updateStatus(orderId, newStatus, context);
 
-      return order;
+      // Trigger status-specific actions; the status change itself is already committed
+      await this.handleStatusChange(order, newStatus, { ...metadata, ...context, purchaseOrders });
+
+      return await this.orderRepository.findById(orderId);
     } catch (error) {
       logger.error('Failed to update order status', { 
         orderId, 
@@ -124,11 +205,22 @@ class OrderService {
     }
   }
 
+  // Runs a side effect of a status change; failures are logged instead of undoing the transition
+  async runSideEffect(order, name, effect) {
+    try {
+      return await effect();
+    } catch (error) {
+      logger.error('Order side effect failed', { orderId: order.id, sideEffect: name, error: error.message });
+      return null;
+    }
+  }
+
   async handleStatusChange(order, newStatus, metadata) {
     switch (newStatus) {
       case 'PROCESSING':
-        await notificationService.sendOrderProcessingNotification(order);
-        // TODO: Trigger inventory reservation
+        await this.runSideEffect(order, 'notification', () => notificationService.sendOrderProcessingNotification(order));
+        // Drop-ship: reserve stock at the suppliers by creating the purchase orders
+        await this.runSideEffect(order, 'purchase_orders', () => this.purchaseOrderService.generateForOrder(order.id, metadata));
         break;
         
       case 'SHIPPED':
@@ -140,31 +232,114 @@ class OrderService {
             metadata.estimatedDelivery
           );
         }
-        await notificationService.sendShippingNotification(order, metadata);
+        await this.runSideEffect(order, 'notification', () => notificationService.sendShippingNotification(order, metadata));
         break;
         
       case 'DELIVERED':
-        await notificationService.sendDeliveryNotification(order);
-        // TODO: Trigger manual generation if not already done
+        await this.runSideEffect(order, 'notification', () => notificationService.sendDeliveryNotification(order));
+        await this.runSideEffect(order, 'manual', () => this.queueManual(order));
         break;
         
       case 'CANCELLED':
-        await this.handleOrderCancellation(order, metadata.reason);
+        await this.handleOrderCancellation(order, metadata.reason ?? metadata.note, metadata);
         break;
         
       case 'REFUNDED':
-        await notificationService.sendRefundNotification(order);
+        await this.runSideEffect(order, 'release_purchase_orders', () => this.releasePurchaseOrders(order, metadata));
+        // Returns refund per line and issue their own credit note and notification (see ReturnService)
+        if (metadata.returnId) break;
+        await this.runSideEffect(order, 'credit_note', () => this.invoiceService.issueCreditNote(order.id, {
+          amount: metadata.refundAmount,
+          reason: metadata.note,
+        }, metadata));
+        await this.runSideEffect(order, 'notification', () => notificationService.sendRefundNotification(order));
         break;
     }
   }
 
-  async handleOrderCancellation(order, reason) {
+  async handleOrderCancellation(order, reason, metadata = {}) {
     logger.info('Processing order cancellation', { orderId: order.id, reason });
     
-    // TODO: Release inventory
-    // TODO: Process refund if payment was completed
+    await this.runSideEffect(order, 'release_purchase_orders', () => this.releasePurchaseOrders(order, metadata));
+
+    if (order.paymentStatus === 'COMPLETED') {
+      await this.runSideEffect(order, 'refund', () => this.refundOrder(order, reason, metadata));
+    }
     
-    await notificationService.sendCancellationNotification(order, reason);
+    await this.runSideEffect(order, 'notification', () => notificationService.sendCancellationNotification(order, reason));
+  }
+
+  // Drop-ship has no own stock: releasing inventory means cancelling the open supplier purchase orders
+  async releasePurchaseOrders(order, metadata = {}) {
+    const purchaseOrders = await this.purchaseOrderRepository.findByOrder(order.id);
+    const open = purchaseOrders.filter(po => PURCHASE_ORDER_TRANSITIONS[po.status].includes('CANCELLED'));
+
+    for (const purchaseOrder of open) {
+      await this.purchaseOrderRepository.transitionStatus(purchaseOrder.id, 'CANCELLED', {}, {
+        userId: metadata.userId,
+        note: `Order ${order.status.toLowerCase()}`,
+        source: 'order_state_machine',
+      });
+    }
+
+    return open.length;
+  }
+
+  // Full refund of the completed payment; the payment status follows only when the provider accepted it
+  async refundOrder(order, reason, metadata = {}) {
+    const { payments = [] } = await this.orderRepository.findById(order.id, { payments: true });
+    const payment = payments.find(p => p.status === 'COMPLETED');
+    if (!payment) {
+      logger.warn('No completed payment to refund', { orderId: order.id });
+      return null;
+    }
+
+    // No amount: the provider refunds the full captured amount
+    const refund = await this.paymentService.refundPayment(payment.paymentId, null, payment.provider, 'requested_by_customer');
+    await this.orderRepository.updatePaymentStatus(order.id, 'REFUNDED', {
+      userId: metadata.userId,
+      note: reason,
+      source: 'order_state_machine',
+    });
+    await this.runSideEffect(order, 'credit_note', () => this.invoiceService.issueCreditNote(order.id, { reason }, metadata));
+
+    logger.info('Cancelled order refunded', { orderId: order.id, paymentId: payment.paymentId });
+    return refund;
+  }
+
+  // Latest assembly manual of an order the caller can see
+  async getManual(orderId, user) {
+    await this.getAccessibleOrder(orderId, user);
+    const manual = await this.manualRepository.findLatestManualForOrder(orderId);
+    if (!manual) {
+      throw new NotFoundError('Manual not generated yet');
+    }
+    return manual;
+  }
+
+  // Existing manual, otherwise queues the generation; returns { manual } or { job }
+  async requestManual(orderId, user) {
+    const order = await this.getAccessibleOrder(orderId, user);
+    const manual = await this.manualRepository.findLatestManualForOrder(orderId);
+    if (manual) {
+      return { manual };
+    }
+    return { job: await this.queueManual(order) };
+  }
+
+  // Manual generation runs as a background job (see jobHandlers: manual.generate)
+  async queueManual(order) {
+    return jobQueue.enqueue('manual.generate', { orderId: order.id }, { uniqueKey: `manual:${order.id}` });
+  }
+
+  async ensureManual(order) {
+    const existing = await this.manualRepository.findLatestManualForOrder(order.id);
+    if (existing) return existing;
+
+    logger.info('Generating manual for delivered order', { orderId: order.id });
+    const manual = await this.manualDocumentService.generateForOrder(order);
+    await notificationService.sendManualReadyNotification(order, manual);
+    return manual;
   }
 
   async getOrderStatistics(dateRange = {}) {
@@ -208,8 +383,7 @@ class OrderService {
         await this.updateOrderStatus(orderId, 'PROCESSING');
       }
 
-      // Send payment confirmation
-      await notificationService.sendPaymentConfirmation(order, paymentData);
+      await this.handlePaymentCompleted(order, { orderId, paymentId, amount, provider });
 
       return order;
     } catch (error) {
@@ -221,6 +395,23 @@ class OrderService {
     }
   }
 
+  // Payment received: issue the invoice and send it with the payment confirmation.
+  // An invoice that already existed means the confirmation went out before.
+  async handlePaymentCompleted(order, paymentData = {}, metadata = {}) {
+    const result = await this.runSideEffect(order, 'invoice', () => this.invoiceService.issueInvoice(order.id, metadata));
+    const invoice = result?.invoice;
+    if (result && !result.created) {
+      return invoice;
+    }
+
+    const attachments = invoice
+      ? [{ filename: `${invoice.number}.pdf`, content: renderInvoicePdf(invoice), contentType: 'application/pdf' }]
+      : [];
+    await notificationService.sendPaymentConfirmation(order, { ...paymentData, invoiceNumber: invoice?.number }, attachments);
+
+    return invoice;
+  }
+
   async getOrdersRequiringAttention() {
     try {
       // Get orders that might need manual intervention
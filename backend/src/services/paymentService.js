@@ -1,10 +1,13 @@
 import { logger } from '../lib/logger.js';
 import { paypalClient } from '../lib/paypalClient.js';
+import { buildEpcPayload, creditorReference, formatIban, isValidIban } from '../utils/sepa.js';
+import { renderQrDataUrl } from '../utils/qrcode.js';
 
 class PaymentService {
   constructor() {
     this.stripeEnabled = !!process.env.STRIPE_SECRET_KEY;
     this.paypalEnabled = !!process.env.PAYPAL_CLIENT_ID;
+    this.sepaEnabled = isValidIban(process.env.SEPA_IBAN);
     
     // Initialize payment providers
     this.stripe = null;
@@ -54,6 +57,8 @@ class PaymentService {
           return await this.createStripePaymentIntent(orderData);
         case 'paypal':
           return await this.createPayPalPayment(orderData);
+        case 'sepa':
+          return this.createSepaTransfer(orderData);
         default:
           throw new Error(`Unsupported payment method: ${paymentMethod}`);
       }
@@ -167,6 +172,44 @@ class PaymentService {
     }
   }
 
+  // Bank transfer: no provider involved, the customer transfers with the reference (or scans the EPC QR code).
+  // Incoming transfers are matched from imported bank statements, see BankReconciliationService
+  createSepaTransfer(orderData) {
+    if (!this.sepaEnabled) {
+      throw new Error('SEPA bank transfer is not configured');
+    }
+
+    const { total, currency = 'EUR', orderId, orderNumber } = orderData;
+    if (currency.toUpperCase() !== 'EUR') {
+      throw new Error('SEPA bank transfer requires EUR');
+    }
+
+    const reference = creditorReference(orderNumber);
+    const accountHolder = process.env.SEPA_ACCOUNT_HOLDER || process.env.SELLER_NAME || 'DIY Humanoid Configurator';
+    const bic = process.env.SEPA_BIC || '';
+    const epcPayload = buildEpcPayload({
+      name: accountHolder,
+      iban: process.env.SEPA_IBAN,
+      bic,
+      amount: total,
+      reference,
+    });
+
+    logger.info('SEPA transfer details created', { orderId, reference });
+
+    return {
+      paymentId: reference,
+      reference,
+      accountHolder,
+      iban: formatIban(process.env.SEPA_IBAN),
+      bic,
+      amount: total,
+      currency: 'EUR',
+      qrCode: renderQrDataUrl(epcPayload, { ecc: 'M' }),
+      provider: 'sepa',
+    };
+  }
+
   async confirmPayment(paymentId, paymentMethod = 'stripe') {
     try {
       logger.info('Confirming payment', { paymentId, paymentMethod });
@@ -272,6 +315,8 @@ class PaymentService {
           return await this.refundStripePayment(paymentId, amount, reason);
         case 'paypal':
           return await this.refundPayPalPayment(paymentId, amount, reason);
+        case 'sepa':
+          return this.recordSepaRefund(paymentId, amount);
         default:
           throw new Error(`Unsupported payment method: ${paymentMethod}`);
       }
@@ -357,6 +402,19 @@ class PaymentService {
     }
   }
 
+  // Bank transfers have no refund API: the refund is transferred manually to the payer's IBAN
+  recordSepaRefund(paymentId, amount) {
+    logger.warn('SEPA refund must be transferred manually', { paymentId, amount });
+
+    return {
+      refundId: `sepa_refund_${Date.now()}`,
+      amount,
+      currency: 'EUR',
+      status: 'pending',
+      provider: 'sepa',
+    };
+  }
+
   async getPaymentMethods() {
     const methods = [];
 
@@ -380,6 +438,16 @@ class PaymentService {
       });
     }
 
+    if (this.sepaEnabled) {
+      methods.push({
+        id: 'sepa',
+        name: 'Bank transfer (SEPA)',
+        description: 'Transfer the amount with the payment reference or scan the QR code in your banking app',
+        enabled: true,
+        type: 'bank_transfer',
+      });
+    }
+
     return methods;
   }
 
@@ -463,6 +531,10 @@ class PaymentService {
         configured: !!process.env.PAYPAL_CLIENT_ID && !!process.env.PAYPAL_CLIENT_SECRET,
         webhookConfigured: !!process.env.PAYPAL_WEBHOOK_ID,
       },
+      sepa: {
+        enabled: this.sepaEnabled,
+        configured: !!process.env.SEPA_IBAN,
+      },
     };
   }
 }
@@ -0,0 +1,325 @@
+import { OrderRepository, WebhookEventRepository } from '../repositories/index.js';
+import { getEnv } from '../config/env.js';
+import { logger } from '../lib/logger.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../middleware/error.js';
+import { verifyWebhookSignature } from '../utils/webhookSignature.js';
+import OrderService from './orderService.js';
+
+// Event type -> handler per endpoint. The generic endpoint accepts the provider's own names as well
+const EVENT_HANDLERS = {
+  generic: {
+    'payment.succeeded': 'handlePaymentSuccess',
+    'payment_intent.succeeded': 'handlePaymentSuccess',
+    'payment.failed': 'handlePaymentFailure',
+    'payment_intent.payment_failed': 'handlePaymentFailure',
+    'payment.refunded': 'handlePaymentRefund',
+    'charge.refunded': 'handlePaymentRefund',
+  },
+  stripe: {
+    'payment_intent.succeeded': 'handlePaymentSuccess',
+    'payment_intent.payment_failed': 'handlePaymentFailure',
+    'payment_intent.canceled': 'handlePaymentCancellation',
+    'charge.dispute.created': 'handlePaymentDispute',
+    'invoice.payment_succeeded': 'handleSubscriptionPayment',
+  },
+  paypal: {
+    'PAYMENT.CAPTURE.COMPLETED': 'handlePaymentSuccess',
+    'PAYMENT.CAPTURE.DENIED': 'handlePaymentFailure',
+    'PAYMENT.CAPTURE.DECLINED': 'handlePaymentFailure',
+    'PAYMENT.CAPTURE.REFUNDED': 'handlePaymentRefund',
+    'PAYMENT.CAPTURE.REVERSED': 'handlePaymentDispute',
+  },
+};
+
+export const WEBHOOK_PROVIDERS = Object.keys(EVENT_HANDLERS);
+
+// Event ID, type and payment object of a stored payload
+function describeEvent(provider, payload) {
+  switch (provider) {
+    case 'stripe':
+      return { eventId: payload.id, type: payload.type, data: payload.data?.object, paymentProvider: 'stripe' };
+    case 'paypal':
+      return { eventId: payload.id, type: payload.event_type, data: payload.resource, paymentProvider: 'paypal' };
+    default:
+      return { eventId: payload.id, type: payload.event, data: payload.data, paymentProvider: payload.provider || 'stripe' };
+  }
+}
+
+class PaymentWebhookService {
+  constructor() {
+    this.webhookEventRepository = new WebhookEventRepository();
+    this.orderRepository = new OrderRepository();
+    this.orderService = new OrderService();
+    this.secret = getEnv().PAYMENT_WEBHOOK_SECRET;
+  }
+
+  // HMAC check for the generic endpoint; rawBody is the request body exactly as received
+  verifySignature(rawBody, header) {
+    const result = verifyWebhookSignature(rawBody, header, this.secret);
+    if (!result.valid) {
+      throw new BadRequestError(`Webhook signature verification failed: ${result.error}`);
+    }
+  }
+
+  /**
+   * Stores a verified event and processes it once.
+   * Known events are acknowledged as duplicates; failed ones are retried on redelivery.
+   * @returns {Promise<{ event: Object, duplicate: boolean }>}
+   */
+  async receive(provider, payload) {
+    const { eventId, type } = describeEvent(provider, payload);
+    if (!eventId || !type) {
+      throw new BadRequestError('Webhook event id and type are required');
+    }
+
+    const existing = await this.webhookEventRepository.findByProviderEvent(provider, eventId);
+    if (existing) {
+      if (!await this.webhookEventRepository.claim(existing.id)) {
+        logger.info('Duplicate webhook event skipped', { provider, eventId, type, status: existing.status });
+        return { event: existing, duplicate: true };
+      }
+      return { event: await this.process(existing), duplicate: false };
+    }
+
+    const event = await this.webhookEventRepository.record({ provider, eventId, type, payload });
+    if (!event) {
+      logger.info('Duplicate webhook event skipped', { provider, eventId, type });
+      return { event: await this.webhookEventRepository.findByProviderEvent(provider, eventId), duplicate: true };
+    }
+    return { event: await this.process(event), duplicate: false };
+  }
+
+  // Runs the handler of a claimed event and records the outcome; never throws for handler errors
+  async process(event) {
+    const { data, paymentProvider } = describeEvent(event.provider, event.payload);
+    const handler = EVENT_HANDLERS[event.provider]?.[event.type];
+    await this.webhookEventRepository.startAttempt(event.id);
+
+    if (!handler) {
+      logger.info('Unhandled webhook event', { provider: event.provider, type: event.type, eventId: event.eventId });
+      return this.webhookEventRepository.complete(event.id, 'IGNORED');
+    }
+
+    try {
+      const order = await this[handler](data || {}, paymentProvider);
+      return await this.webhookEventRepository.complete(event.id, 'PROCESSED', order?.id || null);
+    } catch (error) {
+      logger.error('Webhook processing failed', {
+        provider: event.provider,
+        type: event.type,
+        eventId: event.eventId,
+        error: error.message,
+      });
+      return this.webhookEventRepository.fail(event.id, error);
+    }
+  }
+
+  async listEvents({ status, provider, page = 1, limit = 20 } = {}) {
+    const { events, total } = await this.webhookEventRepository.findPaginated({ status, provider, page, limit });
+    return {
+      events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+  }
+
+  async getEvent(id) {
+    const event = await this.webhookEventRepository.findWithOrder(id);
+    if (!event) {
+      throw new NotFoundError('Webhook event not found');
+    }
+    return event;
+  }
+
+  // Admin replay of a failed or ignored event with the stored payload
+  async replay(id, context = {}) {
+    const event = await this.getEvent(id);
+    if (!await this.webhookEventRepository.claim(id, ['FAILED', 'IGNORED'])) {
+      throw new ConflictError(`Webhook event is ${event.status.toLowerCase()} and cannot be replayed`);
+    }
+
+    logger.info('Webhook event replayed', { id, provider: event.provider, type: event.type, ...context });
+    return this.process(event);
+  }
+
+  async findOrderByPaymentId(paymentId, include) {
+    const orders = await this.orderRepository.findAll({
+      where: { paymentId },
+      include,
+    });
+    return orders[0] || null;
+  }
+
+  async handlePaymentSuccess(paymentData, provider) {
+    const { id: paymentId, amount, currency = 'USD' } = paymentData;
+
+    const order = await this.findOrderByPaymentId(paymentId, { user: true });
+    if (!order) {
+      logger.warn('No order found for successful payment', { paymentId, provider });
+      return null;
+    }
+
+    // Update order payment status
+    await this.orderRepository.updatePaymentStatus(order.id, 'COMPLETED');
+
+    // Add payment record
+    await this.orderRepository.addPayment(order.id, {
+      paymentId,
+      provider,
+      amount: typeof amount === 'number' ? amount : parseFloat(amount) / 100, // Handle cents
+      currency,
+      status: 'COMPLETED',
+      paymentData,
+    });
+
+    // Update order status to processing if still pending (creates the supplier purchase orders)
+    if (order.status === 'PENDING') {
+      await this.orderService.updateOrderStatus(order.id, 'PROCESSING', { source: provider });
+    }
+
+    // Issue the invoice and send it with the payment confirmation
+    await this.orderService.handlePaymentCompleted(order, { paymentId, amount, provider }, { source: provider });
+
+    logger.info('Payment success processed', {
+      orderId: order.id,
+      paymentId,
+      provider,
+      amount,
+    });
+
+    // The manual is queued once the order is delivered (see OrderService.queueManual)
+    return order;
+  }
+
+  async handlePaymentFailure(paymentData, provider) {
+    const { id: paymentId, failure_reason } = paymentData;
+
+    const order = await this.findOrderByPaymentId(paymentId);
+    if (!order) {
+      logger.warn('No order found for failed payment', { paymentId, provider });
+      return null;
+    }
+
+    // Update order payment status
+    await this.orderRepository.updatePaymentStatus(order.id, 'FAILED');
+
+    // Add payment record
+    await this.orderRepository.addPayment(order.id, {
+      paymentId,
+      provider,
+      amount: 0,
+      currency: 'USD',
+      status: 'FAILED',
+      paymentData: { ...paymentData, failure_reason },
+    });
+
+    logger.info('Payment failure processed', {
+      orderId: order.id,
+      paymentId,
+      provider,
+      failure_reason,
+    });
+
+    // TODO: Send failure notification email
+    return order;
+  }
+
+  async handlePaymentRefund(paymentData, provider) {
+    const { id: paymentId, amount } = paymentData;
+
+    const order = await this.findOrderByPaymentId(paymentId);
+    if (!order) {
+      logger.warn('No order found for refunded payment', { paymentId, provider });
+      return null;
+    }
+
+    // Update order status to refunded
+    await this.orderRepository.updatePaymentStatus(order.id, 'REFUNDED', { source: provider });
+    if (order.status !== 'REFUNDED') {
+      await this.orderService.updateOrderStatus(order.id, 'REFUNDED', { source: provider });
+    }
+
+    // Add refund payment record
+    await this.orderRepository.addPayment(order.id, {
+      paymentId: `refund_${paymentId}`,
+      provider,
+      amount: -(typeof amount === 'number' ? amount : parseFloat(amount) / 100),
+      currency: 'USD',
+      status: 'REFUNDED',
+      paymentData,
+    });
+
+    logger.info('Payment refund processed', {
+      orderId: order.id,
+      paymentId,
+      provider,
+      amount,
+    });
+
+    // TODO: Send refund confirmation email
+    return order;
+  }
+
+  async handlePaymentCancellation(paymentData, provider) {
+    const { id: paymentId } = paymentData;
+
+    const order = await this.findOrderByPaymentId(paymentId);
+    if (!order) {
+      logger.warn('No order found for cancelled payment', { paymentId, provider });
+      return null;
+    }
+
+    // Update order payment status
+    await this.orderRepository.updatePaymentStatus(order.id, 'CANCELLED');
+
+    logger.info('Payment cancellation processed', {
+      orderId: order.id,
+      paymentId,
+      provider,
+    });
+    return order;
+  }
+
+  async handleSubscriptionPayment(invoiceData, provider) {
+    const { subscription: subscriptionId, amount_paid } = invoiceData;
+
+    logger.info('Subscription payment received', {
+      subscriptionId,
+      amount_paid,
+      provider,
+    });
+
+    // TODO: Handle subscription payment logic
+    // This would be for recurring payments/subscriptions
+    return null;
+  }
+
+  async handlePaymentDispute(paymentData, provider) {
+    const { id: paymentId, reason } = paymentData;
+
+    const order = await this.findOrderByPaymentId(paymentId);
+    if (order) {
+      await this.orderRepository.updatePaymentStatus(order.id, 'DISPUTED');
+
+      // Add dispute record
+      await this.orderRepository.addPayment(order.id, {
+        paymentId: `dispute_${paymentId}`,
+        provider,
+        amount: 0,
+        currency: 'USD',
+        status: 'DISPUTED',
+        paymentData: { ...paymentData, reason },
+      });
+    }
+
+    logger.warn('Payment dispute processed', {
+      paymentId,
+      provider,
+      reason,
+    });
+
+    // TODO: Send dispute notification to admin team
+    return order;
+  }
+}
+
+export default PaymentWebhookService;
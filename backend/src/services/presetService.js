@@ -0,0 +1,154 @@
+import { PresetRepository } from '../repositories/index.js';
+import { BUILT_IN_PRESETS } from '../data/presets.js';
+import { PARTS } from '../data/products.js';
+import { logger } from '../lib/logger.js';
+import { NotFoundError, ValidationError } from '../middleware/error.js';
+import {
+  builtInPresetViews,
+  filterPresets,
+  normalizePresetTags,
+  presetItems,
+  toPresetView,
+} from '../utils/presets.js';
+
+/**
+ * Configurator presets: built-in presets from src/data/presets.js, team presets published by admins
+ * and personal presets saved by users. Personal presets marked public can be opened by anyone with the link.
+ */
+class PresetService {
+  constructor() {
+    this.presetRepository = new PresetRepository();
+  }
+
+  /**
+   * Presets visible to a user: built-in, team and (when logged in) their own
+   * @param {Object} filters - tag, minDof, maxDof, search
+   * @param {string|null} userId
+   * @returns {Object} { presets, tags } - tags: every tag of the visible presets, for the filter
+   */
+  async listPresets(filters = {}, userId = null) {
+    const [team, personal] = await Promise.all([
+      this.presetRepository.findTeam(),
+      userId ? this.presetRepository.findPersonal(userId) : [],
+    ]);
+
+    const visible = [
+      ...builtInPresetViews(BUILT_IN_PRESETS, PARTS),
+      ...[...team, ...personal].map(preset => toPresetView(preset, PARTS)),
+    ];
+
+    return {
+      presets: filterPresets(visible, filters),
+      tags: [...new Set(visible.flatMap(preset => preset.tags))].sort(),
+    };
+  }
+
+  /**
+   * A single preset; personal presets only for their owner or when shared
+   */
+  async getPreset(id, userId = null) {
+    if (BUILT_IN_PRESETS[id]) {
+      return builtInPresetViews({ [id]: BUILT_IN_PRESETS[id] }, PARTS)[0];
+    }
+
+    const preset = await this.presetRepository.findById(id);
+    if (!preset || (preset.scope === 'PERSONAL' && preset.userId !== userId && !preset.isPublic)) {
+      throw new NotFoundError('Preset not found');
+    }
+    return toPresetView(preset, PARTS);
+  }
+
+  async savePersonalPreset(data, userId) {
+    const preset = await this.presetRepository.create({
+      ...this.presetData(data),
+      scope: 'PERSONAL',
+      isPublic: data.isPublic ?? false,
+      userId,
+    });
+
+    logger.info('Personal preset saved', { presetId: preset.id, userId });
+    return toPresetView(preset, PARTS);
+  }
+
+  async updatePersonalPreset(id, data, userId) {
+    await this.findOwnPreset(id, userId);
+    const preset = await this.presetRepository.update(id, this.presetData(data));
+    return toPresetView(preset, PARTS);
+  }
+
+  async deletePersonalPreset(id, userId) {
+    await this.findOwnPreset(id, userId);
+    await this.presetRepository.delete(id);
+    logger.info('Personal preset deleted', { presetId: id, userId });
+  }
+
+  // Team presets for the admin page, in curated order
+  async listTeamPresets() {
+    const presets = await this.presetRepository.findTeam();
+    return presets.map(preset => toPresetView(preset, PARTS));
+  }
+
+  async publishTeamPreset(data, { userId } = {}) {
+    const preset = await this.presetRepository.create({
+      ...this.presetData(data),
+      scope: 'TEAM',
+      isPublic: true,
+      userId,
+    });
+
+    logger.info('Team preset published', { presetId: preset.id, userId });
+    return toPresetView(preset, PARTS);
+  }
+
+  async updateTeamPreset(id, data) {
+    await this.findTeamPreset(id);
+    const preset = await this.presetRepository.update(id, this.presetData(data));
+    return toPresetView(preset, PARTS);
+  }
+
+  async deleteTeamPreset(id) {
+    await this.findTeamPreset(id);
+    await this.presetRepository.delete(id);
+    logger.info('Team preset deleted', { presetId: id });
+  }
+
+  async findOwnPreset(id, userId) {
+    const preset = await this.presetRepository.findById(id);
+    if (!preset || preset.scope !== 'PERSONAL' || preset.userId !== userId) {
+      throw new NotFoundError('Preset not found');
+    }
+    return preset;
+  }
+
+  async findTeamPreset(id) {
+    const preset = await this.presetRepository.findById(id);
+    if (!preset || preset.scope !== 'TEAM') {
+      throw new NotFoundError('Preset not found');
+    }
+    return preset;
+  }
+
+  /**
+   * Stored fields of a validated request body; items must reference parts of the catalog
+   */
+  presetData(data) {
+    const fields = { ...data };
+
+    if (data.items) {
+      const unknown = Object.keys(data.items).filter(partKey => !PARTS[partKey]);
+      if (unknown.length > 0) {
+        throw new ValidationError('Preset contains unknown parts', unknown.map(partKey => ({
+          field: `items.${partKey}`,
+          message: `Unknown part ${partKey}`,
+          code: 'unknown_part',
+        })));
+      }
+      fields.items = presetItems(data.items);
+    }
+    if (data.tags) fields.tags = normalizePresetTags(data.tags);
+
+    return fields;
+  }
+}
+
+export default PresetService;
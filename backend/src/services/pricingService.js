@@ -0,0 +1,60 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../lib/logger.js';
+import { PriceSnapshotRepository } from '../repositories/index.js';
+import { normalizePricing } from '../utils/configuratorOrder.js';
+import { listOffers, liveOfferData } from '../utils/supplierOffers.js';
+
+const prisma = new PrismaClient();
+
+// SystemConfig key of the configurator margins
+const PRICING_KEY = 'pricing_settings';
+
+/**
+ * Sale price settings of the configurator: a global margin and optional margins per part key.
+ * Configurator orders are priced from these settings on the server, never from prices sent by the client.
+ */
+class PricingService {
+  constructor() {
+    this.snapshotRepository = new PriceSnapshotRepository();
+  }
+
+  /**
+   * Live prices and availability of the parts' supplier offers from the latest stored price snapshots
+   * (written by the price.scrape job). The offer preview and configurator orders both use this source.
+   * @param {Array} partKeys
+   * @returns {Object} { livePrices, availability } by offer key
+   */
+  async getLiveOffers(partKeys) {
+    const snapshots = await this.snapshotRepository.findLatestForOffers(listOffers(partKeys));
+    return liveOfferData(snapshots);
+  }
+
+  /**
+   * @returns {Object} { marginPct, partMargins: { PART_KEY: pct } } - defaults when nothing is stored
+   */
+  async getPricing() {
+    const config = await prisma.systemConfig.findUnique({ where: { key: PRICING_KEY } });
+    return normalizePricing(config?.value);
+  }
+
+  /**
+   * @param {Object} update - marginPct and/or partMargins (replaces all part margins)
+   * @param {Object} context - { userId } for the log
+   */
+  async updatePricing(update, { userId } = {}) {
+    const pricing = normalizePricing({ ...(await this.getPricing()), ...update });
+
+    await prisma.systemConfig.upsert({
+      where: { key: PRICING_KEY },
+      create: { key: PRICING_KEY, value: pricing },
+      update: { value: pricing },
+    });
+
+    logger.info('Pricing settings updated', { userId, marginPct: pricing.marginPct, partMargins: Object.keys(pricing.partMargins).length });
+    return pricing;
+  }
+}
+
+export { PricingService };
+
+export default new PricingService();
@@ -0,0 +1,171 @@
+import { OrderRepository, PurchaseOrderRepository } from '../repositories/index.js';
+import { logger } from '../lib/logger.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../middleware/error.js';
+import { createSupplierGateway } from './supplierGateway.js';
+import { renderTextPdf } from '../utils/pdf.js';
+import {
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_TRANSITIONS,
+  purchaseOrderLines,
+  purchaseOrderToCsv,
+  renderPurchaseOrderEmail,
+  rollupOrderStatus,
+  splitOrderBySupplier,
+} from '../utils/purchaseOrders.js';
+
+// Order states in which the purchase orders drive the order status
+const FULFILLMENT_STATUSES = ['PO_CREATED', 'ORDERED', 'SHIPPED'];
+
+class PurchaseOrderService {
+  constructor({ gateway } = {}) {
+    this.orderRepository = new OrderRepository();
+    this.purchaseOrderRepository = new PurchaseOrderRepository();
+    this.gateway = gateway || createSupplierGateway();
+  }
+
+  async getOrder(orderId) {
+    const order = await this.orderRepository.findById(orderId, { items: true });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    return order;
+  }
+
+  async getPurchaseOrder(id) {
+    const purchaseOrder = await this.purchaseOrderRepository.findById(id, { order: true });
+    if (!purchaseOrder) {
+      throw new NotFoundError('Purchase order not found');
+    }
+    return purchaseOrder;
+  }
+
+  async listForOrder(orderId) {
+    await this.getOrder(orderId);
+    return this.purchaseOrderRepository.findByOrder(orderId);
+  }
+
+  // Splits a paid order into one purchase order per supplier.
+  // Idempotent: existing purchase orders are returned unchanged.
+  async generateForOrder(orderId, context = {}) {
+    const order = await this.getOrder(orderId);
+
+    const existing = await this.purchaseOrderRepository.findByOrder(orderId);
+    if (existing.length > 0) {
+      return { purchaseOrders: existing, created: false };
+    }
+
+    if (order.paymentStatus !== 'COMPLETED') {
+      throw new BadRequestError('Purchase orders can only be created for paid orders');
+    }
+    if (['CANCELLED', 'REFUNDED'].includes(order.status)) {
+      throw new ConflictError(`Order is ${order.status.toLowerCase()}`);
+    }
+
+    const drafts = splitOrderBySupplier(order.items);
+    if (drafts.length === 0) {
+      throw new BadRequestError('Order has no items to purchase');
+    }
+
+    const purchaseOrders = await this.purchaseOrderRepository.createForOrder(order, drafts, context);
+
+    logger.info('Purchase orders created', {
+      orderId,
+      purchaseOrders: purchaseOrders.map(po => po.poNumber),
+    });
+
+    return { purchaseOrders, created: true };
+  }
+
+  // Transmits all draft purchase orders of an order; the order moves to ORDERED once none is left in draft
+  async sendPurchaseOrders(orderId, context = {}) {
+    const order = await this.getOrder(orderId);
+    const purchaseOrders = await this.purchaseOrderRepository.findByOrder(orderId);
+    if (purchaseOrders.length === 0) {
+      throw new BadRequestError('Order has no purchase orders');
+    }
+
+    const results = [];
+    for (const purchaseOrder of purchaseOrders) {
+      if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+        results.push(purchaseOrder);
+        continue;
+      }
+
+      const { reference } = await this.gateway.send(purchaseOrder, this.renderDocuments(purchaseOrder, order));
+      results.push(await this.purchaseOrderRepository.transitionStatus(
+        purchaseOrder.id,
+        PURCHASE_ORDER_STATUS.SENT,
+        { sentAt: new Date(), sentVia: this.gateway.name },
+        { ...context, note: context.note ?? `${this.gateway.name}: ${reference}` }
+      ));
+    }
+
+    const allSent = results.every(po => po.status !== PURCHASE_ORDER_STATUS.DRAFT);
+    if (allSent && order.status === 'PO_CREATED') {
+      await this.orderRepository.updateStatus(orderId, 'ORDERED', { ...context, source: 'purchase_orders' });
+    }
+
+    return results;
+  }
+
+  // Status and tracking updates from the supplier; rolls the parent order up to SHIPPED/DELIVERED
+  async updatePurchaseOrder(id, { status, trackingNumber, carrier }, context = {}) {
+    const purchaseOrder = await this.getPurchaseOrder(id);
+    const nextStatus = status || purchaseOrder.status;
+
+    if (nextStatus !== purchaseOrder.status && !PURCHASE_ORDER_TRANSITIONS[purchaseOrder.status].includes(nextStatus)) {
+      throw new ConflictError(`Cannot change purchase order from ${purchaseOrder.status} to ${nextStatus}`);
+    }
+
+    const data = {};
+    if (trackingNumber !== undefined) data.trackingNumber = trackingNumber;
+    if (carrier !== undefined) data.carrier = carrier;
+    if (nextStatus !== purchaseOrder.status) {
+      if (nextStatus === PURCHASE_ORDER_STATUS.SHIPPED) data.shippedAt = new Date();
+      if (nextStatus === PURCHASE_ORDER_STATUS.DELIVERED) data.deliveredAt = new Date();
+    }
+
+    const updated = await this.purchaseOrderRepository.transitionStatus(id, nextStatus, data, context);
+    const order = await this.rollupOrder(purchaseOrder.orderId, context);
+
+    return { purchaseOrder: updated, order };
+  }
+
+  async rollupOrder(orderId, context = {}) {
+    const order = await this.orderRepository.findById(orderId);
+    if (!FULFILLMENT_STATUSES.includes(order.status)) return order;
+
+    const purchaseOrders = await this.purchaseOrderRepository.findByOrder(orderId);
+    const target = rollupOrderStatus(purchaseOrders);
+    if (!target || target === order.status) return order;
+
+    // Customer-facing tracking: all tracking numbers of the shipped purchase orders
+    const trackingNumbers = purchaseOrders.map(po => po.trackingNumber).filter(Boolean);
+    if (trackingNumbers.length > 0) {
+      const carriers = [...new Set(purchaseOrders.map(po => po.carrier).filter(Boolean))];
+      await this.orderRepository.updateTracking(orderId, trackingNumbers.join(', '), carriers.join(', ') || null, order.estimatedDelivery);
+    }
+
+    logger.info('Order status rolled up from purchase orders', { orderId, status: target });
+    return this.orderRepository.updateStatus(orderId, target, { ...context, source: 'purchase_orders' });
+  }
+
+  renderDocuments(purchaseOrder, order) {
+    return {
+      pdf: renderTextPdf(purchaseOrderLines(purchaseOrder, order), { title: `Einkaufsbestellung ${purchaseOrder.poNumber}` }),
+      csv: purchaseOrderToCsv(purchaseOrder, order),
+      email: renderPurchaseOrderEmail(purchaseOrder, order),
+    };
+  }
+
+  async renderDocument(id, format) {
+    const purchaseOrder = await this.getPurchaseOrder(id);
+    const documents = this.renderDocuments(purchaseOrder, purchaseOrder.order);
+    if (!(format in documents)) {
+      throw new BadRequestError(`Unknown format ${format}`);
+    }
+    return { purchaseOrder, content: documents[format] };
+  }
+}
+
+export default PurchaseOrderService;
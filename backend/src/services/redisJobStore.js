@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+
+const PREFIX = 'diy_humanoid:jobs:';
+
+const key = {
+  job: (id) => `${PREFIX}job:${id}`,
+  ready: (type) => `${PREFIX}ready:${type}`, // due time per job type
+  status: (status) => `${PREFIX}status:${status}`, // createdAt per status, for listings and counts
+  all: `${PREFIX}all`,
+  running: `${PREFIX}running`, // lease end of running jobs
+  unique: `${PREFIX}unique`, // uniqueKey -> job ID while queued or running
+};
+
+const STATUSES = ['QUEUED', 'RUNNING', 'COMPLETED', 'DEAD', 'CANCELLED'];
+
+// Compare-and-set on the job's version plus the index updates, in one atomic step.
+// ARGV: expected version, new JSON, then groups of (op, key, scoreOrField, member)
+const TRANSITION_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return 0 end
+if tostring(cjson.decode(raw).version) ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2])
+for i = 3, #ARGV, 4 do
+  local op = ARGV[i]
+  if op == 'ZADD' then redis.call('ZADD', ARGV[i + 1], ARGV[i + 2], ARGV[i + 3])
+  elseif op == 'ZREM' then redis.call('ZREM', ARGV[i + 1], ARGV[i + 3])
+  elseif op == 'HSET' then redis.call('HSET', ARGV[i + 1], ARGV[i + 2], ARGV[i + 3])
+  elseif op == 'HDEL' then redis.call('HDEL', ARGV[i + 1], ARGV[i + 2]) end
+end
+return 1
+`;
+
+const time = (value) => new Date(value).getTime();
+
+/**
+ * Redis backend of the JobQueue, used when cacheService has a Redis connection.
+ * Same methods as JobRepository; jobs are JSON documents with sorted-set indexes.
+ */
+class RedisJobStore {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  async findById(id) {
+    const raw = await this.redis.get(key.job(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async findMany(ids) {
+    if (ids.length === 0) return [];
+    const raws = await this.redis.mget(ids.map(key.job));
+    return raws.filter(Boolean).map(raw => JSON.parse(raw));
+  }
+
+  async add({ type, payload, uniqueKey = null, maxAttempts, runAt = new Date() }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      status: 'QUEUED',
+      uniqueKey,
+      attempts: 0,
+      maxAttempts,
+      runAt: runAt.toISOString(),
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: null,
+      result: null,
+      startedAt: null,
+      finishedAt: null,
+      createdAt: now,
+      updatedAt: now,
+      version: 1,
+    };
+
+    const multi = this.redis.multi()
+      .set(key.job(job.id), JSON.stringify(job))
+      .zadd(key.ready(type), time(job.runAt), job.id)
+      .zadd(key.status('QUEUED'), time(now), job.id)
+      .zadd(key.all, time(now), job.id);
+    if (uniqueKey) {
+      multi.hset(key.unique, uniqueKey, job.id);
+    }
+    await multi.exec();
+
+    return job;
+  }
+
+  async findActiveByKey(uniqueKey) {
+    const id = await this.redis.hget(key.unique, uniqueKey);
+    const job = id ? await this.findById(id) : null;
+    return job && ['QUEUED', 'RUNNING'].includes(job.status) ? job : null;
+  }
+
+  // Writes the changed job if nobody else changed it since it was read; false otherwise
+  async transition(job, changes, ops = []) {
+    const updated = {
+      ...job,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+      version: job.version + 1,
+    };
+
+    // Status index follows the status
+    if (changes.status && changes.status !== job.status) {
+      ops.push(
+        ['ZREM', key.status(job.status), 0, job.id],
+        ['ZADD', key.status(changes.status), time(job.createdAt), job.id],
+      );
+    }
+
+    const applied = await this.redis.eval(
+      TRANSITION_SCRIPT,
+      1,
+      key.job(job.id),
+      String(job.version),
+      JSON.stringify(updated),
+      ...ops.flat().map(String),
+    );
+    return applied === 1 ? updated : null;
+  }
+
+  async claimNext(type, { workerId, leaseMs, now = new Date() }) {
+    const ids = await this.redis.zrangebyscore(key.ready(type), '-inf', now.getTime(), 'LIMIT', 0, 5);
+
+    for (const job of await this.findMany(ids)) {
+      if (job.status !== 'QUEUED') continue;
+
+      const lockedUntil = new Date(now.getTime() + leaseMs);
+      const claimed = await this.transition(job, {
+        status: 'RUNNING',
+        attempts: job.attempts + 1,
+        lockedBy: workerId,
+        lockedUntil: lockedUntil.toISOString(),
+        startedAt: now.toISOString(),
+      }, [
+        ['ZREM', key.ready(type), 0, job.id],
+        ['ZADD', key.running, lockedUntil.getTime(), job.id],
+      ]);
+      if (claimed) return claimed;
+    }
+    return null;
+  }
+
+  async finishRunning(id, workerId, changes, ops = []) {
+    const job = await this.findById(id);
+    if (!job || job.status !== 'RUNNING' || job.lockedBy !== workerId) return false;
+
+    ops.push(['ZREM', key.running, 0, id]);
+    if (job.uniqueKey && changes.status !== 'QUEUED') {
+      ops.push(['HDEL', key.unique, job.uniqueKey, 0]);
+    }
+    if (changes.status === 'QUEUED') {
+      ops.push(['ZADD', key.ready(job.type), time(changes.runAt), id]);
+    }
+
+    return Boolean(await this.transition(job, { ...changes, lockedBy: null, lockedUntil: null }, ops));
+  }
+
+  async complete(id, workerId, result = null) {
+    return this.finishRunning(id, workerId, {
+      status: 'COMPLETED',
+      result,
+      lastError: null,
+      finishedAt: new Date().toISOString(),
+    });
+  }
+
+  async fail(id, workerId, { status, runAt, lastError }) {
+    return this.finishRunning(id, workerId, {
+      status,
+      lastError,
+      ...(runAt && { runAt: runAt.toISOString() }),
+      ...(status === 'DEAD' && { finishedAt: new Date().toISOString() }),
+    });
+  }
+
+  async findExpired(now = new Date()) {
+    const ids = await this.redis.zrangebyscore(key.running, '-inf', now.getTime() - 1, 'LIMIT', 0, 100);
+    return (await this.findMany(ids)).filter(job => job.status === 'RUNNING');
+  }
+
+  async requeue(id, statuses) {
+    const job = await this.findById(id);
+    if (!job || !statuses.includes(job.status)) return false;
+
+    const now = new Date();
+    const ops = [['ZADD', key.ready(job.type), now.getTime(), id]];
+    if (job.uniqueKey) {
+      ops.push(['HSET', key.unique, job.uniqueKey, id]);
+    }
+
+    return Boolean(await this.transition(job, {
+      status: 'QUEUED',
+      attempts: 0,
+      runAt: now.toISOString(),
+      finishedAt: null,
+    }, ops));
+  }
+
+  async cancel(id, statuses) {
+    const job = await this.findById(id);
+    if (!job || !statuses.includes(job.status)) return false;
+
+    const ops = [['ZREM', key.ready(job.type), 0, id]];
+    if (job.uniqueKey) {
+      ops.push(['HDEL', key.unique, job.uniqueKey, 0]);
+    }
+
+    return Boolean(await this.transition(job, {
+      status: 'CANCELLED',
+      finishedAt: new Date().toISOString(),
+    }, ops));
+  }
+
+  async countByStatus() {
+    const counts = await Promise.all(STATUSES.map(status => this.redis.zcard(key.status(status))));
+    return Object.fromEntries(STATUSES.map((status, i) => [status, counts[i]]).filter(([, count]) => count > 0));
+  }
+
+  // Filtering by type reads the whole index; retention keeps it small
+  async findPaginated({ status, type, page = 1, limit = 20 } = {}) {
+    const index = status ? key.status(status) : key.all;
+    const start = (page - 1) * limit;
+
+    if (!type) {
+      const [ids, total] = await Promise.all([
+        this.redis.zrevrange(index, start, start + limit - 1),
+        this.redis.zcard(index),
+      ]);
+      return { jobs: await this.findMany(ids), total };
+    }
+
+    const jobs = (await this.findMany(await this.redis.zrevrange(index, 0, -1))).filter(job => job.type === type);
+    return { jobs: jobs.slice(start, start + limit), total: jobs.length };
+  }
+
+  async purgeFinished(before) {
+    let purged = 0;
+
+    for (const status of ['COMPLETED', 'CANCELLED']) {
+      const jobs = await this.findMany(await this.redis.zrange(key.status(status), 0, -1));
+      const expired = jobs.filter(job => job.finishedAt && time(job.finishedAt) < before.getTime()).map(job => job.id);
+      if (expired.length === 0) continue;
+
+      await this.redis.multi()
+        .del(...expired.map(key.job))
+        .zrem(key.status(status), ...expired)
+        .zrem(key.all, ...expired)
+        .exec();
+      purged += expired.length;
+    }
+
+    return purged;
+  }
+}
+
+export default RedisJobStore;
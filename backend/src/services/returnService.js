@@ -0,0 +1,296 @@
+import { InvoiceRepository, OrderRepository, ReturnRepository } from '../repositories/index.js';
+import { logger } from '../lib/logger.js';
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  InvalidTransitionError,
+  NotFoundError,
+  ValidationError,
+} from '../middleware/error.js';
+import {
+  RETURNABLE_ORDER_STATUSES,
+  RETURN_STATUS,
+  RETURN_TRANSITIONS,
+  calculateReturnRefund,
+  canTransitionReturn,
+  isFullyReturned,
+  lineTaxRates,
+  returnableItems,
+  validateReturnItems,
+} from '../utils/returns.js';
+import notificationService from './notificationService.js';
+import InvoiceService from './invoiceService.js';
+import OrderService from './orderService.js';
+import PaymentService from './paymentService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isAdmin = (user) => user?.role?.toUpperCase() === 'ADMIN';
+
+class ReturnService {
+  constructor() {
+    this.returnRepository = new ReturnRepository();
+    this.orderRepository = new OrderRepository();
+    this.invoiceRepository = new InvoiceRepository();
+    this.paymentService = new PaymentService();
+    this.invoiceService = new InvoiceService();
+    this.orderService = new OrderService();
+  }
+
+  async getOrder(orderId) {
+    const order = await this.orderRepository.findById(orderId, { items: true });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    return order;
+  }
+
+  // VAT rate per order item as invoiced; the order's rate until the invoice is issued
+  async taxRates(order) {
+    const invoice = await this.invoiceRepository.findInvoice(order.id);
+    return lineTaxRates(order.items, invoice, order.taxBreakdown?.[0]?.rate ?? 0);
+  }
+
+  // Customers see and request returns of their own orders, admins all
+  assertAccess(order, user) {
+    if (!isAdmin(user) && order.userId !== user?.id) {
+      throw new AppError('Access denied', 403, 'FORBIDDEN');
+    }
+  }
+
+  // Returns of an order plus the quantity of each item that can still be returned
+  async listForOrder(orderId, user) {
+    const order = await this.getOrder(orderId);
+    this.assertAccess(order, user);
+
+    const returns = await this.returnRepository.findByOrder(orderId);
+    return {
+      returns,
+      returnable: RETURNABLE_ORDER_STATUSES.includes(order.status) && order.paymentStatus === 'COMPLETED'
+        ? returnableItems(order.items, returns)
+        : [],
+    };
+  }
+
+  async requestReturn(orderId, { items, reason, note = null }, user) {
+    const order = await this.getOrder(orderId);
+    this.assertAccess(order, user);
+
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status) || order.paymentStatus !== 'COMPLETED') {
+      throw new BadRequestError(`Order in status ${order.status} cannot be returned`);
+    }
+
+    const existing = await this.returnRepository.findByOrder(orderId);
+    const errors = validateReturnItems(items, returnableItems(order.items, existing));
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid return items', errors);
+    }
+
+    const returnRequest = await this.returnRepository.createForOrder(order, {
+      reason,
+      customerNote: note,
+      requestedBy: user?.id || null,
+    }, items, { userId: user?.id, source: 'customer' });
+
+    logger.info('Return requested', { orderId, rmaNumber: returnRequest.rmaNumber, reason });
+    await notificationService.sendAdminAlert('return_requested', {
+      orderNumber: order.orderNumber,
+      rmaNumber: returnRequest.rmaNumber,
+      reason,
+      items: items.length,
+    });
+
+    return returnRequest;
+  }
+
+  async listReturns(filters = {}) {
+    return this.returnRepository.findPaginated(filters);
+  }
+
+  async getReturn(id, user = null) {
+    const returnRequest = await this.returnRepository.findWithDetails(id);
+    if (!returnRequest) {
+      throw new NotFoundError('Return not found');
+    }
+    if (user) {
+      this.assertAccess(returnRequest.order, user);
+    }
+    return returnRequest;
+  }
+
+  assertTransition(returnRequest, status) {
+    if (!canTransitionReturn(returnRequest.status, status)) {
+      throw new InvalidTransitionError(`Cannot change return from ${returnRequest.status} to ${status}`, {
+        from: returnRequest.status,
+        to: status,
+        allowed: RETURN_TRANSITIONS[returnRequest.status] || [],
+      });
+    }
+  }
+
+  async transition(returnRequest, status, data = {}, context = {}) {
+    this.assertTransition(returnRequest, status);
+
+    const updated = await this.returnRepository.transitionStatus(returnRequest.id, status, data, context);
+    logger.info('Return status changed', { rmaNumber: returnRequest.rmaNumber, from: returnRequest.status, to: status });
+    return updated;
+  }
+
+  async approve(id, { note } = {}, context = {}) {
+    const returnRequest = await this.getReturn(id);
+    return this.transition(returnRequest, RETURN_STATUS.APPROVED, {
+      approvedAt: new Date(),
+      ...(note !== undefined && { adminNote: note }),
+    }, context);
+  }
+
+  async reject(id, { note } = {}, context = {}) {
+    const returnRequest = await this.getReturn(id);
+    return this.transition(returnRequest, RETURN_STATUS.REJECTED, {
+      ...(note !== undefined && { adminNote: note }),
+    }, context);
+  }
+
+  // The customer withdraws the request as long as the parts are not on their way back
+  async cancel(orderId, id, user) {
+    const returnRequest = await this.getReturn(id, user);
+    if (returnRequest.orderId !== orderId) {
+      throw new NotFoundError('Return not found');
+    }
+    return this.transition(returnRequest, RETURN_STATUS.CANCELLED, {}, { userId: user?.id });
+  }
+
+  async receive(id, { note } = {}, context = {}) {
+    const returnRequest = await this.getReturn(id);
+    return this.transition(returnRequest, RETURN_STATUS.RECEIVED, {
+      receivedAt: new Date(),
+      ...(note !== undefined && { adminNote: note }),
+    }, context);
+  }
+
+  // Inspection result per item; the refund (net, VAT, gross) follows from the accepted quantities
+  async inspect(id, { items, note }, context = {}) {
+    const returnRequest = await this.getReturn(id);
+    this.assertTransition(returnRequest, RETURN_STATUS.INSPECTED);
+
+    const errors = [];
+    const inspected = returnRequest.items.map((item, index) => {
+      const result = items.find(i => i.orderItemId === item.orderItemId);
+      if (!result) {
+        errors.push({ field: `items.${index}`, message: `${item.orderItem.name} has not been inspected` });
+      } else if (result.acceptedQuantity > item.quantity) {
+        errors.push({ field: `items.${index}`, message: `At most ${item.quantity} of ${item.orderItem.name} can be accepted` });
+      }
+      return { ...item, ...result };
+    });
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid inspection', errors);
+    }
+
+    const order = await this.getOrder(returnRequest.orderId);
+    const refund = calculateReturnRefund(inspected, order.items, await this.taxRates(order));
+
+    return this.transition(returnRequest, RETURN_STATUS.INSPECTED, {
+      inspectedAt: new Date(),
+      refundNet: refund.netTotal,
+      refundTax: refund.taxTotal,
+      refundAmount: refund.total,
+      ...(note !== undefined && { adminNote: note }),
+      items: {
+        update: inspected.map(item => ({
+          where: { id: item.id },
+          data: { acceptedQuantity: item.acceptedQuantity, condition: item.condition, note: item.note ?? null },
+        })),
+      },
+    }, context);
+  }
+
+  /**
+   * Refunds an inspected return through the payment provider and credits the returned lines.
+   * A return in REFUNDING with a stored refund ID was refunded by an interrupted call: only the credit note
+   * and status changes are repeated, never the payment.
+   * The order becomes PARTIALLY_REFUNDED, or REFUNDED once every item has been returned.
+   */
+  async refund(id, context = {}) {
+    const returnRequest = await this.getReturn(id);
+    const resume = returnRequest.status === RETURN_STATUS.REFUNDING;
+    if (resume && !returnRequest.refundId) {
+      throw new ConflictError('Return is already being refunded');
+    }
+    if (!resume) {
+      this.assertTransition(returnRequest, RETURN_STATUS.REFUNDING);
+      if (!(returnRequest.refundAmount > 0)) {
+        throw new BadRequestError('Nothing to refund, reject the return instead');
+      }
+    }
+
+    const order = await this.orderRepository.findById(returnRequest.orderId, { items: true, payments: true });
+    const returns = await this.returnRepository.findByOrder(order.id);
+    const refunding = resume ? returnRequest : await this.refundPayment(returnRequest, order, returns, context);
+    const amount = refunding.refundAmount;
+
+    const { lines } = calculateReturnRefund(refunding.items, order.items, await this.taxRates(order));
+    const creditNote = await this.orderService.runSideEffect(order, 'credit_note', () => this.invoiceService.issueCreditNote(order.id, {
+      lines,
+      reason: `Retoure ${refunding.rmaNumber}`,
+    }, context));
+
+    const updated = await this.transition(refunding, RETURN_STATUS.REFUNDED, {
+      refundedAt: new Date(),
+      creditNoteId: creditNote?.invoice?.id || null,
+    }, context);
+
+    // The money is refunded at this point: a failing order transition is logged, not thrown
+    await this.orderService.runSideEffect(order, 'order_status', () =>
+      this.updateOrderAfterRefund(order, [...returns.filter(r => r.id !== id), updated], { ...context, returnId: id }));
+    await notificationService.sendRefundNotification(order, { amount, rmaNumber: returnRequest.rmaNumber });
+
+    logger.info('Return refunded', { rmaNumber: returnRequest.rmaNumber, amount, refundId: refunding.refundId });
+    return updated;
+  }
+
+  // Claims the return (INSPECTED -> REFUNDING) before the provider call, so a double submit or retry cannot
+  // refund twice, and stores the refund ID right after it. A failed provider call hands the return back
+  async refundPayment(returnRequest, order, returns, context) {
+    const payment = order.payments.find(p => p.status === 'COMPLETED');
+    if (!payment) {
+      throw new BadRequestError('No completed payment to refund');
+    }
+
+    const refunded = returns
+      .filter(r => r.status === RETURN_STATUS.REFUNDED)
+      .reduce((sum, r) => sum + (r.refundAmount || 0), 0);
+    const amount = round(Math.min(returnRequest.refundAmount, order.total - refunded));
+
+    const claimed = await this.returnRepository.claimStatus(returnRequest.id, RETURN_STATUS.INSPECTED, RETURN_STATUS.REFUNDING, {}, context);
+    if (!claimed) {
+      throw new ConflictError('Return is already being refunded');
+    }
+
+    let refund;
+    try {
+      refund = await this.paymentService.refundPayment(payment.paymentId, amount, payment.provider, 'requested_by_customer');
+    } catch (error) {
+      await this.returnRepository.claimStatus(returnRequest.id, RETURN_STATUS.REFUNDING, RETURN_STATUS.INSPECTED, {}, context);
+      throw error;
+    }
+
+    await this.returnRepository.update(returnRequest.id, { refundAmount: amount, refundId: refund.refundId });
+    return { ...claimed, refundAmount: amount, refundId: refund.refundId };
+  }
+
+  async updateOrderAfterRefund(order, returns, context) {
+    const metadata = { ...context, source: 'returns' };
+    if (isFullyReturned(order.items, returns)) {
+      await this.orderRepository.updatePaymentStatus(order.id, 'REFUNDED', metadata);
+      if (order.status !== 'REFUNDED') {
+        await this.orderService.updateOrderStatus(order.id, 'REFUNDED', metadata);
+      }
+    } else if (order.status !== 'PARTIALLY_REFUNDED') {
+      await this.orderService.updateOrderStatus(order.id, 'PARTIALLY_REFUNDED', metadata);
+    }
+  }
+}
+
+export default ReturnService;
@@ -0,0 +1,74 @@
+import { getEnv } from '../config/env.js';
+import { logger } from '../lib/logger.js';
+import { AppError } from '../middleware/error.js';
+import { emailService } from './emailService.js';
+
+// Transmits purchase orders to suppliers.
+// send(purchaseOrder, documents) receives { pdf, csv, email } and returns { reference }.
+
+// Local stand-in for suppliers: keeps sent purchase orders in memory
+export class MockSupplierGateway {
+  constructor() {
+    this.name = 'mock';
+    this.outbox = [];
+  }
+
+  async send(purchaseOrder, documents) {
+    const reference = `MOCK-${purchaseOrder.poNumber}`;
+    this.outbox.push({ reference, purchaseOrder, documents, sentAt: new Date() });
+
+    logger.info('Purchase order sent to mock supplier', {
+      poNumber: purchaseOrder.poNumber,
+      supplier: purchaseOrder.supplier,
+      reference,
+    });
+
+    return { reference };
+  }
+}
+
+// Sends the purchase order as email with PDF and CSV attached
+export class EmailSupplierGateway {
+  constructor(contacts = {}, mailer = emailService) {
+    this.name = 'email';
+    this.contacts = contacts;
+    this.mailer = mailer;
+  }
+
+  async send(purchaseOrder, { pdf, csv, email }) {
+    const to = this.contacts[purchaseOrder.supplier];
+    if (!to) {
+      throw new AppError(`No order email configured for supplier ${purchaseOrder.supplier}`, 422, 'SUPPLIER_CONTACT_MISSING');
+    }
+
+    const info = await this.mailer.sendEmail({
+      to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      attachments: [
+        { filename: `${purchaseOrder.poNumber}.pdf`, content: pdf, contentType: 'application/pdf' },
+        { filename: `${purchaseOrder.poNumber}.csv`, content: csv, contentType: 'text/csv' },
+      ],
+    });
+
+    return { reference: info.messageId };
+  }
+}
+
+function parseContacts(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.error('Invalid SUPPLIER_ORDER_EMAILS, expected JSON object', { error: error.message });
+    return {};
+  }
+}
+
+export function createSupplierGateway(env = getEnv()) {
+  if (env.SUPPLIER_GATEWAY === 'email') {
+    return new EmailSupplierGateway(parseContacts(env.SUPPLIER_ORDER_EMAILS));
+  }
+  return new MockSupplierGateway();
+}
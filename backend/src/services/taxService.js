@@ -0,0 +1,111 @@
+import { OrderRepository } from '../repositories/index.js';
+import { getEnv } from '../config/env.js';
+import { logger } from '../lib/logger.js';
+import { AppError, BadRequestError, ConflictError, NotFoundError, ValidationError } from '../middleware/error.js';
+import {
+  TAX_TREATMENT,
+  buildOssReport,
+  calculateOrderTax,
+  normalizeCountry,
+  quarterRange,
+  validateVatId,
+} from '../utils/tax.js';
+
+const isAdmin = (user) => user?.role?.toUpperCase() === 'ADMIN';
+
+class TaxService {
+  constructor() {
+    const env = getEnv();
+    this.orderRepository = new OrderRepository();
+    this.sellerCountry = env.SELLER_COUNTRY;
+    this.ossEnabled = env.VAT_OSS_ENABLED;
+  }
+
+  // Ship-to country of an order: explicit value, customer address, then the seller country
+  resolveCountry(country, customerInfo = {}) {
+    return normalizeCountry(country) || normalizeCountry(customerInfo?.address?.country) || this.sellerCountry;
+  }
+
+  // Tax for net line items; an invalid VAT ID is rejected instead of silently charging VAT
+  calculate(items, { country, vatId = null, shipping = 0 } = {}) {
+    if (vatId) {
+      const result = validateVatId(vatId);
+      if (!result.valid) {
+        throw new ValidationError('Invalid VAT ID', [{ field: 'vatId', message: result.error, code: 'invalid_vat_id' }]);
+      }
+    }
+
+    return calculateOrderTax(items, {
+      country,
+      vatId,
+      shipping,
+      sellerCountry: this.sellerCountry,
+      ossEnabled: this.ossEnabled,
+    });
+  }
+
+  // Order columns for a calculation result; total is the gross amount charged
+  toOrderFields(tax) {
+    return {
+      total: tax.gross,
+      netTotal: tax.net,
+      taxTotal: tax.vat,
+      taxCountry: tax.country,
+      taxTreatment: tax.treatment,
+      vatId: tax.vatId,
+      taxBreakdown: tax.breakdown,
+    };
+  }
+
+  // Re-taxes an unpaid order, e.g. after the customer entered a VAT ID or another ship-to country
+  async recalculateOrder(orderId, { country, vatId = null }, user) {
+    const order = await this.orderRepository.findById(orderId, { items: true });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    // Customers change the tax of their own orders, admins of all
+    if (!isAdmin(user) && order.userId !== user?.id) {
+      throw new AppError('Access denied', 403, 'FORBIDDEN');
+    }
+    if (order.paymentStatus !== 'PENDING' || order.status !== 'PENDING') {
+      throw new ConflictError('Tax can only be changed before payment');
+    }
+
+    const taxCountry = this.resolveCountry(country, order.customerInfo);
+    const tax = this.calculate(order.items, { country: taxCountry, vatId, shipping: order.shippingTotal });
+
+    const updated = await this.orderRepository.update(orderId, {
+      ...this.toOrderFields(tax),
+      customerInfo: {
+        ...order.customerInfo,
+        address: { ...order.customerInfo?.address, country: taxCountry },
+      },
+    });
+
+    logger.info('Recalculated order tax', { orderId, country: tax.country, treatment: tax.treatment, taxTotal: tax.vat });
+    return { order: updated, tax };
+  }
+
+  // Quarterly One-Stop-Shop report over paid B2C orders taxed in other member states
+  async getOssReport({ year, quarter }) {
+    let range;
+    try {
+      range = quarterRange(year, quarter);
+    } catch (error) {
+      throw new BadRequestError('Invalid year or quarter');
+    }
+
+    const orders = await this.orderRepository.findAll({
+      where: {
+        taxTreatment: TAX_TREATMENT.OSS,
+        paymentStatus: 'COMPLETED',
+        createdAt: { gte: range.from, lt: range.to },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return buildOssReport(orders, { year, quarter });
+  }
+}
+
+export default TaxService;
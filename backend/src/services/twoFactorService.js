@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { getEnv } from '../config/env.js';
+import { AppError, BadRequestError, ConflictError, UnauthorizedError } from '../middleware/error.js';
+import { logger } from '../lib/logger.js';
+import { renderQrDataUrl } from '../utils/qrcode.js';
+import {
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  hashRecoveryCode,
+  verifyTotp,
+} from '../utils/totp.js';
+
+const prisma = new PrismaClient();
+const env = getEnv();
+
+const CHALLENGE_AUDIENCE = 'diy-humanoid-2fa';
+
+// Roles that must have two-factor authentication enabled
+const TWO_FACTOR_REQUIRED_ROLES = ['ADMIN'];
+
+export class TwoFactorService {
+  constructor() {
+    this.issuer = env.TWO_FACTOR_ISSUER;
+    this.challengeExpiresIn = '5m';
+    this.recoveryCodeCount = 10;
+    this.trustedDeviceDays = env.TWO_FACTOR_TRUSTED_DEVICE_DAYS;
+  }
+
+  isRequired(user) {
+    return TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+  }
+
+  // Login challenge: short-lived token proving the password step succeeded.
+  // purpose 'verify' expects a code, 'setup' lets a user who must use 2FA enroll first.
+  createChallenge(user, purpose) {
+    return jwt.sign({ id: user.id, purpose }, env.JWT_SECRET, {
+      expiresIn: this.challengeExpiresIn,
+      issuer: 'diy-humanoid-configurator',
+      audience: CHALLENGE_AUDIENCE
+    });
+  }
+
+  verifyChallenge(token, purposes = ['verify', 'setup']) {
+    try {
+      const payload = jwt.verify(token, env.JWT_SECRET, {
+        issuer: 'diy-humanoid-configurator',
+        audience: CHALLENGE_AUDIENCE
+      });
+      if (!purposes.includes(payload.purpose)) {
+        throw new Error(`Unexpected challenge purpose ${payload.purpose}`);
+      }
+      return payload;
+    } catch (error) {
+      throw new UnauthorizedError('Invalid or expired two-factor challenge');
+    }
+  }
+
+  async getUser(userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      throw new UnauthorizedError('User not found');
+    }
+    return user;
+  }
+
+  async getStatus(userId) {
+    const user = await this.getUser(userId);
+    const trustedDevices = await prisma.trustedDevice.findMany({
+      where: { userId, expiresAt: { gt: new Date() } },
+      select: { id: true, deviceName: true, trustedAt: true, expiresAt: true, lastUsedAt: true },
+      orderBy: { trustedAt: 'desc' }
+    });
+
+    return {
+      enabled: user.isTwoFactorEnabled,
+      required: this.isRequired(user),
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: user.isTwoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0,
+      trustedDevices
+    };
+  }
+
+  // Starts enrollment: stores a new pending secret until enable() confirms a code from the app
+  async beginSetup(userId) {
+    const user = await this.getUser(userId);
+    if (user.isTwoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorSecret: secret, twoFactorLastStep: null }
+    });
+
+    const otpauthUrl = buildOtpauthUri({ secret, accountName: user.email, issuer: this.issuer });
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: renderQrDataUrl(otpauthUrl, { ecc: 'M' })
+    };
+  }
+
+  async enable(userId, code) {
+    const user = await this.getUser(userId);
+    if (user.isTwoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactorSecret) {
+      throw new BadRequestError('Two-factor setup has not been started');
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null) {
+      throw new UnauthorizedError('Invalid two-factor code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes(this.recoveryCodeCount);
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        isTwoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode)
+      }
+    });
+
+    logger.info('Two-factor authentication enabled', { userId });
+    return { recoveryCodes };
+  }
+
+  async disable(userId, code) {
+    const user = await this.getUser(userId);
+    if (!user.isTwoFactorEnabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+    if (this.isRequired(user)) {
+      throw new AppError('Two-factor authentication is mandatory for this account', 403, 'TWO_FACTOR_REQUIRED');
+    }
+
+    await this.verifyCode(user, code);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          isTwoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastStep: null,
+          twoFactorRecoveryCodes: null
+        }
+      });
+      await tx.trustedDevice.deleteMany({ where: { userId } });
+    });
+
+    logger.info('Two-factor authentication disabled', { userId });
+  }
+
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.getUser(userId);
+    if (!user.isTwoFactorEnabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+
+    await this.verifyCode(user, code);
+
+    const recoveryCodes = generateRecoveryCodes(this.recoveryCodeCount);
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+    });
+
+    logger.info('Two-factor recovery codes regenerated', { userId });
+    return { recoveryCodes };
+  }
+
+  // Accepts a TOTP code (each time step only once) or an unused recovery code, which is consumed
+  async verifyCode(user, code) {
+    if (!user.isTwoFactorEnabled || !user.twoFactorSecret) {
+      throw new UnauthorizedError('Invalid two-factor code');
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code, { afterStep: user.twoFactorLastStep });
+    if (step !== null) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorLastStep: step }
+      });
+      return { method: 'totp' };
+    }
+
+    const hashes = user.twoFactorRecoveryCodes || [];
+    const hash = hashRecoveryCode(code);
+    if (hashes.includes(hash)) {
+      const remaining = hashes.filter(entry => entry !== hash);
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorRecoveryCodes: remaining }
+      });
+      logger.warn('Two-factor recovery code used', { userId: user.id, remaining: remaining.length });
+      return { method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+    }
+
+    throw new UnauthorizedError('Invalid two-factor code');
+  }
+
+  // Trusted devices hold a random token in a cookie; only its hash is stored as deviceFingerprint
+  hashDeviceToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async trustDevice(userId, deviceName = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.trustedDeviceDays * 24 * 60 * 60 * 1000);
+
+    await prisma.trustedDevice.create({
+      data: {
+        userId,
+        deviceFingerprint: this.hashDeviceToken(token),
+        deviceName,
+        expiresAt
+      }
+    });
+
+    logger.info('Device trusted for two-factor login', { userId });
+    return { token, expiresAt };
+  }
+
+  async isTrustedDevice(userId, token) {
+    if (!token) return false;
+
+    const device = await prisma.trustedDevice.findUnique({
+      where: {
+        userId_deviceFingerprint: { userId, deviceFingerprint: this.hashDeviceToken(token) }
+      }
+    });
+    if (!device || !device.expiresAt || device.expiresAt <= new Date()) {
+      return false;
+    }
+
+    await prisma.trustedDevice.update({
+      where: { id: device.id },
+      data: { lastUsedAt: new Date() }
+    });
+    return true;
+  }
+
+  async forgetTrustedDevices(userId) {
+    const { count } = await prisma.trustedDevice.deleteMany({ where: { userId } });
+    logger.info('Trusted devices removed', { userId, count });
+    return count;
+  }
+}
+
+export const twoFactorService = new TwoFactorService();
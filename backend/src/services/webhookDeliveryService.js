@@ -0,0 +1,294 @@
+import { WebhookDeliveryRepository, WebhookSubscriptionRepository } from '../repositories/index.js';
+import { getEnv } from '../config/env.js';
+import { logger } from '../lib/logger.js';
+import { NotFoundError } from '../middleware/error.js';
+import {
+  DELIVERY_STATUS,
+  PING_EVENT,
+  RESPONSE_BODY_LIMIT,
+  WEBHOOK_EVENTS,
+  buildWebhookHeaders,
+  buildWebhookPayload,
+  generateWebhookSecret,
+  isSuccessStatus,
+  maskSecret,
+  nextDeliveryState,
+  subscriptionsFor,
+} from '../utils/outgoingWebhooks.js';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Sent even if the subscription is inactive
+const MANUAL_TRIGGERS = ['ping', 'redeliver'];
+
+// The secret is only returned on creation and rotation
+const toPublic = ({ secret, ...subscription }) => ({ ...subscription, secret: maskSecret(secret) });
+
+/**
+ * Outgoing webhooks: fans events out to the subscribed endpoints, signs every attempt and
+ * retries failed deliveries with exponential backoff. Each attempt is kept in the delivery log.
+ */
+class WebhookDeliveryService {
+  constructor(options = {}) {
+    const env = getEnv();
+    this.options = {
+      maxAttempts: env.WEBHOOK_MAX_ATTEMPTS,
+      baseDelaySeconds: env.WEBHOOK_RETRY_BASE_SECONDS,
+      maxDelaySeconds: 6 * 60 * 60,
+      timeoutMs: env.WEBHOOK_TIMEOUT_MS,
+      ...options,
+    };
+
+    // Injectable for tests
+    this.subscriptionRepository = options.subscriptionRepository || new WebhookSubscriptionRepository();
+    this.deliveryRepository = options.deliveryRepository || new WebhookDeliveryRepository();
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+
+    this.timer = null;
+    this.sweeping = null;
+  }
+
+  // Sweeps due retries periodically; deliveries survive restarts because their state is persisted
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => {
+        logger.error('Webhook retry sweep failed', { error: error.message });
+      });
+    }, SWEEP_INTERVAL_MS);
+    this.timer.unref?.();
+
+    logger.info('Webhook delivery retries scheduled', { maxAttempts: this.options.maxAttempts });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Creates one delivery per subscribed endpoint and sends them in the background.
+   * Never throws: a broken integration must not affect order processing.
+   * Internal events such as admin.alert are not offered to subscribers.
+   */
+  async dispatch(event, data) {
+    if (!WEBHOOK_EVENTS.includes(event)) return [];
+
+    try {
+      const subscriptions = subscriptionsFor(await this.subscriptionRepository.findActive(), event);
+      if (subscriptions.length === 0) return [];
+
+      const payload = buildWebhookPayload(event, data);
+      const deliveries = await this.deliveryRepository.createForSubscriptions(subscriptions, event, payload);
+
+      for (const delivery of deliveries) {
+        const subscription = subscriptions.find(s => s.id === delivery.subscriptionId);
+        this.attemptIfClaimed(delivery, subscription, 'automatic').catch(error => {
+          logger.error('Webhook delivery failed', { deliveryId: delivery.id, error: error.message });
+        });
+      }
+
+      return deliveries;
+    } catch (error) {
+      logger.error('Failed to dispatch webhook', { event, error: error.message });
+      return [];
+    }
+  }
+
+  async processDue(now = new Date()) {
+    if (this.sweeping) return this.sweeping;
+
+    this.sweeping = (async () => {
+      const ids = await this.deliveryRepository.findDue(now);
+      for (const id of ids) {
+        const delivery = await this.deliveryRepository.findById(id, { subscription: true });
+        if (!delivery) continue;
+        await this.attemptIfClaimed(delivery, delivery.subscription, 'retry', now);
+      }
+      return ids.length;
+    })().finally(() => {
+      this.sweeping = null;
+    });
+
+    return this.sweeping;
+  }
+
+  async attemptIfClaimed(delivery, subscription, trigger, now = new Date()) {
+    if (!(await this.deliveryRepository.claim(delivery.id, this.leaseUntil(now), { now }))) {
+      return null;
+    }
+    return this.attempt(delivery, subscription, trigger);
+  }
+
+  // Keeps the retry sweep away from a delivery while a request is in flight
+  leaseUntil(now = new Date()) {
+    return new Date(now.getTime() + this.options.timeoutMs * 2);
+  }
+
+  /**
+   * One HTTP attempt: the stored payload is sent unchanged, the signature is fresh per attempt.
+   * Automatic attempts for a deactivated subscription fail the delivery without a request;
+   * pings and redeliveries are sent anyway.
+   */
+  async attempt(delivery, subscription, trigger) {
+    const attemptNumber = delivery.attempts + 1;
+    const startedAt = Date.now();
+    const skipped = !subscription.active && !MANUAL_TRIGGERS.includes(trigger);
+
+    const result = skipped
+      ? { success: false, error: 'Subscription inactive' }
+      : await this.send(delivery, subscription);
+
+    const attempt = {
+      attempt: attemptNumber,
+      trigger,
+      success: result.success,
+      responseStatus: result.responseStatus ?? null,
+      responseBody: result.responseBody ?? null,
+      error: result.error ?? null,
+      durationMs: Date.now() - startedAt,
+    };
+    // Pings are not retried
+    const state = skipped || (trigger === 'ping' && !result.success)
+      ? { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null }
+      : nextDeliveryState(attemptNumber, result.success, this.options);
+
+    const updated = await this.deliveryRepository.recordAttempt(delivery.id, attempt, state);
+
+    const log = { deliveryId: delivery.id, event: delivery.event, attempt: attemptNumber, status: state.status };
+    if (result.success) {
+      logger.info('Webhook delivered', log);
+    } else {
+      logger.warn('Webhook delivery attempt failed', { ...log, error: attempt.error, nextAttemptAt: state.nextAttemptAt });
+    }
+
+    return updated;
+  }
+
+  async send(delivery, subscription) {
+    const body = JSON.stringify(delivery.payload);
+    const headers = buildWebhookHeaders(body, subscription.secret, {
+      event: delivery.event,
+      eventId: delivery.payload?.id,
+      deliveryId: delivery.id,
+    });
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.timeoutMs);
+
+    try {
+      const response = await this.fetch(subscription.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal,
+      });
+      const responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+      const success = isSuccessStatus(response.status);
+
+      return {
+        success,
+        responseStatus: response.status,
+        responseBody,
+        error: success ? null : `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.name === 'AbortError' ? `Timeout after ${this.options.timeoutMs} ms` : error.message,
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async listSubscriptions() {
+    const subscriptions = await this.subscriptionRepository.findAllWithStats();
+    return subscriptions.map(toPublic);
+  }
+
+  async getSubscription(id) {
+    const subscription = await this.subscriptionRepository.findById(id);
+    if (!subscription) {
+      throw new NotFoundError('Webhook subscription not found');
+    }
+    return subscription;
+  }
+
+  async createSubscription({ url, description = null, events, active = true }) {
+    const subscription = await this.subscriptionRepository.create({
+      url,
+      description,
+      events,
+      active,
+      secret: generateWebhookSecret(),
+    });
+
+    logger.info('Webhook subscription created', { subscriptionId: subscription.id, url, events });
+    return subscription;
+  }
+
+  async updateSubscription(id, { rotateSecret = false, ...changes }) {
+    await this.getSubscription(id);
+
+    const subscription = await this.subscriptionRepository.update(id, {
+      ...changes,
+      ...(rotateSecret && { secret: generateWebhookSecret() }),
+    });
+
+    logger.info('Webhook subscription updated', { subscriptionId: id, fields: Object.keys(changes), rotateSecret });
+    return rotateSecret ? subscription : toPublic(subscription);
+  }
+
+  async deleteSubscription(id) {
+    await this.getSubscription(id);
+    await this.subscriptionRepository.delete(id);
+    logger.info('Webhook subscription deleted', { subscriptionId: id });
+  }
+
+  // Test delivery to one endpoint, regardless of its event list
+  async ping(id) {
+    const subscription = await this.getSubscription(id);
+    const payload = buildWebhookPayload(PING_EVENT, { subscriptionId: id });
+    const [delivery] = await this.deliveryRepository.createForSubscriptions([subscription], PING_EVENT, payload);
+    await this.deliveryRepository.claim(delivery.id, this.leaseUntil(), { dueOnly: false });
+    return this.attempt(delivery, subscription, 'ping');
+  }
+
+  async listDeliveries(filters = {}) {
+    return this.deliveryRepository.findPaginated(filters);
+  }
+
+  async getDelivery(id) {
+    const delivery = await this.deliveryRepository.findWithAttempts(id);
+    if (!delivery) {
+      throw new NotFoundError('Webhook delivery not found');
+    }
+    return delivery;
+  }
+
+  /**
+   * Sends a delivery again right away with its original payload. A failed redelivery of an
+   * exhausted delivery stays FAILED; one that still has attempts left keeps retrying.
+   */
+  async redeliver(id) {
+    const delivery = await this.deliveryRepository.findById(id, { subscription: true });
+    if (!delivery) {
+      throw new NotFoundError('Webhook delivery not found');
+    }
+
+    await this.deliveryRepository.claim(id, this.leaseUntil(), {
+      statuses: Object.values(DELIVERY_STATUS),
+      dueOnly: false,
+    });
+    await this.attempt(delivery, delivery.subscription, 'redeliver');
+    return this.getDelivery(id);
+  }
+}
+
+export { WebhookDeliveryService };
+
+export default new WebhookDeliveryService();
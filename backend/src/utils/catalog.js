@@ -0,0 +1,109 @@
+/**
+ * Teilekatalog: Abbildung zwischen Component-Datensätzen der Datenbank und dem Teile-Format von PARTS
+ * ({ i18nKey, category, name, unit, price, link, offers, tech, power, interfaces, assembly, … })
+ * Montagezeit und Schwierigkeit liegen in den Component-Feldern timeEstimate und difficultyLevel
+ */
+
+// Kategorien der Konfigurator-Teile (Teilmenge von ComponentCategory)
+export const PART_CATEGORIES = ['SERVO', 'CONTROLLER', 'SENSOR', 'POWER', 'MISC'];
+
+// Optionale Felder, die unverändert zwischen Teil und Component übernommen werden
+const OPTIONAL_FIELDS = [
+  'genericName',
+  'productModel',
+  'description',
+  'unit',
+  'link',
+  'offers',
+  'tech',
+  'availability',
+  'supplier',
+  'power',
+  'interfaces',
+  'imageUrl',
+];
+
+/**
+ * Teil aus einem Component-Datensatz; leere Felder entfallen wie in den Ausgangsdaten
+ * @param {Object} component - Component mit sku
+ * @returns {Object} Teil inkl. id (Component-ID) für Verknüpfungen in Konfigurationen und Bestellungen
+ */
+export function partFromComponent(component) {
+  const part = {
+    id: component.id,
+    i18nKey: component.i18nKey || component.sku,
+    category: component.category,
+    name: component.name,
+    price: component.price,
+  };
+
+  for (const field of OPTIONAL_FIELDS) {
+    if (component[field] !== null && component[field] !== undefined) {
+      part[field] = component[field];
+    }
+  }
+
+  if (Number.isFinite(component.timeEstimate)) {
+    part.assembly = { minutes: component.timeEstimate, difficulty: component.difficultyLevel };
+  }
+
+  return part;
+}
+
+/**
+ * Component-Daten (create/upsert) aus einem Teil
+ * @param {string} partKey - Teileschlüssel, wird zur sku
+ * @param {Object} part - Teil im Format von PARTS
+ * @param {number} sortOrder - Position im Katalog
+ */
+export function componentFromPart(partKey, part, sortOrder = 0) {
+  const data = {
+    sku: partKey,
+    i18nKey: part.i18nKey || partKey,
+    name: part.name,
+    category: part.category || 'MISC',
+    price: part.price,
+    availability: part.availability || 'in-stock',
+    timeEstimate: part.assembly?.minutes ?? null,
+    difficultyLevel: part.assembly?.difficulty || 'BEGINNER',
+    sortOrder,
+    active: true,
+  };
+
+  // Fehlende Felder entfallen (JSON-Spalten nehmen kein einfaches null an)
+  for (const field of OPTIONAL_FIELDS) {
+    if (field !== 'availability' && part[field] !== undefined && part[field] !== null) {
+      data[field] = part[field];
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Katalog { PART_KEY: Teil } aus Component-Datensätzen
+ * Nur aktive Komponenten mit sku, sortiert nach sortOrder
+ */
+export function partsFromComponents(components = []) {
+  return Object.fromEntries(
+    components
+      .filter(component => component.sku && component.active !== false)
+      .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0))
+      .map(component => [component.sku, partFromComponent(component)])
+  );
+}
+
+/**
+ * Katalog als Liste für die API: [{ key, ...Teil }]
+ * @param {Object} parts - { PART_KEY: Teil }
+ * @param {Object} filters - category, search (Name, Schlüssel, Modell, Technik)
+ */
+export function catalogEntries(parts, { category, search } = {}) {
+  const term = search ? String(search).toLowerCase() : null;
+
+  return Object.entries(parts)
+    .filter(([, part]) => !category || part.category === category)
+    .filter(([key, part]) => !term || [key, part.name, part.productModel, part.tech]
+      .some(value => value && value.toLowerCase().includes(term)))
+    .map(([key, part]) => ({ key, ...part }));
+}
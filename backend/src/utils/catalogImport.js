@@ -0,0 +1,231 @@
+/**
+ * Katalog-Import und -Export (CSV/JSON) für die Katalogpflege im Admin-Bereich
+ * Teile werden über die sku (Teileschlüssel) zugeordnet; Voraussetzungen stehen als Teileschlüssel in der Datei,
+ * damit ein Export in eine andere Datenbank importiert werden kann
+ */
+
+// Spalten des Exports in dieser Reihenfolge; Listen mit "|" getrennt, Objekte als JSON
+export const CATALOG_COLUMNS = [
+  'sku',
+  'name',
+  'category',
+  'price',
+  'unit',
+  'availability',
+  'supplier',
+  'link',
+  'description',
+  'tech',
+  'genericName',
+  'productModel',
+  'i18nKey',
+  'imageUrl',
+  'sortOrder',
+  'active',
+  'timeEstimate',
+  'difficultyLevel',
+  'instructions',
+  'toolsRequired',
+  'prerequisites',
+  'specifications',
+  'offers',
+  'power',
+  'interfaces',
+];
+
+const LIST_COLUMNS = ['toolsRequired', 'prerequisites'];
+const JSON_COLUMNS = ['specifications', 'offers', 'power', 'interfaces'];
+const NUMBER_COLUMNS = ['price', 'sortOrder', 'timeEstimate'];
+const BOOLEAN_COLUMNS = ['active'];
+const BOOLEAN_VALUES = { true: true, '1': true, ja: true, yes: true, false: false, '0': false, nein: false, no: false };
+
+export const CATALOG_FORMATS = ['csv', 'json'];
+
+/**
+ * Export-Datensatz einer Komponente: nur Katalogspalten, Voraussetzungen als Teileschlüssel
+ * @param {Object} component - Component-Datensatz
+ * @param {Map} skuById - Component-ID → sku
+ */
+export function toCatalogRecord(component, skuById = new Map()) {
+  const record = {};
+  for (const column of CATALOG_COLUMNS) {
+    record[column] = component[column] ?? null;
+  }
+  if (Array.isArray(component.prerequisites)) {
+    record.prerequisites = component.prerequisites.map(id => skuById.get(id) || id);
+  }
+  return record;
+}
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+function formatCell(column, value) {
+  if (value === null || value === undefined) return '';
+  if (LIST_COLUMNS.includes(column)) return value.join('|');
+  if (JSON_COLUMNS.includes(column)) return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * CSV des Katalogs (Komma, jede Zelle in Anführungszeichen; Zeilenumbrüche in Anleitungen bleiben erhalten)
+ */
+export function catalogToCsv(records) {
+  const rows = [
+    CATALOG_COLUMNS,
+    ...records.map(record => CATALOG_COLUMNS.map(column => formatCell(column, record[column]))),
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Zerlegt CSV in Zeilen und Zellen; Zellen in Anführungszeichen dürfen Trennzeichen und Zeilenumbrüche enthalten
+ * @returns {Array} [{ line, cells }] mit der Zeilennummer in der Datei, an der der Datensatz beginnt
+ */
+function parseCsv(content, delimiter) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim())) rows.push({ line: startLine, cells: cells.map(value => value.trim()) });
+    cells = [];
+    cell = '';
+    startLine = line;
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"') {
+      if (quoted && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(cell);
+      cell = '';
+    } else if ((char === '\n' || char === '\r') && !quoted) {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      if (char === '\n') line++;
+      cell += char;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+// "12,90" und "12.90" -> 12.9; kein gültiger Wert bleibt Text, damit die Prüfung ihn meldet
+function parseNumber(value) {
+  const number = Number(value.replace(',', '.'));
+  return Number.isFinite(number) ? number : value;
+}
+
+/**
+ * Wandelt die Textzellen eines CSV-Datensatzes in Feldwerte
+ * Leere Zellen und fehlende Spalten lassen das Feld unverändert (z.B. Preislisten nur mit sku und price)
+ */
+function fieldsFromCells(header, cells) {
+  const data = {};
+  const errors = [];
+
+  header.forEach((column, index) => {
+    const value = cells[index] ?? '';
+    if (!CATALOG_COLUMNS.includes(column) || value === '') return;
+
+    if (NUMBER_COLUMNS.includes(column)) {
+      data[column] = parseNumber(value);
+    } else if (BOOLEAN_COLUMNS.includes(column)) {
+      data[column] = BOOLEAN_VALUES[value.toLowerCase()] ?? value;
+    } else if (LIST_COLUMNS.includes(column)) {
+      data[column] = value.split('|').map(entry => entry.trim()).filter(Boolean);
+    } else if (JSON_COLUMNS.includes(column)) {
+      try {
+        data[column] = JSON.parse(value);
+      } catch {
+        errors.push({ field: column, message: 'Invalid JSON', code: 'invalid_json' });
+      }
+    } else {
+      data[column] = value;
+    }
+  });
+
+  return { data, errors };
+}
+
+/**
+ * Datensätze aus einer Katalog-CSV (Trennzeichen "," oder ";", Spalten per Kopfzeile)
+ * @returns {Array} [{ row, data, errors }], row = Zeilennummer in der Datei
+ */
+export function parseCatalogCsv(csv) {
+  const content = csv.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const [headerRow, ...rows] = parseCsv(content, delimiter);
+  const header = (headerRow?.cells || []).map(cell => CATALOG_COLUMNS.find(column => column.toLowerCase() === cell.toLowerCase()) || cell);
+  if (!header.includes('sku')) {
+    throw new Error('CSV catalog has no sku column');
+  }
+
+  return rows.map(({ line, cells }) => ({ row: line, ...fieldsFromCells(header, cells) }));
+}
+
+/**
+ * Datensätze aus einer Katalog-JSON: Liste oder { components: [...] } wie im Export
+ * @returns {Array} [{ row, data, errors }], row = Position in der Liste (ab 1)
+ */
+export function parseCatalogJson(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.components;
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON catalog must be a list of components');
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return { row: index + 1, data: {}, errors: [{ field: '', message: 'Entry must be an object', code: 'invalid_type' }] };
+    }
+    // Nur Katalogspalten; null in der Datei bleibt null (Feld wird geleert)
+    const data = Object.fromEntries(Object.entries(entry).filter(([column]) => CATALOG_COLUMNS.includes(column)));
+    return { row: index + 1, data, errors: [] };
+  });
+}
+
+/**
+ * Liest eine Import-Datei; ohne Formatangabe gilt Inhalt mit "[" oder "{" am Anfang als JSON
+ */
+export function parseCatalogImport(content, format) {
+  const resolved = format || (/^\s*[[{]/.test(content) ? 'json' : 'csv');
+  return resolved === 'json' ? parseCatalogJson(content) : parseCatalogCsv(content);
+}
+
+/**
+ * Geänderte Felder eines Datensatzes gegenüber dem Katalog
+ * @param {Object} current - Export-Datensatz der bestehenden Komponente
+ * @param {Object} data - importierte Felder
+ * @returns {Object} { field: { from, to } }
+ */
+export function diffCatalogRecord(current, data) {
+  const changes = {};
+  for (const [field, value] of Object.entries(data)) {
+    const from = current[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(value ?? null)) {
+      changes[field] = { from, to: value ?? null };
+    }
+  }
+  return changes;
+}
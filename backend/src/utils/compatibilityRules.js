@@ -0,0 +1,237 @@
+/**
+ * Regelbasierte Kompatibilitätsprüfung
+ * Prüft Schnittstellen (I²C, USB, PWM-Kanäle) und Spannungen gegen die deklarierten Teiledaten
+ * Deterministisch und ohne Netzwerk – läuft vor der LLM-Prüfung in /api/ai/compatibility
+ */
+
+import { PARTS } from '../data/products.js';
+
+export const RULE_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+const formatAddress = (address) => `0x${address.toString(16).toUpperCase()}`;
+
+/**
+ * Normalisiert die Komponentenliste aus dem Request
+ * Erlaubt Strings ('MG996R') oder Objekte mit partKey/key/id/code und quantity
+ * @param {Array} components - Komponenten aus dem Request
+ * @param {Object} parts - Teilekatalog (Standard: PARTS)
+ * @returns {{ items: Object, unknown: Array }} Mengen je Teil und nicht erkannte Einträge
+ */
+export function normalizeComponents(components = [], parts = PARTS) {
+  const items = {};
+  const unknown = [];
+
+  for (const component of components) {
+    const partKey = typeof component === 'string'
+      ? component
+      : component?.partKey || component?.key || component?.id || component?.code;
+    const quantity = typeof component === 'string' ? 1 : Number(component?.quantity ?? 1);
+
+    if (!partKey || !parts[partKey]) {
+      unknown.push(component);
+      continue;
+    }
+    if (quantity > 0) {
+      items[partKey] = (items[partKey] || 0) + quantity;
+    }
+  }
+
+  return { items, unknown };
+}
+
+/**
+ * I²C: Adresskollisionen und fehlender Bus-Master
+ */
+function checkI2c(entries) {
+  const issues = [];
+  const devices = entries.filter(({ part }) => part.interfaces?.i2c);
+  if (devices.length === 0) return issues;
+
+  if (!entries.some(({ part }) => part.interfaces?.i2cHost)) {
+    issues.push({
+      severity: RULE_SEVERITY.ERROR,
+      code: 'I2C_NO_HOST',
+      message: 'I²C-Geräte ohne I²C-Master (Arduino oder Raspberry Pi) in der Konfiguration',
+      parts: devices.map(({ partKey }) => partKey),
+    });
+  }
+
+  // Geräte nach Standardadresse gruppieren, auch über verschiedene Teile hinweg
+  const byAddress = new Map();
+  for (const device of devices) {
+    const { defaultAddress } = device.part.interfaces.i2c;
+    byAddress.set(defaultAddress, [...(byAddress.get(defaultAddress) || []), device]);
+  }
+
+  for (const [address, group] of byAddress) {
+    const count = group.reduce((sum, { quantity }) => sum + quantity, 0);
+    if (count < 2) continue;
+
+    const available = Math.min(...group.map(({ part }) => part.interfaces.i2c.addressCount));
+    const parts = group.map(({ partKey }) => partKey);
+    const details = { address: formatAddress(address), count, available };
+
+    if (count > available) {
+      issues.push({
+        severity: RULE_SEVERITY.ERROR,
+        code: 'I2C_ADDRESS_EXHAUSTED',
+        message: `${count} Geräte auf I²C-Adresse ${details.address}, aber nur ${available} Adressen einstellbar – zweiten I²C-Bus oder Multiplexer vorsehen`,
+        parts,
+        details,
+      });
+    } else {
+      issues.push({
+        severity: RULE_SEVERITY.WARNING,
+        code: 'I2C_ADDRESS_COLLISION',
+        message: `${count}× ${parts.join('/')} teilen sich die Standardadresse ${details.address} – Adress-Jumper je Board unterschiedlich setzen`,
+        parts,
+        details,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * USB3: Geräte wie die OAK-D Lite brauchen einen USB3-Host
+ */
+function checkUsb(entries) {
+  const issues = [];
+  const devices = entries.filter(({ part }) => part.interfaces?.requiresUsb3);
+  if (devices.length === 0) return issues;
+
+  const required = devices.reduce((sum, { quantity }) => sum + quantity, 0);
+  const ports = entries.reduce((sum, { part, quantity }) => sum + (part.interfaces?.usb3Ports || 0) * quantity, 0);
+  const parts = devices.map(({ partKey }) => partKey);
+
+  if (ports === 0) {
+    const usb2Hosts = entries.filter(({ part }) => part.interfaces?.usb === '2.0').map(({ partKey }) => partKey);
+    issues.push({
+      severity: RULE_SEVERITY.ERROR,
+      code: 'USB3_REQUIRED',
+      message: `${parts.join(', ')} benötigt USB3, in der Konfiguration gibt es keinen USB3-Host`
+        + (usb2Hosts.length ? ` (${usb2Hosts.join(', ')} hat nur USB 2.0)` : ''),
+      parts,
+      details: { required, available: 0 },
+    });
+  } else if (required > ports) {
+    issues.push({
+      severity: RULE_SEVERITY.ERROR,
+      code: 'USB3_PORTS_EXCEEDED',
+      message: `${required} USB3-Geräte, aber nur ${ports} USB3-Ports verfügbar`,
+      parts,
+      details: { required, available: ports },
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Servo-Kanäle gegen die PWM-Ausgänge der Servo-Treiber
+ */
+function checkServoChannels(entries) {
+  const servos = entries.filter(({ part }) => part.interfaces?.pwmChannels);
+  if (servos.length === 0) return [];
+
+  const required = servos.reduce((sum, { part, quantity }) => sum + part.interfaces.pwmChannels * quantity, 0);
+  const drivers = entries.filter(({ part }) => part.interfaces?.pwmOutputs);
+  const available = drivers.reduce((sum, { part, quantity }) => sum + part.interfaces.pwmOutputs * quantity, 0);
+
+  if (required <= available) return [];
+
+  const outputsPerDriver = drivers[0]?.part.interfaces.pwmOutputs || PARTS.PCA9685.interfaces.pwmOutputs;
+  const driverKey = drivers[0]?.partKey || 'PCA9685';
+  const driversNeeded = Math.ceil(required / outputsPerDriver);
+
+  return [{
+    severity: RULE_SEVERITY.ERROR,
+    code: 'SERVO_CHANNELS_EXCEEDED',
+    message: `${required} Servo-Kanäle benötigt, aber nur ${available} PWM-Ausgänge vorhanden – mindestens ${driversNeeded}× ${driverKey} einplanen`,
+    parts: [...servos, ...drivers].map(({ partKey }) => partKey),
+    details: { required, available, driversNeeded },
+  }];
+}
+
+/**
+ * Spannungen: Verbraucher und Regler gegen die Ausgangsspannung ihrer Versorgung
+ */
+function checkVoltages(entries) {
+  const issues = [];
+  const sources = {};
+  for (const { partKey, part } of entries) {
+    if (part.power?.supplies) {
+      (sources[part.power.supplies] ||= []).push({ partKey, voltage: part.power.outputVoltage });
+    }
+  }
+
+  for (const { partKey, part } of entries) {
+    // Regler sind Verbraucher ihrer Eingangsschiene
+    const rail = part.power?.inputRail || part.power?.rail;
+    const range = part.power?.inputRail ? part.power.inputVoltage : part.interfaces?.supplyVoltage;
+    if (!rail || !range) continue;
+
+    for (const source of sources[rail] || []) {
+      if (source.voltage < range.min || source.voltage > range.max) {
+        issues.push({
+          severity: RULE_SEVERITY.ERROR,
+          code: 'VOLTAGE_MISMATCH',
+          message: `${partKey} benötigt ${range.min}–${range.max} V, ${source.partKey} liefert ${source.voltage} V`,
+          parts: [partKey, source.partKey],
+          details: { rail, min: range.min, max: range.max, voltage: source.voltage },
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+const RULES = [checkI2c, checkUsb, checkServoChannels, checkVoltages];
+
+/**
+ * Führt alle Regeln für eine Stückliste aus
+ * @param {Object} items - Mengen je Teil, z.B. { PCA9685: 2, MG996R: 20 }
+ * @param {Object} parts - Teilekatalog (Standard: PARTS)
+ * @returns {Object} { compatible, issues, checkedParts }
+ */
+export function checkCompatibilityRules(items = {}, parts = PARTS) {
+  const entries = Object.entries(items)
+    .filter(([partKey, quantity]) => parts[partKey] && quantity > 0)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([partKey, quantity]) => ({ partKey, quantity, part: parts[partKey] }));
+
+  const issues = RULES.flatMap(rule => rule(entries));
+
+  return {
+    compatible: !issues.some(issue => issue.severity === RULE_SEVERITY.ERROR),
+    issues,
+    checkedParts: entries.map(({ partKey }) => partKey),
+  };
+}
+
+/**
+ * Führt Regel- und LLM-Ergebnis zusammen
+ * Das Urteil (compatible) stammt immer aus den Regeln, das LLM ergänzt Hinweise und Empfehlungen
+ * @param {Object} rules - Ergebnis von checkCompatibilityRules
+ * @param {Object|null} llm - Geparste LLM-Antwort { compatible, issues, recommendations, confidence } oder null
+ * @returns {Object} Zusammengeführtes Ergebnis
+ */
+export function mergeCompatibilityResults(rules, llm = null) {
+  const ruleMessages = rules.issues.map(issue => issue.message);
+  const llmIssues = Array.isArray(llm?.issues) ? llm.issues.filter(issue => typeof issue === 'string') : [];
+  const recommendations = Array.isArray(llm?.recommendations) ? llm.recommendations : [];
+
+  return {
+    compatible: rules.compatible,
+    issues: [...ruleMessages, ...llmIssues.filter(issue => !ruleMessages.includes(issue))],
+    recommendations,
+    confidence: rules.compatible ? (llm?.confidence ?? null) : 1,
+    ruleIssues: rules.issues,
+    source: llm ? 'rules+llm' : 'rules',
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Optimierung von Stücklisten
+ * Durchsucht Teile-Substitutionen und Mengenanpassungen und bewertet sie gegen Budget, Zeitlimit und Schwierigkeit
+ * Verstöße gegen Power-Budget und Kompatibilitätsregeln zählen ebenfalls als Constraint-Verletzung
+ */
+
+import { PARTS } from '../data/products.js';
+import { calculatePowerBudget, POWER_STATUS } from './powerBudget.js';
+import { checkCompatibilityRules, RULE_SEVERITY } from './compatibilityRules.js';
+
+// Austauschbare Teile (jeweils in beide Richtungen)
+export const SUBSTITUTIONS = [
+  ['MG996R', 'DS3218'],
+  ['MPU6050', 'BNO055'],
+  ['PSU12V10A', 'LIPO4S5000'],
+];
+
+export const DIFFICULTY_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+
+// Obergrenze für zusätzliche Regler bei überlasteter Servoschiene
+const MAX_EXTRA_REGULATORS = 4;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const itemsKey = (items) => JSON.stringify(Object.entries(items).filter(([, q]) => q > 0).sort());
+
+/**
+ * Kennzahlen einer Stückliste: Preis, Montagezeit und Schwierigkeit
+ * @param {Object} items - Mengen je Teil
+ * @param {Object} parts - Teilekatalog
+ * @returns {{ price: number, minutes: number, difficulty: string|null }}
+ */
+function metricsFor(items, parts) {
+  let price = 0;
+  let minutes = 0;
+  let difficultyIndex = -1;
+
+  for (const [partKey, quantity] of Object.entries(items)) {
+    const part = parts[partKey];
+    if (!part || quantity <= 0) continue;
+    price += (part.price || 0) * quantity;
+    minutes += (part.assembly?.minutes || 0) * quantity;
+    difficultyIndex = Math.max(difficultyIndex, DIFFICULTY_LEVELS.indexOf(part.assembly?.difficulty));
+  }
+
+  return {
+    price: round(price),
+    minutes,
+    difficulty: DIFFICULTY_LEVELS[difficultyIndex] || null,
+  };
+}
+
+/**
+ * Bewertet eine Stückliste gegen die Ziele
+ * @param {Object} items - Mengen je Teil
+ * @param {Object} goals - { budget, timeLimit (Minuten), difficultyLevel }
+ * @param {Object} parts - Teilekatalog (Standard: PARTS)
+ * @returns {Object} { items, price, minutes, difficulty, violations }
+ */
+export function evaluateItems(items, goals = {}, parts = PARTS) {
+  const { budget, timeLimit, difficultyLevel } = goals;
+  const metrics = metricsFor(items, parts);
+  const violations = [];
+
+  if (Number.isFinite(budget) && metrics.price > budget) {
+    violations.push({
+      code: 'BUDGET_EXCEEDED',
+      message: `Price ${metrics.price} exceeds budget ${budget}`,
+      details: { price: metrics.price, budget },
+    });
+  }
+
+  if (Number.isFinite(timeLimit) && metrics.minutes > timeLimit) {
+    violations.push({
+      code: 'TIME_LIMIT_EXCEEDED',
+      message: `Assembly takes ${metrics.minutes} min, limit is ${timeLimit} min`,
+      details: { minutes: metrics.minutes, timeLimit },
+    });
+  }
+
+  if (difficultyLevel && metrics.difficulty
+    && DIFFICULTY_LEVELS.indexOf(metrics.difficulty) > DIFFICULTY_LEVELS.indexOf(difficultyLevel)) {
+    violations.push({
+      code: 'DIFFICULTY_EXCEEDED',
+      message: `Difficulty ${metrics.difficulty} is above the goal ${difficultyLevel}`,
+      details: { difficulty: metrics.difficulty, goal: difficultyLevel },
+    });
+  }
+
+  const power = calculatePowerBudget(items, parts);
+  if (power.status === POWER_STATUS.CRITICAL || power.status === POWER_STATUS.OVERLOADED) {
+    violations.push({
+      code: power.blocking ? 'POWER_CRITICAL' : 'POWER_OVERLOADED',
+      message: power.issues.find(issue => issue.severity === 'error')?.message || 'Power supply overloaded',
+      details: { status: power.status },
+    });
+  }
+
+  for (const issue of checkCompatibilityRules(items, parts).issues) {
+    if (issue.severity !== RULE_SEVERITY.ERROR) continue;
+    violations.push({ code: issue.code, message: issue.message, details: issue.details || {} });
+  }
+
+  return { items, ...metrics, violations };
+}
+
+/**
+ * Passt Mengen an: Servo-Treiber auf den Bedarf und Regler bis zur Entlastung der Servoschiene
+ * @returns {{ items: Object, changes: Array }}
+ */
+function adjustQuantities(items, parts) {
+  const adjusted = { ...items };
+  const changes = [];
+  const setQuantity = (partKey, quantity) => {
+    if ((adjusted[partKey] || 0) === quantity) return;
+    changes.push({ type: 'quantity', partKey, from: adjusted[partKey] || 0, to: quantity });
+    adjusted[partKey] = quantity;
+  };
+
+  // Servo-Treiber: so viele wie Kanäle benötigt werden
+  const [driverKey, driver] = Object.entries(parts).find(([, part]) => part.interfaces?.pwmOutputs) || [];
+  const channels = Object.entries(adjusted)
+    .reduce((sum, [partKey, quantity]) => sum + (parts[partKey]?.interfaces?.pwmChannels || 0) * quantity, 0);
+  if (driverKey && channels > 0) {
+    setQuantity(driverKey, Math.ceil(channels / driver.interfaces.pwmOutputs));
+  }
+
+  // Regler der Servoschiene ergänzen, solange sie überlastet ist
+  const regulatorKey = Object.keys(adjusted)
+    .find(partKey => adjusted[partKey] > 0 && parts[partKey]?.power?.supplies && parts[partKey].power.inputRail);
+  if (regulatorKey) {
+    const rail = parts[regulatorKey].power.supplies;
+    const original = adjusted[regulatorKey];
+    let quantity = original;
+    const isOverloaded = (q) => {
+      const status = calculatePowerBudget({ ...adjusted, [regulatorKey]: q }, parts).rails[rail]?.status;
+      return status === POWER_STATUS.OVERLOADED || status === POWER_STATUS.CRITICAL;
+    };
+    while (isOverloaded(quantity) && quantity < original + MAX_EXTRA_REGULATORS) {
+      quantity += 1;
+    }
+    setQuantity(regulatorKey, quantity);
+  }
+
+  return { items: adjusted, changes };
+}
+
+/**
+ * Alle Kombinationen der möglichen Substitutionen (je Paar: keine, A→B oder B→A)
+ */
+function substitutionOptions(items, parts) {
+  let combinations = [[]];
+
+  for (const [a, b] of SUBSTITUTIONS) {
+    if (!parts[a] || !parts[b]) continue;
+    const moves = [];
+    if (items[a] > 0) moves.push({ from: a, to: b });
+    if (items[b] > 0) moves.push({ from: b, to: a });
+    if (moves.length === 0) continue;
+
+    combinations = combinations.flatMap(combination => [
+      combination,
+      ...moves.map(move => [...combination, move]),
+    ]);
+  }
+
+  return combinations;
+}
+
+function applySubstitutions(items, moves) {
+  const result = { ...items };
+  const changes = [];
+
+  for (const { from, to } of moves) {
+    const quantity = result[from] || 0;
+    changes.push({ type: 'substitute', from, to, quantity });
+    result[to] = (result[to] || 0) + quantity;
+    delete result[from];
+  }
+
+  return { items: result, changes };
+}
+
+/**
+ * Sortierung: zuerst wenige Verstöße, dann je nach Ziel Ersparnis oder Zeitgewinn
+ */
+function compareAlternatives(goals) {
+  const timeFirst = Number.isFinite(goals.timeLimit) && !Number.isFinite(goals.budget);
+
+  return (a, b) => {
+    if (a.violations.length !== b.violations.length) return a.violations.length - b.violations.length;
+    const bySavings = b.savings - a.savings;
+    const byTime = a.timeDelta - b.timeDelta;
+    const primary = timeFirst ? byTime : bySavings;
+    if (primary !== 0) return primary;
+    const secondary = timeFirst ? bySavings : byTime;
+    if (secondary !== 0) return secondary;
+    return a.changes.length - b.changes.length;
+  };
+}
+
+/**
+ * Sucht Alternativen zu einer Stückliste
+ * @param {Object} items - Mengen je Teil
+ * @param {Object} goals - { budget, timeLimit (Minuten), difficultyLevel }
+ * @param {Object} options - { limit (Standard: 5), parts (Standard: PARTS) }
+ * @returns {Object} { baseline, alternatives }
+ */
+export function optimizeItems(items, goals = {}, { limit = 5, parts = PARTS } = {}) {
+  const baseline = evaluateItems(items, goals, parts);
+  const seen = new Set([itemsKey(items)]);
+  const alternatives = [];
+
+  for (const moves of substitutionOptions(items, parts)) {
+    const substituted = applySubstitutions(items, moves);
+
+    for (const adjust of [false, true]) {
+      const adjusted = adjust ? adjustQuantities(substituted.items, parts) : { items: substituted.items, changes: [] };
+      const key = itemsKey(adjusted.items);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const evaluation = evaluateItems(adjusted.items, goals, parts);
+      alternatives.push({
+        ...evaluation,
+        changes: [...substituted.changes, ...adjusted.changes],
+        savings: round(baseline.price - evaluation.price),
+        timeDelta: evaluation.minutes - baseline.minutes,
+        feasible: evaluation.violations.length === 0,
+      });
+    }
+  }
+
+  return {
+    baseline,
+    alternatives: alternatives
+      .sort(compareAlternatives(goals))
+      .slice(0, limit)
+      .map((alternative, index) => ({ rank: index + 1, ...alternative })),
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Versionsstände von Konfigurationen: jede Speicherung legt eine unveränderliche Revision an
+ * (Stückliste mit Stückpreisen zum Zeitpunkt des Speicherns); zwei Revisionen lassen sich vergleichen
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Positionen einer Revision aus den Komponenten einer Speicherung
+ * Der Stückpreis kommt aus der Anfrage (gewähltes Angebot), sonst aus dem Katalog
+ * @param {Array} components - [{ componentType, componentId, options, quantity, price }] oder ConfigComponents mit component
+ * @param {Object} parts - Teilekatalog (PARTS)
+ * @returns {Array} [{ componentType, componentId, name, quantity, price }]
+ */
+export function revisionItems(components = [], parts = {}) {
+  return components.map(component => {
+    const part = parts[component.options?.partKey || component.componentType];
+    return {
+      componentType: component.componentType,
+      componentId: component.componentId ?? part?.id ?? null,
+      name: component.name ?? part?.name ?? component.component?.name ?? component.componentType,
+      quantity: component.quantity ?? 1,
+      price: round2(Number(component.price ?? part?.price ?? component.component?.price ?? 0)),
+    };
+  });
+}
+
+// Schlüssel einer Position: Katalogkomponente, ohne Verknüpfung der Komponententyp
+const lineKey = (item) => item.componentId || item.componentType;
+
+// Positionen je Schlüssel zusammengefasst (gleiche Komponente mehrfach -> Mengen addiert)
+function linesByKey(items = []) {
+  const lines = new Map();
+  for (const item of items) {
+    const key = lineKey(item);
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += item.quantity;
+    } else {
+      lines.set(key, { key, componentType: item.componentType, name: item.name, quantity: item.quantity, price: item.price });
+    }
+  }
+  return lines;
+}
+
+const sortedItems = (items = []) => [...items]
+  .map(item => JSON.stringify([lineKey(item), item.componentType, item.quantity, item.price, item.name]))
+  .sort();
+
+/**
+ * Hat sich gegenüber der letzten Revision etwas geändert? Speichern ohne Änderung legt keine neue Revision an
+ */
+export function revisionChanged(previous, next) {
+  if (!previous) return true;
+  return previous.name !== next.name
+    || (previous.description ?? null) !== (next.description ?? null)
+    || round2(previous.totalPrice) !== round2(next.totalPrice)
+    || JSON.stringify(sortedItems(previous.items)) !== JSON.stringify(sortedItems(next.items));
+}
+
+/**
+ * Kurzfassung für die Versionsliste
+ */
+export function revisionSummary(revision) {
+  const items = revision.items || [];
+  return {
+    id: revision.id,
+    revision: revision.revision,
+    name: revision.name,
+    totalPrice: revision.totalPrice,
+    partCount: linesByKey(items).size,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    userId: revision.userId ?? null,
+    createdAt: revision.createdAt,
+  };
+}
+
+/**
+ * Vergleich zweier Revisionen: hinzugekommene und entfernte Teile, Mengen- und Preisänderungen
+ * @param {Object} from - ältere Revision
+ * @param {Object} to - neuere Revision
+ * @returns {Object} { from, to, added, removed, changed, unchanged, priceDelta, renamed }
+ */
+export function diffRevisions(from, to) {
+  const before = linesByKey(from.items);
+  const after = linesByKey(to.items);
+  const withTotal = (line) => ({ ...line, total: round2(line.quantity * line.price) });
+
+  const added = [...after.values()].filter(line => !before.has(line.key)).map(withTotal);
+  const removed = [...before.values()].filter(line => !after.has(line.key)).map(withTotal);
+  const changed = [];
+  let unchanged = 0;
+
+  for (const line of after.values()) {
+    const previous = before.get(line.key);
+    if (!previous) continue;
+    if (previous.quantity === line.quantity && previous.price === line.price) {
+      unchanged++;
+      continue;
+    }
+    changed.push({
+      key: line.key,
+      componentType: line.componentType,
+      name: line.name,
+      fromQuantity: previous.quantity,
+      toQuantity: line.quantity,
+      quantityDelta: line.quantity - previous.quantity,
+      fromPrice: previous.price,
+      toPrice: line.price,
+      totalDelta: round2(line.quantity * line.price - previous.quantity * previous.price),
+    });
+  }
+
+  return {
+    from: { revision: from.revision, name: from.name, totalPrice: from.totalPrice, createdAt: from.createdAt },
+    to: { revision: to.revision, name: to.name, totalPrice: to.totalPrice, createdAt: to.createdAt },
+    added,
+    removed,
+    changed,
+    unchanged,
+    priceDelta: round2(to.totalPrice - from.totalPrice),
+    renamed: from.name !== to.name ? { from: from.name, to: to.name } : null,
+  };
+}
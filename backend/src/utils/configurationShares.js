@@ -0,0 +1,104 @@
+/**
+ * Freigabelinks für Konfigurationen: kurze, nicht erratbare Slugs (/share/:slug), widerrufbar und optional befristet.
+ * Die öffentliche Ansicht zeigt Stückliste und Kostenaufstellung mit den Stückpreisen der letzten Revision
+ */
+
+import crypto from 'crypto';
+
+export const SHARE_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+};
+
+// 9 Zufallsbytes = 72 Bit, base64url ergibt 12 Zeichen
+const SLUG_BYTES = 9;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Neuer Slug für einen Freigabelink
+ * @param {Function} randomBytes - Zufallsquelle (Tests)
+ */
+export function generateShareSlug(randomBytes = crypto.randomBytes) {
+  return randomBytes(SLUG_BYTES).toString('base64url');
+}
+
+/**
+ * Ablaufzeitpunkt eines neuen Links: expiresInDays ab jetzt oder ein fester Zeitpunkt, sonst unbefristet
+ * @param {Object} options - { expiresInDays, expiresAt }
+ * @returns {Date|null}
+ */
+export function shareExpiry({ expiresInDays, expiresAt } = {}, now = new Date()) {
+  if (expiresInDays) {
+    return new Date(now.getTime() + expiresInDays * DAY_MS);
+  }
+  return expiresAt ? new Date(expiresAt) : null;
+}
+
+/**
+ * Status eines Links; ein widerrufener Link bleibt widerrufen, auch wenn er inzwischen abgelaufen wäre
+ */
+export function shareStatus(share, now = new Date()) {
+  if (share.revokedAt) return SHARE_STATUS.REVOKED;
+  if (share.expiresAt && new Date(share.expiresAt) <= now) return SHARE_STATUS.EXPIRED;
+  return SHARE_STATUS.ACTIVE;
+}
+
+/**
+ * Link für die Verwaltung durch den Eigentümer
+ */
+export function shareView(share, now = new Date()) {
+  return {
+    id: share.id,
+    slug: share.slug,
+    status: shareStatus(share, now),
+    expiresAt: share.expiresAt ?? null,
+    revokedAt: share.revokedAt ?? null,
+    viewCount: share.viewCount ?? 0,
+    lastViewedAt: share.lastViewedAt ?? null,
+    createdAt: share.createdAt,
+  };
+}
+
+/**
+ * Stückliste und Kostenaufstellung einer Konfiguration (ConfigComponents mit component)
+ * Stückpreis aus der letzten Revision (Preis beim Speichern), sonst aus dem Katalog
+ * @param {Object} configuration - Konfiguration mit components
+ * @param {Object|null} revision - letzte Revision ({ items: [{ componentType, componentId, price }] })
+ * @returns {Object} { items: [...], categories: [{ category, quantity, total, share }], total }
+ */
+export function sharedBillOfMaterials(configuration, revision = null) {
+  const prices = new Map((revision?.items || []).map(item => [item.componentId || item.componentType, item.price]));
+
+  const items = (configuration.components || []).map(entry => {
+    const unitPrice = round2(Number(prices.get(entry.componentId || entry.componentType) ?? entry.component?.price ?? 0));
+    return {
+      partKey: entry.options?.partKey || entry.component?.sku || entry.componentType,
+      name: entry.component?.name || entry.componentType,
+      category: entry.component?.category || 'MISC',
+      quantity: entry.quantity,
+      unitPrice,
+      total: round2(unitPrice * entry.quantity),
+    };
+  });
+
+  const total = round2(items.reduce((sum, item) => sum + item.total, 0));
+
+  const byCategory = new Map();
+  for (const item of items) {
+    const group = byCategory.get(item.category) || { category: item.category, quantity: 0, total: 0 };
+    group.quantity += item.quantity;
+    group.total = round2(group.total + item.total);
+    byCategory.set(item.category, group);
+  }
+
+  // Anteil am Gesamtpreis, größte Kostenblöcke zuerst
+  const categories = [...byCategory.values()]
+    .map(group => ({ ...group, share: total > 0 ? Math.round((group.total / total) * 1000) / 1000 : 0 }))
+    .sort((a, b) => b.total - a.total);
+
+  return { items, categories, total };
+}
@@ -0,0 +1,90 @@
+/**
+ * Bestellpositionen aus einer Konfigurator-Stückliste
+ * Lieferant je Position aus utils/supplierOffers.js (mit Live-Preisen wie in der Angebotsanzeige), Versand der Lieferanten ist Teil der Gesamtsumme
+ * Verkaufspreise = Einkaufspreis des gewählten Angebots + Marge aus den Preiseinstellungen (services/pricingService.js)
+ */
+
+import { PARTS } from '../data/products.js';
+import { buildSupplierBreakdown, OFFER_PREFERENCES } from './supplierOffers.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Marge in Prozent, wie im Konfigurator auf 0–95 % begrenzt
+export const DEFAULT_MARGIN_PCT = 12;
+export const MAX_MARGIN_PCT = 95;
+
+const clampMargin = (pct) => Math.min(Math.max(pct, 0), MAX_MARGIN_PCT);
+
+/**
+ * Preiseinstellungen mit Standardwerten; ungültige Margen je Teil entfallen
+ * @param {Object} pricing - { marginPct, partMargins: { PART_KEY: pct } }
+ */
+export function normalizePricing(pricing = {}) {
+  const partMargins = Object.fromEntries(
+    Object.entries(pricing.partMargins || {})
+      .filter(([, pct]) => Number.isFinite(pct))
+      .map(([partKey, pct]) => [partKey, clampMargin(pct)])
+  );
+
+  return {
+    marginPct: clampMargin(Number.isFinite(pricing.marginPct) ? pricing.marginPct : DEFAULT_MARGIN_PCT),
+    partMargins,
+  };
+}
+
+/**
+ * Verkaufspreis je Stück: Marge des Teils, sonst globale Marge
+ * @param {number} unitCost - Einkaufspreis des gewählten Angebots
+ * @param {string} partKey
+ * @param {Object} pricing - normalisierte Preiseinstellungen
+ */
+export function retailUnitPrice(unitCost, partKey, pricing = normalizePricing()) {
+  const pct = pricing.partMargins[partKey] ?? pricing.marginPct;
+  return round(unitCost * (1 + pct / 100));
+}
+
+/**
+ * Unbekannte Teile einer Stückliste
+ * @param {Object} items - { PART_KEY: quantity }
+ */
+export function findUnknownParts(items = {}, parts = PARTS) {
+  return Object.keys(items).filter(partKey => !parts[partKey]);
+}
+
+/**
+ * Baut Bestellpositionen und Summen für eine Konfigurator-Bestellung
+ * @param {Object} items - { PART_KEY: quantity }
+ * @param {Object} options - { offerPreference, pricing: { marginPct, partMargins }, live: { livePrices, availability }, parts }
+ *                           live aus den Preis-Snapshots (PricingService.getLiveOffers), nie vom Client
+ * @returns {Object} { items: [{ name, price, quantity, componentId, options }], total, costTotal, shippingTotal }
+ *          componentId verknüpft die Position mit der Komponente, sobald der Katalog aus der Datenbank geladen ist
+ */
+export function buildConfiguratorOrder(items = {}, { offerPreference = OFFER_PREFERENCES.CHEAPEST, pricing = {}, live = {}, parts = PARTS } = {}) {
+  const margins = normalizePricing(pricing);
+  const breakdown = buildSupplierBreakdown(items, offerPreference, { ...live, parts });
+
+  const orderItems = breakdown.lines.map(line => ({
+    name: parts[line.partKey].name,
+    price: retailUnitPrice(line.unitPrice, line.partKey, margins),
+    quantity: line.quantity,
+    componentId: parts[line.partKey].id,
+    options: {
+      partKey: line.partKey,
+      offerId: line.offerId,
+      supplier: line.supplier,
+      link: line.link,
+      unitCost: line.unitPrice,
+      leadTimeDays: line.leadTimeDays,
+    },
+  }));
+
+  const itemsTotal = orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  return {
+    items: orderItems,
+    offerPreference: breakdown.preference,
+    total: round(itemsTotal + breakdown.shipping),
+    costTotal: breakdown.total,
+    shippingTotal: breakdown.shipping,
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Parallele Abarbeitung mit globalem Limit und Limit pro Domain
+ * Verhindert, dass ein Händler mit vielen Produkten gleichzeitig mehrfach angefragt wird
+ */
+
+/**
+ * Führt worker(item) für alle Einträge aus
+ * Ein freier Slot nimmt den nächsten Eintrag, dessen Domain noch nicht ausgelastet ist
+ * @param {Array} items - Abzuarbeitende Einträge
+ * @param {Function} worker - async (item) => result
+ * @param {Object} options - { concurrency, perDomain, getDomain }
+ * @returns {Promise<Array>} Ergebnisse in Reihenfolge der Einträge
+ */
+export function runWithDomainLimits(items, worker, { concurrency = 3, perDomain = concurrency, getDomain = () => null } = {}) {
+  const queue = items.map((item, index) => ({ item, index, domain: getDomain(item) }));
+  const results = new Array(items.length);
+  const activeByDomain = new Map();
+  let active = 0;
+  let done = 0;
+
+  return new Promise((resolve, reject) => {
+    const next = () => {
+      if (done === items.length) {
+        resolve(results);
+        return;
+      }
+
+      for (let i = 0; i < queue.length && active < concurrency;) {
+        const task = queue[i];
+        // Einträge ohne Domain unterliegen nur dem globalen Limit
+        if (task.domain && (activeByDomain.get(task.domain) || 0) >= perDomain) {
+          i++;
+          continue;
+        }
+
+        queue.splice(i, 1);
+        active++;
+        if (task.domain) activeByDomain.set(task.domain, (activeByDomain.get(task.domain) || 0) + 1);
+
+        Promise.resolve()
+          .then(() => worker(task.item))
+          .then((result) => {
+            results[task.index] = result;
+            active--;
+            if (task.domain) activeByDomain.set(task.domain, activeByDomain.get(task.domain) - 1);
+            done++;
+            next();
+          })
+          .catch(reject);
+      }
+    };
+
+    next();
+  });
+}
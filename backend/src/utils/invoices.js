@@ -0,0 +1,183 @@
+/**
+ * Rechnungen und Gutschriften (Rechnungskorrekturen) zu Bestellungen
+ * Belege werden beim Ausstellen als unveränderliche Momentaufnahme gespeichert; das PDF wird daraus erzeugt
+ */
+
+import { TAX_TREATMENT } from './tax.js';
+import { formatShippingAddress } from './purchaseOrders.js';
+import { renderTextPdf } from './pdf.js';
+
+export const INVOICE_TYPE = {
+  INVOICE: 'INVOICE',
+  CREDIT_NOTE: 'CREDIT_NOTE',
+};
+
+// Nummernkreise: RE-2026-00001 (Rechnung), GS-2026-00001 (Gutschrift), je Jahr lückenlos
+export const INVOICE_PREFIXES = {
+  INVOICE: 'RE',
+  CREDIT_NOTE: 'GS',
+};
+
+const TAX_NOTES = {
+  [TAX_TREATMENT.REVERSE_CHARGE]: 'Steuerschuldnerschaft des Leistungsempfängers (Reverse Charge, Art. 196 MwSt-Systemrichtlinie)',
+  [TAX_TREATMENT.EXPORT]: 'Steuerfreie Ausfuhrlieferung (§ 4 Nr. 1a UStG)',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const sequenceKey = (type, year) => `${INVOICE_PREFIXES[type]}-${year}`;
+
+export function formatInvoiceNumber(type, year, sequence) {
+  return `${sequenceKey(type, year)}-${String(sequence).padStart(5, '0')}`;
+}
+
+/**
+ * Käuferdaten aus customerInfo der Bestellung
+ */
+export function invoiceBuyer(order) {
+  const customerInfo = order.customerInfo || {};
+  return {
+    name: customerInfo.name || order.user?.name || null,
+    email: customerInfo.email || order.user?.email || null,
+    address: formatShippingAddress(customerInfo).filter(line => line !== customerInfo.name),
+    vatId: order.vatId || null,
+  };
+}
+
+/**
+ * Rechnung aus Bestellung und Positionen (OrderItem, Nettopreise) inkl. Versand
+ * Steuersatz und -behandlung stammen aus der Bestellung (siehe utils/tax.js)
+ * @param {Object} order - Bestellung mit items
+ * @param {Object} seller - { name, address: [], vatId, country }
+ * @returns {Object} Belegdaten ohne Nummer: { type, seller, buyer, lines, netTotal, taxTotal, total, taxTreatment, taxBreakdown, note }
+ */
+export function buildInvoice(order, seller) {
+  const rate = order.taxBreakdown?.[0]?.rate ?? 0;
+  // orderItemId ordnet Retouren ihrer Rechnungszeile (und deren USt-Satz) zu
+  const positions = (order.items || []).map(item => ({ orderItemId: item.id, name: item.name, quantity: item.quantity, unitPrice: item.price }));
+  if (order.shippingTotal > 0) {
+    positions.push({ name: 'Versand', quantity: 1, unitPrice: order.shippingTotal });
+  }
+
+  const lines = positions.map(position => {
+    const net = round(position.unitPrice * position.quantity);
+    const vat = round(net * rate);
+    return { ...position, net, rate, vat, gross: round(net + vat) };
+  });
+
+  return summarize({
+    type: INVOICE_TYPE.INVOICE,
+    seller,
+    buyer: invoiceBuyer(order),
+    lines,
+    taxTreatment: order.taxTreatment || null,
+    taxCountry: order.taxCountry || null,
+    note: TAX_NOTES[order.taxTreatment] || null,
+  });
+}
+
+const negate = (line) => ({
+  name: line.name,
+  quantity: line.quantity,
+  unitPrice: -line.unitPrice,
+  net: -line.net,
+  rate: line.rate,
+  vat: -line.vat,
+  gross: -line.gross,
+});
+
+/**
+ * Gutschrift zu einer Rechnung mit negativen Beträgen
+ * Mit lines (Retoure) werden genau diese Positionen gutgeschrieben; ohne amount (oder amount >= offener Betrag
+ * bei erster Gutschrift) werden alle Positionen storniert, sonst eine Position "Teilerstattung" über den Bruttobetrag
+ * @param {Object} invoice - Rechnung
+ * @param {Object} options - { amount (brutto), remaining (noch nicht gutgeschrieben, brutto), reason,
+ *   lines: [{ name, quantity, unitPrice, net, rate, vat, gross }] (positiv) }
+ */
+export function buildCreditNote(invoice, { amount = null, remaining = invoice.total, reason = null, lines: credited = null } = {}) {
+  const gross = round(Math.min(amount ?? remaining, remaining));
+  const rate = invoice.taxBreakdown?.[0]?.rate ?? 0;
+
+  let lines;
+  if (credited) {
+    lines = credited.map(negate);
+  } else if (gross >= invoice.total) {
+    lines = invoice.lines.map(negate);
+  } else {
+    const net = round(gross / (1 + rate));
+    lines = [{ name: 'Teilerstattung', quantity: 1, unitPrice: -net, net: -net, rate, vat: -round(gross - net), gross: -gross }];
+  }
+
+  return summarize({
+    type: INVOICE_TYPE.CREDIT_NOTE,
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    lines,
+    taxTreatment: invoice.taxTreatment,
+    taxCountry: invoice.taxCountry,
+    note: [`Gutschrift zur Rechnung ${invoice.number}`, reason].filter(Boolean).join(' – '),
+  });
+}
+
+function summarize(document) {
+  const netTotal = round(document.lines.reduce((sum, line) => sum + line.net, 0));
+  const taxTotal = round(document.lines.reduce((sum, line) => sum + line.vat, 0));
+
+  const byRate = new Map();
+  for (const line of document.lines) {
+    const entry = byRate.get(line.rate) || { country: document.taxCountry, rate: line.rate, net: 0, vat: 0 };
+    entry.net = round(entry.net + line.net);
+    entry.vat = round(entry.vat + line.vat);
+    byRate.set(line.rate, entry);
+  }
+
+  return {
+    ...document,
+    netTotal,
+    taxTotal,
+    total: round(netTotal + taxTotal),
+    taxBreakdown: [...byRate.values()],
+  };
+}
+
+const money = (value) => `${value.toFixed(2).replace('.', ',')} EUR`;
+const percent = (rate) => `${(rate * 100).toLocaleString('de-DE', { maximumFractionDigits: 1 })} %`;
+
+/**
+ * Textzeilen eines Belegs für das PDF
+ * @param {Object} invoice - gespeicherter Beleg inkl. number, issuedAt und order (orderNumber)
+ */
+export function invoiceLines(invoice) {
+  const isCreditNote = invoice.type === INVOICE_TYPE.CREDIT_NOTE;
+  const { seller = {}, buyer = {} } = invoice;
+
+  return [
+    { text: [seller.name, ...(seller.address || [])].filter(Boolean).join(' · '), size: 8 },
+    '',
+    ...[buyer.name, ...(buyer.address || [])].filter(Boolean),
+    ...(buyer.vatId ? [`USt-IdNr.: ${buyer.vatId}`] : []),
+    '',
+    { text: `${isCreditNote ? 'Gutschrift' : 'Rechnung'} ${invoice.number}`, bold: true, size: 16 },
+    '',
+    `Datum: ${new Date(invoice.issuedAt || Date.now()).toISOString().slice(0, 10)}`,
+    `Bestellung: ${invoice.order?.orderNumber || '-'}`,
+    ...(seller.vatId ? [`USt-IdNr. Verkäufer: ${seller.vatId}`] : []),
+    '',
+    { text: 'Pos.  Menge  Artikel', bold: true },
+    ...invoice.lines.flatMap((line, index) => [
+      `${String(index + 1).padEnd(6)}${String(line.quantity).padEnd(7)}${line.name}`,
+      `              ${money(line.unitPrice)} je Stück, netto ${money(line.net)}, USt ${percent(line.rate)} ${money(line.vat)}`,
+    ]),
+    '',
+    `Nettobetrag: ${money(invoice.netTotal)}`,
+    ...invoice.taxBreakdown.map(entry => `USt ${percent(entry.rate)}${entry.country ? ` (${entry.country})` : ''} auf ${money(entry.net)}: ${money(entry.vat)}`),
+    { text: `${isCreditNote ? 'Gutschriftsbetrag' : 'Rechnungsbetrag'}: ${money(invoice.total)}`, bold: true },
+    '',
+    ...(invoice.note ? [invoice.note] : []),
+    isCreditNote ? 'Der Betrag wird auf das ursprüngliche Zahlungsmittel erstattet.' : 'Der Rechnungsbetrag wurde bereits bezahlt. Vielen Dank für Ihre Bestellung!',
+  ];
+}
+
+export function renderInvoicePdf(invoice) {
+  return renderTextPdf(invoiceLines(invoice), { title: invoice.number });
+}
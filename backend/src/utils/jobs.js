@@ -0,0 +1,88 @@
+/**
+ * Hintergrund-Jobs: Status, Wiederholung mit exponentiellem Backoff und Dead-Lettering
+ * Gespeichert in der Datenbank (Job) oder in Redis, abgearbeitet vom JobQueue-Worker
+ */
+
+export const JOB_STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  DEAD: 'DEAD',
+  CANCELLED: 'CANCELLED',
+};
+
+// Offene Jobs; ein uniqueKey darf nur einmal offen sein
+export const ACTIVE_JOB_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+// Admin: erneut einreihen bzw. verwerfen
+export const RETRYABLE_JOB_STATUSES = [JOB_STATUS.DEAD, JOB_STATUS.CANCELLED, JOB_STATUS.QUEUED];
+export const CANCELLABLE_JOB_STATUSES = [JOB_STATUS.QUEUED];
+
+// Standardwerte pro Job-Typ, überschreibbar bei der Registrierung des Handlers
+export const DEFAULT_JOB_OPTIONS = {
+  maxAttempts: 5,
+  concurrency: 1,
+  timeoutMs: 5 * 60 * 1000,
+  baseDelayMs: 10 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+};
+
+// Fehlermeldungen werden gekürzt gespeichert
+export const JOB_ERROR_LIMIT = 2000;
+
+/**
+ * Wartezeit vor dem nächsten Versuch: base · 2^(Versuch-1), begrenzt auf maxDelayMs
+ * @param {number} attempt - Anzahl bisheriger Versuche (ab 1)
+ * @returns {number} Millisekunden
+ */
+export function jobRetryDelay(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_JOB_OPTIONS) {
+  return Math.min(baseDelayMs * 2 ** Math.max(0, attempt - 1), maxDelayMs);
+}
+
+/**
+ * Zustand nach einem fehlgeschlagenen Versuch: erneut einreihen oder Dead-Letter
+ * @param {Object} job - { attempts (inkl. des fehlgeschlagenen Versuchs), maxAttempts }
+ * @param {Error|string} error
+ * @returns {{ status: string, runAt: Date|null, lastError: string }}
+ */
+export function nextJobState(job, error, options = DEFAULT_JOB_OPTIONS, now = new Date()) {
+  const lastError = jobErrorMessage(error);
+
+  if (job.attempts >= job.maxAttempts) {
+    return { status: JOB_STATUS.DEAD, runAt: null, lastError };
+  }
+  return {
+    status: JOB_STATUS.QUEUED,
+    runAt: new Date(now.getTime() + jobRetryDelay(job.attempts, options)),
+    lastError,
+  };
+}
+
+export function jobErrorMessage(error) {
+  const message = error?.message || String(error || 'Unknown error');
+  return message.slice(0, JOB_ERROR_LIMIT);
+}
+
+/**
+ * Freie Plätze je Job-Typ unter Beachtung des Typ-Limits und des globalen Limits
+ * @param {Object} concurrencyByType - { [type]: maximale parallele Jobs }
+ * @param {Object} runningByType - { [type]: laufende Jobs dieses Workers }
+ * @param {number} globalConcurrency - maximale parallele Jobs insgesamt
+ * @returns {Array} [{ type, slots }] nur Typen mit freien Plätzen
+ */
+export function availableJobSlots(concurrencyByType = {}, runningByType = {}, globalConcurrency = Infinity) {
+  const running = Object.values(runningByType).reduce((sum, count) => sum + count, 0);
+  let free = Math.max(0, globalConcurrency - running);
+  const slots = [];
+
+  for (const [type, limit] of Object.entries(concurrencyByType)) {
+    if (free === 0) break;
+    const available = Math.min(Math.max(0, limit - (runningByType[type] || 0)), free);
+    if (available > 0) {
+      slots.push({ type, slots: available });
+      free -= available;
+    }
+  }
+
+  return slots;
+}
@@ -0,0 +1,88 @@
+/**
+ * Gespeicherte Bauanleitungen: Versionen und Eingabe für den ManualService
+ * Eine Anleitungsreihe ist je Konfiguration bzw. Bestellung und Sprache versioniert (1.0, 2.0, …);
+ * aktiv sind höchstens ein Entwurf und eine veröffentlichte Version
+ */
+
+import crypto from 'crypto';
+
+export const MANUAL_STATUS = {
+  DRAFT: 'DRAFT',
+  PUBLISHED: 'PUBLISHED',
+  ARCHIVED: 'ARCHIVED',
+};
+
+export const ACTIVE_MANUAL_STATUSES = [MANUAL_STATUS.DRAFT, MANUAL_STATUS.PUBLISHED];
+
+/**
+ * Nächste Version einer Reihe; neu erzeugte Anleitungen zählen die Hauptversion hoch
+ * @param {string|null} latestVersion - Version der jüngsten Anleitung der Reihe
+ * @returns {string} z.B. '3.0'
+ */
+export function nextManualVersion(latestVersion) {
+  const major = parseInt(String(latestVersion || '').split('.')[0], 10);
+  return Number.isFinite(major) ? `${major + 1}.0` : '1.0';
+}
+
+/**
+ * Diese Anleitungen werden beim Speichern einer neuen Version archiviert:
+ * ein neuer Entwurf ersetzt ältere Entwürfe, eine veröffentlichte Version zusätzlich die bisher veröffentlichte
+ */
+export function supersededStatuses(status) {
+  return status === MANUAL_STATUS.PUBLISHED ? ACTIVE_MANUAL_STATUSES : [MANUAL_STATUS.DRAFT];
+}
+
+// Mehrfach gewählte Typen (z.B. zwei sensor-Einträge) bekommen eigene Schlüssel, sonst überschreiben sie sich
+function addComponent(components, type, component) {
+  let key = type;
+  for (let i = 2; components[key]; i++) {
+    key = `${type}_${i}`;
+  }
+  components[key] = { ...component, selected: true };
+}
+
+/**
+ * Eingabe für ManualService.generateManual aus einer gespeicherten Konfiguration (inkl. components mit component).
+ * Die Anleitungs-ID einer Komponente steht in options.manualId, sonst gilt die Katalog-ID
+ */
+export function configurationToManualInput(configuration) {
+  const components = {};
+
+  for (const entry of configuration.components || []) {
+    addComponent(components, entry.componentType, {
+      id: entry.options?.manualId || entry.componentId || entry.componentType,
+      name: entry.component?.name || entry.componentType,
+    });
+  }
+
+  return { id: configuration.id, name: configuration.name, components };
+}
+
+/**
+ * Eingabe aus den Positionen einer Bestellung ohne gespeicherte Konfiguration (Konfigurator-Bestellungen: options.partKey)
+ */
+export function orderItemsToManualInput(order) {
+  const components = {};
+
+  for (const item of order.items || []) {
+    addComponent(components, item.options?.partKey || 'part', {
+      id: item.options?.manualId || item.options?.partKey || item.componentId || item.name,
+      name: item.name,
+    });
+  }
+
+  return { id: order.configurationId || order.id, name: order.label || order.orderNumber, components };
+}
+
+/**
+ * Fingerabdruck der ausgewählten Komponenten; ändert er sich, wird die Anleitung neu erzeugt.
+ * Name, Beschreibung oder Preis der Konfiguration spielen keine Rolle
+ */
+export function manualFingerprint(input) {
+  const selected = Object.values(input.components || {})
+    .filter(component => component && component.selected)
+    .map(component => `${component.id}|${component.name || ''}`)
+    .sort();
+
+  return crypto.createHash('sha256').update(JSON.stringify(selected)).digest('hex');
+}
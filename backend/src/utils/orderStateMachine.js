@@ -0,0 +1,93 @@
+/**
+ * Zustandsautomat der Bestellungen
+ * Erlaubte Übergänge je OrderStatus plus Guards; die Seiteneffekte führt services/orderService.js aus
+ * Drop-Ship: PO_CREATED, ORDERED, SHIPPED und DELIVERED folgen dem Stand der Einkaufsbestellungen
+ */
+
+import { PURCHASE_ORDER_STATUS, rollupOrderStatus } from './purchaseOrders.js';
+
+export const ORDER_TRANSITIONS = {
+  PENDING: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['PO_CREATED', 'SHIPPED', 'CANCELLED', 'REFUNDED'],
+  PO_CREATED: ['ORDERED', 'CANCELLED', 'REFUNDED'],
+  ORDERED: ['SHIPPED', 'CANCELLED', 'REFUNDED'],
+  SHIPPED: ['DELIVERED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
+  DELIVERED: ['PARTIALLY_REFUNDED', 'REFUNDED'],
+  // Retouren einzelner Positionen (siehe utils/returns.js); die letzte Retoure erstattet die Bestellung vollständig
+  PARTIALLY_REFUNDED: ['REFUNDED'],
+  CANCELLED: ['REFUNDED'],
+  REFUNDED: [],
+};
+
+const activePurchaseOrders = (purchaseOrders = []) =>
+  purchaseOrders.filter(po => po.status !== PURCHASE_ORDER_STATUS.CANCELLED);
+
+const isPaid = (order) => order.paymentStatus === 'COMPLETED';
+
+/**
+ * Guards je Zielstatus: liefern einen Grund, wenn der Übergang nicht möglich ist, sonst null
+ * context.purchaseOrders: Einkaufsbestellungen der Bestellung
+ */
+const GUARDS = {
+  PROCESSING: (order) => (isPaid(order) ? null : 'Payment must be completed first'),
+
+  PO_CREATED: (order, { purchaseOrders }) =>
+    activePurchaseOrders(purchaseOrders).length > 0 ? null : 'No purchase orders created yet',
+
+  ORDERED: (order, { purchaseOrders }) => {
+    const active = activePurchaseOrders(purchaseOrders);
+    if (active.length === 0) return 'No purchase orders created yet';
+    return active.some(po => po.status === PURCHASE_ORDER_STATUS.DRAFT) ? 'Purchase orders not sent to all suppliers' : null;
+  },
+
+  SHIPPED: (order, { purchaseOrders }) => {
+    if (activePurchaseOrders(purchaseOrders).length === 0) return null;
+    return rollupOrderStatus(purchaseOrders) ? null : 'Not all purchase orders have shipped';
+  },
+
+  DELIVERED: (order, { purchaseOrders }) => {
+    if (activePurchaseOrders(purchaseOrders).length === 0) return null;
+    return rollupOrderStatus(purchaseOrders) === 'DELIVERED' ? null : 'Not all purchase orders are delivered';
+  },
+
+  CANCELLED: (order, { purchaseOrders }) => {
+    const shipped = activePurchaseOrders(purchaseOrders)
+      .filter(po => [PURCHASE_ORDER_STATUS.SHIPPED, PURCHASE_ORDER_STATUS.DELIVERED].includes(po.status));
+    return shipped.length > 0 ? `Purchase orders already shipped: ${shipped.map(po => po.poNumber).join(', ')}` : null;
+  },
+
+  PARTIALLY_REFUNDED: (order) => (isPaid(order) ? null : 'Order has not been paid'),
+
+  REFUNDED: (order) =>
+    ['COMPLETED', 'REFUNDED'].includes(order.paymentStatus) ? null : 'Order has not been paid',
+};
+
+/**
+ * Prüft einen Übergang
+ * @param {Object} order - { status, paymentStatus }
+ * @param {string} to - Zielstatus
+ * @param {Object} context - { purchaseOrders }
+ * @returns {Object} { allowed, reason }
+ */
+export function checkTransition(order, to, context = {}) {
+  if (!(to in ORDER_TRANSITIONS)) {
+    return { allowed: false, reason: `Unknown status ${to}` };
+  }
+  if (!(ORDER_TRANSITIONS[order.status] || []).includes(to)) {
+    return { allowed: false, reason: `Cannot change order from ${order.status} to ${to}` };
+  }
+
+  const reason = GUARDS[to]?.(order, { purchaseOrders: [], ...context }) || null;
+  return { allowed: !reason, reason };
+}
+
+/**
+ * Alle Folgezustände mit Prüfergebnis, für die Anzeige der möglichen Aktionen
+ * @returns {Array} [{ status, allowed, reason }]
+ */
+export function getTransitions(order, context = {}) {
+  return (ORDER_TRANSITIONS[order.status] || []).map(status => ({
+    status,
+    ...checkTransition(order, status, context),
+  }));
+}
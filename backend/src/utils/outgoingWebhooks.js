@@ -0,0 +1,117 @@
+/**
+ * Ausgehende Webhooks an registrierte Endpunkte (WebhookSubscription)
+ * Body: { id, event, createdAt, data }, signiert wie eingehende Webhooks (siehe webhookSignature.js)
+ * Fehlgeschlagene Zustellungen werden mit exponentiellem Backoff wiederholt
+ */
+
+import crypto from 'crypto';
+import { signWebhookPayload } from './webhookSignature.js';
+
+// Events, die abonniert werden können; "ping" nur für Test-Zustellungen aus dem Admin-Bereich
+export const WEBHOOK_EVENTS = [
+  'order.created',
+  'order.processing',
+  'order.shipped',
+  'order.delivered',
+  'order.cancelled',
+  'order.refunded',
+  'payment.confirmed',
+  'manual.ready',
+  'price.changed',
+];
+
+export const PING_EVENT = 'ping';
+
+export const DELIVERY_STATUS = {
+  PENDING: 'PENDING',
+  RETRYING: 'RETRYING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED',
+};
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 8,
+  baseDelaySeconds: 30,
+  maxDelaySeconds: 6 * 60 * 60,
+};
+
+// Antworttext wird nur gekürzt im Zustellungsprotokoll gespeichert
+export const RESPONSE_BODY_LIMIT = 2000;
+
+/**
+ * Wartezeit vor dem nächsten Versuch: base · 2^(Versuch-1), begrenzt auf maxDelaySeconds
+ * @param {number} attempt - Anzahl bisheriger Versuche (ab 1)
+ * @returns {number} Millisekunden
+ */
+export function retryDelay(attempt, { baseDelaySeconds, maxDelaySeconds } = DEFAULT_RETRY_OPTIONS) {
+  const seconds = baseDelaySeconds * 2 ** Math.max(0, attempt - 1);
+  return Math.min(seconds, maxDelaySeconds) * 1000;
+}
+
+/**
+ * Zustand einer Zustellung nach einem Versuch
+ * @param {number} attempts - Anzahl Versuche inkl. des gerade ausgeführten
+ * @param {boolean} success - Endpunkt hat mit 2xx geantwortet
+ * @returns {{ status: string, nextAttemptAt: Date|null }}
+ */
+export function nextDeliveryState(attempts, success, options = DEFAULT_RETRY_OPTIONS, now = new Date()) {
+  if (success) {
+    return { status: DELIVERY_STATUS.SUCCEEDED, nextAttemptAt: null };
+  }
+  if (attempts >= options.maxAttempts) {
+    return { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null };
+  }
+  return {
+    status: DELIVERY_STATUS.RETRYING,
+    nextAttemptAt: new Date(now.getTime() + retryDelay(attempts, options)),
+  };
+}
+
+/**
+ * Aktive Abonnements, die ein Event erhalten ("*" abonniert alle Events)
+ */
+export function subscriptionsFor(subscriptions = [], event) {
+  return subscriptions.filter(subscription => {
+    const events = Array.isArray(subscription.events) ? subscription.events : [];
+    return subscription.active && (events.includes(event) || events.includes('*'));
+  });
+}
+
+/**
+ * Body eines Events; die ID ist für alle Abonnements gleich und dient Empfängern zur Deduplizierung
+ */
+export function buildWebhookPayload(event, data, { id = `evt_${crypto.randomUUID()}`, createdAt = new Date() } = {}) {
+  return {
+    id,
+    event,
+    createdAt: createdAt.toISOString(),
+    data,
+  };
+}
+
+/**
+ * Header eines Zustellversuchs; die Signatur wird pro Versuch mit aktuellem Zeitstempel erzeugt
+ * @param {string} body - serialisierter Payload, exakt wie gesendet
+ */
+export function buildWebhookHeaders(body, secret, { event, eventId, deliveryId, timestamp } = {}) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'DIY-Humanoid-Configurator/1.0',
+    'X-Webhook-Signature': signWebhookPayload(body, secret, timestamp),
+    'X-Webhook-Event': event,
+    'X-Webhook-Id': eventId,
+    'X-Webhook-Delivery': deliveryId,
+  };
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Geheimnis in Listen nur angedeutet anzeigen
+export function maskSecret(secret) {
+  if (!secret) return null;
+  return `${secret.slice(0, 6)}…${secret.slice(-4)}`;
+}
+
+export const isSuccessStatus = (status) => status >= 200 && status < 300;
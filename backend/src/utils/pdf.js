@@ -0,0 +1,115 @@
+/**
+ * Minimaler PDF-Writer für textbasierte Dokumente (Einkaufsbestellungen, Belege)
+ * A4, Helvetica/Helvetica-Bold in WinAnsiEncoding, automatischer Seitenumbruch
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 10;
+const LEADING = 14;
+
+// Unicode-Zeichen, die in WinAnsiEncoding an anderer Stelle liegen oder ersetzt werden
+const WIN_ANSI = {
+  '€': 0x80,
+  '‚': 0x82,
+  '„': 0x84,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '‑': 0x2d,
+  '→': 0x3e,
+};
+
+/**
+ * Kodiert Text für einen PDF-String: WinAnsi-Bytes, Klammern und Backslash maskiert
+ * Zeichen außerhalb von WinAnsi werden durch '?' ersetzt
+ */
+function encodeText(text) {
+  let encoded = '';
+  for (const char of String(text)) {
+    const code = WIN_ANSI[char] ?? char.codePointAt(0);
+    const byte = code <= 0xff ? String.fromCharCode(code) : '?';
+    encoded += byte === '(' || byte === ')' || byte === '\\' ? `\\${byte}` : byte;
+  }
+  return encoded;
+}
+
+/**
+ * Normalisiert eine Zeile: String oder { text, bold, size }
+ */
+function toLine(line) {
+  return typeof line === 'string' ? { text: line } : { text: '', ...line };
+}
+
+function paginate(lines) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines.map(toLine)) {
+    const height = Math.max(LEADING, (line.size || FONT_SIZE) * 1.4);
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    pages[pages.length - 1].push({ ...line, y });
+  }
+
+  return pages;
+}
+
+function pageContent(lines, pageNumber, pageCount) {
+  const commands = lines.map(line =>
+    `BT /${line.bold ? 'F2' : 'F1'} ${line.size || FONT_SIZE} Tf ${MARGIN} ${line.y.toFixed(1)} Td (${encodeText(line.text)}) Tj ET`
+  );
+  if (pageCount > 1) {
+    commands.push(`BT /F1 8 Tf ${PAGE_WIDTH - MARGIN - 40} ${MARGIN / 2} Td (${pageNumber} / ${pageCount}) Tj ET`);
+  }
+  return commands.join('\n');
+}
+
+/**
+ * Erzeugt ein PDF aus Textzeilen
+ * @param {Array<string|Object>} lines - Zeilen als String oder { text, bold, size }
+ * @param {Object} options - { title }
+ * @returns {Buffer} PDF-Datei
+ */
+export function renderTextPdf(lines, { title = '' } = {}) {
+  const pages = paginate(lines);
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  add('<< /Type /Catalog /Pages 2 0 R >>');
+  add(null); // Seitenbaum, Kinder stehen erst nach den Seiten fest
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  add(`<< /Title (${encodeText(title)}) /Producer (DIY Humanoid Configurator) >>`);
+
+  const pageRefs = pages.map((pageLines, index) => {
+    const content = pageContent(pageLines, index + 1, pages.length);
+    add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    return `${objects.length} 0 R`;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,287 @@
+/**
+ * Power-Budget-Berechnung für Konfigurationen
+ * Ermittelt Durchschnitts- und Spitzenlast je Versorgungsschiene und prüft Regler, Netzteile und Akkus
+ * Der Konfigurator im Frontend erhält das Ergebnis über POST /api/configurations/power
+ */
+
+import { PARTS } from '../data/products.js';
+
+// Versorgungsschienen
+export const POWER_RAILS = {
+  V5: { key: 'V5', voltage: 5 },      // Servo- und Logikschiene hinter dem UBEC
+  VIN: { key: 'VIN', voltage: null }, // Eingang: Netzteil oder Akku (Spannung je Quelle)
+};
+
+export const POWER_STATUS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  OVERLOADED: 'overloaded',
+  CRITICAL: 'critical',
+};
+
+const STATUS_ORDER = [POWER_STATUS.OK, POWER_STATUS.WARNING, POWER_STATUS.OVERLOADED, POWER_STATUS.CRITICAL];
+
+// Annahme für die Spitzenlast: Anteil der Servos, die gleichzeitig blockieren
+export const SERVO_STALL_SIMULTANEITY = 0.25;
+// Ab dieser Durchschnittsauslastung wird gewarnt
+export const WARNING_UTILIZATION = 0.8;
+// Ab dieser Durchschnittsauslastung gilt die Schiene als stark überlastet und der Checkout wird gesperrt
+export const BLOCKING_UTILIZATION = 1.5;
+// Mindestlaufzeit im Akkubetrieb
+export const MIN_BATTERY_RUNTIME_MINUTES = 20;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const worstStatus = (a, b) => (STATUS_ORDER.indexOf(a) >= STATUS_ORDER.indexOf(b) ? a : b);
+
+/**
+ * Spitzenstrom eines Verbrauchers
+ * Servos: ein Teil blockiert (stallCurrent), der Rest läuft mit typicalCurrent
+ * @param {Object} power - Elektrische Daten des Teils
+ * @returns {number} Spitzenstrom in A
+ */
+function peakCurrentFor(power) {
+  if (Number.isFinite(power.stallCurrent)) {
+    return SERVO_STALL_SIMULTANEITY * power.stallCurrent
+      + (1 - SERVO_STALL_SIMULTANEITY) * (power.typicalCurrent || 0);
+  }
+  return power.peakCurrent ?? power.typicalCurrent ?? 0;
+}
+
+/**
+ * Bewertet die Auslastung einer Versorgung
+ * @param {number} utilization - Durchschnittslast / Kapazität
+ * @param {number} peakUtilization - Spitzenlast / Kapazität
+ * @returns {string} POWER_STATUS
+ */
+function statusForUtilization(utilization, peakUtilization) {
+  if (utilization > BLOCKING_UTILIZATION) return POWER_STATUS.CRITICAL;
+  if (utilization > 1) return POWER_STATUS.OVERLOADED;
+  if (utilization > WARNING_UTILIZATION || peakUtilization > 1) return POWER_STATUS.WARNING;
+  return POWER_STATUS.OK;
+}
+
+/**
+ * Prüft eine Schiene gegen ihre Versorgungen
+ * Unterschiedliche Versorgungsteile (z.B. Netzteil und Akku) gelten als Alternativen,
+ * bewertet wird daher die schwächste Versorgung
+ * @param {string} rail - Schienen-Key
+ * @param {Object} load - { averagePower, peakPower } in W
+ * @param {Array} supplies - Versorgungen dieser Schiene
+ * @returns {{ rail: Object, issues: Array }}
+ */
+function evaluateRail(rail, load, supplies) {
+  const issues = [];
+  const nominalVoltage = POWER_RAILS[rail]?.voltage ?? null;
+
+  const groups = supplies.map(supply => {
+    const capacity = supply.quantity * supply.maxCurrent;
+    const averageCurrent = load.averagePower / supply.outputVoltage;
+    const peakCurrent = load.peakPower / supply.outputVoltage;
+    const utilization = capacity > 0 ? averageCurrent / capacity : Infinity;
+    const peakUtilization = capacity > 0 ? peakCurrent / capacity : Infinity;
+
+    return {
+      partKey: supply.partKey,
+      quantity: supply.quantity,
+      voltage: supply.outputVoltage,
+      capacity: round(capacity),
+      averageCurrent: round(averageCurrent),
+      peakCurrent: round(peakCurrent),
+      utilization: round(utilization, 3),
+      peakUtilization: round(peakUtilization, 3),
+      status: statusForUtilization(utilization, peakUtilization),
+    };
+  });
+
+  const weakest = groups.reduce(
+    (worst, group) => (!worst || group.utilization > worst.utilization ? group : worst),
+    null
+  );
+
+  const voltage = weakest?.voltage ?? nominalVoltage;
+  const result = {
+    rail,
+    voltage,
+    averagePower: round(load.averagePower),
+    peakPower: round(load.peakPower),
+    averageCurrent: voltage ? round(load.averagePower / voltage) : null,
+    peakCurrent: voltage ? round(load.peakPower / voltage) : null,
+    capacity: weakest?.capacity ?? 0,
+    utilization: weakest?.utilization ?? null,
+    status: weakest?.status ?? POWER_STATUS.OK,
+    supplies: groups,
+  };
+
+  if (!weakest) {
+    if (load.averagePower > 0) {
+      result.status = POWER_STATUS.WARNING;
+      issues.push({
+        severity: 'warning',
+        code: 'RAIL_NO_SUPPLY',
+        rail,
+        message: `No supply for rail ${rail} (${result.averagePower} W average load)`,
+        details: { averagePower: result.averagePower },
+      });
+    }
+    return { rail: result, issues };
+  }
+
+  for (const group of groups) {
+    const details = {
+      partKey: group.partKey,
+      quantity: group.quantity,
+      capacity: group.capacity,
+      averageCurrent: group.averageCurrent,
+      peakCurrent: group.peakCurrent,
+    };
+
+    if (group.status === POWER_STATUS.CRITICAL || group.status === POWER_STATUS.OVERLOADED) {
+      issues.push({
+        severity: 'error',
+        code: group.status === POWER_STATUS.CRITICAL ? 'RAIL_CRITICAL' : 'RAIL_OVERLOADED',
+        rail,
+        blocking: group.status === POWER_STATUS.CRITICAL,
+        message: `Rail ${rail} draws ${group.averageCurrent} A on average but ${group.quantity}x ${group.partKey} supplies only ${group.capacity} A`,
+        details,
+      });
+    } else if (group.peakUtilization > 1) {
+      issues.push({
+        severity: 'warning',
+        code: 'RAIL_PEAK_EXCEEDED',
+        rail,
+        message: `Peak draw on rail ${rail} (${group.peakCurrent} A) exceeds ${group.quantity}x ${group.partKey} (${group.capacity} A)`,
+        details,
+      });
+    } else if (group.status === POWER_STATUS.WARNING) {
+      issues.push({
+        severity: 'warning',
+        code: 'RAIL_HIGH_UTILIZATION',
+        rail,
+        message: `Rail ${rail} runs at ${Math.round(group.utilization * 100)}% of ${group.partKey} capacity`,
+        details,
+      });
+    }
+  }
+
+  return { rail: result, issues };
+}
+
+/**
+ * Berechnet das Power-Budget für eine Stückliste
+ * @param {Object} items - Mengen je Teil, z.B. { MG996R: 12, UBEC6A: 1 }
+ * @param {Object} parts - Teilekatalog (Standard: PARTS)
+ * @returns {Object} { status, blocking, rails, batteries, issues }
+ */
+export function calculatePowerBudget(items = {}, parts = PARTS) {
+  const loads = {};
+  const supplies = {};
+
+  for (const [partKey, rawQuantity] of Object.entries(items)) {
+    const quantity = Number(rawQuantity) || 0;
+    const power = parts[partKey]?.power;
+    if (!power || quantity <= 0) continue;
+
+    if (power.supplies) {
+      (supplies[power.supplies] ||= []).push({ partKey, quantity, ...power });
+      continue;
+    }
+
+    const voltage = POWER_RAILS[power.rail]?.voltage || 0;
+    const load = (loads[power.rail] ||= { averagePower: 0, peakPower: 0 });
+    load.averagePower += quantity * (power.typicalCurrent || 0) * voltage;
+    load.peakPower += quantity * peakCurrentFor(power) * voltage;
+  }
+
+  // Regler belasten ihre Eingangsschiene mit der Ausgangsleistung / Wirkungsgrad
+  const inputLoads = {};
+  for (const [rail, railSupplies] of Object.entries(supplies)) {
+    const load = loads[rail];
+    const regulators = railSupplies.filter(supply => supply.inputRail);
+    if (!load || regulators.length === 0) continue;
+
+    const efficiency = Math.min(...regulators.map(supply => supply.efficiency || 1));
+    const inputRail = regulators[0].inputRail;
+    const inputLoad = (inputLoads[inputRail] ||= { averagePower: 0, peakPower: 0 });
+    inputLoad.averagePower += load.averagePower / efficiency;
+    inputLoad.peakPower += load.peakPower / efficiency;
+  }
+
+  const rails = {};
+  const issues = [];
+  let status = POWER_STATUS.OK;
+
+  const railKeys = new Set([...Object.keys(loads), ...Object.keys(supplies), ...Object.keys(inputLoads)]);
+  for (const rail of railKeys) {
+    const load = {
+      averagePower: (loads[rail]?.averagePower || 0) + (inputLoads[rail]?.averagePower || 0),
+      peakPower: (loads[rail]?.peakPower || 0) + (inputLoads[rail]?.peakPower || 0),
+    };
+    const evaluation = evaluateRail(rail, load, supplies[rail] || []);
+    rails[rail] = evaluation.rail;
+    issues.push(...evaluation.issues);
+    status = worstStatus(evaluation.rail.status, status);
+  }
+
+  // Eingangsspannung der Regler gegen die Quellen prüfen
+  for (const regulator of Object.values(supplies).flat().filter(supply => supply.inputVoltage)) {
+    for (const source of supplies[regulator.inputRail] || []) {
+      const { min, max } = regulator.inputVoltage;
+      if (source.outputVoltage < min || source.outputVoltage > max) {
+        status = worstStatus(POWER_STATUS.WARNING, status);
+        issues.push({
+          severity: 'error',
+          code: 'SUPPLY_VOLTAGE_MISMATCH',
+          rail: regulator.inputRail,
+          message: `${regulator.partKey} needs ${min}–${max} V input but ${source.partKey} delivers ${source.outputVoltage} V`,
+          details: { partKey: regulator.partKey, sourceKey: source.partKey, min, max, voltage: source.outputVoltage },
+        });
+      }
+    }
+  }
+
+  // Laufzeit im Akkubetrieb
+  const batteries = [];
+  for (const source of Object.values(supplies).flat().filter(supply => supply.capacityAh)) {
+    const averagePower = rails[source.supplies]?.averagePower || 0;
+    const capacityWh = source.quantity * source.capacityAh * source.outputVoltage;
+    const runtimeMinutes = averagePower > 0 ? Math.round((capacityWh / averagePower) * 60) : null;
+    batteries.push({ partKey: source.partKey, quantity: source.quantity, capacityWh: round(capacityWh), runtimeMinutes });
+
+    if (runtimeMinutes !== null && runtimeMinutes < MIN_BATTERY_RUNTIME_MINUTES) {
+      status = worstStatus(POWER_STATUS.WARNING, status);
+      issues.push({
+        severity: 'warning',
+        code: 'BATTERY_RUNTIME_LOW',
+        rail: source.supplies,
+        message: `${source.quantity}x ${source.partKey} lasts only about ${runtimeMinutes} min at average load`,
+        details: { partKey: source.partKey, runtimeMinutes, minimum: MIN_BATTERY_RUNTIME_MINUTES },
+      });
+    }
+  }
+
+  return {
+    status,
+    blocking: issues.some(issue => issue.blocking),
+    rails,
+    batteries,
+    issues,
+  };
+}
+
+/**
+ * Wandelt gespeicherte Konfigurationskomponenten in Mengen je Teil um
+ * Der Teile-Key steht in options.partKey oder – wie vom Konfigurator gespeichert – in componentType
+ * @param {Array} components - ConfigComponent-Einträge
+ * @param {Object} parts - Teilekatalog (Standard: PARTS)
+ * @returns {Object} Mengen je Teil
+ */
+export function partQuantitiesFromComponents(components = [], parts = PARTS) {
+  return components.reduce((items, component) => {
+    const partKey = component.options?.partKey || component.componentType;
+    if (parts[partKey]) {
+      items[partKey] = (items[partKey] || 0) + (component.quantity || 0);
+    }
+    return items;
+  }, {});
+}
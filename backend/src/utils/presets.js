@@ -0,0 +1,90 @@
+/**
+ * Presets des Konfigurators: mitgelieferte (BUILT_IN), von Admins veröffentlichte (TEAM) und
+ * persönliche (PERSONAL) Stücklisten in einem gemeinsamen Format für Liste und Suche
+ */
+
+// Reihenfolge der Gruppen in der Preset-Leiste
+export const PRESET_SCOPES = ['BUILT_IN', 'TEAM', 'PERSONAL'];
+
+/**
+ * Freiheitsgrade einer Stückliste = Anzahl der Servos laut Teilekatalog
+ * @param {Object} items - { PART_KEY: Menge }
+ * @param {Object} parts - Teilekatalog (PARTS)
+ */
+export function presetDof(items = {}, parts = {}) {
+  return Object.entries(items).reduce(
+    (sum, [partKey, quantity]) => sum + (parts[partKey]?.category === 'SERVO' ? Number(quantity) || 0 : 0),
+    0
+  );
+}
+
+// Nur Positionen mit Menge > 0 werden gespeichert
+export function presetItems(items = {}) {
+  return Object.fromEntries(
+    Object.entries(items)
+      .map(([partKey, quantity]) => [partKey, Math.round(Number(quantity) || 0)])
+      .filter(([, quantity]) => quantity > 0)
+  );
+}
+
+// Tags klein geschrieben, ohne Leerzeichen am Rand und ohne Doppelte
+export function normalizePresetTags(tags = []) {
+  return [...new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Preset im Format der API
+ * @param {Object} preset - Datensatz der Tabelle presets oder Eintrag aus BUILT_IN_PRESETS (mit key)
+ * @param {Object} parts - Teilekatalog für die DOF-Berechnung
+ */
+export function toPresetView(preset, parts = {}) {
+  const items = preset.items || {};
+  const view = {
+    id: preset.id || preset.key,
+    scope: preset.scope || 'BUILT_IN',
+    label: preset.label,
+    notes: preset.notes ?? null,
+    translations: preset.translations ?? null,
+    items,
+    tags: normalizePresetTags(preset.tags || []),
+    dof: presetDof(items, parts),
+    isPublic: preset.scope === 'PERSONAL' ? Boolean(preset.isPublic) : true,
+  };
+
+  if (preset.i18nKey) view.i18nKey = preset.i18nKey;
+  if (preset.userId) view.userId = preset.userId;
+  if (preset.sortOrder !== undefined) view.sortOrder = preset.sortOrder;
+  if (preset.updatedAt) view.updatedAt = preset.updatedAt;
+  return view;
+}
+
+// Mitgelieferte Presets; id = Schlüssel (starter, walker, inmoov)
+export function builtInPresetViews(builtIns, parts = {}) {
+  return Object.entries(builtIns).map(([key, preset]) => toPresetView({ ...preset, key, scope: 'BUILT_IN' }, parts));
+}
+
+/**
+ * Filtert Presets nach Tags (alle müssen vorkommen), DOF-Bereich und Suchbegriff
+ * (Label, Notizen, Übersetzungen und Tags)
+ * @param {Array} presets - Presets im API-Format (toPresetView)
+ * @param {Object} filters - tag (Text oder Liste), minDof, maxDof, search
+ */
+export function filterPresets(presets, { tag, minDof, maxDof, search } = {}) {
+  const tags = normalizePresetTags(Array.isArray(tag) ? tag : tag ? [tag] : []);
+  const term = search?.trim().toLowerCase();
+
+  return presets.filter(preset => {
+    if (tags.some(wanted => !preset.tags.includes(wanted))) return false;
+    if (Number.isFinite(minDof) && preset.dof < minDof) return false;
+    if (Number.isFinite(maxDof) && preset.dof > maxDof) return false;
+    if (!term) return true;
+
+    const texts = [
+      preset.label,
+      preset.notes,
+      ...preset.tags,
+      ...Object.values(preset.translations || {}).flatMap(entry => [entry?.label, entry?.notes]),
+    ];
+    return texts.some(text => text?.toLowerCase().includes(term));
+  });
+}
@@ -0,0 +1,85 @@
+/**
+ * Erkennung von Preissprüngen und Ausverkauf nach einem Scraping-Lauf
+ * Vergleich jeweils mit dem letzten erfolgreichen PriceSnapshot vor dem Lauf (je Lieferanten-Angebot)
+ */
+
+import { offerKey } from './supplierOffers.js';
+
+export const PRICE_ALERT_TYPES = {
+  PRICE_JUMP: 'price_jump',
+  OUT_OF_STOCK: 'out_of_stock',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Vergleicht Scraping-Ergebnisse mit den vorherigen Snapshots
+ * @param {Array} results - Ergebnisse von PriceScraper.scrapeAllPrices
+ * @param {Object} previousByProduct - { [offerKey]: PriceSnapshot } vor dem Lauf, ohne offerId nach productKey
+ * @param {Object} options - { thresholdPercent: 10 }
+ * @returns {Array} [{ type, productKey, ... }]
+ */
+export function detectPriceAlerts(results = [], previousByProduct = {}, { thresholdPercent = 10 } = {}) {
+  const alerts = [];
+
+  for (const result of results) {
+    if (!result?.success) continue;
+
+    const previous = previousByProduct[offerKey(result.productKey, result.offerId)];
+    const offer = result.offerId ? { offerId: result.offerId, supplier: result.supplier || null } : {};
+
+    if (previous && Number.isFinite(previous.price) && previous.price > 0) {
+      const changePercent = round(((result.price - previous.price) / previous.price) * 100);
+      if (Math.abs(changePercent) >= thresholdPercent) {
+        alerts.push({
+          type: PRICE_ALERT_TYPES.PRICE_JUMP,
+          productKey: result.productKey,
+          ...offer,
+          previousPrice: previous.price,
+          price: result.price,
+          changePercent,
+          url: result.url || null,
+        });
+      }
+    }
+
+    // Nur der Wechsel auf ausverkauft zählt, nicht jeder Lauf mit ausverkauftem Teil
+    if (result.availability === 'out-of-stock' && previous?.availability !== 'out-of-stock') {
+      alerts.push({
+        type: PRICE_ALERT_TYPES.OUT_OF_STOCK,
+        productKey: result.productKey,
+        ...offer,
+        previousAvailability: previous?.availability || 'unknown',
+        url: result.url || null,
+      });
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Alle Preisänderungen gegenüber dem vorherigen Snapshot, unabhängig vom Alert-Schwellwert
+ * (Event price.changed für Webhook-Abonnenten)
+ * @returns {Array} [{ productKey, offerId?, supplier?, previousPrice, price, changePercent }]
+ */
+export function detectPriceChanges(results = [], previousByProduct = {}) {
+  const changes = [];
+
+  for (const result of results) {
+    if (!result?.success || !Number.isFinite(result.price)) continue;
+
+    const previous = previousByProduct[offerKey(result.productKey, result.offerId)];
+    if (!previous || !Number.isFinite(previous.price) || previous.price === result.price) continue;
+
+    changes.push({
+      productKey: result.productKey,
+      ...(result.offerId && { offerId: result.offerId, supplier: result.supplier || null }),
+      previousPrice: previous.price,
+      price: result.price,
+      changePercent: previous.price > 0 ? round(((result.price - previous.price) / previous.price) * 100) : null,
+    });
+  }
+
+  return changes;
+}
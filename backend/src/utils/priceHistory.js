@@ -0,0 +1,113 @@
+/**
+ * Auswertung der Preis-Historie (PriceSnapshot)
+ * Zeiträume, Aggregation in Zeit-Buckets und Kennzahlen (min/max/avg)
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Unterstützte Zeiträume für ?range=
+export const PRICE_HISTORY_RANGES = {
+  '24h': DAY,
+  '7d': 7 * DAY,
+  '30d': 30 * DAY,
+  '90d': 90 * DAY,
+  '1y': 365 * DAY,
+  all: null,
+};
+
+// Unterstützte Aggregationen für ?aggregate=
+export const PRICE_HISTORY_AGGREGATIONS = ['none', 'hour', 'day', 'week'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Ermittelt Start- und Endzeitpunkt eines Zeitraums
+ * @param {string} range - Schlüssel aus PRICE_HISTORY_RANGES
+ * @param {Date} now - Referenzzeitpunkt
+ * @returns {{ from: Date|null, to: Date }}
+ */
+export function resolveRange(range = '30d', now = new Date()) {
+  const duration = PRICE_HISTORY_RANGES[range];
+  return {
+    from: duration ? new Date(now.getTime() - duration) : null,
+    to: now,
+  };
+}
+
+/**
+ * Beginn des Buckets für einen Zeitpunkt (UTC, Wochen beginnen montags)
+ */
+function bucketStart(date, aggregate) {
+  const time = new Date(date).getTime();
+  if (aggregate === 'hour') return time - (time % HOUR);
+
+  const dayStart = time - (time % DAY);
+  if (aggregate === 'day') return dayStart;
+
+  const weekday = (new Date(dayStart).getUTCDay() + 6) % 7; // Montag = 0
+  return dayStart - weekday * DAY;
+}
+
+/**
+ * Fasst Snapshots zu Datenpunkten zusammen
+ * @param {Array} snapshots - PriceSnapshot-Einträge, aufsteigend nach scrapedAt
+ * @param {string} aggregate - 'none' | 'hour' | 'day' | 'week'
+ * @returns {Array} [{ timestamp, price, min, max, avg, count }]
+ */
+export function aggregateSnapshots(snapshots = [], aggregate = 'none') {
+  const priced = snapshots.filter(snapshot => Number.isFinite(snapshot.price));
+
+  if (aggregate === 'none') {
+    return priced.map(snapshot => ({
+      timestamp: new Date(snapshot.scrapedAt).toISOString(),
+      price: snapshot.price,
+      min: snapshot.price,
+      max: snapshot.price,
+      avg: snapshot.price,
+      count: 1,
+    }));
+  }
+
+  const buckets = new Map();
+  for (const snapshot of priced) {
+    const key = bucketStart(snapshot.scrapedAt, aggregate);
+    const bucket = buckets.get(key) || { prices: [] };
+    bucket.prices.push(snapshot.price);
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([key, { prices }]) => ({
+      timestamp: new Date(key).toISOString(),
+      price: prices[prices.length - 1],
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      avg: round(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+      count: prices.length,
+    }));
+}
+
+/**
+ * Kennzahlen über alle Snapshots eines Zeitraums
+ * @param {Array} snapshots - PriceSnapshot-Einträge, aufsteigend nach scrapedAt
+ * @returns {Object|null} { min, max, avg, first, last, changePercent, count } oder null ohne Preise
+ */
+export function summarizeSnapshots(snapshots = []) {
+  const prices = snapshots.map(snapshot => snapshot.price).filter(Number.isFinite);
+  if (prices.length === 0) return null;
+
+  const first = prices[0];
+  const last = prices[prices.length - 1];
+
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    avg: round(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+    first,
+    last,
+    changePercent: first > 0 ? round(((last - first) / first) * 100) : null,
+    count: prices.length,
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Einkaufsbestellungen (PO) für den Drop-Ship-Versand
+ * Eine bezahlte Bestellung wird je Lieferant in eine PO aufgeteilt; Lieferant und Einkaufspreis
+ * stammen aus items[].options (Konfigurator-Bestellungen) bzw. aus PARTS
+ */
+
+import { PARTS } from '../data/products.js';
+import { getOffers, toEur } from './supplierOffers.js';
+
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'DRAFT',
+  SENT: 'SENT',
+  CONFIRMED: 'CONFIRMED',
+  SHIPPED: 'SHIPPED',
+  DELIVERED: 'DELIVERED',
+  CANCELLED: 'CANCELLED',
+};
+
+// Erlaubte Statuswechsel einer PO
+export const PURCHASE_ORDER_TRANSITIONS = {
+  DRAFT: ['SENT', 'CANCELLED'],
+  SENT: ['CONFIRMED', 'SHIPPED', 'CANCELLED'],
+  CONFIRMED: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: [],
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Teil-Schlüssel einer Bestellposition: options.partKey, sonst Suche über den Namen
+ */
+function resolvePartKey(item, parts) {
+  if (item.options?.partKey && parts[item.options.partKey]) return item.options.partKey;
+  return Object.keys(parts).find(key => parts[key].name === item.name) || null;
+}
+
+/**
+ * Teilt Bestellpositionen nach Lieferant auf
+ * Versand je Lieferant: höchster Versandsatz der bestellten Angebote (wie buildSupplierBreakdown)
+ * @param {Array} items - Bestellpositionen [{ name, quantity, price, options }]
+ * @returns {Array} [{ supplier, lines: [{ partKey, name, offerId, link, quantity, unitCost, lineTotal }], subtotal, shipping, total }]
+ */
+export function splitOrderBySupplier(items = [], parts = PARTS) {
+  const bySupplier = new Map();
+
+  for (const item of items) {
+    if (!item.quantity || item.quantity <= 0) continue;
+
+    const partKey = resolvePartKey(item, parts);
+    const offers = partKey ? getOffers(partKey, parts) : [];
+    const offer = offers.find(entry => entry.id === item.options?.offerId) || offers[0];
+    const supplier = item.options?.supplier || offer?.supplier || 'Unknown';
+    const unitCost = item.options?.unitCost ?? (offer ? toEur(offer.price, offer.currency) : item.price);
+
+    const group = bySupplier.get(supplier) || { supplier, lines: [], subtotal: 0, shipping: 0 };
+    group.lines.push({
+      partKey,
+      name: item.name,
+      offerId: offer?.id || null,
+      link: item.options?.link || offer?.link || null,
+      quantity: item.quantity,
+      unitCost,
+      lineTotal: round(unitCost * item.quantity),
+    });
+    group.subtotal = round(group.subtotal + unitCost * item.quantity);
+    group.shipping = Math.max(group.shipping, offer ? toEur(offer.shipping, offer.currency) : 0);
+    bySupplier.set(supplier, group);
+  }
+
+  return [...bySupplier.values()]
+    .map(group => ({ ...group, total: round(group.subtotal + group.shipping) }))
+    .sort((a, b) => a.supplier.localeCompare(b.supplier));
+}
+
+/**
+ * Status der Kundenbestellung aus ihren POs (stornierte POs zählen nicht)
+ * @returns {string|null} 'DELIVERED' wenn alle zugestellt, 'SHIPPED' wenn alle mindestens versendet, sonst null
+ */
+export function rollupOrderStatus(purchaseOrders = []) {
+  const active = purchaseOrders.filter(po => po.status !== PURCHASE_ORDER_STATUS.CANCELLED);
+  if (active.length === 0) return null;
+
+  if (active.every(po => po.status === PURCHASE_ORDER_STATUS.DELIVERED)) return 'DELIVERED';
+  if (active.every(po => [PURCHASE_ORDER_STATUS.SHIPPED, PURCHASE_ORDER_STATUS.DELIVERED].includes(po.status))) {
+    return 'SHIPPED';
+  }
+  return null;
+}
+
+/**
+ * Lieferadresse für den Drop-Ship aus customerInfo der Bestellung
+ */
+export function formatShippingAddress(customerInfo = {}) {
+  const address = customerInfo.address || customerInfo.shippingAddress || {};
+  return [
+    customerInfo.name || address.name,
+    address.street || address.line1,
+    address.line2,
+    [address.postalCode || address.postal_code || address.zipCode, address.city].filter(Boolean).join(' '),
+    address.country,
+  ].filter(Boolean);
+}
+
+const money = (value) => `${value.toFixed(2)} EUR`;
+
+/**
+ * Textzeilen einer PO für PDF und E-Mail
+ * @param {Object} purchaseOrder - { poNumber, supplier, lines, subtotal, shipping, total, createdAt }
+ * @param {Object} order - Kundenbestellung { orderNumber, customerInfo }
+ */
+export function purchaseOrderLines(purchaseOrder, order = {}) {
+  const address = formatShippingAddress(order.customerInfo);
+
+  return [
+    { text: `Einkaufsbestellung ${purchaseOrder.poNumber}`, bold: true, size: 16 },
+    '',
+    `Lieferant: ${purchaseOrder.supplier}`,
+    `Kundenbestellung: ${order.orderNumber || '-'}`,
+    `Datum: ${new Date(purchaseOrder.createdAt || Date.now()).toISOString().slice(0, 10)}`,
+    '',
+    { text: 'Lieferung direkt an (Drop-Ship):', bold: true },
+    ...(address.length ? address : ['Adresse folgt']),
+    '',
+    { text: 'Pos.  Menge  Artikel', bold: true },
+    ...purchaseOrder.lines.flatMap((line, index) => [
+      `${String(index + 1).padEnd(6)}${String(line.quantity).padEnd(7)}${line.name}`,
+      `              ${money(line.unitCost)} je Stück, ${money(line.lineTotal)}${line.offerId ? ` (Angebot ${line.offerId})` : ''}`,
+    ]),
+    '',
+    `Zwischensumme: ${money(purchaseOrder.subtotal)}`,
+    `Versand: ${money(purchaseOrder.shipping)}`,
+    { text: `Gesamt: ${money(purchaseOrder.total)}`, bold: true },
+    '',
+    'Bitte senden Sie die Sendungsnummer unter Angabe der Bestellnummer zurück.',
+  ];
+}
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * CSV einer PO (eine Zeile je Position, Summenzeilen am Ende)
+ */
+export function purchaseOrderToCsv(purchaseOrder, order = {}) {
+  const rows = [
+    ['PO', 'Bestellung', 'Lieferant', 'Teil', 'Artikel', 'Angebot', 'Menge', 'Einzelpreis', 'Summe', 'Link'],
+    ...purchaseOrder.lines.map(line => [
+      purchaseOrder.poNumber,
+      order.orderNumber || '',
+      purchaseOrder.supplier,
+      line.partKey || '',
+      line.name,
+      line.offerId || '',
+      line.quantity,
+      line.unitCost.toFixed(2),
+      line.lineTotal.toFixed(2),
+      line.link || '',
+    ]),
+    [purchaseOrder.poNumber, order.orderNumber || '', purchaseOrder.supplier, '', 'Versand', '', '', '', purchaseOrder.shipping.toFixed(2), ''],
+    [purchaseOrder.poNumber, order.orderNumber || '', purchaseOrder.supplier, '', 'Gesamt', '', '', '', purchaseOrder.total.toFixed(2), ''],
+  ];
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * E-Mail an den Lieferanten (PDF und CSV hängt der Versand an)
+ * @returns {Object} { subject, text, html }
+ */
+export function renderPurchaseOrderEmail(purchaseOrder, order = {}) {
+  const text = purchaseOrderLines(purchaseOrder, order)
+    .map(line => (typeof line === 'string' ? line : line.text))
+    .join('\n');
+
+  return {
+    subject: `Einkaufsbestellung ${purchaseOrder.poNumber}`,
+    text,
+    html: `<pre style="font-family: monospace">${escapeHtml(text)}</pre>`,
+  };
+}
@@ -0,0 +1,401 @@
+/**
+ * QR-Code-Encoder (ISO/IEC 18004) ohne externe Abhängigkeiten
+ * Byte-Modus (UTF-8), Versionen 1-40, Fehlerkorrektur L/M/Q/H, Maske nach Strafpunkten
+ * Verwendet für 2FA-Provisioning (otpauth://) und Zahlungs-QR-Codes
+ */
+
+// Fehlerkorrektur-Stufen: Index in die Tabellen und Format-Bits
+const ECC_LEVELS = {
+  L: { index: 0, formatBits: 1 },
+  M: { index: 1, formatBits: 0 },
+  Q: { index: 2, formatBits: 3 },
+  H: { index: 3, formatBits: 2 },
+};
+
+// Fehlerkorrektur-Codewörter je Block, nach Stufe und Version (Index 0 unbenutzt)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+// Anzahl Fehlerkorrektur-Blöcke, nach Stufe und Version
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Module ohne Funktionsmuster (Finder, Timing, Ausrichtung, Format, Version)
+function numRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(version, ecc) {
+  return Math.floor(numRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecc.index][version] * NUM_ERROR_CORRECTION_BLOCKS[ecc.index][version];
+}
+
+function alignmentPatternPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const positions = [6];
+  for (let pos = size - 7; positions.length < numAlign; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+// Reed-Solomon über GF(256) mit Polynom 0x11D
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Teilt die Datencodewörter in Blöcke, hängt die Fehlerkorrektur an und verschränkt sie
+function addErrorCorrection(data, version, ecc) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecc.index][version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecc.index][version];
+  const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0); // Platzhalter, wird beim Verschränken übersprungen
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// Byte-Modus-Segment inkl. Terminator und Füllbytes
+function encodeData(bytes, version, ecc) {
+  const capacityBits = numDataCodewords(version, ecc) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    const positions = alignmentPatternPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+        if (!overlapsFinder) this.drawAlignmentPattern(x, y);
+      });
+    });
+
+    this.drawFormatBits(0); // reserviert die Format-Module, echte Werte nach der Maskenwahl
+    this.drawVersion();
+  }
+
+  drawFinderPattern(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+          this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(cx, cy) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(formatData) {
+    let remainder = formatData;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((formatData << 10) | remainder) ^ 0x5412;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true); // immer dunkles Modul
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, getBit(bits, i));
+      this.setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  // Zickzack-Platzierung von rechts unten in Doppelspalten
+  drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Strafpunkte N1-N4 nach ISO/IEC 18004, Abschnitt 7.8.3
+  penaltyScore() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    for (const line of lines) {
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++;
+          continue;
+        }
+        if (runLength >= 5) score += 3 + (runLength - 5);
+        runLength = 1;
+      }
+
+      const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+      for (const finderLike of ['10111010000', '00001011101']) {
+        for (let at = pattern.indexOf(finderLike); at !== -1; at = pattern.indexOf(finderLike, at + 1)) {
+          score += 40;
+        }
+      }
+    }
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+  }
+}
+
+/**
+ * Erzeugt die Modul-Matrix eines QR-Codes
+ * @param {string|Buffer} content - Text (als UTF-8 kodiert) oder Bytes
+ * @param {Object} options - { ecc: 'L'|'M'|'Q'|'H', mask: 0-7 (sonst automatisch) }
+ * @returns {Object} { version, size, ecc, mask, modules: boolean[][] } (modules[y][x], true = dunkel)
+ */
+export function createQrMatrix(content, { ecc = 'M', mask } = {}) {
+  const level = ECC_LEVELS[ecc];
+  if (!level) {
+    throw new Error(`Unknown QR error correction level ${ecc}`);
+  }
+
+  const bytes = [...(Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8'))];
+  let version = 1;
+  while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > numDataCodewords(version, level) * 8) {
+    if (++version > 40) {
+      throw new Error('Content too long for a QR code');
+    }
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version, level), version, level);
+
+  const render = (maskIndex) => {
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(maskIndex);
+    matrix.drawFormatBits((level.formatBits << 3) | maskIndex);
+    return matrix;
+  };
+
+  let best = null;
+  let bestMask = mask;
+  if (mask === undefined) {
+    for (let candidate = 0; candidate < MASKS.length; candidate++) {
+      const matrix = render(candidate);
+      const score = matrix.penaltyScore();
+      if (!best || score < best.score) {
+        best = { matrix, score };
+        bestMask = candidate;
+      }
+    }
+  } else {
+    best = { matrix: render(mask) };
+  }
+
+  return { version, size: best.matrix.size, ecc, mask: bestMask, modules: best.matrix.modules };
+}
+
+/**
+ * QR-Code als SVG (ein Pfad, skalierbar)
+ * @param {string|Buffer} content
+ * @param {Object} options - { ecc, margin: Ruhezone in Modulen, size: Kantenlänge in px, color, background }
+ * @returns {string} SVG-Markup
+ */
+export function renderQrSvg(content, { ecc = 'M', margin = 4, size = 256, color = '#000', background = '#fff' } = {}) {
+  const { size: modulesPerSide, modules } = createQrMatrix(content, { ecc });
+  const dimension = modulesPerSide + margin * 2;
+
+  const path = [];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="${background}"/>`
+    + `<path d="${path.join('')}" fill="${color}"/>`
+    + '</svg>';
+}
+
+/**
+ * QR-Code als Data-URL für <img src>
+ */
+export function renderQrDataUrl(content, options = {}) {
+  return `data:image/svg+xml;base64,${Buffer.from(renderQrSvg(content, options)).toString('base64')}`;
+}
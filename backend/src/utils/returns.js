@@ -0,0 +1,160 @@
+/**
+ * Retouren (RMA) einzelner Bestellpositionen
+ * Ablauf: Kunde beantragt -> Admin genehmigt -> Ware eingegangen -> geprüft -> wird erstattet -> erstattet
+ * Erstattet wird je Position der Nettopreis der akzeptierten Menge plus USt zum Satz dieser Position auf der Rechnung
+ */
+
+export const RETURN_STATUS = {
+  REQUESTED: 'REQUESTED',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  RECEIVED: 'RECEIVED',
+  INSPECTED: 'INSPECTED',
+  REFUNDING: 'REFUNDING',
+  REFUNDED: 'REFUNDED',
+  CANCELLED: 'CANCELLED',
+};
+
+export const RETURN_TRANSITIONS = {
+  REQUESTED: ['APPROVED', 'REJECTED', 'CANCELLED'],
+  APPROVED: ['RECEIVED', 'CANCELLED'],
+  RECEIVED: ['INSPECTED'],
+  INSPECTED: ['REFUNDING', 'REJECTED'],
+  // Erstattung beansprucht; zurück auf INSPECTED, wenn der Zahlungsanbieter ablehnt
+  REFUNDING: ['REFUNDED', 'INSPECTED'],
+  REJECTED: [],
+  REFUNDED: [],
+  CANCELLED: [],
+};
+
+export const RETURN_REASONS = ['DEFECTIVE', 'DAMAGED_IN_TRANSIT', 'WRONG_ITEM', 'NOT_AS_DESCRIBED', 'NO_LONGER_NEEDED', 'OTHER'];
+
+// Zustand der Teile bei der Wareneingangsprüfung
+export const ITEM_CONDITIONS = ['RESELLABLE', 'DAMAGED', 'DEFECTIVE', 'MISSING'];
+
+// Retouren sind erst nach dem Versand und nur für bezahlte Bestellungen möglich
+export const RETURNABLE_ORDER_STATUSES = ['SHIPPED', 'DELIVERED', 'PARTIALLY_REFUNDED'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const canTransitionReturn = (from, to) => (RETURN_TRANSITIONS[from] || []).includes(to);
+
+// Menge, die eine Retoure von einer Position belegt: nach der Prüfung nur die akzeptierte Menge
+function reservedQuantity(returnRequest, item) {
+  if ([RETURN_STATUS.REJECTED, RETURN_STATUS.CANCELLED].includes(returnRequest.status)) return 0;
+  if ([RETURN_STATUS.INSPECTED, RETURN_STATUS.REFUNDING, RETURN_STATUS.REFUNDED].includes(returnRequest.status)) return item.acceptedQuantity ?? 0;
+  return item.quantity;
+}
+
+/**
+ * Noch retournierbare Menge je Bestellposition
+ * @param {Array} orderItems - OrderItem [{ id, name, price (netto), quantity }]
+ * @param {Array} returns - bisherige Retouren der Bestellung mit items [{ orderItemId, quantity, acceptedQuantity }]
+ * @returns {Array} [{ orderItemId, name, price, quantity, returnable }]
+ */
+export function returnableItems(orderItems = [], returns = []) {
+  const reserved = new Map();
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.items || []) {
+      reserved.set(item.orderItemId, (reserved.get(item.orderItemId) || 0) + reservedQuantity(returnRequest, item));
+    }
+  }
+
+  return orderItems.map(item => ({
+    orderItemId: item.id,
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity,
+    returnable: Math.max(0, item.quantity - (reserved.get(item.id) || 0)),
+  }));
+}
+
+/**
+ * Prüft die beantragten Positionen gegen die retournierbaren Mengen
+ * @param {Array} requested - [{ orderItemId, quantity }]
+ * @param {Array} returnable - Ergebnis von returnableItems
+ * @returns {Array} Fehler [{ field, message }], leer wenn gültig
+ */
+export function validateReturnItems(requested = [], returnable = []) {
+  if (requested.length === 0) {
+    return [{ field: 'items', message: 'At least one item must be returned' }];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  requested.forEach((item, index) => {
+    const field = `items.${index}`;
+    const position = returnable.find(r => r.orderItemId === item.orderItemId);
+    if (!position) {
+      errors.push({ field, message: 'Item does not belong to this order' });
+    } else if (seen.has(item.orderItemId)) {
+      errors.push({ field, message: `${position.name} is listed twice` });
+    } else if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      errors.push({ field, message: 'Quantity must be at least 1' });
+    } else if (item.quantity > position.returnable) {
+      errors.push({ field, message: `Only ${position.returnable} of ${position.name} can be returned` });
+    }
+    seen.add(item.orderItemId);
+  });
+  return errors;
+}
+
+/**
+ * USt-Satz je Bestellposition laut Rechnung: Zeile mit orderItemId, bei älteren Rechnungen gleicher Name und Preis
+ * @param {Array} orderItems - OrderItem [{ id, name, price (netto) }]
+ * @param {Object} invoice - Rechnung der Bestellung mit lines, null wenn noch keine ausgestellt ist
+ * @param {number} fallbackRate - Satz für Positionen ohne Rechnungszeile (Steuer der Bestellung)
+ * @returns {Object} { [orderItemId]: rate }
+ */
+export function lineTaxRates(orderItems = [], invoice = null, fallbackRate = 0) {
+  const lines = invoice?.lines || [];
+  return Object.fromEntries(orderItems.map(item => {
+    const line = lines.find(l => l.orderItemId === item.id)
+      || lines.find(l => !l.orderItemId && l.name === item.name && l.unitPrice === item.price);
+    return [item.id, line?.rate ?? fallbackRate];
+  }));
+}
+
+/**
+ * Erstattung einer geprüften Retoure je Position inkl. USt
+ * Versandkosten werden nicht erstattet
+ * @param {Array} items - Retourenpositionen [{ orderItemId, acceptedQuantity }]
+ * @param {Array} orderItems - OrderItem [{ id, name, price (netto) }]
+ * @param {Object} rates - USt-Satz je Bestellposition { [orderItemId]: rate } (0 bei Reverse Charge und Ausfuhr), siehe lineTaxRates
+ * @returns {Object} { lines: [{ orderItemId, name, quantity, unitPrice, net, rate, vat, gross }], netTotal, taxTotal, total }
+ */
+export function calculateReturnRefund(items = [], orderItems = [], rates = {}) {
+  const lines = items
+    .filter(item => item.acceptedQuantity > 0)
+    .map(item => {
+      const orderItem = orderItems.find(o => o.id === item.orderItemId);
+      if (!orderItem) {
+        throw new Error(`Unknown order item ${item.orderItemId}`);
+      }
+      const rate = rates[orderItem.id] ?? 0;
+      const net = round(orderItem.price * item.acceptedQuantity);
+      const vat = round(net * rate);
+      return {
+        orderItemId: orderItem.id,
+        name: orderItem.name,
+        quantity: item.acceptedQuantity,
+        unitPrice: orderItem.price,
+        net,
+        rate,
+        vat,
+        gross: round(net + vat),
+      };
+    });
+
+  const netTotal = round(lines.reduce((sum, line) => sum + line.net, 0));
+  const taxTotal = round(lines.reduce((sum, line) => sum + line.vat, 0));
+  return { lines, netTotal, taxTotal, total: round(netTotal + taxTotal) };
+}
+
+/**
+ * Sind alle Positionen vollständig zurückgegeben und erstattet? Dann gilt die Bestellung als erstattet
+ */
+export function isFullyReturned(orderItems = [], returns = []) {
+  const refunded = returns.filter(r => r.status === RETURN_STATUS.REFUNDED);
+  return returnableItems(orderItems, refunded).every(item => item.returnable === 0);
+}
@@ -0,0 +1,300 @@
+/**
+ * SEPA-Überweisung: IBAN-Prüfung, Verwendungszweck-Referenz (ISO 11649, "RF"), EPC-QR-Code (GiroCode)
+ * und Kontoauszüge (CAMT.053 / CSV) für den Abgleich eingehender Zahlungen mit offenen Bestellungen
+ */
+
+import crypto from 'crypto';
+
+export const BANK_TRANSACTION_STATUS = {
+  MATCHED: 'MATCHED',
+  PARTIAL: 'PARTIAL', // Teilbetrag, Bestellung bleibt offen
+  OVERPAID: 'OVERPAID', // bezahlt, Überschuss muss erstattet werden
+  UNMATCHED: 'UNMATCHED', // keine offene Bestellung gefunden
+};
+
+const compact = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Buchstaben -> Zahlen (A=10 ... Z=35), Rest modulo 97 stellenweise (ISO 7064)
+function mod97(value) {
+  const digits = value.replace(/[A-Z]/g, char => String(char.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder;
+}
+
+export const normalizeIban = (iban) => compact(iban);
+
+export function formatIban(iban) {
+  return normalizeIban(iban).replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+export function isValidIban(iban) {
+  const value = normalizeIban(iban);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) return false;
+  return mod97(value.slice(4) + value.slice(0, 4)) === 1;
+}
+
+/**
+ * Strukturierte Gläubigerreferenz (RF + Prüfziffern + max. 21 Zeichen) aus der Bestellnummer
+ * Eindeutig, solange die Bestellnummern eindeutig sind
+ * @param {string} orderNumber - z.B. "ORD-MGX2K7QZ-A1B"
+ * @returns {string} z.B. "RF14ORDMGX2K7QZA1B"
+ */
+export function creditorReference(orderNumber) {
+  const base = compact(orderNumber).slice(0, 21);
+  const check = 98 - mod97(`${base}RF00`);
+  return `RF${String(check).padStart(2, '0')}${base}`;
+}
+
+export function isValidCreditorReference(reference) {
+  const value = compact(reference);
+  if (!/^RF\d{2}[A-Z0-9]{1,21}$/.test(value)) return false;
+  return mod97(value.slice(4) + value.slice(0, 4)) === 1;
+}
+
+/**
+ * Inhalt des EPC-QR-Codes (EPC069-12, Version 002, UTF-8), von Banking-Apps als Überweisung übernommen
+ * Mit Referenz bleibt der unstrukturierte Verwendungszweck leer (nur eines von beiden erlaubt)
+ * @param {Object} transfer - { name, iban, bic, amount, reference, text, information }
+ * @returns {string}
+ */
+export function buildEpcPayload({ name, iban, bic = '', amount, reference = '', text = '', information = '' }) {
+  if (!name) throw new Error('Beneficiary name is required');
+  if (!isValidIban(iban)) throw new Error('Invalid IBAN');
+  if (!(amount >= 0.01 && amount <= 999999999.99)) throw new Error('Amount must be between 0.01 and 999999999.99 EUR');
+
+  const lines = [
+    'BCD',
+    '002',
+    '1',
+    'SCT',
+    compact(bic),
+    name.slice(0, 70),
+    normalizeIban(iban),
+    `EUR${amount.toFixed(2)}`,
+    '',
+    reference ? compact(reference) : '',
+    reference ? '' : text.slice(0, 140),
+    information.slice(0, 70),
+  ];
+  while (lines[lines.length - 1] === '') lines.pop();
+  return lines.join('\n');
+}
+
+// --- Kontoauszüge ---
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXml = (value) => value
+  .replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => XML_ENTITIES[entity])
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .trim();
+
+// Inhalt aller Elemente eines Namens (mit oder ohne Namespace-Präfix)
+function xmlElements(xml, name) {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+function xmlValue(xml, path) {
+  let scope = xml;
+  for (const name of path.split('/')) {
+    const [element] = xmlElements(scope, name);
+    if (element === undefined) return null;
+    scope = element;
+  }
+  return decodeXml(scope);
+}
+
+function fallbackId(parts) {
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 24);
+}
+
+/**
+ * Gutschriften aus einem CAMT.053-Kontoauszug
+ * Sammelbuchungen (mehrere TxDtls je Ntry) ergeben je Einzelumsatz eine Transaktion
+ * @param {string} xml
+ * @returns {Array<{ transactionId, bookingDate, amount, currency, debtorName, debtorIban, remittanceInfo }>}
+ */
+export function parseCamt053(xml) {
+  const transactions = [];
+
+  for (const entry of xmlElements(xml, 'Ntry')) {
+    if (xmlValue(entry, 'CdtDbtInd') !== 'CRDT') continue;
+    if (xmlValue(entry, 'RvslInd') === 'true') continue;
+
+    const entryAmount = Number(xmlValue(entry, 'Amt'));
+    const currency = (entry.match(/<(?:\w+:)?Amt\s+Ccy="([A-Z]{3})"/) || [])[1] || 'EUR';
+    const bookingDate = xmlValue(entry, 'BookgDt/Dt') || xmlValue(entry, 'BookgDt/DtTm')?.slice(0, 10) || null;
+    const entryRef = xmlValue(entry, 'AcctSvcrRef');
+    const details = xmlElements(entry, 'TxDtls');
+
+    (details.length ? details : [entry]).forEach((detail, index) => {
+      const amount = details.length > 1 ? Number(xmlValue(detail, 'Amt') ?? entryAmount) : entryAmount;
+      const remittanceInfo = [
+        ...xmlElements(detail, 'Ustrd').map(decodeXml),
+        ...xmlElements(detail, 'Ref').map(decodeXml),
+      ].join(' ').trim() || null;
+      const debtorName = xmlValue(detail, 'Dbtr/Nm') || xmlValue(detail, 'Dbtr/Pty/Nm');
+      const debtorIban = xmlValue(detail, 'DbtrAcct/Id/IBAN');
+      const endToEndId = xmlValue(detail, 'EndToEndId');
+      const reference = xmlValue(detail, 'AcctSvcrRef')
+        || (entryRef && (details.length > 1 ? `${entryRef}-${index + 1}` : entryRef))
+        || (endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : null);
+
+      transactions.push({
+        transactionId: reference || fallbackId([bookingDate, amount, debtorIban, remittanceInfo, index]),
+        bookingDate,
+        amount,
+        currency,
+        debtorName,
+        debtorIban,
+        remittanceInfo,
+      });
+    });
+  }
+
+  return transactions;
+}
+
+// Spaltennamen gängiger Bank-Exporte (Kleinschreibung)
+const CSV_COLUMNS = {
+  bookingDate: ['buchungstag', 'buchungsdatum', 'booking date', 'datum', 'date', 'valuta'],
+  amount: ['betrag', 'amount', 'umsatz'],
+  currency: ['währung', 'waehrung', 'currency'],
+  remittanceInfo: ['verwendungszweck', 'purpose', 'remittance', 'reference', 'beschreibung', 'description'],
+  debtorName: ['auftraggeber', 'zahlungspflichtiger', 'beguenstigter/zahlungspflichtiger', 'name', 'payer', 'counterparty'],
+  debtorIban: ['iban', 'kontonummer/iban'],
+};
+
+// Exakter Spaltenname vor Teiltreffer, in der Reihenfolge der Liste ("Verwendungszweck" vor "Kundenreferenz")
+function findColumn(header, names) {
+  for (const name of names) {
+    const index = header.indexOf(name);
+    if (index >= 0) return index;
+  }
+  return header.findIndex(cell => names.some(name => cell.includes(name)));
+}
+
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// "1.234,56" / "1,234.56" / "-12,5" -> Zahl; das letzte Trennzeichen ist das Dezimaltrennzeichen
+export function parseAmount(value) {
+  const text = String(value || '').replace(/[^\d,.-]/g, '');
+  const decimal = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'));
+  if (decimal === -1) return Number(text);
+  const integer = text.slice(0, decimal).replace(/[,.]/g, '');
+  return Number(`${integer}.${text.slice(decimal + 1)}`);
+}
+
+// "18.10.2026" / "18.10.26" / "2026-10-18" -> "2026-10-18"
+function parseDate(value) {
+  const text = String(value || '').trim();
+  const german = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2,4})$/);
+  if (german) {
+    const year = german[3].length === 2 ? `20${german[3]}` : german[3];
+    return `${year}-${german[2].padStart(2, '0')}-${german[1].padStart(2, '0')}`;
+  }
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+}
+
+/**
+ * Gutschriften aus einem CSV-Umsatzexport (Trennzeichen ";" oder ",", Spalten per Kopfzeile erkannt)
+ * Ohne Bankreferenz wird die ID aus dem Umsatz gebildet, damit ein erneuter Import erkannt wird
+ */
+export function parseBankCsv(csv) {
+  const lines = csv.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+
+  const delimiter = (lines[0].match(/;/g) || []).length >= (lines[0].match(/,/g) || []).length ? ';' : ',';
+  const header = splitCsvLine(lines[0], delimiter).map(cell => cell.toLowerCase());
+  const column = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) => [key, findColumn(header, names)]));
+  if (column.amount === -1) {
+    throw new Error('CSV statement has no amount column');
+  }
+
+  const seen = new Map();
+  const transactions = [];
+  for (const line of lines.slice(1)) {
+    const cells = splitCsvLine(line, delimiter);
+    const value = (key) => (column[key] >= 0 ? cells[column[key]] || null : null);
+    const amount = parseAmount(value('amount'));
+    if (!(amount > 0)) continue;
+
+    const transaction = {
+      bookingDate: parseDate(value('bookingDate')),
+      amount,
+      currency: value('currency') || 'EUR',
+      debtorName: value('debtorName'),
+      debtorIban: value('debtorIban') ? normalizeIban(value('debtorIban')) : null,
+      remittanceInfo: value('remittanceInfo'),
+    };
+    // Gleiche Umsätze am selben Tag unterscheiden sich nur durch ihre Reihenfolge
+    const key = [transaction.bookingDate, amount, transaction.debtorIban, transaction.remittanceInfo].join('|');
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+
+    transactions.push({ transactionId: fallbackId([key, occurrence]), ...transaction });
+  }
+  return transactions;
+}
+
+export function parseBankStatement(content) {
+  return content.trimStart().startsWith('<') ? parseCamt053(content) : parseBankCsv(content);
+}
+
+// --- Abgleich ---
+
+/**
+ * Offene Bestellung zu einem Umsatz: RF-Referenz oder Bestellnummer im Verwendungszweck
+ * (Leerzeichen und Trennzeichen werden ignoriert, Banken brechen den Text oft um)
+ * @param {Object} transaction - { remittanceInfo }
+ * @param {Array} orders - [{ id, orderNumber }]
+ */
+export function findOrderForTransaction(transaction, orders) {
+  const text = compact(transaction.remittanceInfo);
+  if (!text) return null;
+  return orders.find(order => text.includes(compact(creditorReference(order.orderNumber))))
+    || orders.find(order => text.includes(compact(order.orderNumber)))
+    || null;
+}
+
+/**
+ * Einordnung einer Zahlung gegen den offenen Betrag (auf den Cent genau)
+ * @param {number} expected - Bruttobetrag der Bestellung
+ * @param {number} receivedBefore - bereits per Überweisung eingegangen
+ * @param {number} amount - dieser Umsatz
+ * @returns {{ status, received, difference }} difference: eingegangen minus erwartet (negativ = noch offen)
+ */
+export function classifyPayment(expected, receivedBefore, amount) {
+  const received = toCents(receivedBefore) + toCents(amount);
+  const difference = (received - toCents(expected)) / 100;
+  const status = difference === 0
+    ? BANK_TRANSACTION_STATUS.MATCHED
+    : difference < 0 ? BANK_TRANSACTION_STATUS.PARTIAL : BANK_TRANSACTION_STATUS.OVERPAID;
+  return { status, received: received / 100, difference };
+}
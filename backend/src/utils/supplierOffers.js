@@ -0,0 +1,206 @@
+/**
+ * Lieferanten-Angebote je Teil und Auswahl des besten Angebots
+ * Jedes Teil trägt offers[] (Preis, Währung, Versand, Lieferzeit); price/link/supplier spiegeln offers[0]
+ * Der Konfigurator im Frontend erhält die Auswahl über POST /api/components/offers
+ */
+
+import { PARTS } from '../data/products.js';
+
+export const OFFER_PREFERENCES = {
+  CHEAPEST: 'cheapest',
+  FASTEST: 'fastest',
+};
+
+// Richtwerte für den Vergleich von Angeboten in Fremdwährung (1 Einheit = x EUR)
+export const EUR_EXCHANGE_RATES = {
+  EUR: 1,
+  USD: 0.92,
+  GBP: 1.17,
+};
+
+// Annahme, wenn ein Angebot keine Lieferzeit angibt
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+// Der Scraper liefert Währungssymbole, die Angebote ISO-Codes
+const CURRENCY_CODES = { '€': 'EUR', '$': 'USD', '£': 'GBP' };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Schlüssel eines Angebots für Live-Preise, Snapshots und Alerts (ohne offerId: nur productKey)
+ */
+export function offerKey(partKey, offerId) {
+  return offerId ? `${partKey}:${offerId}` : partKey;
+}
+
+/**
+ * Rechnet einen Betrag in EUR um (unbekannte Währungen werden 1:1 übernommen)
+ */
+export function toEur(amount, currency = 'EUR', rates = EUR_EXCHANGE_RATES) {
+  return round(amount * (rates[currency] ?? 1));
+}
+
+/**
+ * Angebote eines Teils; Teile ohne offers[] liefern ein Angebot aus price/link/supplier
+ * @returns {Array} [{ id, supplier, link, price, currency, shipping, leadTimeDays, availability }]
+ */
+export function getOffers(partKey, parts = PARTS) {
+  const part = parts[partKey];
+  if (!part) return [];
+
+  const offers = part.offers?.length
+    ? part.offers
+    : [{ id: 'default', supplier: part.supplier || 'Unknown', link: part.link, price: part.price }];
+
+  return offers.map(offer => ({
+    currency: 'EUR',
+    shipping: 0,
+    leadTimeDays: DEFAULT_LEAD_TIME_DAYS,
+    availability: 'unknown',
+    ...offer,
+  }));
+}
+
+/**
+ * Alle Angebote der Produkte, z.B. für PriceSnapshotRepository.findLatestForOffers
+ * @returns {Array} [{ productKey, offerId, primary }], primary = Hauptangebot (offers[0])
+ */
+export function listOffers(productKeys = Object.keys(PARTS), parts = PARTS) {
+  return productKeys.flatMap(productKey =>
+    getOffers(productKey, parts).map((offer, index) => ({ productKey, offerId: offer.id, primary: index === 0 }))
+  );
+}
+
+/**
+ * Live-Preise und Verfügbarkeit je Angebot aus den letzten Preis-Snapshots
+ * Preise nur, wenn die gescrapte Währung zur Angebotswährung passt
+ * @param {Object} snapshots - { [offerKey]: PriceSnapshot }, siehe PriceSnapshotRepository.findLatestForOffers
+ * @returns {Object} { livePrices, availability } nach offerKey, für buildSupplierBreakdown
+ */
+export function liveOfferData(snapshots = {}, parts = PARTS) {
+  const livePrices = {};
+  const availability = {};
+
+  for (const partKey of Object.keys(parts)) {
+    for (const offer of getOffers(partKey, parts)) {
+      const key = offerKey(partKey, offer.id);
+      const snapshot = snapshots[key];
+      if (!snapshot) continue;
+
+      availability[key] = snapshot.availability;
+      if (Number.isFinite(snapshot.price) && (CURRENCY_CODES[snapshot.currency] || snapshot.currency) === offer.currency) {
+        livePrices[key] = snapshot.price;
+      }
+    }
+  }
+
+  return { livePrices, availability };
+}
+
+/**
+ * Stückpreis eines Angebots in EUR, bevorzugt mit Live-Preis
+ * @param {Object} livePrices - { [offerKey]: price } in Angebotswährung
+ */
+function unitPriceEur(partKey, offer, { livePrices = {}, rates = EUR_EXCHANGE_RATES } = {}) {
+  const live = livePrices[offerKey(partKey, offer.id)];
+  return toEur(Number.isFinite(live) ? live : offer.price, offer.currency, rates);
+}
+
+const hasLivePrice = (partKey, offer, { livePrices = {} } = {}) =>
+  Number.isFinite(livePrices[offerKey(partKey, offer.id)]);
+
+/**
+ * Wählt das Angebot für eine Position
+ * cheapest: niedrigster Einstand (Menge × Preis + Versand), bei Gleichstand kürzere Lieferzeit
+ * fastest: kürzeste Lieferzeit, bei Gleichstand niedrigerer Einstand
+ * Ausverkaufte Angebote werden nur gewählt, wenn es keine Alternative gibt
+ * @returns {Object|null} { offer, unitPrice, lineTotal, landedCost, livePrice }
+ */
+export function selectOffer(partKey, quantity = 1, preference = OFFER_PREFERENCES.CHEAPEST, options = {}) {
+  const { parts = PARTS, availability = {} } = options;
+  const offers = getOffers(partKey, parts).map(offer => ({
+    ...offer,
+    availability: availability[offerKey(partKey, offer.id)] || offer.availability,
+  }));
+  if (offers.length === 0) return null;
+
+  const available = offers.filter(offer => offer.availability !== 'out-of-stock');
+  const candidates = (available.length ? available : offers).map(offer => {
+    const unitPrice = unitPriceEur(partKey, offer, options);
+    const lineTotal = round(unitPrice * quantity);
+    return {
+      offer,
+      unitPrice,
+      lineTotal,
+      landedCost: round(lineTotal + toEur(offer.shipping, offer.currency, options.rates)),
+      livePrice: hasLivePrice(partKey, offer, options),
+    };
+  });
+
+  const byCost = (a, b) => a.landedCost - b.landedCost;
+  const byLeadTime = (a, b) => a.offer.leadTimeDays - b.offer.leadTimeDays;
+  candidates.sort(preference === OFFER_PREFERENCES.FASTEST
+    ? (a, b) => byLeadTime(a, b) || byCost(a, b)
+    : (a, b) => byCost(a, b) || byLeadTime(a, b));
+
+  return candidates[0];
+}
+
+/**
+ * Angebotsauswahl für eine Stückliste, gruppiert nach Lieferant
+ * Versand fällt je Lieferant einmal an (höchster Versandsatz der gewählten Angebote)
+ * @param {Object} items - { PART_KEY: quantity }
+ * @param {string} preference - OFFER_PREFERENCES
+ * @param {Object} options - { parts, livePrices, availability, rates }, livePrices/availability nach offerKey
+ * @returns {Object} { preference, lines, suppliers, subtotal, shipping, total, leadTimeDays }
+ */
+export function buildSupplierBreakdown(items = {}, preference = OFFER_PREFERENCES.CHEAPEST, options = {}) {
+  const rates = options.rates || EUR_EXCHANGE_RATES;
+  const lines = [];
+
+  for (const [partKey, quantity] of Object.entries(items)) {
+    if (!quantity || quantity <= 0) continue;
+    const selection = selectOffer(partKey, quantity, preference, options);
+    if (!selection) continue;
+
+    lines.push({
+      partKey,
+      quantity,
+      offerId: selection.offer.id,
+      supplier: selection.offer.supplier,
+      link: selection.offer.link,
+      leadTimeDays: selection.offer.leadTimeDays,
+      unitPrice: selection.unitPrice,
+      livePrice: selection.livePrice,
+      lineTotal: selection.lineTotal,
+      shipping: toEur(selection.offer.shipping, selection.offer.currency, rates),
+    });
+  }
+
+  const bySupplier = new Map();
+  for (const line of lines) {
+    const group = bySupplier.get(line.supplier) || { supplier: line.supplier, lines: [], subtotal: 0, shipping: 0, leadTimeDays: 0 };
+    group.lines.push(line.partKey);
+    group.subtotal = round(group.subtotal + line.lineTotal);
+    group.shipping = Math.max(group.shipping, line.shipping);
+    group.leadTimeDays = Math.max(group.leadTimeDays, line.leadTimeDays);
+    bySupplier.set(line.supplier, group);
+  }
+
+  const suppliers = [...bySupplier.values()]
+    .map(group => ({ ...group, total: round(group.subtotal + group.shipping) }))
+    .sort((a, b) => b.subtotal - a.subtotal);
+
+  const subtotal = round(suppliers.reduce((sum, group) => sum + group.subtotal, 0));
+  const shipping = round(suppliers.reduce((sum, group) => sum + group.shipping, 0));
+
+  return {
+    preference,
+    lines,
+    suppliers,
+    subtotal,
+    shipping,
+    total: round(subtotal + shipping),
+    leadTimeDays: suppliers.reduce((max, group) => Math.max(max, group.leadTimeDays), 0),
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Umsatzsteuer für Bestellungen (EU)
+ * Steuer je Position nach Lieferland, Reverse Charge für B2B mit gültiger USt-IdNr. aus einem anderen
+ * Mitgliedstaat, OSS-Auswertung für B2C-Lieferungen in andere EU-Länder
+ * Preise der Positionen sind Nettopreise (wie im Konfigurator)
+ */
+
+// Normalsätze der EU-Mitgliedstaaten (Stand: 2025)
+export const EU_VAT_RATES = {
+  AT: 0.20,
+  BE: 0.21,
+  BG: 0.20,
+  CY: 0.19,
+  CZ: 0.21,
+  DE: 0.19,
+  DK: 0.25,
+  EE: 0.24,
+  ES: 0.21,
+  FI: 0.255,
+  FR: 0.20,
+  GR: 0.24,
+  HR: 0.25,
+  HU: 0.27,
+  IE: 0.23,
+  IT: 0.22,
+  LT: 0.21,
+  LU: 0.17,
+  LV: 0.21,
+  MT: 0.18,
+  NL: 0.21,
+  PL: 0.23,
+  PT: 0.23,
+  RO: 0.21,
+  SE: 0.25,
+  SI: 0.22,
+  SK: 0.23,
+};
+
+// Format der USt-IdNr. je Mitgliedstaat inkl. Länderpräfix (Griechenland: EL)
+export const VAT_ID_PATTERNS = {
+  AT: /^ATU\d{8}$/,
+  BE: /^BE[01]\d{9}$/,
+  BG: /^BG\d{9,10}$/,
+  CY: /^CY\d{8}[A-Z]$/,
+  CZ: /^CZ\d{8,10}$/,
+  DE: /^DE\d{9}$/,
+  DK: /^DK\d{8}$/,
+  EE: /^EE\d{9}$/,
+  ES: /^ES[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^FI\d{8}$/,
+  FR: /^FR[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  GR: /^EL\d{9}$/,
+  HR: /^HR\d{11}$/,
+  HU: /^HU\d{8}$/,
+  IE: /^IE(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^IT\d{11}$/,
+  LT: /^LT(\d{9}|\d{12})$/,
+  LU: /^LU\d{8}$/,
+  LV: /^LV\d{11}$/,
+  MT: /^MT\d{8}$/,
+  NL: /^NL\d{9}B\d{2}$/,
+  PL: /^PL\d{10}$/,
+  PT: /^PT\d{9}$/,
+  RO: /^RO\d{2,10}$/,
+  SE: /^SE\d{12}$/,
+  SI: /^SI\d{8}$/,
+  SK: /^SK\d{10}$/,
+};
+
+export const TAX_TREATMENT = {
+  DOMESTIC: 'DOMESTIC', // Lieferung im Land des Verkäufers
+  OSS: 'OSS', // B2C in einen anderen Mitgliedstaat, Steuersatz des Ziellands
+  REVERSE_CHARGE: 'REVERSE_CHARGE', // B2B innergemeinschaftlich, Steuerschuldnerschaft des Empfängers
+  EXPORT: 'EXPORT', // Ausfuhr in ein Drittland, steuerfrei
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const isEuCountry = (country) => Boolean(country && country in EU_VAT_RATES);
+
+/**
+ * ISO-3166-Alpha-2-Code in Großbuchstaben, EL (USt-Präfix) wird zu GR; sonst null
+ */
+export function normalizeCountry(country) {
+  const code = String(country ?? '').trim().toUpperCase();
+  if (code === 'EL') return 'GR';
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+}
+
+/**
+ * Prüft das Format einer USt-IdNr. (keine VIES-Abfrage)
+ * @param {string} vatId - z.B. "DE 123 456 789"
+ * @param {string} country - optional: erwartetes Land
+ * @returns {Object} { valid, vatId (normalisiert), country, error }
+ */
+export function validateVatId(vatId, country = null) {
+  const cleaned = String(vatId ?? '').replace(/[\s.\-/]/g, '').toUpperCase();
+  if (!cleaned) {
+    return { valid: false, vatId: null, country: null, error: 'VAT ID is required' };
+  }
+
+  const prefixCountry = normalizeCountry(cleaned.slice(0, 2));
+  const expected = normalizeCountry(country);
+  if (!prefixCountry || !VAT_ID_PATTERNS[prefixCountry]) {
+    return { valid: false, vatId: cleaned, country: prefixCountry, error: 'Unknown VAT ID country prefix' };
+  }
+  if (expected && expected !== prefixCountry) {
+    return { valid: false, vatId: cleaned, country: prefixCountry, error: `VAT ID is not from ${expected}` };
+  }
+
+  const valid = VAT_ID_PATTERNS[prefixCountry].test(cleaned);
+  return {
+    valid,
+    vatId: cleaned,
+    country: prefixCountry,
+    error: valid ? null : 'Invalid VAT ID format',
+  };
+}
+
+/**
+ * Steuerliche Behandlung einer Lieferung
+ * @param {Object} params - { country: Lieferland, vatId, sellerCountry, ossEnabled }
+ *   ossEnabled=false: B2C-Lieferungen in andere EU-Länder mit dem Satz des Verkäuferlands (unter der Lieferschwelle)
+ * @returns {Object} { treatment, country, rate, vatId }
+ */
+export function determineTaxTreatment({ country, vatId = null, sellerCountry = 'DE', ossEnabled = true } = {}) {
+  const seller = normalizeCountry(sellerCountry) || 'DE';
+  const destination = normalizeCountry(country) || seller;
+
+  if (!isEuCountry(destination)) {
+    return { treatment: TAX_TREATMENT.EXPORT, country: destination, rate: 0, vatId: null };
+  }
+
+  const vat = vatId ? validateVatId(vatId) : null;
+  if (vat?.valid && destination !== seller && vat.country !== seller) {
+    return { treatment: TAX_TREATMENT.REVERSE_CHARGE, country: destination, rate: 0, vatId: vat.vatId };
+  }
+
+  if (destination === seller || !ossEnabled) {
+    return { treatment: TAX_TREATMENT.DOMESTIC, country: destination, rate: EU_VAT_RATES[seller], vatId: vat?.valid ? vat.vatId : null };
+  }
+
+  return { treatment: TAX_TREATMENT.OSS, country: destination, rate: EU_VAT_RATES[destination], vatId: vat?.valid ? vat.vatId : null };
+}
+
+/**
+ * Steuer je Position und Summen einer Bestellung
+ * Versandkosten werden als eigene Position mit demselben Satz besteuert
+ * @param {Array} items - [{ name, price (netto), quantity }]
+ * @param {Object} params - { country, vatId, sellerCountry, ossEnabled, shipping (netto) }
+ * @returns {Object} { treatment, country, rate, vatId, lines, net, vat, gross, breakdown }
+ */
+export function calculateOrderTax(items = [], { shipping = 0, ...params } = {}) {
+  const { treatment, country, rate, vatId } = determineTaxTreatment(params);
+
+  const positions = items
+    .filter(item => item.quantity > 0)
+    .map(item => ({ name: item.name, quantity: item.quantity, net: round(item.price * item.quantity) }));
+  if (shipping > 0) {
+    positions.push({ name: 'Versand', quantity: 1, net: round(shipping) });
+  }
+
+  const lines = positions.map(line => {
+    const vat = round(line.net * rate);
+    return { ...line, rate, vat, gross: round(line.net + vat) };
+  });
+
+  const net = round(lines.reduce((sum, line) => sum + line.net, 0));
+  const vat = round(lines.reduce((sum, line) => sum + line.vat, 0));
+
+  return {
+    treatment,
+    country,
+    rate,
+    vatId,
+    lines,
+    net,
+    vat,
+    gross: round(net + vat),
+    breakdown: [{ country, rate, net, vat }],
+  };
+}
+
+/**
+ * Zeitraum eines Kalenderquartals (UTC), Ende exklusiv
+ */
+export function quarterRange(year, quarter) {
+  if (!Number.isInteger(year) || !Number.isInteger(quarter) || quarter < 1 || quarter > 4) {
+    throw new Error('Invalid quarter');
+  }
+  return {
+    from: new Date(Date.UTC(year, (quarter - 1) * 3, 1)),
+    to: new Date(Date.UTC(year, quarter * 3, 1)),
+  };
+}
+
+/**
+ * OSS-Meldung: Bemessungsgrundlage und Steuer je Verbrauchsmitgliedstaat und Steuersatz
+ * @param {Array} orders - [{ orderNumber, taxTreatment, taxCountry, taxBreakdown, createdAt }]
+ * @param {Object} params - { year, quarter }
+ * @returns {Object} { period, rows: [{ country, rate, net, vat, orders }], totals }
+ */
+export function buildOssReport(orders = [], { year, quarter }) {
+  const { from, to } = quarterRange(year, quarter);
+  const groups = new Map();
+  let orderCount = 0;
+
+  for (const order of orders) {
+    const createdAt = new Date(order.createdAt);
+    if (order.taxTreatment !== TAX_TREATMENT.OSS || createdAt < from || createdAt >= to) continue;
+
+    orderCount += 1;
+    for (const entry of order.taxBreakdown || []) {
+      const key = `${entry.country}:${entry.rate}`;
+      const group = groups.get(key) || { country: entry.country, rate: entry.rate, net: 0, vat: 0, orders: 0 };
+      group.net = round(group.net + entry.net);
+      group.vat = round(group.vat + entry.vat);
+      group.orders += 1;
+      groups.set(key, group);
+    }
+  }
+
+  const rows = [...groups.values()].sort((a, b) => a.country.localeCompare(b.country) || b.rate - a.rate);
+  return {
+    period: { year, quarter, from: from.toISOString(), to: to.toISOString() },
+    rows,
+    totals: {
+      net: round(rows.reduce((sum, row) => sum + row.net, 0)),
+      vat: round(rows.reduce((sum, row) => sum + row.vat, 0)),
+      orders: orderCount,
+    },
+  };
+}
+
+/**
+ * CSV der OSS-Meldung (Semikolon, Dezimalkomma wie im BZSt-Formular)
+ */
+export function ossReportToCsv(report) {
+  const number = (value) => value.toFixed(2).replace('.', ',');
+  const rows = [
+    ['Zeitraum', 'Land', 'Steuersatz', 'Bemessungsgrundlage', 'Steuer', 'Bestellungen'],
+    ...report.rows.map(row => [
+      `${report.period.year}-Q${report.period.quarter}`,
+      row.country,
+      number(row.rate * 100),
+      number(row.net),
+      number(row.vat),
+      String(row.orders),
+    ]),
+    [`${report.period.year}-Q${report.period.quarter}`, 'Summe', '', number(report.totals.net), number(report.totals.vat), String(report.totals.orders)],
+  ];
+  return rows.map(row => row.join(';')).join('\n');
+}
@@ -0,0 +1,146 @@
+/**
+ * TOTP (RFC 6238) und HOTP (RFC 4226) für die Zwei-Faktor-Anmeldung
+ * Geheimnisse sind Base32-kodiert (RFC 4648), kompatibel mit gängigen Authenticator-Apps
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  digits: 6,
+  step: 30, // Sekunden
+  algorithm: 'sha1',
+  window: 1, // akzeptierte Zeitschritte vor und nach dem aktuellen
+};
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Neues TOTP-Geheimnis (160 Bit wie von RFC 4226 empfohlen)
+ * @returns {string} Base32
+ */
+export function generateTotpSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * HOTP-Wert für einen Zähler
+ * @param {string|Buffer} secret - Base32-String oder Schlüssel-Bytes
+ */
+export function generateHotp(secret, counter, { digits = TOTP_DEFAULTS.digits, algorithm = TOTP_DEFAULTS.algorithm } = {}) {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+export function totpStep(time = Date.now(), step = TOTP_DEFAULTS.step) {
+  return Math.floor(time / 1000 / step);
+}
+
+export function generateTotp(secret, { time = Date.now(), step = TOTP_DEFAULTS.step, ...options } = {}) {
+  return generateHotp(secret, totpStep(time, step), options);
+}
+
+/**
+ * Prüft einen TOTP-Code im Zeitfenster
+ * @param {Object} options - { time, step, window, digits, algorithm, afterStep: zuletzt akzeptierter Schritt (Replay-Schutz) }
+ * @returns {number|null} akzeptierter Zeitschritt oder null
+ */
+export function verifyTotp(secret, token, {
+  time = Date.now(),
+  step = TOTP_DEFAULTS.step,
+  window = TOTP_DEFAULTS.window,
+  afterStep = null,
+  ...options
+} = {}) {
+  const digits = options.digits || TOTP_DEFAULTS.digits;
+  const candidate = String(token ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+
+  const current = totpStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = current + offset;
+    if (afterStep !== null && counter <= afterStep) continue;
+
+    const expected = generateHotp(secret, counter, { ...options, digits });
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * Provisioning-URI für Authenticator-Apps (Key Uri Format)
+ * otpauth://totp/Issuer:account?secret=...&issuer=...
+ */
+export function buildOtpauthUri({ secret, accountName, issuer, digits = TOTP_DEFAULTS.digits, step = TOTP_DEFAULTS.step }) {
+  const label = encodeURIComponent(issuer ? `${issuer}:${accountName}` : accountName);
+  const params = new URLSearchParams({ secret, algorithm: TOTP_DEFAULTS.algorithm.toUpperCase(), digits: String(digits), period: String(step) });
+  if (issuer) params.set('issuer', issuer);
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Einmal-Wiederherstellungscodes im Format xxxxx-xxxxx
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+export function normalizeRecoveryCode(code) {
+  return String(code ?? '').toLowerCase().replace(/[^0-9a-z]/g, '');
+}
+
+// Gespeichert wird nur der Hash; Codes haben 40 Bit Zufall und werden nach einmaliger Nutzung entfernt
+export function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
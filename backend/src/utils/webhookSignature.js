@@ -0,0 +1,73 @@
+/**
+ * HMAC-Signaturen für Webhooks (Schema wie bei Stripe)
+ * Header: "t=<Unix-Zeitstempel>,v1=<hex HMAC-SHA256 über "<t>.<Rohdaten>">"
+ * Der Zeitstempel begrenzt, wie lange ein mitgeschnittener Request wiederverwendet werden kann
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const hmac = (payload, secret, timestamp) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+/**
+ * Signatur-Header für einen Payload erzeugen
+ * @param {string|Buffer} payload - Rohdaten des Bodys
+ * @param {string} secret - gemeinsames Geheimnis
+ * @param {number} timestamp - Unix-Zeitstempel in Sekunden
+ * @returns {string} Header-Wert
+ */
+export function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(payload, secret, timestamp)}`;
+}
+
+/**
+ * Header zerlegen; mehrere v1-Werte sind erlaubt (Rotation des Geheimnisses)
+ * @returns {{ timestamp: number|null, signatures: string[] }}
+ */
+export function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value || '')) parsed.timestamp = Number(value);
+    if (key === 'v1' && value) parsed.signatures.push(value);
+  }
+  return parsed;
+}
+
+/**
+ * Signatur prüfen (zeitkonstanter Vergleich)
+ * @param {string|Buffer} payload - Rohdaten des Bodys, exakt wie empfangen
+ * @param {string} header - Wert des Signatur-Headers
+ * @param {string} secret - gemeinsames Geheimnis
+ * @param {Object} options - { tolerance (Sekunden), now (Unix-Zeitstempel) }
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function verifyWebhookSignature(payload, header, secret, {
+  tolerance = SIGNATURE_TOLERANCE_SECONDS,
+  now = Math.floor(Date.now() / 1000),
+} = {}) {
+  if (!secret) {
+    return { valid: false, error: 'Webhook secret not configured' };
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (timestamp === null || signatures.length === 0) {
+    return { valid: false, error: 'Malformed signature header' };
+  }
+  if (Math.abs(now - timestamp) > tolerance) {
+    return { valid: false, error: 'Signature timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(hmac(payload, secret, timestamp), 'hex');
+  const matches = signatures.some(signature => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+
+  return matches ? { valid: true } : { valid: false, error: 'Signature mismatch' };
+}
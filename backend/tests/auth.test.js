@@ -363,7 +363,7 @@ describe('Authorization Middleware', () => {
   describe('Admin Routes Protection', () => {
     it('should allow admin access to admin routes', async () => {
       const response = await request(app)
-        .get('/admin/dashboard')
+        .get('/api/admin/dashboard')
         .set('Authorization', `Bearer ${adminToken}`)
         .expect(200);
 
@@ -372,7 +372,7 @@ describe('Authorization Middleware', () => {
 
     it('should deny customer access to admin routes', async () => {
       const response = await request(app)
-        .get('/admin/dashboard')
+        .get('/api/admin/dashboard')
         .set('Authorization', `Bearer ${customerToken}`)
         .expect(401);
 
@@ -382,7 +382,7 @@ describe('Authorization Middleware', () => {
 
     it('should deny unauthenticated access to admin routes', async () => {
       const response = await request(app)
-        .get('/admin/dashboard')
+        .get('/api/admin/dashboard')
         .expect(401);
 
       expect(response.body.success).toBe(false);
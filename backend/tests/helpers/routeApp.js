@@ -0,0 +1,48 @@
+import express from 'express';
+import { errorHandler } from '../../src/middleware/error.js';
+import { generateToken } from '../../src/middleware/auth.js';
+
+// Repository instances by class name; routes and services share them, tests stub the methods they need
+export const repositories = {};
+
+/**
+ * Module mock for src/repositories/index.js: every repository class yields the shared instance, so the
+ * permission checks in routes and services run unchanged against stubbed data instead of a database.
+ * Usage: jest.mock('../../src/repositories/index.js', () => require('../helpers/routeApp.js').repositoryModuleMock())
+ */
+export function repositoryModuleMock() {
+  return new Proxy({ __esModule: true }, {
+    get: (target, name) => (name in target ? target[name] : class {
+      constructor() {
+        repositories[name] = repositories[name] || {};
+        return repositories[name];
+      }
+    }),
+  });
+}
+
+// Removes the stubs of the previous test; the instances stay shared with the services
+export function resetRepositories() {
+  for (const repository of Object.values(repositories)) {
+    for (const method of Object.keys(repository)) {
+      delete repository[method];
+    }
+  }
+}
+
+export const users = {
+  owner: { id: 'user-owner', email: 'owner@example.com', role: 'CUSTOMER' },
+  other: { id: 'user-other', email: 'other@example.com', role: 'CUSTOMER' },
+  admin: { id: 'user-admin', email: 'admin@example.com', role: 'ADMIN', twoFactorEnabled: true },
+};
+
+export const bearer = (user) => `Bearer ${generateToken(user)}`;
+
+// The router mounted like in app.js, with the global error handler
+export function createApp(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { generateToken, optionalAuth, protect, requireAdmin } from '../../src/middleware/auth.js';
+import { twoFactorService } from '../../src/services/twoFactorService.js';
+
+// twoFactorService only needs the database for enrollment, not for issuing challenges
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn() }));
+
+// protect is wrapped in asyncHandler, so a rejection arrives as next(error)
+const runProtect = (token) => new Promise((resolve) => {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  protect(req, {}, (error) => resolve({ req, error }));
+});
+
+describe('auth middleware', () => {
+  const user = { id: 'user-1', email: 'admin@example.com', role: 'ADMIN' };
+
+  it('accepts access tokens', async () => {
+    const { req, error } = await runProtect(generateToken(user));
+    expect(error).toBeUndefined();
+    expect(req.user).toMatchObject({ id: 'user-1', role: 'ADMIN' });
+  });
+
+  it('rejects a two-factor challenge token with 401', async () => {
+    for (const purpose of ['verify', 'setup']) {
+      const { req, error } = await runProtect(twoFactorService.createChallenge(user, purpose));
+      expect(error.statusCode).toBe(401);
+      expect(req.user).toBeUndefined();
+    }
+  });
+
+  it('does not set a user from a challenge token on optional auth routes', () => {
+    const req = { headers: { authorization: `Bearer ${twoFactorService.createChallenge(user, 'verify')}` } };
+    let called = false;
+    optionalAuth(req, {}, () => { called = true; });
+    expect(called).toBe(true);
+    expect(req.user).toBeUndefined();
+  });
+
+  it('requires two-factor authentication on every admin route', () => {
+    const runAdmin = (claims) => {
+      let called = false;
+      try {
+        requireAdmin({ user: claims }, {}, () => { called = true; });
+        return { called };
+      } catch (error) {
+        return { called, error };
+      }
+    };
+
+    expect(runAdmin({ ...user, twoFactorEnabled: true })).toEqual({ called: true });
+    expect(runAdmin(user).error).toMatchObject({ statusCode: 403, code: 'TWO_FACTOR_REQUIRED' });
+    expect(runAdmin({ ...user, role: 'CUSTOMER', twoFactorEnabled: true }).error.statusCode).toBe(401);
+  });
+});
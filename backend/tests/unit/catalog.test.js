@@ -0,0 +1,65 @@
+import { describe, it, expect } from '@jest/globals';
+import { SEED_PARTS } from '../../src/data/products.js';
+import {
+  catalogEntries,
+  componentFromPart,
+  partFromComponent,
+  partsFromComponents,
+} from '../../src/utils/catalog.js';
+
+// Component rows as the database returns them: every column present, empty ones null
+const toRow = (partKey, part, index) => ({
+  id: `cmp-${index}`,
+  description: null,
+  imageUrl: null,
+  ...componentFromPart(partKey, part, index),
+});
+
+const rows = Object.entries(SEED_PARTS).map(([partKey, part], index) => toRow(partKey, part, index));
+
+describe('parts catalog', () => {
+  it('keeps every seed part unchanged through the components table', () => {
+    const parts = partsFromComponents(rows);
+
+    expect(Object.keys(parts)).toEqual(Object.keys(SEED_PARTS));
+    for (const [partKey, part] of Object.entries(SEED_PARTS)) {
+      const { id, ...loaded } = parts[partKey];
+      expect(id).toMatch(/^cmp-/);
+      expect(loaded).toEqual({ availability: 'in-stock', ...part });
+    }
+  });
+
+  it('maps assembly time and difficulty to the component columns', () => {
+    const data = componentFromPart('MG996R', SEED_PARTS.MG996R, 10);
+
+    expect(data).toMatchObject({
+      sku: 'MG996R',
+      category: 'SERVO',
+      price: SEED_PARTS.MG996R.price,
+      timeEstimate: SEED_PARTS.MG996R.assembly.minutes,
+      difficultyLevel: SEED_PARTS.MG996R.assembly.difficulty,
+      sortOrder: 10,
+      active: true,
+    });
+    expect(partFromComponent({ ...data, id: 'c1', timeEstimate: null }).assembly).toBeUndefined();
+  });
+
+  it('loads only active components with a part key, in catalog order', () => {
+    const parts = partsFromComponents([
+      { id: 'b', sku: 'B', name: 'B', price: 1, sortOrder: 20 },
+      { id: 'a', sku: 'A', name: 'A', price: 1, sortOrder: 10 },
+      { id: 'off', sku: 'OFF', name: 'Off', price: 1, sortOrder: 0, active: false },
+      { id: 'legacy', sku: null, name: 'Legacy head', price: 1, sortOrder: 0 },
+    ]);
+
+    expect(Object.keys(parts)).toEqual(['A', 'B']);
+  });
+
+  it('filters catalog entries by category and search term', () => {
+    const parts = partsFromComponents(rows);
+
+    expect(catalogEntries(parts, { category: 'SERVO' }).map(entry => entry.key)).toEqual(['MG996R', 'DS3218']);
+    expect(catalogEntries(parts, { search: 'bno' }).map(entry => entry.key)).toEqual(['BNO055']);
+    expect(catalogEntries(parts)[0]).toEqual(expect.objectContaining({ key: 'MG996R', id: 'cmp-0' }));
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  CATALOG_COLUMNS,
+  catalogToCsv,
+  diffCatalogRecord,
+  parseCatalogCsv,
+  parseCatalogImport,
+  parseCatalogJson,
+  toCatalogRecord,
+} from '../../src/utils/catalogImport.js';
+
+const servo = {
+  id: 'cmp-servo',
+  sku: 'MG996R',
+  name: 'Servo MG996R, "metal"',
+  category: 'SERVO',
+  price: 6.2,
+  active: true,
+  sortOrder: 10,
+  instructions: 'Horn aufstecken,\nSchraube M3 anziehen',
+  toolsRequired: ['Schraubendreher', 'Zange'],
+  prerequisites: ['cmp-board'],
+  offers: [{ id: 'electropeak', supplier: 'ElectroPeak', price: 6.2, currency: 'EUR' }],
+  power: { rail: 'V5', stallCurrent: 2.5 },
+  createdAt: new Date('2026-10-01'),
+};
+
+describe('catalog export', () => {
+  it('keeps only catalog columns and writes prerequisites as part keys', () => {
+    const record = toCatalogRecord(servo, new Map([['cmp-board', 'PCA9685']]));
+
+    expect(Object.keys(record)).toEqual(CATALOG_COLUMNS);
+    expect(record.prerequisites).toEqual(['PCA9685']);
+    expect(record.link).toBeNull();
+  });
+
+  it('reads its own CSV back, including quotes, commas and line breaks', () => {
+    const record = toCatalogRecord(servo, new Map([['cmp-board', 'PCA9685']]));
+    const [parsed] = parseCatalogCsv(catalogToCsv([record]));
+
+    expect(parsed.row).toBe(2);
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.data).toEqual(Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null)));
+  });
+});
+
+describe('catalog import', () => {
+  it('reads supplier price lists with semicolons, decimal commas and only some columns', () => {
+    const rows = parseCatalogCsv('SKU;Price;active\nMG996R;7,49;nein\n\nDS3218;13.5;\nRPI5;abc;ja');
+
+    expect(rows).toEqual([
+      { row: 2, data: { sku: 'MG996R', price: 7.49, active: false }, errors: [] },
+      { row: 4, data: { sku: 'DS3218', price: 13.5 }, errors: [] },
+      { row: 5, data: { sku: 'RPI5', price: 'abc', active: true }, errors: [] },
+    ]);
+  });
+
+  it('reports invalid JSON cells per row and rejects files without a sku column', () => {
+    const [row] = parseCatalogCsv('sku,power\nMG996R,{rail: V5}');
+
+    expect(row.errors).toEqual([{ field: 'power', message: 'Invalid JSON', code: 'invalid_json' }]);
+    expect(() => parseCatalogCsv('name,price\nServo,5')).toThrow('no sku column');
+  });
+
+  it('accepts the JSON export as well as a plain list and detects the format', () => {
+    const exported = JSON.stringify({ components: [{ sku: 'MG996R', price: 7, createdAt: 'x' }] });
+
+    expect(parseCatalogJson(exported)).toEqual([{ row: 1, data: { sku: 'MG996R', price: 7 }, errors: [] }]);
+    expect(parseCatalogImport('[{"sku":"A"}, 5]')).toEqual([
+      { row: 1, data: { sku: 'A' }, errors: [] },
+      { row: 2, data: {}, errors: [{ field: '', message: 'Entry must be an object', code: 'invalid_type' }] },
+    ]);
+    expect(parseCatalogImport('sku\nA')).toEqual([{ row: 2, data: { sku: 'A' }, errors: [] }]);
+  });
+
+  it('lists only fields whose value changes', () => {
+    const current = toCatalogRecord(servo);
+
+    expect(diffCatalogRecord(current, { sku: 'MG996R', price: 7.49, power: { rail: 'V5', stallCurrent: 2.5 }, link: null })).toEqual({
+      price: { from: 6.2, to: 7.49 },
+    });
+    expect(diffCatalogRecord({}, { sku: 'NEW' })).toEqual({ sku: { from: null, to: 'NEW' } });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  checkCompatibilityRules,
+  mergeCompatibilityResults,
+  normalizeComponents,
+} from '../../src/utils/compatibilityRules.js';
+
+const codes = (result) => result.issues.map(issue => issue.code);
+
+describe('normalizeComponents', () => {
+  it('accepts part keys and component objects', () => {
+    const { items, unknown } = normalizeComponents([
+      'RPI5',
+      { partKey: 'MG996R', quantity: 4 },
+      { id: 'MG996R', quantity: 2 },
+      { name: 'Custom gripper' },
+    ]);
+
+    expect(items).toEqual({ RPI5: 1, MG996R: 6 });
+    expect(unknown).toEqual([{ name: 'Custom gripper' }]);
+  });
+});
+
+describe('checkCompatibilityRules', () => {
+  it('passes the starter preset without errors', () => {
+    const result = checkCompatibilityRules({ MG996R: 12, ARD_MEGA: 1, PCA9685: 1, RPI5: 1, MPU6050: 1, UBEC6A: 1, PSU12V10A: 1 });
+
+    expect(result.compatible).toBe(true);
+    expect(result.issues).toEqual([]);
+  });
+
+  it('warns about PCA9685 boards sharing the default I²C address', () => {
+    const result = checkCompatibilityRules({ DS3218: 18, PCA9685: 2, RPI5: 1 });
+
+    expect(result.compatible).toBe(true);
+    expect(result.issues.find(issue => issue.code === 'I2C_ADDRESS_COLLISION')).toMatchObject({
+      severity: 'warning',
+      details: { address: '0x40', count: 2 },
+    });
+  });
+
+  it('fails when more boards share an address than can be configured', () => {
+    const result = checkCompatibilityRules({ MPU6050: 3, RPI5: 1 });
+
+    expect(result.compatible).toBe(false);
+    expect(codes(result)).toContain('I2C_ADDRESS_EXHAUSTED');
+  });
+
+  it('requires an I²C host for I²C devices', () => {
+    const result = checkCompatibilityRules({ PCA9685: 1, MG996R: 4 });
+
+    expect(codes(result)).toContain('I2C_NO_HOST');
+  });
+
+  it('requires a USB3 host for the OAK-D Lite', () => {
+    expect(codes(checkCompatibilityRules({ OAKDLITE: 1, ARD_MEGA: 1 }))).toEqual(['USB3_REQUIRED']);
+    expect(checkCompatibilityRules({ OAKDLITE: 1, RPI5: 1 }).compatible).toBe(true);
+  });
+
+  it('fails when servos exceed the available PWM channels', () => {
+    const result = checkCompatibilityRules({ MG996R: 30, DS3218: 2, PCA9685: 1, RPI5: 1 });
+
+    expect(result.issues.find(issue => issue.code === 'SERVO_CHANNELS_EXCEEDED')).toMatchObject({
+      severity: 'error',
+      details: { required: 32, available: 16, driversNeeded: 2 },
+    });
+  });
+
+  it('detects supply voltage mismatches', () => {
+    const result = checkCompatibilityRules({ MG996R: 2, UBEC6A: 1 }, {
+      MG996R: { interfaces: { pwmChannels: 1, supplyVoltage: { min: 4.8, max: 7.2 } }, power: { rail: 'V5' } },
+      UBEC6A: { power: { supplies: 'V5', outputVoltage: 3.3, inputRail: 'VIN', inputVoltage: { min: 7.4, max: 25.2 } } },
+      PCA9685: { interfaces: { pwmOutputs: 16 } },
+    });
+
+    expect(result.issues.find(issue => issue.code === 'VOLTAGE_MISMATCH')).toMatchObject({
+      parts: ['MG996R', 'UBEC6A'],
+      details: { voltage: 3.3 },
+    });
+  });
+
+  it('checks regulator input against the source voltage', () => {
+    const result = checkCompatibilityRules({ UBEC6A: 1, PSU5V: 1 }, {
+      UBEC6A: { power: { supplies: 'V5', outputVoltage: 5, inputRail: 'VIN', inputVoltage: { min: 7.4, max: 25.2 } } },
+      PSU5V: { power: { supplies: 'VIN', outputVoltage: 5 } },
+    });
+
+    expect(codes(result)).toEqual(['VOLTAGE_MISMATCH']);
+  });
+
+  it('returns the same result regardless of input order', () => {
+    const a = checkCompatibilityRules({ OAKDLITE: 1, PCA9685: 2, MG996R: 40, ARD_MEGA: 1 });
+    const b = checkCompatibilityRules({ ARD_MEGA: 1, MG996R: 40, PCA9685: 2, OAKDLITE: 1 });
+
+    expect(a).toEqual(b);
+  });
+});
+
+describe('mergeCompatibilityResults', () => {
+  const failing = checkCompatibilityRules({ OAKDLITE: 1, ARD_MEGA: 1 });
+
+  it('keeps the rule verdict when the LLM disagrees', () => {
+    const merged = mergeCompatibilityResults(failing, {
+      compatible: true,
+      issues: ['Kabellänge beachten'],
+      recommendations: ['Raspberry Pi 5 verwenden'],
+      confidence: 0.6,
+    });
+
+    expect(merged).toMatchObject({
+      compatible: false,
+      confidence: 1,
+      recommendations: ['Raspberry Pi 5 verwenden'],
+      source: 'rules+llm',
+    });
+    expect(merged.issues).toEqual([failing.issues[0].message, 'Kabellänge beachten']);
+  });
+
+  it('works without an LLM result', () => {
+    const merged = mergeCompatibilityResults(checkCompatibilityRules({ RPI5: 1, OAKDLITE: 1 }));
+
+    expect(merged).toEqual({
+      compatible: true,
+      issues: [],
+      recommendations: [],
+      confidence: null,
+      ruleIssues: [],
+      source: 'rules',
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import configurationsRouter from '../../src/routes/configurations.js';
+import { bearer, createApp, repositories, resetRepositories, users } from '../helpers/routeApp.js';
+
+jest.mock('../../src/repositories/index.js', () => require('../helpers/routeApp.js').repositoryModuleMock());
+
+const app = createApp('/api/configurations', configurationsRouter);
+
+const privateConfiguration = { id: 'config-1', name: 'Private build', userId: users.owner.id, isPublic: false, components: [] };
+const activeShare = { id: 'share-1', slug: 'abc123', revokedAt: null, expiresAt: null, viewCount: 0 };
+
+describe('configuration routes: visibility', () => {
+  let configurations;
+
+  beforeEach(() => {
+    resetRepositories();
+    configurations = repositories.ConfigurationRepository;
+    configurations.findById = jest.fn(async () => privateConfiguration);
+    configurations.findShares = jest.fn(async () => [activeShare]);
+    configurations.revokeShare = jest.fn();
+    configurations.validateConfiguration = jest.fn(async () => ({ valid: true }));
+  });
+
+  it('hides a private configuration from anonymous callers and other users', async () => {
+    await request(app).get('/api/configurations/config-1').expect(404);
+    await request(app).get('/api/configurations/config-1').set('Authorization', bearer(users.other)).expect(404);
+  });
+
+  it('shows a private configuration to its owner and to admins', async () => {
+    for (const user of [users.owner, users.admin]) {
+      const response = await request(app).get('/api/configurations/config-1').set('Authorization', bearer(user)).expect(200);
+      expect(response.body.data.configuration.id).toBe('config-1');
+    }
+  });
+
+  it('shows a public configuration to anyone', async () => {
+    configurations.findById.mockResolvedValue({ ...privateConfiguration, isPublic: true });
+    await request(app).get('/api/configurations/config-1').expect(200);
+  });
+
+  it('does not validate configurations the caller cannot see', async () => {
+    await request(app).post('/api/configurations/config-1/validate').set('Authorization', bearer(users.other)).expect(404);
+    expect(configurations.validateConfiguration).not.toHaveBeenCalled();
+
+    await request(app).post('/api/configurations/config-1/validate').set('Authorization', bearer(users.owner)).expect(200);
+  });
+
+  it('lists only public configurations of other users', async () => {
+    configurations.findByUser = jest.fn(async () => []);
+    configurations.count = jest.fn(async () => 0);
+
+    await request(app).get(`/api/configurations/user/${users.owner.id}`).set('Authorization', bearer(users.other)).expect(200);
+    expect(configurations.findByUser).toHaveBeenLastCalledWith(users.owner.id, expect.objectContaining({ publicOnly: true }));
+    expect(configurations.count).toHaveBeenLastCalledWith({ userId: users.owner.id, isPublic: true });
+
+    await request(app).get(`/api/configurations/user/${users.owner.id}`).set('Authorization', bearer(users.owner)).expect(200);
+    expect(configurations.findByUser).toHaveBeenLastCalledWith(users.owner.id, expect.objectContaining({ publicOnly: false }));
+  });
+
+  it('lets only admins with two-factor authentication override the price', async () => {
+    await request(app).put('/api/configurations/config-1/price').send({ totalPrice: 1 }).expect(401);
+    await request(app).put('/api/configurations/config-1/price').set('Authorization', bearer(users.owner)).send({ totalPrice: 1 }).expect(401);
+
+    const response = await request(app)
+      .put('/api/configurations/config-1/price')
+      .set('Authorization', bearer({ ...users.admin, twoFactorEnabled: false }))
+      .send({ totalPrice: 1 })
+      .expect(403);
+    expect(response.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+
+    configurations.updateTotalPrice = jest.fn(async () => ({ ...privateConfiguration, totalPrice: 1 }));
+    await request(app).put('/api/configurations/config-1/price').set('Authorization', bearer(users.admin)).send({ totalPrice: 1 }).expect(200);
+    expect(configurations.updateTotalPrice).toHaveBeenCalledWith('config-1', 1);
+  });
+});
+
+describe('configuration routes: share links', () => {
+  let configurations;
+
+  beforeEach(() => {
+    resetRepositories();
+    configurations = repositories.ConfigurationRepository;
+    configurations.findById = jest.fn(async () => privateConfiguration);
+    configurations.findShares = jest.fn(async () => [activeShare]);
+    configurations.revokeShare = jest.fn(async () => ({ ...activeShare, revokedAt: new Date() }));
+    configurations.createShare = jest.fn();
+    configurations.findShareBySlug = jest.fn();
+  });
+
+  it('manages share links only for the owner and admins', async () => {
+    await request(app).get('/api/configurations/config-1/shares').expect(401);
+    await request(app).get('/api/configurations/config-1/shares').set('Authorization', bearer(users.other)).expect(404);
+    await request(app).post('/api/configurations/config-1/shares').set('Authorization', bearer(users.other)).send({}).expect(404);
+    await request(app).delete('/api/configurations/config-1/shares/share-1').set('Authorization', bearer(users.other)).expect(404);
+    expect(configurations.createShare).not.toHaveBeenCalled();
+    expect(configurations.revokeShare).not.toHaveBeenCalled();
+
+    const response = await request(app).get('/api/configurations/config-1/shares').set('Authorization', bearer(users.owner)).expect(200);
+    expect(response.body.data.shares).toHaveLength(1);
+    await request(app).delete('/api/configurations/config-1/shares/share-1').set('Authorization', bearer(users.admin)).expect(200);
+    expect(configurations.revokeShare).toHaveBeenCalledWith('share-1');
+  });
+
+  it('answers revoked and expired links with 410', async () => {
+    configurations.findShareBySlug.mockResolvedValue({ ...activeShare, revokedAt: new Date(), configuration: privateConfiguration });
+    const revoked = await request(app).get('/api/configurations/shared/abc123').expect(410);
+    expect(revoked.body.error.code).toBe('SHARE_REVOKED');
+
+    configurations.findShareBySlug.mockResolvedValue({ ...activeShare, expiresAt: new Date(Date.now() - 1000), configuration: privateConfiguration });
+    const expired = await request(app).get('/api/configurations/shared/abc123').expect(410);
+    expect(expired.body.error.code).toBe('SHARE_EXPIRED');
+  });
+
+  it('returns 404 for unknown share links', async () => {
+    configurations.findShareBySlug.mockResolvedValue(null);
+    await request(app).get('/api/configurations/shared/unknown').expect(404);
+  });
+});
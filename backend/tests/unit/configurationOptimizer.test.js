@@ -0,0 +1,89 @@
+import { describe, it, expect } from '@jest/globals';
+import { evaluateItems, optimizeItems } from '../../src/utils/configurationOptimizer.js';
+
+const STARTER = { MG996R: 12, ARD_MEGA: 1, PCA9685: 1, RPI5: 1, MPU6050: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 3, FASTENERS: 1 };
+const INMOOV = { MG996R: 30, DS3218: 2, ARD_MEGA: 1, PCA9685: 2, RPI5: 1, MPU6050: 1, OAKDLITE: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 12, FASTENERS: 1 };
+
+const codes = (evaluation) => evaluation.violations.map(violation => violation.code);
+
+describe('evaluateItems', () => {
+  it('computes price, assembly time and difficulty', () => {
+    const evaluation = evaluateItems({ MG996R: 2, BNO055: 1 });
+
+    expect(evaluation.price).toBeGreaterThan(0);
+    expect(evaluation.minutes).toBe(2 * 20 + 25);
+    expect(evaluation.difficulty).toBe('BEGINNER');
+  });
+
+  it('reports goal violations', () => {
+    const evaluation = evaluateItems(STARTER, { budget: 100, timeLimit: 60, difficultyLevel: 'BEGINNER' });
+
+    expect(codes(evaluation)).toEqual(['BUDGET_EXCEEDED', 'TIME_LIMIT_EXCEEDED', 'DIFFICULTY_EXCEEDED']);
+  });
+
+  it('treats power and compatibility errors as violations', () => {
+    expect(codes(evaluateItems(INMOOV))).toContain('POWER_CRITICAL');
+    expect(codes(evaluateItems({ OAKDLITE: 1, ARD_MEGA: 1 }))).toContain('USB3_REQUIRED');
+  });
+});
+
+describe('optimizeItems', () => {
+  it('returns ranked alternatives with savings and time deltas', () => {
+    const { baseline, alternatives } = optimizeItems(STARTER);
+
+    expect(alternatives.length).toBeGreaterThan(0);
+    expect(alternatives.map(alternative => alternative.rank)).toEqual(alternatives.map((_, index) => index + 1));
+    for (const alternative of alternatives) {
+      expect(alternative.savings).toBeCloseTo(baseline.price - alternative.price, 2);
+      expect(alternative.timeDelta).toBe(alternative.minutes - baseline.minutes);
+      expect(alternative.changes.length).toBeGreaterThan(0);
+    }
+    const savings = alternatives.map(alternative => alternative.savings);
+    expect(savings).toEqual([...savings].sort((a, b) => b - a));
+  });
+
+  it('substitutes parts in both directions', () => {
+    const { alternatives } = optimizeItems({ DS3218: 4, PCA9685: 1, RPI5: 1, BNO055: 1, UBEC6A: 1, LIPO4S5000: 1 }, {}, { limit: 50 });
+    const substitutions = alternatives.flatMap(alternative => alternative.changes)
+      .filter(change => change.type === 'substitute')
+      .map(change => `${change.from}>${change.to}`);
+
+    expect(substitutions).toEqual(expect.arrayContaining(['DS3218>MG996R', 'BNO055>MPU6050', 'LIPO4S5000>PSU12V10A']));
+  });
+
+  it('adds regulators to relieve an overloaded servo rail', () => {
+    const { baseline, alternatives } = optimizeItems(INMOOV);
+
+    expect(codes(baseline)).toContain('POWER_CRITICAL');
+    expect(codes(alternatives[0])).not.toContain('POWER_CRITICAL');
+    expect(alternatives[0].changes).toContainEqual({ type: 'quantity', partKey: 'UBEC6A', from: 1, to: 2 });
+  });
+
+  it('trims surplus servo drivers', () => {
+    const { alternatives } = optimizeItems({ MG996R: 10, PCA9685: 3, RPI5: 1, UBEC6A: 1, PSU12V10A: 1 });
+
+    expect(alternatives[0].changes).toContainEqual({ type: 'quantity', partKey: 'PCA9685', from: 3, to: 1 });
+    expect(alternatives[0].savings).toBeGreaterThan(0);
+  });
+
+  it('ranks feasible alternatives first', () => {
+    const { alternatives } = optimizeItems(STARTER, { budget: 435 }, { limit: 10 });
+    const firstInfeasible = alternatives.findIndex(alternative => !alternative.feasible);
+
+    if (firstInfeasible >= 0) {
+      expect(alternatives.slice(firstInfeasible).every(alternative => !alternative.feasible)).toBe(true);
+    }
+    expect(alternatives[0].feasible).toBe(true);
+  });
+
+  it('prefers time savings when only a time limit is given', () => {
+    const { alternatives } = optimizeItems(STARTER, { timeLimit: 10000 });
+    const deltas = alternatives.map(alternative => alternative.timeDelta);
+
+    expect(deltas).toEqual([...deltas].sort((a, b) => a - b));
+  });
+
+  it('respects the limit option', () => {
+    expect(optimizeItems(INMOOV, {}, { limit: 2 }).alternatives).toHaveLength(2);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from '@jest/globals';
+import { SEED_PARTS } from '../../src/data/products.js';
+import {
+  diffRevisions,
+  revisionChanged,
+  revisionItems,
+  revisionSummary,
+} from '../../src/utils/configurationRevisions.js';
+
+const parts = {
+  MG996R: { ...SEED_PARTS.MG996R, id: 'cmp-mg996r' },
+  PCA9685: { ...SEED_PARTS.PCA9685, id: 'cmp-pca9685' },
+  RPI5: { ...SEED_PARTS.RPI5, id: 'cmp-rpi5' },
+};
+
+const revision = (number, items, totalPrice) => ({
+  revision: number,
+  name: 'Greifarm',
+  description: null,
+  totalPrice,
+  items,
+  createdAt: new Date(`2026-10-0${number}`),
+});
+
+const first = revision(1, [
+  { componentType: 'MG996R', componentId: 'cmp-mg996r', name: 'Servo', quantity: 6, price: 6.2 },
+  { componentType: 'PCA9685', componentId: 'cmp-pca9685', name: 'Driver', quantity: 1, price: 4 },
+  { componentType: 'frame', componentId: null, name: 'frame', quantity: 1, price: 10 },
+], 51.2);
+
+const second = revision(2, [
+  { componentType: 'MG996R', componentId: 'cmp-mg996r', name: 'Servo', quantity: 8, price: 6 },
+  { componentType: 'PCA9685', componentId: 'cmp-pca9685', name: 'Driver', quantity: 1, price: 4 },
+  { componentType: 'RPI5', componentId: 'cmp-rpi5', name: 'Raspberry Pi 5', quantity: 1, price: 80 },
+], 132);
+
+describe('configuration revisions', () => {
+  it('snapshots request prices and falls back to the catalog', () => {
+    const items = revisionItems([
+      { componentType: 'MG996R', quantity: 4, price: 5.999 },
+      { componentType: 'servo', options: { partKey: 'PCA9685' } },
+    ], parts);
+
+    expect(items).toEqual([
+      { componentType: 'MG996R', componentId: 'cmp-mg996r', name: parts.MG996R.name, quantity: 4, price: 6 },
+      { componentType: 'servo', componentId: 'cmp-pca9685', name: parts.PCA9685.name, quantity: 1, price: parts.PCA9685.price },
+    ]);
+  });
+
+  it('lists added and removed parts, quantity changes and the price delta', () => {
+    const diff = diffRevisions(first, second);
+
+    expect(diff.added).toEqual([
+      { key: 'cmp-rpi5', componentType: 'RPI5', name: 'Raspberry Pi 5', quantity: 1, price: 80, total: 80 },
+    ]);
+    expect(diff.removed.map(line => line.key)).toEqual(['frame']);
+    expect(diff.changed).toEqual([{
+      key: 'cmp-mg996r',
+      componentType: 'MG996R',
+      name: 'Servo',
+      fromQuantity: 6,
+      toQuantity: 8,
+      quantityDelta: 2,
+      fromPrice: 6.2,
+      toPrice: 6,
+      totalDelta: 10.8,
+    }]);
+    expect(diff.unchanged).toBe(1);
+    expect(diff.priceDelta).toBe(80.8);
+    expect(diff.renamed).toBeNull();
+    expect(diffRevisions(second, first).priceDelta).toBe(-80.8);
+  });
+
+  it('only counts a save as a new revision when something changed', () => {
+    const reordered = { ...first, items: [...first.items].reverse() };
+
+    expect(revisionChanged(null, first)).toBe(true);
+    expect(revisionChanged(first, reordered)).toBe(false);
+    expect(revisionChanged(first, { ...first, name: 'Greifarm v2' })).toBe(true);
+    expect(revisionChanged(first, second)).toBe(true);
+  });
+
+  it('summarizes a revision for the history list', () => {
+    expect(revisionSummary({ id: 'rev-2', userId: 'user-1', ...second })).toEqual({
+      id: 'rev-2',
+      revision: 2,
+      name: 'Greifarm',
+      totalPrice: 132,
+      partCount: 3,
+      itemCount: 10,
+      userId: 'user-1',
+      createdAt: second.createdAt,
+    });
+  });
+});
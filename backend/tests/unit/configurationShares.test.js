@@ -0,0 +1,69 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  SHARE_STATUS,
+  generateShareSlug,
+  shareExpiry,
+  shareStatus,
+  shareView,
+  sharedBillOfMaterials,
+} from '../../src/utils/configurationShares.js';
+
+const now = new Date('2026-10-20T12:00:00Z');
+
+describe('configuration shares', () => {
+  it('generates short url-safe slugs that differ per link', () => {
+    const slug = generateShareSlug();
+    expect(slug).toMatch(/^[A-Za-z0-9_-]{12}$/);
+    expect(generateShareSlug()).not.toBe(slug);
+    expect(generateShareSlug(size => Buffer.alloc(size, 0xff))).toBe('____________');
+  });
+
+  it('resolves the expiry from days or a fixed date', () => {
+    expect(shareExpiry({ expiresInDays: 7 }, now)).toEqual(new Date('2026-10-27T12:00:00Z'));
+    expect(shareExpiry({ expiresAt: '2026-11-01T00:00:00Z' }, now)).toEqual(new Date('2026-11-01T00:00:00Z'));
+    expect(shareExpiry({}, now)).toBeNull();
+  });
+
+  it('treats revoked and expired links as inactive', () => {
+    const share = { id: 's1', slug: 'abc', createdAt: now, viewCount: 3 };
+
+    expect(shareStatus(share, now)).toBe(SHARE_STATUS.ACTIVE);
+    expect(shareStatus({ ...share, expiresAt: new Date('2026-10-21') }, now)).toBe(SHARE_STATUS.ACTIVE);
+    expect(shareStatus({ ...share, expiresAt: now }, now)).toBe(SHARE_STATUS.EXPIRED);
+    expect(shareStatus({ ...share, expiresAt: new Date('2026-10-01'), revokedAt: new Date('2026-09-30') }, now))
+      .toBe(SHARE_STATUS.REVOKED);
+    expect(shareView(share, now)).toMatchObject({ slug: 'abc', status: 'active', viewCount: 3, expiresAt: null });
+  });
+
+  it('prices the bill of materials from the latest revision and groups costs by category', () => {
+    const configuration = {
+      components: [
+        { componentType: 'MG996R', componentId: 'cmp-mg996r', quantity: 6, options: { partKey: 'MG996R' },
+          component: { name: 'MG996R Servo', category: 'SERVO', price: 7 } },
+        { componentType: 'RPI5', componentId: 'cmp-rpi5', quantity: 1,
+          component: { name: 'Raspberry Pi 5', category: 'CONTROLLER', price: 85 } },
+        { componentType: 'frame', componentId: null, quantity: 1 },
+      ],
+    };
+    const revision = {
+      items: [
+        { componentType: 'MG996R', componentId: 'cmp-mg996r', quantity: 6, price: 6.5 },
+        { componentType: 'frame', componentId: null, quantity: 1, price: 11 },
+      ],
+    };
+
+    const bom = sharedBillOfMaterials(configuration, revision);
+
+    expect(bom.items).toEqual([
+      { partKey: 'MG996R', name: 'MG996R Servo', category: 'SERVO', quantity: 6, unitPrice: 6.5, total: 39 },
+      { partKey: 'RPI5', name: 'Raspberry Pi 5', category: 'CONTROLLER', quantity: 1, unitPrice: 85, total: 85 },
+      { partKey: 'frame', name: 'frame', category: 'MISC', quantity: 1, unitPrice: 11, total: 11 },
+    ]);
+    expect(bom.total).toBe(135);
+    expect(bom.categories.map(group => [group.category, group.total, group.share])).toEqual([
+      ['CONTROLLER', 85, 0.63],
+      ['SERVO', 39, 0.289],
+      ['MISC', 11, 0.081],
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildConfiguratorOrder, findUnknownParts, normalizePricing } from '../../src/utils/configuratorOrder.js';
+import { OFFER_PREFERENCES } from '../../src/utils/supplierOffers.js';
+
+const parts = {
+  SERVO: {
+    name: 'Servo',
+    price: 10,
+    offers: [
+      { id: 'slow', supplier: 'Slow Shop', link: 'https://slow.test/servo', price: 10, shipping: 5, leadTimeDays: 14 },
+      { id: 'fast', supplier: 'Fast Shop', link: 'https://fast.test/servo', price: 12, shipping: 4, leadTimeDays: 2 },
+    ],
+  },
+  BOARD: { name: 'Board', price: 20, link: 'https://slow.test/board', supplier: 'Slow Shop' },
+};
+
+describe('findUnknownParts', () => {
+  it('lists part keys missing from the catalog', () => {
+    expect(findUnknownParts({ SERVO: 1, NOPE: 2 }, parts)).toEqual(['NOPE']);
+  });
+});
+
+describe('buildConfiguratorOrder', () => {
+  it('records the chosen offer per item and adds supplier shipping to the total', () => {
+    const order = buildConfiguratorOrder({ SERVO: 2, BOARD: 1 }, { parts, pricing: { marginPct: 0, partMargins: { SERVO: 15 } } });
+
+    expect(order.items).toEqual([
+      {
+        name: 'Servo',
+        price: 11.5,
+        quantity: 2,
+        options: { partKey: 'SERVO', offerId: 'slow', supplier: 'Slow Shop', link: 'https://slow.test/servo', unitCost: 10, leadTimeDays: 14 },
+      },
+      expect.objectContaining({ name: 'Board', price: 20, quantity: 1 }),
+    ]);
+    // 2 × 11,50 + 20 Verkauf, 40 Einkauf, 5 Versand bei einem Lieferanten
+    expect(order).toEqual(expect.objectContaining({ total: 48, costTotal: 45, shippingTotal: 5 }));
+  });
+
+  it('uses the preferred offer and skips empty positions', () => {
+    const order = buildConfiguratorOrder({ SERVO: 1, BOARD: 0 }, { parts, offerPreference: OFFER_PREFERENCES.FASTEST, pricing: { marginPct: 0 } });
+
+    expect(order.items.map(item => [item.name, item.options.offerId, item.price])).toEqual([['Servo', 'fast', 12]]);
+    expect(order).toEqual(expect.objectContaining({ offerPreference: 'fastest', total: 16, costTotal: 16, shippingTotal: 4 }));
+  });
+
+  it('prices from live snapshot data like the offer preview', () => {
+    const live = { livePrices: { 'SERVO:fast': 8 }, availability: { 'SERVO:slow': 'out-of-stock' } };
+    const order = buildConfiguratorOrder({ SERVO: 1 }, { parts, pricing: { marginPct: 0 }, live });
+
+    expect(order.items[0].options).toEqual(expect.objectContaining({ offerId: 'fast', unitCost: 8 }));
+    expect(order).toEqual(expect.objectContaining({ total: 12, costTotal: 12, shippingTotal: 4 }));
+  });
+
+  it('prices at cost plus the default margin when no settings are stored', () => {
+    const order = buildConfiguratorOrder({ BOARD: 1 }, { parts });
+
+    // 20 × 1,12
+    expect(order.items[0].price).toBe(22.4);
+  });
+});
+
+describe('normalizePricing', () => {
+  it('fills the default margin, clamps to 0–95 % and drops invalid part margins', () => {
+    expect(normalizePricing()).toEqual({ marginPct: 12, partMargins: {} });
+    expect(normalizePricing({ marginPct: 150, partMargins: { SERVO: -5, BOARD: 'x' } }))
+      .toEqual({ marginPct: 95, partMargins: { SERVO: 0 } });
+  });
+});
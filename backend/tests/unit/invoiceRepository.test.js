@@ -0,0 +1,55 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import InvoiceRepository from '../../src/repositories/invoiceRepository.js';
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn() }));
+
+const document = { type: 'INVOICE', orderId: 'order-1', total: 119 };
+
+// Transaction client with the calls createInvoiceOnce makes
+function createRepository({ existing = null, createError = null } = {}) {
+  const tx = {
+    invoice: {
+      findFirst: jest.fn(async () => existing),
+      create: jest.fn(async ({ data }) => {
+        if (createError) throw createError;
+        return { id: 'invoice-1', ...data };
+      }),
+    },
+    documentSequence: { upsert: jest.fn(async () => ({ value: 7 })) },
+    auditLog: { create: jest.fn() },
+  };
+  const repository = new InvoiceRepository();
+  repository.prisma = {
+    $transaction: jest.fn((callback) => callback(tx)),
+    invoice: { findFirst: jest.fn(async () => ({ id: 'invoice-0', number: 'RE-2026-00006' })) },
+  };
+  return { repository, tx };
+}
+
+describe('InvoiceRepository.createInvoiceOnce', () => {
+  it('numbers and stores the first invoice of an order', async () => {
+    const { repository, tx } = createRepository();
+
+    const { invoice, created } = await repository.createInvoiceOnce(document);
+
+    expect(created).toBe(true);
+    expect(invoice.number).toMatch(/^RE-\d{4}-00007$/);
+    expect(tx.invoice.findFirst).toHaveBeenCalledWith({ where: { orderId: 'order-1', type: 'INVOICE' } });
+  });
+
+  it('returns the existing invoice without drawing a number', async () => {
+    const { repository, tx } = createRepository({ existing: { id: 'invoice-0' } });
+
+    expect(await repository.createInvoiceOnce(document)).toEqual({ invoice: { id: 'invoice-0' }, created: false });
+    expect(tx.documentSequence.upsert).not.toHaveBeenCalled();
+  });
+
+  it('returns the invoice of a concurrent call when the unique index rejects the insert', async () => {
+    const { repository } = createRepository({ createError: Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }) });
+
+    expect(await repository.createInvoiceOnce(document)).toEqual({
+      invoice: { id: 'invoice-0', number: 'RE-2026-00006' },
+      created: false,
+    });
+  });
+});
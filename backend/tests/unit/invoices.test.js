@@ -0,0 +1,113 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  INVOICE_TYPE,
+  buildCreditNote,
+  buildInvoice,
+  formatInvoiceNumber,
+  invoiceLines,
+  renderInvoicePdf,
+  sequenceKey,
+} from '../../src/utils/invoices.js';
+
+const seller = { name: 'DIY Humanoid GmbH', address: ['Musterstraße 1', '80333 München'], vatId: 'DE123456789', country: 'DE' };
+
+const order = {
+  orderNumber: 'ORD-1',
+  customerInfo: {
+    name: 'Marie Martin',
+    email: 'marie@example.com',
+    address: { street: '1 Rue de Rivoli', zipCode: '75001', city: 'Paris', country: 'FR' },
+  },
+  items: [
+    { name: 'Servo', price: 12.5, quantity: 4 },
+    { name: 'Controller', price: 39.99, quantity: 1 },
+  ],
+  shippingTotal: 9.9,
+  taxTreatment: 'OSS',
+  taxCountry: 'FR',
+  taxBreakdown: [{ country: 'FR', rate: 0.2, net: 99.89, vat: 19.98 }],
+};
+
+describe('invoice numbers', () => {
+  it('formats gapless numbers per type and year', () => {
+    expect(sequenceKey(INVOICE_TYPE.INVOICE, 2026)).toBe('RE-2026');
+    expect(formatInvoiceNumber(INVOICE_TYPE.INVOICE, 2026, 7)).toBe('RE-2026-00007');
+    expect(formatInvoiceNumber(INVOICE_TYPE.CREDIT_NOTE, 2026, 1)).toBe('GS-2026-00001');
+  });
+});
+
+describe('buildInvoice', () => {
+  it('takes lines from the order items plus shipping and matches the order tax', () => {
+    const invoice = buildInvoice(order, seller);
+
+    expect(invoice.lines).toEqual([
+      { name: 'Servo', quantity: 4, unitPrice: 12.5, net: 50, rate: 0.2, vat: 10, gross: 60 },
+      { name: 'Controller', quantity: 1, unitPrice: 39.99, net: 39.99, rate: 0.2, vat: 8, gross: 47.99 },
+      { name: 'Versand', quantity: 1, unitPrice: 9.9, net: 9.9, rate: 0.2, vat: 1.98, gross: 11.88 },
+    ]);
+    expect(invoice).toMatchObject({ type: 'INVOICE', netTotal: 99.89, taxTotal: 19.98, total: 119.87, note: null });
+    expect(invoice.taxBreakdown).toEqual(order.taxBreakdown);
+    expect(invoice.buyer).toEqual({
+      name: 'Marie Martin',
+      email: 'marie@example.com',
+      address: ['1 Rue de Rivoli', '75001 Paris', 'FR'],
+      vatId: null,
+    });
+  });
+
+  it('notes reverse charge', () => {
+    const invoice = buildInvoice({ ...order, taxTreatment: 'REVERSE_CHARGE', vatId: 'FRXX123456789', taxBreakdown: [{ country: 'FR', rate: 0 }] }, seller);
+    expect(invoice).toMatchObject({ taxTotal: 0, total: 99.89 });
+    expect(invoice.note).toMatch(/Reverse Charge/);
+    expect(invoice.buyer.vatId).toBe('FRXX123456789');
+  });
+});
+
+describe('buildCreditNote', () => {
+  const invoice = { ...buildInvoice(order, seller), number: 'RE-2026-00001' };
+
+  it('reverses all lines on a full refund', () => {
+    const creditNote = buildCreditNote(invoice, { reason: 'Storniert' });
+
+    expect(creditNote.type).toBe('CREDIT_NOTE');
+    expect(creditNote.lines[0]).toMatchObject({ name: 'Servo', net: -50, vat: -10, gross: -60 });
+    expect(creditNote).toMatchObject({ netTotal: -99.89, taxTotal: -19.98, total: -119.87 });
+    expect(creditNote.note).toBe('Gutschrift zur Rechnung RE-2026-00001 – Storniert');
+  });
+
+  it('credits a partial gross amount, capped at the remaining amount', () => {
+    expect(buildCreditNote(invoice, { amount: 24 })).toMatchObject({
+      lines: [{ name: 'Teilerstattung', net: -20, vat: -4, gross: -24 }],
+      total: -24,
+    });
+    expect(buildCreditNote(invoice, { amount: 500, remaining: 95.87 }).total).toBe(-95.87);
+  });
+
+  it('credits the given lines of a return', () => {
+    const creditNote = buildCreditNote(invoice, {
+      lines: [{ name: 'Servo', quantity: 2, unitPrice: 12.5, net: 25, rate: 0.2, vat: 5, gross: 30 }],
+      reason: 'Retoure ORD-1-R1',
+    });
+
+    expect(creditNote.lines).toEqual([{ name: 'Servo', quantity: 2, unitPrice: -12.5, net: -25, rate: 0.2, vat: -5, gross: -30 }]);
+    expect(creditNote).toMatchObject({ netTotal: -25, taxTotal: -5, total: -30 });
+    expect(creditNote.taxBreakdown).toEqual([{ country: 'FR', rate: 0.2, net: -25, vat: -5 }]);
+  });
+});
+
+describe('invoice PDF', () => {
+  it('prints seller, buyer, lines and VAT breakdown', () => {
+    const invoice = { ...buildInvoice(order, seller), number: 'RE-2026-00001', issuedAt: '2026-10-18T12:00:00Z', order: { orderNumber: 'ORD-1' } };
+    const text = invoiceLines(invoice).map(line => (typeof line === 'string' ? line : line.text));
+
+    expect(text).toContain('Rechnung RE-2026-00001');
+    expect(text).toContain('Marie Martin');
+    expect(text).toContain('USt-IdNr. Verkäufer: DE123456789');
+    expect(text).toContain('USt 20 % (FR) auf 99,89 EUR: 19,98 EUR');
+    expect(text).toContain('Rechnungsbetrag: 119,87 EUR');
+
+    const pdf = renderInvoicePdf(invoice).toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/Title (RE-2026-00001)');
+  });
+});
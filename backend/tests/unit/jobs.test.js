@@ -0,0 +1,52 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  JOB_STATUS,
+  availableJobSlots,
+  jobErrorMessage,
+  jobRetryDelay,
+  nextJobState,
+} from '../../src/utils/jobs.js';
+
+const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+describe('job retries', () => {
+  it('backs off exponentially up to the maximum delay', () => {
+    expect([1, 2, 3, 4].map(attempt => jobRetryDelay(attempt, options))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  it('queues the job again until its attempts are used up, then dead-letters it', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+
+    expect(nextJobState({ attempts: 2, maxAttempts: 3 }, new Error('SMTP timeout'), options, now)).toEqual({
+      status: JOB_STATUS.QUEUED,
+      runAt: new Date('2026-10-18T12:00:02Z'),
+      lastError: 'SMTP timeout',
+    });
+    expect(nextJobState({ attempts: 3, maxAttempts: 3 }, new Error('SMTP timeout'), options, now)).toEqual({
+      status: JOB_STATUS.DEAD,
+      runAt: null,
+      lastError: 'SMTP timeout',
+    });
+  });
+
+  it('stores a shortened message for any thrown value', () => {
+    expect(jobErrorMessage('plain')).toBe('plain');
+    expect(jobErrorMessage(new Error('x'.repeat(3000)))).toHaveLength(2000);
+  });
+});
+
+describe('availableJobSlots', () => {
+  it('respects the limit per type and the global limit', () => {
+    const concurrency = { 'email.send': 2, 'manual.generate': 1, 'price.scrape': 1 };
+
+    expect(availableJobSlots(concurrency, { 'email.send': 1 }, 4)).toEqual([
+      { type: 'email.send', slots: 1 },
+      { type: 'manual.generate', slots: 1 },
+      { type: 'price.scrape', slots: 1 },
+    ]);
+    expect(availableJobSlots(concurrency, { 'email.send': 1, 'price.scrape': 1 }, 3)).toEqual([
+      { type: 'email.send', slots: 1 },
+    ]);
+    expect(availableJobSlots(concurrency, { 'email.send': 2, 'price.scrape': 1 }, 3)).toEqual([]);
+  });
+});
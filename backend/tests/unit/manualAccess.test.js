@@ -0,0 +1,67 @@
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import manualRouter from '../../src/routes/manual.js';
+import { bearer, createApp, repositories, resetRepositories, users } from '../helpers/routeApp.js';
+
+jest.mock('../../src/repositories/index.js', () => require('../helpers/routeApp.js').repositoryModuleMock());
+
+const app = createApp('/api/manual', manualRouter);
+
+const configuration = { id: 'config-1', userId: users.owner.id, isPublic: false };
+const manualOf = (source) => ({ id: 'manual-1', title: 'Anleitung', format: 'MARKDOWN', content: '# Anleitung', configurationId: null, orderId: null, ...source });
+
+describe('manual export: access follows the source', () => {
+  let manuals;
+  let configurations;
+
+  beforeEach(() => {
+    resetRepositories();
+    manuals = repositories.ManualRepository;
+    manuals.findById = jest.fn(async () => manualOf({ configurationId: 'config-1' }));
+    configurations = repositories.ConfigurationRepository;
+    configurations.findById = jest.fn(async () => configuration);
+    configurations.findShares = jest.fn(async () => []);
+    repositories.OrderRepository.findById = jest.fn(async () => ({ id: 'order-1', userId: users.owner.id }));
+  });
+
+  it('exports manuals without a source to anyone', async () => {
+    manuals.findById.mockResolvedValue(manualOf());
+    await request(app).get('/api/manual/export/manual-1').expect(200);
+  });
+
+  it('exports the manual of a private configuration only to the owner and admins', async () => {
+    await request(app).get('/api/manual/export/manual-1').expect(401);
+    await request(app).get('/api/manual/export/manual-1').set('Authorization', bearer(users.other)).expect(403);
+    await request(app).get('/api/manual/export/manual-1').set('Authorization', bearer(users.owner)).expect(200);
+    await request(app).get('/api/manual/export/manual-1').set('Authorization', bearer(users.admin)).expect(200);
+  });
+
+  it('exports the manual of a public or shared configuration to anyone', async () => {
+    configurations.findById.mockResolvedValue({ ...configuration, isPublic: true });
+    await request(app).get('/api/manual/export/manual-1').expect(200);
+
+    configurations.findById.mockResolvedValue(configuration);
+    configurations.findShares.mockResolvedValue([{ id: 'share-1', revokedAt: null, expiresAt: null }]);
+    await request(app).get('/api/manual/export/manual-1').expect(200);
+
+    configurations.findShares.mockResolvedValue([{ id: 'share-1', revokedAt: new Date(), expiresAt: null }]);
+    await request(app).get('/api/manual/export/manual-1').expect(401);
+  });
+
+  it('exports the manual of an order only to the owner and admins', async () => {
+    manuals.findById.mockResolvedValue(manualOf({ orderId: 'order-1', configurationId: 'config-1' }));
+    configurations.findById.mockResolvedValue({ ...configuration, isPublic: true });
+
+    await request(app).get('/api/manual/export/manual-1').expect(401);
+    await request(app).get('/api/manual/export/manual-1').set('Authorization', bearer(users.other)).expect(403);
+    await request(app).get('/api/manual/export/manual-1?format=text').set('Authorization', bearer(users.owner)).expect(200);
+  });
+
+  it('rejects repeated format parameters and unknown manuals', async () => {
+    manuals.findById.mockResolvedValue(manualOf());
+    await request(app).get('/api/manual/export/manual-1?format=json&format=text').expect(400);
+
+    manuals.findById.mockResolvedValue(null);
+    await request(app).get('/api/manual/export/missing').expect(404);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from '@jest/globals';
+import { ManualService } from '../../src/services/manualService.js';
+
+const configuration = {
+  id: 'config-1',
+  components: {
+    frame: { id: 'frame_aluminum', name: 'Aluminium Rahmen', selected: true },
+    motor: { id: 'servo_motor_sg90', name: 'Servo Motor SG90', selected: true },
+    lidar: { id: 'lidar_custom', name: 'Eigener Lidar', selected: true }
+  }
+};
+
+describe('manual translations', () => {
+  const service = new ManualService();
+
+  it('generates step, warning and tool texts in the requested language', async () => {
+    const manual = await service.generateManual(configuration, { language: 'en' });
+    const mount = manual.instructions.find(step => step.componentId === 'servo_motor_sg90');
+
+    expect(manual.metadata).toMatchObject({ title: 'DIY Humanoid Assembly Manual', language: 'en' });
+    expect(manual.instructions[0].title).toBe('Prepare the workspace');
+    expect(mount.title).toBe('Servo motor SG90: Attach the motor to the frame');
+    expect(mount.warnings).toEqual(['Do not overtighten - threads can strip']);
+    expect(mount.tools).toEqual(['Phillips screwdriver']);
+    expect(manual.overview.requiredTools.map(tool => tool.name)).toContain('Wire strippers');
+    expect(manual.appendix.upgrades[0]).toBe('Advanced sensors for better perception');
+  });
+
+  it('falls back to German for unsupported languages and keeps names of components without a manual', async () => {
+    const manual = await service.generateManual(configuration, { language: 'fr' });
+
+    expect(manual.metadata).toMatchObject({ title: 'DIY Humanoid Bauanleitung', language: 'de' });
+    expect(manual.overview.components.map(component => component.name)).toContain('Eigener Lidar');
+    expect(manual.overview.safetyNotes).toContain('Scharfe Kanten vermeiden');
+  });
+
+  it('falls back to German for keys missing in a language', () => {
+    const { text, list } = service.translator('nl');
+
+    expect(text('components.frame_aluminum.steps.prepare_parts.title')).toBe('Frameonderdelen voorbereiden');
+    expect(text('components.unknown.name', 'unknown')).toBe('unknown');
+    expect(list('components.unknown.safetyNotes')).toEqual([]);
+  });
+
+  it('prints text export headings in the language of the manual', async () => {
+    const manual = await service.generateManual(configuration, { language: 'nl' });
+    const text = service.formatAsText(manual);
+
+    expect(text).toMatch(/^DIY HUMANOID BOUWHANDLEIDING/);
+    expect(text).toContain('BENODIGD GEREEDSCHAP:');
+    expect(text).toContain(`Stappen totaal: ${manual.overview.totalSteps}`);
+    expect(text).not.toContain('SICHERHEITSHINWEISE');
+  });
+
+  it('localizes single component manuals and the tool database', () => {
+    const manual = service.getComponentManual('power_supply_12v', 'th');
+
+    expect(manual.name).toBe('แหล่งจ่ายไฟ 12V');
+    expect(manual.steps.map(step => step.id)).toEqual(['mount', 'wiring_test']);
+    expect(service.getComponentManual('unknown', 'en')).toBeNull();
+    expect(service.getTools('en').find(tool => tool.id === 'level')).toMatchObject({
+      name: 'Spirit level',
+      category: 'measurement',
+      essential: false
+    });
+  });
+});
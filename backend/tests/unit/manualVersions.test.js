@@ -0,0 +1,77 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  MANUAL_STATUS,
+  configurationToManualInput,
+  manualFingerprint,
+  nextManualVersion,
+  orderItemsToManualInput,
+  supersededStatuses,
+} from '../../src/utils/manualVersions.js';
+
+const configuration = {
+  id: 'config-1',
+  name: 'Walker',
+  components: [
+    { componentType: 'frame', componentId: 'cmp-frame', options: { manualId: 'frame_aluminum' }, component: { name: 'Aluminium Rahmen' } },
+    { componentType: 'sensor', componentId: 'cmp-1', component: { name: 'Ultraschall' } },
+    { componentType: 'sensor', componentId: 'cmp-2', component: { name: 'Ultraschall' } },
+  ],
+};
+
+describe('manual versions', () => {
+  it('counts the major version up and starts at 1.0', () => {
+    expect(nextManualVersion(null)).toBe('1.0');
+    expect(nextManualVersion('1.0')).toBe('2.0');
+    expect(nextManualVersion('2.3')).toBe('3.0');
+    expect(nextManualVersion('draft')).toBe('1.0');
+  });
+
+  it('supersedes drafts with a draft and every active version with a published one', () => {
+    expect(supersededStatuses(MANUAL_STATUS.DRAFT)).toEqual(['DRAFT']);
+    expect(supersededStatuses(MANUAL_STATUS.PUBLISHED)).toEqual(['DRAFT', 'PUBLISHED']);
+  });
+
+  it('builds the generator input from a stored configuration and keeps repeated types apart', () => {
+    const input = configurationToManualInput(configuration);
+
+    expect(input).toMatchObject({ id: 'config-1', name: 'Walker' });
+    expect(input.components).toEqual({
+      frame: { id: 'frame_aluminum', name: 'Aluminium Rahmen', selected: true },
+      sensor: { id: 'cmp-1', name: 'Ultraschall', selected: true },
+      sensor_2: { id: 'cmp-2', name: 'Ultraschall', selected: true },
+    });
+  });
+
+  it('builds the generator input from configurator order items', () => {
+    const input = orderItemsToManualInput({
+      id: 'order-1',
+      orderNumber: 'HR-1',
+      items: [
+        { name: 'Servo SG90', options: { partKey: 'servo_motor_sg90' } },
+        { name: 'Netzteil', componentId: 'cmp-9' },
+      ],
+    });
+
+    expect(input).toMatchObject({ id: 'order-1', name: 'HR-1' });
+    expect(input.components).toEqual({
+      servo_motor_sg90: { id: 'servo_motor_sg90', name: 'Servo SG90', selected: true },
+      part: { id: 'cmp-9', name: 'Netzteil', selected: true },
+    });
+  });
+
+  it('fingerprints only the selected components, independent of their order', () => {
+    const input = configurationToManualInput(configuration);
+    const reordered = configurationToManualInput({
+      ...configuration,
+      name: 'Renamed',
+      components: [...configuration.components].reverse(),
+    });
+    const changed = configurationToManualInput({
+      ...configuration,
+      components: configuration.components.slice(0, 2),
+    });
+
+    expect(manualFingerprint(reordered)).toBe(manualFingerprint(input));
+    expect(manualFingerprint(changed)).not.toBe(manualFingerprint(input));
+  });
+});
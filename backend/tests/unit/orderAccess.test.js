@@ -0,0 +1,104 @@
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import ordersRouter from '../../src/routes/orders.js';
+import jobQueue from '../../src/services/jobQueue.js';
+import { bearer, createApp, repositories, resetRepositories, users } from '../helpers/routeApp.js';
+
+jest.mock('../../src/repositories/index.js', () => require('../helpers/routeApp.js').repositoryModuleMock());
+// pricingService keeps its own client; payments are not part of these checks
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+jest.mock('../../src/services/paymentService.js', () => jest.fn());
+
+const app = createApp('/api/orders', ordersRouter);
+
+const order = { id: 'order-1', orderNumber: 'ORD-1', userId: users.owner.id, status: 'DELIVERED', paymentStatus: 'COMPLETED', items: [] };
+const manual = { id: 'manual-1', title: 'Anleitung', format: 'MARKDOWN', content: '# Anleitung', orderId: 'order-1', configurationId: null };
+
+describe('order routes: owner and admin checks', () => {
+  let orders;
+  let manuals;
+
+  beforeEach(() => {
+    resetRepositories();
+    orders = repositories.OrderRepository;
+    orders.findById = jest.fn(async () => order);
+    orders.findStatusHistory = jest.fn(async () => []);
+    manuals = repositories.ManualRepository;
+    manuals.findLatestManualForOrder = jest.fn(async () => null);
+    repositories.InvoiceRepository.findByOrder = jest.fn(async () => []);
+    repositories.ReturnRepository.findByOrder = jest.fn(async () => []);
+  });
+
+  it('shows the status history only to the owner and admins', async () => {
+    await request(app).get('/api/orders/order-1/history').expect(401);
+    await request(app).get('/api/orders/order-1/history').set('Authorization', bearer(users.other)).expect(403);
+    expect(orders.findStatusHistory).not.toHaveBeenCalled();
+
+    await request(app).get('/api/orders/order-1/history').set('Authorization', bearer(users.owner)).expect(200);
+    await request(app).get('/api/orders/order-1/history').set('Authorization', bearer(users.admin)).expect(200);
+  });
+
+  it('returns 404 for unknown orders', async () => {
+    orders.findById.mockResolvedValue(null);
+    await request(app).get('/api/orders/missing/history').set('Authorization', bearer(users.admin)).expect(404);
+  });
+
+  it('lists invoices and returns only for the owner and admins', async () => {
+    for (const path of ['/api/orders/order-1/invoices', '/api/orders/order-1/returns']) {
+      await request(app).get(path).expect(401);
+      await request(app).get(path).set('Authorization', bearer(users.other)).expect(403);
+      await request(app).get(path).set('Authorization', bearer(users.owner)).expect(200);
+      await request(app).get(path).set('Authorization', bearer(users.admin)).expect(200);
+    }
+  });
+
+  it('shows the manual of an order only to the owner and admins', async () => {
+    await request(app).get('/api/orders/order-1/manual').set('Authorization', bearer(users.other)).expect(403);
+    await request(app).get('/api/orders/order-1/manual').set('Authorization', bearer(users.owner)).expect(404);
+
+    manuals.findLatestManualForOrder.mockResolvedValue(manual);
+    const response = await request(app).get('/api/orders/order-1/manual').set('Authorization', bearer(users.owner)).expect(200);
+    expect(response.body.data.manual).toMatchObject({ id: 'manual-1', orderId: 'order-1' });
+  });
+
+  it('queues the manual generation only for the owner and admins', async () => {
+    const enqueue = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({ id: 'job-1', status: 'QUEUED' });
+
+    await request(app).post('/api/orders/order-1/manual').expect(401);
+    await request(app).post('/api/orders/order-1/manual').set('Authorization', bearer(users.other)).expect(403);
+    expect(enqueue).not.toHaveBeenCalled();
+
+    const response = await request(app).post('/api/orders/order-1/manual').set('Authorization', bearer(users.owner)).expect(202);
+    expect(response.body.data.job).toEqual({ id: 'job-1', status: 'QUEUED' });
+    expect(enqueue).toHaveBeenCalledWith('manual.generate', { orderId: 'order-1' }, { uniqueKey: 'manual:order-1' });
+    enqueue.mockRestore();
+  });
+
+  it('keeps order administration to admins with two-factor authentication', async () => {
+    const customer = bearer(users.owner);
+    const adminWithout2fa = bearer({ ...users.admin, twoFactorEnabled: false });
+
+    await request(app).get('/api/orders/order-1/transitions').set('Authorization', customer).expect(401);
+    await request(app).patch('/api/orders/order-1/status').set('Authorization', customer).send({ status: 'SHIPPED' }).expect(401);
+    await request(app).post('/api/orders/order-1/invoices').set('Authorization', customer).expect(401);
+
+    const response = await request(app).get('/api/orders/order-1/transitions').set('Authorization', adminWithout2fa).expect(403);
+    expect(response.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+    await request(app).post('/api/orders/order-1/invoices').set('Authorization', adminWithout2fa).expect(403);
+  });
+
+  it('lists only the own orders of customers', async () => {
+    orders.findByUser = jest.fn(async () => []);
+    orders.findAll = jest.fn(async () => []);
+    orders.count = jest.fn(async () => 0);
+
+    await request(app).get('/api/orders').expect(401);
+    await request(app).get(`/api/orders?userId=${users.other.id}`).set('Authorization', bearer(users.owner)).expect(200);
+    expect(orders.findByUser).toHaveBeenCalledWith(users.owner.id, expect.any(Object));
+    expect(orders.count).toHaveBeenCalledWith({ userId: users.owner.id });
+    expect(orders.findAll).not.toHaveBeenCalled();
+
+    await request(app).get('/api/orders').set('Authorization', bearer(users.admin)).expect(200);
+    expect(orders.findAll).toHaveBeenCalled();
+  });
+});
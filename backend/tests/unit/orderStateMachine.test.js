@@ -0,0 +1,73 @@
+import { describe, it, expect } from '@jest/globals';
+import { checkTransition, getTransitions, ORDER_TRANSITIONS } from '../../src/utils/orderStateMachine.js';
+
+const order = (status, paymentStatus = 'COMPLETED') => ({ status, paymentStatus });
+const po = (status, poNumber = 'ORD-1-PO1') => ({ status, poNumber });
+
+describe('checkTransition', () => {
+  it('rejects transitions outside the state machine', () => {
+    expect(checkTransition(order('CANCELLED'), 'SHIPPED')).toEqual({
+      allowed: false,
+      reason: 'Cannot change order from CANCELLED to SHIPPED',
+    });
+    expect(checkTransition(order('PENDING'), 'SOMETHING').allowed).toBe(false);
+  });
+
+  it('requires a completed payment before processing', () => {
+    expect(checkTransition(order('PENDING', 'PENDING'), 'PROCESSING')).toEqual({
+      allowed: false,
+      reason: 'Payment must be completed first',
+    });
+    expect(checkTransition(order('PENDING'), 'PROCESSING').allowed).toBe(true);
+  });
+
+  it('follows the purchase orders for drop-ship states', () => {
+    expect(checkTransition(order('PROCESSING'), 'PO_CREATED').allowed).toBe(false);
+    expect(checkTransition(order('PROCESSING'), 'PO_CREATED', { purchaseOrders: [po('DRAFT')] }).allowed).toBe(true);
+
+    expect(checkTransition(order('PO_CREATED'), 'ORDERED', { purchaseOrders: [po('SENT'), po('DRAFT')] }).allowed).toBe(false);
+    expect(checkTransition(order('PO_CREATED'), 'ORDERED', { purchaseOrders: [po('SENT'), po('CANCELLED')] }).allowed).toBe(true);
+
+    expect(checkTransition(order('ORDERED'), 'SHIPPED', { purchaseOrders: [po('SHIPPED'), po('SENT')] }).allowed).toBe(false);
+    expect(checkTransition(order('SHIPPED'), 'DELIVERED', { purchaseOrders: [po('DELIVERED'), po('SHIPPED')] }).allowed).toBe(false);
+    expect(checkTransition(order('SHIPPED'), 'DELIVERED', { purchaseOrders: [po('DELIVERED')] }).allowed).toBe(true);
+  });
+
+  it('ships orders without purchase orders directly', () => {
+    expect(checkTransition(order('PROCESSING'), 'SHIPPED').allowed).toBe(true);
+  });
+
+  it('blocks cancellation once a purchase order has shipped', () => {
+    expect(checkTransition(order('ORDERED'), 'CANCELLED', { purchaseOrders: [po('SHIPPED', 'ORD-1-PO2'), po('SENT')] })).toEqual({
+      allowed: false,
+      reason: 'Purchase orders already shipped: ORD-1-PO2',
+    });
+    expect(checkTransition(order('ORDERED'), 'CANCELLED', { purchaseOrders: [po('SENT')] }).allowed).toBe(true);
+  });
+
+  it('only refunds paid orders', () => {
+    expect(checkTransition(order('CANCELLED', 'PENDING'), 'REFUNDED').allowed).toBe(false);
+    expect(checkTransition(order('CANCELLED', 'COMPLETED'), 'REFUNDED').allowed).toBe(true);
+  });
+
+  it('allows partial refunds of shipped orders followed by the full refund', () => {
+    expect(checkTransition(order('DELIVERED'), 'PARTIALLY_REFUNDED').allowed).toBe(true);
+    expect(checkTransition(order('DELIVERED', 'REFUNDED'), 'PARTIALLY_REFUNDED').allowed).toBe(false);
+    expect(checkTransition(order('PROCESSING'), 'PARTIALLY_REFUNDED').allowed).toBe(false);
+    expect(getTransitions(order('PARTIALLY_REFUNDED')).map(t => t.status)).toEqual(['REFUNDED']);
+  });
+});
+
+describe('getTransitions', () => {
+  it('lists every next state with its guard result', () => {
+    expect(getTransitions(order('PENDING', 'PENDING'))).toEqual([
+      { status: 'PROCESSING', allowed: false, reason: 'Payment must be completed first' },
+      { status: 'CANCELLED', allowed: true, reason: null },
+    ]);
+  });
+
+  it('has no way out of REFUNDED', () => {
+    expect(ORDER_TRANSITIONS.REFUNDED).toEqual([]);
+    expect(getTransitions(order('REFUNDED'))).toEqual([]);
+  });
+});
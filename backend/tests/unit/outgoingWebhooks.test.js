@@ -0,0 +1,68 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  DELIVERY_STATUS,
+  buildWebhookHeaders,
+  buildWebhookPayload,
+  maskSecret,
+  nextDeliveryState,
+  retryDelay,
+  subscriptionsFor,
+} from '../../src/utils/outgoingWebhooks.js';
+import { verifyWebhookSignature } from '../../src/utils/webhookSignature.js';
+
+const options = { maxAttempts: 4, baseDelaySeconds: 30, maxDelaySeconds: 90 };
+
+describe('retry backoff', () => {
+  it('doubles the delay per attempt up to the maximum', () => {
+    expect([1, 2, 3, 4].map(attempt => retryDelay(attempt, options))).toEqual([30000, 60000, 90000, 90000]);
+  });
+
+  it('schedules a retry until the attempts are used up', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+
+    expect(nextDeliveryState(2, false, options, now)).toEqual({
+      status: DELIVERY_STATUS.RETRYING,
+      nextAttemptAt: new Date('2026-10-18T12:01:00Z'),
+    });
+    expect(nextDeliveryState(4, false, options, now)).toEqual({ status: DELIVERY_STATUS.FAILED, nextAttemptAt: null });
+    expect(nextDeliveryState(4, true, options, now)).toEqual({ status: DELIVERY_STATUS.SUCCEEDED, nextAttemptAt: null });
+  });
+});
+
+describe('subscriptionsFor', () => {
+  it('selects active subscriptions of the event or of all events', () => {
+    const subscriptions = [
+      { id: 'shipping', active: true, events: ['order.shipped'] },
+      { id: 'prices', active: true, events: ['price.changed'] },
+      { id: 'all', active: true, events: ['*'] },
+      { id: 'paused', active: false, events: ['order.shipped'] },
+    ];
+
+    expect(subscriptionsFor(subscriptions, 'order.shipped').map(s => s.id)).toEqual(['shipping', 'all']);
+  });
+});
+
+describe('signed delivery', () => {
+  it('signs the exact body so the receiver can verify it', () => {
+    const payload = buildWebhookPayload('order.created', { orderNumber: 'ORD-1' }, {
+      id: 'evt_1',
+      createdAt: new Date('2026-10-18T12:00:00Z'),
+    });
+    const body = JSON.stringify(payload);
+    const headers = buildWebhookHeaders(body, 'whsec_test', {
+      event: payload.event,
+      eventId: payload.id,
+      deliveryId: 'dlv_1',
+      timestamp: 1792324800,
+    });
+
+    expect(payload).toEqual({ id: 'evt_1', event: 'order.created', createdAt: '2026-10-18T12:00:00.000Z', data: { orderNumber: 'ORD-1' } });
+    expect(headers).toMatchObject({ 'X-Webhook-Event': 'order.created', 'X-Webhook-Id': 'evt_1', 'X-Webhook-Delivery': 'dlv_1' });
+    expect(verifyWebhookSignature(body, headers['X-Webhook-Signature'], 'whsec_test', { now: 1792324800 })).toEqual({ valid: true });
+    expect(verifyWebhookSignature(body, headers['X-Webhook-Signature'], 'whsec_other', { now: 1792324800 }).valid).toBe(false);
+  });
+
+  it('masks the secret for listings', () => {
+    expect(maskSecret('whsec_0123456789abcdef')).toBe('whsec_…cdef');
+  });
+});
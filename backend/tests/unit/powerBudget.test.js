@@ -0,0 +1,112 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  calculatePowerBudget,
+  partQuantitiesFromComponents,
+  POWER_STATUS,
+} from '../../src/utils/powerBudget.js';
+
+const STARTER = { MG996R: 12, ARD_MEGA: 1, PCA9685: 1, RPI5: 1, MPU6050: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 3, FASTENERS: 1 };
+const WALKER = { DS3218: 18, ARD_MEGA: 1, PCA9685: 2, RPI5: 1, BNO055: 1, OAKDLITE: 1, UBEC6A: 1, LIPO4S5000: 1, FILAMENT: 5, FASTENERS: 1 };
+const INMOOV = { MG996R: 30, DS3218: 2, ARD_MEGA: 1, PCA9685: 2, RPI5: 1, MPU6050: 1, OAKDLITE: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 12, FASTENERS: 1 };
+
+describe('calculatePowerBudget', () => {
+  it('returns an empty budget for an empty configuration', () => {
+    const budget = calculatePowerBudget({});
+
+    expect(budget.status).toBe(POWER_STATUS.OK);
+    expect(budget.blocking).toBe(false);
+    expect(budget.rails).toEqual({});
+    expect(budget.issues).toEqual([]);
+  });
+
+  it('warns but does not block when only the peak draw exceeds the regulator', () => {
+    const budget = calculatePowerBudget(STARTER);
+
+    expect(budget.blocking).toBe(false);
+    expect(budget.rails.V5.capacity).toBe(6);
+    expect(budget.rails.V5.averageCurrent).toBeLessThan(6);
+    expect(budget.rails.V5.peakCurrent).toBeGreaterThan(6);
+    expect(budget.issues.map(issue => issue.code)).toContain('RAIL_PEAK_EXCEEDED');
+  });
+
+  it('loads the input rail with regulator output divided by efficiency', () => {
+    const budget = calculatePowerBudget(STARTER);
+
+    expect(budget.rails.VIN.averagePower).toBeCloseTo(budget.rails.V5.averagePower / 0.9, 1);
+  });
+
+  it('flags an overloaded rail without blocking checkout', () => {
+    const budget = calculatePowerBudget(WALKER);
+
+    expect(budget.rails.V5.status).toBe(POWER_STATUS.OVERLOADED);
+    expect(budget.blocking).toBe(false);
+    expect(budget.issues.find(issue => issue.code === 'RAIL_OVERLOADED')).toMatchObject({
+      severity: 'error',
+      rail: 'V5',
+      blocking: false,
+    });
+  });
+
+  it('blocks checkout when a rail is badly overloaded', () => {
+    const budget = calculatePowerBudget(INMOOV);
+
+    expect(budget.status).toBe(POWER_STATUS.CRITICAL);
+    expect(budget.blocking).toBe(true);
+    expect(budget.issues.find(issue => issue.code === 'RAIL_CRITICAL')).toMatchObject({
+      rail: 'V5',
+      blocking: true,
+      details: expect.objectContaining({ partKey: 'UBEC6A', capacity: 6 }),
+    });
+  });
+
+  it('estimates battery runtime', () => {
+    const budget = calculatePowerBudget(WALKER);
+
+    expect(budget.batteries).toHaveLength(1);
+    expect(budget.batteries[0]).toMatchObject({ partKey: 'LIPO4S5000', capacityWh: 74 });
+    expect(budget.batteries[0].runtimeMinutes).toBeGreaterThan(0);
+  });
+
+  it('warns about a short battery runtime', () => {
+    const budget = calculatePowerBudget({ MG996R: 12, UBEC6A: 2, LIPO4S5000: 1, RPI5: 1 }, {
+      MG996R: { power: { rail: 'V5', typicalCurrent: 5, stallCurrent: 5 } },
+      RPI5: { power: { rail: 'V5', typicalCurrent: 1.5, peakCurrent: 2.5 } },
+      UBEC6A: { power: { supplies: 'V5', outputVoltage: 5, maxCurrent: 40, inputRail: 'VIN', efficiency: 1 } },
+      LIPO4S5000: { power: { supplies: 'VIN', outputVoltage: 14.8, maxCurrent: 125, capacityAh: 5 } },
+    });
+
+    expect(budget.issues.map(issue => issue.code)).toContain('BATTERY_RUNTIME_LOW');
+  });
+
+  it('warns when a rail has consumers but no supply', () => {
+    const budget = calculatePowerBudget({ MG996R: 4, RPI5: 1 });
+
+    expect(budget.rails.V5.status).toBe(POWER_STATUS.WARNING);
+    expect(budget.issues.map(issue => issue.code)).toEqual(['RAIL_NO_SUPPLY']);
+  });
+
+  it('reports a regulator fed with an unsuitable input voltage', () => {
+    const budget = calculatePowerBudget({ MG996R: 2, UBEC6A: 1, PSU5V: 1 }, {
+      MG996R: { power: { rail: 'V5', typicalCurrent: 0.25, stallCurrent: 2.5 } },
+      UBEC6A: { power: { supplies: 'V5', outputVoltage: 5, maxCurrent: 6, inputRail: 'VIN', inputVoltage: { min: 7.4, max: 25.2 }, efficiency: 0.9 } },
+      PSU5V: { power: { supplies: 'VIN', outputVoltage: 5, maxCurrent: 4 } },
+    });
+
+    expect(budget.issues.find(issue => issue.code === 'SUPPLY_VOLTAGE_MISMATCH')).toMatchObject({
+      severity: 'error',
+      details: { partKey: 'UBEC6A', sourceKey: 'PSU5V', voltage: 5 },
+    });
+  });
+});
+
+describe('partQuantitiesFromComponents', () => {
+  it('maps stored components to part quantities', () => {
+    const items = partQuantitiesFromComponents([
+      { componentType: 'MG996R', quantity: 6 },
+      { componentType: 'SERVO', options: { partKey: 'MG996R' }, quantity: 2 },
+      { componentType: 'HEAD', quantity: 1 },
+    ]);
+
+    expect(items).toEqual({ MG996R: 8 });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from '@jest/globals';
+import { SEED_PARTS } from '../../src/data/products.js';
+import { BUILT_IN_PRESETS } from '../../src/data/presets.js';
+import {
+  builtInPresetViews,
+  filterPresets,
+  normalizePresetTags,
+  presetDof,
+  presetItems,
+  toPresetView,
+} from '../../src/utils/presets.js';
+
+const builtIns = builtInPresetViews(BUILT_IN_PRESETS, SEED_PARTS);
+
+const team = toPresetView({
+  id: 'preset-1',
+  scope: 'TEAM',
+  label: 'Hand-Demo',
+  notes: null,
+  translations: { en: { label: 'Hand demo', notes: 'Grasping on the table' } },
+  items: { MG996R: 6, RPI5: 1 },
+  tags: ['Hand', ' demo ', 'hand'],
+  isPublic: false,
+}, SEED_PARTS);
+
+describe('presets', () => {
+  it('counts servos as degrees of freedom', () => {
+    expect(builtIns.map(preset => [preset.id, preset.dof])).toEqual([
+      ['starter', 12],
+      ['walker', 18],
+      ['inmoov', 32],
+    ]);
+    expect(presetDof({ RPI5: 1, UNKNOWN: 4 }, SEED_PARTS)).toBe(0);
+  });
+
+  it('stores only positive quantities and normalized tags', () => {
+    expect(presetItems({ MG996R: 4, RPI5: 0, PCA9685: 1.4 })).toEqual({ MG996R: 4, PCA9685: 1 });
+    expect(normalizePresetTags(['Vision', 'vision ', '', 'Biped'])).toEqual(['vision', 'biped']);
+    expect(team.tags).toEqual(['hand', 'demo']);
+    expect(team.isPublic).toBe(true);
+    expect(builtIns[0]).toMatchObject({ scope: 'BUILT_IN', i18nKey: 'starter', isPublic: true });
+  });
+
+  it('filters by tags, DOF range and search term including translations', () => {
+    const presets = [...builtIns, team];
+
+    expect(filterPresets(presets, { tag: 'oberkörper' }).map(preset => preset.id)).toEqual(['starter', 'inmoov']);
+    expect(filterPresets(presets, { tag: ['Oberkörper', 'vision'] }).map(preset => preset.id)).toEqual(['inmoov']);
+    expect(filterPresets(presets, { minDof: 10, maxDof: 20 }).map(preset => preset.id)).toEqual(['starter', 'walker']);
+    expect(filterPresets(presets, { maxDof: 6 }).map(preset => preset.id)).toEqual(['preset-1']);
+    expect(filterPresets(presets, { search: 'grasping' }).map(preset => preset.id)).toEqual(['preset-1']);
+    expect(filterPresets(presets)).toHaveLength(4);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from '@jest/globals';
+import { detectPriceAlerts, detectPriceChanges, PRICE_ALERT_TYPES } from '../../src/utils/priceAlerts.js';
+import { runWithDomainLimits } from '../../src/utils/domainConcurrency.js';
+
+const result = (productKey, price, availability = 'in-stock') => ({ success: true, productKey, price, availability, url: `https://shop.test/${productKey}` });
+
+describe('detectPriceAlerts', () => {
+  const previous = {
+    MG996R: { productKey: 'MG996R', price: 10, availability: 'in-stock' },
+    RPI5: { productKey: 'RPI5', price: 80, availability: 'in-stock' },
+    PCA9685: { productKey: 'PCA9685', price: 5, availability: 'out-of-stock' },
+  };
+
+  it('raises a price jump above the threshold in both directions', () => {
+    const alerts = detectPriceAlerts([result('MG996R', 12), result('RPI5', 70)], previous, { thresholdPercent: 10 });
+
+    expect(alerts).toEqual([
+      expect.objectContaining({ type: PRICE_ALERT_TYPES.PRICE_JUMP, productKey: 'MG996R', previousPrice: 10, price: 12, changePercent: 20 }),
+      expect.objectContaining({ type: PRICE_ALERT_TYPES.PRICE_JUMP, productKey: 'RPI5', changePercent: -12.5 }),
+    ]);
+  });
+
+  it('ignores changes below the threshold and products without history', () => {
+    expect(detectPriceAlerts([result('MG996R', 10.5), result('BNO055', 30)], previous, { thresholdPercent: 10 })).toEqual([]);
+  });
+
+  it('raises an alert only when a part becomes unavailable', () => {
+    const alerts = detectPriceAlerts([result('MG996R', 10, 'out-of-stock'), result('PCA9685', 5, 'out-of-stock')], previous);
+
+    expect(alerts).toEqual([
+      expect.objectContaining({ type: PRICE_ALERT_TYPES.OUT_OF_STOCK, productKey: 'MG996R', previousAvailability: 'in-stock' }),
+    ]);
+  });
+
+  it('compares supplier offers with the snapshot of the same offer', () => {
+    const offerPrevious = {
+      'BNO055:robotshop': { productKey: 'BNO055', offerId: 'robotshop', price: 36, availability: 'in-stock' },
+      'BNO055:adafruit': { productKey: 'BNO055', offerId: 'adafruit', price: 30, availability: 'in-stock' },
+    };
+    const alerts = detectPriceAlerts([
+      { ...result('BNO055', 36), offerId: 'robotshop', supplier: 'RobotShop' },
+      { ...result('BNO055', 36), offerId: 'adafruit', supplier: 'Adafruit' },
+    ], offerPrevious);
+
+    expect(alerts).toEqual([
+      expect.objectContaining({ type: PRICE_ALERT_TYPES.PRICE_JUMP, productKey: 'BNO055', offerId: 'adafruit', supplier: 'Adafruit', changePercent: 20 }),
+    ]);
+  });
+
+  it('skips failed scrapes', () => {
+    expect(detectPriceAlerts([{ success: false, productKey: 'MG996R' }], previous)).toEqual([]);
+  });
+});
+
+describe('detectPriceChanges', () => {
+  it('reports every changed price regardless of the alert threshold', () => {
+    const previous = {
+      MG996R: { productKey: 'MG996R', price: 10 },
+      RPI5: { productKey: 'RPI5', price: 80 },
+    };
+
+    expect(detectPriceChanges([
+      result('MG996R', 10.5),
+      result('RPI5', 80),
+      result('BNO055', 30),
+      { success: false, productKey: 'MG996R' },
+    ], previous)).toEqual([
+      { productKey: 'MG996R', previousPrice: 10, price: 10.5, changePercent: 5 },
+    ]);
+  });
+});
+
+describe('runWithDomainLimits', () => {
+  const trackingWorker = () => {
+    const active = new Map();
+    let maxTotal = 0;
+    const maxByDomain = new Map();
+    let total = 0;
+
+    const worker = async ({ key, domain }) => {
+      total++;
+      active.set(domain, (active.get(domain) || 0) + 1);
+      maxTotal = Math.max(maxTotal, total);
+      maxByDomain.set(domain, Math.max(maxByDomain.get(domain) || 0, active.get(domain)));
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active.set(domain, active.get(domain) - 1);
+      total--;
+      return key;
+    };
+
+    return { worker, stats: () => ({ maxTotal, maxByDomain }) };
+  };
+
+  const items = [
+    { key: 'a1', domain: 'a.test' },
+    { key: 'a2', domain: 'a.test' },
+    { key: 'a3', domain: 'a.test' },
+    { key: 'b1', domain: 'b.test' },
+    { key: 'c1', domain: 'c.test' },
+  ];
+
+  it('respects the global and the per-domain limit', async () => {
+    const { worker, stats } = trackingWorker();
+    const results = await runWithDomainLimits(items, worker, { concurrency: 3, perDomain: 1, getDomain: item => item.domain });
+
+    expect(results).toEqual(['a1', 'a2', 'a3', 'b1', 'c1']);
+    expect(stats().maxTotal).toBe(3);
+    expect(stats().maxByDomain.get('a.test')).toBe(1);
+  });
+
+  it('resolves immediately without items', async () => {
+    await expect(runWithDomainLimits([], async () => null)).resolves.toEqual([]);
+  });
+
+  it('rejects when a worker throws', async () => {
+    await expect(runWithDomainLimits([1], async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+  });
+});
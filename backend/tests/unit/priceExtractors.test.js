@@ -0,0 +1,105 @@
+import { describe, it, expect } from '@jest/globals';
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { extractFromHtml, getSupportedDomains, normalizeDomain, registerDomainExtractor } from '../../src/scraper/extractors/index.js';
+import { querySelectorAll, extractMetaTags } from '../../src/scraper/extractors/html.js';
+import { parsePrice, parseAvailability } from '../../src/scraper/extractors/parse.js';
+
+const FIXTURES_DIR = join(__dirname, '../fixtures/suppliers');
+
+// Gespeicherte Händlerseiten: <domain>/<name>.html mit erwartetem Ergebnis in <name>.json
+const fixtures = readdirSync(FIXTURES_DIR).flatMap(domain =>
+  readdirSync(join(FIXTURES_DIR, domain))
+    .filter(file => file.endsWith('.html'))
+    .map(file => ({
+      domain,
+      name: file.replace(/\.html$/, ''),
+      html: readFileSync(join(FIXTURES_DIR, domain, file), 'utf8'),
+      ...JSON.parse(readFileSync(join(FIXTURES_DIR, domain, file.replace(/\.html$/, '.json')), 'utf8')),
+    }))
+);
+
+describe('supplier fixtures', () => {
+  it('has at least one fixture per registered domain', () => {
+    const covered = new Set(fixtures.map(fixture => fixture.domain));
+    expect(getSupportedDomains().filter(domain => !covered.has(domain))).toEqual([]);
+  });
+
+  it.each(fixtures.map(fixture => [`${fixture.domain}/${fixture.name}`, fixture]))('extracts %s', (_, fixture) => {
+    expect(normalizeDomain(fixture.url)).toBe(fixture.domain);
+    expect(extractFromHtml(fixture.html, { url: fixture.url })).toEqual(fixture.expected);
+  });
+});
+
+describe('extractFromHtml', () => {
+  it('uses JSON-LD for unknown domains', () => {
+    const html = '<script type="application/ld+json">{"@type":"Product","offers":{"@type":"Offer","price":"9.99","priceCurrency":"USD"}}</script>';
+
+    expect(extractFromHtml(html, { url: 'https://new-shop.example/item' })).toEqual({
+      price: 9.99, currency: '$', availability: 'unknown', extractor: 'json-ld',
+    });
+  });
+
+  it('supports registered domains with custom extract logic', () => {
+    registerDomainExtractor({
+      domain: 'www.custom-shop.example',
+      extract: html => ({ price: Number(html.match(/window\.PRICE = ([\d.]+)/)[1]), currency: '€', availability: 'in-stock' }),
+    });
+
+    expect(extractFromHtml('<script>window.PRICE = 3.5</script>', { url: 'https://custom-shop.example/p/1' }))
+      .toEqual({ price: 3.5, currency: '€', availability: 'in-stock', extractor: 'custom' });
+  });
+
+  it('returns null without a price', () => {
+    expect(extractFromHtml('<html><body><p class="availability">In stock</p></body></html>', { domain: 'kubii.com' })).toBeNull();
+  });
+});
+
+describe('static HTML helpers', () => {
+  const html = `
+    <div class="price old"><span class="amount">1</span></div>
+    <div class="price" data-price="12.5"><div><span class="amount">12,50 &euro;</span></div></div>
+    <meta property="og:price:amount" content="7">
+    <script>document.write('<div class="price">99</div>')</script>`;
+
+  it('matches compound selectors and keeps nested markup', () => {
+    const elements = querySelectorAll(html, 'div.price[data-price]');
+
+    expect(elements).toHaveLength(1);
+    expect(elements[0].attributes['data-price']).toBe('12.5');
+    expect(elements[0].text).toBe('12,50 €');
+  });
+
+  it('ignores script content and unsupported selectors', () => {
+    expect(querySelectorAll(html, '.price')).toHaveLength(2);
+    expect(querySelectorAll(html, '.price .amount')).toEqual([]);
+  });
+
+  it('collects meta tags', () => {
+    expect(extractMetaTags(html)).toEqual({ 'og:price:amount': '7' });
+  });
+});
+
+describe('parsePrice', () => {
+  it.each([
+    ['1.234,56 €', 1234.56],
+    ['€1,234.56', 1234.56],
+    ['12,9', 12.9],
+    ['89', 89],
+  ])('parses %s', (text, price) => {
+    expect(parsePrice(text)?.price).toBe(price);
+  });
+});
+
+describe('parseAvailability', () => {
+  it.each([
+    ['https://schema.org/InStock', 'in-stock'],
+    ['http://schema.org/OutOfStock', 'out-of-stock'],
+    ['Artikel derzeit nicht lieferbar', 'out-of-stock'],
+    ['Nicht verfügbar', 'out-of-stock'],
+    ['Sofort lieferbar', 'in-stock'],
+    ['Low stock', 'low-stock'],
+  ])('parses %s', (text, availability) => {
+    expect(parseAvailability(text)).toBe(availability);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from '@jest/globals';
+import { resolveRange, aggregateSnapshots, summarizeSnapshots } from '../../src/utils/priceHistory.js';
+
+const snapshot = (scrapedAt, price) => ({ productKey: 'MG996R', scrapedAt: new Date(scrapedAt), price });
+
+const SNAPSHOTS = [
+  snapshot('2026-10-12T08:00:00Z', 6.0), // Montag
+  snapshot('2026-10-12T20:00:00Z', 7.0),
+  snapshot('2026-10-13T09:00:00Z', 6.5),
+  snapshot('2026-10-19T10:00:00Z', 8.0), // nächster Montag
+];
+
+describe('resolveRange', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+
+  it('computes the start of a range', () => {
+    expect(resolveRange('7d', now)).toEqual({ from: new Date('2026-10-11T12:00:00Z'), to: now });
+  });
+
+  it('has no start for the full history', () => {
+    expect(resolveRange('all', now).from).toBeNull();
+  });
+});
+
+describe('aggregateSnapshots', () => {
+  it('returns raw points without aggregation', () => {
+    const points = aggregateSnapshots(SNAPSHOTS, 'none');
+
+    expect(points).toHaveLength(4);
+    expect(points[0]).toEqual({ timestamp: '2026-10-12T08:00:00.000Z', price: 6, min: 6, max: 6, avg: 6, count: 1 });
+  });
+
+  it('aggregates per day', () => {
+    const points = aggregateSnapshots(SNAPSHOTS, 'day');
+
+    expect(points.map(point => point.timestamp)).toEqual([
+      '2026-10-12T00:00:00.000Z',
+      '2026-10-13T00:00:00.000Z',
+      '2026-10-19T00:00:00.000Z',
+    ]);
+    expect(points[0]).toMatchObject({ price: 7, min: 6, max: 7, avg: 6.5, count: 2 });
+  });
+
+  it('aggregates per week starting on Monday', () => {
+    const points = aggregateSnapshots(SNAPSHOTS, 'week');
+
+    expect(points).toHaveLength(2);
+    expect(points[0]).toMatchObject({ timestamp: '2026-10-12T00:00:00.000Z', count: 3, min: 6, max: 7 });
+    expect(points[1]).toMatchObject({ timestamp: '2026-10-19T00:00:00.000Z', count: 1 });
+  });
+
+  it('skips failed snapshots without a price', () => {
+    expect(aggregateSnapshots([snapshot('2026-10-12T08:00:00Z', null)], 'day')).toEqual([]);
+  });
+});
+
+describe('summarizeSnapshots', () => {
+  it('computes min, max, avg and change', () => {
+    expect(summarizeSnapshots(SNAPSHOTS)).toEqual({
+      min: 6,
+      max: 8,
+      avg: 6.88,
+      first: 6,
+      last: 8,
+      changePercent: 33.33,
+      count: 4,
+    });
+  });
+
+  it('returns null without prices', () => {
+    expect(summarizeSnapshots([])).toBeNull();
+  });
+});
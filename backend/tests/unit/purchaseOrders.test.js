@@ -0,0 +1,106 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  PURCHASE_ORDER_STATUS,
+  purchaseOrderToCsv,
+  renderPurchaseOrderEmail,
+  rollupOrderStatus,
+  splitOrderBySupplier,
+} from '../../src/utils/purchaseOrders.js';
+import { renderTextPdf } from '../../src/utils/pdf.js';
+
+const parts = {
+  SERVO: {
+    name: 'Servo',
+    price: 10,
+    offers: [
+      { id: 'slow', supplier: 'Slow Shop', link: 'https://slow.test/servo', price: 10, shipping: 5, leadTimeDays: 14 },
+      { id: 'fast', supplier: 'Fast Shop', link: 'https://fast.test/servo', price: 12, shipping: 4, leadTimeDays: 2 },
+    ],
+  },
+  BOARD: { name: 'Board', price: 20, link: 'https://slow.test/board', supplier: 'Slow Shop' },
+};
+
+const purchaseOrder = {
+  poNumber: 'ORD-1-PO1',
+  supplier: 'Slow Shop',
+  lines: [{ partKey: 'SERVO', name: 'Servo "MG"', offerId: 'slow', link: 'https://slow.test/servo', quantity: 2, unitCost: 10, lineTotal: 20 }],
+  subtotal: 20,
+  shipping: 5,
+  total: 25,
+  createdAt: new Date('2026-10-18T10:00:00Z'),
+};
+
+describe('splitOrderBySupplier', () => {
+  it('groups items by the supplier stored with the order item', () => {
+    const groups = splitOrderBySupplier([
+      { name: 'Servo', quantity: 2, price: 15, options: { partKey: 'SERVO', offerId: 'fast', supplier: 'Fast Shop', unitCost: 12 } },
+      { name: 'Board', quantity: 1, price: 25, options: { partKey: 'BOARD', supplier: 'Slow Shop', unitCost: 20 } },
+    ], parts);
+
+    expect(groups.map(group => [group.supplier, group.subtotal, group.shipping, group.total])).toEqual([
+      ['Fast Shop', 24, 4, 28],
+      ['Slow Shop', 20, 0, 20],
+    ]);
+    expect(groups[0].lines[0]).toEqual(expect.objectContaining({ partKey: 'SERVO', offerId: 'fast', quantity: 2, unitCost: 12, lineTotal: 24 }));
+  });
+
+  it('falls back to the primary offer for items without options', () => {
+    const groups = splitOrderBySupplier([
+      { name: 'Servo', quantity: 1, price: 15 },
+      { name: 'Board', quantity: 1, price: 25 },
+    ], parts);
+
+    expect(groups).toEqual([
+      expect.objectContaining({ supplier: 'Slow Shop', subtotal: 30, shipping: 5, total: 35 }),
+    ]);
+  });
+});
+
+describe('rollupOrderStatus', () => {
+  const po = (status) => ({ status });
+
+  it('ships the order once every active purchase order has shipped', () => {
+    expect(rollupOrderStatus([po('SHIPPED'), po('SENT')])).toBeNull();
+    expect(rollupOrderStatus([po('SHIPPED'), po('DELIVERED'), po('CANCELLED')])).toBe('SHIPPED');
+  });
+
+  it('delivers the order once every active purchase order is delivered', () => {
+    expect(rollupOrderStatus([po('DELIVERED'), po('CANCELLED')])).toBe('DELIVERED');
+  });
+
+  it('leaves the order alone without active purchase orders', () => {
+    expect(rollupOrderStatus([])).toBeNull();
+    expect(rollupOrderStatus([po(PURCHASE_ORDER_STATUS.CANCELLED)])).toBeNull();
+  });
+});
+
+describe('purchase order documents', () => {
+  const order = { orderNumber: 'ORD-1', customerInfo: { name: 'Max Mustermann', address: { street: 'Musterstraße 1', postalCode: '80333', city: 'München', country: 'DE' } } };
+
+  it('renders one CSV row per line plus shipping and total', () => {
+    const rows = purchaseOrderToCsv(purchaseOrder, order).split('\n');
+
+    expect(rows).toHaveLength(4);
+    expect(rows[1]).toBe('"ORD-1-PO1","ORD-1","Slow Shop","SERVO","Servo ""MG""","slow","2","10.00","20.00","https://slow.test/servo"');
+    expect(rows[3]).toContain('"Gesamt"');
+  });
+
+  it('addresses the email to the drop-ship customer', () => {
+    const email = renderPurchaseOrderEmail(purchaseOrder, order);
+
+    expect(email.subject).toBe('Einkaufsbestellung ORD-1-PO1');
+    expect(email.text).toContain('80333 München');
+    expect(email.html).toContain('Servo "MG"');
+  });
+
+  it('writes a PDF with a valid cross-reference table', () => {
+    const pdf = renderTextPdf(['Einkaufsbestellung (Test) €', ...Array.from({ length: 80 }, (_, i) => `Zeile ${i}`)]).toString('latin1');
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const offsets = pdf.slice(xref).split('\n').filter(line => / n $/.test(line)).map(line => parseInt(line, 10));
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/Count 2');
+    expect(pdf).toContain('\\(Test\\) \x80');
+    offsets.forEach((offset, index) => expect(pdf.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj`)));
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from '@jest/globals';
+import { createQrMatrix, renderQrDataUrl, renderQrSvg } from '../../src/utils/qrcode.js';
+
+// Reads the 15 format bits around the top-left finder pattern and removes the mask
+function readFormatBits(modules) {
+  const positions = [
+    ...[0, 1, 2, 3, 4, 5, 7, 8].map(y => [8, y]),
+    [7, 8],
+    ...[5, 4, 3, 2, 1, 0].map(x => [x, 8]),
+  ];
+  const bits = positions.reduce((value, [x, y], i) => value | ((modules[y][x] ? 1 : 0) << i), 0);
+  return (bits ^ 0x5412) >>> 10;
+}
+
+function hasFinderPattern(modules, left, top) {
+  for (let dy = 0; dy < 7; dy++) {
+    for (let dx = 0; dx < 7; dx++) {
+      const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+      if (modules[top + dy][left + dx] !== (ring !== 2)) return false;
+    }
+  }
+  return true;
+}
+
+describe('createQrMatrix', () => {
+  it('picks the smallest version that fits the content', () => {
+    expect(createQrMatrix('HELLO', { ecc: 'M' })).toMatchObject({ version: 1, size: 21 });
+    expect(createQrMatrix('x'.repeat(14), { ecc: 'M' }).version).toBe(1);
+    expect(createQrMatrix('x'.repeat(15), { ecc: 'M' }).version).toBe(2);
+    expect(createQrMatrix('x'.repeat(331), { ecc: 'M' })).toMatchObject({ version: 13, size: 69 });
+  });
+
+  it('draws finder patterns, timing pattern and the dark module', () => {
+    const { modules, size } = createQrMatrix('otpauth://totp/Test:user?secret=JBSWY3DPEHPK3PXP');
+    expect(hasFinderPattern(modules, 0, 0)).toBe(true);
+    expect(hasFinderPattern(modules, size - 7, 0)).toBe(true);
+    expect(hasFinderPattern(modules, 0, size - 7)).toBe(true);
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+    }
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  it('encodes error correction level and mask in the format bits', () => {
+    const levels = { L: 1, M: 0, Q: 3, H: 2 };
+    for (const [ecc, bits] of Object.entries(levels)) {
+      const { modules, mask } = createQrMatrix('format check', { ecc });
+      expect(readFormatBits(modules)).toBe((bits << 3) | mask);
+    }
+    expect(createQrMatrix('fixed mask', { mask: 5 }).mask).toBe(5);
+  });
+
+  it('rejects unknown levels and oversized content', () => {
+    expect(() => createQrMatrix('x', { ecc: 'X' })).toThrow('Unknown QR error correction level X');
+    expect(() => createQrMatrix('x'.repeat(3000), { ecc: 'H' })).toThrow('Content too long for a QR code');
+  });
+});
+
+describe('renderQrSvg', () => {
+  it('renders a square SVG with quiet zone', () => {
+    const svg = renderQrSvg('HELLO', { size: 200 });
+    expect(svg).toMatch(/^<svg [^>]*viewBox="0 0 29 29" width="200" height="200"/);
+    expect(svg).toContain('<path d="M4,4h1v1h-1z');
+    expect(renderQrDataUrl('HELLO')).toMatch(/^data:image\/svg\+xml;base64,/);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import ReturnService from '../../src/services/returnService.js';
+import { RETURN_STATUS } from '../../src/utils/returns.js';
+
+// Repositories and services are replaced per test, the modules only need to load
+jest.mock('../../src/repositories/index.js', () => ({
+  InvoiceRepository: jest.fn(),
+  OrderRepository: jest.fn(),
+  ReturnRepository: jest.fn(),
+}));
+jest.mock('../../src/services/paymentService.js', () => jest.fn());
+jest.mock('../../src/services/invoiceService.js', () => jest.fn());
+jest.mock('../../src/services/orderService.js', () => jest.fn());
+jest.mock('../../src/services/notificationService.js', () => ({ sendRefundNotification: jest.fn() }));
+
+const order = {
+  id: 'order-1',
+  total: 100,
+  items: [{ id: 'servo', name: 'Servo', price: 10, quantity: 4 }],
+  payments: [{ paymentId: 'pi_1', provider: 'stripe', status: 'COMPLETED' }],
+  taxBreakdown: [{ rate: 0.19 }],
+};
+
+const inspected = {
+  id: 'return-1',
+  rmaNumber: 'ORD-1-R1',
+  orderId: 'order-1',
+  status: RETURN_STATUS.INSPECTED,
+  refundAmount: 23.8,
+  refundId: null,
+  items: [{ orderItemId: 'servo', quantity: 2, acceptedQuantity: 2 }],
+};
+
+// In-memory return row with the conditional update of ReturnRepository.claimStatus
+function createService(row) {
+  const service = new ReturnService();
+  service.returnRepository = {
+    findWithDetails: jest.fn(async () => ({ ...row })),
+    findByOrder: jest.fn(async () => [{ ...row }]),
+    claimStatus: jest.fn(async (id, from, to) => {
+      if (row.status !== from) return null;
+      row.status = to;
+      return { ...row };
+    }),
+    update: jest.fn(async (id, data) => Object.assign(row, data)),
+    transitionStatus: jest.fn(async (id, status, data) => Object.assign(row, data, { status })),
+  };
+  service.orderRepository = { findById: jest.fn(async () => order) };
+  service.invoiceRepository = { findInvoice: jest.fn(async () => null) };
+  service.paymentService = { refundPayment: jest.fn(async () => ({ refundId: 're_1' })) };
+  service.invoiceService = { issueCreditNote: jest.fn(async () => ({ invoice: { id: 'credit-1' } })) };
+  service.orderService = { runSideEffect: jest.fn((o, name, effect) => effect()), updateOrderStatus: jest.fn() };
+  service.updateOrderAfterRefund = jest.fn();
+  return service;
+}
+
+describe('ReturnService.refund', () => {
+  let row;
+
+  beforeEach(() => {
+    row = { ...inspected };
+  });
+
+  it('refunds once and stores the refund ID', async () => {
+    const service = createService(row);
+
+    const updated = await service.refund('return-1');
+
+    expect(service.paymentService.refundPayment).toHaveBeenCalledWith('pi_1', 23.8, 'stripe', 'requested_by_customer');
+    expect(updated).toMatchObject({ status: RETURN_STATUS.REFUNDED, refundId: 're_1', creditNoteId: 'credit-1' });
+  });
+
+  it('rejects a second submit while the first one is refunding', async () => {
+    const service = createService(row);
+    let release;
+    service.paymentService.refundPayment.mockImplementation(() => new Promise((resolve) => { release = resolve; }));
+
+    const first = service.refund('return-1');
+    await new Promise((resolve) => setImmediate(resolve));
+    await expect(service.refund('return-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    release({ refundId: 're_1' });
+    await first;
+    expect(service.paymentService.refundPayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('hands the return back when the provider refuses the refund', async () => {
+    const service = createService(row);
+    service.paymentService.refundPayment.mockRejectedValue(new Error('card_declined'));
+
+    await expect(service.refund('return-1')).rejects.toThrow('card_declined');
+    expect(row).toMatchObject({ status: RETURN_STATUS.INSPECTED, refundId: null });
+  });
+
+  it('finishes an interrupted refund without refunding again', async () => {
+    Object.assign(row, { status: RETURN_STATUS.REFUNDING, refundId: 're_1' });
+    const service = createService(row);
+
+    const updated = await service.refund('return-1');
+
+    expect(service.paymentService.refundPayment).not.toHaveBeenCalled();
+    expect(updated.status).toBe(RETURN_STATUS.REFUNDED);
+  });
+
+  it('credits each line at its invoiced VAT rate', async () => {
+    const service = createService(row);
+    service.invoiceRepository.findInvoice.mockResolvedValue({ lines: [{ orderItemId: 'servo', rate: 0.07 }] });
+
+    await service.refund('return-1');
+
+    const [, { lines }] = service.invoiceService.issueCreditNote.mock.calls[0];
+    expect(lines).toEqual([expect.objectContaining({ orderItemId: 'servo', rate: 0.07, vat: 1.4, gross: 21.4 })]);
+  });
+});
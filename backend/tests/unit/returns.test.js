@@ -0,0 +1,121 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  RETURN_STATUS,
+  calculateReturnRefund,
+  canTransitionReturn,
+  isFullyReturned,
+  lineTaxRates,
+  returnableItems,
+  validateReturnItems,
+} from '../../src/utils/returns.js';
+
+const orderItems = [
+  { id: 'servo', name: 'Servo', price: 12.5, quantity: 4 },
+  { id: 'controller', name: 'Controller', price: 39.99, quantity: 1 },
+];
+
+const returnOf = (status, items) => ({ status, items });
+
+describe('returnableItems', () => {
+  it('subtracts open returns and the accepted quantity of inspected ones', () => {
+    const returns = [
+      returnOf(RETURN_STATUS.REQUESTED, [{ orderItemId: 'servo', quantity: 1 }]),
+      returnOf(RETURN_STATUS.REFUNDED, [{ orderItemId: 'servo', quantity: 2, acceptedQuantity: 1 }]),
+      returnOf(RETURN_STATUS.REJECTED, [{ orderItemId: 'controller', quantity: 1 }]),
+    ];
+
+    expect(returnableItems(orderItems, returns).map(item => item.returnable)).toEqual([2, 1]);
+  });
+});
+
+describe('validateReturnItems', () => {
+  const returnable = returnableItems(orderItems, [
+    returnOf(RETURN_STATUS.APPROVED, [{ orderItemId: 'servo', quantity: 3 }]),
+  ]);
+
+  it('accepts quantities up to the returnable amount', () => {
+    expect(validateReturnItems([{ orderItemId: 'servo', quantity: 1 }, { orderItemId: 'controller', quantity: 1 }], returnable)).toEqual([]);
+  });
+
+  it('reports unknown, duplicate and excess items', () => {
+    expect(validateReturnItems([], returnable)).toEqual([{ field: 'items', message: 'At least one item must be returned' }]);
+    expect(validateReturnItems([
+      { orderItemId: 'servo', quantity: 2 },
+      { orderItemId: 'other', quantity: 1 },
+      { orderItemId: 'servo', quantity: 1 },
+    ], returnable)).toEqual([
+      { field: 'items.0', message: 'Only 1 of Servo can be returned' },
+      { field: 'items.1', message: 'Item does not belong to this order' },
+      { field: 'items.2', message: 'Servo is listed twice' },
+    ]);
+  });
+});
+
+describe('calculateReturnRefund', () => {
+  it('refunds the accepted quantity per line including VAT', () => {
+    const refund = calculateReturnRefund([
+      { orderItemId: 'servo', acceptedQuantity: 3 },
+      { orderItemId: 'controller', acceptedQuantity: 0 },
+    ], orderItems, { servo: 0.19, controller: 0.19 });
+
+    expect(refund).toEqual({
+      lines: [{ orderItemId: 'servo', name: 'Servo', quantity: 3, unitPrice: 12.5, net: 37.5, rate: 0.19, vat: 7.13, gross: 44.63 }],
+      netTotal: 37.5,
+      taxTotal: 7.13,
+      total: 44.63,
+    });
+  });
+
+  it('refunds net amounts without VAT under reverse charge', () => {
+    expect(calculateReturnRefund([{ orderItemId: 'controller', acceptedQuantity: 1 }], orderItems, { controller: 0 }).total).toBe(39.99);
+  });
+
+  it('applies the rate of each line on mixed-rate orders', () => {
+    const refund = calculateReturnRefund([
+      { orderItemId: 'servo', acceptedQuantity: 2 },
+      { orderItemId: 'controller', acceptedQuantity: 1 },
+    ], orderItems, { servo: 0.19, controller: 0.07 });
+
+    expect(refund.lines.map(line => [line.rate, line.vat])).toEqual([[0.19, 4.75], [0.07, 2.8]]);
+    expect(refund).toMatchObject({ netTotal: 64.99, taxTotal: 7.55, total: 72.54 });
+  });
+});
+
+describe('lineTaxRates', () => {
+  it('takes the rate of each invoice line, falling back to the order rate', () => {
+    const invoice = {
+      lines: [
+        { orderItemId: 'servo', name: 'Servo', unitPrice: 12.5, rate: 0.19 },
+        { name: 'Controller', unitPrice: 39.99, rate: 0.07 },
+        { name: 'Versand', unitPrice: 4.9, rate: 0.19 },
+      ],
+    };
+
+    expect(lineTaxRates(orderItems, invoice, 0.2)).toEqual({ servo: 0.19, controller: 0.07 });
+    expect(lineTaxRates(orderItems, null, 0.2)).toEqual({ servo: 0.2, controller: 0.2 });
+  });
+});
+
+describe('return workflow', () => {
+  it('only allows refunds after inspection', () => {
+    expect(canTransitionReturn(RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED)).toBe(true);
+    expect(canTransitionReturn(RETURN_STATUS.APPROVED, RETURN_STATUS.REFUNDED)).toBe(false);
+    expect(canTransitionReturn(RETURN_STATUS.INSPECTED, RETURN_STATUS.REFUNDING)).toBe(true);
+    expect(canTransitionReturn(RETURN_STATUS.INSPECTED, RETURN_STATUS.REFUNDED)).toBe(false);
+    expect(canTransitionReturn(RETURN_STATUS.REFUNDING, RETURN_STATUS.REFUNDED)).toBe(true);
+    expect(canTransitionReturn(RETURN_STATUS.RECEIVED, RETURN_STATUS.CANCELLED)).toBe(false);
+  });
+
+  it('treats the order as refunded once every item has been returned and refunded', () => {
+    const servos = returnOf(RETURN_STATUS.REFUNDED, [{ orderItemId: 'servo', quantity: 4, acceptedQuantity: 4 }]);
+    expect(isFullyReturned(orderItems, [servos])).toBe(false);
+    expect(isFullyReturned(orderItems, [
+      servos,
+      returnOf(RETURN_STATUS.INSPECTED, [{ orderItemId: 'controller', quantity: 1, acceptedQuantity: 1 }]),
+    ])).toBe(false);
+    expect(isFullyReturned(orderItems, [
+      servos,
+      returnOf(RETURN_STATUS.REFUNDED, [{ orderItemId: 'controller', quantity: 1, acceptedQuantity: 1 }]),
+    ])).toBe(true);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  BANK_TRANSACTION_STATUS,
+  buildEpcPayload,
+  classifyPayment,
+  creditorReference,
+  findOrderForTransaction,
+  formatIban,
+  isValidCreditorReference,
+  isValidIban,
+  parseAmount,
+  parseBankCsv,
+  parseBankStatement,
+  parseCamt053,
+} from '../../src/utils/sepa.js';
+
+const IBAN = 'DE89370400440532013000';
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt><Stmt>
+    <Ntry>
+      <Amt Ccy="EUR">1189.00</Amt>
+      <CdtDbtInd>CRDT</CdtDbtInd>
+      <BookgDt><Dt>2026-10-17</Dt></BookgDt>
+      <AcctSvcrRef>2026101700001</AcctSvcrRef>
+      <NtryDtls><TxDtls>
+        <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+        <RltdPties><Dbtr><Nm>Erika Mustermann &amp; Co</Nm></Dbtr><DbtrAcct><Id><IBAN>DE02120300000000202051</IBAN></Id></DbtrAcct></RltdPties>
+        <RmtInf><Strd><CdtrRefInf><Ref>RF14 ORDM GX2K 7QZA 1B</Ref></CdtrRefInf></Strd></RmtInf>
+      </TxDtls></NtryDtls>
+    </Ntry>
+    <Ntry>
+      <Amt Ccy="EUR">25.00</Amt>
+      <CdtDbtInd>DBIT</CdtDbtInd>
+      <BookgDt><Dt>2026-10-17</Dt></BookgDt>
+    </Ntry>
+    <Ntry>
+      <Amt Ccy="EUR">150.00</Amt>
+      <CdtDbtInd>CRDT</CdtDbtInd>
+      <BookgDt><Dt>2026-10-18</Dt></BookgDt>
+      <AcctSvcrRef>2026101800007</AcctSvcrRef>
+      <NtryDtls>
+        <TxDtls><AmtDtls><TxAmt><Amt Ccy="EUR">100.00</Amt></TxAmt></AmtDtls><RmtInf><Ustrd>Bestellung ORD-AAA111-XYZ</Ustrd></RmtInf></TxDtls>
+        <TxDtls><AmtDtls><TxAmt><Amt Ccy="EUR">50.00</Amt></TxAmt></AmtDtls><RmtInf><Ustrd>Spende</Ustrd></RmtInf></TxDtls>
+      </NtryDtls>
+    </Ntry>
+  </Stmt></BkToCstmrStmt>
+</Document>`;
+
+describe('IBAN and creditor reference', () => {
+  it('validates IBAN check digits and formats in groups of four', () => {
+    expect(isValidIban('DE89 3704 0044 0532 0130 00')).toBe(true);
+    expect(isValidIban('DE89370400440532013001')).toBe(false);
+    expect(isValidIban('DE89')).toBe(false);
+    expect(formatIban(IBAN)).toBe('DE89 3704 0044 0532 0130 00');
+  });
+
+  it('derives a valid ISO 11649 reference from the order number', () => {
+    const reference = creditorReference('ORD-MGX2K7QZ-A1B');
+    expect(reference).toBe('RF14ORDMGX2K7QZA1B');
+    expect(isValidCreditorReference(reference)).toBe(true);
+    expect(isValidCreditorReference('RF18 5390 0754 7034')).toBe(true);
+    expect(isValidCreditorReference('RF15ORDMGX2K7QZA1B')).toBe(false);
+  });
+});
+
+describe('buildEpcPayload', () => {
+  it('builds the EPC QR payload with structured reference', () => {
+    const payload = buildEpcPayload({
+      name: 'DIY Humanoid Configurator',
+      iban: 'DE89 3704 0044 0532 0130 00',
+      bic: 'COBADEFFXXX',
+      amount: 1189,
+      reference: 'RF14ORDMGX2K7QZA1B',
+    });
+    expect(payload.split('\n')).toEqual([
+      'BCD', '002', '1', 'SCT', 'COBADEFFXXX', 'DIY Humanoid Configurator', IBAN, 'EUR1189.00', '', 'RF14ORDMGX2K7QZA1B',
+    ]);
+  });
+
+  it('uses the unstructured text without reference and rejects invalid data', () => {
+    const payload = buildEpcPayload({ name: 'Shop', iban: IBAN, amount: 9.5, text: 'ORD-1' });
+    expect(payload.split('\n').slice(4)).toEqual(['', 'Shop', IBAN, 'EUR9.50', '', '', 'ORD-1']);
+
+    expect(() => buildEpcPayload({ name: 'Shop', iban: 'DE00123', amount: 1 })).toThrow('Invalid IBAN');
+    expect(() => buildEpcPayload({ name: 'Shop', iban: IBAN, amount: 0 })).toThrow('Amount must be between');
+  });
+});
+
+describe('parseCamt053', () => {
+  it('returns credits with reference, debtor and remittance information', () => {
+    const transactions = parseCamt053(CAMT);
+
+    expect(transactions).toHaveLength(3);
+    expect(transactions[0]).toEqual({
+      transactionId: '2026101700001',
+      bookingDate: '2026-10-17',
+      amount: 1189,
+      currency: 'EUR',
+      debtorName: 'Erika Mustermann & Co',
+      debtorIban: 'DE02120300000000202051',
+      remittanceInfo: 'RF14 ORDM GX2K 7QZA 1B',
+    });
+  });
+
+  it('splits batch entries into one transaction per detail', () => {
+    const [, first, second] = parseCamt053(CAMT);
+    expect(first).toMatchObject({ transactionId: '2026101800007-1', amount: 100, remittanceInfo: 'Bestellung ORD-AAA111-XYZ' });
+    expect(second).toMatchObject({ transactionId: '2026101800007-2', amount: 50, remittanceInfo: 'Spende' });
+  });
+});
+
+describe('parseBankCsv', () => {
+  const CSV = [
+    '"Buchungstag";"Valutadatum";"Verwendungszweck";"Kundenreferenz (End-to-End)";"Beguenstigter/Zahlungspflichtiger";"Kontonummer/IBAN";"Betrag";"Waehrung"',
+    '"17.10.26";"17.10.26";"RF14ORDMGX2K7QZA1B";"NOTPROVIDED";"Erika Mustermann";"DE02 1203 0000 0000 2020 51";"1.189,00";"EUR"',
+    '"17.10.26";"17.10.26";"Miete";"";"Vermieter";"DE02120300000000202051";"-800,00";"EUR"',
+    '"18.10.26";"18.10.26";"Teilzahlung ORD-AAA111-XYZ";"";"Max";"";"50,00";"EUR"',
+    '"18.10.26";"18.10.26";"Teilzahlung ORD-AAA111-XYZ";"";"Max";"";"50,00";"EUR"',
+  ].join('\r\n');
+
+  it('detects columns, skips debits and parses German amounts and dates', () => {
+    const transactions = parseBankCsv(CSV);
+
+    expect(transactions).toHaveLength(3);
+    expect(transactions[0]).toMatchObject({
+      bookingDate: '2026-10-17',
+      amount: 1189,
+      currency: 'EUR',
+      debtorName: 'Erika Mustermann',
+      debtorIban: 'DE02120300000000202051',
+      remittanceInfo: 'RF14ORDMGX2K7QZA1B',
+    });
+  });
+
+  it('derives stable, distinct IDs for identical lines', () => {
+    const [, first, second] = parseBankCsv(CSV);
+    expect(first.transactionId).not.toBe(second.transactionId);
+    expect(parseBankCsv(CSV).map(t => t.transactionId)).toEqual(parseBankCsv(CSV).map(t => t.transactionId));
+  });
+
+  it('parses comma separated exports and rejects files without amount column', () => {
+    const transactions = parseBankStatement('Date,Description,Amount\n2026-10-18,"ORD-1, thanks","1,234.50"\n');
+    expect(transactions[0]).toMatchObject({ bookingDate: '2026-10-18', amount: 1234.5, remittanceInfo: 'ORD-1, thanks' });
+    expect(() => parseBankCsv('Datum;Text\n18.10.2026;x')).toThrow('CSV statement has no amount column');
+  });
+
+  it('parses amounts with either decimal separator', () => {
+    expect(parseAmount('1.234,56')).toBe(1234.56);
+    expect(parseAmount('1,234.56')).toBe(1234.56);
+    expect(parseAmount('-12,5')).toBe(-12.5);
+    expect(parseAmount('99')).toBe(99);
+  });
+});
+
+describe('matching', () => {
+  const orders = [
+    { id: 'o1', orderNumber: 'ORD-MGX2K7QZ-A1B' },
+    { id: 'o2', orderNumber: 'ORD-AAA111-XYZ' },
+  ];
+
+  it('finds orders by reference or order number regardless of spacing', () => {
+    expect(findOrderForTransaction({ remittanceInfo: 'rf14 ordm gx2k 7qza 1b' }, orders).id).toBe('o1');
+    expect(findOrderForTransaction({ remittanceInfo: 'Bestellung ORD-AAA111-XYZ danke' }, orders).id).toBe('o2');
+    expect(findOrderForTransaction({ remittanceInfo: 'Spende' }, orders)).toBeNull();
+    expect(findOrderForTransaction({ remittanceInfo: null }, orders)).toBeNull();
+  });
+
+  it('classifies exact, partial and excess amounts to the cent', () => {
+    expect(classifyPayment(1189, 0, 1189)).toEqual({ status: BANK_TRANSACTION_STATUS.MATCHED, received: 1189, difference: 0 });
+    expect(classifyPayment(100.1, 0, 50.05)).toEqual({ status: BANK_TRANSACTION_STATUS.PARTIAL, received: 50.05, difference: -50.05 });
+    expect(classifyPayment(100.1, 50.05, 50.05).status).toBe(BANK_TRANSACTION_STATUS.MATCHED);
+    expect(classifyPayment(100, 0, 120)).toEqual({ status: BANK_TRANSACTION_STATUS.OVERPAID, received: 120, difference: 20 });
+  });
+});
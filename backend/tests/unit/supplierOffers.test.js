@@ -0,0 +1,136 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  buildSupplierBreakdown,
+  getOffers,
+  liveOfferData,
+  offerKey,
+  OFFER_PREFERENCES,
+  selectOffer,
+  toEur,
+} from '../../src/utils/supplierOffers.js';
+import { PARTS } from '../../src/data/products.js';
+
+const parts = {
+  SERVO: {
+    price: 10,
+    offers: [
+      { id: 'slow', supplier: 'Slow Shop', link: 'https://slow.test/servo', price: 10, currency: 'EUR', shipping: 5, leadTimeDays: 14 },
+      { id: 'fast', supplier: 'Fast Shop', link: 'https://fast.test/servo', price: 12, currency: 'EUR', shipping: 4, leadTimeDays: 2 },
+    ],
+  },
+  BOARD: {
+    price: 20,
+    offers: [
+      { id: 'slow', supplier: 'Slow Shop', link: 'https://slow.test/board', price: 20, currency: 'EUR', shipping: 5, leadTimeDays: 10 },
+      { id: 'us', supplier: 'US Shop', link: 'https://us.test/board', price: 20, currency: 'USD', shipping: 10, leadTimeDays: 7 },
+    ],
+  },
+  LEGACY: { price: 7, link: 'https://legacy.test/part', supplier: 'Legacy' },
+};
+
+describe('getOffers', () => {
+  it('fills defaults for currency, shipping and lead time', () => {
+    expect(getOffers('LEGACY', parts)).toEqual([
+      expect.objectContaining({ id: 'default', supplier: 'Legacy', price: 7, currency: 'EUR', shipping: 0, leadTimeDays: 7 }),
+    ]);
+  });
+
+  it('returns no offers for unknown parts', () => {
+    expect(getOffers('UNKNOWN', parts)).toEqual([]);
+  });
+
+  it('keeps the primary offer in sync with price, link and supplier of every part', () => {
+    for (const [key, part] of Object.entries(PARTS)) {
+      if (!part.offers) continue;
+      expect({ key, price: part.offers[0].price, link: part.offers[0].link, supplier: part.offers[0].supplier })
+        .toEqual({ key, price: part.price, link: part.link, supplier: part.supplier });
+    }
+  });
+});
+
+describe('selectOffer', () => {
+  it('picks the lowest landed cost for cheapest', () => {
+    // 1 Stück: 10 + 5 = 15 gegen 12 + 4 = 16
+    expect(selectOffer('SERVO', 1, OFFER_PREFERENCES.CHEAPEST, { parts }).offer.id).toBe('slow');
+    // 10 Stück: 100 + 5 = 105 gegen 120 + 4 = 124
+    expect(selectOffer('SERVO', 10, OFFER_PREFERENCES.CHEAPEST, { parts })).toEqual(
+      expect.objectContaining({ unitPrice: 10, lineTotal: 100, landedCost: 105 })
+    );
+  });
+
+  it('picks the shortest lead time for fastest', () => {
+    expect(selectOffer('SERVO', 1, OFFER_PREFERENCES.FASTEST, { parts }).offer.id).toBe('fast');
+  });
+
+  it('converts foreign currencies to EUR before comparing', () => {
+    const selection = selectOffer('BOARD', 1, OFFER_PREFERENCES.CHEAPEST, { parts, rates: { EUR: 1, USD: 0.5 } });
+
+    expect(selection.offer.id).toBe('us');
+    expect(selection).toEqual(expect.objectContaining({ unitPrice: 10, landedCost: 15 }));
+  });
+
+  it('prefers live prices and skips out-of-stock offers', () => {
+    const livePrices = { [offerKey('SERVO', 'fast')]: 5 };
+    expect(selectOffer('SERVO', 1, OFFER_PREFERENCES.CHEAPEST, { parts, livePrices })).toEqual(
+      expect.objectContaining({ offer: expect.objectContaining({ id: 'fast' }), livePrice: true })
+    );
+    expect(selectOffer('SERVO', 1, OFFER_PREFERENCES.CHEAPEST, { parts }).livePrice).toBe(false);
+
+    const availability = { [offerKey('SERVO', 'fast')]: 'out-of-stock' };
+    expect(selectOffer('SERVO', 1, OFFER_PREFERENCES.FASTEST, { parts, availability }).offer.id).toBe('slow');
+  });
+
+  it('falls back to out-of-stock offers when nothing else is available', () => {
+    const availability = { [offerKey('SERVO', 'fast')]: 'out-of-stock', [offerKey('SERVO', 'slow')]: 'out-of-stock' };
+    expect(selectOffer('SERVO', 1, OFFER_PREFERENCES.CHEAPEST, { parts, availability }).offer.id).toBe('slow');
+  });
+});
+
+describe('buildSupplierBreakdown', () => {
+  it('groups lines by supplier and charges shipping once per supplier', () => {
+    const breakdown = buildSupplierBreakdown({ SERVO: 2, BOARD: 1, LEGACY: 0 }, OFFER_PREFERENCES.CHEAPEST, { parts });
+
+    expect(breakdown.lines.map(line => [line.partKey, line.supplier])).toEqual([
+      ['SERVO', 'Slow Shop'],
+      ['BOARD', 'Slow Shop'],
+    ]);
+    expect(breakdown.suppliers).toEqual([
+      { supplier: 'Slow Shop', lines: ['SERVO', 'BOARD'], subtotal: 40, shipping: 5, leadTimeDays: 14, total: 45 },
+    ]);
+    expect(breakdown).toEqual(expect.objectContaining({ subtotal: 40, shipping: 5, total: 45, leadTimeDays: 14 }));
+  });
+
+  it('splits the order across suppliers for fastest', () => {
+    const breakdown = buildSupplierBreakdown({ SERVO: 1, BOARD: 1 }, OFFER_PREFERENCES.FASTEST, { parts, rates: { EUR: 1, USD: 1 } });
+
+    expect(breakdown.suppliers.map(group => [group.supplier, group.subtotal, group.shipping])).toEqual([
+      ['US Shop', 20, 10],
+      ['Fast Shop', 12, 4],
+    ]);
+    expect(breakdown).toEqual(expect.objectContaining({ subtotal: 32, shipping: 14, total: 46, leadTimeDays: 7 }));
+  });
+
+  it('converts amounts with the static exchange rates by default', () => {
+    expect(toEur(100, 'USD')).toBe(92);
+    expect(toEur(100, 'XYZ')).toBe(100);
+  });
+});
+
+describe('liveOfferData', () => {
+  it('takes snapshot prices only when the scraped currency matches the offer', () => {
+    const snapshots = {
+      'SERVO:fast': { price: 8, currency: '€', availability: 'in-stock' },
+      'BOARD:us': { price: 15, currency: '€', availability: 'low-stock' },
+      'BOARD:slow': { price: null, currency: '€', availability: 'out-of-stock' },
+    };
+
+    expect(liveOfferData(snapshots, parts)).toEqual({
+      livePrices: { 'SERVO:fast': 8 },
+      availability: { 'SERVO:fast': 'in-stock', 'BOARD:us': 'low-stock', 'BOARD:slow': 'out-of-stock' },
+    });
+  });
+
+  it('returns empty maps without snapshots', () => {
+    expect(liveOfferData({}, parts)).toEqual({ livePrices: {}, availability: {} });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  EU_VAT_RATES,
+  VAT_ID_PATTERNS,
+  TAX_TREATMENT,
+  buildOssReport,
+  calculateOrderTax,
+  determineTaxTreatment,
+  ossReportToCsv,
+  quarterRange,
+  validateVatId,
+} from '../../src/utils/tax.js';
+
+describe('validateVatId', () => {
+  it('has rates and format patterns for all 27 member states', () => {
+    expect(Object.keys(EU_VAT_RATES)).toHaveLength(27);
+    expect(Object.keys(VAT_ID_PATTERNS).sort()).toEqual(Object.keys(EU_VAT_RATES).sort());
+  });
+
+  it('normalizes and accepts valid formats', () => {
+    expect(validateVatId('de 123.456-789')).toEqual({ valid: true, vatId: 'DE123456789', country: 'DE', error: null });
+    expect(validateVatId('ATU12345678').valid).toBe(true);
+    expect(validateVatId('NL123456789B01').valid).toBe(true);
+    expect(validateVatId('FRXX123456789').valid).toBe(true);
+    expect(validateVatId('IE1234567WA').valid).toBe(true);
+    expect(validateVatId('EL123456789')).toMatchObject({ valid: true, country: 'GR' });
+  });
+
+  it('rejects invalid formats, unknown prefixes and country mismatches', () => {
+    expect(validateVatId('DE12345678')).toMatchObject({ valid: false, error: 'Invalid VAT ID format' });
+    expect(validateVatId('GB123456789')).toMatchObject({ valid: false, error: 'Unknown VAT ID country prefix' });
+    expect(validateVatId('ATU12345678', 'DE')).toMatchObject({ valid: false, error: 'VAT ID is not from DE' });
+    expect(validateVatId('')).toMatchObject({ valid: false, error: 'VAT ID is required' });
+  });
+});
+
+describe('determineTaxTreatment', () => {
+  it('charges the seller rate domestically, also for B2B', () => {
+    expect(determineTaxTreatment({ country: 'DE' })).toMatchObject({ treatment: TAX_TREATMENT.DOMESTIC, rate: 0.19 });
+    expect(determineTaxTreatment({ country: 'de', vatId: 'DE123456789' }))
+      .toMatchObject({ treatment: TAX_TREATMENT.DOMESTIC, rate: 0.19, vatId: 'DE123456789' });
+  });
+
+  it('uses the destination rate for EU consumers (OSS)', () => {
+    expect(determineTaxTreatment({ country: 'FR' })).toMatchObject({ treatment: TAX_TREATMENT.OSS, country: 'FR', rate: 0.2 });
+    expect(determineTaxTreatment({ country: 'FR', ossEnabled: false })).toMatchObject({ treatment: TAX_TREATMENT.DOMESTIC, rate: 0.19 });
+  });
+
+  it('applies reverse charge only for a valid foreign EU VAT ID', () => {
+    expect(determineTaxTreatment({ country: 'AT', vatId: 'ATU12345678' }))
+      .toMatchObject({ treatment: TAX_TREATMENT.REVERSE_CHARGE, rate: 0, vatId: 'ATU12345678' });
+    expect(determineTaxTreatment({ country: 'AT', vatId: 'ATU1234' })).toMatchObject({ treatment: TAX_TREATMENT.OSS, rate: 0.2 });
+  });
+
+  it('treats non-EU destinations as tax-free exports', () => {
+    expect(determineTaxTreatment({ country: 'CH' })).toMatchObject({ treatment: TAX_TREATMENT.EXPORT, rate: 0 });
+  });
+
+  it('falls back to the seller country for unknown destinations', () => {
+    expect(determineTaxTreatment({ country: 'Deutschland', sellerCountry: 'AT' }))
+      .toMatchObject({ treatment: TAX_TREATMENT.DOMESTIC, country: 'AT', rate: 0.2 });
+  });
+});
+
+describe('calculateOrderTax', () => {
+  const items = [
+    { name: 'Servo', price: 12.5, quantity: 4 },
+    { name: 'Controller', price: 39.99, quantity: 1 },
+    { name: 'Skipped', price: 10, quantity: 0 },
+  ];
+
+  it('taxes each line and shipping with the destination rate', () => {
+    const result = calculateOrderTax(items, { country: 'FR', shipping: 9.9 });
+
+    expect(result.treatment).toBe(TAX_TREATMENT.OSS);
+    expect(result.lines).toEqual([
+      { name: 'Servo', quantity: 4, net: 50, rate: 0.2, vat: 10, gross: 60 },
+      { name: 'Controller', quantity: 1, net: 39.99, rate: 0.2, vat: 8, gross: 47.99 },
+      { name: 'Versand', quantity: 1, net: 9.9, rate: 0.2, vat: 1.98, gross: 11.88 },
+    ]);
+    expect(result).toMatchObject({ net: 99.89, vat: 19.98, gross: 119.87 });
+    expect(result.breakdown).toEqual([{ country: 'FR', rate: 0.2, net: 99.89, vat: 19.98 }]);
+  });
+
+  it('charges no VAT under reverse charge', () => {
+    const result = calculateOrderTax(items, { country: 'NL', vatId: 'NL123456789B01' });
+    expect(result).toMatchObject({ treatment: TAX_TREATMENT.REVERSE_CHARGE, net: 89.99, vat: 0, gross: 89.99 });
+  });
+});
+
+describe('OSS report', () => {
+  const order = (taxTreatment, createdAt, breakdown) => ({ taxTreatment, createdAt, taxBreakdown: breakdown });
+
+  it('computes quarter boundaries', () => {
+    expect(quarterRange(2026, 4)).toEqual({
+      from: new Date('2026-10-01T00:00:00.000Z'),
+      to: new Date('2027-01-01T00:00:00.000Z'),
+    });
+    expect(() => quarterRange(2026, 5)).toThrow('Invalid quarter');
+  });
+
+  it('groups OSS orders of the quarter by country and rate', () => {
+    const report = buildOssReport([
+      order('OSS', '2026-07-02T10:00:00Z', [{ country: 'FR', rate: 0.2, net: 100, vat: 20 }]),
+      order('OSS', '2026-09-30T23:59:59Z', [{ country: 'FR', rate: 0.2, net: 50, vat: 10 }]),
+      order('OSS', '2026-08-15T12:00:00Z', [{ country: 'AT', rate: 0.2, net: 10.5, vat: 2.1 }]),
+      order('OSS', '2026-10-01T00:00:00Z', [{ country: 'FR', rate: 0.2, net: 999, vat: 199.8 }]),
+      order('DOMESTIC', '2026-08-01T00:00:00Z', [{ country: 'DE', rate: 0.19, net: 100, vat: 19 }]),
+      order('REVERSE_CHARGE', '2026-08-01T00:00:00Z', [{ country: 'NL', rate: 0, net: 100, vat: 0 }]),
+    ], { year: 2026, quarter: 3 });
+
+    expect(report.rows).toEqual([
+      { country: 'AT', rate: 0.2, net: 10.5, vat: 2.1, orders: 1 },
+      { country: 'FR', rate: 0.2, net: 150, vat: 30, orders: 2 },
+    ]);
+    expect(report.totals).toEqual({ net: 160.5, vat: 32.1, orders: 3 });
+
+    expect(ossReportToCsv(report).split('\n')).toEqual([
+      'Zeitraum;Land;Steuersatz;Bemessungsgrundlage;Steuer;Bestellungen',
+      '2026-Q3;AT;20,00;10,50;2,10;1',
+      '2026-Q3;FR;20,00;150,00;30,00;2',
+      '2026-Q3;Summe;;160,50;32,10;3',
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateHotp,
+  generateRecoveryCodes,
+  generateTotp,
+  generateTotpSecret,
+  hashRecoveryCode,
+  verifyTotp,
+} from '../../src/utils/totp.js';
+
+// RFC 4226 / RFC 6238 test secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('round-trips bytes and matches RFC 4648 vectors', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('mzxw 6ytb oi====').toString()).toBe('foobar');
+
+    const secret = generateTotpSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+
+  it('rejects invalid characters', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character 1');
+  });
+});
+
+describe('generateHotp', () => {
+  it('matches the RFC 4226 test values', () => {
+    expect([0, 1, 2, 9].map(counter => generateHotp(RFC_SECRET, counter)))
+      .toEqual(['755224', '287082', '359152', '520489']);
+  });
+});
+
+describe('generateTotp', () => {
+  it('matches the RFC 6238 SHA1 test values', () => {
+    const codes = [59, 1111111109, 1111111111, 1234567890, 2000000000]
+      .map(seconds => generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 }));
+    expect(codes).toEqual(['94287082', '07081804', '14050471', '89005924', '69279037']);
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1111111109 * 1000;
+
+  it('accepts codes within the window and returns the matched step', () => {
+    const step = Math.floor(time / 30000);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time }), { time })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time: time - 30000 }), { time })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time: time - 90000 }), { time })).toBeNull();
+  });
+
+  it('rejects malformed codes and replays of already used steps', () => {
+    const code = generateTotp(RFC_SECRET, { time });
+    expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time })).not.toBeNull();
+    expect(verifyTotp(RFC_SECRET, code, { time, afterStep: Math.floor(time / 30000) })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds a key URI with issuer label and parameters', () => {
+    const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'admin@example.com', issuer: 'DIY Humanoid' });
+    expect(uri).toBe('otpauth://totp/DIY%20Humanoid%3Aadmin%40example.com?secret=JBSWY3DPEHPK3PXP&algorithm=SHA1&digits=6&period=30&issuer=DIY+Humanoid');
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates unique codes whose hash ignores case and separators', () => {
+    const codes = generateRecoveryCodes(10);
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+    expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode(' abcde12345 '));
+    expect(hashRecoveryCode('abcde-12345')).not.toBe(hashRecoveryCode('abcde-12346'));
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseSignatureHeader,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from '../../src/utils/webhookSignature.js';
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ id: 'evt_1', event: 'payment.succeeded', data: { id: 'pi_1', amount: 4999 } });
+const NOW = 1792368000;
+
+describe('signWebhookPayload', () => {
+  it('produces a parseable header with timestamp and HMAC', () => {
+    const header = signWebhookPayload(BODY, SECRET, NOW);
+    const parsed = parseSignatureHeader(header);
+
+    expect(parsed.timestamp).toBe(NOW);
+    expect(parsed.signatures).toHaveLength(1);
+    expect(parsed.signatures[0]).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  it('accepts a valid signature within the tolerance', () => {
+    const header = signWebhookPayload(BODY, SECRET, NOW);
+    expect(verifyWebhookSignature(BODY, header, SECRET, { now: NOW + 60 })).toEqual({ valid: true });
+    expect(verifyWebhookSignature(Buffer.from(BODY), header, SECRET, { now: NOW })).toEqual({ valid: true });
+  });
+
+  it('accepts any of several signatures (secret rotation)', () => {
+    const current = parseSignatureHeader(signWebhookPayload(BODY, SECRET, NOW)).signatures[0];
+    const header = `t=${NOW},v1=${'0'.repeat(64)},v1=${current}`;
+    expect(verifyWebhookSignature(BODY, header, SECRET, { now: NOW }).valid).toBe(true);
+  });
+
+  it('rejects tampered bodies, wrong secrets and replays outside the tolerance', () => {
+    const header = signWebhookPayload(BODY, SECRET, NOW);
+
+    expect(verifyWebhookSignature(BODY.replace('4999', '1'), header, SECRET, { now: NOW }))
+      .toEqual({ valid: false, error: 'Signature mismatch' });
+    expect(verifyWebhookSignature(BODY, header, 'other', { now: NOW }).valid).toBe(false);
+    expect(verifyWebhookSignature(BODY, header, SECRET, { now: NOW + 301 }))
+      .toEqual({ valid: false, error: 'Signature timestamp outside tolerance' });
+  });
+
+  it('rejects missing secrets and malformed headers', () => {
+    expect(verifyWebhookSignature(BODY, signWebhookPayload(BODY, SECRET, NOW), '', { now: NOW }).error)
+      .toBe('Webhook secret not configured');
+    expect(verifyWebhookSignature(BODY, undefined, SECRET, { now: NOW }).error).toBe('Malformed signature header');
+    expect(verifyWebhookSignature(BODY, `t=${NOW},v1=xyz`, SECRET, { now: NOW }).error).toBe('Signature mismatch');
+  });
+});
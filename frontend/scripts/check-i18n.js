@@ -1,6 +1,7 @@
 /*
   Simple i18n consistency checker.
   - Scans frontend/src/locales/<lng>/{translation.json,products.json}
+  - Scans backend/src/i18n/locales/<lng>/manuals.json (assembly manual texts)
   - Verifies all locales contain the same set of keys (deep keys)
   - Prints a report and exits with non-zero code if differences found
 */
@@ -8,8 +9,11 @@
 import fs from 'fs';
 import path from 'path';
 
-const localesDir = path.resolve(process.cwd(), 'src', 'locales');
-const filesToCheck = ['translation.json', 'products.json'];
+const localeSets = [
+  { dir: path.resolve(process.cwd(), 'src', 'locales'), files: ['translation.json', 'products.json'] },
+  // Missing keys fall back to German when a manual is generated
+  { dir: path.resolve(process.cwd(), '..', 'backend', 'src', 'i18n', 'locales'), files: ['manuals.json'] },
+];
 
 function readJSON(filePath) {
   try {
@@ -35,11 +39,16 @@ function flattenKeys(obj, prefix = '') {
   return keys;
 }
 
-function main() {
+function checkLocales(localesDir, filesToCheck) {
+  if (!fs.existsSync(localesDir)) {
+    console.log(`No locales found in ${localesDir}.`);
+    return false;
+  }
+
   const langs = fs.readdirSync(localesDir).filter((f) => fs.statSync(path.join(localesDir, f)).isDirectory());
   if (langs.length === 0) {
-    console.log('No locales found.');
-    process.exit(0);
+    console.log(`No locales found in ${localesDir}.`);
+    return false;
   }
 
   let hasErrors = false;
@@ -80,6 +89,15 @@ function main() {
     }
   }
 
+  return hasErrors;
+}
+
+function main() {
+  let hasErrors = false;
+  for (const { dir, files } of localeSets) {
+    if (checkLocales(dir, files)) hasErrors = true;
+  }
+
   process.exit(hasErrors ? 1 : 0);
 }
 
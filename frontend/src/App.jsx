@@ -2,6 +2,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { Suspense, lazy } from 'react';
 import { ConfiguratorProvider } from './contexts/ConfiguratorContext';
 import { AuthProvider } from './contexts/AuthContext';
+import { CatalogProvider } from './contexts/CatalogContext';
 import { ProtectedRoute } from './components/auth/ProtectedRoute';
 import { UserMenu } from './components/auth/UserMenu';
 import Header from './components/shared/Header';
@@ -12,6 +13,7 @@ import PrivacyBanner from './components/legal/PrivacyBanner';
 import ProfilePage from './components/pages/ProfilePage';
 import OrdersPage from './components/pages/OrdersPage';
 import ConfigurationsPage from './components/pages/ConfigurationsPage';
+import SharedConfigurationPage from './components/pages/SharedConfigurationPage';
 import SupportPage from './components/pages/SupportPage';
 import PrivacyPage from './components/pages/PrivacyPage';
 import TermsPage from './components/pages/TermsPage';
@@ -54,171 +56,183 @@ function App() {
   return (
     <AuthProvider>
       <Router>
-        <ConfiguratorProvider>
-          <Routes>
-            {/* Public Auth Routes */}
-            <Route path="/login" element={
-              <Suspense fallback={<LoadingSpinner />}>
-                <LoginPage />
-              </Suspense>
-            } />
-            <Route path="/register" element={<Navigate to="/login?mode=register" replace />} />
-            <Route path="/forgot-password" element={<Navigate to="/login?mode=forgot" replace />} />
-            <Route path="/reset-password" element={
-              <Suspense fallback={<LoadingSpinner />}>
-                <ResetPasswordPage />
-              </Suspense>
-            } />
-            <Route path="/verify-email" element={
-              <Suspense fallback={<LoadingSpinner />}>
-                <VerifyEmailPage />
-              </Suspense>
-            } />
+        <CatalogProvider>
+          <ConfiguratorProvider>
+            <Routes>
+              {/* Public Auth Routes */}
+              <Route path="/login" element={
+                <Suspense fallback={<LoadingSpinner />}>
+                  <LoginPage />
+                </Suspense>
+              } />
+              <Route path="/register" element={<Navigate to="/login?mode=register" replace />} />
+              <Route path="/forgot-password" element={<Navigate to="/login?mode=forgot" replace />} />
+              <Route path="/reset-password" element={
+                <Suspense fallback={<LoadingSpinner />}>
+                  <ResetPasswordPage />
+                </Suspense>
+              } />
+              <Route path="/verify-email" element={
+                <Suspense fallback={<LoadingSpinner />}>
+                  <VerifyEmailPage />
+                </Suspense>
+              } />
 
-            {/* Public Customer Routes */}
-            <Route 
-              path="/" 
-              element={
-                <CustomerLayout>
-                  <Suspense fallback={<LoadingSpinner />}>
-                    <ConfiguratorPage />
-                  </Suspense>
-                </CustomerLayout>
-              } 
-            />
-
-            {/* Checkout Routes */}
-            <Route 
-              path="/checkout/:orderId" 
-              element={
-                <CustomerLayout>
-                  <Suspense fallback={<LoadingSpinner />}>
-                    <CheckoutPage />
-                  </Suspense>
-                </CustomerLayout>
-              }
-            />
-            <Route 
-              path="/order/:orderId/success" 
-              element={
-                <CustomerLayout>
-                  <PaymentSuccessPage />
-                </CustomerLayout>
-              }
-            />
-            
-            {/* Protected Customer Routes */}
-            <Route 
-              path="/advisor" 
-              element={
-                <ProtectedRoute>
+              {/* Public Customer Routes */}
+              <Route 
+                path="/" 
+                element={
                   <CustomerLayout>
                     <Suspense fallback={<LoadingSpinner />}>
-                      <AdvisorPage />
+                      <ConfiguratorPage />
                     </Suspense>
                   </CustomerLayout>
-                </ProtectedRoute>
-              } 
-            />
-            
-            <Route 
-              path="/configurator" 
-              element={
-                <CustomerLayout>
-                  <Suspense fallback={<LoadingSpinner />}>
-                    <ConfiguratorPage />
-                  </Suspense>
-                </CustomerLayout>
-              } 
-            />
+                } 
+              />
 
-            <Route 
-              path="/profile" 
-              element={
-                <ProtectedRoute>
+              {/* Geteilte Konfiguration, ohne Anmeldung lesbar */}
+              <Route 
+                path="/share/:slug" 
+                element={
                   <CustomerLayout>
-                    <ProfilePage />
+                    <SharedConfigurationPage />
                   </CustomerLayout>
-                </ProtectedRoute>
-              } 
-            />
+                }
+              />
 
-            <Route 
-              path="/orders" 
-              element={
-                <ProtectedRoute>
+              {/* Checkout Routes */}
+              <Route 
+                path="/checkout/:orderId" 
+                element={
                   <CustomerLayout>
-                    <OrdersPage />
+                    <Suspense fallback={<LoadingSpinner />}>
+                      <CheckoutPage />
+                    </Suspense>
                   </CustomerLayout>
-                </ProtectedRoute>
-              } 
-            />
-
-            <Route 
-              path="/configurations" 
-              element={
-                <ProtectedRoute>
+                }
+              />
+              <Route 
+                path="/order/:orderId/success" 
+                element={
                   <CustomerLayout>
-                    <ConfigurationsPage />
+                    <PaymentSuccessPage />
                   </CustomerLayout>
-                </ProtectedRoute>
-              } 
-            />
+                }
+              />
             
-            {/* Admin Routes - Require Admin Role and Email Verification */}
-            <Route 
-              path="/admin/*" 
-              element={
-                <ProtectedRoute requireRole="admin" requireVerified={true}>
-                  <Suspense fallback={<LoadingSpinner />}>
-                    <AdminPage />
-                  </Suspense>
-                </ProtectedRoute>
-              } 
-            />
-
-            {/* Support Routes - Require Support/Admin Role */}
-            <Route 
-              path="/support" 
-              element={
-                <ProtectedRoute requireRole={['admin', 'support']} requireVerified={true}>
+              {/* Protected Customer Routes */}
+              <Route 
+                path="/advisor" 
+                element={
+                  <ProtectedRoute>
+                    <CustomerLayout>
+                      <Suspense fallback={<LoadingSpinner />}>
+                        <AdvisorPage />
+                      </Suspense>
+                    </CustomerLayout>
+                  </ProtectedRoute>
+                } 
+              />
+            
+              <Route 
+                path="/configurator" 
+                element={
                   <CustomerLayout>
-                    <SupportPage />
+                    <Suspense fallback={<LoadingSpinner />}>
+                      <ConfiguratorPage />
+                    </Suspense>
                   </CustomerLayout>
-                </ProtectedRoute>
-              } 
-            />
+                } 
+              />
+
+              <Route 
+                path="/profile" 
+                element={
+                  <ProtectedRoute>
+                    <CustomerLayout>
+                      <ProfilePage />
+                    </CustomerLayout>
+                  </ProtectedRoute>
+                } 
+              />
+
+              <Route 
+                path="/orders" 
+                element={
+                  <ProtectedRoute>
+                    <CustomerLayout>
+                      <OrdersPage />
+                    </CustomerLayout>
+                  </ProtectedRoute>
+                } 
+              />
+
+              <Route 
+                path="/configurations" 
+                element={
+                  <ProtectedRoute>
+                    <CustomerLayout>
+                      <ConfigurationsPage />
+                    </CustomerLayout>
+                  </ProtectedRoute>
+                } 
+              />
             
-            {/* Legal Pages */}
-            <Route 
-              path="/privacy" 
-              element={
-                <CustomerLayout>
-                  <PrivacyPage />
-                </CustomerLayout>
-              } 
-            />
+              {/* Admin Routes - Require Admin Role and Email Verification */}
+              <Route 
+                path="/admin/*" 
+                element={
+                  <ProtectedRoute requireRole="admin" requireVerified={true}>
+                    <Suspense fallback={<LoadingSpinner />}>
+                      <AdminPage />
+                    </Suspense>
+                  </ProtectedRoute>
+                } 
+              />
 
-            <Route 
-              path="/terms" 
-              element={
-                <CustomerLayout>
-                  <TermsPage />
-                </CustomerLayout>
-              } 
-            />
+              {/* Support Routes - Require Support/Admin Role */}
+              <Route 
+                path="/support" 
+                element={
+                  <ProtectedRoute requireRole={['admin', 'support']} requireVerified={true}>
+                    <CustomerLayout>
+                      <SupportPage />
+                    </CustomerLayout>
+                  </ProtectedRoute>
+                } 
+              />
             
-            {/* 404 Fallback */}
-            <Route 
-              path="*" 
-              element={
-                <CustomerLayout>
-                  <NotFoundPage />
-                </CustomerLayout>
-              } 
-            />
-          </Routes>
-        </ConfiguratorProvider>
+              {/* Legal Pages */}
+              <Route 
+                path="/privacy" 
+                element={
+                  <CustomerLayout>
+                    <PrivacyPage />
+                  </CustomerLayout>
+                } 
+              />
+
+              <Route 
+                path="/terms" 
+                element={
+                  <CustomerLayout>
+                    <TermsPage />
+                  </CustomerLayout>
+                } 
+              />
+            
+              {/* 404 Fallback */}
+              <Route 
+                path="*" 
+                element={
+                  <CustomerLayout>
+                    <NotFoundPage />
+                  </CustomerLayout>
+                } 
+              />
+            </Routes>
+          </ConfiguratorProvider>
+        </CatalogProvider>
       </Router>
     </AuthProvider>
   );
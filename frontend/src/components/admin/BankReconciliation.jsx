@@ -0,0 +1,193 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminAPI } from '../../utils/api';
+import { currency } from '../../utils/helpers.js';
+
+const STATUS = {
+  MATCHED: { label: 'Zugeordnet', className: 'bg-emerald-600/20 text-emerald-300' },
+  PARTIAL: { label: 'Teilbetrag', className: 'bg-amber-600/20 text-amber-300' },
+  OVERPAID: { label: 'Überzahlt', className: 'bg-sky-600/20 text-sky-300' },
+  UNMATCHED: { label: 'Nicht zugeordnet', className: 'bg-red-600/20 text-red-300' }
+};
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString('de-DE') : '–';
+
+function describeDifference(transaction) {
+  if (transaction.status === 'PARTIAL') return `offen: ${currency(-transaction.difference)}`;
+  if (transaction.status === 'OVERPAID') return `Überschuss: ${currency(transaction.difference)}`;
+  return null;
+}
+
+/**
+ * BankReconciliation - Kontoauszug (CAMT.053/CSV) hochladen, Überweisungen automatisch offenen Bestellungen
+ * zuordnen; nicht zugeordnete, Teil- und Überzahlungen werden zur Prüfung markiert
+ */
+function BankReconciliation() {
+  const [transactions, setTransactions] = useState([]);
+  const [flaggedOnly, setFlaggedOnly] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [assignments, setAssignments] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchTransactions = useCallback(async () => {
+    try {
+      setError(null);
+      const { data } = await adminAPI.getBankTransactions({ flagged: flaggedOnly, limit: 100 });
+      setTransactions(data.transactions || []);
+    } catch (e) {
+      setError(e.message || 'Überweisungen konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, [flaggedOnly]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const importStatement = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      setError(null);
+      const { data } = await adminAPI.importBankStatement(file.name, await file.text());
+      setResult(data);
+      await fetchTransactions();
+    } catch (e) {
+      setError(e.message || 'Kontoauszug konnte nicht importiert werden');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const runAction = async (id, action, fallback) => {
+    setBusyId(id);
+    try {
+      setError(null);
+      await action();
+      await fetchTransactions();
+    } catch (e) {
+      setError(e.message || fallback);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const assign = (id) => runAction(
+    id,
+    () => adminAPI.assignBankTransaction(id, assignments[id].trim()),
+    'Überweisung konnte nicht zugeordnet werden'
+  );
+
+  const review = (id) => runAction(
+    id,
+    () => adminAPI.reviewBankTransaction(id),
+    'Überweisung konnte nicht als erledigt markiert werden'
+  );
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-xl font-semibold">Banküberweisungen (SEPA)</h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-1 text-xs text-slate-300">
+              <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+              Nur zu prüfende
+            </label>
+            <label className={`px-3 py-1.5 text-xs rounded border border-emerald-500/70 hover:bg-emerald-600/10 cursor-pointer ${importing ? 'opacity-50 pointer-events-none' : ''}`}>
+              {importing ? 'Importiere…' : 'Kontoauszug hochladen'}
+              <input type="file" accept=".xml,.csv,.txt" onChange={importStatement} className="hidden" />
+            </label>
+          </div>
+        </div>
+
+        {result && (
+          <div className="mb-3 p-3 rounded-xl bg-[#0b1328] border border-slate-700/60 text-sm">
+            <div className="font-medium">{result.file}: {result.total} Gutschriften</div>
+            <div className="text-xs text-slate-400 flex flex-wrap gap-3 mt-1">
+              {Object.entries(result.summary).map(([status, count]) => (
+                <span key={status}>{STATUS[status]?.label || status}: {count}</span>
+              ))}
+              {result.duplicates > 0 && <span>bereits importiert: {result.duplicates}</span>}
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Lade…</p>
+        ) : (
+          <>
+            {error && <p className="text-sm text-red-300 mb-3">{error}</p>}
+
+            {transactions.length === 0 ? (
+              <p className="text-slate-400 text-sm">{flaggedOnly ? 'Keine Überweisungen zu prüfen.' : 'Noch keine Kontoauszüge importiert.'}</p>
+            ) : (
+              <div className="space-y-2">
+                {transactions.map(transaction => {
+                  const status = STATUS[transaction.status] || {};
+                  const difference = describeDifference(transaction);
+                  const flagged = transaction.status !== 'MATCHED' && !transaction.reviewedAt;
+
+                  return (
+                    <div key={transaction.id} className="p-3 rounded-xl border border-slate-700/60 bg-[#0b1328] text-sm">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <span className="flex flex-wrap items-center gap-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${status.className || ''}`}>{status.label || transaction.status}</span>
+                          <span className="font-medium">{currency(transaction.amount)}</span>
+                          <span className="text-xs text-slate-400">{formatDate(transaction.bookingDate)}</span>
+                          {transaction.debtorName && <span className="text-xs text-slate-300">{transaction.debtorName}</span>}
+                        </span>
+                        <span className="text-xs text-slate-400">
+                          {transaction.order ? `Bestellung ${transaction.order.orderNumber}` : '–'}
+                          {difference && <span className="text-amber-300 ml-2">{difference}</span>}
+                        </span>
+                      </div>
+                      <p className="mt-1 text-xs text-slate-400 break-all">{transaction.remittanceInfo || 'ohne Verwendungszweck'}</p>
+
+                      {flagged && (
+                        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                          {transaction.status === 'UNMATCHED' && (
+                            <>
+                              <input
+                                value={assignments[transaction.id] || ''}
+                                onChange={(e) => setAssignments(prev => ({ ...prev, [transaction.id]: e.target.value }))}
+                                placeholder="Bestellnummer"
+                                className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600"
+                              />
+                              <button
+                                onClick={() => assign(transaction.id)}
+                                disabled={busyId === transaction.id || !assignments[transaction.id]?.trim()}
+                                className="px-2 py-1 rounded border border-emerald-500/70 hover:bg-emerald-600/10 disabled:opacity-50"
+                              >
+                                Zuordnen
+                              </button>
+                            </>
+                          )}
+                          <button
+                            onClick={() => review(transaction.id)}
+                            disabled={busyId === transaction.id}
+                            className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/40 disabled:opacity-50"
+                          >
+                            Erledigt
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default BankReconciliation;
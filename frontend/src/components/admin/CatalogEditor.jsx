@@ -0,0 +1,418 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminAPI, catalogAPI } from '../../utils/api';
+import { useCatalog } from '../../contexts/CatalogContext';
+import { currency } from '../../utils/helpers.js';
+
+const CATEGORIES = ['SERVO', 'CONTROLLER', 'SENSOR', 'POWER', 'MISC', 'HEAD', 'TORSO', 'ARMS', 'LEGS', 'SENSORS', 'ACTUATORS', 'ELECTRONICS', 'ACCESSORIES'];
+const DIFFICULTIES = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+const AVAILABILITY = ['in-stock', 'low-stock', 'out-of-stock', 'pre-order'];
+
+const TEXT_FIELDS = ['sku', 'name', 'unit', 'supplier', 'link', 'imageUrl', 'tech', 'description', 'instructions', 'genericName', 'productModel', 'i18nKey'];
+const JSON_FIELDS = ['specifications', 'offers', 'power', 'interfaces'];
+
+const ACTIONS = {
+  create: { label: 'Neu', className: 'bg-emerald-600/20 text-emerald-300' },
+  update: { label: 'Geändert', className: 'bg-sky-600/20 text-sky-300' },
+  unchanged: { label: 'Unverändert', className: 'bg-slate-600/20 text-slate-300' }
+};
+
+const EMPTY_FORM = {
+  sku: '', name: '', category: 'SERVO', price: '', availability: 'in-stock', unit: 'Stk.', supplier: '', link: '', imageUrl: '',
+  tech: '', description: '', instructions: '', toolsRequired: '', timeEstimate: '', difficultyLevel: 'BEGINNER',
+  prerequisites: [], sortOrder: '0', active: true, genericName: '', productModel: '', i18nKey: '',
+  specifications: '', offers: '', power: '', interfaces: ''
+};
+
+// Formularwerte einer Komponente: Listen zeilenweise, Objekte als formatiertes JSON
+const toForm = (component) => ({
+  ...EMPTY_FORM,
+  ...Object.fromEntries(TEXT_FIELDS.map(field => [field, component[field] ?? ''])),
+  category: component.category,
+  price: String(component.price),
+  availability: component.availability,
+  toolsRequired: (component.toolsRequired || []).join('\n'),
+  timeEstimate: component.timeEstimate ?? '',
+  difficultyLevel: component.difficultyLevel,
+  prerequisites: component.prerequisites || [],
+  sortOrder: String(component.sortOrder ?? 0),
+  active: component.active !== false,
+  ...Object.fromEntries(JSON_FIELDS.map(field => [field, component[field] ? JSON.stringify(component[field], null, 2) : '']))
+});
+
+// Payload für POST/PUT /api/components; leere Felder werden geleert (null)
+function toPayload(form) {
+  const payload = {
+    ...Object.fromEntries(TEXT_FIELDS.map(field => [field, form[field].trim() || null])),
+    name: form.name.trim(),
+    category: form.category,
+    price: Number(String(form.price).replace(',', '.')),
+    availability: form.availability,
+    toolsRequired: form.toolsRequired.split('\n').map(tool => tool.trim()).filter(Boolean),
+    timeEstimate: form.timeEstimate === '' ? null : Number(form.timeEstimate),
+    difficultyLevel: form.difficultyLevel,
+    prerequisites: form.prerequisites,
+    sortOrder: Number(form.sortOrder) || 0,
+    active: form.active
+  };
+
+  for (const field of JSON_FIELDS) {
+    try {
+      payload[field] = form[field].trim() ? JSON.parse(form[field]) : null;
+    } catch {
+      throw new Error(`${field}: kein gültiges JSON`);
+    }
+  }
+  return payload;
+}
+
+const describeValue = (value) => {
+  if (value === null || value === undefined) return '–';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * CatalogEditor - Teilekatalog pflegen: Teile mit Technik, Anleitung, Werkzeug, Voraussetzungen und Bild anlegen
+ * und bearbeiten; Massenimport aus CSV/JSON mit Vorschau (Dry-Run) und Export des gesamten Katalogs
+ */
+function CatalogEditor() {
+  const { reload: reloadCatalog } = useCatalog();
+  const [components, setComponents] = useState([]);
+  const [search, setSearch] = useState('');
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchComponents = useCallback(async () => {
+    try {
+      setError(null);
+      const { data } = await adminAPI.getCatalogComponents();
+      setComponents(data.components || []);
+    } catch (e) {
+      setError(e.message || 'Katalog konnte nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchComponents();
+  }, [fetchComponents]);
+
+  const runAction = async (action, fallback) => {
+    setBusy(true);
+    try {
+      setError(null);
+      await action();
+    } catch (e) {
+      setError(e.message || fallback);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Nach jeder Änderung: Liste und den Katalog des Konfigurators neu laden
+  const afterChange = async (text) => {
+    setMessage(text);
+    await Promise.all([fetchComponents(), reloadCatalog()]);
+  };
+
+  const edit = (component) => {
+    setEditingId(component?.id || null);
+    setForm(component ? toForm(component) : EMPTY_FORM);
+    setMessage(null);
+  };
+
+  const setField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const togglePrerequisite = (id) => setForm(prev => ({
+    ...prev,
+    prerequisites: prev.prerequisites.includes(id) ? prev.prerequisites.filter(p => p !== id) : [...prev.prerequisites, id]
+  }));
+
+  const save = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const payload = toPayload(form);
+      if (editingId) {
+        await catalogAPI.updateComponent(editingId, payload);
+      } else {
+        await catalogAPI.createComponent(payload);
+      }
+      setForm(null);
+      await afterChange(`${payload.name} gespeichert.`);
+    }, 'Teil konnte nicht gespeichert werden');
+  };
+
+  const remove = (component) => {
+    if (!window.confirm(`${component.name} löschen? Teile in Bestellungen besser deaktivieren.`)) return;
+    runAction(async () => {
+      await catalogAPI.deleteComponent(component.id);
+      await afterChange(`${component.name} gelöscht.`);
+    }, 'Teil konnte nicht gelöscht werden');
+  };
+
+  const selectImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    const content = await file.text();
+    setImportFile({ name: file.name, format, content });
+    setMessage(null);
+    runAction(async () => {
+      const { data } = await adminAPI.importCatalog(content, { format, dryRun: true });
+      setPreview(data);
+    }, 'Datei konnte nicht geprüft werden');
+  };
+
+  const applyImport = () => runAction(async () => {
+    const { data } = await adminAPI.importCatalog(importFile.content, { format: importFile.format, dryRun: false });
+    setPreview(null);
+    setImportFile(null);
+    await afterChange(`Import übernommen: ${data.summary.create} neu, ${data.summary.update} geändert.`);
+  }, 'Import konnte nicht übernommen werden');
+
+  const term = search.trim().toLowerCase();
+  const visible = components.filter(component => !term || [component.sku, component.name, component.supplier]
+    .some(value => value?.toLowerCase().includes(term)));
+  const changedRows = preview?.rows.filter(row => row.action !== 'unchanged') || [];
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-xl font-semibold">Teilekatalog</h2>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Suchen (Schlüssel, Name, Lieferant)"
+              className="px-2 py-1.5 rounded bg-[#0b1328] border border-slate-600"
+            />
+            <button onClick={() => edit(null)} className="px-3 py-1.5 rounded border border-emerald-500/70 hover:bg-emerald-600/10">
+              Neues Teil
+            </button>
+            <label className={`px-3 py-1.5 rounded border border-slate-600 hover:bg-slate-700/40 cursor-pointer ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+              Import (CSV/JSON)
+              <input type="file" accept=".csv,.json,.txt" onChange={selectImportFile} className="hidden" />
+            </label>
+            <button onClick={() => runAction(() => adminAPI.exportCatalog('csv'), 'Export fehlgeschlagen')} className="px-3 py-1.5 rounded border border-slate-600 hover:bg-slate-700/40">
+              Export CSV
+            </button>
+            <button onClick={() => runAction(() => adminAPI.exportCatalog('json'), 'Export fehlgeschlagen')} className="px-3 py-1.5 rounded border border-slate-600 hover:bg-slate-700/40">
+              Export JSON
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-300 mb-3">{error}</p>}
+        {message && <p className="text-sm text-emerald-300 mb-3">{message}</p>}
+
+        {preview && (
+          <div className="mb-4 p-3 rounded-xl bg-[#0b1328] border border-slate-700/60 text-sm space-y-2">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <span className="font-medium">
+                Vorschau {importFile?.name}: {preview.summary.create} neu, {preview.summary.update} geändert,
+                {' '}{preview.summary.unchanged} unverändert, {preview.summary.invalid} fehlerhaft
+              </span>
+              <span className="flex gap-2 text-xs">
+                <button
+                  onClick={applyImport}
+                  disabled={busy || preview.errors.length > 0 || changedRows.length === 0}
+                  className="px-2 py-1 rounded border border-emerald-500/70 hover:bg-emerald-600/10 disabled:opacity-50"
+                >
+                  Übernehmen
+                </button>
+                <button onClick={() => { setPreview(null); setImportFile(null); }} className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/40">
+                  Verwerfen
+                </button>
+              </span>
+            </div>
+
+            {preview.errors.length > 0 && (
+              <ul className="text-xs text-red-300 space-y-1">
+                {preview.errors.map(rowError => (
+                  <li key={rowError.row}>
+                    Zeile {rowError.row}{rowError.sku ? ` (${rowError.sku})` : ''}:{' '}
+                    {rowError.errors.map(err => `${err.field || 'Eintrag'}: ${err.message}`).join('; ')}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {changedRows.length > 0 && (
+              <div className="max-h-72 overflow-y-auto space-y-1">
+                {changedRows.map(row => (
+                  <div key={row.row} className="text-xs border-t border-slate-700/60 pt-1">
+                    <span className={`px-2 py-0.5 rounded-full mr-2 ${ACTIONS[row.action].className}`}>{ACTIONS[row.action].label}</span>
+                    <span className="font-medium">{row.sku}</span>
+                    <ul className="mt-1 ml-4 text-slate-400">
+                      {Object.entries(row.changes).map(([field, change]) => (
+                        <li key={field} className="break-all">
+                          {field}: {row.action === 'update' && <><span className="line-through">{describeValue(change.from)}</span> → </>}
+                          <span className="text-slate-200">{describeValue(change.to)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={save} className="mb-4 p-3 rounded-xl bg-[#0b1328] border border-slate-700/60 text-xs space-y-3">
+            <div className="font-medium text-sm">{editingId ? `${form.name} bearbeiten` : 'Neues Teil'}</div>
+            <div className="grid md:grid-cols-4 gap-2">
+              <label className="flex flex-col gap-1">Teileschlüssel (sku)
+                <input value={form.sku} onChange={setField('sku')} placeholder="MG996R" className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1 md:col-span-2">Name
+                <input required value={form.name} onChange={setField('name')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Kategorie
+                <select value={form.category} onChange={setField('category')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600">
+                  {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">Preis (EUR)
+                <input required value={form.price} onChange={setField('price')} inputMode="decimal" className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Einheit
+                <input value={form.unit} onChange={setField('unit')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Verfügbarkeit
+                <select value={form.availability} onChange={setField('availability')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600">
+                  {AVAILABILITY.map(value => <option key={value} value={value}>{value}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">Lieferant
+                <input value={form.supplier} onChange={setField('supplier')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1 md:col-span-2">Produktlink
+                <input type="url" value={form.link} onChange={setField('link')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1 md:col-span-2">Bild-URL
+                <input value={form.imageUrl} onChange={setField('imageUrl')} placeholder="/images/components/…" className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1 md:col-span-2">Technik (Kurzbeschreibung)
+                <input value={form.tech} onChange={setField('tech')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Modell
+                <input value={form.productModel} onChange={setField('productModel')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Generischer Name (i18n)
+                <input value={form.genericName} onChange={setField('genericName')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Montagezeit (min)
+                <input type="number" min="0" value={form.timeEstimate} onChange={setField('timeEstimate')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Schwierigkeit
+                <select value={form.difficultyLevel} onChange={setField('difficultyLevel')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600">
+                  {DIFFICULTIES.map(level => <option key={level} value={level}>{level}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">Reihenfolge
+                <input type="number" value={form.sortOrder} onChange={setField('sortOrder')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex items-center gap-2 mt-5">
+                <input type="checkbox" checked={form.active} onChange={setField('active')} />
+                Im Katalog sichtbar
+              </label>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-2">
+              <label className="flex flex-col gap-1">Beschreibung
+                <textarea rows={3} value={form.description} onChange={setField('description')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Montageanleitung
+                <textarea rows={3} value={form.instructions} onChange={setField('instructions')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">Werkzeug (eins pro Zeile)
+                <textarea rows={3} value={form.toolsRequired} onChange={setField('toolsRequired')} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600" />
+              </label>
+              <div className="flex flex-col gap-1">Voraussetzungen (vorher zu montieren)
+                <div className="max-h-24 overflow-y-auto px-2 py-1 rounded bg-[#0e1630] border border-slate-600">
+                  {components.filter(component => component.id !== editingId).map(component => (
+                    <label key={component.id} className="flex items-center gap-1">
+                      <input type="checkbox" checked={form.prerequisites.includes(component.id)} onChange={() => togglePrerequisite(component.id)} />
+                      {component.sku || component.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              {JSON_FIELDS.map(field => (
+                <label key={field} className="flex flex-col gap-1">{field} (JSON)
+                  <textarea rows={4} value={form[field]} onChange={setField(field)} className="px-2 py-1 rounded bg-[#0e1630] border border-slate-600 font-mono" />
+                </label>
+              ))}
+            </div>
+
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy} className="px-3 py-1.5 rounded border border-emerald-500/70 hover:bg-emerald-600/10 disabled:opacity-50">
+                Speichern
+              </button>
+              <button type="button" onClick={() => setForm(null)} className="px-3 py-1.5 rounded border border-slate-600 hover:bg-slate-700/40">
+                Abbrechen
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Lade…</p>
+        ) : visible.length === 0 ? (
+          <p className="text-slate-400 text-sm">Keine Teile gefunden.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-xs text-slate-400 text-left">
+                <tr>
+                  <th className="py-1 pr-2">Schlüssel</th>
+                  <th className="py-1 pr-2">Name</th>
+                  <th className="py-1 pr-2">Kategorie</th>
+                  <th className="py-1 pr-2 text-right">Preis</th>
+                  <th className="py-1 pr-2">Lieferant</th>
+                  <th className="py-1 pr-2">Verfügbarkeit</th>
+                  <th className="py-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map(component => (
+                  <tr key={component.id} className={`border-t border-slate-700/60 ${component.active === false ? 'opacity-50' : ''}`}>
+                    <td className="py-1 pr-2 font-mono text-xs">{component.sku || '–'}</td>
+                    <td className="py-1 pr-2">{component.name}</td>
+                    <td className="py-1 pr-2 text-xs">{component.category}</td>
+                    <td className="py-1 pr-2 text-right">{currency(component.price)}</td>
+                    <td className="py-1 pr-2 text-xs">{component.supplier || '–'}</td>
+                    <td className="py-1 pr-2 text-xs">{component.active === false ? 'inaktiv' : component.availability}</td>
+                    <td className="py-1 text-right whitespace-nowrap text-xs">
+                      <button onClick={() => edit(component)} className="px-2 py-0.5 rounded border border-slate-600 hover:bg-slate-700/40 mr-1">
+                        Bearbeiten
+                      </button>
+                      <button onClick={() => remove(component)} disabled={busy} className="px-2 py-0.5 rounded border border-red-500/60 hover:bg-red-600/10 disabled:opacity-50">
+                        Löschen
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default CatalogEditor;
@@ -0,0 +1,227 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminAPI } from '../../utils/api';
+
+const STATUS_CLASSES = {
+  QUEUED: 'bg-sky-600/20 text-sky-300',
+  RUNNING: 'bg-amber-600/20 text-amber-300',
+  COMPLETED: 'bg-emerald-600/20 text-emerald-300',
+  DEAD: 'bg-red-600/20 text-red-300',
+  CANCELLED: 'bg-slate-600/30 text-slate-300'
+};
+
+const STATUS_FILTERS = [
+  { value: 'DEAD', label: 'Fehlgeschlagen (Dead Letter)' },
+  { value: 'QUEUED', label: 'Wartend' },
+  { value: 'RUNNING', label: 'Laufend' },
+  { value: 'COMPLETED', label: 'Erledigt' },
+  { value: 'CANCELLED', label: 'Abgebrochen' },
+  { value: '', label: 'Alle' }
+];
+
+const STATUS_LABELS = Object.fromEntries(STATUS_FILTERS.map(filter => [filter.value, filter.label]));
+
+const RETRYABLE = ['DEAD', 'CANCELLED', 'QUEUED'];
+const CANCELLABLE = ['QUEUED'];
+
+const formatDate = (value) => value ? new Date(value).toLocaleString('de-DE') : '–';
+
+/**
+ * JobQueue - Hintergrund-Jobs (E-Mails, Anleitungen, Preis-Scraping): Warteschlange und
+ * Dead Letters einsehen, Jobs erneut ausführen oder abbrechen
+ */
+function JobQueue() {
+  const [status, setStatus] = useState('DEAD');
+  const [type, setType] = useState('');
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [counts, setCounts] = useState({});
+  const [backend, setBackend] = useState(null);
+  const [worker, setWorker] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      setError(null);
+      const params = { limit: 50 };
+      if (status) params.status = status;
+      if (type) params.type = type;
+      const { data } = await adminAPI.getJobs(params);
+      setJobs(data.jobs || []);
+      setTotal(data.total || 0);
+      setCounts(data.counts || {});
+      setBackend(data.backend);
+      setWorker(data.worker);
+    } catch (e) {
+      setError(e.message || 'Jobs konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, type]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const toggle = async (id) => {
+    if (expanded?.id === id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      setError(null);
+      const { data } = await adminAPI.getJob(id);
+      setExpanded(data.job);
+    } catch (e) {
+      setError(e.message || 'Job konnte nicht geladen werden');
+    }
+  };
+
+  const act = async (id, action) => {
+    setBusyId(id);
+    try {
+      setError(null);
+      const { data } = action === 'retry' ? await adminAPI.retryJob(id) : await adminAPI.cancelJob(id);
+      if (expanded?.id === id) {
+        setExpanded(data.job);
+      }
+      await fetchJobs();
+    } catch (e) {
+      setError(e.message || (action === 'retry' ? 'Job konnte nicht erneut gestartet werden' : 'Job konnte nicht abgebrochen werden'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const types = Object.keys(worker?.types || {});
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-xl font-semibold">Hintergrund-Jobs</h2>
+          <div className="flex gap-2">
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="px-2 py-1.5 text-xs rounded bg-[#0b1328] border border-slate-600"
+            >
+              <option value="">Alle Typen</option>
+              {types.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="px-2 py-1.5 text-xs rounded bg-[#0b1328] border border-slate-600"
+            >
+              {STATUS_FILTERS.map(filter => <option key={filter.value} value={filter.value}>{filter.label}</option>)}
+            </select>
+            <button
+              onClick={fetchJobs}
+              className="px-3 py-1.5 text-xs rounded border border-slate-600 hover:bg-slate-700/40"
+            >
+              Aktualisieren
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Lade…</p>
+        ) : (
+          <>
+            {error && <p className="text-sm text-red-300 mb-3">{error}</p>}
+
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+              {Object.keys(STATUS_CLASSES).map(name => (
+                <button
+                  key={name}
+                  onClick={() => setStatus(name)}
+                  className={`px-2 py-0.5 rounded-full ${STATUS_CLASSES[name]} ${status === name ? 'ring-1 ring-slate-300' : ''}`}
+                >
+                  {STATUS_LABELS[name]}: {counts[name] || 0}
+                </button>
+              ))}
+              {worker && (
+                <span className="text-slate-400">
+                  Backend: {backend} · Worker {worker.started ? 'aktiv' : 'gestoppt'} · max. {worker.concurrency} parallel
+                </span>
+              )}
+            </div>
+
+            {jobs.length === 0 ? (
+              <p className="text-slate-400 text-sm">Keine Jobs.</p>
+            ) : (
+              <div className="space-y-2">
+                {total > jobs.length && (
+                  <p className="text-xs text-slate-400">Neueste {jobs.length} von {total} Jobs</p>
+                )}
+                {jobs.map(job => (
+                  <div key={job.id} className="p-3 rounded-xl border border-slate-700/60 bg-[#0b1328] text-sm">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <button onClick={() => toggle(job.id)} className="flex flex-wrap items-center gap-2 text-left">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_CLASSES[job.status] || ''}`}>
+                          {job.status}
+                        </span>
+                        <span className="font-medium">{job.type}</span>
+                        {job.uniqueKey && <span className="text-xs text-slate-400">{job.uniqueKey}</span>}
+                      </button>
+                      <span className="flex items-center gap-3 text-xs text-slate-400">
+                        <span>{formatDate(job.createdAt)}</span>
+                        <span>Versuch {job.attempts}/{job.maxAttempts}</span>
+                        {job.status === 'QUEUED' && <span>fällig {formatDate(job.runAt)}</span>}
+                        {RETRYABLE.includes(job.status) && (
+                          <button
+                            onClick={() => act(job.id, 'retry')}
+                            disabled={busyId === job.id}
+                            className="px-2 py-1 rounded border border-amber-500/70 text-amber-200 hover:bg-amber-600/10 disabled:opacity-50"
+                          >
+                            {job.status === 'QUEUED' ? 'Jetzt ausführen' : 'Erneut ausführen'}
+                          </button>
+                        )}
+                        {CANCELLABLE.includes(job.status) && (
+                          <button
+                            onClick={() => act(job.id, 'cancel')}
+                            disabled={busyId === job.id}
+                            className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/40 disabled:opacity-50"
+                          >
+                            Abbrechen
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                    {job.lastError && <p className="mt-1 text-xs text-red-300">{job.lastError}</p>}
+
+                    {expanded?.id === job.id && (
+                      <div className="mt-2 space-y-1 text-xs">
+                        <p className="text-slate-400">
+                          Gestartet: {formatDate(expanded.startedAt)} · Beendet: {formatDate(expanded.finishedAt)}
+                          {expanded.lockedBy && ` · Worker ${expanded.lockedBy}`}
+                        </p>
+                        <p className="text-slate-300">Payload</p>
+                        <pre className="max-h-64 overflow-auto p-2 rounded bg-black/30 text-slate-300">
+                          {JSON.stringify(expanded.payload, null, 2)}
+                        </pre>
+                        {expanded.result && (
+                          <>
+                            <p className="text-slate-300">Ergebnis</p>
+                            <pre className="max-h-40 overflow-auto p-2 rounded bg-black/30 text-slate-300">
+                              {JSON.stringify(expanded.result, null, 2)}
+                            </pre>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default JobQueue;
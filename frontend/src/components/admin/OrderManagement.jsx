@@ -1,24 +1,125 @@
-import { useContext, useState } from 'react';
+import { useContext, useEffect, useState } from 'react';
 import { AdminContext } from '../../contexts/AdminContext';
-import { PARTS } from '../../utils/data.js';
 import { currency } from '../../utils/helpers.js';
+import { invoiceAPI } from '../../utils/api';
+import PurchaseOrders from './PurchaseOrders';
+import InvoiceList from '../payment/InvoiceList';
+
+// Status-Anzeige der Bestellungen (OrderStatus im Backend)
+const STATUS_LABELS = {
+  PENDING: 'Offen',
+  PROCESSING: 'In Bearbeitung',
+  PO_CREATED: 'PO erstellt',
+  ORDERED: 'Beim Lieferanten bestellt',
+  SHIPPED: 'Versendet',
+  DELIVERED: 'Zugestellt',
+  PARTIALLY_REFUNDED: 'Teilweise erstattet',
+  CANCELLED: 'Storniert',
+  REFUNDED: 'Erstattet'
+};
+
+// Manuelle Statuswechsel; PROCESSING folgt der Zahlung, PO_CREATED/ORDERED den Einkaufsbestellungen
+const STATUS_ACTIONS = {
+  SHIPPED: { label: 'Als versendet markieren', className: 'border-sky-500/70 hover:bg-sky-600/10' },
+  DELIVERED: { label: 'Als zugestellt markieren', className: 'border-emerald-500/70 hover:bg-emerald-600/10' },
+  CANCELLED: { label: 'Stornieren', className: 'border-red-500/70 hover:bg-red-600/10', note: 'Im Admin-Bereich storniert' },
+  REFUNDED: { label: 'Als erstattet markieren', className: 'border-amber-500/70 hover:bg-amber-600/10' }
+};
+
+const EVENT_LABELS = {
+  ORDER_CREATED: 'Bestellung angelegt',
+  ORDER_STATUS_CHANGED: 'Status',
+  ORDER_PAYMENT_STATUS_CHANGED: 'Zahlung',
+  PURCHASE_ORDERS_CREATED: 'Einkaufsbestellungen erstellt',
+  PURCHASE_ORDER_STATUS_CHANGED: 'PO',
+  INVOICE_ISSUED: 'Rechnung',
+  CREDIT_NOTE_ISSUED: 'Gutschrift',
+  RETURN_REQUESTED: 'Retoure angemeldet',
+  RETURN_STATUS_CHANGED: 'Retoure'
+};
+
+function describeEvent(event) {
+  const { changes = {}, metadata = {} } = event;
+  const parts = [EVENT_LABELS[event.action] || event.action];
+  if (changes.poNumber) parts.push(`${changes.poNumber} (${changes.supplier})`);
+  if (changes.rmaNumber) parts.push(changes.rmaNumber);
+  if (changes.number) parts.push(`${changes.number} (${currency(changes.total)})`);
+  if (changes.purchaseOrders) parts.push(changes.purchaseOrders.map(po => `${po.poNumber} ${po.supplier}`).join(', '));
+  if (changes.to) parts.push(changes.from ? `${changes.from} → ${changes.to}` : changes.to);
+  if (event.user) parts.push(`(${event.user.name || event.user.email})`);
+  if (metadata.note) parts.push(`– ${metadata.note}`);
+  return parts.join(' ');
+}
 
 function OrderManagement() {
   const {
     orders,
-    setOrder,
-    addLog,
-    checkout,
-    simulateWebhookPaid,
-    retailForPart
+    ordersError,
+    refreshOrders,
+    advanceOrder,
+    confirmPayment,
+    getOrderHistory,
+    getOrderTransitions
   } = useContext(AdminContext);
 
   const [selectedOrderId, setSelectedOrderId] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+  const [nextStatuses, setNextStatuses] = useState({}); // { [orderId]: ['CANCELLED', ...] }
+  const [invoiceVersion, setInvoiceVersion] = useState(0);
+
+  // Nur Übergänge anbieten, die der Zustandsautomat des Servers zulässt
+  const orderStates = orders.map(o => `${o.id}:${o.status}:${o.paymentStatus}`).join(',');
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(orders.map(o =>
+      getOrderTransitions(o.id)
+        .then(transitions => [o.id, transitions.filter(t => t.allowed).map(t => t.status)])
+        .catch(() => [o.id, []])
+    )).then(entries => {
+      if (!cancelled) setNextStatuses(Object.fromEntries(entries));
+    });
+    return () => { cancelled = true; };
+  }, [orderStates]);
+
+  const loadHistory = async (id) => {
+    setSelectedOrderId(id);
+    try {
+      setHistory(await getOrderHistory(id));
+    } catch (err) {
+      setHistory([]);
+      setError(`Log konnte nicht geladen werden: ${err.message}`);
+    }
+  };
+
+  // Aktion ausführen und ein offenes Log direkt aktualisieren
+  const run = async (id, action) => {
+    setError(null);
+    try {
+      await action();
+      if (selectedOrderId === id) await loadHistory(id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selectedOrder = orders.find(o => o.id === selectedOrderId);
 
   return (
     <section className="lg:col-span-2 space-y-4">
       <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
-        <h2 className="text-xl font-semibold mb-2">Bestellungen</h2>
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-xl font-semibold">Bestellungen</h2>
+          <button
+            onClick={refreshOrders}
+            className="px-3 py-1.5 text-xs rounded border border-slate-600 hover:bg-slate-700/40"
+          >
+            Aktualisieren
+          </button>
+        </div>
+        {(error || ordersError) && (
+          <p className="text-sm text-red-400 mb-2">{error || `Bestellungen konnten nicht geladen werden: ${ordersError}`}</p>
+        )}
         {orders.length === 0 ? (
           <p className="text-slate-400 text-sm">
             Noch keine Bestellungen. Lege eine über den Konfigurator an.
@@ -29,68 +130,121 @@ function OrderManagement() {
               <div key={o.id} className="p-4 rounded-xl border border-slate-700/60 bg-[#0b1328]">
                 <div className="flex flex-wrap items-center justify-between gap-2">
                   <div>
-                    <div className="font-medium">{o.id}</div>
-                    <div className="text-xs text-slate-400">{o.label}</div>
+                    <div className="font-medium">{o.orderNumber}</div>
+                    <div className="text-xs text-slate-400">
+                      {o.label} · {new Date(o.createdAt).toLocaleString()}
+                    </div>
                   </div>
                   <div className="text-sm">
-                    <div>Einkauf: <span className="text-slate-200">{currency(o.baseTotal)}</span></div>
-                    <div>Verkauf: <span className="text-emerald-300">{currency(o.retailTotal)}</span></div>
+                    {o.costTotal != null && (
+                      <div>Einkauf: <span className="text-slate-200">{currency(o.costTotal)}</span></div>
+                    )}
+                    <div>Verkauf: <span className="text-emerald-300">{currency(o.total)}</span></div>
                   </div>
                   <div className="text-sm">
-                    <span className="text-slate-400">Status:</span> 
-                    <span className="font-medium ml-1">{o.status}</span>
+                    <div>
+                      <span className="text-slate-400">Status:</span>
+                      <span className="font-medium ml-1">{STATUS_LABELS[o.status] || o.status}</span>
+                    </div>
+                    <div className="text-xs text-slate-400">Zahlung: {o.paymentStatus}</div>
                   </div>
-                  <div className="flex items-center gap-2">
-                    <label className="text-xs flex items-center gap-1">
-                      <input 
-                        type="checkbox" 
-                        checked={o.auto} 
-                        onChange={(e) => setOrder(o.id, {auto: e.target.checked})} 
-                      />
-                      Auto‑Modus
-                    </label>
-                    {o.status === 'CART' && (
-                      <button 
-                        onClick={() => checkout(o.id)} 
-                        className="px-3 py-1.5 text-xs rounded border border-emerald-500/70 hover:bg-emerald-600/10"
-                      >
-                        Checkout
-                      </button>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {o.status === 'PENDING' && o.paymentStatus === 'PENDING' && (
+                      <>
+                        <a
+                          href={`/checkout/${o.id}`}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="px-3 py-1.5 text-xs rounded border border-emerald-500/70 hover:bg-emerald-600/10"
+                        >
+                          Checkout
+                        </a>
+                        <button
+                          onClick={() => run(o.id, () => confirmPayment(o.id))}
+                          className="px-3 py-1.5 text-xs rounded border border-sky-500/70 hover:bg-sky-600/10"
+                        >
+                          Zahlung bestätigen
+                        </button>
+                      </>
                     )}
-                    {o.status === 'AWAITING_PAYMENT' && (
-                      <button 
-                        onClick={() => simulateWebhookPaid(o.id)} 
-                        className="px-3 py-1.5 text-xs rounded border border-sky-500/70 hover:bg-sky-600/10"
+                    {(nextStatuses[o.id] || []).filter(status => STATUS_ACTIONS[status]).map(status => (
+                      <button
+                        key={status}
+                        onClick={() => run(o.id, () => advanceOrder(o.id, status, STATUS_ACTIONS[status].note))}
+                        className={`px-3 py-1.5 text-xs rounded border ${STATUS_ACTIONS[status].className}`}
                       >
-                        Webhook: paid
+                        {STATUS_ACTIONS[status].label}
                       </button>
-                    )}
-                    <button 
-                      onClick={() => setSelectedOrderId(o.id)} 
+                    ))}
+                    <button
+                      onClick={() => loadHistory(o.id)}
                       className="px-3 py-1.5 text-xs rounded border border-indigo-500/70 hover:bg-indigo-600/10"
                     >
                       Log
                     </button>
                   </div>
                 </div>
-                
-                {/* Mini-Items & Retail je Teil */}
+
+                {/* Positionen mit Lieferant, EK/VK */}
                 <details className="mt-3">
                   <summary className="text-sm cursor-pointer text-slate-300">
-                    Artikel (Snapshot, EK/VK)
+                    Artikel (EK/VK)
                   </summary>
                   <div className="mt-2 grid md:grid-cols-2 gap-2 text-sm">
-                    {Object.entries(o.snapshot).map(([k, qty]) => (
-                      <div key={k} className="flex items-center justify-between border border-slate-700/60 rounded-lg px-2 py-1">
-                        <span>{PARTS[k].name} × {qty}</span>
+                    {(o.items || []).map(item => (
+                      <div key={item.id} className="flex items-center justify-between border border-slate-700/60 rounded-lg px-2 py-1">
+                        <span>
+                          {item.name} × {item.quantity}
+                          {item.options?.supplier && <span className="text-xs text-slate-400 ml-1">({item.options.supplier})</span>}
+                        </span>
                         <span className="text-right text-slate-300">
-                          EK {currency(PARTS[k].price * qty)} · 
-                          VK {currency(retailForPart(k) * qty)}
+                          {item.options?.unitCost != null && <>EK {currency(item.options.unitCost * item.quantity)} · </>}
+                          VK {currency(item.price * item.quantity)}
                         </span>
                       </div>
                     ))}
                   </div>
+                  {o.shippingTotal > 0 && (
+                    <div className="mt-2 text-xs text-slate-400">Versand Lieferanten: {currency(o.shippingTotal)}</div>
+                  )}
                 </details>
+
+                {/* Rechnung und Gutschriften */}
+                {['COMPLETED', 'REFUNDED'].includes(o.paymentStatus) && (
+                  <details className="mt-2">
+                    <summary className="text-sm cursor-pointer text-slate-300">
+                      Rechnungen
+                    </summary>
+                    <div className="mt-2">
+                      <InvoiceList orderId={o.id} refreshKey={`${o.status}:${o.paymentStatus}:${invoiceVersion}`}>
+                        {o.paymentStatus === 'COMPLETED' && (
+                          <button
+                            onClick={() => run(o.id, async () => {
+                              await invoiceAPI.issueInvoice(o.id);
+                              setInvoiceVersion(version => version + 1);
+                            })}
+                            className="px-3 py-1.5 text-xs rounded border border-slate-600 hover:bg-slate-700/40"
+                          >
+                            Rechnung erstellen
+                          </button>
+                        )}
+                      </InvoiceList>
+                    </div>
+                  </details>
+                )}
+
+                {/* Drop-Ship: Einkaufsbestellungen je Lieferant */}
+                {o.paymentStatus === 'COMPLETED' && !['CANCELLED', 'REFUNDED'].includes(o.status) && (
+                  <details className="mt-2" open={['PROCESSING', 'PO_CREATED', 'ORDERED'].includes(o.status)}>
+                    <summary className="text-sm cursor-pointer text-slate-300">
+                      Einkaufsbestellungen
+                    </summary>
+                    <PurchaseOrders
+                      order={o}
+                      onChange={() => selectedOrderId === o.id && loadHistory(o.id)}
+                    />
+                  </details>
+                )}
               </div>
             ))}
           </div>
@@ -101,17 +255,19 @@ function OrderManagement() {
       {selectedOrderId && (
         <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
           <div className="flex items-center justify-between">
-            <h3 className="font-semibold">Ereignis‑Log – {selectedOrderId}</h3>
-            <button 
-              onClick={() => setSelectedOrderId(null)} 
+            <h3 className="font-semibold">Ereignis‑Log – {selectedOrder?.orderNumber || selectedOrderId}</h3>
+            <button
+              onClick={() => setSelectedOrderId(null)}
               className="px-3 py-1.5 text-xs rounded border border-slate-600 hover:bg-slate-700/40"
             >
               Schließen
             </button>
           </div>
           <div className="mt-2 h-48 overflow-y-auto bg-[#0b1328] border border-slate-700/60 rounded-lg p-2 text-xs">
-            {(orders.find(o => o.id === selectedOrderId)?.log || []).map((l, i) => 
-              <div key={i} className="text-slate-300">{l}</div>
+            {history.map(event =>
+              <div key={event.id} className="text-slate-300">
+                {new Date(event.createdAt).toLocaleString()} – {describeEvent(event)}
+              </div>
             )}
           </div>
         </div>
@@ -120,4 +276,4 @@ function OrderManagement() {
   );
 }
 
-export default OrderManagement;
\ No newline at end of file
+export default OrderManagement;
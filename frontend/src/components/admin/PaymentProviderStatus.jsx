@@ -62,6 +62,13 @@ export default function PaymentProviderStatus() {
                 <StatusPill ok={!!status?.paypal?.webhookConfigured} label={`Webhook: ${!!status?.paypal?.webhookConfigured}`}/>
               </div>
             </div>
+            <div>
+              <h3 className="font-medium mb-1">SEPA</h3>
+              <div className="flex gap-2 flex-wrap">
+                <StatusPill ok={!!status?.sepa?.enabled} label={`Enabled: ${!!status?.sepa?.enabled}`}/>
+                <StatusPill ok={!!status?.sepa?.configured} label={`IBAN: ${!!status?.sepa?.configured}`}/>
+              </div>
+            </div>
             <div>
               <h3 className="font-medium mb-1">Available Methods</h3>
               {methods.length === 0 ? (
@@ -0,0 +1,244 @@
+import { useCallback, useContext, useEffect, useState } from 'react';
+import { adminAPI } from '../../utils/api';
+import { ConfiguratorContext } from '../../contexts/ConfiguratorContext';
+
+// Basistext ist Deutsch (label/notes), übersetzt wird in die übrigen Sprachen des Frontends
+const LANGUAGES = ['en', 'nl', 'th'];
+
+const EMPTY_FORM = {
+  label: '', notes: '', tags: '', sortOrder: '0', items: {},
+  translations: Object.fromEntries(LANGUAGES.map(lng => [lng, { label: '', notes: '' }]))
+};
+
+const toForm = (preset) => ({
+  label: preset.label,
+  notes: preset.notes || '',
+  tags: preset.tags.join(', '),
+  sortOrder: String(preset.sortOrder ?? 0),
+  items: preset.items,
+  translations: Object.fromEntries(LANGUAGES.map(lng => [lng, {
+    label: preset.translations?.[lng]?.label || '',
+    notes: preset.translations?.[lng]?.notes || ''
+  }]))
+});
+
+// Payload für POST/PUT /api/admin/presets; leere Übersetzungen entfallen
+function toPayload(form) {
+  const translations = Object.fromEntries(
+    Object.entries(form.translations)
+      .map(([lng, entry]) => [lng, Object.fromEntries(Object.entries(entry).filter(([, value]) => value.trim()))])
+      .filter(([, entry]) => Object.keys(entry).length > 0)
+  );
+
+  return {
+    label: form.label.trim(),
+    notes: form.notes.trim() || null,
+    tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+    sortOrder: Number(form.sortOrder) || 0,
+    items: form.items,
+    translations: Object.keys(translations).length > 0 ? translations : null
+  };
+}
+
+const describeItems = (items) => Object.entries(items).map(([k, q]) => `${q}× ${k}`).join(', ');
+
+/**
+ * PresetManager - Team-Presets veröffentlichen: Stückliste aus dem Konfigurator übernehmen,
+ * Label und Notizen je Sprache übersetzen, Tags für die Suche vergeben
+ */
+function PresetManager() {
+  const { items, reloadPresets } = useContext(ConfiguratorContext);
+  const [presets, setPresets] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPresets = useCallback(async () => {
+    try {
+      setError(null);
+      const { data } = await adminAPI.getTeamPresets();
+      setPresets(data.presets || []);
+    } catch (e) {
+      setError(e.message || 'Team-Presets konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPresets();
+  }, [fetchPresets]);
+
+  const runAction = async (action, fallback) => {
+    setBusy(true);
+    try {
+      setError(null);
+      await action();
+    } catch (e) {
+      setError(e.message || fallback);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Nach jeder Änderung: Liste und die Preset-Leiste des Konfigurators neu laden
+  const afterChange = async (text) => {
+    setMessage(text);
+    await Promise.all([fetchPresets(), reloadPresets()]);
+  };
+
+  const currentItems = () => Object.fromEntries(Object.entries(items).filter(([, q]) => q > 0));
+
+  const edit = (preset) => {
+    setEditingId(preset?.id || null);
+    setForm(preset ? toForm(preset) : { ...EMPTY_FORM, items: currentItems() });
+    setMessage(null);
+  };
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const setTranslation = (lng, field) => (e) => setForm(prev => ({
+    ...prev,
+    translations: { ...prev.translations, [lng]: { ...prev.translations[lng], [field]: e.target.value } }
+  }));
+
+  const save = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const payload = toPayload(form);
+      if (editingId) {
+        await adminAPI.updateTeamPreset(editingId, payload);
+      } else {
+        await adminAPI.publishPreset(payload);
+      }
+      setForm(null);
+      await afterChange(`${payload.label} veröffentlicht.`);
+    }, 'Preset konnte nicht gespeichert werden');
+  };
+
+  const remove = (preset) => {
+    if (!window.confirm(`Team-Preset „${preset.label}“ löschen?`)) return;
+    runAction(async () => {
+      await adminAPI.deleteTeamPreset(preset.id);
+      await afterChange(`${preset.label} gelöscht.`);
+    }, 'Preset konnte nicht gelöscht werden');
+  };
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-xl font-semibold">Team-Presets</h2>
+          <button
+            onClick={() => edit(null)}
+            disabled={busy}
+            className="px-3 py-1.5 rounded bg-emerald-600/80 hover:bg-emerald-600 text-xs disabled:opacity-50"
+          >
+            Aktuelle Stückliste veröffentlichen
+          </button>
+        </div>
+
+        {error && <div className="text-sm text-red-400 mb-3">{error}</div>}
+        {message && <div className="text-sm text-emerald-300 mb-3">{message}</div>}
+
+        {form && (
+          <form onSubmit={save} className="mb-4 space-y-3 text-sm border border-slate-700/60 rounded-xl p-4 bg-[#0b1328]">
+            <div className="grid md:grid-cols-3 gap-3">
+              <label className="md:col-span-2 flex flex-col gap-1">
+                <span className="text-xs text-slate-400">Label (Deutsch)</span>
+                <input value={form.label} onChange={setField('label')} required className="px-2 py-1 rounded bg-slate-900 border border-slate-600" />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-slate-400">Reihenfolge</span>
+                <input type="number" value={form.sortOrder} onChange={setField('sortOrder')} className="px-2 py-1 rounded bg-slate-900 border border-slate-600" />
+              </label>
+              <label className="md:col-span-3 flex flex-col gap-1">
+                <span className="text-xs text-slate-400">Notizen (Deutsch)</span>
+                <textarea value={form.notes} onChange={setField('notes')} rows={2} className="px-2 py-1 rounded bg-slate-900 border border-slate-600" />
+              </label>
+              <label className="md:col-span-3 flex flex-col gap-1">
+                <span className="text-xs text-slate-400">Tags, kommagetrennt</span>
+                <input value={form.tags} onChange={setField('tags')} className="px-2 py-1 rounded bg-slate-900 border border-slate-600" />
+              </label>
+            </div>
+
+            {LANGUAGES.map(lng => (
+              <div key={lng} className="grid md:grid-cols-3 gap-3">
+                <label className="flex flex-col gap-1">
+                  <span className="text-xs text-slate-400">Label ({lng})</span>
+                  <input value={form.translations[lng].label} onChange={setTranslation(lng, 'label')} className="px-2 py-1 rounded bg-slate-900 border border-slate-600" />
+                </label>
+                <label className="md:col-span-2 flex flex-col gap-1">
+                  <span className="text-xs text-slate-400">Notizen ({lng})</span>
+                  <input value={form.translations[lng].notes} onChange={setTranslation(lng, 'notes')} className="px-2 py-1 rounded bg-slate-900 border border-slate-600" />
+                </label>
+              </div>
+            ))}
+
+            <div className="text-xs text-slate-300">
+              <span className="text-slate-400">Stückliste: </span>
+              {describeItems(form.items) || '–'}
+              <button
+                type="button"
+                onClick={() => setForm(prev => ({ ...prev, items: currentItems() }))}
+                className="ml-2 px-2 py-0.5 rounded border border-slate-600 hover:bg-slate-700/30"
+              >
+                Aus dem Konfigurator übernehmen
+              </button>
+            </div>
+
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy} className="px-3 py-1.5 rounded bg-emerald-600/80 hover:bg-emerald-600 disabled:opacity-50">
+                {editingId ? 'Speichern' : 'Veröffentlichen'}
+              </button>
+              <button type="button" onClick={() => setForm(null)} className="px-3 py-1.5 rounded border border-slate-600">
+                Abbrechen
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="text-sm text-slate-400">Lade Team-Presets …</div>
+        ) : presets.length === 0 ? (
+          <div className="text-sm text-slate-400">Noch keine Team-Presets veröffentlicht.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-xs text-slate-400 text-left">
+              <tr>
+                <th className="py-1">Label</th>
+                <th className="py-1">DOF</th>
+                <th className="py-1">Tags</th>
+                <th className="py-1">Sprachen</th>
+                <th className="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {presets.map(preset => (
+                <tr key={preset.id} className="border-t border-slate-700/60">
+                  <td className="py-1.5">{preset.label}</td>
+                  <td className="py-1.5">{preset.dof}</td>
+                  <td className="py-1.5 text-xs text-slate-300">{preset.tags.join(', ') || '–'}</td>
+                  <td className="py-1.5 text-xs text-slate-300">{['de', ...Object.keys(preset.translations || {})].join(', ')}</td>
+                  <td className="py-1.5 text-right whitespace-nowrap">
+                    <button onClick={() => edit(preset)} disabled={busy} className="px-2 py-0.5 rounded border border-slate-600 text-xs mr-1">
+                      Bearbeiten
+                    </button>
+                    <button onClick={() => remove(preset)} disabled={busy} className="px-2 py-0.5 rounded border border-slate-600 text-xs text-red-300">
+                      Löschen
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default PresetManager;
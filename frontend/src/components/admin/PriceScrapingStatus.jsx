@@ -0,0 +1,179 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminAPI } from '../../utils/api';
+import { useCatalog } from '../../contexts/CatalogContext';
+import { currency } from '../../utils/helpers.js';
+
+const RUN_STATUS_CLASSES = {
+  running: 'bg-sky-600/20 text-sky-300',
+  completed: 'bg-emerald-600/20 text-emerald-300',
+  failed: 'bg-red-600/20 text-red-300'
+};
+
+const formatDate = (value) => value ? new Date(value).toLocaleString('de-DE') : '–';
+
+function describeAlert(alert, parts) {
+  const part = parts[alert.productKey]?.name || alert.productKey;
+  const name = alert.supplier ? `${part} (${alert.supplier})` : part;
+  if (alert.type === 'price_jump') {
+    const sign = alert.changePercent > 0 ? '+' : '';
+    return `${name}: ${currency(alert.previousPrice)} → ${currency(alert.price)} (${sign}${alert.changePercent}%)`;
+  }
+  return `${name}: nicht mehr verfügbar`;
+}
+
+/**
+ * PriceScrapingStatus - Scheduler-Status, letzte Scraping-Läufe mit Fehlern und Alerts
+ */
+function PriceScrapingStatus() {
+  const { parts } = useCatalog();
+  const [scheduler, setScheduler] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedRunId, setExpandedRunId] = useState(null);
+  const [starting, setStarting] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setError(null);
+      const { data } = await adminAPI.getPriceScraping();
+      setScheduler(data.scheduler);
+      setRuns(data.runs || []);
+    } catch (e) {
+      setError(e.message || 'Scraping-Status konnte nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const startRun = async () => {
+    setStarting(true);
+    try {
+      await adminAPI.runPriceScraping();
+      await fetchData();
+    } catch (e) {
+      setError(e.message || 'Scraping konnte nicht gestartet werden');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-xl font-semibold">Preis-Scraping</h2>
+          <div className="flex gap-2">
+            <button
+              onClick={fetchData}
+              className="px-3 py-1.5 text-xs rounded border border-slate-600 hover:bg-slate-700/40"
+            >
+              Aktualisieren
+            </button>
+            <button
+              onClick={startRun}
+              disabled={starting || scheduler?.running}
+              className="px-3 py-1.5 text-xs rounded border border-emerald-500/70 hover:bg-emerald-600/10 disabled:opacity-50"
+            >
+              {scheduler?.running ? 'Läuft…' : 'Jetzt scrapen'}
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Lade…</p>
+        ) : (
+          <>
+            {error && <p className="text-sm text-red-300 mb-3">{error}</p>}
+
+            {scheduler && (
+              <div className="grid sm:grid-cols-4 gap-2 text-sm mb-4">
+                <div className="p-3 rounded-xl bg-[#0b1328] border border-slate-700/60">
+                  <div className="text-xs text-slate-400">Zeitplan</div>
+                  <div>{scheduler.scheduled ? `alle ${scheduler.intervalMinutes} min` : 'deaktiviert'}</div>
+                </div>
+                <div className="p-3 rounded-xl bg-[#0b1328] border border-slate-700/60">
+                  <div className="text-xs text-slate-400">Nächster Lauf</div>
+                  <div>{formatDate(scheduler.nextRunAt)}</div>
+                </div>
+                <div className="p-3 rounded-xl bg-[#0b1328] border border-slate-700/60">
+                  <div className="text-xs text-slate-400">Parallelität</div>
+                  <div>{scheduler.concurrency} gesamt / {scheduler.perDomainConcurrency} pro Händler</div>
+                </div>
+                <div className="p-3 rounded-xl bg-[#0b1328] border border-slate-700/60">
+                  <div className="text-xs text-slate-400">Alert-Schwelle</div>
+                  <div>±{scheduler.alertThresholdPercent}%</div>
+                </div>
+              </div>
+            )}
+
+            {runs.length === 0 ? (
+              <p className="text-slate-400 text-sm">Noch keine Scraping-Läufe.</p>
+            ) : (
+              <div className="space-y-2">
+                {runs.map(run => {
+                  const failures = run.failures || [];
+                  const alerts = run.alerts || [];
+                  const expanded = expandedRunId === run.id;
+
+                  return (
+                    <div key={run.id} className="p-3 rounded-xl border border-slate-700/60 bg-[#0b1328] text-sm">
+                      <button
+                        onClick={() => setExpandedRunId(expanded ? null : run.id)}
+                        className="w-full flex flex-wrap items-center justify-between gap-2 text-left"
+                      >
+                        <span className="flex items-center gap-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${RUN_STATUS_CLASSES[run.status] || ''}`}>
+                            {run.status}
+                          </span>
+                          <span>{formatDate(run.startedAt)}</span>
+                          <span className="text-xs text-slate-400">{run.trigger === 'manual' ? 'manuell' : 'geplant'}</span>
+                        </span>
+                        <span className="text-xs text-slate-400">
+                          {run.successful}/{run.total} erfolgreich
+                          {run.failed > 0 && <span className="text-red-300 ml-2">{run.failed} Fehler</span>}
+                          {alerts.length > 0 && <span className="text-amber-300 ml-2">{alerts.length} Alerts</span>}
+                        </span>
+                      </button>
+
+                      {expanded && (
+                        <div className="mt-2 space-y-2 text-xs">
+                          {run.error && <p className="text-red-300">{run.error}</p>}
+                          {alerts.length > 0 && (
+                            <ul className="text-amber-300 space-y-0.5">
+                              {alerts.map((alert, index) => <li key={`${alert.productKey}-${index}`}>{describeAlert(alert, parts)}</li>)}
+                            </ul>
+                          )}
+                          {failures.length > 0 && (
+                            <ul className="text-slate-300 space-y-0.5">
+                              {failures.map(failure => (
+                                <li key={`${failure.productKey}-${failure.offerId}`}>
+                                  <span className="font-medium">{failure.productKey}</span>
+                                  {failure.supplier && <span className="text-slate-400 ml-1">({failure.supplier})</span>}
+                                  <span className="text-slate-500 ml-1">[{failure.code}]</span> {failure.message}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          {!run.error && alerts.length === 0 && failures.length === 0 && (
+                            <p className="text-slate-400">Keine Fehler oder Alerts.</p>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default PriceScrapingStatus;
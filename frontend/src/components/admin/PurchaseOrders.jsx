@@ -0,0 +1,153 @@
+import { useContext, useEffect, useState } from 'react';
+import { AdminContext } from '../../contexts/AdminContext';
+import { purchaseOrderAPI } from '../../utils/api.js';
+import { currency } from '../../utils/helpers.js';
+
+// Status-Anzeige der Einkaufsbestellungen (PurchaseOrderStatus im Backend)
+const PO_STATUS_LABELS = {
+  DRAFT: 'Entwurf',
+  SENT: 'Gesendet',
+  CONFIRMED: 'Bestätigt',
+  SHIPPED: 'Versendet',
+  DELIVERED: 'Zugestellt',
+  CANCELLED: 'Storniert'
+};
+
+/**
+ * Einkaufsbestellungen einer Kundenbestellung: Dokumente, Versand an Lieferanten, Tracking
+ * Sind alle POs versendet bzw. zugestellt, setzt der Server die Bestellung auf SHIPPED bzw. DELIVERED
+ */
+function PurchaseOrders({ order, onChange }) {
+  const {
+    getPurchaseOrders,
+    createPurchaseOrders,
+    sendPurchaseOrders,
+    updatePurchaseOrder
+  } = useContext(AdminContext);
+
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [tracking, setTracking] = useState({}); // { [poId]: trackingNumber }
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getPurchaseOrders(order.id)
+      .then(setPurchaseOrders)
+      .catch(err => setError(err.message));
+  }, [order.id, order.status]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setPurchaseOrders(await getPurchaseOrders(order.id));
+      onChange?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const hasDrafts = purchaseOrders.some(po => po.status === 'DRAFT');
+  const canCreate = purchaseOrders.length === 0 && order.paymentStatus === 'COMPLETED' && order.status === 'PROCESSING';
+
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {purchaseOrders.length === 0 && (
+        <p className="text-xs text-slate-400">
+          {order.paymentStatus === 'COMPLETED' ? 'Noch keine Einkaufsbestellungen.' : 'Einkaufsbestellungen werden nach Zahlungseingang erstellt.'}
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        {canCreate && (
+          <button
+            disabled={busy}
+            onClick={() => run(() => createPurchaseOrders(order.id))}
+            className="px-3 py-1.5 text-xs rounded border border-emerald-500/70 hover:bg-emerald-600/10 disabled:opacity-50"
+          >
+            POs erstellen
+          </button>
+        )}
+        {hasDrafts && (
+          <button
+            disabled={busy}
+            onClick={() => run(() => sendPurchaseOrders(order.id))}
+            className="px-3 py-1.5 text-xs rounded border border-emerald-500/70 hover:bg-emerald-600/10 disabled:opacity-50"
+          >
+            An Lieferanten senden
+          </button>
+        )}
+      </div>
+
+      {purchaseOrders.map(po => (
+        <div key={po.id} className="border border-slate-700/60 rounded-lg px-3 py-2 space-y-1">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <span className="font-medium">{po.poNumber}</span>
+              <span className="text-slate-400 ml-2">{po.supplier}</span>
+            </div>
+            <div className="text-slate-300">
+              {currency(po.total)} <span className="text-xs text-slate-400">(inkl. {currency(po.shipping)} Versand)</span>
+            </div>
+            <div>
+              <span className="text-slate-400">Status:</span>
+              <span className="font-medium ml-1">{PO_STATUS_LABELS[po.status] || po.status}</span>
+            </div>
+            <div className="flex gap-2 text-xs">
+              {['pdf', 'csv'].map(format => (
+                <button
+                  key={format}
+                  onClick={() => purchaseOrderAPI.downloadDocument(po, format).catch(err => setError(err.message))}
+                  className="text-sky-300 hover:underline"
+                >
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="text-xs text-slate-400">
+            {po.lines.map(line => `${line.quantity} × ${line.name}`).join(', ')}
+          </div>
+
+          {['SENT', 'CONFIRMED'].includes(po.status) && (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                value={tracking[po.id] ?? po.trackingNumber ?? ''}
+                onChange={(e) => setTracking(t => ({ ...t, [po.id]: e.target.value }))}
+                placeholder="Sendungsnummer"
+                className="rounded bg-[#0b1328] border border-slate-700/60 px-2 py-1 text-xs"
+              />
+              <button
+                disabled={busy}
+                onClick={() => run(() => updatePurchaseOrder(po.id, { status: 'SHIPPED', trackingNumber: tracking[po.id] || undefined }))}
+                className="px-3 py-1.5 text-xs rounded border border-sky-500/70 hover:bg-sky-600/10 disabled:opacity-50"
+              >
+                Versand melden
+              </button>
+            </div>
+          )}
+          {po.status === 'SHIPPED' && (
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              {po.trackingNumber && <span className="text-slate-400">Sendung: {po.trackingNumber}</span>}
+              <button
+                disabled={busy}
+                onClick={() => run(() => updatePurchaseOrder(po.id, { status: 'DELIVERED' }))}
+                className="px-3 py-1.5 rounded border border-emerald-500/70 hover:bg-emerald-600/10 disabled:opacity-50"
+              >
+                Zustellung bestätigen
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PurchaseOrders;
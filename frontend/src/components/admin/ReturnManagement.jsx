@@ -0,0 +1,240 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminAPI } from '../../utils/api';
+import { currency } from '../../utils/helpers.js';
+
+const STATUS = {
+  REQUESTED: { label: 'Angefragt', className: 'bg-amber-600/20 text-amber-300' },
+  APPROVED: { label: 'Genehmigt', className: 'bg-sky-600/20 text-sky-300' },
+  RECEIVED: { label: 'Eingegangen', className: 'bg-sky-600/20 text-sky-300' },
+  INSPECTED: { label: 'Geprüft', className: 'bg-violet-600/20 text-violet-300' },
+  REFUNDING: { label: 'Wird erstattet', className: 'bg-emerald-600/20 text-emerald-300' },
+  REFUNDED: { label: 'Erstattet', className: 'bg-emerald-600/20 text-emerald-300' },
+  REJECTED: { label: 'Abgelehnt', className: 'bg-red-600/20 text-red-300' },
+  CANCELLED: { label: 'Zurückgezogen', className: 'bg-slate-600/30 text-slate-300' }
+};
+
+const REASONS = {
+  DEFECTIVE: 'Defekt',
+  DAMAGED_IN_TRANSIT: 'Transportschaden',
+  WRONG_ITEM: 'Falscher Artikel',
+  NOT_AS_DESCRIBED: 'Entspricht nicht der Beschreibung',
+  NO_LONGER_NEEDED: 'Nicht mehr benötigt',
+  OTHER: 'Sonstiges'
+};
+
+const CONDITIONS = {
+  RESELLABLE: 'Wiederverkaufbar',
+  DAMAGED: 'Beschädigt',
+  DEFECTIVE: 'Defekt',
+  MISSING: 'Fehlt'
+};
+
+/**
+ * ReturnManagement - Retouren (RMA) bearbeiten: genehmigen, Wareneingang, Prüfung je Position, Erstattung
+ * Die Erstattung wird aus den akzeptierten Mengen inkl. USt berechnet und erzeugt eine Gutschrift
+ */
+function ReturnManagement() {
+  const [returns, setReturns] = useState([]);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [inspections, setInspections] = useState({});
+
+  const fetchReturns = useCallback(async () => {
+    try {
+      setError(null);
+      const { data } = await adminAPI.getReturns({ limit: 50, ...(status && { status }) });
+      setReturns(data.returns || []);
+    } catch (e) {
+      setError(e.message || 'Retouren konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchReturns();
+  }, [fetchReturns]);
+
+  const runAction = async (id, action, fallback) => {
+    setBusyId(id);
+    try {
+      setError(null);
+      await action();
+      await fetchReturns();
+    } catch (e) {
+      setError(e.message || fallback);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Prüfergebnis je Position, vorbelegt mit der angemeldeten Menge
+  const inspectionFor = (returnRequest, item) => inspections[returnRequest.id]?.[item.orderItemId]
+    || { acceptedQuantity: item.quantity, condition: 'RESELLABLE' };
+
+  const setInspection = (returnRequest, item, changes) => setInspections(prev => ({
+    ...prev,
+    [returnRequest.id]: {
+      ...prev[returnRequest.id],
+      [item.orderItemId]: { ...inspectionFor(returnRequest, item), ...changes }
+    }
+  }));
+
+  const inspect = (returnRequest) => runAction(
+    returnRequest.id,
+    () => adminAPI.inspectReturn(returnRequest.id, returnRequest.items.map(item => ({
+      orderItemId: item.orderItemId,
+      ...inspectionFor(returnRequest, item)
+    }))),
+    'Prüfung konnte nicht gespeichert werden'
+  );
+
+  const update = (returnRequest, action) => runAction(
+    returnRequest.id,
+    () => adminAPI.updateReturn(returnRequest.id, action),
+    'Retoure konnte nicht aktualisiert werden'
+  );
+
+  const refund = (returnRequest) => {
+    if (!window.confirm(`${currency(returnRequest.refundAmount)} für ${returnRequest.rmaNumber} erstatten?`)) return;
+    runAction(returnRequest.id, () => adminAPI.refundReturn(returnRequest.id), 'Erstattung fehlgeschlagen');
+  };
+
+  const button = (label, onClick, className, returnRequest) => (
+    <button
+      onClick={onClick}
+      disabled={busyId === returnRequest.id}
+      className={`px-2 py-1 rounded border disabled:opacity-50 ${className}`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-xl font-semibold">Retouren</h2>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-2 py-1 text-xs rounded bg-[#0b1328] border border-slate-600"
+          >
+            <option value="">Alle Status</option>
+            {Object.entries(STATUS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Lade…</p>
+        ) : (
+          <>
+            {error && <p className="text-sm text-red-300 mb-3">{error}</p>}
+
+            {returns.length === 0 ? (
+              <p className="text-slate-400 text-sm">Keine Retouren.</p>
+            ) : (
+              <div className="space-y-2">
+                {returns.map(returnRequest => {
+                  const badge = STATUS[returnRequest.status] || {};
+
+                  return (
+                    <div key={returnRequest.id} className="p-3 rounded-xl border border-slate-700/60 bg-[#0b1328] text-sm space-y-2">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <span className="flex flex-wrap items-center gap-2">
+                          <span className="font-medium">{returnRequest.rmaNumber}</span>
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${badge.className || ''}`}>{badge.label || returnRequest.status}</span>
+                          <span className="text-xs text-slate-400">{REASONS[returnRequest.reason] || returnRequest.reason}</span>
+                        </span>
+                        <span className="text-xs text-slate-400">
+                          {returnRequest.order?.customerInfo?.name || returnRequest.order?.customerInfo?.email}
+                          {' · '}{new Date(returnRequest.createdAt).toLocaleDateString('de-DE')}
+                        </span>
+                      </div>
+                      {returnRequest.customerNote && <p className="text-xs text-slate-300">„{returnRequest.customerNote}“</p>}
+
+                      <ul className="text-xs space-y-1">
+                        {returnRequest.items.map(item => {
+                          const inspection = inspectionFor(returnRequest, item);
+                          return (
+                            <li key={item.id} className="flex flex-wrap items-center justify-between gap-2">
+                              <span>{item.quantity}× {item.orderItem?.name} <span className="text-slate-400">à {currency(item.orderItem?.price)} netto</span></span>
+                              {returnRequest.status === 'RECEIVED' ? (
+                                <span className="flex items-center gap-2">
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    max={item.quantity}
+                                    value={inspection.acceptedQuantity}
+                                    onChange={(e) => setInspection(returnRequest, item, {
+                                      acceptedQuantity: Math.min(item.quantity, Math.max(0, parseInt(e.target.value) || 0))
+                                    })}
+                                    className="w-14 px-2 py-0.5 rounded bg-[#0e1630] border border-slate-600"
+                                  />
+                                  <select
+                                    value={inspection.condition}
+                                    onChange={(e) => setInspection(returnRequest, item, { condition: e.target.value })}
+                                    className="px-2 py-0.5 rounded bg-[#0e1630] border border-slate-600"
+                                  >
+                                    {Object.entries(CONDITIONS).map(([value, label]) => (
+                                      <option key={value} value={value}>{label}</option>
+                                    ))}
+                                  </select>
+                                </span>
+                              ) : item.acceptedQuantity != null && (
+                                <span className="text-slate-400">
+                                  akzeptiert: {item.acceptedQuantity} · {CONDITIONS[item.condition] || item.condition}
+                                </span>
+                              )}
+                            </li>
+                          );
+                        })}
+                      </ul>
+
+                      {returnRequest.refundAmount != null && (
+                        <p className="text-xs text-slate-300">
+                          Erstattung: {currency(returnRequest.refundNet)} netto + {currency(returnRequest.refundTax)} USt ={' '}
+                          <span className="font-medium">{currency(returnRequest.refundAmount)}</span>
+                          {returnRequest.creditNote && <span className="text-slate-400 ml-2">Gutschrift {returnRequest.creditNote.number}</span>}
+                        </p>
+                      )}
+
+                      <div className="flex flex-wrap gap-2 text-xs">
+                        {returnRequest.status === 'REQUESTED' && (
+                          <>
+                            {button('Genehmigen', () => update(returnRequest, 'approve'), 'border-emerald-500/70 hover:bg-emerald-600/10', returnRequest)}
+                            {button('Ablehnen', () => update(returnRequest, 'reject'), 'border-red-500/70 hover:bg-red-600/10', returnRequest)}
+                          </>
+                        )}
+                        {returnRequest.status === 'APPROVED' &&
+                          button('Ware eingegangen', () => update(returnRequest, 'receive'), 'border-sky-500/70 hover:bg-sky-600/10', returnRequest)}
+                        {returnRequest.status === 'RECEIVED' &&
+                          button('Prüfung speichern', () => inspect(returnRequest), 'border-violet-500/70 hover:bg-violet-600/10', returnRequest)}
+                        {returnRequest.status === 'INSPECTED' && (
+                          <>
+                            {returnRequest.refundAmount > 0 &&
+                              button('Erstatten', () => refund(returnRequest), 'border-emerald-500/70 hover:bg-emerald-600/10', returnRequest)}
+                            {button('Ablehnen', () => update(returnRequest, 'reject'), 'border-red-500/70 hover:bg-red-600/10', returnRequest)}
+                          </>
+                        )}
+                        {/* Abgebrochene Erstattung: Geld ist erstattet, Gutschrift und Status werden nachgeholt */}
+                        {returnRequest.status === 'REFUNDING' && returnRequest.refundId &&
+                          button('Erstattung abschließen', () => refund(returnRequest), 'border-emerald-500/70 hover:bg-emerald-600/10', returnRequest)}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default ReturnManagement;
@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminAPI } from '../../utils/api';
+import { currency } from '../../utils/helpers.js';
+
+const currentQuarter = () => {
+  const now = new Date();
+  return { year: now.getFullYear(), quarter: Math.floor(now.getMonth() / 3) + 1 };
+};
+
+const formatRate = (rate) => `${(rate * 100).toLocaleString('de-DE', { maximumFractionDigits: 1 })} %`;
+
+/**
+ * TaxReport - OSS-Meldung je Quartal: Bemessungsgrundlage und Umsatzsteuer je EU-Land und Steuersatz,
+ * Export als CSV für die Übertragung ans BZSt
+ */
+function TaxReport() {
+  const [period, setPeriod] = useState(currentQuarter);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      setError(null);
+      const { data } = await adminAPI.getOssReport(period.year, period.quarter);
+      setReport(data.report);
+    } catch (e) {
+      setError(e.message || 'OSS-Meldung konnte nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const download = async () => {
+    setDownloading(true);
+    try {
+      await adminAPI.downloadOssReport(period.year, period.quarter);
+    } catch (e) {
+      setError(e.message || 'CSV-Export fehlgeschlagen');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const years = Array.from({ length: 4 }, (_, index) => currentQuarter().year - index);
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-xl font-semibold">Umsatzsteuer (OSS)</h2>
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={period.year}
+              onChange={(e) => setPeriod(prev => ({ ...prev, year: Number(e.target.value) }))}
+              className="px-2 py-1.5 text-xs rounded bg-[#0b1328] border border-slate-600"
+            >
+              {years.map(year => <option key={year} value={year}>{year}</option>)}
+            </select>
+            <select
+              value={period.quarter}
+              onChange={(e) => setPeriod(prev => ({ ...prev, quarter: Number(e.target.value) }))}
+              className="px-2 py-1.5 text-xs rounded bg-[#0b1328] border border-slate-600"
+            >
+              {[1, 2, 3, 4].map(quarter => <option key={quarter} value={quarter}>Q{quarter}</option>)}
+            </select>
+            <button
+              onClick={download}
+              disabled={downloading || !report || report.rows.length === 0}
+              className="px-3 py-1.5 text-xs rounded border border-emerald-500/70 hover:bg-emerald-600/10 disabled:opacity-50"
+            >
+              {downloading ? 'Exportiere…' : 'CSV exportieren'}
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Lade…</p>
+        ) : (
+          <>
+            {error && <p className="text-sm text-red-300 mb-3">{error}</p>}
+
+            {report && (report.rows.length === 0 ? (
+              <p className="text-slate-400 text-sm">Keine bezahlten OSS-Bestellungen in Q{report.period.quarter}/{report.period.year}.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-slate-400 text-left">
+                    <th className="py-1">Land</th>
+                    <th className="py-1">Steuersatz</th>
+                    <th className="py-1 text-right">Bemessungsgrundlage</th>
+                    <th className="py-1 text-right">Steuer</th>
+                    <th className="py-1 text-right">Bestellungen</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map(row => (
+                    <tr key={`${row.country}-${row.rate}`} className="border-t border-slate-700/60">
+                      <td className="py-1">{row.country}</td>
+                      <td className="py-1">{formatRate(row.rate)}</td>
+                      <td className="py-1 text-right">{currency(row.net)}</td>
+                      <td className="py-1 text-right">{currency(row.vat)}</td>
+                      <td className="py-1 text-right">{row.orders}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t border-slate-500 font-semibold">
+                    <td className="py-1" colSpan={2}>Summe</td>
+                    <td className="py-1 text-right">{currency(report.totals.net)}</td>
+                    <td className="py-1 text-right">{currency(report.totals.vat)}</td>
+                    <td className="py-1 text-right">{report.totals.orders}</td>
+                  </tr>
+                </tbody>
+              </table>
+            ))}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default TaxReport;
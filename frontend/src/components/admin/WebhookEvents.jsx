@@ -0,0 +1,171 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminAPI } from '../../utils/api';
+
+const STATUS_CLASSES = {
+  RECEIVED: 'bg-sky-600/20 text-sky-300',
+  PROCESSED: 'bg-emerald-600/20 text-emerald-300',
+  FAILED: 'bg-red-600/20 text-red-300',
+  IGNORED: 'bg-slate-600/30 text-slate-300'
+};
+
+const STATUS_FILTERS = [
+  { value: 'FAILED', label: 'Fehlgeschlagen' },
+  { value: 'IGNORED', label: 'Ignoriert' },
+  { value: 'PROCESSED', label: 'Verarbeitet' },
+  { value: 'RECEIVED', label: 'In Verarbeitung' },
+  { value: '', label: 'Alle' }
+];
+
+const REPLAYABLE = ['FAILED', 'IGNORED'];
+
+const formatDate = (value) => value ? new Date(value).toLocaleString('de-DE') : '–';
+
+/**
+ * WebhookEvents - Eingegangene Zahlungs-Webhooks: fehlgeschlagene Events einsehen (Payload, Fehler)
+ * und erneut verarbeiten
+ */
+function WebhookEvents() {
+  const [status, setStatus] = useState('FAILED');
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [replayingId, setReplayingId] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setError(null);
+      const { data } = await adminAPI.getWebhookEvents({ status, limit: 50 });
+      setEvents(data.events || []);
+      setTotal(data.pagination?.total || 0);
+    } catch (e) {
+      setError(e.message || 'Webhook-Events konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const toggle = async (id) => {
+    if (expanded?.id === id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      setError(null);
+      const { data } = await adminAPI.getWebhookEvent(id);
+      setExpanded(data.event);
+    } catch (e) {
+      setError(e.message || 'Event konnte nicht geladen werden');
+    }
+  };
+
+  const replay = async (id) => {
+    setReplayingId(id);
+    try {
+      setError(null);
+      const { data } = await adminAPI.replayWebhookEvent(id);
+      if (data.event.status === 'FAILED') {
+        setError(`Erneut fehlgeschlagen: ${data.event.error}`);
+      }
+      if (expanded?.id === id) {
+        setExpanded({ ...expanded, ...data.event });
+      }
+      await fetchEvents();
+    } catch (e) {
+      setError(e.message || 'Event konnte nicht erneut verarbeitet werden');
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-xl font-semibold">Zahlungs-Webhooks</h2>
+          <div className="flex gap-2">
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="px-2 py-1.5 text-xs rounded bg-[#0b1328] border border-slate-600"
+            >
+              {STATUS_FILTERS.map(filter => <option key={filter.value} value={filter.value}>{filter.label}</option>)}
+            </select>
+            <button
+              onClick={fetchEvents}
+              className="px-3 py-1.5 text-xs rounded border border-slate-600 hover:bg-slate-700/40"
+            >
+              Aktualisieren
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Lade…</p>
+        ) : (
+          <>
+            {error && <p className="text-sm text-red-300 mb-3">{error}</p>}
+
+            {events.length === 0 ? (
+              <p className="text-slate-400 text-sm">Keine Events.</p>
+            ) : (
+              <div className="space-y-2">
+                {total > events.length && (
+                  <p className="text-xs text-slate-400">Neueste {events.length} von {total} Events</p>
+                )}
+                {events.map(event => (
+                  <div key={event.id} className="p-3 rounded-xl border border-slate-700/60 bg-[#0b1328] text-sm">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <button onClick={() => toggle(event.id)} className="flex flex-wrap items-center gap-2 text-left">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_CLASSES[event.status] || ''}`}>
+                          {event.status}
+                        </span>
+                        <span className="font-medium">{event.type}</span>
+                        <span className="text-xs text-slate-400">{event.provider} · {event.eventId}</span>
+                      </button>
+                      <span className="flex items-center gap-3 text-xs text-slate-400">
+                        <span>{formatDate(event.receivedAt)}</span>
+                        <span>{event.attempts}× verarbeitet</span>
+                        {REPLAYABLE.includes(event.status) && (
+                          <button
+                            onClick={() => replay(event.id)}
+                            disabled={replayingId === event.id}
+                            className="px-2 py-1 rounded border border-amber-500/70 text-amber-200 hover:bg-amber-600/10 disabled:opacity-50"
+                          >
+                            {replayingId === event.id ? 'Verarbeite…' : 'Erneut verarbeiten'}
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                    {event.error && <p className="mt-1 text-xs text-red-300">{event.error}</p>}
+
+                    {expanded?.id === event.id && (
+                      <div className="mt-2 space-y-1 text-xs">
+                        {expanded.order && (
+                          <p className="text-slate-300">
+                            Bestellung {expanded.order.orderNumber} · {expanded.order.status} / {expanded.order.paymentStatus}
+                          </p>
+                        )}
+                        {expanded.processedAt && <p className="text-slate-400">Verarbeitet: {formatDate(expanded.processedAt)}</p>}
+                        <pre className="max-h-64 overflow-auto p-2 rounded bg-black/30 text-slate-300">
+                          {JSON.stringify(expanded.payload, null, 2)}
+                        </pre>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default WebhookEvents;
@@ -0,0 +1,342 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminAPI } from '../../utils/api';
+
+// Abonnierbare Events (WEBHOOK_EVENTS im Backend)
+const EVENTS = {
+  'order.created': 'Bestellung angelegt',
+  'order.processing': 'In Bearbeitung',
+  'order.shipped': 'Versendet',
+  'order.delivered': 'Zugestellt',
+  'order.cancelled': 'Storniert',
+  'order.refunded': 'Erstattet',
+  'payment.confirmed': 'Zahlung bestätigt',
+  'manual.ready': 'Anleitung bereit',
+  'price.changed': 'Preisänderung'
+};
+
+const STATUS = {
+  PENDING: { label: 'Ausstehend', className: 'bg-sky-600/20 text-sky-300' },
+  RETRYING: { label: 'Wiederholung', className: 'bg-amber-600/20 text-amber-300' },
+  SUCCEEDED: { label: 'Zugestellt', className: 'bg-emerald-600/20 text-emerald-300' },
+  FAILED: { label: 'Fehlgeschlagen', className: 'bg-red-600/20 text-red-300' }
+};
+
+const TRIGGERS = {
+  automatic: 'automatisch',
+  retry: 'Wiederholung',
+  redeliver: 'manuell',
+  ping: 'Test'
+};
+
+const EMPTY_FORM = { url: '', description: '', events: [] };
+
+const formatDate = (value) => value ? new Date(value).toLocaleString('de-DE') : '–';
+
+/**
+ * WebhookSubscriptions - Ausgehende Webhooks: Endpunkte mit abonnierten Events verwalten,
+ * Zustellungsprotokoll einsehen und einzelne Zustellungen erneut senden
+ */
+function WebhookSubscriptions() {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [filter, setFilter] = useState({ subscriptionId: '', status: '' });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [secret, setSecret] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSubscriptions = useCallback(async () => {
+    const { data } = await adminAPI.getWebhookSubscriptions();
+    setSubscriptions(data.subscriptions || []);
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    const params = Object.fromEntries(Object.entries(filter).filter(([, value]) => value));
+    const { data } = await adminAPI.getWebhookDeliveries({ ...params, limit: 50 });
+    setDeliveries(data.deliveries || []);
+  }, [filter]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setError(null);
+      await Promise.all([fetchSubscriptions(), fetchDeliveries()]);
+    } catch (e) {
+      setError(e.message || 'Webhooks konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchSubscriptions, fetchDeliveries]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runAction = async (id, action, fallback) => {
+    setBusyId(id);
+    try {
+      setError(null);
+      await action();
+      await refresh();
+    } catch (e) {
+      setError(e.message || fallback);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleEvent = (event) => setForm(prev => ({
+    ...prev,
+    events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+  }));
+
+  const create = (e) => {
+    e.preventDefault();
+    runAction('new', async () => {
+      const { data } = await adminAPI.createWebhookSubscription({
+        url: form.url.trim(),
+        events: form.events,
+        ...(form.description.trim() && { description: form.description.trim() })
+      });
+      setSecret({ url: data.subscription.url, value: data.subscription.secret });
+      setForm(EMPTY_FORM);
+    }, 'Endpunkt konnte nicht angelegt werden');
+  };
+
+  const rotate = (subscription) => {
+    if (!window.confirm(`Neues Secret für ${subscription.url} erzeugen? Das alte wird sofort ungültig.`)) return;
+    runAction(subscription.id, async () => {
+      const { data } = await adminAPI.updateWebhookSubscription(subscription.id, { rotateSecret: true });
+      setSecret({ url: data.subscription.url, value: data.subscription.secret });
+    }, 'Secret konnte nicht erneuert werden');
+  };
+
+  const remove = (subscription) => {
+    if (!window.confirm(`${subscription.url} samt Zustellungsprotokoll löschen?`)) return;
+    runAction(subscription.id, () => adminAPI.deleteWebhookSubscription(subscription.id), 'Endpunkt konnte nicht gelöscht werden');
+  };
+
+  const ping = (subscription) => runAction(subscription.id, async () => {
+    const { data } = await adminAPI.pingWebhookSubscription(subscription.id);
+    if (data.delivery.status !== 'SUCCEEDED') {
+      throw new Error(`Test fehlgeschlagen: ${data.delivery.error || data.delivery.status}`);
+    }
+  }, 'Test-Event konnte nicht gesendet werden');
+
+  const toggle = async (id) => {
+    if (expanded?.id === id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      setError(null);
+      const { data } = await adminAPI.getWebhookDelivery(id);
+      setExpanded(data.delivery);
+    } catch (e) {
+      setError(e.message || 'Zustellung konnte nicht geladen werden');
+    }
+  };
+
+  const redeliver = (id) => runAction(id, async () => {
+    const { data } = await adminAPI.redeliverWebhook(id);
+    if (expanded?.id === id) {
+      setExpanded(data.delivery);
+    }
+  }, 'Zustellung konnte nicht erneut gesendet werden');
+
+  const button = (label, onClick, className, id) => (
+    <button
+      onClick={onClick}
+      disabled={busyId === id}
+      className={`px-2 py-1 rounded border disabled:opacity-50 ${className}`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-xl font-semibold">Ausgehende Webhooks</h2>
+          <button
+            onClick={refresh}
+            className="px-3 py-1.5 text-xs rounded border border-slate-600 hover:bg-slate-700/40"
+          >
+            Aktualisieren
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-300">{error}</p>}
+
+        {secret && (
+          <div className="p-3 rounded-xl border border-amber-500/60 bg-amber-600/10 text-sm space-y-1">
+            <p>Signatur-Secret für {secret.url} – wird nur jetzt angezeigt:</p>
+            <code className="block break-all text-amber-200">{secret.value}</code>
+            <button onClick={() => setSecret(null)} className="text-xs text-slate-300 hover:underline">Ausblenden</button>
+          </div>
+        )}
+
+        <form onSubmit={create} className="p-3 rounded-xl border border-slate-700/60 bg-[#0b1328] text-sm space-y-2">
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="url"
+              required
+              value={form.url}
+              onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+              placeholder="https://example.com/webhooks"
+              className="flex-1 min-w-[16rem] px-2 py-1 rounded bg-[#0e1630] border border-slate-600"
+            />
+            <input
+              value={form.description}
+              onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+              maxLength={200}
+              placeholder="Beschreibung (optional)"
+              className="flex-1 min-w-[12rem] px-2 py-1 rounded bg-[#0e1630] border border-slate-600"
+            />
+          </div>
+          <div className="flex flex-wrap gap-3 text-xs">
+            {Object.entries(EVENTS).map(([event, label]) => (
+              <label key={event} className="flex items-center gap-1">
+                <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                <span title={event}>{label}</span>
+              </label>
+            ))}
+          </div>
+          <button
+            type="submit"
+            disabled={busyId === 'new' || form.events.length === 0}
+            className="px-3 py-1.5 text-xs rounded bg-sky-600 hover:bg-sky-500 disabled:opacity-50"
+          >
+            Endpunkt anlegen
+          </button>
+        </form>
+
+        {loading ? (
+          <p className="text-sm text-slate-400">Lade…</p>
+        ) : (
+          <>
+            {subscriptions.length === 0 ? (
+              <p className="text-slate-400 text-sm">Keine Endpunkte registriert.</p>
+            ) : (
+              <div className="space-y-2">
+                {subscriptions.map(subscription => (
+                  <div key={subscription.id} className="p-3 rounded-xl border border-slate-700/60 bg-[#0b1328] text-sm space-y-1">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <span className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium break-all">{subscription.url}</span>
+                        {!subscription.active && (
+                          <span className="px-2 py-0.5 rounded-full text-xs bg-slate-600/30 text-slate-300">Pausiert</span>
+                        )}
+                        {subscription.description && <span className="text-xs text-slate-400">{subscription.description}</span>}
+                      </span>
+                      <span className="flex flex-wrap gap-2 text-xs">
+                        {button('Test senden', () => ping(subscription), 'border-sky-500/70 hover:bg-sky-600/10', subscription.id)}
+                        {button(
+                          subscription.active ? 'Pausieren' : 'Aktivieren',
+                          () => runAction(subscription.id, () => adminAPI.updateWebhookSubscription(subscription.id, { active: !subscription.active }), 'Endpunkt konnte nicht geändert werden'),
+                          'border-slate-600 hover:bg-slate-700/40',
+                          subscription.id
+                        )}
+                        {button('Secret erneuern', () => rotate(subscription), 'border-amber-500/70 hover:bg-amber-600/10', subscription.id)}
+                        {button('Löschen', () => remove(subscription), 'border-red-500/70 hover:bg-red-600/10', subscription.id)}
+                      </span>
+                    </div>
+                    <p className="text-xs text-slate-400">
+                      {subscription.events.map(event => EVENTS[event] || event).join(', ')}
+                      {' · Secret '}{subscription.secret}
+                    </p>
+                    <p className="text-xs text-slate-400">
+                      {Object.entries(STATUS).map(([value, { label }]) => `${label}: ${subscription.deliveryStats?.[value] || 0}`).join(' · ')}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex flex-wrap items-center justify-between gap-2 pt-2">
+              <h3 className="font-semibold">Zustellungen</h3>
+              <div className="flex gap-2">
+                <select
+                  value={filter.subscriptionId}
+                  onChange={(e) => setFilter(prev => ({ ...prev, subscriptionId: e.target.value }))}
+                  className="px-2 py-1 text-xs rounded bg-[#0b1328] border border-slate-600 max-w-[14rem]"
+                >
+                  <option value="">Alle Endpunkte</option>
+                  {subscriptions.map(subscription => (
+                    <option key={subscription.id} value={subscription.id}>{subscription.url}</option>
+                  ))}
+                </select>
+                <select
+                  value={filter.status}
+                  onChange={(e) => setFilter(prev => ({ ...prev, status: e.target.value }))}
+                  className="px-2 py-1 text-xs rounded bg-[#0b1328] border border-slate-600"
+                >
+                  <option value="">Alle Status</option>
+                  {Object.entries(STATUS).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {deliveries.length === 0 ? (
+              <p className="text-slate-400 text-sm">Keine Zustellungen.</p>
+            ) : (
+              <div className="space-y-2">
+                {deliveries.map(delivery => {
+                  const badge = STATUS[delivery.status] || {};
+
+                  return (
+                    <div key={delivery.id} className="p-3 rounded-xl border border-slate-700/60 bg-[#0b1328] text-sm">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <button onClick={() => toggle(delivery.id)} className="flex flex-wrap items-center gap-2 text-left">
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${badge.className || ''}`}>{badge.label || delivery.status}</span>
+                          <span className="font-medium">{delivery.event}</span>
+                          {delivery.responseStatus && <span className="text-xs text-slate-400">HTTP {delivery.responseStatus}</span>}
+                        </button>
+                        <span className="flex items-center gap-3 text-xs text-slate-400">
+                          <span>{formatDate(delivery.createdAt)}</span>
+                          <span>{delivery.attempts}× versucht</span>
+                          {delivery.status === 'RETRYING' && <span>nächster Versuch {formatDate(delivery.nextAttemptAt)}</span>}
+                          {button(
+                            busyId === delivery.id ? 'Sende…' : 'Erneut senden',
+                            () => redeliver(delivery.id),
+                            'border-amber-500/70 text-amber-200 hover:bg-amber-600/10',
+                            delivery.id
+                          )}
+                        </span>
+                      </div>
+                      {delivery.error && <p className="mt-1 text-xs text-red-300">{delivery.error}</p>}
+
+                      {expanded?.id === delivery.id && (
+                        <div className="mt-2 space-y-2 text-xs">
+                          <p className="text-slate-400 break-all">An {expanded.subscription?.url}</p>
+                          <ul className="space-y-1">
+                            {expanded.attemptLog.map(attempt => (
+                              <li key={attempt.id} className="flex flex-wrap gap-2">
+                                <span className={attempt.success ? 'text-emerald-300' : 'text-red-300'}>#{attempt.attempt}</span>
+                                <span className="text-slate-400">{formatDate(attempt.createdAt)} · {TRIGGERS[attempt.trigger] || attempt.trigger} · {attempt.durationMs} ms</span>
+                                <span>{attempt.responseStatus ? `HTTP ${attempt.responseStatus}` : attempt.error}</span>
+                              </li>
+                            ))}
+                          </ul>
+                          <pre className="max-h-64 overflow-auto p-2 rounded bg-black/30 text-slate-300">
+                            {JSON.stringify(expanded.payload, null, 2)}
+                          </pre>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default WebhookSubscriptions;
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import { TwoFactorChallenge } from './TwoFactorChallenge';
 
 export function LoginForm({ onSuccess, onSwitchToRegister, onSwitchToForgotPassword }) {
   const [formData, setFormData] = useState({
@@ -9,6 +10,7 @@ export function LoginForm({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
   });
   const [isLoading, setIsLoading] = useState(false);
   const [formError, setFormError] = useState('');
+  const [challenge, setChallenge] = useState(null); // { challengeToken, setupRequired } nach dem Passwort-Schritt
   
   const { login, clearError } = useAuth();
 
@@ -31,7 +33,11 @@ export function LoginForm({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
     setFormError('');
 
     try {
-      await login(formData.email, formData.password, formData.rememberMe);
+      const response = await login(formData.email, formData.password, formData.rememberMe);
+      if (response?.data?.twoFactorRequired) {
+        setChallenge(response.data);
+        return;
+      }
       if (onSuccess) onSuccess();
     } catch (error) {
       setFormError(error.message);
@@ -40,6 +46,26 @@ export function LoginForm({ onSuccess, onSwitchToRegister, onSwitchToForgotPassw
     }
   };
 
+  if (challenge) {
+    return (
+      <div className="w-full max-w-md mx-auto">
+        <div className="bg-white shadow-lg rounded-lg p-6">
+          <div className="text-center mb-6">
+            <h2 className="text-2xl font-bold text-gray-900">Zwei-Faktor-Anmeldung</h2>
+          </div>
+          <TwoFactorChallenge
+            challenge={challenge}
+            onSuccess={onSuccess}
+            onCancel={() => {
+              setChallenge(null);
+              setFormData(prev => ({ ...prev, password: '' }));
+            }}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="w-full max-w-md mx-auto">
       <div className="bg-white shadow-lg rounded-lg p-6">
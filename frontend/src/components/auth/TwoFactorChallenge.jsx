@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { RecoveryCodes } from './TwoFactorSettings';
+
+/**
+ * Zweiter Anmeldeschritt: Code aus der Authenticator-App oder Wiederherstellungscode
+ * Bei setupRequired (Pflicht-2FA für Admins) wird zuerst der QR-Code zur Einrichtung angezeigt
+ */
+export function TwoFactorChallenge({ challenge, onSuccess, onCancel }) {
+  const { completeTwoFactorLogin, startTwoFactorLoginSetup } = useAuth();
+  const [code, setCode] = useState('');
+  const [trustDevice, setTrustDevice] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!challenge.setupRequired) return;
+    startTwoFactorLoginSetup(challenge.challengeToken)
+      .then(setSetup)
+      .catch(err => setError(err.message));
+  }, [challenge]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isLoading) return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await completeTwoFactorLogin(challenge.challengeToken, code.trim(), trustDevice);
+      if (response.data?.recoveryCodes) {
+        // Einmalige Anzeige nach der Pflicht-Einrichtung
+        setRecoveryCodes(response.data.recoveryCodes);
+      } else if (onSuccess) {
+        onSuccess();
+      }
+    } catch (err) {
+      setError(err.message);
+      setCode('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4" data-testid="two-factor-recovery-codes">
+        <p className="text-sm text-gray-700">
+          Zwei-Faktor-Authentifizierung ist eingerichtet. Bewahren Sie diese Wiederherstellungscodes sicher auf –
+          jeder Code funktioniert genau einmal, falls Sie keinen Zugriff auf Ihre App haben.
+        </p>
+        <RecoveryCodes codes={recoveryCodes} />
+        <button
+          type="button"
+          onClick={onSuccess}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition duration-200"
+        >
+          Weiter
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" data-testid="two-factor-form">
+      {challenge.setupRequired ? (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">
+            Für Administrator-Konten ist die Zwei-Faktor-Authentifizierung Pflicht. Scannen Sie den QR-Code mit
+            einer Authenticator-App und geben Sie den angezeigten Code ein.
+          </p>
+          {setup && (
+            <div className="flex flex-col items-center gap-2">
+              <img src={setup.qrCode} alt="QR-Code für die Authenticator-App" className="w-48 h-48" />
+              <code className="text-xs text-gray-600 break-all">{setup.secret}</code>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-700">
+          Geben Sie den 6-stelligen Code aus Ihrer Authenticator-App oder einen Wiederherstellungscode ein.
+        </p>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-300 rounded-md" data-testid="two-factor-error">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-1">
+          Bestätigungscode
+        </label>
+        <input
+          type="text"
+          id="twoFactorCode"
+          name="twoFactorCode"
+          inputMode={challenge.setupRequired ? 'numeric' : 'text'}
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          required
+          autoFocus
+          className="w-full px-3 py-2 border border-gray-300 rounded-md tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          placeholder="123456"
+          disabled={isLoading}
+          data-testid="two-factor-code"
+        />
+      </div>
+
+      <div className="flex items-center">
+        <input
+          type="checkbox"
+          id="trustDevice"
+          checked={trustDevice}
+          onChange={(e) => setTrustDevice(e.target.checked)}
+          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          disabled={isLoading}
+        />
+        <label htmlFor="trustDevice" className="ml-2 text-sm text-gray-700">
+          Diesem Gerät vertrauen (vorerst keine Code-Abfrage mehr)
+        </label>
+      </div>
+
+      <button
+        type="submit"
+        disabled={isLoading || code.trim().length < 6}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-md transition duration-200"
+        data-testid="two-factor-submit"
+      >
+        {isLoading ? 'Prüfen...' : 'Bestätigen'}
+      </button>
+
+      <button
+        type="button"
+        onClick={onCancel}
+        className="w-full text-sm text-gray-600 hover:text-gray-800"
+      >
+        Zurück zur Anmeldung
+      </button>
+    </form>
+  );
+}
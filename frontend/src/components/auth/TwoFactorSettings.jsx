@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Wiederherstellungscodes werden nur einmal angezeigt (Server speichert nur Hashes)
+export function RecoveryCodes({ codes }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm border border-gray-300 rounded-md p-3">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <button type="button" onClick={handleCopy} className="text-sm text-blue-500 hover:text-blue-400">
+        {copied ? 'Kopiert' : 'In Zwischenablage kopieren'}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Zwei-Faktor-Authentifizierung im Profil: Einrichtung per QR-Code, Wiederherstellungscodes,
+ * vertrauenswürdige Geräte und Deaktivierung (nicht für Admin-Konten, dort ist 2FA Pflicht)
+ */
+export function TwoFactorSettings() {
+  const {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    forgetTrustedDevices
+  } = useAuth();
+
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await getTwoFactorStatus());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const run = async (action, successMessage = '') => {
+    setIsLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+      setMessage(successMessage);
+      setCode('');
+      await loadStatus();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await setupTwoFactor());
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await enableTwoFactor(code.trim());
+      setSetup(null);
+      setRecoveryCodes(result.recoveryCodes);
+    }, 'Zwei-Faktor-Authentifizierung ist aktiviert.');
+  };
+
+  const handleRegenerate = () => run(async () => {
+    const result = await regenerateRecoveryCodes(code.trim());
+    setRecoveryCodes(result.recoveryCodes);
+  }, 'Neue Wiederherstellungscodes erstellt. Die alten Codes sind ungültig.');
+
+  const handleDisable = () => {
+    if (!confirm('Zwei-Faktor-Authentifizierung wirklich deaktivieren?')) return;
+    run(async () => {
+      await disableTwoFactor(code.trim());
+      setRecoveryCodes(null);
+    }, 'Zwei-Faktor-Authentifizierung ist deaktiviert.');
+  };
+
+  const handleForgetDevices = () => run(forgetTrustedDevices, 'Alle vertrauenswürdigen Geräte wurden entfernt.');
+
+  if (!status) {
+    return error ? <p className="text-sm text-red-400">{error}</p> : null;
+  }
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      autoComplete="one-time-code"
+      placeholder="Code aus der App"
+      className="px-3 py-2 rounded-md bg-slate-900 border border-slate-600 text-sm tracking-widest"
+      disabled={isLoading}
+      data-testid="two-factor-settings-code"
+    />
+  );
+
+  return (
+    <div className="space-y-4" data-testid="two-factor-settings">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Zwei-Faktor-Authentifizierung</h2>
+        <span className={`text-sm px-2 py-1 rounded ${status.enabled ? 'bg-emerald-600/20 text-emerald-300' : 'bg-slate-700 text-slate-300'}`}>
+          {status.enabled ? 'Aktiv' : 'Inaktiv'}
+        </span>
+      </div>
+
+      {status.required && !status.enabled && (
+        <p className="text-sm text-amber-300">Für Ihr Konto ist die Zwei-Faktor-Authentifizierung Pflicht.</p>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      {message && <p className="text-sm text-emerald-300">{message}</p>}
+
+      {recoveryCodes && (
+        <div className="space-y-2">
+          <p className="text-sm text-slate-300">
+            Bewahren Sie diese Wiederherstellungscodes sicher auf. Jeder Code funktioniert genau einmal.
+          </p>
+          <RecoveryCodes codes={recoveryCodes} />
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <div className="space-y-2">
+          <p className="text-sm text-slate-300">
+            Schützen Sie Ihr Konto zusätzlich mit einem Code aus einer Authenticator-App.
+          </p>
+          <button
+            type="button"
+            onClick={handleStartSetup}
+            disabled={isLoading}
+            className="px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-sm"
+          >
+            Einrichten
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleEnable} className="space-y-3">
+          <p className="text-sm text-slate-300">
+            Scannen Sie den QR-Code mit Ihrer Authenticator-App oder geben Sie den Schlüssel manuell ein.
+          </p>
+          <img src={setup.qrCode} alt="QR-Code für die Authenticator-App" className="w-48 h-48 bg-white rounded" />
+          <code className="block text-xs text-slate-400 break-all">{setup.secret}</code>
+          <div className="flex flex-wrap gap-2">
+            {codeInput}
+            <button
+              type="submit"
+              disabled={isLoading || code.trim().length < 6}
+              className="px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-sm"
+            >
+              Aktivieren
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <div className="space-y-3">
+          <p className="text-sm text-slate-300">
+            Verbleibende Wiederherstellungscodes: {status.recoveryCodesRemaining}
+          </p>
+
+          <div className="flex flex-wrap gap-2">
+            {codeInput}
+            <button
+              type="button"
+              onClick={handleRegenerate}
+              disabled={isLoading || code.trim().length < 6}
+              className="px-4 py-2 rounded-md border border-slate-600 hover:bg-slate-700 disabled:opacity-50 text-sm"
+            >
+              Neue Wiederherstellungscodes
+            </button>
+            {!status.required && (
+              <button
+                type="button"
+                onClick={handleDisable}
+                disabled={isLoading || code.trim().length < 6}
+                className="px-4 py-2 rounded-md border border-red-500/70 text-red-300 hover:bg-red-600/10 disabled:opacity-50 text-sm"
+              >
+                Deaktivieren
+              </button>
+            )}
+          </div>
+
+          <div className="pt-3 border-t border-slate-700 space-y-2">
+            <p className="text-sm text-slate-300">
+              Vertrauenswürdige Geräte (ohne Code-Abfrage): {status.trustedDevices.length}
+            </p>
+            {status.trustedDevices.length > 0 && (
+              <>
+                <ul className="text-xs text-slate-400 space-y-1">
+                  {status.trustedDevices.map(device => (
+                    <li key={device.id}>
+                      {device.deviceName || 'Unbekanntes Gerät'} – bis {new Date(device.expiresAt).toLocaleDateString('de-DE')}
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  type="button"
+                  onClick={handleForgetDevices}
+                  disabled={isLoading}
+                  className="px-4 py-2 rounded-md border border-slate-600 hover:bg-slate-700 disabled:opacity-50 text-sm"
+                >
+                  Alle Geräte vergessen
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,11 +3,11 @@ import {
   getLocalizedProductName,
   getLocalizedProductDescription,
   getLocalizedCategoryName,
-  getLocalizedUnit,
-  PARTS 
+  getLocalizedUnit
 } from '../../utils/data.js';
 import useCurrency from '../../hooks/useCurrency.js';
 import Tooltip from '../shared/Tooltip';
+import PriceTrend from '../shared/PriceTrend';
 
 function ProductCard({ 
   productKey, 
@@ -22,8 +22,10 @@ function ProductCard({
   const { t } = useTranslation(['translation', 'products']);
   const { formatCurrencySync } = useCurrency();
 
-  const localizedName = getLocalizedProductName(productKey, t);
-  const localizedDescription = getLocalizedProductDescription(productKey, t);
+  // Die Lokalisierungs-Helfer erwarten einen Katalog, hier genügt das eine Teil
+  const parts = { [productKey]: product };
+  const localizedName = getLocalizedProductName(productKey, t, parts);
+  const localizedDescription = getLocalizedProductDescription(productKey, t, parts);
   const localizedCategory = getLocalizedCategoryName(product.category, t);
   const localizedUnit = getLocalizedUnit(product.unit, t);
   
@@ -77,9 +79,13 @@ function ProductCard({
 
       {/* Preis und Link */}
       <div className="flex items-center justify-between mb-4">
-        <div className="text-lg font-semibold text-emerald-400">
-          {formatCurrencySync(product.price)}
-          <span className="text-xs text-slate-400 ml-1">/ {localizedUnit}</span>
+        <div>
+          <div className="text-lg font-semibold text-emerald-400">
+            {formatCurrencySync(product.price)}
+            <span className="text-xs text-slate-400 ml-1">/ {localizedUnit}</span>
+          </div>
+          {/* Preisverlauf aus der gespeicherten Historie */}
+          <PriceTrend productKey={productKey} className="mt-1" />
         </div>
         
         {product.link && product.link !== "#" && (
@@ -1,5 +1,6 @@
 import { useState, useMemo } from 'react';
 import { useTranslation } from 'react-i18next';
+import { useCatalog } from '../../contexts/CatalogContext';
 import { 
   getProductsByCategory,
   getLocalizedCategoryName,
@@ -19,12 +20,13 @@ function ProductCatalog({
   const { t } = useTranslation(['translation', 'products']);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('ALL');
+  const { parts } = useCatalog();
 
-  const productsByCategory = useMemo(() => getProductsByCategory(), []);
+  const productsByCategory = useMemo(() => getProductsByCategory(parts), [parts]);
   const categories = Object.keys(productsByCategory);
 
   const filteredProducts = useMemo(() => {
-    let productKeys = searchProducts(searchTerm, t);
+    let productKeys = searchProducts(searchTerm, t, parts);
     
     if (selectedCategory !== 'ALL') {
       productKeys = productKeys.filter(key => {
@@ -34,7 +36,7 @@ function ProductCatalog({
     }
     
     return productKeys;
-  }, [searchTerm, selectedCategory, productsByCategory, t]);
+  }, [searchTerm, selectedCategory, productsByCategory, parts, t]);
 
   const groupedFilteredProducts = useMemo(() => {
     const grouped = {};
@@ -1,43 +1,78 @@
-import { useContext } from 'react';
+import { useContext, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { ConfiguratorContext } from '../../contexts/ConfiguratorContext';
+import { useCatalog } from '../../contexts/CatalogContext';
 import { 
-  PARTS, 
-  PRESETS, 
   getLocalizedProductName,
   getLocalizedProductDescription,
-  getLocalizedPresetLabel,
-  getLocalizedUnit,
-  getProductsByCategory,
-  getLocalizedCategoryName
+  getLocalizedUnit
 } from '../../utils/data.js';
 import { clamp, currency } from '../../utils/helpers.js';
 import Tooltip from '../shared/Tooltip';
+import OptimizerPanel from './OptimizerPanel';
+import PresetBar from './PresetBar';
 
 function Configurator() {
   const { t } = useTranslation('products');
   const {
-    presetKey, setPresetKey,
     items, setItems,
-    perMargin, setPerMargin,
+    perMargin, setPerMargin, canEditPricing,
     showPerMargin, setShowPerMargin,
     marginPct,
-    retailForPart
+    retailForPart,
+    unitCostForPart,
+    serverConfigId,
+    configName, setConfigName,
+    saveConfiguration,
+    startNewConfiguration
   } = useContext(ConfiguratorContext);
+  const { parts, loading: catalogLoading, error: catalogError } = useCatalog();
+
+  const [saveState, setSaveState] = useState(null);
 
   const setQty = (key, qty) => setItems(prev => ({...prev, [key]: Math.max(0, Math.round(qty||0))}));
-  
-  const loadPreset = (key) => { 
-    setPresetKey(key); 
-    setItems({...PRESETS[key].items}); 
+
+  // Speichern legt auf dem Server eine neue Revision an (Versionsverlauf unter "Konfigurationen")
+  const save = async () => {
+    setSaveState({ busy: true });
+    try {
+      await saveConfiguration(configName.trim() || 'Konfiguration');
+      setSaveState({ message: 'Gespeichert' });
+    } catch (error) {
+      setSaveState({ error: error.message || 'Speichern fehlgeschlagen' });
+    }
   };
 
   return (
     <section className="md:col-span-2 space-y-4">
       <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60 shadow-lg">
-        <div className="flex items-center justify-between">
+        <div className="flex flex-wrap items-center justify-between gap-2">
           <h2 className="text-xl font-semibold mb-3">Komponenten & Mengen</h2>
           <div className="flex items-center gap-2 text-xs">
+            <input
+              value={configName}
+              onChange={(e) => { setConfigName(e.target.value); setSaveState(null); }}
+              placeholder="Name der Konfiguration"
+              className="w-40 px-2 py-1 rounded bg-[#0b1328] border border-slate-600"
+            />
+            <button
+              onClick={save}
+              disabled={saveState?.busy || !Object.values(items).some(q => q > 0)}
+              className="px-2 py-1 rounded bg-emerald-600/80 hover:bg-emerald-600 disabled:opacity-50"
+            >
+              Speichern
+            </button>
+            {serverConfigId && (
+              <button
+                onClick={() => { startNewConfiguration(); setSaveState(null); }}
+                title="Als neue Konfiguration weiterarbeiten"
+                className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/30"
+              >
+                Neu
+              </button>
+            )}
+            {saveState?.message && <span className="text-emerald-300">{saveState.message}</span>}
+            {saveState?.error && <span className="text-red-400">{saveState.error}</span>}
             <label className="flex items-center gap-1">
               <input 
                 type="checkbox" 
@@ -50,35 +85,28 @@ function Configurator() {
         </div>
 
         {/* Presets */}
-        <div className="flex flex-wrap gap-2 text-xs mb-3">
-          {Object.entries(PRESETS).map(([k, p]) => (
-            <button 
-              key={k} 
-              onClick={() => loadPreset(k)} 
-              className={`px-2 py-1 rounded border ${
-                presetKey === k 
-                  ? 'border-emerald-500/70 bg-emerald-600/10'
-                  : 'border-slate-600 hover:bg-slate-700/30'
-              }`}
-            >
-              {getLocalizedPresetLabel(k, t)}
-            </button>
-          ))}
-        </div>
+        <PresetBar />
+
+        {catalogLoading && Object.keys(parts).length === 0 && (
+          <div className="text-sm text-slate-400 mb-3">Teilekatalog wird geladen …</div>
+        )}
+        {catalogError && (
+          <div className="text-sm text-red-400 mb-3">Teilekatalog konnte nicht geladen werden: {catalogError}</div>
+        )}
 
         <div className="grid md:grid-cols-2 gap-3">
-          {Object.entries(PARTS).map(([k, p]) => {
+          {Object.entries(parts).map(([k, p]) => {
             const q = items[k] || 0;
             return (
               <div key={k} className="flex items-start justify-between gap-3 border border-slate-700/60 rounded-xl p-3 bg-[#0b1328]">
                 <div className="min-w-0">
                   <div className="font-medium flex items-center flex-wrap gap-x-1">
-                    {getLocalizedProductName(k, t)}
+                    {getLocalizedProductName(k, t, parts)}
                     {p.tech && <Tooltip label={p.tech}/>}
                   </div>
-                  {getLocalizedProductDescription(k, t) && (
+                  {getLocalizedProductDescription(k, t, parts) && (
                     <div className="text-xs text-slate-400 mt-1">
-                      {getLocalizedProductDescription(k, t)}
+                      {getLocalizedProductDescription(k, t, parts)}
                     </div>
                   )}
                   <a 
@@ -95,6 +123,7 @@ function Configurator() {
                       <input 
                         type="number" 
                         value={Number.isFinite(perMargin[k]) ? perMargin[k] : ""} 
+                        disabled={!canEditPricing}
                         onChange={(e) => {
                           const v = e.target.value === '' ? '' : clamp(Number(e.target.value)||0, 0, 95);
                           setPerMargin((pm) => ({...pm, [k]: v === '' ? undefined : v}));
@@ -116,7 +145,7 @@ function Configurator() {
                     <span className="text-xs text-slate-400">{getLocalizedUnit(p.unit, t)}</span>
                   </div>
                   <div className="text-xs text-slate-400">
-                    EK {currency(p.price)} → VK {currency(retailForPart(k))}
+                    EK {currency(unitCostForPart(k))} → VK {currency(retailForPart(k))}
                   </div>
                 </div>
               </div>
@@ -125,6 +154,8 @@ function Configurator() {
         </div>
       </div>
 
+      <OptimizerPanel />
+
       {/* Bild-/Info-Kacheln */}
       <div className="grid md:grid-cols-2 gap-4">
         <article className="bg-[#0e1630] rounded-2xl p-0 border border-slate-700/60 overflow-hidden">
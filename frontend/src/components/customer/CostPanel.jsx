@@ -1,11 +1,14 @@
 import { useState, useContext, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { ConfiguratorContext } from '../../contexts/ConfiguratorContext';
-import { PARTS, getLocalizedProductName } from '../../utils/data.js';
+import { useCatalog } from '../../contexts/CatalogContext';
+import { getLocalizedProductName } from '../../utils/data.js';
 import { exportCSV, clamp } from '../../utils/helpers.js';
 import useCurrency from '../../hooks/useCurrency.js';
 import useLivePrices from '../../hooks/useLivePrices.js';
+import PriceTrend from '../shared/PriceTrend';
 import { calculateVAT, detectCountryByIP, getVATRateDisplay } from '../../utils/tax.js';
+import { OFFER_PREFERENCES } from '../../hooks/useSupplierBreakdown.js';
 
 function CostPanel() {
   const { t } = useTranslation();
@@ -13,19 +16,27 @@ function CostPanel() {
   const [showVATBreakdown, setShowVATBreakdown] = useState(false);
   const [customerCountry, setCustomerCountry] = useState('DE');
   const [showNetPrices, setShowNetPrices] = useState(false);
+  const [orderMessage, setOrderMessage] = useState(null); // { type: 'success' | 'error', text }
   const {
     items,
     retailTotal,
+    shippingTotal,
     retailForPart,
+    unitCostForPart,
+    offerPreference,
+    setOfferPreference,
+    offerSelection,
     createOrderFromCurrent,
+    powerBudget,
     marginPct,
     setMarginPct,
+    canEditPricing,
     settings,
     setSettings
   } = useContext(ConfiguratorContext);
+  const { parts } = useCatalog();
   
   const { 
-    getLivePrice, 
     loading: livePriceLoading, 
     error: livePriceError,
     refresh: refreshLivePrices,
@@ -34,6 +45,11 @@ function CostPanel() {
     hasLivePrices 
   } = useLivePrices();
 
+  // Angebotsauswahl des Kontexts; Live-Preise und -Verfügbarkeit setzt der Server aus den Preis-Snapshots
+  const liveSelection = offerSelection;
+  const lineFor = (productKey) => liveSelection.lines.find(line => line.partKey === productKey);
+  const hasLiveOfferPrice = (line) => line.livePrice;
+
   // Lade Länderinformation beim Component-Mount
   useEffect(() => {
     detectCountryByIP().then(country => {
@@ -41,49 +57,73 @@ function CostPanel() {
     });
   }, []);
 
+  const powerStatusClass = (status) => ({
+    ok: 'text-emerald-400',
+    warning: 'text-amber-400',
+    overloaded: 'text-red-400',
+    critical: 'text-red-500'
+  }[status] || 'text-slate-400');
+
   const handleExportCSV = () => {
-    exportCSV(items, retailTotal, retailForPart);
+    exportCSV(items, retailTotal, retailForPart, {
+      parts,
+      shippingTotal,
+      linkForPart: (k) => offerSelection.lines.find(line => line.partKey === k)?.link
+    });
   };
   
+  const handleCreateOrder = async () => {
+    setOrderMessage(null);
+    try {
+      const order = await createOrderFromCurrent();
+      if (order) {
+        setOrderMessage({ type: 'success', text: t('sidebar.orderCreated', 'Bestellung {{number}} angelegt – siehe Admin › Bestellungen.', { number: order.orderNumber }) });
+      }
+    } catch (error) {
+      setOrderMessage({ type: 'error', text: t('sidebar.orderFailed', 'Bestellung konnte nicht angelegt werden: {{error}}', { error: error.message }) });
+    }
+  };
+
   // Berechne Retail-Preis mit Live-Preisen (analog zu retailForPart)
   const calculateRetailPrice = (productKey, customPrice = null) => {
-    const basePrice = customPrice !== null ? customPrice : PARTS[productKey]?.price || 0;
+    const basePrice = customPrice !== null ? customPrice : parts[productKey]?.price || 0;
     // Verwende dieselbe Marge-Logik wie in ConfiguratorContext
     return basePrice * (1 + marginPct / 100);
   };
   
-  // Berechne Live-Preise für Gesamtsumme mit MwSt.
+  // Berechne Live-Preise für Gesamtsumme mit MwSt. (inkl. Versand der gewählten Lieferanten)
   const calculateLiveTotal = () => {
-    let liveTotal = 0;
+    let liveTotal = liveSelection.shipping;
     let hasAnyLivePrices = false;
     
-    Object.entries(items).forEach(([productKey, qty]) => {
-      if (!qty) return;
-      
-      const livePrice = getLivePrice(productKey);
-      const staticPrice = PARTS[productKey]?.price || 0;
-      const price = livePrice !== null ? livePrice : staticPrice;
-      
-      if (livePrice !== null) {
+    liveSelection.lines.forEach(line => {
+      if (hasLiveOfferPrice(line)) {
         hasAnyLivePrices = true;
       }
       
       // Berechne mit Marge
-      const retailPrice = calculateRetailPrice(productKey, price);
-      liveTotal += retailPrice * qty;
+      const retailPrice = calculateRetailPrice(line.partKey, line.unitPrice);
+      liveTotal += retailPrice * line.quantity;
     });
     
     return { total: liveTotal, hasLivePrices: hasAnyLivePrices };
   };
 
+  // Verkaufspreis je Lieferant (Positionen mit Marge) für die Lieferanten-Übersicht
+  const supplierRetailSubtotal = (group) => group.lines.reduce((sum, productKey) => {
+    const line = lineFor(productKey);
+    return sum + calculateRetailPrice(productKey, line.unitPrice) * line.quantity;
+  }, 0);
+
   // Berechne MwSt.-Details für Gesamtsumme
   const calculateTaxDetails = (netTotal) => {
     return calculateVAT(netTotal, customerCountry);
   };
   
   const { total: liveTotal, hasLivePrices: hasAnyItemLivePrices } = calculateLiveTotal();
-  const displayTotal = hasAnyItemLivePrices ? liveTotal : retailTotal;
-  const totalDifference = hasAnyItemLivePrices ? liveTotal - retailTotal : 0;
+  const staticTotal = retailTotal + shippingTotal;
+  const displayTotal = hasAnyItemLivePrices ? liveTotal : staticTotal;
+  const totalDifference = hasAnyItemLivePrices ? liveTotal - staticTotal : 0;
   
   // MwSt.-Berechnung für Anzeige
   const taxDetails = calculateTaxDetails(displayTotal);
@@ -92,16 +132,31 @@ function CostPanel() {
   return (
     <aside data-testid="cost-panel" className="space-y-4">
       <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60 shadow-lg">
-        <h2 className="text-xl font-semibold">{t('sidebar.costOverview')}</h2>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-xl font-semibold">{t('sidebar.costOverview')}</h2>
+          <div className="flex rounded-lg border border-slate-600 overflow-hidden text-xs" title={t('sidebar.suppliers.preference', 'Angebotsauswahl')}>
+            {Object.values(OFFER_PREFERENCES).map(preference => (
+              <button
+                key={preference}
+                onClick={() => setOfferPreference(preference)}
+                className={`px-2 py-1 transition-colors ${
+                  offerPreference === preference ? 'bg-sky-600/30 text-sky-200' : 'hover:bg-slate-700'
+                }`}
+              >
+                {t(`sidebar.suppliers.${preference}`, preference === OFFER_PREFERENCES.FASTEST ? 'Schnellste' : 'Günstigste')}
+              </button>
+            ))}
+          </div>
+        </div>
         <div className="mt-3 divide-y divide-slate-700/60">
           {Object.entries(items).map(([k, qty]) => {
-            const p = PARTS[k];
-            if (!qty) return null;
+            const line = lineFor(k);
+            if (!qty || !line) return null;
             
-            const livePrice = getLivePrice(k);
-            const staticPrice = p.price;
-            const displayPrice = livePrice !== null ? livePrice : staticPrice;
-            const hasLivePrice = livePrice !== null && isOnline;
+            const staticPrice = unitCostForPart(k);
+            const displayPrice = line.unitPrice;
+            const hasLivePrice = hasLiveOfferPrice(line) && isOnline;
+            const livePrice = hasLivePrice ? line.unitPrice : null;
             const priceChange = hasLivePrice ? ((livePrice - staticPrice) / staticPrice * 100) : null;
             const timeSinceUpdate = getTimeSinceUpdate(k);
             
@@ -109,7 +164,7 @@ function CostPanel() {
               <div key={k} className="py-2 flex items-center justify-between gap-3">
                 <div>
                   <div className="text-sm flex items-center gap-2">
-                    {getLocalizedProductName(k, t)}
+                    {getLocalizedProductName(k, t, parts)}
                     {hasLivePrice && (
                       <span className="inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-emerald-500/20 text-emerald-300 border border-emerald-500/30">
                         LIVE
@@ -130,7 +185,7 @@ function CostPanel() {
                     )}
                     • 
                     <a 
-                      href={p.link} 
+                      href={line.link} 
                       target="_blank" 
                       rel="noopener noreferrer" 
                       className="text-indigo-300 hover:underline"
@@ -138,11 +193,15 @@ function CostPanel() {
                       {t('common.productLink')}
                     </a>
                   </div>
+                  <div data-testid="line-supplier" className="text-xs text-slate-500">
+                    {line.supplier} • {t('sidebar.suppliers.leadTime', '{{days}} Tage', { days: line.leadTimeDays })}
+                  </div>
                   {hasLivePrice && Math.abs(livePrice - staticPrice) > 0.01 && (
                     <div className="text-xs text-slate-500 mt-1">
                       {t('sidebar.staticPrice', 'Basis')}: {qty} × {formatCurrencySync(staticPrice)}
                     </div>
                   )}
+                  <PriceTrend productKey={k} compact className="mt-1" />
                 </div>
                 <div className="text-right">
                   <div className="font-medium">
@@ -158,6 +217,36 @@ function CostPanel() {
             );
           })}
         </div>
+
+        {/* Zwischensumme und Versand je Lieferant */}
+        {liveSelection.suppliers.length > 0 && (
+          <div data-testid="supplier-breakdown" className="mt-4 p-3 rounded-xl bg-[#0b1328] border border-slate-700/60 text-xs space-y-2">
+            <div className="text-slate-300 font-medium">{t('sidebar.suppliers.title', 'Lieferanten')}</div>
+            {liveSelection.suppliers.map(group => (
+              <div key={group.supplier} className="flex items-start justify-between gap-3 text-slate-400">
+                <div>
+                  <div className="text-slate-300">{group.supplier}</div>
+                  <div>
+                    {t('sidebar.suppliers.positions', '{{count}} Pos.', { count: group.lines.length })}
+                    {' • '}{t('sidebar.suppliers.leadTime', '{{days}} Tage', { days: group.leadTimeDays })}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div>{t('sidebar.suppliers.subtotal', 'Zwischensumme')}: {formatCurrencySync(supplierRetailSubtotal(group))}</div>
+                  <div>{t('sidebar.suppliers.shipping', 'Versand')}: {formatCurrencySync(group.shipping)}</div>
+                </div>
+              </div>
+            ))}
+            <div className="flex items-center justify-between border-t border-slate-700/60 pt-2 text-slate-300">
+              <span>{t('sidebar.suppliers.shippingTotal', 'Versand gesamt')}</span>
+              <span>{formatCurrencySync(liveSelection.shipping)}</span>
+            </div>
+            <div className="flex items-center justify-between text-slate-400">
+              <span>{t('sidebar.suppliers.deliveryTime', 'Lieferzeit (längste)')}</span>
+              <span>{t('sidebar.suppliers.leadTime', '{{days}} Tage', { days: liveSelection.leadTimeDays })}</span>
+            </div>
+          </div>
+        )}
         
         <div className="mt-4">
           <div className="p-3 rounded-xl bg-[#0b1328] border border-slate-700/60">
@@ -231,7 +320,7 @@ function CostPanel() {
                 }`}>
                   {totalDifference > 0 ? '+' : ''}{formatCurrencySync(totalDifference)}
                   <span className="text-xs text-slate-400 ml-1">
-                    ({((totalDifference / retailTotal) * 100).toFixed(1)}%)
+                    ({((totalDifference / staticTotal) * 100).toFixed(1)}%)
                   </span>
                 </div>
               )}
@@ -239,7 +328,7 @@ function CostPanel() {
               {/* Basis-Preis bei Live-Preisen */}
               {hasAnyItemLivePrices && (
                 <div className="text-xs text-slate-500 mt-1">
-                  {t('sidebar.staticTotal', 'Basis')}: {formatCurrencySync(retailTotal)}
+                  {t('sidebar.staticTotal', 'Basis')}: {formatCurrencySync(staticTotal)}
                 </div>
               )}
               
@@ -306,6 +395,41 @@ function CostPanel() {
           </div>
         </div>
         
+        {/* Power-Budget je Versorgungsschiene */}
+        {Object.keys(powerBudget.rails).length > 0 && (
+          <div data-testid="power-budget" className="mt-4 p-3 rounded-xl bg-[#0b1328] border border-slate-700/60 text-xs space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-slate-300 font-medium">{t('sidebar.power.title', 'Power-Budget')}</span>
+              <span className={`font-medium ${powerStatusClass(powerBudget.status)}`}>
+                {t(`sidebar.power.status.${powerBudget.status}`, powerBudget.status)}
+              </span>
+            </div>
+            {Object.values(powerBudget.rails).map(rail => (
+              <div key={rail.rail} className="flex items-center justify-between text-slate-400">
+                <span>{t(`sidebar.power.rails.${rail.rail}`, rail.rail)}</span>
+                <span className={powerStatusClass(rail.status)}>
+                  Ø {rail.averageCurrent ?? '–'} A • {t('sidebar.power.peak', 'Spitze')} {rail.peakCurrent ?? '–'} A / {rail.capacity} A
+                </span>
+              </div>
+            ))}
+            {powerBudget.batteries.map(battery => battery.runtimeMinutes !== null && (
+              <div key={battery.partKey} className="flex items-center justify-between text-slate-400">
+                <span>{t('sidebar.power.runtime', 'Akkulaufzeit')}</span>
+                <span>~{battery.runtimeMinutes} min</span>
+              </div>
+            ))}
+            {powerBudget.issues.length > 0 && (
+              <ul className="space-y-1 border-t border-slate-700/60 pt-2">
+                {powerBudget.issues.map((issue, index) => (
+                  <li key={`${issue.code}-${index}`} className={issue.severity === 'error' ? 'text-red-400' : 'text-amber-400'}>
+                    {t(`sidebar.power.issues.${issue.code}`, { ...issue.details, rail: t(`sidebar.power.rails.${issue.rail}`, issue.rail), defaultValue: issue.message })}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         <div className="mt-3 flex gap-2">
           <button 
             onClick={handleExportCSV} 
@@ -314,12 +438,23 @@ function CostPanel() {
             {t('sidebar.exportBOM')}
           </button>
           <button 
-            onClick={createOrderFromCurrent} 
-            className="rounded-xl px-3 py-2 text-sm border border-sky-500/60 hover:bg-sky-600/10"
+            onClick={handleCreateOrder} 
+            disabled={powerBudget.blocking}
+            className="rounded-xl px-3 py-2 text-sm border border-sky-500/60 hover:bg-sky-600/10 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {t('sidebar.createOrder')}
           </button>
         </div>
+        {orderMessage && (
+          <p className={`text-xs mt-2 ${orderMessage.type === 'error' ? 'text-red-400' : 'text-emerald-300'}`}>
+            {orderMessage.text}
+          </p>
+        )}
+        {powerBudget.blocking && (
+          <p className="text-xs text-red-400 mt-2">
+            {t('sidebar.power.checkoutBlocked', 'Versorgung stark überlastet – Bestellung erst nach Anpassung von Reglern oder Akku möglich.')}
+          </p>
+        )}
         <div className="text-xs text-slate-400 mt-2 space-y-1">
           <p>{t('sidebar.excludesShipping')}</p>
           <p className="flex items-center gap-1">
@@ -339,6 +474,7 @@ function CostPanel() {
             <input 
               type="number" 
               value={marginPct} 
+              disabled={!canEditPricing}
               onChange={(e) => setMarginPct(clamp(Number(e.target.value)||0, 0, 95))} 
               className="w-20 bg-slate-900 border border-slate-600 rounded px-2 py-1"
             />
@@ -1,15 +1,17 @@
 import { useRef, useState } from 'react';
-import { PARTS, GUIDES } from '../../utils/data.js';
+import { useCatalog } from '../../contexts/CatalogContext';
+import { GUIDES } from '../../utils/data.js';
 
 function GuidesCompiler({ items }) {
+  const { parts } = useCatalog();
   const [text, setText] = useState("");
   const synthRef = useRef(null);
 
   const compile = () => {
     const lines = ["Gesamt‑Anleitung für deine aktuelle Konfiguration:", ""]; 
     Object.entries(items).forEach(([k, q]) => {
-      if(!q) return;
-      const p = PARTS[k];
+      const p = parts[k];
+      if(!q || !p) return;
       const g = GUIDES[k] || "Siehe Hersteller‑Doku.";
       lines.push(`• ${p.name} (×${q}): ${g}`);
     });
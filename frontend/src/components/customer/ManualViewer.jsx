@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
 import { ChevronLeftIcon, ChevronRightIcon, PrinterIcon, DocumentDownloadIcon } from '@heroicons/react/outline';
 import { CheckCircleIcon, ExclamationIcon, ClockIcon } from '@heroicons/react/solid';
 
@@ -9,9 +10,12 @@ import { CheckCircleIcon, ExclamationIcon, ClockIcon } from '@heroicons/react/so
  * - Schritt-für-Schritt Navigation
  * - Progress Tracking
  * - Print-freundliches Layout
- * - Export-Funktionalität
+ * - Export-Funktionalität (gespeicherte Anleitung)
+ * - Anleitung in der eingestellten Sprache (Fallback Deutsch)
  */
 const ManualViewer = ({ configuration, onClose }) => {
+  const { i18n } = useTranslation();
+  const language = i18n.resolvedLanguage || 'de';
   const [manual, setManual] = useState(null);
   const [currentStep, setCurrentStep] = useState(0);
   const [completedSteps, setCompletedSteps] = useState(new Set());
@@ -21,7 +25,7 @@ const ManualViewer = ({ configuration, onClose }) => {
 
   useEffect(() => {
     generateManual();
-  }, [configuration]);
+  }, [configuration, language]);
 
   const generateManual = async () => {
     try {
@@ -31,7 +35,7 @@ const ManualViewer = ({ configuration, onClose }) => {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ configuration })
+        body: JSON.stringify({ configuration, language })
       });
 
       if (!response.ok) {
@@ -67,7 +71,15 @@ const ManualViewer = ({ configuration, onClose }) => {
 
   const exportManual = async (format) => {
     try {
-      const response = await fetch(`/api/manual/export/${manual.id}?format=${format}`);
+      // Die gespeicherte Anleitung wird exportiert, in der Sprache, in der sie erzeugt wurde
+      // Anleitungen privater Konfigurationen und von Bestellungen nur mit Anmeldung
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/manual/export/${manual.id}?format=${format}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
       
       if (format === 'json') {
         const data = await response.json();
@@ -522,7 +534,7 @@ const PrintView = ({ manual, onClose }) => {
         <div className="text-center mb-8">
           <h1 className="text-3xl font-bold">{manual.metadata.title}</h1>
           <p className="text-gray-600 mt-2">
-            Generiert am {new Date(manual.metadata.generated).toLocaleDateString('de-DE')}
+            Generiert am {new Date(manual.metadata.generated).toLocaleDateString('de-DE')} | Version {manual.version}
           </p>
           <p className="text-gray-600">
             Geschätzte Zeit: {manual.metadata.estimatedTime.formatted.display} | 
@@ -0,0 +1,157 @@
+import { useContext, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { ConfiguratorContext } from '../../contexts/ConfiguratorContext';
+import { configAPI } from '../../utils/api.js';
+import { currency } from '../../utils/helpers.js';
+
+const DIFFICULTY_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+
+/**
+ * OptimizerPanel - Sucht günstigere, schnellere oder einfachere Alternativen zur aktuellen Stückliste
+ * Die Stückliste wird dafür serverseitig gespeichert und über /api/configurations/:id/optimize bewertet
+ */
+function OptimizerPanel() {
+  const { t } = useTranslation();
+  const { setItems, syncConfiguration } = useContext(ConfiguratorContext);
+
+  const [budget, setBudget] = useState('');
+  const [timeLimitHours, setTimeLimitHours] = useState('');
+  const [difficultyLevel, setDifficultyLevel] = useState('');
+  const [optimization, setOptimization] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runOptimization = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const configId = await syncConfiguration();
+      const goals = {
+        ...(budget !== '' && { budget: Number(budget) }),
+        ...(timeLimitHours !== '' && { timeLimit: Math.round(Number(timeLimitHours) * 60) }),
+        ...(difficultyLevel && { difficultyLevel })
+      };
+      const { data } = await configAPI.optimizeConfiguration(configId, goals);
+      setOptimization(data.optimization);
+    } catch (err) {
+      console.error('Optimization error:', err);
+      setError(t('optimizer.error', 'Optimierung fehlgeschlagen – ist das Backend erreichbar?'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const describeChange = (change) => change.type === 'substitute'
+    ? t('optimizer.changes.substitute', '{{quantity}}× {{from}} → {{to}}', change)
+    : t('optimizer.changes.quantity', '{{partKey}}: {{from}} → {{to}} Stk.', change);
+
+  const formatMinutes = (minutes) => {
+    const sign = minutes > 0 ? '+' : minutes < 0 ? '−' : '±';
+    return `${sign}${Math.abs(minutes)} min`;
+  };
+
+  return (
+    <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60 shadow-lg">
+      <h2 className="text-xl font-semibold mb-3">{t('optimizer.title', 'Optimierung')}</h2>
+
+      <div className="grid sm:grid-cols-4 gap-2 text-sm items-end">
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-slate-400">{t('optimizer.budget', 'Budget (€)')}</span>
+          <input
+            type="number"
+            min="0"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            className="bg-slate-900 border border-slate-600 rounded-lg px-2 py-1"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-slate-400">{t('optimizer.timeLimit', 'Zeitlimit (h)')}</span>
+          <input
+            type="number"
+            min="0"
+            value={timeLimitHours}
+            onChange={(e) => setTimeLimitHours(e.target.value)}
+            className="bg-slate-900 border border-slate-600 rounded-lg px-2 py-1"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-slate-400">{t('optimizer.difficulty', 'Max. Schwierigkeit')}</span>
+          <select
+            value={difficultyLevel}
+            onChange={(e) => setDifficultyLevel(e.target.value)}
+            className="bg-slate-900 border border-slate-600 rounded-lg px-2 py-1"
+          >
+            <option value="">{t('optimizer.anyDifficulty', 'Beliebig')}</option>
+            {DIFFICULTY_LEVELS.map(level => (
+              <option key={level} value={level}>{t(`optimizer.difficultyLevels.${level}`, level)}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={runOptimization}
+          disabled={loading}
+          className="rounded-xl px-3 py-2 text-sm border border-emerald-500/60 hover:bg-emerald-600/10 disabled:opacity-50"
+        >
+          {loading ? t('optimizer.running', 'Suche…') : t('optimizer.run', 'Alternativen suchen')}
+        </button>
+      </div>
+
+      {error && <p className="text-xs text-red-400 mt-3">{error}</p>}
+
+      {optimization && (
+        <div className="mt-4 space-y-2">
+          <div className="text-xs text-slate-400">
+            {t('optimizer.baseline', 'Aktuell: {{price}}, {{minutes}} min Montage', {
+              price: currency(optimization.baseline.price),
+              minutes: optimization.baseline.minutes
+            })}
+          </div>
+
+          {optimization.suggestions.length === 0 && (
+            <p className="text-sm text-slate-400">{t('optimizer.noAlternatives', 'Keine Alternativen gefunden.')}</p>
+          )}
+
+          {optimization.suggestions.map(alternative => (
+            <div
+              key={alternative.rank}
+              className="flex items-start justify-between gap-3 border border-slate-700/60 rounded-xl p-3 bg-[#0b1328]"
+            >
+              <div className="min-w-0 text-sm">
+                <div className="font-medium">
+                  #{alternative.rank} {alternative.changes.map(describeChange).join(', ')}
+                </div>
+                <div className="text-xs text-slate-400 mt-1 flex flex-wrap gap-x-3">
+                  <span className={alternative.savings >= 0 ? 'text-emerald-400' : 'text-amber-400'}>
+                    {alternative.savings >= 0
+                      ? t('optimizer.savings', 'spart {{amount}}', { amount: currency(alternative.savings) })
+                      : t('optimizer.extraCost', 'kostet {{amount}} mehr', { amount: currency(-alternative.savings) })}
+                  </span>
+                  <span>{formatMinutes(alternative.timeDelta)}</span>
+                  {alternative.difficulty && <span>{t(`optimizer.difficultyLevels.${alternative.difficulty}`, alternative.difficulty)}</span>}
+                </div>
+                {alternative.violations.length > 0 && (
+                  <ul className="text-xs text-red-400 mt-1 space-y-0.5">
+                    {alternative.violations.map((violation, index) => (
+                      <li key={`${violation.code}-${index}`}>
+                        {t(`optimizer.violations.${violation.code}`, { ...violation.details, defaultValue: violation.message })}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <button
+                onClick={() => setItems({ ...alternative.items })}
+                className="shrink-0 rounded-lg px-2 py-1 text-xs border border-sky-500/60 hover:bg-sky-600/10"
+              >
+                {t('optimizer.apply', 'Übernehmen')}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OptimizerPanel;
@@ -0,0 +1,230 @@
+import { useContext, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
+import { ConfiguratorContext } from '../../contexts/ConfiguratorContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { getLocalizedPresetLabel, getLocalizedPresetDescription } from '../../utils/data.js';
+
+const GROUPS = [
+  { scope: 'BUILT_IN', title: 'Mitgeliefert' },
+  { scope: 'TEAM', title: 'Team' },
+  { scope: 'PERSONAL', title: 'Meine Presets' }
+];
+
+// Tags aus einer kommagetrennten Eingabe
+const parseTags = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean);
+
+/**
+ * PresetBar - Preset-Leiste des Konfigurators: mitgelieferte, Team- und persönliche Presets,
+ * Suche nach Tag und DOF, aktuelle Stückliste als eigenes Preset speichern und per Link teilen
+ */
+function PresetBar() {
+  const { t, i18n } = useTranslation('products');
+  const { isAuthenticated } = useAuth();
+  const {
+    presetKey,
+    applyPreset,
+    presets,
+    presetTags,
+    presetFilters, setPresetFilters,
+    presetsError,
+    savePreset,
+    deletePreset,
+    sharePreset,
+    loadSharedPreset,
+    items
+  } = useContext(ConfiguratorContext);
+  const [searchParams] = useSearchParams();
+  const [saveForm, setSaveForm] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Geteilter Link: /configurator?preset=<id>
+  const sharedId = searchParams.get('preset');
+  useEffect(() => {
+    if (!sharedId) return;
+    loadSharedPreset(sharedId)
+      .then(preset => setMessage(`Preset „${preset.label}“ geladen.`))
+      .catch(e => setError(e.status === 404 ? 'Das geteilte Preset gibt es nicht oder es ist nicht mehr freigegeben.' : e.message));
+  }, [sharedId]);
+
+  const runAction = async (action, fallback) => {
+    setBusy(true);
+    try {
+      setError(null);
+      await action();
+    } catch (e) {
+      setError(e.message || fallback);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setFilter = (field) => (e) => setPresetFilters(prev => ({ ...prev, [field]: e.target.value }));
+
+  const save = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const preset = await savePreset({ label: saveForm.label.trim(), tags: parseTags(saveForm.tags) });
+      setSaveForm(null);
+      setMessage(`Preset „${preset.label}“ gespeichert.`);
+    }, 'Preset konnte nicht gespeichert werden');
+  };
+
+  const share = (preset) => runAction(async () => {
+    const link = await sharePreset(preset.id);
+    try {
+      await navigator.clipboard.writeText(link);
+      setMessage(`Link kopiert: ${link}`);
+    } catch {
+      setMessage(`Link: ${link}`);
+    }
+  }, 'Preset konnte nicht freigegeben werden');
+
+  const remove = (preset) => {
+    if (!window.confirm(`Preset „${preset.label}“ löschen?`)) return;
+    runAction(async () => {
+      await deletePreset(preset.id);
+      setMessage(`Preset „${preset.label}“ gelöscht.`);
+    }, 'Preset konnte nicht gelöscht werden');
+  };
+
+  const hasItems = Object.values(items).some(q => q > 0);
+
+  return (
+    <div className="mb-3 space-y-2 text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={presetFilters.search || ''}
+          onChange={setFilter('search')}
+          placeholder="Presets suchen"
+          className="px-2 py-1 rounded bg-[#0b1328] border border-slate-600"
+        />
+        <select
+          value={presetFilters.tag || ''}
+          onChange={setFilter('tag')}
+          className="px-2 py-1 rounded bg-[#0b1328] border border-slate-600"
+        >
+          <option value="">Alle Tags</option>
+          {presetTags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+        </select>
+        <label className="flex items-center gap-1 text-slate-400">
+          DOF
+          <input
+            type="number"
+            min="0"
+            value={presetFilters.minDof || ''}
+            onChange={setFilter('minDof')}
+            placeholder="min"
+            className="w-14 px-1 py-1 rounded bg-[#0b1328] border border-slate-600"
+          />
+          –
+          <input
+            type="number"
+            min="0"
+            value={presetFilters.maxDof || ''}
+            onChange={setFilter('maxDof')}
+            placeholder="max"
+            className="w-14 px-1 py-1 rounded bg-[#0b1328] border border-slate-600"
+          />
+        </label>
+      </div>
+
+      {GROUPS.map(({ scope, title }) => {
+        const group = presets.filter(preset => preset.scope === scope);
+        if (group.length === 0) return null;
+        return (
+          <div key={scope} className="flex flex-wrap items-center gap-2">
+            <span className="text-slate-400 w-24 shrink-0">{title}</span>
+            {group.map(preset => (
+              <span key={preset.id} className="inline-flex items-center gap-1">
+                <button
+                  onClick={() => applyPreset(preset)}
+                  title={getLocalizedPresetDescription(preset, t, i18n.language)}
+                  className={`px-2 py-1 rounded border ${
+                    presetKey === preset.id
+                      ? 'border-emerald-500/70 bg-emerald-600/10'
+                      : 'border-slate-600 hover:bg-slate-700/30'
+                  }`}
+                >
+                  {getLocalizedPresetLabel(preset, t, i18n.language)}
+                  <span className="ml-1 text-slate-400">· {preset.dof} DOF</span>
+                </button>
+                {scope === 'PERSONAL' && (
+                  <>
+                    <button
+                      onClick={() => share(preset)}
+                      disabled={busy}
+                      title={preset.isPublic ? 'Freigegeben – Link kopieren' : 'Freigeben und Link kopieren'}
+                      className="px-1.5 py-1 rounded border border-slate-600 hover:bg-slate-700/30 disabled:opacity-50"
+                    >
+                      {preset.isPublic ? '🔗' : 'Teilen'}
+                    </button>
+                    <button
+                      onClick={() => remove(preset)}
+                      disabled={busy}
+                      title="Preset löschen"
+                      className="px-1.5 py-1 rounded border border-slate-600 text-red-300 hover:bg-red-600/10 disabled:opacity-50"
+                    >
+                      ×
+                    </button>
+                  </>
+                )}
+              </span>
+            ))}
+          </div>
+        );
+      })}
+
+      {presets.length === 0 && !presetsError && (
+        <div className="text-slate-400">Keine Presets für diese Suche.</div>
+      )}
+
+      {isAuthenticated ? (
+        saveForm ? (
+          <form onSubmit={save} className="flex flex-wrap items-center gap-2">
+            <input
+              value={saveForm.label}
+              onChange={(e) => setSaveForm(prev => ({ ...prev, label: e.target.value }))}
+              placeholder="Name des Presets"
+              required
+              className="px-2 py-1 rounded bg-[#0b1328] border border-slate-600"
+            />
+            <input
+              value={saveForm.tags}
+              onChange={(e) => setSaveForm(prev => ({ ...prev, tags: e.target.value }))}
+              placeholder="Tags, kommagetrennt"
+              className="px-2 py-1 rounded bg-[#0b1328] border border-slate-600"
+            />
+            <button
+              type="submit"
+              disabled={busy || !saveForm.label.trim()}
+              className="px-2 py-1 rounded bg-emerald-600/80 hover:bg-emerald-600 disabled:opacity-50"
+            >
+              Speichern
+            </button>
+            <button type="button" onClick={() => setSaveForm(null)} className="px-2 py-1 rounded border border-slate-600">
+              Abbrechen
+            </button>
+          </form>
+        ) : (
+          <button
+            onClick={() => { setSaveForm({ label: '', tags: '' }); setMessage(null); }}
+            disabled={!hasItems}
+            className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/30 disabled:opacity-50"
+          >
+            + Aktuelle Stückliste als Preset speichern
+          </button>
+        )
+      ) : (
+        <div className="text-slate-400">Anmelden, um eigene Presets zu speichern.</div>
+      )}
+
+      {message && <div className="text-emerald-300 break-all">{message}</div>}
+      {(error || presetsError) && <div className="text-red-400">{error || `Presets konnten nicht geladen werden: ${presetsError}`}</div>}
+    </div>
+  );
+}
+
+export default PresetBar;
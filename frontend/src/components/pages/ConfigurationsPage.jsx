@@ -1,18 +1,474 @@
+import { useCallback, useContext, useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
+import { useNavigate } from 'react-router-dom';
+import { ConfiguratorContext } from '../../contexts/ConfiguratorContext';
+import { configAPI } from '../../utils/api';
+import { currency } from '../../utils/helpers.js';
 
+const formatDate = (value) => new Date(value).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
+
+const signed = (value, format = String) => `${value > 0 ? '+' : value < 0 ? '−' : '±'}${format(Math.abs(value))}`;
+
+/**
+ * RevisionDiff - Unterschiede zwischen zwei Revisionen: neue und entfernte Teile, Mengen- und Preisänderungen
+ */
+function RevisionDiff({ diff }) {
+  const nothingChanged = diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+
+  return (
+    <div className="mt-3 text-sm space-y-2">
+      <div className="flex flex-wrap gap-4 text-xs text-slate-300">
+        <span>Version {diff.from.revision} → {diff.to.revision}</span>
+        <span>{currency(diff.from.totalPrice)} → {currency(diff.to.totalPrice)}</span>
+        <span className={diff.priceDelta > 0 ? 'text-amber-300' : diff.priceDelta < 0 ? 'text-emerald-300' : ''}>
+          Differenz {signed(diff.priceDelta, currency)}
+        </span>
+        {diff.renamed && <span>Umbenannt: „{diff.renamed.from}“ → „{diff.renamed.to}“</span>}
+      </div>
+
+      {nothingChanged ? (
+        <div className="text-xs text-slate-400">Stückliste unverändert.</div>
+      ) : (
+        <table className="w-full text-xs">
+          <thead className="text-slate-400 text-left">
+            <tr>
+              <th className="py-1">Teil</th>
+              <th className="py-1">Menge</th>
+              <th className="py-1">Stückpreis</th>
+              <th className="py-1 text-right">Summe</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.added.map(line => (
+              <tr key={`added-${line.key}`} className="border-t border-slate-700/60 text-emerald-300">
+                <td className="py-1">+ {line.name}</td>
+                <td className="py-1">{line.quantity}</td>
+                <td className="py-1">{currency(line.price)}</td>
+                <td className="py-1 text-right">{signed(line.total, currency)}</td>
+              </tr>
+            ))}
+            {diff.removed.map(line => (
+              <tr key={`removed-${line.key}`} className="border-t border-slate-700/60 text-red-300">
+                <td className="py-1">− {line.name}</td>
+                <td className="py-1">{line.quantity}</td>
+                <td className="py-1">{currency(line.price)}</td>
+                <td className="py-1 text-right">{signed(-line.total, currency)}</td>
+              </tr>
+            ))}
+            {diff.changed.map(line => (
+              <tr key={`changed-${line.key}`} className="border-t border-slate-700/60 text-sky-300">
+                <td className="py-1">~ {line.name}</td>
+                <td className="py-1">
+                  {line.fromQuantity} → {line.toQuantity}
+                  {line.quantityDelta !== 0 && <span className="text-slate-400"> ({signed(line.quantityDelta)})</span>}
+                </td>
+                <td className="py-1">
+                  {line.fromPrice === line.toPrice ? currency(line.toPrice) : `${currency(line.fromPrice)} → ${currency(line.toPrice)}`}
+                </td>
+                <td className="py-1 text-right">{signed(line.totalDelta, currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {diff.unchanged > 0 && <div className="text-xs text-slate-400">{diff.unchanged} Teile unverändert.</div>}
+    </div>
+  );
+}
+
+/**
+ * RevisionHistory - Versionsverlauf einer Konfiguration; zwei beliebige Revisionen vergleichen oder eine öffnen
+ */
+function RevisionHistory({ configuration, onOpenRevision }) {
+  const [revisions, setRevisions] = useState([]);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    configAPI.getRevisions(configuration.id)
+      .then(({ data }) => {
+        setRevisions(data.revisions);
+        const [latest, previous] = data.revisions;
+        setRange({ from: previous?.revision ?? '', to: latest?.revision ?? '' });
+      })
+      .catch(e => setError(e.message || 'Versionen konnten nicht geladen werden'))
+      .finally(() => setLoading(false));
+  }, [configuration.id]);
+
+  const compare = async () => {
+    try {
+      setError(null);
+      const { data } = await configAPI.compareRevisions(configuration.id, { from: range.from, to: range.to });
+      setDiff(data.diff);
+    } catch (e) {
+      setError(e.message || 'Vergleich fehlgeschlagen');
+    }
+  };
+
+  if (loading) return <div className="text-xs text-slate-400 mt-3">Lade Versionen …</div>;
+
+  return (
+    <div className="mt-3 border-t border-slate-700/60 pt-3">
+      <table className="w-full text-xs">
+        <thead className="text-slate-400 text-left">
+          <tr>
+            <th className="py-1">Version</th>
+            <th className="py-1">Gespeichert</th>
+            <th className="py-1">Name</th>
+            <th className="py-1">Teile</th>
+            <th className="py-1 text-right">Summe</th>
+            <th className="py-1"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {revisions.map(revision => (
+            <tr key={revision.id} className="border-t border-slate-700/60">
+              <td className="py-1">{revision.revision}</td>
+              <td className="py-1">{formatDate(revision.createdAt)}</td>
+              <td className="py-1">{revision.name}</td>
+              <td className="py-1">{revision.itemCount} ({revision.partCount} Positionen)</td>
+              <td className="py-1 text-right">{currency(revision.totalPrice)}</td>
+              <td className="py-1 text-right">
+                <button
+                  onClick={() => onOpenRevision(configuration, revision.revision)}
+                  className="px-2 py-0.5 rounded border border-slate-600 hover:bg-slate-700/30"
+                >
+                  Öffnen
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {revisions.length > 1 && (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+          <span className="text-slate-400">Vergleichen:</span>
+          {['from', 'to'].map(field => (
+            <select
+              key={field}
+              value={range[field]}
+              onChange={(e) => setRange(prev => ({ ...prev, [field]: Number(e.target.value) }))}
+              className="px-2 py-1 rounded bg-[#0b1328] border border-slate-600"
+            >
+              {revisions.map(revision => (
+                <option key={revision.revision} value={revision.revision}>Version {revision.revision}</option>
+              ))}
+            </select>
+          ))}
+          <button onClick={compare} className="px-2 py-1 rounded bg-indigo-600/80 hover:bg-indigo-600">
+            Unterschiede anzeigen
+          </button>
+        </div>
+      )}
+
+      {error && <div className="text-xs text-red-400 mt-2">{error}</div>}
+      {diff && <RevisionDiff diff={diff} />}
+    </div>
+  );
+}
+
+const EXPIRY_OPTIONS = [
+  { days: '', label: 'Unbefristet' },
+  { days: '7', label: '7 Tage' },
+  { days: '30', label: '30 Tage' },
+  { days: '90', label: '90 Tage' },
+];
+
+const SHARE_STATUS_LABELS = {
+  active: { text: 'Aktiv', className: 'bg-emerald-600/20 text-emerald-300' },
+  expired: { text: 'Abgelaufen', className: 'bg-slate-600/20 text-slate-300' },
+  revoked: { text: 'Widerrufen', className: 'bg-red-600/20 text-red-300' },
+};
+
+const shareUrl = (share) => `${window.location.origin}/share/${share.slug}`;
+
+/**
+ * SharePanel - Freigabelinks einer Konfiguration: erstellen (optional befristet), kopieren, widerrufen;
+ * Aufrufe über die Links zählen für die beliebten Konfigurationen
+ */
+function SharePanel({ configuration }) {
+  const [shares, setShares] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const fetchShares = useCallback(async () => {
+    try {
+      const { data } = await configAPI.getShareLinks(configuration.id);
+      setShares(data.shares);
+    } catch (e) {
+      setError(e.message || 'Links konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, [configuration.id]);
+
+  useEffect(() => {
+    fetchShares();
+  }, [fetchShares]);
+
+  const runAction = async (action, fallback) => {
+    setBusy(true);
+    try {
+      setError(null);
+      await action();
+    } catch (e) {
+      setError(e.message || fallback);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share));
+      setMessage(`Link kopiert: ${shareUrl(share)}`);
+    } catch {
+      setMessage(`Link: ${shareUrl(share)}`);
+    }
+  };
+
+  const create = () => runAction(async () => {
+    const { data } = await configAPI.createShareLink(
+      configuration.id,
+      expiresInDays ? { expiresInDays: Number(expiresInDays) } : {}
+    );
+    await fetchShares();
+    await copyLink(data.share);
+  }, 'Link konnte nicht erstellt werden');
+
+  const revoke = (share) => {
+    if (!window.confirm('Link widerrufen? Wer ihn hat, kann die Konfiguration danach nicht mehr sehen.')) return;
+    runAction(async () => {
+      await configAPI.revokeShareLink(configuration.id, share.id);
+      setMessage('Link widerrufen.');
+      await fetchShares();
+    }, 'Link konnte nicht widerrufen werden');
+  };
+
+  if (loading) return <div className="text-xs text-slate-400 mt-3">Lade Links …</div>;
+
+  return (
+    <div className="mt-3 border-t border-slate-700/60 pt-3 text-xs space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-slate-400">Neuer Link:</span>
+        <select
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+          className="px-2 py-1 rounded bg-[#0b1328] border border-slate-600"
+        >
+          {EXPIRY_OPTIONS.map(option => <option key={option.label} value={option.days}>{option.label}</option>)}
+        </select>
+        <button onClick={create} disabled={busy} className="px-2 py-1 rounded bg-indigo-600/80 hover:bg-indigo-600 disabled:opacity-50">
+          Link erstellen und kopieren
+        </button>
+      </div>
+
+      {shares.length === 0 ? (
+        <div className="text-slate-400">Noch keine Links. Die Ansicht zeigt Stückliste, Kosten und Bauanleitung schreibgeschützt.</div>
+      ) : (
+        <table className="w-full">
+          <thead className="text-slate-400 text-left">
+            <tr>
+              <th className="py-1">Link</th>
+              <th className="py-1">Status</th>
+              <th className="py-1">Gültig bis</th>
+              <th className="py-1">Aufrufe</th>
+              <th className="py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {shares.map(share => (
+              <tr key={share.id} className="border-t border-slate-700/60">
+                <td className="py-1 font-mono break-all">/share/{share.slug}</td>
+                <td className="py-1">
+                  <span className={`px-2 py-0.5 rounded ${SHARE_STATUS_LABELS[share.status].className}`}>
+                    {SHARE_STATUS_LABELS[share.status].text}
+                  </span>
+                </td>
+                <td className="py-1">{share.expiresAt ? formatDate(share.expiresAt) : '–'}</td>
+                <td className="py-1">{share.viewCount}</td>
+                <td className="py-1 text-right whitespace-nowrap">
+                  {share.status === 'active' && (
+                    <>
+                      <button onClick={() => copyLink(share)} className="px-2 py-0.5 rounded border border-slate-600 hover:bg-slate-700/30 mr-1">
+                        Kopieren
+                      </button>
+                      <button onClick={() => revoke(share)} disabled={busy} className="px-2 py-0.5 rounded border border-slate-600 text-red-300 hover:bg-red-600/10 disabled:opacity-50">
+                        Widerrufen
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && <div className="text-emerald-300 break-all">{message}</div>}
+      {error && <div className="text-red-400">{error}</div>}
+    </div>
+  );
+}
+
+/**
+ * ConfigurationsPage - gespeicherte Konfigurationen des Nutzers: öffnen, klonen, löschen,
+ * öffentlich/privat schalten, per Link teilen und den Versionsverlauf vergleichen
+ */
 function ConfigurationsPage() {
   const { t } = useTranslation();
+  const navigate = useNavigate();
+  const { serverConfigId, openConfiguration, startNewConfiguration } = useContext(ConfiguratorContext);
+  const [configurations, setConfigurations] = useState([]);
+  // Aufgeklappter Bereich: { id, type: 'history' | 'share' }
+  const [panel, setPanel] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchConfigurations = useCallback(async () => {
+    try {
+      setError(null);
+      const { data } = await configAPI.getMyConfigurations();
+      setConfigurations(data.configurations || []);
+    } catch (e) {
+      setError(e.message || 'Konfigurationen konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConfigurations();
+  }, [fetchConfigurations]);
+
+  const runAction = async (action, fallback) => {
+    setBusy(true);
+    try {
+      setError(null);
+      await action();
+    } catch (e) {
+      setError(e.message || fallback);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const togglePanel = (id, type) => setPanel(panel?.id === id && panel.type === type ? null : { id, type });
+
+  const open = (configuration) => {
+    openConfiguration(configuration);
+    navigate('/configurator');
+  };
+
+  const openRevision = (configuration, revision) => runAction(async () => {
+    const { data } = await configAPI.getRevision(configuration.id, revision);
+    openConfiguration(configuration, data.revision);
+    navigate('/configurator');
+  }, 'Version konnte nicht geladen werden');
+
+  const clone = (configuration) => runAction(async () => {
+    const { data } = await configAPI.cloneConfiguration(configuration.id);
+    setMessage(`Kopie „${data.configuration.name}“ angelegt.`);
+    await fetchConfigurations();
+  }, 'Konfiguration konnte nicht geklont werden');
+
+  const toggleVisibility = (configuration) => runAction(async () => {
+    await configAPI.updateVisibility(configuration.id, !configuration.isPublic);
+    setMessage(`„${configuration.name}“ ist jetzt ${configuration.isPublic ? 'privat' : 'öffentlich'}.`);
+    await fetchConfigurations();
+  }, 'Sichtbarkeit konnte nicht geändert werden');
+
+  const remove = (configuration) => {
+    if (!window.confirm(`„${configuration.name}“ mit allen Versionen löschen?`)) return;
+    runAction(async () => {
+      await configAPI.deleteConfiguration(configuration.id);
+      if (serverConfigId === configuration.id) startNewConfiguration();
+      setMessage(`„${configuration.name}“ gelöscht.`);
+      await fetchConfigurations();
+    }, 'Konfiguration konnte nicht gelöscht werden');
+  };
 
   return (
     <div className="max-w-6xl mx-auto px-6 py-12">
       <h1 className="text-3xl font-bold mb-8">{t('navigation.configurations')}</h1>
-      <div className="bg-slate-800 rounded-lg p-6">
-        <p className="text-slate-300">
-          {t('navigation.configurations')} {t('messages.loading')}
-        </p>
-      </div>
+
+      {error && <div className="text-sm text-red-400 mb-4">{error}</div>}
+      {message && <div className="text-sm text-emerald-300 mb-4">{message}</div>}
+
+      {loading ? (
+        <div className="bg-slate-800 rounded-lg p-6 text-slate-300">{t('messages.loading')}</div>
+      ) : configurations.length === 0 ? (
+        <div className="bg-[#0e1630] rounded-2xl p-6 border border-slate-700/60 text-slate-300">
+          Noch keine gespeicherten Konfigurationen. Im Konfigurator über „Speichern“ anlegen.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {configurations.map(configuration => (
+            <div key={configuration.id} className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                  <div className="font-semibold flex items-center gap-2">
+                    {configuration.name}
+                    <span className={`text-xs px-2 py-0.5 rounded ${configuration.isPublic ? 'bg-emerald-600/20 text-emerald-300' : 'bg-slate-600/20 text-slate-300'}`}>
+                      {configuration.isPublic ? 'Öffentlich' : 'Privat'}
+                    </span>
+                    {serverConfigId === configuration.id && (
+                      <span className="text-xs px-2 py-0.5 rounded bg-indigo-600/20 text-indigo-300">Im Konfigurator</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-slate-400 mt-1">
+                    {currency(configuration.totalPrice)} · {configuration.components?.length ?? 0} Positionen ·
+                    {' '}{configuration._count?.revisions ?? 0} Versionen · {configuration.viewCount ?? 0} Aufrufe · geändert {formatDate(configuration.updatedAt)}
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-2 text-xs">
+                  <button onClick={() => open(configuration)} disabled={busy} className="px-2 py-1 rounded bg-emerald-600/80 hover:bg-emerald-600 disabled:opacity-50">
+                    Öffnen
+                  </button>
+                  <button
+                    onClick={() => togglePanel(configuration.id, 'history')}
+                    className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/30"
+                  >
+                    Versionen
+                  </button>
+                  <button
+                    onClick={() => togglePanel(configuration.id, 'share')}
+                    className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/30"
+                  >
+                    Teilen
+                  </button>
+                  <button onClick={() => clone(configuration)} disabled={busy} className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/30 disabled:opacity-50">
+                    Klonen
+                  </button>
+                  <button onClick={() => toggleVisibility(configuration)} disabled={busy} className="px-2 py-1 rounded border border-slate-600 hover:bg-slate-700/30 disabled:opacity-50">
+                    {configuration.isPublic ? 'Privat schalten' : 'Öffentlich machen'}
+                  </button>
+                  <button onClick={() => remove(configuration)} disabled={busy} className="px-2 py-1 rounded border border-slate-600 text-red-300 hover:bg-red-600/10 disabled:opacity-50">
+                    Löschen
+                  </button>
+                </div>
+              </div>
+
+              {panel?.id === configuration.id && panel.type === 'history' && (
+                <RevisionHistory configuration={configuration} onOpenRevision={openRevision} />
+              )}
+              {panel?.id === configuration.id && panel.type === 'share' && (
+                <SharePanel configuration={configuration} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
-export default ConfigurationsPage;
\ No newline at end of file
+export default ConfigurationsPage;
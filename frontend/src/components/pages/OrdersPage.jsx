@@ -1,18 +1,69 @@
+import { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../contexts/AuthContext';
+import { orderAPI } from '../../utils/api';
+import { currency } from '../../utils/helpers.js';
+import InvoiceList from '../payment/InvoiceList';
+import OrderReturns from '../payment/OrderReturns';
 
 function OrdersPage() {
   const { t } = useTranslation();
+  const { user } = useAuth();
+  const [orders, setOrders] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+    orderAPI.getOrders({ userId: user.id })
+      .then(({ data }) => setOrders(data.orders || []))
+      .catch(e => setError(e.message || t('orders.loadError', 'Bestellungen konnten nicht geladen werden')));
+  }, [user?.id]);
 
   return (
     <div className="max-w-6xl mx-auto px-6 py-12">
       <h1 className="text-3xl font-bold mb-8">{t('navigation.orders')}</h1>
-      <div className="bg-slate-800 rounded-lg p-6">
-        <p className="text-slate-300">
-          {t('navigation.orders')} {t('messages.loading')}
-        </p>
-      </div>
+      {error && <p className="text-red-300 mb-4">{error}</p>}
+      {!orders ? (
+        <div className="bg-slate-800 rounded-lg p-6">
+          <p className="text-slate-300">
+            {t('navigation.orders')} {t('messages.loading')}
+          </p>
+        </div>
+      ) : orders.length === 0 ? (
+        <div className="bg-slate-800 rounded-lg p-6">
+          <p className="text-slate-300">{t('orders.empty', 'Noch keine Bestellungen.')}</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {orders.map(order => (
+            <div key={order.id} className="bg-slate-800 rounded-lg p-6 space-y-3">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <div className="font-medium">{order.orderNumber}</div>
+                  <div className="text-xs text-slate-400">
+                    {order.label && <>{order.label} · </>}{new Date(order.createdAt).toLocaleString()}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="font-semibold">{currency(order.total)}</div>
+                  {order.taxTotal > 0 && (
+                    <div className="text-xs text-slate-400">
+                      {t('orders.includesVat', 'inkl. USt')} {currency(order.taxTotal)}
+                    </div>
+                  )}
+                </div>
+              </div>
+              <div className="border-t border-slate-700 pt-3">
+                <h2 className="text-sm text-slate-400 mb-1">{t('orders.invoices', 'Belege')}</h2>
+                <InvoiceList orderId={order.id} refreshKey={order.paymentStatus} />
+              </div>
+              <OrderReturns orderId={order.id} />
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
-export default OrdersPage;
\ No newline at end of file
+export default OrdersPage;
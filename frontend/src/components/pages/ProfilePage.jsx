@@ -1,18 +1,33 @@
 import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../contexts/AuthContext';
+import { TwoFactorSettings } from '../auth/TwoFactorSettings';
 
 function ProfilePage() {
   const { t } = useTranslation();
+  const { user } = useAuth();
 
   return (
-    <div className="max-w-4xl mx-auto px-6 py-12">
+    <div className="max-w-4xl mx-auto px-6 py-12 space-y-6">
       <h1 className="text-3xl font-bold mb-8">{t('navigation.profile')}</h1>
       <div className="bg-slate-800 rounded-lg p-6">
-        <p className="text-slate-300">
-          {t('navigation.profile')} {t('messages.loading')}
-        </p>
+        {user ? (
+          <dl className="grid grid-cols-[auto,1fr] gap-x-6 gap-y-2 text-slate-300">
+            <dt className="text-slate-400">{t('forms.name')}</dt>
+            <dd>{user.name || '–'}</dd>
+            <dt className="text-slate-400">{t('forms.email')}</dt>
+            <dd>{user.email}</dd>
+          </dl>
+        ) : (
+          <p className="text-slate-300">
+            {t('navigation.profile')} {t('messages.loading')}
+          </p>
+        )}
+      </div>
+      <div className="bg-slate-800 rounded-lg p-6">
+        <TwoFactorSettings />
       </div>
     </div>
   );
 }
 
-export default ProfilePage;
\ No newline at end of file
+export default ProfilePage;
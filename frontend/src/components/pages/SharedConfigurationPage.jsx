@@ -0,0 +1,196 @@
+import { useContext, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ConfiguratorContext } from '../../contexts/ConfiguratorContext';
+import { useCatalog } from '../../contexts/CatalogContext';
+import { configAPI } from '../../utils/api';
+import { currency } from '../../utils/helpers.js';
+import { getLocalizedCategoryName, getLocalizedProductName } from '../../utils/data.js';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('de-DE');
+
+// Fehlertext je Status: 404 unbekannter Slug, 410 widerrufen oder abgelaufen
+const errorText = (error) => {
+  if (error.status === 404) return 'Diesen Link gibt es nicht.';
+  if (error.status === 410) return 'Dieser Link wurde widerrufen oder ist abgelaufen.';
+  return error.message || 'Die Konfiguration konnte nicht geladen werden.';
+};
+
+/**
+ * SharedManual - Bauanleitung der geteilten Konfiguration, schreibgeschützt
+ */
+function SharedManual({ manual }) {
+  return (
+    <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+      <h2 className="text-xl font-semibold mb-1">{manual.metadata?.title || 'Bauanleitung'}</h2>
+      <div className="text-xs text-slate-400 mb-3">
+        {manual.metadata?.estimatedTime?.formatted?.display} · {manual.overview?.totalSteps} Schritte · {manual.metadata?.difficulty}
+      </div>
+
+      {manual.overview?.requiredTools?.length > 0 && (
+        <div className="text-sm mb-4">
+          <span className="text-slate-400">Werkzeug: </span>
+          {manual.overview.requiredTools.map(tool => tool.name).join(', ')}
+        </div>
+      )}
+
+      <ol className="space-y-2 text-sm">
+        {manual.instructions?.map((step, index) => (
+          <li key={step.id}>
+            <details className="rounded-lg border border-slate-700/60 px-3 py-2">
+              <summary className="cursor-pointer">
+                <span className="text-slate-400 mr-2">{index + 1}.</span>
+                {step.title}
+                <span className="ml-2 text-xs text-slate-400">{step.estimatedTime} min</span>
+              </summary>
+              {step.description && <p className="mt-2 text-slate-300">{step.description}</p>}
+              {step.steps?.length > 0 && (
+                <ul className="mt-2 list-disc list-inside text-slate-300">
+                  {step.steps.map((text, i) => <li key={i}>{text}</li>)}
+                </ul>
+              )}
+              {step.warnings?.length > 0 && (
+                <ul className="mt-2 text-xs text-amber-300">
+                  {step.warnings.map((text, i) => <li key={i}>⚠ {text}</li>)}
+                </ul>
+              )}
+            </details>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+/**
+ * SharedConfigurationPage - öffentliche Ansicht eines Freigabelinks (/share/:slug):
+ * Stückliste, Kostenaufstellung und Bauanleitung schreibgeschützt; die Stückliste lässt sich
+ * als neue Konfiguration in den eigenen Konfigurator kopieren
+ */
+function SharedConfigurationPage() {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const { t, i18n } = useTranslation();
+  const { parts } = useCatalog();
+  const { copyIntoConfigurator } = useContext(ConfiguratorContext);
+  const [shared, setShared] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    configAPI.getSharedConfiguration(slug, i18n.resolvedLanguage)
+      .then(({ data }) => {
+        setShared(data);
+        setError(null);
+      })
+      .catch(e => setError(errorText(e)))
+      .finally(() => setLoading(false));
+  }, [slug, i18n.resolvedLanguage]);
+
+  const partName = (item) => (parts[item.partKey] ? getLocalizedProductName(item.partKey, t, parts) : item.name);
+
+  const copy = () => {
+    copyIntoConfigurator(shared.billOfMaterials.items, shared.configuration.name);
+    navigate('/configurator');
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-6xl mx-auto px-6 py-12">
+        <div className="bg-slate-800 rounded-lg p-6 text-slate-300">{t('messages.loading')}</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-6xl mx-auto px-6 py-12">
+        <div className="bg-[#0e1630] rounded-2xl p-6 border border-slate-700/60 text-red-300">{error}</div>
+      </div>
+    );
+  }
+
+  const { configuration, billOfMaterials, manual, share } = shared;
+
+  return (
+    <div className="max-w-6xl mx-auto px-6 py-12 space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <div className="text-xs text-slate-400 mb-1">
+            Geteilte Konfiguration · schreibgeschützt
+            {configuration.revision && ` · Version ${configuration.revision}`}
+            {share.expiresAt && ` · Link gültig bis ${formatDate(share.expiresAt)}`}
+          </div>
+          <h1 className="text-3xl font-bold">{configuration.name}</h1>
+          {configuration.description && <p className="text-slate-300 mt-2">{configuration.description}</p>}
+          {configuration.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {configuration.tags.map(tag => (
+                <span key={tag} className="text-xs px-2 py-0.5 rounded bg-slate-600/20 text-slate-300">{tag}</span>
+              ))}
+            </div>
+          )}
+        </div>
+        <button onClick={copy} className="px-3 py-2 rounded bg-emerald-600/80 hover:bg-emerald-600 text-sm">
+          In meinen Konfigurator kopieren
+        </button>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+          <h2 className="text-xl font-semibold mb-3">Stückliste</h2>
+          <table className="w-full text-sm">
+            <thead className="text-xs text-slate-400 text-left">
+              <tr>
+                <th className="py-1">Teil</th>
+                <th className="py-1">Kategorie</th>
+                <th className="py-1">Menge</th>
+                <th className="py-1">Stückpreis</th>
+                <th className="py-1 text-right">Summe</th>
+              </tr>
+            </thead>
+            <tbody>
+              {billOfMaterials.items.map((item, index) => (
+                <tr key={`${item.partKey}-${index}`} className="border-t border-slate-700/60">
+                  <td className="py-1.5">{partName(item)}</td>
+                  <td className="py-1.5 text-xs text-slate-300">{getLocalizedCategoryName(item.category, t)}</td>
+                  <td className="py-1.5">{item.quantity}</td>
+                  <td className="py-1.5">{currency(item.unitPrice)}</td>
+                  <td className="py-1.5 text-right">{currency(item.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t border-slate-600 font-semibold">
+                <td className="py-2" colSpan={4}>Gesamt</td>
+                <td className="py-2 text-right">{currency(billOfMaterials.total)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+
+        <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
+          <h2 className="text-xl font-semibold mb-3">Kostenaufstellung</h2>
+          <div className="space-y-3 text-sm">
+            {billOfMaterials.categories.map(group => (
+              <div key={group.category}>
+                <div className="flex justify-between">
+                  <span>{getLocalizedCategoryName(group.category, t)} <span className="text-xs text-slate-400">({group.quantity})</span></span>
+                  <span>{currency(group.total)}</span>
+                </div>
+                <div className="h-1.5 rounded bg-slate-700/60 mt-1">
+                  <div className="h-1.5 rounded bg-emerald-500/70" style={{ width: `${Math.round(group.share * 100)}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {manual && <SharedManual manual={manual} />}
+    </div>
+  );
+}
+
+export default SharedConfigurationPage;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useStripe, useElements, CardElement } from '@stripe/react-stripe-js';
 import { PayPalButtons } from '@paypal/react-paypal-js';
 import { useAuth } from '../../contexts/AuthContext';
@@ -35,6 +36,7 @@ export const CheckoutForm = ({
   
   const [isProcessing, setIsProcessing] = useState(false);
   const [paymentIntent, setPaymentIntent] = useState(null);
+  const [sepaTransfer, setSepaTransfer] = useState(null);
   const [error, setError] = useState(null);
 
   // Create payment intent when component mounts
@@ -42,8 +44,26 @@ export const CheckoutForm = ({
     if (selectedMethod === 'stripe' && order) {
       createPaymentIntent();
     }
+    if (selectedMethod === 'sepa' && order) {
+      createSepaTransfer();
+    }
   }, [selectedMethod, order]);
 
+  // Bank details, remittance reference and EPC QR code; the order is marked paid once the transfer arrives
+  const createSepaTransfer = async () => {
+    try {
+      setError(null);
+      const response = await paymentAPI.createPaymentIntent(order.id, 'sepa');
+      if (response.success) {
+        setSepaTransfer(response.data);
+      } else {
+        setError('Failed to load bank transfer details');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load bank transfer details');
+    }
+  };
+
   const createPaymentIntent = async () => {
     try {
       setError(null);
@@ -223,6 +243,53 @@ export const CheckoutForm = ({
         </div>
       )}
 
+      {selectedMethod === 'sepa' && (
+        <div className="space-y-4">
+          {!sepaTransfer ? (
+            !error && (
+              <div className="flex items-center justify-center py-4">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mr-2"></div>
+                Loading bank details...
+              </div>
+            )
+          ) : (
+            <>
+              <p className="text-sm text-gray-600">
+                Please transfer the amount using the reference below, or scan the QR code with your banking app.
+              </p>
+              <div className="flex justify-center">
+                <img src={sepaTransfer.qrCode} alt="EPC QR code" className="w-48 h-48" />
+              </div>
+              <dl className="text-sm grid grid-cols-3 gap-y-2">
+                <dt className="text-gray-500">Account holder</dt>
+                <dd className="col-span-2 font-medium">{sepaTransfer.accountHolder}</dd>
+                <dt className="text-gray-500">IBAN</dt>
+                <dd className="col-span-2 font-mono">{sepaTransfer.iban}</dd>
+                {sepaTransfer.bic && (
+                  <>
+                    <dt className="text-gray-500">BIC</dt>
+                    <dd className="col-span-2 font-mono">{sepaTransfer.bic}</dd>
+                  </>
+                )}
+                <dt className="text-gray-500">Amount</dt>
+                <dd className="col-span-2 font-medium">€{sepaTransfer.amount?.toFixed(2)}</dd>
+                <dt className="text-gray-500">Reference</dt>
+                <dd className="col-span-2 font-mono font-semibold">{sepaTransfer.reference}</dd>
+              </dl>
+              <p className="text-xs text-gray-500">
+                Your order will be processed as soon as the transfer arrives (usually 1-2 business days).
+              </p>
+              <Link
+                to="/orders"
+                className="block w-full text-center py-3 px-4 rounded-lg font-medium bg-blue-600 hover:bg-blue-700 text-white"
+              >
+                Go to my orders
+              </Link>
+            </>
+          )}
+        </div>
+      )}
+
       <div className="mt-6 text-xs text-gray-500 text-center">
         <p>🔒 Your payment information is secure and encrypted</p>
         <p className="mt-1">Powered by Stripe and PayPal</p>
@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { invoiceAPI } from '../../utils/api';
+import { currency } from '../../utils/helpers.js';
+
+/**
+ * InvoiceList - Rechnungen und Gutschriften einer Bestellung mit PDF-Download
+ * Wird in "Meine Bestellungen" und in der Bestellverwaltung (Admin) verwendet
+ */
+function InvoiceList({ orderId, refreshKey, children }) {
+  const { t } = useTranslation();
+  const [invoices, setInvoices] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    invoiceAPI.getOrderInvoices(orderId)
+      .then(({ data }) => !cancelled && setInvoices(data.invoices || []))
+      .catch(e => !cancelled && setError(e.message));
+    return () => { cancelled = true; };
+  }, [orderId, refreshKey]);
+
+  const download = async (invoice) => {
+    try {
+      setError(null);
+      await invoiceAPI.downloadInvoice(invoice);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  if (error) {
+    return <p className="text-xs text-red-300">{error}</p>;
+  }
+  // children: optionale Aktion, solange noch keine Rechnung existiert
+  if (invoices.length === 0) {
+    return (
+      <div className="space-y-2">
+        <p className="text-xs text-slate-400">{t('orders.noInvoices', 'Die Rechnung folgt nach Zahlungseingang.')}</p>
+        {children}
+      </div>
+    );
+  }
+
+  return (
+    <ul className="space-y-1 text-sm">
+      {invoices.map(invoice => (
+        <li key={invoice.id} className="flex flex-wrap items-center justify-between gap-2">
+          <span>
+            {invoice.type === 'CREDIT_NOTE' ? t('orders.creditNote', 'Gutschrift') : t('orders.invoice', 'Rechnung')}{' '}
+            <span className="font-medium">{invoice.number}</span>
+            <span className="text-xs text-slate-400 ml-2">{new Date(invoice.issuedAt).toLocaleDateString()}</span>
+          </span>
+          <span className="flex items-center gap-3">
+            <span className={invoice.total < 0 ? 'text-amber-300' : 'text-slate-200'}>{currency(invoice.total)}</span>
+            <button onClick={() => download(invoice)} className="text-xs text-sky-300 hover:underline">
+              PDF
+            </button>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default InvoiceList;
@@ -0,0 +1,184 @@
+import { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { returnAPI } from '../../utils/api';
+import { currency } from '../../utils/helpers.js';
+
+// Retourengründe (RETURN_REASONS im Backend)
+const REASONS = {
+  DEFECTIVE: 'Defekt',
+  DAMAGED_IN_TRANSIT: 'Transportschaden',
+  WRONG_ITEM: 'Falscher Artikel',
+  NOT_AS_DESCRIBED: 'Entspricht nicht der Beschreibung',
+  NO_LONGER_NEEDED: 'Nicht mehr benötigt',
+  OTHER: 'Sonstiges'
+};
+
+const STATUS_LABELS = {
+  REQUESTED: 'Angefragt',
+  APPROVED: 'Genehmigt – bitte zurücksenden',
+  REJECTED: 'Abgelehnt',
+  RECEIVED: 'Eingegangen',
+  INSPECTED: 'Geprüft',
+  REFUNDING: 'Wird erstattet',
+  REFUNDED: 'Erstattet',
+  CANCELLED: 'Zurückgezogen'
+};
+
+/**
+ * OrderReturns - Retouren einer Bestellung in "Meine Bestellungen"
+ * Zeigt bisherige Retouren und erlaubt die Anmeldung einzelner Positionen mit Menge und Grund
+ */
+function OrderReturns({ orderId }) {
+  const { t } = useTranslation();
+  const [returns, setReturns] = useState([]);
+  const [returnable, setReturnable] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('DEFECTIVE');
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      const { data } = await returnAPI.getOrderReturns(orderId);
+      setReturns(data.returns || []);
+      setReturnable((data.returnable || []).filter(item => item.returnable > 0));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [orderId]);
+
+  const selected = Object.entries(quantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+
+  const submit = async () => {
+    setBusy(true);
+    try {
+      setError(null);
+      await returnAPI.requestReturn(orderId, { items: selected, reason, ...(note.trim() && { note: note.trim() }) });
+      setOpen(false);
+      setQuantities({});
+      setNote('');
+      await load();
+    } catch (e) {
+      setError(e.message || t('returns.requestError', 'Retoure konnte nicht angemeldet werden'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancel = async (returnRequest) => {
+    setBusy(true);
+    try {
+      setError(null);
+      await returnAPI.cancelReturn(orderId, returnRequest.id);
+      await load();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (returns.length === 0 && returnable.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="border-t border-slate-700 pt-3 space-y-2 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-sm text-slate-400">{t('returns.title', 'Retouren')}</h2>
+        {returnable.length > 0 && !open && (
+          <button onClick={() => setOpen(true)} className="text-xs text-sky-300 hover:underline">
+            {t('returns.request', 'Artikel zurücksenden')}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-300">{error}</p>}
+
+      {returns.map(returnRequest => (
+        <div key={returnRequest.id} className="flex flex-wrap items-center justify-between gap-2">
+          <span>
+            <span className="font-medium">{returnRequest.rmaNumber}</span>
+            <span className="text-xs text-slate-400 ml-2">
+              {returnRequest.items.map(item => `${item.quantity}× ${item.orderItem?.name}`).join(', ')}
+            </span>
+          </span>
+          <span className="flex items-center gap-3 text-xs">
+            <span className="text-slate-300">{t(`returns.status.${returnRequest.status}`, STATUS_LABELS[returnRequest.status] || returnRequest.status)}</span>
+            {returnRequest.status === 'REFUNDED' && <span className="text-amber-300">{currency(returnRequest.refundAmount)}</span>}
+            {['REQUESTED', 'APPROVED'].includes(returnRequest.status) && (
+              <button onClick={() => cancel(returnRequest)} disabled={busy} className="text-slate-400 hover:underline disabled:opacity-50">
+                {t('returns.cancel', 'Zurückziehen')}
+              </button>
+            )}
+          </span>
+        </div>
+      ))}
+
+      {open && (
+        <div className="bg-slate-900/60 rounded-lg p-3 space-y-3">
+          <ul className="space-y-1">
+            {returnable.map(item => (
+              <li key={item.orderItemId} className="flex items-center justify-between gap-2">
+                <span>{item.name}</span>
+                <span className="flex items-center gap-2 text-xs text-slate-400">
+                  <input
+                    type="number"
+                    min="0"
+                    max={item.returnable}
+                    value={quantities[item.orderItemId] || 0}
+                    onChange={(e) => setQuantities(prev => ({
+                      ...prev,
+                      [item.orderItemId]: Math.min(item.returnable, Math.max(0, parseInt(e.target.value) || 0))
+                    }))}
+                    className="w-16 px-2 py-1 rounded bg-slate-800 border border-slate-600 text-slate-100"
+                  />
+                  {t('returns.of', 'von')} {item.returnable}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <select
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="w-full px-2 py-1 rounded bg-slate-800 border border-slate-600"
+          >
+            {Object.entries(REASONS).map(([value, label]) => (
+              <option key={value} value={value}>{t(`returns.reasons.${value}`, label)}</option>
+            ))}
+          </select>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={1000}
+            rows={2}
+            placeholder={t('returns.notePlaceholder', 'Beschreibung (optional)')}
+            className="w-full px-2 py-1 rounded bg-slate-800 border border-slate-600"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={submit}
+              disabled={busy || selected.length === 0}
+              className="px-3 py-1.5 text-xs rounded bg-sky-600 hover:bg-sky-500 disabled:opacity-50"
+            >
+              {t('returns.submit', 'Retoure anmelden')}
+            </button>
+            <button onClick={() => setOpen(false)} className="px-3 py-1.5 text-xs rounded border border-slate-600">
+              {t('actions.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OrderReturns;
@@ -16,14 +16,18 @@ export const OrderSummary = ({ order, className = '' }) => {
   const {
     id,
     items = [],
-    subtotal,
-    tax,
     shipping,
-    totalPrice,
+    taxTreatment,
+    vatId,
     currency = 'EUR',
     status
   } = order;
 
+  // Server orders carry netTotal/taxTotal/total (gross) from the backend VAT engine
+  const subtotal = order.subtotal ?? order.netTotal ?? undefined;
+  const tax = order.tax ?? order.taxTotal ?? undefined;
+  const totalPrice = order.totalPrice ?? order.total;
+
   const formatPrice = (price) => {
     return new Intl.NumberFormat('de-DE', {
       style: 'currency',
@@ -115,6 +119,12 @@ export const OrderSummary = ({ order, className = '' }) => {
             <span className="text-gray-900">{formatPrice(tax)}</span>
           </div>
         )}
+
+        {taxTreatment === 'REVERSE_CHARGE' && (
+          <div className="text-xs text-gray-500">
+            Reverse charge – VAT payable by the recipient{vatId ? ` (${vatId})` : ''}
+          </div>
+        )}
         
         {shipping !== undefined && (
           <div className="flex justify-between text-sm">
@@ -61,6 +61,15 @@ export const PaymentMethodSelector = ({
             <span>PayPal</span>
           </div>
         );
+      case 'sepa':
+        return (
+          <div className="flex items-center space-x-2">
+            <div className="w-8 h-5 bg-gray-700 rounded flex items-center justify-center">
+              <span className="text-white text-xs font-bold">€</span>
+            </div>
+            <span>Bank Transfer</span>
+          </div>
+        );
       default:
         return methodId;
     }
@@ -0,0 +1,67 @@
+import { useTranslation } from 'react-i18next';
+import useCurrency from '../../hooks/useCurrency.js';
+import usePriceHistory from '../../hooks/usePriceHistory.js';
+
+/**
+ * Sparkline als SVG-Polyline über die Datenpunkte der Preis-Historie
+ */
+function Sparkline({ points, width, height }) {
+  const prices = points.map(point => point.price);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const spread = max - min || 1;
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+
+  const coordinates = prices.map((price, index) => {
+    const x = points.length > 1 ? index * step : width / 2;
+    const y = height - 1 - ((price - min) / spread) * (height - 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  const rising = prices[prices.length - 1] > prices[0];
+  const falling = prices[prices.length - 1] < prices[0];
+  const strokeClass = rising ? 'text-red-400' : falling ? 'text-emerald-400' : 'text-slate-400';
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className={strokeClass} aria-hidden="true">
+      <polyline points={coordinates} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+/**
+ * PriceTrend - Sparkline und min/max/avg aus der gespeicherten Preis-Historie
+ * Ohne Historie (oder ohne Backend) wird nichts angezeigt
+ */
+function PriceTrend({ productKey, range = '30d', aggregate = 'day', compact = false, className = '' }) {
+  const { t } = useTranslation();
+  const { formatCurrencySync } = useCurrency();
+  const { points, summary } = usePriceHistory(productKey, { range, aggregate });
+
+  if (!summary || points.length === 0) return null;
+
+  const stats = (
+    <span className="text-slate-500">
+      {t('priceHistory.min', 'min')} {formatCurrencySync(summary.min)}
+      {' · '}{t('priceHistory.avg', 'Ø')} {formatCurrencySync(summary.avg)}
+      {' · '}{t('priceHistory.max', 'max')} {formatCurrencySync(summary.max)}
+    </span>
+  );
+
+  return (
+    <div
+      className={`flex items-center gap-2 text-xs ${className}`}
+      title={t('priceHistory.title', 'Preisverlauf ({{range}})', { range })}
+    >
+      <Sparkline points={points} width={compact ? 48 : 80} height={compact ? 14 : 20} />
+      {stats}
+      {!compact && summary.changePercent !== null && Math.abs(summary.changePercent) > 0.01 && (
+        <span className={summary.changePercent > 0 ? 'text-red-400' : 'text-green-400'}>
+          {summary.changePercent > 0 ? '+' : ''}{summary.changePercent.toFixed(1)}%
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default PriceTrend;
@@ -99,7 +99,7 @@ class AuthService {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      throw new Error(data.message || data.error?.message || `HTTP error! status: ${response.status}`);
     }
 
     return data;
@@ -126,6 +126,22 @@ class AuthService {
     return response;
   }
 
+  // Second login step after a two-factor challenge
+  async verifyTwoFactorLogin(challengeToken, code, trustDevice = false) {
+    return await this.request('/api/auth/login/2fa', {
+      method: 'POST',
+      body: { challengeToken, code, trustDevice }
+    });
+  }
+
+  // Mandatory 2FA setup during login (admin accounts without 2FA)
+  async startTwoFactorLoginSetup(challengeToken) {
+    return await this.request('/api/auth/login/2fa/setup', {
+      method: 'POST',
+      body: { challengeToken }
+    });
+  }
+
   async logout() {
     try {
       const sessionId = sessionStorage.getItem('sessionId');
@@ -223,6 +239,40 @@ class AuthService {
     });
   }
   
+  // Two-factor management
+  async getTwoFactorStatus() {
+    return await this.authenticatedRequest('/api/auth/2fa');
+  }
+
+  async setupTwoFactor() {
+    return await this.authenticatedRequest('/api/auth/2fa/setup', { method: 'POST' });
+  }
+
+  async enableTwoFactor(code) {
+    return await this.authenticatedRequest('/api/auth/2fa/enable', {
+      method: 'POST',
+      body: { code }
+    });
+  }
+
+  async disableTwoFactor(code) {
+    return await this.authenticatedRequest('/api/auth/2fa/disable', {
+      method: 'POST',
+      body: { code }
+    });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return await this.authenticatedRequest('/api/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: { code }
+    });
+  }
+
+  async forgetTrustedDevices() {
+    return await this.authenticatedRequest('/api/auth/2fa/trusted-devices', { method: 'DELETE' });
+  }
+
   async fetchCsrfToken() {
     return await this.request('/api/auth/csrf-token');
   }
@@ -324,27 +374,36 @@ export function AuthProvider({ children }) {
     }
   };
 
+  const handleLoginSuccess = (response) => {
+    TokenManager.set(response.data.accessToken);
+    
+    // Store CSRF token globally for forms
+    if (response.data.csrfToken) {
+      window.__CSRF_TOKEN__ = response.data.csrfToken;
+      dispatch({ type: 'SET_CSRF_TOKEN', payload: response.data.csrfToken });
+    }
+    
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: {
+        user: response.data.user,
+        accessToken: response.data.accessToken,
+        sessionId: response.data.sessionId,
+        deviceTrust: response.data.deviceTrust
+      }
+    });
+  };
+
+  // Resolves with data.twoFactorRequired + challengeToken when a second step is needed
   const login = async (email, password, rememberMe = false) => {
     dispatch({ type: 'SET_LOADING', payload: true });
     try {
       const response = await authService.login(email, password, rememberMe);
-      TokenManager.set(response.data.accessToken);
-      
-      // Store CSRF token globally for forms
-      if (response.data.csrfToken) {
-        window.__CSRF_TOKEN__ = response.data.csrfToken;
-        dispatch({ type: 'SET_CSRF_TOKEN', payload: response.data.csrfToken });
+      if (response.data?.twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return response;
       }
-      
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: {
-          user: response.data.user,
-          accessToken: response.data.accessToken,
-          sessionId: response.data.sessionId,
-          deviceTrust: response.data.deviceTrust
-        }
-      });
+      handleLoginSuccess(response);
       return response;
     } catch (error) {
       dispatch({ type: 'LOGIN_FAILURE', payload: error.message });
@@ -352,6 +411,68 @@ export function AuthProvider({ children }) {
     }
   };
 
+  const completeTwoFactorLogin = async (challengeToken, code, trustDevice = false) => {
+    try {
+      const response = await authService.verifyTwoFactorLogin(challengeToken, code, trustDevice);
+      handleLoginSuccess(response);
+      return response;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const startTwoFactorLoginSetup = async (challengeToken) => {
+    const response = await authService.startTwoFactorLoginSetup(challengeToken);
+    return response.data;
+  };
+
+  // Two-factor management for the logged-in user
+  const getTwoFactorStatus = async () => {
+    const response = await authService.getTwoFactorStatus();
+    return response.data;
+  };
+
+  const setupTwoFactor = async () => {
+    const response = await authService.setupTwoFactor();
+    return response.data;
+  };
+
+  const enableTwoFactor = async (code) => {
+    const response = await authService.enableTwoFactor(code);
+    // Token with twoFactorEnabled claim
+    TokenManager.set(response.data.accessToken);
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: {
+        user: { ...state.user, isTwoFactorEnabled: true },
+        accessToken: response.data.accessToken,
+        sessionId: state.sessionId,
+        deviceTrust: state.deviceTrust
+      }
+    });
+    return response.data;
+  };
+
+  const disableTwoFactor = async (code) => {
+    const response = await authService.disableTwoFactor(code);
+    dispatch({
+      type: 'UPDATE_USER',
+      payload: { ...state.user, isTwoFactorEnabled: false }
+    });
+    return response;
+  };
+
+  const regenerateRecoveryCodes = async (code) => {
+    const response = await authService.regenerateRecoveryCodes(code);
+    return response.data;
+  };
+
+  const forgetTrustedDevices = async () => {
+    const response = await authService.forgetTrustedDevices();
+    return response.data;
+  };
+
   const register = async (userData) => {
     dispatch({ type: 'SET_LOADING', payload: true });
     try {
@@ -548,6 +669,14 @@ export function AuthProvider({ children }) {
   const value = {
     ...state,
     login,
+    completeTwoFactorLogin,
+    startTwoFactorLoginSetup,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    forgetTrustedDevices,
     register,
     logout,
     forgotPassword,
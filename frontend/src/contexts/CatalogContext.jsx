@@ -0,0 +1,53 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { catalogAPI } from '../utils/api.js';
+
+// Teilekatalog vom Server (GET /api/components); Quelle ist die Komponenten-Tabelle der Datenbank
+const CatalogContext = createContext();
+
+// { PART_KEY: Teil } aus der Liste der API ([{ key, ...Teil }])
+const toPartsMap = (components = []) =>
+  Object.fromEntries(components.map(({ key, ...part }) => [key, part]));
+
+export function CatalogProvider({ children }) {
+  const [parts, setParts] = useState({});
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await catalogAPI.getCatalog();
+      setParts(toPartsMap(data.components));
+      setCategories(data.categories);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const value = useMemo(
+    () => ({ parts, categories, loading, error, reload }),
+    [parts, categories, loading, error, reload]
+  );
+
+  return (
+    <CatalogContext.Provider value={value}>
+      {children}
+    </CatalogContext.Provider>
+  );
+}
+
+export function useCatalog() {
+  const context = useContext(CatalogContext);
+  if (!context) {
+    throw new Error('useCatalog must be used within a CatalogProvider');
+  }
+  return context;
+}
@@ -1,20 +1,46 @@
-import { createContext, useMemo, useState, useEffect } from 'react';
-import { PRESETS, PARTS } from '../utils/data.js';
-import { useLocalStorage, sumEK, clamp } from '../utils/helpers.js';
+import { createContext, useMemo, useState, useEffect, useCallback } from 'react';
+import { useLocalStorage, clamp } from '../utils/helpers.js';
 import { OrderHistoryManager, LEGAL_BASIS } from '../utils/compliance.js';
+import { useSupplierBreakdown, OFFER_PREFERENCES } from '../hooks/useSupplierBreakdown.js';
+import { adminAPI, catalogAPI, configAPI, orderAPI, presetAPI, purchaseOrderAPI } from '../utils/api.js';
+import { useCatalog } from './CatalogContext.jsx';
+import { useAuth } from './AuthContext.jsx';
 
 export const ConfiguratorContext = createContext();
 
+// Bis zur ersten Antwort des Servers: keine Schienen, nichts gesperrt
+const EMPTY_POWER_BUDGET = { status: 'ok', blocking: false, rails: {}, batteries: [], issues: [] };
+
 export function ConfiguratorProvider({ children }) {
-  // Konfigurator State
+  // Teilekatalog vom Server
+  const { parts } = useCatalog();
+  const { isAuthenticated, user } = useAuth();
+
+  // Konfigurator State; die Stückliste startet mit dem Preset "starter", sobald die Presets geladen sind
   const [presetKey, setPresetKey] = useState('starter');
-  const [items, setItems] = useState({ ...PRESETS.starter.items });
-  const [perMargin, setPerMargin] = useLocalStorage('per_margin', {}); // {PART_KEY: pct}
+  const [activePreset, setActivePreset] = useState(null);
+  const [items, setItems] = useState({});
+  // Presets vom Server (mitgeliefert, Team, persönlich), gefiltert nach Tag, DOF und Suchbegriff
+  const [presets, setPresets] = useState([]);
+  const [presetTags, setPresetTags] = useState([]);
+  const [presetFilters, setPresetFilters] = useState({});
+  const [presetsError, setPresetsError] = useState(null);
   const [showPerMargin, setShowPerMargin] = useState(false);
+  // Auswahl je Teil: günstigstes oder schnellstes Lieferanten-Angebot
+  const [offerPreference, setOfferPreference] = useLocalStorage('offer_preference', OFFER_PREFERENCES.CHEAPEST);
+  // Serverseitige Kopie der aktuellen Stückliste (z.B. für die Optimierung)
+  const [serverConfigId, setServerConfigId] = useLocalStorage('server_config_id', null);
+  const [configName, setConfigName] = useLocalStorage('server_config_name', '');
 
   // Admin / Orders
-  const [marginPct, setMarginPct] = useLocalStorage('global_margin', 12);
-  const [orders, setOrders] = useLocalStorage('orders', []); // {id,label,snapshot,baseTotal,retailTotal,status,auto,log:[], provider}
+  // Margen liegen auf dem Server, der Bestellungen damit bepreist; nur Admins ändern sie
+  const [pricing, setPricing] = useState({ marginPct: 12, partMargins: {} });
+  const marginPct = pricing.marginPct;
+  const perMargin = pricing.partMargins; // {PART_KEY: pct}
+  const canEditPricing = user?.role?.toLowerCase() === 'admin';
+  // Bestellungen liegen auf dem Server (Status-Wechsel werden dort im Audit-Log festgehalten)
+  const [orders, setOrders] = useState([]);
+  const [ordersError, setOrdersError] = useState(null);
 
   // LLM-Settings
   const [settings, setSettings] = useLocalStorage('app_settings', {
@@ -30,41 +56,247 @@ export function ConfiguratorProvider({ children }) {
   // Compliance Manager
   const orderHistoryManager = useMemo(() => new OrderHistoryManager(), []);
 
-  const ekTotal = useMemo(() => sumEK(items), [items]);
+  // Gewähltes Angebot je Position, Versand je Lieferant (Listenpreise), ausgewählt vom Server
+  const offerSelection = useSupplierBreakdown(items, offerPreference);
+
+  const ekTotal = offerSelection.subtotal;
+  const shippingTotal = offerSelection.shipping;
+
+  // Power-Budget der aktuellen Stückliste, berechnet vom Server (POST /api/configurations/power)
+  const [powerBudget, setPowerBudget] = useState(EMPTY_POWER_BUDGET);
+
+  useEffect(() => {
+    let cancelled = false;
+    configAPI.calculatePower(items)
+      .then(({ data }) => {
+        if (!cancelled) setPowerBudget(data.power);
+      })
+      .catch((error) => {
+        if (!cancelled) console.warn('Power-Budget konnte nicht berechnet werden:', error);
+      });
+    return () => { cancelled = true; };
+  }, [items, parts]);
+
+  // Einkaufspreis je Stück aus dem gewählten Angebot (in EUR)
+  const unitCostForPart = (k) =>
+    offerSelection.lines.find(line => line.partKey === k)?.unitPrice ?? parts[k]?.price ?? 0;
+
+  const reloadPricing = useCallback(async () => {
+    try {
+      const { data } = await catalogAPI.getPricing();
+      setPricing(data.pricing);
+    } catch (error) {
+      console.warn('Preiseinstellungen konnten nicht geladen werden:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    reloadPricing();
+  }, [reloadPricing]);
+
+  // Sofort anzeigen, dann speichern; bei Fehler gilt wieder der Stand des Servers
+  const savePricing = async (update) => {
+    setPricing(current => ({ ...current, ...update }));
+    try {
+      const { data } = await adminAPI.updatePricing(update);
+      setPricing(data.pricing);
+    } catch (error) {
+      console.warn('Preiseinstellungen konnten nicht gespeichert werden:', error);
+      await reloadPricing();
+    }
+  };
+
+  const setMarginPct = (pct) => savePricing({ marginPct: pct });
+
+  // Wie ein State-Setter: Objekt oder Funktion des bisherigen Stands; undefined entfernt die Marge des Teils
+  const setPerMargin = (update) => {
+    const next = typeof update === 'function' ? update(perMargin) : update;
+    const partMargins = Object.fromEntries(Object.entries(next).filter(([, pct]) => Number.isFinite(pct)));
+    return savePricing({ partMargins });
+  };
 
   const retailForPart = (k) => {
-    const base = PARTS[k].price;
+    const base = unitCostForPart(k);
     const pct = Number.isFinite(perMargin[k]) ? clamp(perMargin[k], 0, 95) : clamp(marginPct, 0, 95);
-    return base * (1 + pct/100);
+    // auf Cent gerundet wie der Stückpreis der Bestellung
+    return Math.round(base * (1 + pct/100) * 100) / 100;
   };
 
   const retailTotal = useMemo(() => 
     Object.entries(items).reduce((s,[k,q]) => s + retailForPart(k)*q, 0), 
-    [items, perMargin, marginPct]
+    [items, perMargin, marginPct, offerSelection]
   );
 
-  const createOrderFromCurrent = () => {
-    const id = `ORD-${Date.now()}`;
-    const snapshot = JSON.parse(JSON.stringify(items));
-    const baseTotal = sumEK(snapshot);
-    const retailTotalNow = Object.entries(snapshot).reduce((s,[k,q]) => s + retailForPart(k)*q, 0);
-    const order = { 
-      id, 
-      label: PRESETS[presetKey].label, 
-      snapshot, 
-      baseTotal, 
-      retailTotal: retailTotalNow, 
-      status: 'CART', 
-      auto: false, 
-      log: [], 
-      provider: settings.paymentProvider 
+  // Aktuelle Stückliste auf dem Server anlegen bzw. aktualisieren, liefert die Konfigurations-ID
+  // Jede Speicherung mit Änderungen legt dort eine neue Revision an
+  const syncConfiguration = async (name = configName || activePreset?.label || 'Konfiguration') => {
+    const payload = {
+      name,
+      components: Object.entries(items)
+        .filter(([, q]) => q > 0)
+        .map(([k, q]) => ({ componentType: k, quantity: q, price: unitCostForPart(k) }))
     };
 
+    // Nur eigene Konfigurationen lassen sich ändern; ohne Anmeldung wird jedes Mal neu angelegt
+    if (serverConfigId && isAuthenticated) {
+      try {
+        await configAPI.updateConfiguration(serverConfigId, payload);
+        return serverConfigId;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+
+    const { data } = await configAPI.createConfiguration(payload);
+    setServerConfigId(data.configuration.id);
+    return data.configuration.id;
+  };
+
+  // Unter einem Namen speichern (Seite "Konfigurationen")
+  const saveConfiguration = async (name) => {
+    setConfigName(name);
+    return syncConfiguration(name);
+  };
+
+  // Stückliste aus Positionen [{ partKey, quantity }]; Teile, die der Katalog nicht (mehr) kennt, entfallen
+  const itemsFromLines = (lines) => {
+    const loaded = {};
+    for (const { partKey, quantity } of lines) {
+      if (parts[partKey]) loaded[partKey] = (loaded[partKey] || 0) + quantity;
+    }
+    return loaded;
+  };
+
+  // Gespeicherte Konfiguration oder eine ihrer Revisionen in den Konfigurator laden;
+  // weitere Speicherungen schreiben neue Revisionen derselben Konfiguration
+  const openConfiguration = (configuration, revision = null) => {
+    const lines = revision ? revision.items : configuration.components;
+    setItems(itemsFromLines(lines.map(line => ({ partKey: line.options?.partKey || line.componentType, quantity: line.quantity }))));
+    setServerConfigId(configuration.id);
+    setConfigName(revision?.name || configuration.name);
+    setPresetKey(null);
+  };
+
+  // Geteilte Stückliste als neue, noch nicht gespeicherte Konfiguration übernehmen; das Original bleibt unberührt
+  const copyIntoConfigurator = (lines, name) => {
+    setItems(itemsFromLines(lines));
+    setServerConfigId(null);
+    setConfigName(name ? `${name} (Kopie)` : '');
+    setPresetKey(null);
+  };
+
+  // Neue, noch nicht gespeicherte Konfiguration beginnen
+  const startNewConfiguration = () => {
+    setServerConfigId(null);
+    setConfigName('');
+  };
+
+  const applyPreset = (preset) => {
+    setPresetKey(preset.id);
+    setActivePreset(preset);
+    setItems({ ...preset.items });
+  };
+
+  // Lädt bei geänderten Filtern und nach Login/Logout neu (persönliche Presets erscheinen bzw. verschwinden)
+  const reloadPresets = useCallback(async () => {
+    try {
+      const { data } = await presetAPI.getPresets(presetFilters);
+      setPresets(data.presets);
+      setPresetTags(data.tags);
+      setPresetsError(null);
+
+      // Erste Ladung: gewähltes Preset übernehmen, solange die Stückliste noch leer ist
+      const initial = data.presets.find(p => p.id === presetKey);
+      if (initial) {
+        setActivePreset(current => current || initial);
+        setItems(current => Object.keys(current).length > 0 ? current : { ...initial.items });
+      }
+    } catch (error) {
+      setPresetsError(error.message);
+    }
+  }, [presetFilters, isAuthenticated]);
+
+  useEffect(() => {
+    reloadPresets();
+  }, [reloadPresets]);
+
+  // Aktuelle Stückliste als persönliches Preset im Konto speichern
+  const savePreset = async ({ label, notes, tags = [], isPublic = false }) => {
+    const snapshot = Object.fromEntries(Object.entries(items).filter(([, q]) => q > 0));
+    const { data } = await presetAPI.savePreset({ label, notes, tags, isPublic, items: snapshot });
+    setPresetKey(data.preset.id);
+    setActivePreset(data.preset);
+    await reloadPresets();
+    return data.preset;
+  };
+
+  const deletePreset = async (id) => {
+    await presetAPI.deletePreset(id);
+    if (presetKey === id) setPresetKey(null);
+    await reloadPresets();
+  };
+
+  // Persönliches Preset freigeben; liefert den Link, über den andere es in den Konfigurator laden
+  const sharePreset = async (id) => {
+    await presetAPI.updatePreset(id, { isPublic: true });
+    await reloadPresets();
+    return `${window.location.origin}/configurator?preset=${encodeURIComponent(id)}`;
+  };
+
+  // Preset aus einem geteilten Link laden
+  const loadSharedPreset = async (id) => {
+    const { data } = await presetAPI.getPreset(id);
+    applyPreset(data.preset);
+    return data.preset;
+  };
+
+  // Nur angemeldet: der Server liefert die eigenen Bestellungen, Admins alle
+  const refreshOrders = useCallback(async () => {
+    if (!isAuthenticated) {
+      setOrders([]);
+      return;
+    }
+    try {
+      const { data } = await orderAPI.getOrders({ limit: 50 });
+      setOrders(data.orders);
+      setOrdersError(null);
+    } catch (error) {
+      setOrdersError(error.message);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    refreshOrders();
+  }, [refreshOrders]);
+
+  // Ersetzt die Bestellung in der Liste durch die Antwort des Servers (Positionen bleiben erhalten)
+  const replaceOrder = (order) => setOrders(list =>
+    list.map(o => o.id === order.id ? { ...o, ...order } : o)
+  );
+
+  const createOrderFromCurrent = async () => {
+    // Stark überlastete Versorgung: keine Bestellung anlegen
+    if (powerBudget.blocking) return null;
+
+    const snapshot = Object.fromEntries(Object.entries(items).filter(([, q]) => q > 0));
+
+    // Lieferanten und Verkaufspreise (Einkauf + Marge) bestimmt der Server; Bestellungen gehören dem angemeldeten Nutzer
+    if (!isAuthenticated) {
+      throw new Error('Bitte anmelden, um eine Bestellung anzulegen');
+    }
+    const { data } = await orderAPI.createConfiguratorOrder({
+      label: activePreset?.label,
+      items: snapshot,
+      offerPreference,
+      paymentMethod: settings.paymentProvider
+    });
+    const order = data.order;
+
     // DSGVO-konforme Bestellhistorie erstellen
     const complianceOrderData = {
       id: order.id,
       items: snapshot,
-      total: retailTotalNow,
+      total: order.total,
       currency: 'EUR',
       timestamp: new Date().toISOString(),
       customerIP: null, // Wird vom Server gesetzt
@@ -78,75 +310,106 @@ export function ConfiguratorProvider({ children }) {
       console.warn('Fehler beim Erstellen der Compliance-Bestellhistorie:', error);
     }
 
-    setOrders(o => [order, ...o]);
-    addLog(id, 'Bestellung angelegt. Klicke "Checkout" um zu bezahlen (Demo).');
+    setOrders(list => [order, ...list]);
+    return order;
   };
 
-  const addLog = (id, msg) => setOrders(list => 
-    list.map(o => o.id === id ? {...o, log: [`${new Date().toLocaleTimeString()} – ${msg}`, ...o.log]} : o)
-  );
+  // Nächster Schritt im Ablauf; der Server prüft den Übergang (409 bei unzulässigem Status)
+  const advanceOrder = async (id, status, note) => {
+    const { data } = await orderAPI.updateOrderStatus(id, status, note);
+    replaceOrder(data.order);
+    return data.order;
+  };
 
-  const setOrder = (id, patch) => setOrders(list => 
-    list.map(o => o.id === id ? {...o, ...patch} : o)
-  );
+  // Zahlungseingang von Hand bestätigen (nur Admin); der Server setzt die Bestellung auf PROCESSING
+  const confirmPayment = async (id) => {
+    const { data } = await orderAPI.updatePaymentStatus(id, 'COMPLETED', `Manuell bestätigt (${settings.paymentProvider})`);
+    replaceOrder(data.order);
+    return data.order;
+  };
 
-  // Simulierter Auto‑Flow nach Zahlung
-  useEffect(() => {
-    const timers = [];
-    orders.forEach(o => {
-      if(!o.auto) return;
-      if(o.status === 'PAID'){
-        timers.push(setTimeout(() => { 
-          setOrder(o.id, {status: 'PO_CREATED'}); 
-          addLog(o.id, 'Einkaufsbestellungen (PO) erstellt'); 
-        }, 1500));
-      }
-      if(o.status === 'PO_CREATED'){
-        timers.push(setTimeout(() => { 
-          setOrder(o.id, {status: 'ORDERED'}); 
-          addLog(o.id, 'Teile bei Lieferanten bestellt (Drop‑Ship an Kundenadresse)'); 
-        }, 2200));
-      }
-      if(o.status === 'ORDERED'){
-        timers.push(setTimeout(() => { 
-          setOrder(o.id, {status: 'DONE'}); 
-          addLog(o.id, 'Versandbestätigungen verarbeitet – abgeschlossen'); 
-        }, 2600));
-      }
-    });
-    return () => timers.forEach(clearTimeout);
-  }, [orders]);
+  // Einkaufsbestellungen je Lieferant (Drop-Ship); Statuswechsel der POs führen die Bestellung nach
+  const getPurchaseOrders = async (orderId) => {
+    const { data } = await orderAPI.getPurchaseOrders(orderId);
+    return data.purchaseOrders;
+  };
+
+  const createPurchaseOrders = async (orderId) => {
+    const { data } = await orderAPI.createPurchaseOrders(orderId);
+    await refreshOrders();
+    return data.purchaseOrders;
+  };
+
+  const sendPurchaseOrders = async (orderId) => {
+    const { data } = await orderAPI.sendPurchaseOrders(orderId);
+    await refreshOrders();
+    return data.purchaseOrders;
+  };
+
+  const updatePurchaseOrder = async (purchaseOrderId, update) => {
+    const { data } = await purchaseOrderAPI.updatePurchaseOrder(purchaseOrderId, update);
+    replaceOrder(data.order);
+    return data.purchaseOrder;
+  };
 
-  const checkout = (id) => {
-    const o = orders.find(x => x.id === id); 
-    if(!o) return;
-    setOrder(id, {status: 'AWAITING_PAYMENT'}); 
-    addLog(id, `Checkout gestartet (${settings.paymentProvider.toUpperCase()}) – warte auf Webhook…`);
+  // Mögliche Folgezustände laut Zustandsautomat des Servers
+  const getOrderTransitions = async (id) => {
+    const { data } = await orderAPI.getOrderTransitions(id);
+    return data.transitions;
   };
 
-  const simulateWebhookPaid = (id) => { 
-    setOrder(id, {status: 'PAID'}); 
-    addLog(id, 'Webhook: Zahlungseingang erkannt'); 
+  const getOrderHistory = async (id) => {
+    const { data } = await orderAPI.getOrderHistory(id);
+    return data.events;
   };
 
   const value = {
     // Configurator
     presetKey, setPresetKey,
+    activePreset,
+    applyPreset,
+    presets,
+    presetTags,
+    presetFilters, setPresetFilters,
+    presetsError,
+    reloadPresets,
+    savePreset,
+    deletePreset,
+    sharePreset,
+    loadSharedPreset,
     items, setItems,
     perMargin, setPerMargin,
     showPerMargin, setShowPerMargin,
     ekTotal,
+    shippingTotal,
     retailTotal,
     retailForPart,
+    unitCostForPart,
+    offerPreference, setOfferPreference,
+    offerSelection,
+    powerBudget,
+    serverConfigId,
+    configName, setConfigName,
+    syncConfiguration,
+    saveConfiguration,
+    openConfiguration,
+    copyIntoConfigurator,
+    startNewConfiguration,
     
     // Admin
-    marginPct, setMarginPct,
-    orders, setOrders,
+    marginPct, setMarginPct, canEditPricing,
+    orders,
+    ordersError,
+    refreshOrders,
     createOrderFromCurrent,
-    addLog,
-    setOrder,
-    checkout,
-    simulateWebhookPaid,
+    advanceOrder,
+    confirmPayment,
+    getOrderHistory,
+    getOrderTransitions,
+    getPurchaseOrders,
+    createPurchaseOrders,
+    sendPurchaseOrders,
+    updatePurchaseOrder,
     
     // Settings
     settings, setSettings
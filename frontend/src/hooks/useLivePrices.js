@@ -3,9 +3,14 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 const BACKEND_BASE_URL = 'http://localhost:3001';
 const CACHE_DURATION = 15 * 60 * 1000; // 15 Minuten
 const STALE_WARNING_TIME = 60 * 60 * 1000; // 60 Minuten
+// Der Scraper liefert Währungssymbole, die Angebote ISO-Codes
+const CURRENCY_CODES = { '€': 'EUR', '$': 'USD', '£': 'GBP' };
 
 export function useLivePrices() {
   const [prices, setPrices] = useState({});
+  // Live-Daten je Lieferanten-Angebot, Schlüssel ist der Angebotsschlüssel des Servers (offer.key)
+  const [offerPrices, setOfferPrices] = useState({});
+  const [offerAvailability, setOfferAvailability] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
@@ -36,7 +41,19 @@ export function useLivePrices() {
       if (data.success && data.data) {
         // Konvertiere API-Datenformat zu Hook-Format
         const pricesMap = {};
+        const offerPricesMap = {};
+        const offerAvailabilityMap = {};
         data.data.forEach(item => {
+          (item.offers || []).forEach(offer => {
+            if (!offer.success) return;
+            const key = offer.key;
+            // Preise nur übernehmen, wenn die gescrapte Währung zur Angebotswährung passt
+            if (offer.scrapedPrice !== null && (CURRENCY_CODES[offer.currency] || offer.currency) === offer.listCurrency) {
+              offerPricesMap[key] = offer.scrapedPrice;
+            }
+            offerAvailabilityMap[key] = offer.availability;
+          });
+
           if (item.success && item.scrapedPrice !== null) {
             pricesMap[item.productKey] = {
               price: item.scrapedPrice,
@@ -50,6 +67,8 @@ export function useLivePrices() {
         });
         
         setPrices(pricesMap);
+        setOfferPrices(offerPricesMap);
+        setOfferAvailability(offerAvailabilityMap);
         setLastUpdated(new Date());
         setError(null);
       } else {
@@ -134,6 +153,11 @@ export function useLivePrices() {
     return priceData?.price || null;
   }, [prices]);
 
+  // key: Angebotsschlüssel aus GET /api/prices (offers[].key)
+  const getLiveOfferPrice = useCallback((key) => {
+    return offerPrices[key] ?? null;
+  }, [offerPrices]);
+
   const getLastUpdatedTime = useCallback((productKey) => {
     const priceData = prices[productKey];
     if (!priceData?.lastUpdated) return null;
@@ -203,6 +227,8 @@ export function useLivePrices() {
   return {
     // Haupt-State
     prices,
+    offerPrices,
+    offerAvailability,
     loading,
     error,
     lastUpdated,
@@ -214,6 +240,7 @@ export function useLivePrices() {
     
     // Hilfsfunktionen
     getLivePrice,
+    getLiveOfferPrice,
     getLastUpdatedTime,
     isStale,
     getPriceSource,
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+
+const BACKEND_BASE_URL = 'http://localhost:3001';
+const CACHE_DURATION = 15 * 60 * 1000; // 15 Minuten
+
+// Modulweiter Cache, damit ProductCard und CostPanel dieselbe Historie nicht doppelt laden
+const historyCache = new Map();
+
+async function loadHistory(productKey, range, aggregate) {
+  const url = `${BACKEND_BASE_URL}/api/prices/${encodeURIComponent(productKey)}/history?range=${range}&aggregate=${aggregate}`;
+  const cached = historyCache.get(url);
+  if (cached && Date.now() - cached.loadedAt < CACHE_DURATION) {
+    return cached.promise;
+  }
+
+  const promise = fetch(url, {
+    method: 'GET',
+    headers: { 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(5000)
+  }).then(async (response) => {
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    if (!data.success || !data.data) {
+      throw new Error(data.error || 'Unbekannter Fehler beim Laden der Preis-Historie');
+    }
+    return data.data;
+  });
+
+  historyCache.set(url, { promise, loadedAt: Date.now() });
+  // Fehlgeschlagene Anfragen nicht cachen
+  promise.catch(() => historyCache.delete(url));
+  return promise;
+}
+
+/**
+ * Lädt die gespeicherte Preis-Historie eines Produkts
+ * @param {string} productKey - Produkt-Schlüssel aus dem Teilekatalog
+ * @param {Object} options - { range: '30d', aggregate: 'day', enabled: true }
+ * @returns {{ points: Array, summary: Object|null, loading: boolean, error: string|null }}
+ */
+export function usePriceHistory(productKey, { range = '30d', aggregate = 'day', enabled = true } = {}) {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!productKey || !enabled) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    loadHistory(productKey, range, aggregate)
+      .then((data) => {
+        if (!cancelled) setHistory(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.warn(`[usePriceHistory] Fehler beim Laden von ${productKey}:`, err.message);
+        setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [productKey, range, aggregate, enabled]);
+
+  return {
+    points: history?.points || [],
+    summary: history?.summary || null,
+    loading,
+    error
+  };
+}
+
+export default usePriceHistory;
@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+import { catalogAPI } from '../utils/api.js';
+import { useCatalog } from '../contexts/CatalogContext.jsx';
+
+// Auswahl je Teil; Werte wie offerPreference der API
+export const OFFER_PREFERENCES = {
+  CHEAPEST: 'cheapest',
+  FASTEST: 'fastest',
+};
+
+const emptyBreakdown = (preference) => ({
+  preference,
+  lines: [],
+  suppliers: [],
+  subtotal: 0,
+  shipping: 0,
+  total: 0,
+  leadTimeDays: 0
+});
+
+/**
+ * Angebotsauswahl des Servers für eine Stückliste (POST /api/components/offers)
+ * Live-Preise und -Verfügbarkeit lädt der Server aus den Preis-Snapshots, wie bei Bestellungen
+ * @param {Object} items - { PART_KEY: Menge }
+ * @param {string} preference - OFFER_PREFERENCES
+ * @returns {Object} { preference, lines, suppliers, subtotal, shipping, total, leadTimeDays }
+ */
+export function useSupplierBreakdown(items, preference) {
+  // Nach dem Neuladen des Katalogs neu anfragen
+  const { parts } = useCatalog();
+  const [breakdown, setBreakdown] = useState(() => emptyBreakdown(preference));
+
+  useEffect(() => {
+    let cancelled = false;
+    catalogAPI.getSupplierBreakdown(items, preference)
+      .then(({ data }) => {
+        if (!cancelled) setBreakdown(data.breakdown);
+      })
+      .catch((error) => {
+        if (!cancelled) console.warn('Angebotsauswahl konnte nicht geladen werden:', error);
+      });
+    return () => { cancelled = true; };
+  }, [items, preference, parts]);
+
+  return breakdown;
+}
+
+export default useSupplierBreakdown;
@@ -2,6 +2,15 @@ import AdminHeader from '../../components/admin/AdminHeader';
 import PaymentSettings from '../../components/admin/PaymentSettings';
 import PaymentProviderStatus from '../../components/admin/PaymentProviderStatus';
 import OrderManagement from '../../components/admin/OrderManagement';
+import PriceScrapingStatus from '../../components/admin/PriceScrapingStatus';
+import CatalogEditor from '../../components/admin/CatalogEditor';
+import PresetManager from '../../components/admin/PresetManager';
+import TaxReport from '../../components/admin/TaxReport';
+import WebhookEvents from '../../components/admin/WebhookEvents';
+import WebhookSubscriptions from '../../components/admin/WebhookSubscriptions';
+import BankReconciliation from '../../components/admin/BankReconciliation';
+import ReturnManagement from '../../components/admin/ReturnManagement';
+import JobQueue from '../../components/admin/JobQueue';
 import { AdminProvider } from '../../contexts/AdminContext';
 
 function AdminPage() {
@@ -14,6 +23,15 @@ function AdminPage() {
           <PaymentSettings />
           <PaymentProviderStatus />
           <OrderManagement />
+          <PriceScrapingStatus />
+          <CatalogEditor />
+          <PresetManager />
+          <TaxReport />
+          <WebhookEvents />
+          <WebhookSubscriptions />
+          <BankReconciliation />
+          <ReturnManagement />
+          <JobQueue />
         </main>
       </div>
     </AdminProvider>
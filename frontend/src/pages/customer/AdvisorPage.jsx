@@ -1,11 +1,13 @@
 import { useContext } from 'react';
+import { useTranslation } from 'react-i18next';
 import { ConfiguratorContext } from '../../contexts/ConfiguratorContext';
-import { PRESETS } from '../../utils/data.js';
+import { getLocalizedPresetDescription } from '../../utils/data.js';
 import Advisor from '../../components/customer/Advisor';
 import GuidesCompiler from '../../components/customer/GuidesCompiler';
 
 function AdvisorPage() {
-  const { items, settings, presetKey } = useContext(ConfiguratorContext);
+  const { t, i18n } = useTranslation('products');
+  const { items, settings, activePreset } = useContext(ConfiguratorContext);
 
   return (
     <main className="max-w-6xl mx-auto px-6 pb-24 grid grid-cols-1 md:grid-cols-3 gap-6">
@@ -17,7 +19,7 @@ function AdvisorPage() {
       <aside className="space-y-4">
         <div className="bg-[#0e1630] rounded-2xl p-5 border border-slate-700/60">
           <h3 className="font-semibold">Preset‑Notizen</h3>
-          <p className="text-sm text-slate-300 mt-2">{PRESETS[presetKey].notes}</p>
+          <p className="text-sm text-slate-300 mt-2">{getLocalizedPresetDescription(activePreset, t, i18n.language) || '–'}</p>
           <div className="mt-3 text-xs text-slate-400 leading-relaxed">
             <p>⚠️ Günstige Servos begrenzen Gangdynamik & Lebensdauer. Für robustes Gehen sind leichte Strukturen, Cycloid‑Getriebe oder BLDC‑Aktuatoren vorzuziehen.</p>
             <p className="mt-2">💡 Tipp: Starte mit Oberkörper‑Funktionen (Greifen, Vision, Sprache) und iteriere zu Hüfte/Beinen.</p>
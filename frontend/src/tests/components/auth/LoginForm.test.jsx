@@ -7,12 +7,14 @@ import { AuthProvider } from '../../../contexts/AuthContext';
 // Mock the AuthContext
 const mockLogin = vi.fn();
 const mockClearError = vi.fn();
+const mockCompleteTwoFactorLogin = vi.fn();
 
 vi.mock('../../../contexts/AuthContext', () => ({
   AuthProvider: ({ children }) => children,
   useAuth: () => ({
     login: mockLogin,
     clearError: mockClearError,
+    completeTwoFactorLogin: mockCompleteTwoFactorLogin,
     error: null,
     isLoading: false
   })
@@ -92,6 +94,39 @@ describe('LoginForm', () => {
     });
   });
 
+  it('asks for the two-factor code before completing the login', async () => {
+    const user = userEvent.setup();
+    mockLogin.mockResolvedValueOnce({
+      success: true,
+      data: { twoFactorRequired: true, setupRequired: false, challengeToken: 'challenge-token' }
+    });
+    mockCompleteTwoFactorLogin.mockResolvedValueOnce({ success: true, data: {} });
+
+    render(
+      <LoginForm
+        onSuccess={mockOnSuccess}
+        onSwitchToRegister={mockOnSwitchToRegister}
+        onSwitchToForgotPassword={mockOnSwitchToForgotPassword}
+      />
+    );
+
+    await user.type(screen.getByLabelText('E-Mail'), 'admin@example.com');
+    await user.type(screen.getByLabelText('Passwort'), 'password123');
+    await user.click(screen.getByRole('button', { name: 'Anmelden' }));
+
+    const codeInput = await screen.findByLabelText('Bestätigungscode');
+    expect(mockOnSuccess).not.toHaveBeenCalled();
+
+    await user.type(codeInput, '123456');
+    await user.click(screen.getByLabelText(/Diesem Gerät vertrauen/));
+    await user.click(screen.getByRole('button', { name: 'Bestätigen' }));
+
+    await waitFor(() => {
+      expect(mockCompleteTwoFactorLogin).toHaveBeenCalledWith('challenge-token', '123456', true);
+    });
+    expect(mockOnSuccess).toHaveBeenCalled();
+  });
+
   it('disables submit button when form is empty', () => {
     render(
       <LoginForm
@@ -68,8 +68,8 @@ export const paymentAPI = {
   /**
    * Create payment intent
    * @param {string} orderId - Order ID
-   * @param {string} paymentMethod - Payment method (stripe, paypal)
-   * @returns {Promise<Object>} Payment intent details
+   * @param {string} paymentMethod - Payment method (stripe, paypal, sepa)
+   * @returns {Promise<Object>} Payment intent details (sepa: reference, bank account and EPC QR code)
    */
   async createPaymentIntent(orderId, paymentMethod = 'stripe') {
     return apiRequest('/payment/create-intent', {
@@ -150,19 +150,96 @@ export const orderAPI = {
     });
   },
 
+  /**
+   * Create order from a configurator bill of materials
+   * @param {Object} orderData - { label, items: { PART_KEY: quantity }, offerPreference, paymentMethod }
+   *                            sale prices are set by the server from the pricing settings; requires login
+   * @returns {Promise<Object>} Created order
+   */
+  async createConfiguratorOrder(orderData) {
+    return apiRequest('/orders/configurator', {
+      method: 'POST',
+      body: JSON.stringify(orderData),
+    });
+  },
+
   /**
    * Update order status
    * @param {string} orderId - Order ID
    * @param {string} status - New status
+   * @param {string} note - Optional note for the audit log
    * @returns {Promise<Object>} Updated order
    */
-  async updateOrderStatus(orderId, status) {
+  async updateOrderStatus(orderId, status, note) {
     return apiRequest(`/orders/${orderId}/status`, {
       method: 'PATCH',
-      body: JSON.stringify({ status }),
+      body: JSON.stringify({ status, note }),
+    });
+  },
+
+  /**
+   * Update payment status
+   * @param {string} orderId - Order ID
+   * @param {string} paymentStatus - New payment status
+   * @param {string} note - Optional note for the audit log
+   * @returns {Promise<Object>} Updated order
+   */
+  async updatePaymentStatus(orderId, paymentStatus, note) {
+    return apiRequest(`/orders/${orderId}/payment-status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ paymentStatus, note }),
+    });
+  },
+
+  /**
+   * Get supplier purchase orders of an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Purchase orders
+   */
+  async getPurchaseOrders(orderId) {
+    return apiRequest(`/orders/${orderId}/purchase-orders`);
+  },
+
+  /**
+   * Split a paid order into one purchase order per supplier
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Purchase orders
+   */
+  async createPurchaseOrders(orderId) {
+    return apiRequest(`/orders/${orderId}/purchase-orders`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Send draft purchase orders to the suppliers
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Purchase orders
+   */
+  async sendPurchaseOrders(orderId) {
+    return apiRequest(`/orders/${orderId}/purchase-orders/send`, {
+      method: 'POST',
     });
   },
 
+  /**
+   * Get valid next states of an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { status, next, transitions: [{ status, allowed, reason }] }
+   */
+  async getOrderTransitions(orderId) {
+    return apiRequest(`/orders/${orderId}/transitions`);
+  },
+
+  /**
+   * Get audit trail of an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Status and payment events
+   */
+  async getOrderHistory(orderId) {
+    return apiRequest(`/orders/${orderId}/history`);
+  },
+
   /**
    * Cancel order
    * @param {string} orderId - Order ID
@@ -175,6 +252,105 @@ export const orderAPI = {
   },
 };
 
+/**
+ * Purchase Order API Functions
+ */
+export const purchaseOrderAPI = {
+  /**
+   * Update status and tracking of a purchase order
+   * @param {string} purchaseOrderId - Purchase order ID
+   * @param {Object} update - { status, trackingNumber, carrier, note }
+   * @returns {Promise<Object>} Updated purchase order and parent order
+   */
+  async updatePurchaseOrder(purchaseOrderId, update) {
+    return apiRequest(`/purchase-orders/${purchaseOrderId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(update),
+    });
+  },
+
+  /**
+   * Download a purchase order document (Admin only)
+   * @param {Object} purchaseOrder - Purchase order with id and poNumber
+   * @param {string} format - pdf or csv
+   */
+  async downloadDocument(purchaseOrder, format = 'pdf') {
+    return downloadFile(`/purchase-orders/${purchaseOrder.id}/${format}`, `${purchaseOrder.poNumber}.${format}`);
+  },
+};
+
+/**
+ * Invoice API Functions
+ */
+export const invoiceAPI = {
+  /**
+   * Get invoices and credit notes of an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Invoices, oldest first
+   */
+  async getOrderInvoices(orderId) {
+    return apiRequest(`/orders/${orderId}/invoices`);
+  },
+
+  /**
+   * Issue the invoice of a paid order (Admin only)
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Invoice and whether it was created
+   */
+  async issueInvoice(orderId) {
+    return apiRequest(`/orders/${orderId}/invoices`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Download invoice or credit note as PDF
+   * @param {Object} invoice - { id, number }
+   */
+  async downloadInvoice(invoice) {
+    return downloadFile(`/invoices/${invoice.id}/pdf`, `${invoice.number}.pdf`);
+  },
+};
+
+/**
+ * Return (RMA) API Functions
+ */
+export const returnAPI = {
+  /**
+   * Get returns of an order and the quantities still returnable
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { returns, returnable: [{ orderItemId, name, quantity, returnable }] }
+   */
+  async getOrderReturns(orderId) {
+    return apiRequest(`/orders/${orderId}/returns`);
+  },
+
+  /**
+   * Request the return of order items
+   * @param {string} orderId - Order ID
+   * @param {Object} data - { items: [{ orderItemId, quantity }], reason, note }
+   * @returns {Promise<Object>} Created return with RMA number
+   */
+  async requestReturn(orderId, data) {
+    return apiRequest(`/orders/${orderId}/returns`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  /**
+   * Withdraw a return before the parts are sent back
+   * @param {string} orderId - Order ID
+   * @param {string} returnId - Return ID
+   * @returns {Promise<Object>} Cancelled return
+   */
+  async cancelReturn(orderId, returnId) {
+    return apiRequest(`/orders/${orderId}/returns/${returnId}/cancel`, {
+      method: 'POST',
+    });
+  },
+};
+
 /**
  * Auth API Functions
  */
@@ -294,6 +470,654 @@ export const configAPI = {
       method: 'DELETE',
     });
   },
+
+  /**
+   * Get the configurations of the logged-in user (with revision count)
+   * @returns {Promise<Object>} Configurations, most recently updated first
+   */
+  async getMyConfigurations() {
+    return apiRequest('/configurations/mine');
+  },
+
+  /**
+   * Clone a configuration into the account of the logged-in user
+   * @param {string} configId - Configuration ID
+   * @param {string} name - Optional name of the copy
+   * @returns {Promise<Object>} Cloned configuration
+   */
+  async cloneConfiguration(configId, name) {
+    return apiRequest(`/configurations/${configId}/clone`, {
+      method: 'POST',
+      body: JSON.stringify(name ? { name } : {}),
+    });
+  },
+
+  /**
+   * Make a configuration public or private
+   * @param {string} configId - Configuration ID
+   * @param {boolean} isPublic - Visibility
+   * @returns {Promise<Object>} Updated configuration
+   */
+  async updateVisibility(configId, isPublic) {
+    return apiRequest(`/configurations/${configId}/visibility`, {
+      method: 'PATCH',
+      body: JSON.stringify({ isPublic }),
+    });
+  },
+
+  /**
+   * Get the version history of a configuration
+   * @param {string} configId - Configuration ID
+   * @returns {Promise<Object>} Revisions newest first (without items)
+   */
+  async getRevisions(configId) {
+    return apiRequest(`/configurations/${configId}/revisions`);
+  },
+
+  /**
+   * Get a single revision with its items
+   * @param {string} configId - Configuration ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} Revision
+   */
+  async getRevision(configId, revision) {
+    return apiRequest(`/configurations/${configId}/revisions/${revision}`);
+  },
+
+  /**
+   * Compare two revisions
+   * @param {string} configId - Configuration ID
+   * @param {Object} range - from, to (revision numbers; default: latest with its predecessor)
+   * @returns {Promise<Object>} Added and removed parts, quantity changes and price delta
+   */
+  async compareRevisions(configId, { from, to } = {}) {
+    const query = new URLSearchParams({ ...(from && { from }), ...(to && { to }) }).toString();
+    return apiRequest(`/configurations/${configId}/revisions/diff${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Get the share links of an own configuration
+   * @param {string} configId - Configuration ID
+   * @returns {Promise<Object>} Share links with status and view count
+   */
+  async getShareLinks(configId) {
+    return apiRequest(`/configurations/${configId}/shares`);
+  },
+
+  /**
+   * Create a share link
+   * @param {string} configId - Configuration ID
+   * @param {Object} options - expiresInDays (optional; without it the link does not expire)
+   * @returns {Promise<Object>} Share link with its slug
+   */
+  async createShareLink(configId, options = {}) {
+    return apiRequest(`/configurations/${configId}/shares`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+
+  /**
+   * Revoke a share link
+   * @param {string} configId - Configuration ID
+   * @param {string} shareId - Share link ID
+   * @returns {Promise<Object>} Revoked share link
+   */
+  async revokeShareLink(configId, shareId) {
+    return apiRequest(`/configurations/${configId}/shares/${shareId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Get the read-only view behind a share link
+   * @param {string} slug - Share slug
+   * @param {string} language - Language of the manual
+   * @returns {Promise<Object>} Bill of materials, cost breakdown and manual
+   */
+  async getSharedConfiguration(slug, language) {
+    const query = language ? `?language=${encodeURIComponent(language)}` : '';
+    return apiRequest(`/configurations/shared/${encodeURIComponent(slug)}${query}`);
+  },
+
+  /**
+   * Get ranked alternatives for a configuration
+   * @param {string} configId - Configuration ID
+   * @param {Object} goals - Optimization goals (budget, timeLimit in minutes, difficultyLevel, limit)
+   * @returns {Promise<Object>} Baseline and ranked alternatives
+   */
+  async optimizeConfiguration(configId, goals = {}) {
+    return apiRequest(`/configurations/${configId}/optimize`, {
+      method: 'POST',
+      body: JSON.stringify(goals),
+    });
+  },
+
+  /**
+   * Get the power budget of an unsaved bill of materials
+   * @param {Object} items - Quantities per part { PART_KEY: quantity }
+   * @returns {Promise<Object>} { power: { status, blocking, rails, batteries, issues } }
+   */
+  async calculatePower(items) {
+    return apiRequest('/configurations/power', {
+      method: 'POST',
+      body: JSON.stringify({ items }),
+    });
+  },
+};
+
+/**
+ * Parts Catalog API Functions
+ */
+export const catalogAPI = {
+  /**
+   * Get the configurator parts catalog (served from the components table)
+   * @param {Object} params - Query parameters (category, search)
+   * @returns {Promise<Object>} Parts with key, categories and catalog source
+   */
+  async getCatalog(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/components?${queryString}` : '/components';
+    return apiRequest(endpoint);
+  },
+
+  /**
+   * Get the margins the server applies to configurator orders
+   * @returns {Promise<Object>} { pricing: { marginPct, partMargins } }
+   */
+  async getPricing() {
+    return apiRequest('/components/pricing');
+  },
+
+  /**
+   * Get the supplier selection for a bill of materials
+   * @param {Object} items - Quantities per part { PART_KEY: quantity }
+   * @param {string} offerPreference - 'cheapest' or 'fastest'
+   * @returns {Promise<Object>} { breakdown: { lines, suppliers, subtotal, shipping, total, leadTimeDays } }
+   */
+  async getSupplierBreakdown(items, offerPreference) {
+    return apiRequest('/components/offers', {
+      method: 'POST',
+      body: JSON.stringify({ items, offerPreference }),
+    });
+  },
+
+  /**
+   * Create a component (Admin only)
+   * @param {Object} component - Component fields (sku makes it a configurator part)
+   * @returns {Promise<Object>} Created component
+   */
+  async createComponent(component) {
+    return apiRequest('/components', {
+      method: 'POST',
+      body: JSON.stringify(component),
+    });
+  },
+
+  /**
+   * Update a component (Admin only)
+   * @param {string} id - Component ID
+   * @param {Object} component - Changed fields
+   * @returns {Promise<Object>} Updated component
+   */
+  async updateComponent(id, component) {
+    return apiRequest(`/components/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(component),
+    });
+  },
+
+  /**
+   * Delete a component (Admin only)
+   * @param {string} id - Component ID
+   * @returns {Promise<Object>} Delete response
+   */
+  async deleteComponent(id) {
+    return apiRequest(`/components/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Configurator Preset API Functions
+ */
+export const presetAPI = {
+  /**
+   * Get built-in, team and (when logged in) personal presets
+   * @param {Object} params - Filters (tag, minDof, maxDof, search)
+   * @returns {Promise<Object>} Presets with scope and DOF, and all tags for the filter
+   */
+  async getPresets(params = {}) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== '')
+    ).toString();
+    return apiRequest(query ? `/presets?${query}` : '/presets');
+  },
+
+  /**
+   * Get a single preset (own or shared personal presets, team and built-in presets)
+   * @param {string} id - Preset ID
+   * @returns {Promise<Object>} Preset
+   */
+  async getPreset(id) {
+    return apiRequest(`/presets/${id}`);
+  },
+
+  /**
+   * Save a bill of materials as a personal preset
+   * @param {Object} preset - label, notes, items ({ PART_KEY: quantity }), tags, isPublic
+   * @returns {Promise<Object>} Created preset
+   */
+  async savePreset(preset) {
+    return apiRequest('/presets', {
+      method: 'POST',
+      body: JSON.stringify(preset),
+    });
+  },
+
+  /**
+   * Update an own preset; isPublic makes it loadable via link
+   * @param {string} id - Preset ID
+   * @param {Object} preset - Changed fields
+   * @returns {Promise<Object>} Updated preset
+   */
+  async updatePreset(id, preset) {
+    return apiRequest(`/presets/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(preset),
+    });
+  },
+
+  /**
+   * Delete an own preset
+   * @param {string} id - Preset ID
+   * @returns {Promise<Object>} Delete response
+   */
+  async deletePreset(id) {
+    return apiRequest(`/presets/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Admin API Functions
+ */
+export const adminAPI = {
+  /**
+   * Update the configurator margins (Admin only)
+   * @param {Object} update - marginPct and/or partMargins ({ PART_KEY: pct }, replaces all part margins)
+   * @returns {Promise<Object>} { pricing }
+   */
+  async updatePricing(update) {
+    return apiRequest('/admin/pricing', {
+      method: 'PUT',
+      body: JSON.stringify(update),
+    });
+  },
+
+  /**
+   * Get price scraping scheduler status and recent runs (Admin only)
+   * @param {number} limit - Number of runs
+   * @returns {Promise<Object>} Scheduler status and runs with failures and alerts
+   */
+  async getPriceScraping(limit = 20) {
+    return apiRequest(`/admin/price-scraping?limit=${limit}`);
+  },
+
+  /**
+   * Queue a price scraping run outside the schedule (Admin only)
+   * @returns {Promise<Object>} Confirmation with the price.scrape job
+   */
+  async runPriceScraping() {
+    return apiRequest('/admin/price-scraping/run', {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Get the quarterly OSS VAT report (Admin only)
+   * @param {number} year - Year
+   * @param {number} quarter - Quarter (1-4)
+   * @returns {Promise<Object>} Tax base and VAT per country and rate
+   */
+  async getOssReport(year, quarter) {
+    return apiRequest(`/admin/tax/oss-report?year=${year}&quarter=${quarter}`);
+  },
+
+  /**
+   * Download the quarterly OSS VAT report as CSV (Admin only)
+   * @param {number} year - Year
+   * @param {number} quarter - Quarter (1-4)
+   */
+  async downloadOssReport(year, quarter) {
+    return downloadFile(`/admin/tax/oss-report?year=${year}&quarter=${quarter}&format=csv`, `oss-${year}-Q${quarter}.csv`);
+  },
+
+  /**
+   * Get payment webhook events (Admin only)
+   * @param {Object} params - Filter: status (RECEIVED, PROCESSED, FAILED, IGNORED), provider, page, limit
+   * @returns {Promise<Object>} Events without payload and pagination
+   */
+  async getWebhookEvents(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/admin/webhook-events${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Get a payment webhook event with its payload (Admin only)
+   * @param {string} id - Event ID
+   * @returns {Promise<Object>} Event
+   */
+  async getWebhookEvent(id) {
+    return apiRequest(`/admin/webhook-events/${id}`);
+  },
+
+  /**
+   * Process a failed or ignored webhook event again (Admin only)
+   * @param {string} id - Event ID
+   * @returns {Promise<Object>} Event after the replay
+   */
+  async replayWebhookEvent(id) {
+    return apiRequest(`/admin/webhook-events/${id}/replay`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Import a bank statement and match incoming transfers to pending orders (Admin only)
+   * @param {string} filename - Original file name
+   * @param {string} content - CAMT.053 XML or CSV content
+   * @returns {Promise<Object>} Counts per match status and the booked transfers
+   */
+  async importBankStatement(filename, content) {
+    return apiRequest('/admin/bank-statements', {
+      method: 'POST',
+      body: JSON.stringify({ filename, content }),
+    });
+  },
+
+  /**
+   * Get imported bank transfers (Admin only)
+   * @param {Object} params - flagged (unmatched, partial, overpaid), limit
+   * @returns {Promise<Object>} Transfers with matched order
+   */
+  async getBankTransactions(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/admin/bank-transactions${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Assign an unmatched bank transfer to a pending order (Admin only)
+   * @param {string} id - Bank transaction ID
+   * @param {string} orderNumber - Order number
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async assignBankTransaction(id, orderNumber) {
+    return apiRequest(`/admin/bank-transactions/${id}/assign`, {
+      method: 'POST',
+      body: JSON.stringify({ orderNumber }),
+    });
+  },
+
+  /**
+   * Mark a flagged bank transfer as handled (Admin only)
+   * @param {string} id - Bank transaction ID
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async reviewBankTransaction(id) {
+    return apiRequest(`/admin/bank-transactions/${id}/review`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Get returns (Admin only)
+   * @param {Object} params - status, page, limit
+   * @returns {Promise<Object>} Returns with items and order, total count
+   */
+  async getReturns(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/admin/returns${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Move a return forward: approve, reject or receive (Admin only)
+   * @param {string} id - Return ID
+   * @param {string} action - approve, reject, receive
+   * @param {string} note - Optional admin note
+   * @returns {Promise<Object>} Updated return
+   */
+  async updateReturn(id, action, note) {
+    return apiRequest(`/admin/returns/${id}/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(note ? { note } : {}),
+    });
+  },
+
+  /**
+   * Record the inspection result per item (Admin only)
+   * @param {string} id - Return ID
+   * @param {Array} items - [{ orderItemId, acceptedQuantity, condition }]
+   * @returns {Promise<Object>} Inspected return with computed refund
+   */
+  async inspectReturn(id, items) {
+    return apiRequest(`/admin/returns/${id}/inspect`, {
+      method: 'POST',
+      body: JSON.stringify({ items }),
+    });
+  },
+
+  /**
+   * Refund an inspected return and issue the credit note (Admin only)
+   * @param {string} id - Return ID
+   * @returns {Promise<Object>} Refunded return
+   */
+  async refundReturn(id) {
+    return apiRequest(`/admin/returns/${id}/refund`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Get outgoing webhook subscriptions with delivery counts (Admin only)
+   * @returns {Promise<Object>} Subscriptions with masked secrets
+   */
+  async getWebhookSubscriptions() {
+    return apiRequest('/admin/webhook-subscriptions');
+  },
+
+  /**
+   * Register a webhook endpoint (Admin only)
+   * @param {Object} data - url, description, events, active
+   * @returns {Promise<Object>} Subscription including the signing secret (only shown once)
+   */
+  async createWebhookSubscription(data) {
+    return apiRequest('/admin/webhook-subscriptions', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  /**
+   * Update a webhook endpoint (Admin only)
+   * @param {string} id - Subscription ID
+   * @param {Object} data - url, description, events, active, rotateSecret
+   * @returns {Promise<Object>} Subscription; with rotateSecret the new secret
+   */
+  async updateWebhookSubscription(id, data) {
+    return apiRequest(`/admin/webhook-subscriptions/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  },
+
+  /**
+   * Delete a webhook endpoint and its delivery log (Admin only)
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object>} Confirmation
+   */
+  async deleteWebhookSubscription(id) {
+    return apiRequest(`/admin/webhook-subscriptions/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Send a signed test event to a webhook endpoint (Admin only)
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object>} Delivery with the response status
+   */
+  async pingWebhookSubscription(id) {
+    return apiRequest(`/admin/webhook-subscriptions/${id}/ping`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Get the outgoing webhook delivery log (Admin only)
+   * @param {Object} params - subscriptionId, status (PENDING, RETRYING, SUCCEEDED, FAILED), event, page, limit
+   * @returns {Promise<Object>} Deliveries without payload, total count
+   */
+  async getWebhookDeliveries(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/admin/webhook-deliveries${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Get a webhook delivery with payload and all attempts (Admin only)
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object>} Delivery
+   */
+  async getWebhookDelivery(id) {
+    return apiRequest(`/admin/webhook-deliveries/${id}`);
+  },
+
+  /**
+   * Send a webhook delivery again with its original payload (Admin only)
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object>} Delivery after the attempt
+   */
+  async redeliverWebhook(id) {
+    return apiRequest(`/admin/webhook-deliveries/${id}/redeliver`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Get background jobs (Admin only)
+   * @param {Object} params - status (QUEUED, RUNNING, COMPLETED, DEAD, CANCELLED), type, page, limit
+   * @returns {Promise<Object>} Jobs without payload, counts per status, backend and worker status
+   */
+  async getJobs(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/admin/jobs${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Get a background job with payload and result (Admin only)
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  async getJob(id) {
+    return apiRequest(`/admin/jobs/${id}`);
+  },
+
+  /**
+   * Run a dead, cancelled or waiting job again right away (Admin only)
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Queued job
+   */
+  async retryJob(id) {
+    return apiRequest(`/admin/jobs/${id}/retry`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Discard a queued job (Admin only)
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Cancelled job
+   */
+  async cancelJob(id) {
+    return apiRequest(`/admin/jobs/${id}/cancel`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Get all components including inactive ones (Admin only)
+   * @returns {Promise<Object>} Components
+   */
+  async getCatalogComponents() {
+    return apiRequest('/admin/catalog');
+  },
+
+  /**
+   * Download the full parts catalog (Admin only)
+   * @param {string} format - csv or json
+   */
+  async exportCatalog(format = 'csv') {
+    return downloadFile(`/admin/catalog/export?format=${format}`, `catalog.${format}`);
+  },
+
+  /**
+   * Bulk import parts from CSV or JSON, matched by part key (Admin only)
+   * @param {string} content - File content
+   * @param {Object} options - format (csv, json), dryRun (default true: only preview the changes)
+   * @returns {Promise<Object>} Summary, changed fields per row and per-row validation errors
+   */
+  async importCatalog(content, { format, dryRun = true } = {}) {
+    return apiRequest('/admin/catalog/import', {
+      method: 'POST',
+      body: JSON.stringify({ content, format, dryRun }),
+    });
+  },
+
+  /**
+   * Get the team presets (Admin only)
+   * @returns {Promise<Object>} Team presets in curated order
+   */
+  async getTeamPresets() {
+    return apiRequest('/admin/presets');
+  },
+
+  /**
+   * Publish a curated team preset, visible to every user (Admin only)
+   * @param {Object} preset - label, notes, items, tags, translations ({ en: { label, notes } }), sortOrder
+   * @returns {Promise<Object>} Created preset
+   */
+  async publishPreset(preset) {
+    return apiRequest('/admin/presets', {
+      method: 'POST',
+      body: JSON.stringify(preset),
+    });
+  },
+
+  /**
+   * Update a team preset (Admin only)
+   * @param {string} id - Preset ID
+   * @param {Object} preset - Changed fields
+   * @returns {Promise<Object>} Updated preset
+   */
+  async updateTeamPreset(id, preset) {
+    return apiRequest(`/admin/presets/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(preset),
+    });
+  },
+
+  /**
+   * Delete a team preset (Admin only)
+   * @param {string} id - Preset ID
+   * @returns {Promise<Object>} Delete response
+   */
+  async deleteTeamPreset(id) {
+    return apiRequest(`/admin/presets/${id}`, {
+      method: 'DELETE',
+    });
+  },
 };
 
 /**
@@ -361,8 +1185,14 @@ export async function downloadFile(endpoint, filename) {
 export default {
   paymentAPI,
   orderAPI,
+  purchaseOrderAPI,
   authAPI,
   configAPI,
+  catalogAPI,
+  presetAPI,
+  adminAPI,
+  invoiceAPI,
+  returnAPI,
   uploadFile,
   downloadFile,
 };
\ No newline at end of file
@@ -1,182 +1,13 @@
 // Produktdaten und Konfigurationen für DIY Humanoid Configurator
 // Erweitert um i18n-Unterstützung
 
-// Basis Produktdaten mit technischen Spezifikationen
-export const PARTS = {
-  // Aktuatoren
-  MG996R: {
-    i18nKey: "MG996R",
-    category: "SERVO",
-    genericName: "lightweight_metal_servo",  // Key für generische Übersetzung
-    productModel: "MG996R",  // Bleibt unverändert
-    name: "Leichtes Metall‑Servo MG996R",  // Fallback für alte Version
-    unit: "Stk.",
-    price: 6.2,
-    link: "https://electropeak.com/mg996r-high-torque-digital-servo",
-    tech: "Metallgetriebe, ca. 9–11 kg·cm @ 6V"
-  },
-  DS3218: {
-    i18nKey: "DS3218",
-    category: "SERVO",
-    genericName: "high_torque_servo",  // Key für generische Übersetzung
-    productModel: "DS3218 (20kg)",  // Bleibt unverändert
-    name: "Starkes Servo DS3218 (20 kg)",  // Fallback
-    unit: "Stk.",
-    price: 12.9,
-    link: "https://srituhobby.com/product/ds3218-20kg-metal-gear-servo-motor-waterproof-servo/",
-    tech: "Wasserdicht, bis ~20 kg·cm"
-  },
+// Der Teilekatalog (Preise, Angebote, Technik, power, interfaces, assembly) kommt vom Server:
+// GET /api/components über contexts/CatalogContext.jsx, Quelle ist die Komponenten-Tabelle der Datenbank.
+// Die Hilfsfunktionen unten erhalten ihn als parts ({ PART_KEY: Teil })
 
-  // Steuerung
-  ARD_MEGA: {
-    i18nKey: "ARD_MEGA",
-    category: "CONTROLLER",
-    genericName: "main_controller_board",  // Key für generische Übersetzung
-    productModel: "Arduino Mega 2560",  // Bleibt unverändert
-    name: "Arduino Mega 2560",  // Fallback
-    unit: "Stk.",
-    price: 38.0,
-    link: "https://www.kubii.com/en/micro-controllers/2075-arduino-mega-2560-rev3-7630049200067.html",
-    tech: "ATmega2560, 54 Digital‑I/O, 16 Analogeingänge"
-  },
-  PCA9685: {
-    i18nKey: "PCA9685",
-    category: "CONTROLLER",
-    genericName: "servo_driver_16ch",  // Key für generische Übersetzung
-    productModel: "PCA9685",  // Bleibt unverändert
-    name: "16‑Kanal Servo‑Treiber (PCA9685)",  // Fallback
-    unit: "Stk.",
-    price: 13.2,
-    link: "https://eu.robotshop.com/products/pca9685-16-channel-12-bit-pwm-servo-driver",
-    tech: "12‑Bit PWM, I²C"
-  },
-  RPI5: {
-    i18nKey: "RPI5",
-    category: "CONTROLLER",
-    genericName: "single_board_computer",  // Key für generische Übersetzung
-    productModel: "Raspberry Pi 5 (8GB)",  // Bleibt unverändert
-    name: "Raspberry Pi 5 (8 GB)",  // Fallback
-    unit: "Stk.",
-    price: 81.9,
-    link: "https://www.welectron.com/Raspberry-Pi-5-8-GB-RAM_1",
-    tech: "Broadcom SoC, 8 GB RAM"
-  },
-
-  // Sensorik
-  MPU6050: {
-    i18nKey: "MPU6050",
-    category: "SENSOR",
-    genericName: "motion_sensor_6dof",  // Key für generische Übersetzung
-    productModel: "IMU MPU-6050",  // Bleibt unverändert
-    name: "IMU MPU‑6050 (Gyro+Accel)",  // Fallback
-    unit: "Stk.",
-    price: 14.2,
-    link: "https://eu.robotshop.com/products/6-dof-gyro-accelerometer-imu-mpu6050",
-    tech: "6 DOF Gyro+Accel, I²C"
-  },
-  BNO055: {
-    i18nKey: "BNO055",
-    category: "SENSOR",
-    genericName: "orientation_sensor_9dof",  // Key für generische Übersetzung
-    productModel: "IMU BNO055",  // Bleibt unverändert
-    name: "IMU BNO055 (9 DOF Fusion)",  // Fallback
-    unit: "Stk.",
-    price: 36.6,
-    link: "https://eu.robotshop.com/products/bno055-9-dof-absolute-orientation-imu-fusion-breakout-board",
-    tech: "9 DOF Sensor‑Fusion"
-  },
-  OAKDLITE: {
-    i18nKey: "OAKDLITE",
-    category: "SENSOR",
-    genericName: "depth_camera_ai",  // Key für generische Übersetzung
-    productModel: "Luxonis OAK-D Lite",  // Bleibt unverändert
-    name: "Luxonis OAK‑D Lite (DepthAI)",  // Fallback
-    unit: "Stk.",
-    price: 128.1,
-    link: "https://eu.mouser.com/ProductDetail/Luxonis/OAK-D-Lite-FF",
-    tech: "Stereo‑Depth + AI"
-  },
-
-  // Strom / Leistung
-  UBEC6A: {
-    i18nKey: "UBEC6A",
-    category: "POWER",
-    genericName: "voltage_regulator",  // Key für generische Übersetzung
-    productModel: "UBEC 5V/6A",  // Bleibt unverändert
-    name: "Leichtgewichtiger Schaltregler (UBEC 5V/6A)",  // Fallback
-    unit: "Stk.",
-    price: 19.9,
-    link: "https://mg-modellbau.de/Akkuweichen-usw/D-Power/D-Power-Antares-6A-UBEC-Regler.html",
-    tech: "Eingang 2–6S LiPo"
-  },
-  PSU12V10A: {
-    i18nKey: "PSU12V10A",
-    category: "POWER",
-    genericName: "bench_power_supply",  // Key für generische Übersetzung
-    productModel: "12V / 10A (Bench)",  // Bleibt unverändert
-    name: "Netzteil 12 V / 10 A (Bench)",  // Fallback
-    unit: "Stk.",
-    price: 79.0,
-    link: "https://www.optics-pro.com/power-supplies/pegasusastro-power-supply-12v-10a-europe-2-1mm/p,60252",
-    tech: "~120 W"
-  },
-  LIPO4S5000: {
-    i18nKey: "LIPO4S5000",
-    category: "POWER",
-    genericName: "lithium_battery",  // Key für generische Übersetzung
-    productModel: "LiPo 4S 5000mAh",  // Bleibt unverändert
-    name: "LiPo‑Akku 4S 5000 mAh",  // Fallback
-    unit: "Stk.",
-    price: 70.0,
-    link: "https://gensace.de/collections/4s-lipo-battery",
-    tech: "14.8V, 5Ah"
-  },
-
-  // Sonstiges
-  FILAMENT: {
-    i18nKey: "FILAMENT",
-    category: "MISC",
-    genericName: "3d_printing_material",  // Key für generische Übersetzung
-    productModel: "Filament 1kg",  // Bleibt unverändert
-    name: "3D‑Druck‑Filament (1 kg Spule)",  // Fallback
-    unit: "Spule",
-    price: 20.0,
-    link: "https://prusa3d.com/",
-    tech: "PLA/PETG"
-  },
-  FASTENERS: {
-    i18nKey: "FASTENERS",
-    category: "MISC",
-    genericName: "fastener_set",  // Key für generische Übersetzung
-    productModel: "Schrauben & Kleinteile",  // Bleibt unverändert
-    name: "Schrauben, Lager & Kleinteile (Set)",  // Fallback
-    unit: "Set",
-    price: 60.0,
-    link: "#",
-    tech: "M3/M4 Set"
-  }
-};
-
-export const PRESETS = {
-  starter: {
-    i18nKey: "starter",
-    label: "Starter – Oberkörper (ca. 12 DOF)",  // Fallback
-    items: { MG996R: 12, ARD_MEGA: 1, PCA9685: 1, RPI5: 1, MPU6050: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 3, FASTENERS: 1 },
-    notes: "Arme/Hand/Kopf (kein Gehen). Optional: OAK‑D Lite für Vision."  // Fallback
-  },
-  walker: {
-    i18nKey: "walker",
-    label: "Walker‑Light – kleiner Biped (ca. 18 DOF)",  // Fallback
-    items: { DS3218: 18, ARD_MEGA: 1, PCA9685: 2, RPI5: 1, BNO055: 1, OAKDLITE: 1, UBEC6A: 1, LIPO4S5000: 1, FILAMENT: 5, FASTENERS: 1 },
-    notes: "Einfaches Gehen möglich, langsame Gaits; Standzeit & Drehmoment begrenzt."  // Fallback
-  },
-  inmoov: {
-    i18nKey: "inmoov",
-    label: "InMoov‑Scale – großer Oberkörper (30+ DOF)",  // Fallback
-    items: { MG996R: 30, DS3218: 2, ARD_MEGA: 1, PCA9685: 2, RPI5: 1, MPU6050: 1, OAKDLITE: 1, UBEC6A: 1, PSU12V10A: 1, FILAMENT: 12, FASTENERS: 1 },
-    notes: "Lebensgroßer Oberkörper; Beine sind gesondertes (schwieriges) Projekt."  // Fallback
-  }
-};
+// Presets (mitgeliefert, Team, persönlich) kommen ebenfalls vom Server: GET /api/presets,
+// geladen in contexts/ConfiguratorContext.jsx. Mitgelieferte Presets werden über i18nKey übersetzt
+// (products:presets.<i18nKey>), Team-Presets über ihre translations ({ <lng>: { label, notes } })
 
 export const GUIDES = {
   MG996R: "Montage mit M3‑Schrauben; nicht überlasten; ideal für Finger/Handgelenk.",
@@ -197,8 +28,8 @@ export const GUIDES = {
 // Hilfsfunktionen für lokalisierte Inhalte
 
 // Hilfsfunktion für lokalisierte Produktnamen
-export const getLocalizedProductName = (partKey, t) => {
-  const part = PARTS[partKey];
+export const getLocalizedProductName = (partKey, t, parts) => {
+  const part = parts[partKey];
   if (!part) return partKey;
   
   try {
@@ -228,8 +59,8 @@ export const getLocalizedProductName = (partKey, t) => {
 };
 
 // Hilfsfunktion für lokalisierte Produktbeschreibung
-export const getLocalizedProductDescription = (partKey, t) => {
-  const part = PARTS[partKey];
+export const getLocalizedProductDescription = (partKey, t, parts) => {
+  const part = parts[partKey];
   if (!part) return '';
   
   try {
@@ -241,28 +72,34 @@ export const getLocalizedProductDescription = (partKey, t) => {
 };
 
 // Hilfsfunktion für lokalisierte Preset-Labels
-export const getLocalizedPresetLabel = (presetKey, t) => {
-  const preset = PRESETS[presetKey];
-  if (!preset) return presetKey;
-  
+export const getLocalizedPresetLabel = (preset, t, language) => {
+  if (!preset) return '';
+
+  const translated = preset.translations?.[language?.slice(0, 2)]?.label;
+  if (translated) return translated;
+  if (!preset.i18nKey) return preset.label;
+
   try {
     return t(`products:presets.${preset.i18nKey}.label`, preset.label);
   } catch (error) {
-    console.log('Translation error for preset label', presetKey, error);
+    console.log('Translation error for preset label', preset.id, error);
     return preset.label; // Fallback
   }
 };
 
 // Hilfsfunktion für lokalisierte Preset-Beschreibung
-export const getLocalizedPresetDescription = (presetKey, t) => {
-  const preset = PRESETS[presetKey];
+export const getLocalizedPresetDescription = (preset, t, language) => {
   if (!preset) return '';
-  
+
+  const translated = preset.translations?.[language?.slice(0, 2)]?.notes;
+  if (translated) return translated;
+  if (!preset.i18nKey) return preset.notes || '';
+
   try {
     return t(`products:presets.${preset.i18nKey}.description`, preset.notes);
   } catch (error) {
-    console.log('Translation error for preset description', presetKey, error);
-    return preset.notes; // Fallback
+    console.log('Translation error for preset description', preset.id, error);
+    return preset.notes || ''; // Fallback
   }
 };
 
@@ -295,10 +132,10 @@ export const getLocalizedUnit = (unitKey, t) => {
 };
 
 // Funktion zum Gruppieren von Produkten nach Kategorien
-export const getProductsByCategory = () => {
+export const getProductsByCategory = (parts) => {
   const grouped = {};
   
-  Object.entries(PARTS).forEach(([key, part]) => {
+  Object.entries(parts).forEach(([key, part]) => {
     const category = part.category || 'MISC';
     if (!grouped[category]) {
       grouped[category] = [];
@@ -310,15 +147,15 @@ export const getProductsByCategory = () => {
 };
 
 // Funktion für Produktsuche mit i18n-Unterstützung
-export const searchProducts = (searchTerm, t) => {
-  if (!searchTerm) return Object.keys(PARTS);
+export const searchProducts = (searchTerm, t, parts) => {
+  if (!searchTerm) return Object.keys(parts);
   
   const term = searchTerm.toLowerCase();
   
-  return Object.keys(PARTS).filter(partKey => {
-    const part = PARTS[partKey];
-    const localizedName = getLocalizedProductName(partKey, t).toLowerCase();
-    const localizedDesc = getLocalizedProductDescription(partKey, t).toLowerCase();
+  return Object.keys(parts).filter(partKey => {
+    const part = parts[partKey];
+    const localizedName = getLocalizedProductName(partKey, t, parts).toLowerCase();
+    const localizedDesc = getLocalizedProductDescription(partKey, t, parts).toLowerCase();
     const categoryName = getLocalizedCategoryName(part.category, t).toLowerCase();
     
     return localizedName.includes(term) || 
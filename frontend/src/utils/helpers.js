@@ -1,10 +1,9 @@
 import { useEffect, useState } from 'react';
-import { PARTS } from './data.js';
 
 // Utility Functions
 export const currency = (n) => new Intl.NumberFormat("de-DE", { style: "currency", currency: "EUR" }).format(n);
 
-export const sumEK = (items) => Object.entries(items).reduce((s, [k, q]) => s + (PARTS[k].price * q), 0);
+export const sumEK = (items, parts) => Object.entries(items).reduce((s, [k, q]) => s + ((parts[k]?.price ?? 0) * q), 0);
 
 export const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
 
@@ -29,12 +28,13 @@ export const useLocalStorage = (key, initial) => {
 };
 
 // CSV Export Helper (Customer-facing, no EK/VK data)
-export const exportCSV = (items, retailTotal, retailForPartFn) => {
+// options: parts (Teilekatalog), shippingTotal (Versand der Lieferanten), linkForPart (Link des gewählten Angebots)
+export const exportCSV = (items, retailTotal, retailForPartFn, { parts = {}, shippingTotal = 0, linkForPart } = {}) => {
   const rows = [["Komponente","Menge","Einheit","Einzelpreis","Gesamtpreis","Link"]];
   
   Object.entries(items).forEach(([k, qty]) => {
-    if (!qty) return;
-    const p = PARTS[k];
+    const p = parts[k];
+    if (!qty || !p) return;
     const unitPrice = retailForPartFn(k);
     rows.push([
       p.name, 
@@ -42,11 +42,14 @@ export const exportCSV = (items, retailTotal, retailForPartFn) => {
       p.unit, 
       unitPrice.toFixed(2) + " EUR", 
       (unitPrice * qty).toFixed(2) + " EUR", 
-      p.link
+      linkForPart?.(k) || p.link
     ]);
   });
   
-  rows.push(["GESAMTPREIS","","","", retailTotal.toFixed(2) + " EUR",""]);
+  if (shippingTotal > 0) {
+    rows.push(["Versand","","","", shippingTotal.toFixed(2) + " EUR",""]);
+  }
+  rows.push(["GESAMTPREIS","","","", (retailTotal + shippingTotal).toFixed(2) + " EUR",""]);
   
   const csv = rows.map(r => r.map(c => `"${String(c).replace(/"/g,'""')}"`).join(",")).join("\n");
   const blob = new Blob([csv], {type: "text/csv;charset=utf-8;"});